@@ -31,7 +31,9 @@ const app: Application = express();
 app.use(cors({
   origin: '*', // Allow all origins (since this is a local network app)
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  // Let the frontend read file names of downloads (PDF, XML)
+  exposedHeaders: ['Content-Disposition']
 }));
 
 /**
@@ -39,8 +41,9 @@ app.use(cors({
  * 
  * Parse incoming request bodies in JSON format.
  * Makes req.body available in controllers.
+ * The limit is raised for uploads sent as base64 (e.g. FatturaPA files).
  */
-app.use(express.json());
+app.use(express.json({ limit: config.server.bodyLimit }));
 
 /**
  * URL Encoded Parser
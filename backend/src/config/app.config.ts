@@ -13,6 +13,7 @@
  */
 
 import dotenv from 'dotenv';
+import path from 'path';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -32,7 +33,9 @@ export const config = {
     // Environment: 'development' or 'production'
     env: process.env.NODE_ENV || 'development',
     // Enable CORS for frontend access
-    corsEnabled: true
+    corsEnabled: true,
+    // Maximum JSON body size (file uploads are sent base64 encoded)
+    bodyLimit: process.env.BODY_LIMIT || '20mb'
   },
 
   /**
@@ -46,6 +49,26 @@ export const config = {
     password: process.env.DB_PASSWORD || ''
   },
 
+  /**
+   * Background Scheduler
+   */
+  scheduler: {
+    // Run periodic jobs (e.g. recurring invoices) inside the API process
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    // Minutes between two runs
+    intervalMinutes: Math.max(1, parseInt(process.env.SCHEDULER_INTERVAL_MINUTES || '60') || 60)
+  },
+
+  /**
+   * Attachments
+   */
+  attachments: {
+    // Directory receipts and documents are stored in (a volume in Docker)
+    dir: path.resolve(process.env.ATTACHMENTS_DIR || 'data/attachments'),
+    // Largest file accepted, in MB (uploads must also fit in bodyLimit)
+    maxSizeMb: parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB || '10') || 10
+  },
+
   /**
    * Application Defaults
    */
@@ -12,6 +12,7 @@
  */
 
 import mysql from 'mysql2';
+import { PoolConnection } from 'mysql2/promise';
 import dotenv from 'dotenv';
 
 // Load environment variables from .env file
@@ -97,6 +98,34 @@ export async function closePool(): Promise<void> {
   });
 }
 
+/**
+ * Run queries in a transaction
+ * 
+ * Acquires a dedicated connection, commits when the callback resolves
+ * and rolls back when it throws. Use the given connection (not the pool)
+ * for every query that must be part of the transaction.
+ * 
+ * @param work - Callback receiving the transaction connection
+ * @returns Promise resolving to the callback result
+ */
+export async function withTransaction<T>(
+  work: (connection: PoolConnection) => Promise<T>
+): Promise<T> {
+  const connection = await promisePool.getConnection();
+  
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
 // Export the pool as default for convenient importing
 export default promisePool;
 
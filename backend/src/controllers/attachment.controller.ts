@@ -0,0 +1,170 @@
+/**
+ * Attachment Controller
+ *
+ * HTTP request handlers for receipts and documents attached to expenses
+ * and invoices. Files are sent in the JSON body, base64 encoded:
+ * { files: [{ name: 'ricevuta.pdf', content: '<base64>' }] }
+ */
+
+import { Request, Response } from 'express';
+import * as attachmentService from '../services/attachment.service';
+import { AttachmentOwner } from '../models/Attachment.model';
+import {
+  sendSuccess,
+  sendError,
+  sendNotFound,
+  sendCreated,
+  sendValidationError
+} from '../utils/response.utils';
+
+/**
+ * List the attachments of an expense
+ *
+ * GET /api/expenses/:id/attachments
+ */
+export async function getExpenseAttachments(req: Request, res: Response): Promise<void> {
+  await listAttachments(req, res, AttachmentOwner.EXPENSE);
+}
+
+/**
+ * Attach files to an expense
+ *
+ * POST /api/expenses/:id/attachments
+ * Body: { files }
+ */
+export async function addExpenseAttachments(req: Request, res: Response): Promise<void> {
+  await addAttachments(req, res, AttachmentOwner.EXPENSE);
+}
+
+/**
+ * List the attachments of an invoice
+ *
+ * GET /api/invoices/:id/attachments
+ */
+export async function getInvoiceAttachments(req: Request, res: Response): Promise<void> {
+  await listAttachments(req, res, AttachmentOwner.INVOICE);
+}
+
+/**
+ * Attach files to an invoice
+ *
+ * POST /api/invoices/:id/attachments
+ * Body: { files }
+ */
+export async function addInvoiceAttachments(req: Request, res: Response): Promise<void> {
+  await addAttachments(req, res, AttachmentOwner.INVOICE);
+}
+
+/**
+ * Download an attachment
+ *
+ * GET /api/attachments/:id/download
+ * Query params: inline (optional, true to show the file in the browser)
+ */
+export async function downloadAttachment(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid attachment ID');
+      return;
+    }
+
+    const { attachment, content } = await attachmentService.getAttachmentFile(id);
+    const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+
+    res.setHeader('Content-Type', attachment.mime_type);
+    res.setHeader('Content-Length', content.length);
+    res.setHeader(
+      'Content-Disposition',
+      `${disposition}; filename="${attachment.file_name.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(attachment.file_name)}`
+    );
+    // The type was detected from the content: browsers must not guess another
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.send(content);
+  } catch (error: any) {
+    console.error('Error downloading attachment:', error);
+
+    if (error.message === 'Attachment not found') {
+      sendNotFound(res, 'Attachment');
+    } else if (error.message?.includes('missing')) {
+      sendError(res, error.message);
+    } else {
+      sendError(res, 'Failed to download attachment');
+    }
+  }
+}
+
+/**
+ * Delete an attachment
+ *
+ * DELETE /api/attachments/:id
+ */
+export async function deleteAttachment(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid attachment ID');
+      return;
+    }
+
+    await attachmentService.deleteAttachment(id);
+    sendSuccess(res, { deleted: true }, 'Attachment deleted successfully');
+  } catch (error: any) {
+    console.error('Error deleting attachment:', error);
+
+    if (error.message === 'Attachment not found') {
+      sendNotFound(res, 'Attachment');
+    } else {
+      sendError(res, 'Failed to delete attachment');
+    }
+  }
+}
+
+async function listAttachments(req: Request, res: Response, owner: AttachmentOwner): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, `Invalid ${owner} ID`);
+      return;
+    }
+
+    const attachments = await attachmentService.getAttachments(owner, id);
+    sendSuccess(res, attachments);
+  } catch (error: any) {
+    console.error(`Error fetching ${owner} attachments:`, error);
+    handleOwnerError(res, error, 'Failed to fetch attachments');
+  }
+}
+
+async function addAttachments(req: Request, res: Response, owner: AttachmentOwner): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, `Invalid ${owner} ID`);
+      return;
+    }
+
+    const attachments = await attachmentService.addAttachments(owner, id, req.body.files);
+    sendCreated(res, attachments, 'Attachments uploaded successfully');
+  } catch (error: any) {
+    console.error(`Error uploading ${owner} attachments:`, error);
+    handleOwnerError(res, error, 'Failed to upload attachments');
+  }
+}
+
+function handleOwnerError(res: Response, error: any, fallbackMessage: string): void {
+  if (error.message === 'Expense not found') {
+    sendNotFound(res, 'Expense');
+  } else if (error.message === 'Invoice not found') {
+    sendNotFound(res, 'Invoice');
+  } else if (error.message?.includes('required') || error.message?.includes('Invalid')) {
+    sendValidationError(res, error.message);
+  } else {
+    sendError(res, fallbackMessage);
+  }
+}
@@ -0,0 +1,304 @@
+/**
+ * Bank Controller
+ *
+ * HTTP request handlers for the bank statement import and the
+ * reconciliation of the movements with invoices and expenses.
+ * Statements are sent in the JSON body, base64 encoded:
+ * { files: [{ name: 'estratto-conto.xml', content: '<base64>' }] }
+ */
+
+import { Request, Response } from 'express';
+import * as bankImportService from '../services/bank-import.service';
+import * as reconciliationService from '../services/bank-reconciliation.service';
+import { BankImportOptions, BankTransactionStatus } from '../models/BankTransaction.model';
+import {
+  sendSuccess,
+  sendError,
+  sendCreated,
+  sendNotFound,
+  sendValidationError,
+  sendConflict
+} from '../utils/response.utils';
+
+/**
+ * Get the saved CSV mappings
+ *
+ * GET /api/bank/csv-mappings
+ */
+export async function getCsvMappings(_req: Request, res: Response): Promise<void> {
+  try {
+    const mappings = await bankImportService.getCsvMappings();
+    sendSuccess(res, mappings);
+  } catch (error: any) {
+    console.error('Error fetching CSV mappings:', error);
+    sendError(res, 'Failed to fetch CSV mappings');
+  }
+}
+
+/**
+ * Create a CSV mapping
+ *
+ * POST /api/bank/csv-mappings
+ * Body: SaveBankCsvMappingDTO
+ */
+export async function createCsvMapping(req: Request, res: Response): Promise<void> {
+  try {
+    const mapping = await bankImportService.saveCsvMapping(req.body);
+    sendCreated(res, mapping, 'CSV mapping created successfully');
+  } catch (error: any) {
+    console.error('Error creating CSV mapping:', error);
+    handleMappingError(res, error, 'Failed to create CSV mapping');
+  }
+}
+
+/**
+ * Update a CSV mapping
+ *
+ * PUT /api/bank/csv-mappings/:id
+ * Body: SaveBankCsvMappingDTO
+ */
+export async function updateCsvMapping(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid CSV mapping ID');
+      return;
+    }
+
+    const mapping = await bankImportService.saveCsvMapping(req.body, id);
+    sendSuccess(res, mapping, 'CSV mapping updated successfully');
+  } catch (error: any) {
+    console.error('Error updating CSV mapping:', error);
+    handleMappingError(res, error, 'Failed to update CSV mapping');
+  }
+}
+
+/**
+ * Delete a CSV mapping
+ *
+ * DELETE /api/bank/csv-mappings/:id
+ */
+export async function deleteCsvMapping(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid CSV mapping ID');
+      return;
+    }
+
+    await bankImportService.deleteCsvMapping(id);
+    sendSuccess(res, { deleted: true }, 'CSV mapping deleted successfully');
+  } catch (error: any) {
+    console.error('Error deleting CSV mapping:', error);
+    handleMappingError(res, error, 'Failed to delete CSV mapping');
+  }
+}
+
+/**
+ * Preview a bank statement import
+ *
+ * POST /api/bank/import/preview
+ * Body: { files, mapping_id? }
+ */
+export async function previewImport(req: Request, res: Response): Promise<void> {
+  try {
+    const items = await bankImportService.previewBankImport(req.body.files, parseImportOptions(req.body));
+    sendSuccess(res, items);
+  } catch (error: any) {
+    console.error('Error previewing bank statement import:', error);
+    handleMappingError(res, error, 'Failed to read bank statements');
+  }
+}
+
+/**
+ * Import bank statements
+ *
+ * POST /api/bank/import
+ * Body: { files, mapping_id?, selected_keys? }
+ */
+export async function importStatements(req: Request, res: Response): Promise<void> {
+  try {
+    const result = await bankImportService.importBankStatements(req.body.files, parseImportOptions(req.body));
+    sendSuccess(res, result, 'Bank statement import completed');
+  } catch (error: any) {
+    console.error('Error importing bank statements:', error);
+    handleMappingError(res, error, 'Failed to import bank statements');
+  }
+}
+
+/**
+ * Get the imported movements
+ *
+ * GET /api/bank/transactions
+ * Query params: status (unmatched, matched, ignored), start_date, end_date
+ */
+export async function getTransactions(req: Request, res: Response): Promise<void> {
+  try {
+    const transactions = await reconciliationService.getBankTransactions({
+      status: req.query.status as BankTransactionStatus | undefined,
+      startDate: req.query.start_date as string | undefined,
+      endDate: req.query.end_date as string | undefined
+    });
+    sendSuccess(res, transactions);
+  } catch (error: any) {
+    console.error('Error fetching bank transactions:', error);
+
+    if (error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to fetch bank transactions');
+    }
+  }
+}
+
+/**
+ * Suggest the invoices or expenses a movement may match
+ *
+ * GET /api/bank/transactions/:id/suggestions
+ */
+export async function getSuggestions(req: Request, res: Response): Promise<void> {
+  await handleTransaction(req, res, 'Failed to suggest matches', (id) =>
+    reconciliationService.getMatchSuggestions(id)
+  );
+}
+
+/**
+ * Match money in to an invoice, recording the payment with the value date
+ *
+ * POST /api/bank/transactions/:id/match-invoice
+ * Body: { invoice_id }
+ */
+export async function matchInvoice(req: Request, res: Response): Promise<void> {
+  await handleTransaction(req, res, 'Failed to match bank transaction', (id) => {
+    const invoiceId = parseInt(req.body.invoice_id);
+    if (isNaN(invoiceId)) {
+      throw new Error('Invoice ID is required');
+    }
+    return reconciliationService.matchInvoice(id, invoiceId);
+  }, 'Bank transaction matched to the invoice');
+}
+
+/**
+ * Match money out to an existing expense
+ *
+ * POST /api/bank/transactions/:id/match-expense
+ * Body: { expense_id }
+ */
+export async function matchExpense(req: Request, res: Response): Promise<void> {
+  await handleTransaction(req, res, 'Failed to match bank transaction', (id) => {
+    const expenseId = parseInt(req.body.expense_id);
+    if (isNaN(expenseId)) {
+      throw new Error('Expense ID is required');
+    }
+    return reconciliationService.matchExpense(id, expenseId);
+  }, 'Bank transaction matched to the expense');
+}
+
+/**
+ * Create an expense from money out
+ *
+ * POST /api/bank/transactions/:id/create-expense
+ * Body: CreateExpenseFromTransactionDTO
+ */
+export async function createExpense(req: Request, res: Response): Promise<void> {
+  await handleTransaction(
+    req,
+    res,
+    'Failed to create expense',
+    (id) => reconciliationService.createExpenseFromTransaction(id, req.body),
+    'Expense created from the bank transaction'
+  );
+}
+
+/**
+ * Leave a movement out of the reconciliation
+ *
+ * POST /api/bank/transactions/:id/ignore
+ */
+export async function ignoreTransaction(req: Request, res: Response): Promise<void> {
+  await handleTransaction(
+    req,
+    res,
+    'Failed to ignore bank transaction',
+    (id) => reconciliationService.ignoreBankTransaction(id),
+    'Bank transaction ignored'
+  );
+}
+
+/**
+ * Undo the match of a movement (deleting the payment it recorded), or stop ignoring it
+ *
+ * POST /api/bank/transactions/:id/unmatch
+ */
+export async function unmatchTransaction(req: Request, res: Response): Promise<void> {
+  await handleTransaction(
+    req,
+    res,
+    'Failed to unmatch bank transaction',
+    (id) => reconciliationService.unmatchBankTransaction(id),
+    'Bank transaction unmatched'
+  );
+}
+
+/**
+ * Run an action on the movement in the path and map its errors
+ */
+async function handleTransaction(
+  req: Request,
+  res: Response,
+  fallbackMessage: string,
+  action: (id: number) => Promise<unknown>,
+  successMessage?: string
+): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid bank transaction ID');
+      return;
+    }
+
+    const result = await action(id);
+    sendSuccess(res, result, successMessage);
+  } catch (error: any) {
+    console.error(`${fallbackMessage}:`, error);
+
+    if (error.message.includes('not found')) {
+      sendNotFound(res, error.message.replace(' not found', ''));
+    } else if (error.message.includes('already matched')) {
+      sendConflict(res, error.message);
+    } else if (error.message.includes('required') ||
+               error.message.includes('Invalid') ||
+               error.message.includes('must be') ||
+               error.message.includes('Missing')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, fallbackMessage);
+    }
+  }
+}
+
+function parseImportOptions(body: any): BankImportOptions {
+  const options: BankImportOptions = {};
+
+  if (Array.isArray(body.selected_keys)) {
+    options.selected_keys = body.selected_keys.map(String);
+  }
+  if (body.mapping_id !== undefined && body.mapping_id !== null && body.mapping_id !== '') {
+    options.mapping_id = parseInt(body.mapping_id);
+  }
+
+  return options;
+}
+
+function handleMappingError(res: Response, error: any, fallbackMessage: string): void {
+  if (error.message === 'CSV mapping not found') {
+    sendNotFound(res, 'CSV mapping');
+  } else if (error.message.includes('required') || error.message.includes('Invalid')) {
+    sendValidationError(res, error.message);
+  } else {
+    sendError(res, fallbackMessage);
+  }
+}
@@ -1,16 +1,152 @@
 /**
  * Client Controller
  * 
- * CRUD handlers for clients used in worked hours tracking.
+ * CRUD handlers for the client registry used by invoices and worked
+ * hours tracking.
  */
 
 import { Request, Response } from 'express';
 import * as clientService from '../services/client.service';
-import { sendError, sendSuccess, sendValidationError } from '../utils/response.utils';
+import * as clientSummaryService from '../services/client-summary.service';
+import * as clientMergeService from '../services/client-merge.service';
+import { sendConflict, sendError, sendNotFound, sendSuccess, sendValidationError } from '../utils/response.utils';
+import { ClientFiscalData, ClientListStatus, ClientType, CLIENT_FISCAL_FIELDS, CLIENT_LANGUAGES } from '../models/Client.model';
+import { isValidEmail } from '../utils/email.utils';
+import { isValidCodiceFiscale, isValidPartitaIva, normalizeVatNumber } from '../utils/fiscal.utils';
 
-export async function getClients(_req: Request, res: Response): Promise<void> {
+const PHONE_PATTERN = /^\+?[0-9][0-9 ()./-]{4,28}$/;
+const LIST_STATUSES: ClientListStatus[] = ['active', 'archived', 'all'];
+
+/**
+ * Pick the fiscal fields present in the request body, trimming strings
+ * and normalising country/province codes to upper case.
+ */
+function pickFiscalData(body: any): ClientFiscalData {
+  const data: ClientFiscalData = {};
+
+  CLIENT_FISCAL_FIELDS.forEach((field) => {
+    const value = body[field];
+    if (value === undefined) {
+      return;
+    }
+
+    let normalized = typeof value === 'string' ? value.trim() : value;
+    if (normalized && ['country', 'province', 'sdi_code', 'vat_number', 'fiscal_code'].includes(field)) {
+      normalized = String(normalized).toUpperCase();
+    }
+    data[field] = normalized || null;
+  });
+
+  return data;
+}
+
+/**
+ * Check Partita IVA and codice fiscale by their check digit. Only Italian
+ * codes can be checked; foreign VAT numbers just need the FatturaPA format.
+ * Returns the error message, null when the codes are valid.
+ */
+function checkFiscalIds(data: ClientFiscalData, country: string): string | null {
+  if (data.vat_number) {
+    data.vat_number = normalizeVatNumber(data.vat_number, country);
+    if (country === 'IT' && !isValidPartitaIva(data.vat_number)) {
+      return 'Partita IVA non valida: servono 11 cifre con la cifra di controllo corretta.';
+    }
+    if (country !== 'IT' && !/^[A-Z0-9]{1,28}$/.test(data.vat_number)) {
+      return 'Partita IVA non valida: al massimo 28 lettere o cifre, senza prefisso del paese.';
+    }
+  }
+
+  if (data.fiscal_code) {
+    data.fiscal_code = data.fiscal_code.replace(/\s+/g, '');
+    if (country === 'IT' && !isValidCodiceFiscale(data.fiscal_code)) {
+      return 'Codice fiscale non valido: controlla i 16 caratteri (11 cifre per le società).';
+    }
+    if (country !== 'IT' && !/^[A-Z0-9]{1,16}$/.test(data.fiscal_code)) {
+      return 'Codice fiscale non valido: al massimo 16 lettere o cifre.';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read client type, phone, payment terms and language from the request
+ * body into data. Returns the error message of the first invalid field.
+ */
+function pickProfileData(body: any, data: any): string | null {
+  if (body.client_type !== undefined) {
+    if (!Object.values(ClientType).includes(body.client_type)) {
+      return 'Tipo di cliente non valido: azienda o privato.';
+    }
+    data.client_type = body.client_type;
+  }
+
+  if (body.phone !== undefined) {
+    const phone = String(body.phone ?? '').trim();
+    if (phone && !PHONE_PATTERN.test(phone)) {
+      return 'Numero di telefono non valido.';
+    }
+    data.phone = phone || null;
+  }
+
+  if (body.payment_terms_days !== undefined) {
+    if (body.payment_terms_days === null || body.payment_terms_days === '') {
+      data.payment_terms_days = null;
+    } else {
+      const days = Number(body.payment_terms_days);
+      if (!Number.isInteger(days) || days < 0 || days > 365) {
+        return 'I termini di pagamento devono essere un numero intero di giorni tra 0 e 365.';
+      }
+      data.payment_terms_days = days;
+    }
+  }
+
+  if (body.language !== undefined) {
+    const language = String(body.language || '').trim().toLowerCase();
+    if (!CLIENT_LANGUAGES.includes(language)) {
+      return `Lingua non supportata: usa una tra ${CLIENT_LANGUAGES.join(', ')}.`;
+    }
+    data.language = language;
+  }
+
+  return null;
+}
+
+/**
+ * Read the rivalsa INPS choice: true/false, or null (empty) to follow
+ * the settings default.
+ */
+function pickInpsRivalsa(value: unknown): boolean | null | undefined {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === '') {
+    return null;
+  }
+  return value === true || value === 'true' || value === 1 || value === '1';
+}
+
+/**
+ * Read the client email: a valid address, null (empty) to remove it,
+ * or false when the address is not valid.
+ */
+function pickEmail(value: unknown): string | null | false {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const email = String(value).trim();
+  return isValidEmail(email) ? email : false;
+}
+
+export async function getClients(req: Request, res: Response): Promise<void> {
   try {
-    const clients = await clientService.getAllClients();
+    const status = (req.query.status ? String(req.query.status) : 'active') as ClientListStatus;
+    if (!LIST_STATUSES.includes(status)) {
+      sendValidationError(res, `Stato non valido: usa uno tra ${LIST_STATUSES.join(', ')}.`);
+      return;
+    }
+
+    const clients = await clientService.getAllClients(status);
     sendSuccess(res, clients);
   } catch (error) {
     console.error('Errore durante il recupero dei clienti:', error);
@@ -18,6 +154,52 @@ export async function getClients(_req: Request, res: Response): Promise<void> {
   }
 }
 
+/**
+ * Read the period of a summary from the query string (start_date, end_date).
+ */
+function pickPeriod(query: Request['query']): clientSummaryService.SummaryPeriod {
+  return {
+    startDate: query.start_date ? String(query.start_date) : undefined,
+    endDate: query.end_date ? String(query.end_date) : undefined
+  };
+}
+
+export async function getClientSummaries(req: Request, res: Response): Promise<void> {
+  try {
+    const summaries = await clientSummaryService.getClientSummaries(pickPeriod(req.query));
+    sendSuccess(res, summaries);
+  } catch (error: any) {
+    console.error('Errore durante il riepilogo dei clienti:', error);
+    if (error.message?.includes('Invalid')) {
+      sendValidationError(res, error.message);
+      return;
+    }
+    sendError(res, 'Impossibile calcolare il riepilogo dei clienti');
+  }
+}
+
+export async function getClientSummary(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      sendValidationError(res, 'ID cliente non valido');
+      return;
+    }
+
+    const summary = await clientSummaryService.getClientSummary(id, pickPeriod(req.query));
+    sendSuccess(res, summary);
+  } catch (error: any) {
+    console.error('Errore durante il riepilogo del cliente:', error);
+    if (error.message === 'Client not found') {
+      sendNotFound(res, 'Client');
+    } else if (error.message?.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Impossibile calcolare il riepilogo del cliente');
+    }
+  }
+}
+
 export async function createClient(req: Request, res: Response): Promise<void> {
   try {
     const { name, hourly_rate, notes } = req.body;
@@ -33,10 +215,29 @@ export async function createClient(req: Request, res: Response): Promise<void> {
       return;
     }
 
+    const email = pickEmail(req.body.email);
+    if (email === false) {
+      sendValidationError(res, 'Indirizzo email non valido.');
+      return;
+    }
+
+    const profileData: any = {};
+    const fiscalData = pickFiscalData(req.body);
+    const invalid = pickProfileData(req.body, profileData) ||
+      checkFiscalIds(fiscalData, fiscalData.country || 'IT');
+    if (invalid) {
+      sendValidationError(res, invalid);
+      return;
+    }
+
     const client = await clientService.createClient({
       name: name.trim(),
       hourly_rate: rate,
-      notes
+      notes,
+      email,
+      inps_rivalsa: pickInpsRivalsa(req.body.inps_rivalsa),
+      ...profileData,
+      ...fiscalData
     });
 
     sendSuccess(res, client);
@@ -55,7 +256,7 @@ export async function updateClient(req: Request, res: Response): Promise<void> {
     }
 
     const { name, hourly_rate, notes } = req.body;
-    const updateData: any = {};
+    const updateData: any = pickFiscalData(req.body);
 
     if (name !== undefined) {
       if (!name || typeof name !== 'string') {
@@ -78,6 +279,45 @@ export async function updateClient(req: Request, res: Response): Promise<void> {
       updateData.notes = notes;
     }
 
+    if (req.body.email !== undefined) {
+      const email = pickEmail(req.body.email);
+      if (email === false) {
+        sendValidationError(res, 'Indirizzo email non valido.');
+        return;
+      }
+      updateData.email = email;
+    }
+
+    if (req.body.inps_rivalsa !== undefined) {
+      updateData.inps_rivalsa = pickInpsRivalsa(req.body.inps_rivalsa);
+    }
+
+    const invalidProfile = pickProfileData(req.body, updateData);
+    if (invalidProfile) {
+      sendValidationError(res, invalidProfile);
+      return;
+    }
+
+    // The codes are checked against the country the client will have
+    if (updateData.vat_number || updateData.fiscal_code || updateData.country) {
+      const existing = await clientService.getClientById(id);
+      if (!existing) {
+        sendNotFound(res, 'Client');
+        return;
+      }
+      const fiscalIds: ClientFiscalData = {
+        vat_number: updateData.vat_number !== undefined ? updateData.vat_number : existing.vat_number,
+        fiscal_code: updateData.fiscal_code !== undefined ? updateData.fiscal_code : existing.fiscal_code
+      };
+      const invalidIds = checkFiscalIds(fiscalIds, updateData.country || existing.country || 'IT');
+      if (invalidIds) {
+        sendValidationError(res, invalidIds);
+        return;
+      }
+      if (updateData.vat_number) updateData.vat_number = fiscalIds.vat_number;
+      if (updateData.fiscal_code) updateData.fiscal_code = fiscalIds.fiscal_code;
+    }
+
     const updated = await clientService.updateClient(id, updateData);
     if (!updated) {
       sendValidationError(res, 'Cliente non trovato o nessuna modifica richiesta');
@@ -99,14 +339,130 @@ export async function deleteClient(req: Request, res: Response): Promise<void> {
       return;
     }
 
-    const result = await clientService.deleteClient(id);
-    sendSuccess(res, { 
-      deleted: true,
-      deletedHours: result.deletedHours
-    });
+    await clientService.deleteClient(id);
+    sendSuccess(res, { deleted: true });
   } catch (error: any) {
     console.error('Errore durante l\'eliminazione del cliente:', error);
-    sendError(res, 'Impossibile eliminare il cliente');
+    if (error.message === 'Client not found') {
+      sendNotFound(res, 'Client');
+    } else if (error.message === clientService.CLIENT_IN_USE_ERROR) {
+      sendConflict(res, error.message);
+    } else {
+      sendError(res, 'Impossibile eliminare il cliente');
+    }
+  }
+}
+
+export async function archiveClient(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      sendValidationError(res, 'ID cliente non valido');
+      return;
+    }
+
+    const client = await clientService.archiveClient(id);
+    sendSuccess(res, client);
+  } catch (error: any) {
+    console.error('Errore durante l\'archiviazione del cliente:', error);
+    if (error.message === 'Client not found') {
+      sendNotFound(res, 'Client');
+      return;
+    }
+    sendError(res, 'Impossibile archiviare il cliente');
+  }
+}
+
+export async function restoreClient(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      sendValidationError(res, 'ID cliente non valido');
+      return;
+    }
+
+    const client = await clientService.restoreClient(id);
+    sendSuccess(res, client);
+  } catch (error: any) {
+    console.error('Errore durante il ripristino del cliente:', error);
+    if (error.message === 'Client not found') {
+      sendNotFound(res, 'Client');
+      return;
+    }
+    sendError(res, 'Impossibile ripristinare il cliente');
+  }
+}
+
+
+/**
+ * Read the clients to merge into the target from the request body
+ * (source_ids). Returns the error message when they are not valid.
+ */
+function pickMergeSources(targetId: number, body: any): number[] | string {
+  if (!Array.isArray(body.source_ids) || body.source_ids.length === 0) {
+    return 'Seleziona almeno un cliente da unire.';
+  }
+
+  const sourceIds = [...new Set<number>(body.source_ids.map((id: unknown) => parseInt(String(id))))];
+  if (sourceIds.some((id) => isNaN(id))) {
+    return 'ID cliente non valido';
+  }
+  if (sourceIds.includes(targetId)) {
+    return 'Un cliente non può essere unito a se stesso.';
+  }
+
+  return sourceIds;
+}
+
+export async function previewClientMerge(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      sendValidationError(res, 'ID cliente non valido');
+      return;
+    }
+
+    const sourceIds = pickMergeSources(id, req.body);
+    if (typeof sourceIds === 'string') {
+      sendValidationError(res, sourceIds);
+      return;
+    }
+
+    const preview = await clientMergeService.previewClientMerge(id, sourceIds);
+    sendSuccess(res, preview);
+  } catch (error: any) {
+    console.error('Errore durante l\'anteprima dell\'unione dei clienti:', error);
+    if (error.message === 'Client not found') {
+      sendNotFound(res, 'Client');
+      return;
+    }
+    sendError(res, 'Impossibile preparare l\'unione dei clienti');
   }
 }
 
+export async function mergeClients(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) {
+      sendValidationError(res, 'ID cliente non valido');
+      return;
+    }
+
+    const sourceIds = pickMergeSources(id, req.body);
+    if (typeof sourceIds === 'string') {
+      sendValidationError(res, sourceIds);
+      return;
+    }
+
+    const recomputeAmounts = req.body.recompute_amounts === true || req.body.recompute_amounts === 'true';
+    const result = await clientMergeService.mergeClients(id, sourceIds, recomputeAmounts);
+    sendSuccess(res, result);
+  } catch (error: any) {
+    console.error('Errore durante l\'unione dei clienti:', error);
+    if (error.message === 'Client not found') {
+      sendNotFound(res, 'Client');
+      return;
+    }
+    sendError(res, 'Impossibile unire i clienti');
+  }
+}
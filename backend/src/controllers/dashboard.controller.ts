@@ -187,3 +187,27 @@ export async function getAnnualRevenueLimit(_req: Request, res: Response): Promi
   }
 }
 
+
+/**
+ * Get stamp duty report
+ * 
+ * GET /api/dashboard/stamp-duty
+ * Query params: year (optional, defaults to current year)
+ * Returns the marca da bollo due per quarter with the F24 deadlines
+ */
+export async function getStampDutyReport(req: Request, res: Response): Promise<void> {
+  try {
+    const year = req.query.year ? parseInt(req.query.year as string) : undefined;
+    
+    if (year !== undefined && (isNaN(year) || year < 2000 || year > 2100)) {
+      sendValidationError(res, 'Invalid year');
+      return;
+    }
+    
+    const report = await dashboardService.getStampDutyReport(year);
+    sendSuccess(res, report);
+  } catch (error) {
+    console.error('Error fetching stamp duty report:', error);
+    sendError(res, 'Failed to fetch stamp duty report');
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Email Controller
+ *
+ * HTTP request handlers for the email log and the SMTP test message.
+ * Invoices and reports are sent from their own endpoints.
+ */
+
+import { Request, Response } from 'express';
+import * as emailService from '../services/email.service';
+import { sendSuccess, sendError, sendCreated, sendValidationError } from '../utils/response.utils';
+
+/**
+ * Get the email log
+ *
+ * GET /api/emails
+ * Query params: invoice_id (optional), client_id (optional)
+ */
+export async function getEmailLog(req: Request, res: Response): Promise<void> {
+  try {
+    const invoiceId = req.query.invoice_id ? parseInt(req.query.invoice_id as string) : undefined;
+    const clientId = req.query.client_id ? parseInt(req.query.client_id as string) : undefined;
+
+    if ((invoiceId !== undefined && isNaN(invoiceId)) || (clientId !== undefined && isNaN(clientId))) {
+      sendValidationError(res, 'Invalid invoice or client ID');
+      return;
+    }
+
+    const log = await emailService.getEmailLog({ invoiceId, clientId });
+    sendSuccess(res, log);
+  } catch (error) {
+    console.error('Error fetching email log:', error);
+    sendError(res, 'Failed to fetch email log');
+  }
+}
+
+/**
+ * Send a test message
+ *
+ * POST /api/emails/test
+ * Body: { to? } (defaults to the sender)
+ * Returns the log entry; 502 when the SMTP server refuses the message.
+ */
+export async function sendTestEmail(req: Request, res: Response): Promise<void> {
+  try {
+    const entry = await emailService.sendTestEmail(req.body?.to);
+    sendCreated(res, entry, 'Test email sent successfully');
+  } catch (error: any) {
+    console.error('Error sending test email:', error);
+
+    if (error.message.startsWith('Email not sent')) {
+      sendError(res, error.message, 502);
+    } else if (error.message.includes('required') ||
+               error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to send test email');
+    }
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Exchange Rate Controller
+ *
+ * HTTP request handlers for the exchange rates used by invoices in
+ * other currencies.
+ */
+
+import { Request, Response } from 'express';
+import * as exchangeRateService from '../services/exchange-rate.service';
+import { getCurrentDate, isValidDateFormat } from '../utils/date.utils';
+import { sendSuccess, sendError, sendCreated, sendNotFound, sendValidationError } from '../utils/response.utils';
+
+/**
+ * Get the stored exchange rates
+ *
+ * GET /api/exchange-rates
+ * Query params: currency (optional)
+ */
+export async function getExchangeRates(req: Request, res: Response): Promise<void> {
+  try {
+    const rates = await exchangeRateService.getExchangeRates(req.query.currency as string | undefined);
+    sendSuccess(res, rates);
+  } catch (error: any) {
+    console.error('Error fetching exchange rates:', error);
+
+    if (error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to fetch exchange rates');
+    }
+  }
+}
+
+/**
+ * Find the rate that applies to a day
+ *
+ * GET /api/exchange-rates/lookup
+ * Query params: currency (required), date (optional, defaults to today)
+ * Returns the latest rate on or before the day, 404 if none is stored
+ */
+export async function lookupExchangeRate(req: Request, res: Response): Promise<void> {
+  try {
+    const currency = req.query.currency as string | undefined;
+    const date = (req.query.date as string | undefined) || getCurrentDate();
+
+    if (!currency) {
+      sendValidationError(res, 'Currency is required');
+      return;
+    }
+
+    if (!isValidDateFormat(date)) {
+      sendValidationError(res, 'Invalid date format. Use YYYY-MM-DD');
+      return;
+    }
+
+    const rate = await exchangeRateService.findExchangeRate(currency, date);
+    if (!rate) {
+      sendNotFound(res, 'Exchange rate');
+      return;
+    }
+
+    sendSuccess(res, rate);
+  } catch (error: any) {
+    console.error('Error looking up exchange rate:', error);
+
+    if (error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to look up exchange rate');
+    }
+  }
+}
+
+/**
+ * Store the rate of a currency for a day
+ *
+ * POST /api/exchange-rates
+ * Body: CreateExchangeRateDTO (replaces the rate of the same day)
+ */
+export async function saveExchangeRate(req: Request, res: Response): Promise<void> {
+  try {
+    const rate = await exchangeRateService.saveExchangeRate(req.body);
+    sendCreated(res, rate, 'Exchange rate saved successfully');
+  } catch (error: any) {
+    console.error('Error saving exchange rate:', error);
+
+    if (error.message.includes('required') ||
+        error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to save exchange rate');
+    }
+  }
+}
+
+/**
+ * Delete a stored rate
+ *
+ * DELETE /api/exchange-rates/:id
+ */
+export async function deleteExchangeRate(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid exchange rate ID');
+      return;
+    }
+
+    await exchangeRateService.deleteExchangeRate(id);
+    sendSuccess(res, { deleted: true }, 'Exchange rate deleted successfully');
+  } catch (error: any) {
+    console.error('Error deleting exchange rate:', error);
+
+    if (error.message === 'Exchange rate not found') {
+      sendNotFound(res, 'Exchange rate');
+    } else {
+      sendError(res, 'Failed to delete exchange rate');
+    }
+  }
+}
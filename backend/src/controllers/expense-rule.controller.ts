@@ -0,0 +1,233 @@
+/**
+ * Expense Rule Controller
+ *
+ * HTTP request handlers for the expense categorization rules, their
+ * priority order and the re-categorization of existing expenses.
+ */
+
+import { Request, Response } from 'express';
+import * as expenseRuleService from '../services/expense-rule.service';
+import { RecategorizeFilters } from '../models/ExpenseRule.model';
+import {
+  sendSuccess,
+  sendError,
+  sendNotFound,
+  sendCreated,
+  sendValidationError
+} from '../utils/response.utils';
+
+/**
+ * Get all expense rules in priority order
+ *
+ * GET /api/expense-rules
+ */
+export async function getAllExpenseRules(_req: Request, res: Response): Promise<void> {
+  try {
+    const rules = await expenseRuleService.getExpenseRules();
+    sendSuccess(res, rules);
+  } catch (error) {
+    console.error('Error fetching expense rules:', error);
+    sendError(res, 'Failed to fetch expense rules');
+  }
+}
+
+/**
+ * Create expense rule
+ *
+ * POST /api/expense-rules
+ * Body: SaveExpenseRuleDTO
+ */
+export async function createExpenseRule(req: Request, res: Response): Promise<void> {
+  try {
+    const rule = await expenseRuleService.createExpenseRule(req.body);
+    sendCreated(res, rule, 'Expense rule created successfully');
+  } catch (error: any) {
+    console.error('Error creating expense rule:', error);
+
+    if (error.message.includes('required') || error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to create expense rule');
+    }
+  }
+}
+
+/**
+ * Update expense rule
+ *
+ * PUT /api/expense-rules/:id
+ * Body: SaveExpenseRuleDTO
+ */
+export async function updateExpenseRule(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid expense rule ID');
+      return;
+    }
+
+    const rule = await expenseRuleService.updateExpenseRule(id, req.body);
+    sendSuccess(res, rule, 'Expense rule updated successfully');
+  } catch (error: any) {
+    console.error('Error updating expense rule:', error);
+
+    if (error.message === 'Expense rule not found') {
+      sendNotFound(res, 'Expense rule');
+    } else if (error.message.includes('required') || error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to update expense rule');
+    }
+  }
+}
+
+/**
+ * Delete expense rule
+ *
+ * DELETE /api/expense-rules/:id
+ * Expenses already categorized are not touched.
+ */
+export async function deleteExpenseRule(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid expense rule ID');
+      return;
+    }
+
+    const deleted = await expenseRuleService.deleteExpenseRule(id);
+
+    if (!deleted) {
+      sendNotFound(res, 'Expense rule');
+      return;
+    }
+
+    sendSuccess(res, { deleted: true }, 'Expense rule deleted successfully');
+  } catch (error) {
+    console.error('Error deleting expense rule:', error);
+    sendError(res, 'Failed to delete expense rule');
+  }
+}
+
+/**
+ * Set the priority order of the rules
+ *
+ * PUT /api/expense-rules/order
+ * Body: { ids: number[] } every rule ID, first tried first
+ */
+export async function reorderExpenseRules(req: Request, res: Response): Promise<void> {
+  try {
+    const rules = await expenseRuleService.reorderExpenseRules(req.body?.ids);
+    sendSuccess(res, rules, 'Expense rules reordered successfully');
+  } catch (error: any) {
+    console.error('Error reordering expense rules:', error);
+
+    if (error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to reorder expense rules');
+    }
+  }
+}
+
+/**
+ * Find the rule that applies to an expense
+ *
+ * POST /api/expense-rules/match
+ * Body: ExpenseRuleInput
+ * Returns the rule, or null if none matches.
+ */
+export async function matchExpenseRule(req: Request, res: Response): Promise<void> {
+  try {
+    const { description, supplier_name, amount } = req.body || {};
+
+    if (!description && !supplier_name) {
+      sendSuccess(res, null);
+      return;
+    }
+
+    const rule = await expenseRuleService.findMatchingRule({
+      description: String(description || ''),
+      supplier_name: supplier_name ? String(supplier_name) : null,
+      amount: amount !== undefined && amount !== null && amount !== '' ? Number(amount) : null
+    });
+    sendSuccess(res, rule);
+  } catch (error) {
+    console.error('Error matching expense rule:', error);
+    sendError(res, 'Failed to match expense rule');
+  }
+}
+
+/**
+ * Preview the re-categorization of existing expenses
+ *
+ * POST /api/expense-rules/recategorize/preview
+ * Body: { start_date?, end_date?, category_id? }
+ * Nothing is changed.
+ */
+export async function previewRecategorization(req: Request, res: Response): Promise<void> {
+  try {
+    const changes = await expenseRuleService.previewRecategorization(parseRecategorizeFilters(req.body));
+    sendSuccess(res, changes);
+  } catch (error: any) {
+    console.error('Error previewing re-categorization:', error);
+
+    if (error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to preview re-categorization');
+    }
+  }
+}
+
+/**
+ * Re-categorize existing expenses
+ *
+ * POST /api/expense-rules/recategorize
+ * Body: same filters as the preview, plus expense_ids to limit the change
+ */
+export async function applyRecategorization(req: Request, res: Response): Promise<void> {
+  try {
+    const changes = await expenseRuleService.applyRecategorization(parseRecategorizeFilters(req.body));
+    sendSuccess(res, changes, `${changes.length} expenses re-categorized`);
+  } catch (error: any) {
+    console.error('Error applying re-categorization:', error);
+
+    if (error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to apply re-categorization');
+    }
+  }
+}
+
+/**
+ * Read the re-categorization filters from the request body
+ */
+function parseRecategorizeFilters(body: any): RecategorizeFilters {
+  const filters: RecategorizeFilters = {};
+
+  if (body?.start_date) {
+    filters.start_date = String(body.start_date);
+  }
+  if (body?.end_date) {
+    filters.end_date = String(body.end_date);
+  }
+  if (body?.category_id !== undefined && body?.category_id !== null && body?.category_id !== '') {
+    const categoryId = parseInt(body.category_id);
+    if (isNaN(categoryId)) {
+      throw new Error('Invalid category ID');
+    }
+    filters.category_id = categoryId;
+  }
+  if (body?.expense_ids !== undefined) {
+    if (!Array.isArray(body.expense_ids) || body.expense_ids.some((id: unknown) => !Number.isInteger(id))) {
+      throw new Error('Invalid expense IDs');
+    }
+    filters.expense_ids = body.expense_ids;
+  }
+
+  return filters;
+}
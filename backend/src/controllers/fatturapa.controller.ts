@@ -0,0 +1,72 @@
+/**
+ * FatturaPA Controller
+ * 
+ * HTTP request handlers for importing electronic invoices.
+ * Files are sent in the JSON body, base64 encoded:
+ * { files: [{ name: 'IT01234567890_00001.xml.p7m', content: '<base64>' }] }
+ */
+
+import { Request, Response } from 'express';
+import * as importService from '../services/fatturapa-import.service';
+import {
+  sendSuccess,
+  sendError,
+  sendValidationError
+} from '../utils/response.utils';
+
+/**
+ * Preview a FatturaPA import
+ * 
+ * POST /api/fatturapa/import/preview
+ * Body: { files, category_id? }
+ */
+export async function previewImport(req: Request, res: Response): Promise<void> {
+  try {
+    const items = await importService.previewFatturaPAImport(req.body.files, parseOptions(req.body));
+    sendSuccess(res, items);
+  } catch (error: any) {
+    console.error('Error previewing FatturaPA import:', error);
+    handleImportError(res, error, 'Failed to read FatturaPA files');
+  }
+}
+
+/**
+ * Import FatturaPA files
+ * 
+ * POST /api/fatturapa/import
+ * Body: { files, selected_keys?, category_id?, mark_paid? }
+ */
+export async function importFiles(req: Request, res: Response): Promise<void> {
+  try {
+    const result = await importService.importFatturaPA(req.body.files, parseOptions(req.body));
+    sendSuccess(res, result, 'FatturaPA import completed');
+  } catch (error: any) {
+    console.error('Error importing FatturaPA files:', error);
+    handleImportError(res, error, 'Failed to import FatturaPA files');
+  }
+}
+
+function parseOptions(body: any): importService.FatturaPAImportOptions {
+  const options: importService.FatturaPAImportOptions = {};
+
+  if (Array.isArray(body.selected_keys)) {
+    options.selected_keys = body.selected_keys.map(String);
+  }
+  if (body.category_id !== undefined && body.category_id !== null && body.category_id !== '') {
+    options.category_id = parseInt(body.category_id);
+  }
+  if (body.mark_paid === true || body.mark_paid === 'true') {
+    options.mark_paid = true;
+  }
+
+  return options;
+}
+
+function handleImportError(res: Response, error: unknown, fallbackMessage: string): void {
+  const message = error instanceof Error ? error.message : String(error);
+  if (message.includes('required') || message.includes('Invalid')) {
+    sendValidationError(res, message);
+  } else {
+    sendError(res, fallbackMessage);
+  }
+}
@@ -11,24 +11,35 @@
 
 import { Request, Response } from 'express';
 import * as invoiceService from '../services/invoice.service';
-import { InvoiceStatus } from '../models/Invoice.model';
+import * as fatturapaService from '../services/fatturapa.service';
+import * as invoicePdfService from '../services/invoice-pdf.service';
+import * as invoiceNumberingService from '../services/invoice-numbering.service';
+import * as invoicePaymentService from '../services/invoice-payment.service';
+import * as receivablesService from '../services/receivables.service';
+import * as emailService from '../services/email.service';
+import * as creditNoteService from '../services/credit-note.service';
+import * as invoiceStatusService from '../services/invoice-status.service';
+import { DocumentType, InvoiceStatus } from '../models/Invoice.model';
 import {
   sendSuccess,
   sendError,
   sendNotFound,
   sendCreated,
-  sendValidationError
+  sendValidationError,
+  sendUnprocessable,
+  sendConflict
 } from '../utils/response.utils';
 
 /**
  * Get all invoices
  * 
  * GET /api/invoices
- * Query params: status (optional), client_name (optional), start_date (optional), end_date (optional)
+ * Query params: status (optional), client_id (optional), client_name (optional),
+ *               start_date (optional), end_date (optional)
  */
 export async function getAllInvoices(req: Request, res: Response): Promise<void> {
   try {
-    const { status, client_name, start_date, end_date } = req.query;
+    const { status, client_id, client_name, start_date, end_date } = req.query;
     
     // Validate status if provided
     if (status && !Object.values(InvoiceStatus).includes(status as InvoiceStatus)) {
@@ -36,8 +47,14 @@ export async function getAllInvoices(req: Request, res: Response): Promise<void>
       return;
     }
     
+    if (client_id && isNaN(parseInt(client_id as string))) {
+      sendValidationError(res, 'Invalid client ID');
+      return;
+    }
+    
     const filters: any = {};
     if (status) filters.status = status as InvoiceStatus;
+    if (client_id) filters.clientId = parseInt(client_id as string);
     if (client_name) filters.clientName = client_name as string;
     if (start_date) filters.startDate = start_date as string;
     if (end_date) filters.endDate = end_date as string;
@@ -78,6 +95,73 @@ export async function getInvoiceById(req: Request, res: Response): Promise<void>
   }
 }
 
+/**
+ * Get the next invoice number
+ * 
+ * GET /api/invoices/numbering/next
+ * Query params: issue_date (optional, defaults to today),
+ *               document_type (optional, invoice or credit_note)
+ * Returns the number the next invoice would receive, without reserving it.
+ */
+export async function getNextInvoiceNumber(req: Request, res: Response): Promise<void> {
+  try {
+    const issueDate = req.query.issue_date as string | undefined;
+    const documentType = (req.query.document_type as DocumentType) || DocumentType.INVOICE;
+    
+    if (!Object.values(DocumentType).includes(documentType)) {
+      sendValidationError(res, 'Invalid document type');
+      return;
+    }
+    
+    const invoiceNumber = await invoiceNumberingService.getNextInvoiceNumber(issueDate, documentType);
+    sendSuccess(res, { invoice_number: invoiceNumber });
+  } catch (error: any) {
+    console.error('Error computing next invoice number:', error);
+    
+    if (error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to compute next invoice number');
+    }
+  }
+}
+
+/**
+ * Check invoice numbering continuity
+ * 
+ * GET /api/invoices/numbering/check
+ * Query params: year (optional, defaults to the current year),
+ *               document_type (optional, invoice or credit_note)
+ * Reports gaps, duplicates and out-of-order numbers by issue date.
+ */
+export async function checkInvoiceNumbering(req: Request, res: Response): Promise<void> {
+  try {
+    const year = req.query.year ? parseInt(req.query.year as string) : new Date().getFullYear();
+    const documentType = (req.query.document_type as DocumentType) || DocumentType.INVOICE;
+    
+    if (isNaN(year) || year < 1900 || year > 9999) {
+      sendValidationError(res, 'Invalid year');
+      return;
+    }
+    
+    if (!Object.values(DocumentType).includes(documentType)) {
+      sendValidationError(res, 'Invalid document type');
+      return;
+    }
+    
+    const result = await invoiceNumberingService.checkInvoiceNumbering(year, documentType);
+    sendSuccess(res, result);
+  } catch (error: any) {
+    console.error('Error checking invoice numbering:', error);
+    
+    if (error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to check invoice numbering');
+    }
+  }
+}
+
 /**
  * Create new invoice
  * 
@@ -92,7 +176,9 @@ export async function createInvoice(req: Request, res: Response): Promise<void>
     console.error('Error creating invoice:', error);
     
     // Send validation error if it's a known business logic error
-    if (error.message.includes('required') || 
+    if (error.message === 'Client not found') {
+      sendNotFound(res, 'Client');
+    } else if (error.message.includes('required') || 
         error.message.includes('Invalid') ||
         error.message.includes('already exists')) {
       sendValidationError(res, error.message);
@@ -102,6 +188,35 @@ export async function createInvoice(req: Request, res: Response): Promise<void>
   }
 }
 
+/**
+ * Create draft invoice from unbilled worked hours
+ * 
+ * POST /api/invoices/from-worked-hours
+ * Body: CreateInvoiceFromWorkedHoursDTO
+ */
+export async function createInvoiceFromWorkedHours(req: Request, res: Response): Promise<void> {
+  try {
+    const invoice = await invoiceService.createInvoiceFromWorkedHours({
+      ...req.body,
+      client_id: parseInt(req.body.client_id)
+    });
+    sendCreated(res, invoice, 'Invoice created from worked hours');
+  } catch (error: any) {
+    console.error('Error creating invoice from worked hours:', error);
+    
+    if (error.message === 'Client not found') {
+      sendNotFound(res, 'Client');
+    } else if (error.message.includes('required') ||
+               error.message.includes('Invalid') ||
+               error.message.includes('already exists') ||
+               error.message.includes('No unbilled')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to create invoice from worked hours');
+    }
+  }
+}
+
 /**
  * Update invoice
  * 
@@ -124,7 +239,12 @@ export async function updateInvoice(req: Request, res: Response): Promise<void>
     
     if (error.message === 'Invoice not found') {
       sendNotFound(res, 'Invoice');
-    } else if (error.message.includes('Invalid') || 
+    } else if (error.message === 'Client not found') {
+      sendNotFound(res, 'Client');
+    } else if (error.message.startsWith('Invalid status transition')) {
+      sendConflict(res, error.message);
+    } else if (error.message.includes('required') ||
+               error.message.includes('Invalid') || 
                error.message.includes('already exists')) {
       sendValidationError(res, error.message);
     } else {
@@ -138,6 +258,8 @@ export async function updateInvoice(req: Request, res: Response): Promise<void>
  * 
  * PATCH /api/invoices/:id/status
  * Body: { status: InvoiceStatus }
+ * A draft can be sent, paid records a payment of the balance; any other
+ * transition returns 409 with the reason.
  */
 export async function updateInvoiceStatus(req: Request, res: Response): Promise<void> {
   try {
@@ -161,12 +283,44 @@ export async function updateInvoiceStatus(req: Request, res: Response): Promise<
     
     if (error.message === 'Invoice not found') {
       sendNotFound(res, 'Invoice');
+    } else if (error.message.startsWith('Invalid status transition')) {
+      sendConflict(res, error.message);
+    } else if (error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
     } else {
       sendError(res, 'Failed to update invoice status');
     }
   }
 }
 
+/**
+ * Get the status history of an invoice
+ * 
+ * GET /api/invoices/:id/status-history
+ * Returns every status change, oldest first, with its source.
+ */
+export async function getInvoiceStatusHistory(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid invoice ID');
+      return;
+    }
+    
+    const history = await invoiceStatusService.getInvoiceStatusHistory(id);
+    sendSuccess(res, history);
+  } catch (error: any) {
+    console.error('Error fetching invoice status history:', error);
+    
+    if (error.message === 'Invoice not found') {
+      sendNotFound(res, 'Invoice');
+    } else {
+      sendError(res, 'Failed to fetch invoice status history');
+    }
+  }
+}
+
 /**
  * Delete invoice
  * 
@@ -188,9 +342,378 @@ export async function deleteInvoice(req: Request, res: Response): Promise<void>
     
     if (error.message === 'Invoice not found') {
       sendNotFound(res, 'Invoice');
+    } else if (error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
     } else {
       sendError(res, 'Failed to delete invoice');
     }
   }
 }
 
+
+/**
+ * Export invoice as FatturaPA XML
+ * 
+ * GET /api/invoices/:id/fatturapa
+ * Returns the FPR12 document as a file download, or 422 with the list
+ * of validation errors when fiscal data is missing or invalid.
+ */
+export async function exportFatturaPA(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid invoice ID');
+      return;
+    }
+    
+    const result = await fatturapaService.exportInvoiceFatturaPA(id);
+    
+    if (!result.document) {
+      sendUnprocessable(res, 'The invoice cannot be exported as FatturaPA', result.errors);
+      return;
+    }
+    
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.document.filename}"`);
+    res.send(result.document.xml);
+  } catch (error: any) {
+    console.error('Error exporting FatturaPA:', error);
+    
+    if (error.message === 'Invoice not found') {
+      sendNotFound(res, 'Invoice');
+    } else {
+      sendError(res, 'Failed to export FatturaPA');
+    }
+  }
+}
+
+/**
+ * Download invoice as PDF
+ * 
+ * GET /api/invoices/:id/pdf
+ * Returns the branded courtesy copy of the invoice as a file download.
+ */
+export async function downloadInvoicePdf(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid invoice ID');
+      return;
+    }
+    
+    const pdf = await invoicePdfService.generateInvoicePdf(id);
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${pdf.filename}"`);
+    res.send(pdf.content);
+  } catch (error: any) {
+    console.error('Error generating invoice PDF:', error);
+    
+    if (error.message === 'Invoice not found') {
+      sendNotFound(res, 'Invoice');
+    } else {
+      sendError(res, 'Failed to generate invoice PDF');
+    }
+  }
+}
+
+/**
+ * Get invoice payments
+ * 
+ * GET /api/invoices/:id/payments
+ */
+export async function getInvoicePayments(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid invoice ID');
+      return;
+    }
+    
+    const payments = await invoicePaymentService.getInvoicePayments(id);
+    sendSuccess(res, payments);
+  } catch (error: any) {
+    console.error('Error fetching invoice payments:', error);
+    
+    if (error.message === 'Invoice not found') {
+      sendNotFound(res, 'Invoice');
+    } else {
+      sendError(res, 'Failed to fetch invoice payments');
+    }
+  }
+}
+
+/**
+ * Record a payment on an invoice
+ * 
+ * POST /api/invoices/:id/payments
+ * Body: { payment_date, amount, method?, note? }
+ * Returns the invoice with its updated status and balance.
+ */
+export async function addInvoicePayment(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid invoice ID');
+      return;
+    }
+    
+    await invoicePaymentService.addInvoicePayment(id, req.body);
+    const invoice = await invoiceService.getInvoiceById(id);
+    sendCreated(res, invoice, 'Payment recorded successfully');
+  } catch (error: any) {
+    console.error('Error recording invoice payment:', error);
+    
+    if (error.message === 'Invoice not found') {
+      sendNotFound(res, 'Invoice');
+    } else if (error.message.startsWith('Invalid status transition')) {
+      sendConflict(res, error.message);
+    } else if (error.message.includes('required') ||
+               error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to record payment');
+    }
+  }
+}
+
+/**
+ * Delete a payment from an invoice
+ * 
+ * DELETE /api/invoices/:id/payments/:paymentId
+ * Returns the invoice with its updated status and balance.
+ */
+export async function deleteInvoicePayment(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    const paymentId = parseInt(req.params.paymentId);
+    
+    if (isNaN(id) || isNaN(paymentId)) {
+      sendValidationError(res, 'Invalid invoice or payment ID');
+      return;
+    }
+    
+    await invoicePaymentService.deleteInvoicePayment(id, paymentId);
+    const invoice = await invoiceService.getInvoiceById(id);
+    sendSuccess(res, invoice, 'Payment deleted successfully');
+  } catch (error: any) {
+    console.error('Error deleting invoice payment:', error);
+    
+    if (error.message === 'Payment not found') {
+      sendNotFound(res, 'Payment');
+    } else {
+      sendError(res, 'Failed to delete payment');
+    }
+  }
+}
+
+/**
+ * Get the proposed email for an invoice
+ * 
+ * GET /api/invoices/:id/email
+ * Returns recipient, subject and body filled from the templates.
+ */
+export async function getInvoiceEmailDraft(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid invoice ID');
+      return;
+    }
+    
+    const draft = await emailService.getInvoiceEmailDraft(id);
+    sendSuccess(res, draft);
+  } catch (error: any) {
+    console.error('Error preparing invoice email:', error);
+    
+    if (error.message === 'Invoice not found') {
+      sendNotFound(res, 'Invoice');
+    } else {
+      sendError(res, 'Failed to prepare invoice email');
+    }
+  }
+}
+
+/**
+ * Email an invoice with its PDF
+ * 
+ * POST /api/invoices/:id/email
+ * Body: { to?, subject?, body? } (defaults from the draft)
+ * Returns the log entry; 502 when the SMTP server refuses the message.
+ */
+export async function sendInvoiceEmail(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid invoice ID');
+      return;
+    }
+    
+    const entry = await emailService.sendInvoiceEmail(id, req.body);
+    sendCreated(res, entry, 'Email sent successfully');
+  } catch (error: any) {
+    console.error('Error sending invoice email:', error);
+    
+    if (error.message === 'Invoice not found') {
+      sendNotFound(res, 'Invoice');
+    } else if (error.message.startsWith('Email not sent')) {
+      sendError(res, error.message, 502);
+    } else if (error.message.includes('required') ||
+               error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to send invoice email');
+    }
+  }
+}
+
+/**
+ * Get invoice reminders
+ * 
+ * GET /api/invoices/:id/reminders
+ */
+export async function getInvoiceReminders(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid invoice ID');
+      return;
+    }
+    
+    const reminders = await receivablesService.getInvoiceReminders(id);
+    sendSuccess(res, reminders);
+  } catch (error: any) {
+    console.error('Error fetching invoice reminders:', error);
+    
+    if (error.message === 'Invoice not found') {
+      sendNotFound(res, 'Invoice');
+    } else {
+      sendError(res, 'Failed to fetch invoice reminders');
+    }
+  }
+}
+
+/**
+ * Log a reminder sent for an invoice
+ * 
+ * POST /api/invoices/:id/reminders
+ * Body: { reminder_date?, level?, note? }
+ */
+export async function addInvoiceReminder(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid invoice ID');
+      return;
+    }
+    
+    const reminder = await receivablesService.addInvoiceReminder(id, req.body);
+    sendCreated(res, reminder, 'Reminder logged successfully');
+  } catch (error: any) {
+    console.error('Error logging invoice reminder:', error);
+    
+    if (error.message === 'Invoice not found') {
+      sendNotFound(res, 'Invoice');
+    } else if (error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to log reminder');
+    }
+  }
+}
+
+/**
+ * Delete a reminder from an invoice
+ * 
+ * DELETE /api/invoices/:id/reminders/:reminderId
+ */
+export async function deleteInvoiceReminder(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    const reminderId = parseInt(req.params.reminderId);
+    
+    if (isNaN(id) || isNaN(reminderId)) {
+      sendValidationError(res, 'Invalid invoice or reminder ID');
+      return;
+    }
+    
+    await receivablesService.deleteInvoiceReminder(id, reminderId);
+    sendSuccess(res, { deleted: true }, 'Reminder deleted successfully');
+  } catch (error: any) {
+    console.error('Error deleting invoice reminder:', error);
+    
+    if (error.message === 'Reminder not found') {
+      sendNotFound(res, 'Reminder');
+    } else {
+      sendError(res, 'Failed to delete reminder');
+    }
+  }
+}
+
+/**
+ * Get the credit notes of an invoice
+ * 
+ * GET /api/invoices/:id/credit-notes
+ */
+export async function getCreditNotes(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid invoice ID');
+      return;
+    }
+    
+    const creditNotes = await creditNoteService.getCreditNotes(id);
+    sendSuccess(res, creditNotes);
+  } catch (error: any) {
+    console.error('Error fetching credit notes:', error);
+    
+    if (error.message === 'Invoice not found') {
+      sendNotFound(res, 'Invoice');
+    } else {
+      sendError(res, 'Failed to fetch credit notes');
+    }
+  }
+}
+
+/**
+ * Issue a credit note for an invoice
+ * 
+ * POST /api/invoices/:id/credit-notes
+ * Body: { amount?, items?, description?, issue_date?, invoice_number? }
+ * Without amount or items the whole invoice is credited.
+ */
+export async function createCreditNote(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid invoice ID');
+      return;
+    }
+    
+    const creditNote = await creditNoteService.createCreditNote(id, req.body || {});
+    sendCreated(res, creditNote, 'Credit note created successfully');
+  } catch (error: any) {
+    console.error('Error creating credit note:', error);
+    
+    if (error.message === 'Invoice not found') {
+      sendNotFound(res, 'Invoice');
+    } else if (error.message.includes('required') ||
+               error.message.includes('Invalid') ||
+               error.message.includes('already exists')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to create credit note');
+    }
+  }
+}
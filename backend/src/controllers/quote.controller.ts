@@ -0,0 +1,284 @@
+/**
+ * Quote Controller
+ *
+ * HTTP request handlers for quotes: CRUD, the client's answer, PDF
+ * download, conversion into an invoice and acceptance statistics.
+ */
+
+import { Request, Response } from 'express';
+import * as quoteService from '../services/quote.service';
+import * as invoicePdfService from '../services/invoice-pdf.service';
+import { QuoteStatus } from '../models/Quote.model';
+import {
+  sendSuccess,
+  sendError,
+  sendNotFound,
+  sendCreated,
+  sendValidationError
+} from '../utils/response.utils';
+
+/**
+ * Get all quotes
+ *
+ * GET /api/quotes
+ * Query params: status (optional), client_name (optional), year (optional)
+ */
+export async function getAllQuotes(req: Request, res: Response): Promise<void> {
+  try {
+    const { status, client_name, year } = req.query;
+
+    if (status && !Object.values(QuoteStatus).includes(status as QuoteStatus)) {
+      sendValidationError(res, 'Invalid status value');
+      return;
+    }
+
+    const filters: any = {};
+    if (status) filters.status = status as QuoteStatus;
+    if (client_name) filters.clientName = client_name as string;
+    if (year) {
+      filters.year = parseInt(year as string);
+      if (isNaN(filters.year)) {
+        sendValidationError(res, 'Invalid year');
+        return;
+      }
+    }
+
+    const quotes = await quoteService.getAllQuotes(filters);
+    sendSuccess(res, quotes);
+  } catch (error) {
+    console.error('Error fetching quotes:', error);
+    sendError(res, 'Failed to fetch quotes');
+  }
+}
+
+/**
+ * Get acceptance statistics per client
+ *
+ * GET /api/quotes/stats
+ * Query params: year (optional, all years if omitted)
+ */
+export async function getQuoteStats(req: Request, res: Response): Promise<void> {
+  try {
+    const year = req.query.year ? parseInt(req.query.year as string) : undefined;
+
+    if (year !== undefined && (isNaN(year) || year < 1900 || year > 9999)) {
+      sendValidationError(res, 'Invalid year');
+      return;
+    }
+
+    const stats = await quoteService.getQuoteStats(year);
+    sendSuccess(res, stats);
+  } catch (error) {
+    console.error('Error fetching quote stats:', error);
+    sendError(res, 'Failed to fetch quote stats');
+  }
+}
+
+/**
+ * Get single quote by ID
+ *
+ * GET /api/quotes/:id
+ */
+export async function getQuoteById(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid quote ID');
+      return;
+    }
+
+    const quote = await quoteService.getQuoteById(id);
+
+    if (!quote) {
+      sendNotFound(res, 'Quote');
+      return;
+    }
+
+    sendSuccess(res, quote);
+  } catch (error) {
+    console.error('Error fetching quote:', error);
+    sendError(res, 'Failed to fetch quote');
+  }
+}
+
+/**
+ * Create quote
+ *
+ * POST /api/quotes
+ * Body: CreateQuoteDTO
+ */
+export async function createQuote(req: Request, res: Response): Promise<void> {
+  try {
+    const quote = await quoteService.createQuote(req.body);
+    sendCreated(res, quote, 'Quote created successfully');
+  } catch (error: any) {
+    console.error('Error creating quote:', error);
+
+    if (error.message.includes('required') ||
+        error.message.includes('Invalid') ||
+        error.message.includes('already exists')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to create quote');
+    }
+  }
+}
+
+/**
+ * Update quote
+ *
+ * PUT /api/quotes/:id
+ * Body: UpdateQuoteDTO
+ */
+export async function updateQuote(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid quote ID');
+      return;
+    }
+
+    const quote = await quoteService.updateQuote(id, req.body);
+    sendSuccess(res, quote, 'Quote updated successfully');
+  } catch (error: any) {
+    console.error('Error updating quote:', error);
+
+    if (error.message === 'Quote not found') {
+      sendNotFound(res, 'Quote');
+    } else if (error.message.includes('Invalid') ||
+               error.message.includes('already exists')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to update quote');
+    }
+  }
+}
+
+/**
+ * Update quote status
+ *
+ * PATCH /api/quotes/:id/status
+ * Body: { status: QuoteStatus }
+ */
+export async function updateQuoteStatus(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    const { status } = req.body;
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid quote ID');
+      return;
+    }
+
+    if (!status || !Object.values(QuoteStatus).includes(status)) {
+      sendValidationError(res, 'Invalid or missing status value');
+      return;
+    }
+
+    const quote = await quoteService.updateQuoteStatus(id, status);
+    sendSuccess(res, quote, 'Quote status updated successfully');
+  } catch (error: any) {
+    console.error('Error updating quote status:', error);
+
+    if (error.message === 'Quote not found') {
+      sendNotFound(res, 'Quote');
+    } else if (error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to update quote status');
+    }
+  }
+}
+
+/**
+ * Delete quote
+ *
+ * DELETE /api/quotes/:id
+ */
+export async function deleteQuote(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid quote ID');
+      return;
+    }
+
+    const deleted = await quoteService.deleteQuote(id);
+
+    if (!deleted) {
+      sendNotFound(res, 'Quote');
+      return;
+    }
+
+    sendSuccess(res, { deleted: true }, 'Quote deleted successfully');
+  } catch (error) {
+    console.error('Error deleting quote:', error);
+    sendError(res, 'Failed to delete quote');
+  }
+}
+
+/**
+ * Convert quote into an invoice
+ *
+ * POST /api/quotes/:id/convert
+ * Body: { issue_date?, due_date? }
+ * Returns the draft invoice created from the quote.
+ */
+export async function convertQuote(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid quote ID');
+      return;
+    }
+
+    const invoice = await quoteService.convertQuoteToInvoice(id, req.body || {});
+    sendCreated(res, invoice, 'Quote converted into invoice');
+  } catch (error: any) {
+    console.error('Error converting quote:', error);
+
+    if (error.message === 'Quote not found') {
+      sendNotFound(res, 'Quote');
+    } else if (error.message.includes('required') ||
+               error.message.includes('Invalid') ||
+               error.message.includes('already exists')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to convert quote');
+    }
+  }
+}
+
+/**
+ * Download quote as PDF
+ *
+ * GET /api/quotes/:id/pdf
+ */
+export async function downloadQuotePdf(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid quote ID');
+      return;
+    }
+
+    const pdf = await invoicePdfService.generateQuotePdf(id);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${pdf.filename}"`);
+    res.send(pdf.content);
+  } catch (error: any) {
+    console.error('Error generating quote PDF:', error);
+
+    if (error.message === 'Quote not found') {
+      sendNotFound(res, 'Quote');
+    } else {
+      sendError(res, 'Failed to generate quote PDF');
+    }
+  }
+}
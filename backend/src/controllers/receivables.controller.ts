@@ -0,0 +1,42 @@
+/**
+ * Receivables Controller
+ *
+ * HTTP request handlers for the aging report and the dunning list.
+ * Reminders of a single invoice are handled with the invoice endpoints.
+ */
+
+import { Request, Response } from 'express';
+import * as receivablesService from '../services/receivables.service';
+import { sendSuccess, sendError } from '../utils/response.utils';
+
+/**
+ * Get the aging report
+ *
+ * GET /api/receivables/aging
+ * Returns the outstanding amounts of each client by days past due
+ */
+export async function getAgingReport(_req: Request, res: Response): Promise<void> {
+  try {
+    const report = await receivablesService.getAgingReport();
+    sendSuccess(res, report);
+  } catch (error) {
+    console.error('Error fetching aging report:', error);
+    sendError(res, 'Failed to fetch aging report');
+  }
+}
+
+/**
+ * Get the dunning list
+ *
+ * GET /api/receivables/dunning
+ * Returns the overdue invoices to chase, with the late payment interest
+ */
+export async function getDunningList(_req: Request, res: Response): Promise<void> {
+  try {
+    const list = await receivablesService.getDunningList();
+    sendSuccess(res, list);
+  } catch (error) {
+    console.error('Error fetching dunning list:', error);
+    sendError(res, 'Failed to fetch dunning list');
+  }
+}
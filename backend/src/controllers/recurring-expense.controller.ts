@@ -0,0 +1,178 @@
+/**
+ * Recurring Expense Controller
+ *
+ * HTTP request handlers for recurring expenses (subscriptions), their
+ * overview and the manual run of the scheduler.
+ */
+
+import { Request, Response } from 'express';
+import * as recurringExpenseService from '../services/recurring-expense.service';
+import {
+  sendSuccess,
+  sendError,
+  sendNotFound,
+  sendCreated,
+  sendValidationError
+} from '../utils/response.utils';
+
+/**
+ * Get all recurring expenses
+ *
+ * GET /api/recurring-expenses
+ */
+export async function getAllRecurringExpenses(_req: Request, res: Response): Promise<void> {
+  try {
+    const recurringExpenses = await recurringExpenseService.getAllRecurringExpenses();
+    sendSuccess(res, recurringExpenses);
+  } catch (error) {
+    console.error('Error fetching recurring expenses:', error);
+    sendError(res, 'Failed to fetch recurring expenses');
+  }
+}
+
+/**
+ * Get the subscriptions overview
+ *
+ * GET /api/recurring-expenses/overview
+ * Query params: days (optional, 1-366, defaults to 60)
+ */
+export async function getSubscriptionOverview(req: Request, res: Response): Promise<void> {
+  try {
+    const days = req.query.days ? parseInt(req.query.days as string) : 60;
+
+    if (isNaN(days)) {
+      sendValidationError(res, 'Invalid days');
+      return;
+    }
+
+    const overview = await recurringExpenseService.getSubscriptionOverview(days);
+    sendSuccess(res, overview);
+  } catch (error) {
+    console.error('Error fetching subscriptions overview:', error);
+    sendError(res, 'Failed to fetch subscriptions overview');
+  }
+}
+
+/**
+ * Get single recurring expense by ID
+ *
+ * GET /api/recurring-expenses/:id
+ */
+export async function getRecurringExpenseById(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid recurring expense ID');
+      return;
+    }
+
+    const recurringExpense = await recurringExpenseService.getRecurringExpenseById(id);
+
+    if (!recurringExpense) {
+      sendNotFound(res, 'Recurring expense');
+      return;
+    }
+
+    sendSuccess(res, recurringExpense);
+  } catch (error) {
+    console.error('Error fetching recurring expense:', error);
+    sendError(res, 'Failed to fetch recurring expense');
+  }
+}
+
+/**
+ * Create recurring expense
+ *
+ * POST /api/recurring-expenses
+ * Body: CreateRecurringExpenseDTO
+ */
+export async function createRecurringExpense(req: Request, res: Response): Promise<void> {
+  try {
+    const recurringExpense = await recurringExpenseService.createRecurringExpense(req.body);
+    sendCreated(res, recurringExpense, 'Recurring expense created successfully');
+  } catch (error: any) {
+    console.error('Error creating recurring expense:', error);
+
+    if (error.message.includes('required') || error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to create recurring expense');
+    }
+  }
+}
+
+/**
+ * Update recurring expense
+ *
+ * PUT /api/recurring-expenses/:id
+ * Body: UpdateRecurringExpenseDTO
+ */
+export async function updateRecurringExpense(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid recurring expense ID');
+      return;
+    }
+
+    const recurringExpense = await recurringExpenseService.updateRecurringExpense(id, req.body);
+    sendSuccess(res, recurringExpense, 'Recurring expense updated successfully');
+  } catch (error: any) {
+    console.error('Error updating recurring expense:', error);
+
+    if (error.message === 'Recurring expense not found') {
+      sendNotFound(res, 'Recurring expense');
+    } else if (error.message.includes('required') || error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to update recurring expense');
+    }
+  }
+}
+
+/**
+ * Delete recurring expense
+ *
+ * DELETE /api/recurring-expenses/:id
+ * Expenses already created are kept.
+ */
+export async function deleteRecurringExpense(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid recurring expense ID');
+      return;
+    }
+
+    const deleted = await recurringExpenseService.deleteRecurringExpense(id);
+
+    if (!deleted) {
+      sendNotFound(res, 'Recurring expense');
+      return;
+    }
+
+    sendSuccess(res, { deleted: true }, 'Recurring expense deleted successfully');
+  } catch (error) {
+    console.error('Error deleting recurring expense:', error);
+    sendError(res, 'Failed to delete recurring expense');
+  }
+}
+
+/**
+ * Create the expenses of due renewals now
+ *
+ * POST /api/recurring-expenses/run
+ * Same work the scheduler does periodically.
+ */
+export async function runRecurringExpenses(_req: Request, res: Response): Promise<void> {
+  try {
+    const result = await recurringExpenseService.generateDueRecurringExpenses();
+    sendSuccess(res, result, `${result.generated} expenses created`);
+  } catch (error) {
+    console.error('Error generating recurring expenses:', error);
+    sendError(res, 'Failed to generate recurring expenses');
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * Recurring Invoice Controller
+ *
+ * HTTP request handlers for recurring invoice templates, their
+ * occurrences and the manual run of the scheduler.
+ */
+
+import { Request, Response } from 'express';
+import * as recurringInvoiceService from '../services/recurring-invoice.service';
+import {
+  sendSuccess,
+  sendError,
+  sendNotFound,
+  sendCreated,
+  sendValidationError
+} from '../utils/response.utils';
+
+/**
+ * Get all recurring invoices
+ *
+ * GET /api/recurring-invoices
+ */
+export async function getAllRecurringInvoices(_req: Request, res: Response): Promise<void> {
+  try {
+    const templates = await recurringInvoiceService.getAllRecurringInvoices();
+    sendSuccess(res, templates);
+  } catch (error) {
+    console.error('Error fetching recurring invoices:', error);
+    sendError(res, 'Failed to fetch recurring invoices');
+  }
+}
+
+/**
+ * Get single recurring invoice by ID
+ *
+ * GET /api/recurring-invoices/:id
+ */
+export async function getRecurringInvoiceById(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid recurring invoice ID');
+      return;
+    }
+
+    const template = await recurringInvoiceService.getRecurringInvoiceById(id);
+
+    if (!template) {
+      sendNotFound(res, 'Recurring invoice');
+      return;
+    }
+
+    sendSuccess(res, template);
+  } catch (error) {
+    console.error('Error fetching recurring invoice:', error);
+    sendError(res, 'Failed to fetch recurring invoice');
+  }
+}
+
+/**
+ * Create recurring invoice
+ *
+ * POST /api/recurring-invoices
+ * Body: CreateRecurringInvoiceDTO
+ */
+export async function createRecurringInvoice(req: Request, res: Response): Promise<void> {
+  try {
+    const template = await recurringInvoiceService.createRecurringInvoice(req.body);
+    sendCreated(res, template, 'Recurring invoice created successfully');
+  } catch (error: any) {
+    console.error('Error creating recurring invoice:', error);
+
+    if (error.message.includes('required') || error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to create recurring invoice');
+    }
+  }
+}
+
+/**
+ * Update recurring invoice
+ *
+ * PUT /api/recurring-invoices/:id
+ * Body: UpdateRecurringInvoiceDTO
+ */
+export async function updateRecurringInvoice(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid recurring invoice ID');
+      return;
+    }
+
+    const template = await recurringInvoiceService.updateRecurringInvoice(id, req.body);
+    sendSuccess(res, template, 'Recurring invoice updated successfully');
+  } catch (error: any) {
+    console.error('Error updating recurring invoice:', error);
+
+    if (error.message === 'Recurring invoice not found') {
+      sendNotFound(res, 'Recurring invoice');
+    } else if (error.message.includes('required') || error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to update recurring invoice');
+    }
+  }
+}
+
+/**
+ * Delete recurring invoice
+ *
+ * DELETE /api/recurring-invoices/:id
+ * Drafts already generated are kept.
+ */
+export async function deleteRecurringInvoice(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid recurring invoice ID');
+      return;
+    }
+
+    const deleted = await recurringInvoiceService.deleteRecurringInvoice(id);
+
+    if (!deleted) {
+      sendNotFound(res, 'Recurring invoice');
+      return;
+    }
+
+    sendSuccess(res, { deleted: true }, 'Recurring invoice deleted successfully');
+  } catch (error) {
+    console.error('Error deleting recurring invoice:', error);
+    sendError(res, 'Failed to delete recurring invoice');
+  }
+}
+
+/**
+ * Get upcoming occurrences
+ *
+ * GET /api/recurring-invoices/:id/occurrences
+ * Query params: count (optional, 1-24, defaults to 6)
+ */
+export async function getUpcomingOccurrences(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+    const count = req.query.count ? parseInt(req.query.count as string) : 6;
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid recurring invoice ID');
+      return;
+    }
+
+    if (isNaN(count)) {
+      sendValidationError(res, 'Invalid count');
+      return;
+    }
+
+    const occurrences = await recurringInvoiceService.getUpcomingOccurrences(id, count);
+    sendSuccess(res, occurrences);
+  } catch (error: any) {
+    console.error('Error fetching recurring invoice occurrences:', error);
+
+    if (error.message === 'Recurring invoice not found') {
+      sendNotFound(res, 'Recurring invoice');
+    } else {
+      sendError(res, 'Failed to fetch occurrences');
+    }
+  }
+}
+
+/**
+ * Skip an occurrence
+ *
+ * POST /api/recurring-invoices/:id/occurrences/:date/skip
+ */
+export async function skipOccurrence(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid recurring invoice ID');
+      return;
+    }
+
+    await recurringInvoiceService.skipOccurrence(id, req.params.date);
+    const occurrences = await recurringInvoiceService.getUpcomingOccurrences(id);
+    sendSuccess(res, occurrences, 'Occurrence skipped');
+  } catch (error: any) {
+    console.error('Error skipping occurrence:', error);
+
+    if (error.message === 'Recurring invoice not found') {
+      sendNotFound(res, 'Recurring invoice');
+    } else if (error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to skip occurrence');
+    }
+  }
+}
+
+/**
+ * Restore a skipped occurrence
+ *
+ * DELETE /api/recurring-invoices/:id/occurrences/:date/skip
+ */
+export async function restoreOccurrence(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid recurring invoice ID');
+      return;
+    }
+
+    await recurringInvoiceService.restoreOccurrence(id, req.params.date);
+    const occurrences = await recurringInvoiceService.getUpcomingOccurrences(id);
+    sendSuccess(res, occurrences, 'Occurrence restored');
+  } catch (error: any) {
+    console.error('Error restoring occurrence:', error);
+
+    if (error.message === 'Recurring invoice not found') {
+      sendNotFound(res, 'Recurring invoice');
+    } else if (error.message === 'Skipped occurrence not found') {
+      sendNotFound(res, 'Skipped occurrence');
+    } else if (error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to restore occurrence');
+    }
+  }
+}
+
+/**
+ * Generate due recurring invoices now
+ *
+ * POST /api/recurring-invoices/run
+ * Same work the scheduler does periodically.
+ */
+export async function runRecurringInvoices(_req: Request, res: Response): Promise<void> {
+  try {
+    const result = await recurringInvoiceService.generateDueRecurringInvoices();
+    sendSuccess(res, result, `${result.generated} draft invoices generated`);
+  } catch (error) {
+    console.error('Error generating recurring invoices:', error);
+    sendError(res, 'Failed to generate recurring invoices');
+  }
+}
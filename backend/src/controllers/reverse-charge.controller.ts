@@ -0,0 +1,105 @@
+/**
+ * Reverse Charge Controller
+ *
+ * HTTP request handlers for the reverse-charge IVA report, the IVA still
+ * to pay and the F24 payments.
+ */
+
+import { Request, Response } from 'express';
+import * as reverseChargeService from '../services/reverse-charge.service';
+import {
+  sendSuccess,
+  sendError,
+  sendNotFound,
+  sendCreated,
+  sendValidationError
+} from '../utils/response.utils';
+
+/**
+ * Get the reverse-charge IVA report
+ *
+ * GET /api/reverse-charge/report
+ * Query params: year (optional, defaults to current year)
+ * Returns the IVA by month and quarter with documents, F24 deadlines and payments
+ */
+export async function getReverseChargeReport(req: Request, res: Response): Promise<void> {
+  try {
+    const year = req.query.year ? parseInt(req.query.year as string) : undefined;
+
+    if (year !== undefined && (isNaN(year) || year < 2000 || year > 2100)) {
+      sendValidationError(res, 'Invalid year');
+      return;
+    }
+
+    const report = await reverseChargeService.getReverseChargeReport(year);
+    sendSuccess(res, report);
+  } catch (error) {
+    console.error('Error fetching reverse charge report:', error);
+    sendError(res, 'Failed to fetch reverse charge report');
+  }
+}
+
+/**
+ * Get the reverse-charge IVA still to pay
+ *
+ * GET /api/reverse-charge/debt
+ */
+export async function getReverseChargeDebt(_req: Request, res: Response): Promise<void> {
+  try {
+    const debt = await reverseChargeService.getReverseChargeDebt();
+    sendSuccess(res, debt);
+  } catch (error) {
+    console.error('Error fetching reverse charge debt:', error);
+    sendError(res, 'Failed to fetch reverse charge debt');
+  }
+}
+
+/**
+ * Record the F24 payment of a month
+ *
+ * POST /api/reverse-charge/payments
+ * Body: CreateReverseChargePaymentDTO
+ */
+export async function recordReverseChargePayment(req: Request, res: Response): Promise<void> {
+  try {
+    const payment = await reverseChargeService.recordReverseChargePayment(req.body);
+    sendCreated(res, payment, 'Reverse charge payment recorded successfully');
+  } catch (error: any) {
+    console.error('Error recording reverse charge payment:', error);
+
+    if (error.message.includes('required') || error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to record reverse charge payment');
+    }
+  }
+}
+
+/**
+ * Delete an F24 payment
+ *
+ * DELETE /api/reverse-charge/payments/:id
+ * The IVA of its month becomes due again.
+ */
+export async function deleteReverseChargePayment(req: Request, res: Response): Promise<void> {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (isNaN(id)) {
+      sendValidationError(res, 'Invalid payment ID');
+      return;
+    }
+
+    const deleted = await reverseChargeService.deleteReverseChargePayment(id);
+
+    if (!deleted) {
+      sendNotFound(res, 'Reverse charge payment');
+      return;
+    }
+
+    sendSuccess(res, { deleted: true }, 'Reverse charge payment deleted successfully');
+  } catch (error) {
+    console.error('Error deleting reverse charge payment:', error);
+    sendError(res, 'Failed to delete reverse charge payment');
+  }
+}
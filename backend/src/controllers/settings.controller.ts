@@ -7,18 +7,18 @@
 
 import { Request, Response } from 'express';
 import * as settingsService from '../services/settings.service';
-import { sendSuccess, sendError } from '../utils/response.utils';
+import { sendSuccess, sendError, sendValidationError } from '../utils/response.utils';
 
 /**
  * Get all settings
  * 
  * GET /api/settings
- * Returns all application settings as a typed object
+ * Returns all application settings as a typed object (without the SMTP password)
  */
 export async function getAllSettings(_req: Request, res: Response): Promise<void> {
   try {
     const settings = await settingsService.getAllSettings();
-    sendSuccess(res, settings);
+    sendSuccess(res, settingsService.hideSecrets(settings));
   } catch (error) {
     console.error('Error fetching settings:', error);
     sendError(res, 'Failed to fetch settings');
@@ -35,10 +35,15 @@ export async function getAllSettings(_req: Request, res: Response): Promise<void
 export async function updateSettings(req: Request, res: Response): Promise<void> {
   try {
     const settings = await settingsService.updateSettings(req.body);
-    sendSuccess(res, settings, 'Settings updated successfully');
-  } catch (error) {
+    sendSuccess(res, settingsService.hideSecrets(settings), 'Settings updated successfully');
+  } catch (error: any) {
     console.error('Error updating settings:', error);
-    sendError(res, 'Failed to update settings');
+    
+    if (error.message.includes('Invalid')) {
+      sendValidationError(res, error.message);
+    } else {
+      sendError(res, 'Failed to update settings');
+    }
   }
 }
 
@@ -37,30 +37,56 @@ CREATE TABLE IF NOT EXISTS invoices (
     id INT AUTO_INCREMENT PRIMARY KEY,
     -- Unique invoice number for client communication (e.g., 'INV-2024-001')
     invoice_number VARCHAR(50) NOT NULL UNIQUE,
-    -- Client name who will pay the invoice
+    -- Client in the registry (NULL if the name matches no client); the
+    -- foreign key is added after the clients table
+    client_id INT NULL,
+    -- Client name as printed on the invoice
     client_name VARCHAR(200) NOT NULL,
     -- Service or product description
     description TEXT,
-    -- Base amount before tax (in the app's configured currency)
+    -- Base amount before tax (in the invoice currency)
     amount DECIMAL(10, 2) NOT NULL,
     -- Tax rate percentage applied to this invoice (e.g., 22.00 for 22%)
     tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 22.00,
-    -- Calculated tax amount (amount * tax_rate / 100)
+    -- Calculated tax amount ((amount + rivalsa) * tax_rate / 100)
     tax_amount DECIMAL(10, 2) NOT NULL,
-    -- Total amount including tax (amount + tax_amount)
+    -- Total amount including tax (amount + rivalsa + tax_amount + stamp duty when rebilled)
     total_amount DECIMAL(10, 2) NOT NULL,
     -- Invoice status lifecycle: draft -> sent -> paid (or overdue if past due_date)
-    status ENUM('draft', 'sent', 'paid', 'overdue') NOT NULL DEFAULT 'draft',
+    -- partially_paid and paid are derived from invoice_payments, cancelled
+    -- from credit notes covering the whole invoice; every change is logged
+    -- in invoice_status_history
+    status ENUM('draft', 'sent', 'partially_paid', 'paid', 'overdue', 'cancelled') NOT NULL DEFAULT 'draft',
     -- Date when invoice was issued to client
     issue_date DATE NOT NULL,
     -- Expected payment due date
     due_date DATE NOT NULL,
-    -- Actual date when payment was received (NULL if not yet paid)
+    -- Date when the payments reached the total (NULL if not fully paid)
     paid_date DATE NULL,
+    -- Invoice or credit note (nota di credito); credit notes have their own numbering
+    document_type ENUM('invoice', 'credit_note') NOT NULL DEFAULT 'invoice',
+    -- Invoice corrected by a credit note (NULL for invoices)
+    original_invoice_id INT NULL,
+    -- Marca da bollo: due on IVA-free amounts above stamp_duty_threshold
+    stamp_duty BOOLEAN NOT NULL DEFAULT FALSE,
+    stamp_duty_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    -- Whether the marca da bollo is charged to the client (added to the total)
+    stamp_duty_rebilled BOOLEAN NOT NULL DEFAULT FALSE,
+    -- Rivalsa INPS Gestione Separata charged to the client (0 when not applied)
+    inps_rivalsa_rate DECIMAL(5, 2) NOT NULL DEFAULT 0.00,
+    inps_rivalsa_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    -- ISO 4217 currency of every amount of the invoice (and of its payments)
+    currency CHAR(3) NOT NULL DEFAULT 'EUR',
+    -- Units of currency for 1 EUR (ECB convention); EUR amount = amount / exchange_rate
+    exchange_rate DECIMAL(12, 6) NOT NULL DEFAULT 1.000000,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    -- An invoice cannot be deleted while credit notes refer to it
+    CONSTRAINT fk_invoice_original FOREIGN KEY (original_invoice_id) REFERENCES invoices(id) ON DELETE RESTRICT,
     -- Indexes for common queries
     INDEX idx_invoice_status (status),
+    INDEX idx_invoice_client (client_id),
+    INDEX idx_invoice_document_type (document_type),
     INDEX idx_invoice_issue_date (issue_date),
     INDEX idx_invoice_due_date (due_date),
     INDEX idx_invoice_paid_date (paid_date),
@@ -68,6 +94,279 @@ CREATE TABLE IF NOT EXISTS invoices (
     INDEX idx_invoice_dates (issue_date, status)
 ) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
 -- ============================================================================
+-- Table: invoice_items
+-- ============================================================================
+-- Lines of an invoice (e.g. "40h development", "fixed setup fee").
+-- The invoice amount is always the sum of its line totals.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS invoice_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Invoice this line belongs to
+    invoice_id INT NOT NULL,
+    -- Line order within the invoice, starting at 1
+    position INT NOT NULL DEFAULT 1,
+    -- What was provided
+    description VARCHAR(1000) NOT NULL,
+    -- Quantity (hours, days, pieces...)
+    quantity DECIMAL(10, 2) NOT NULL DEFAULT 1.00,
+    -- Optional unit of measure (e.g. 'h', 'gg')
+    unit VARCHAR(20) NULL,
+    -- Price per unit before tax
+    unit_price DECIMAL(10, 2) NOT NULL,
+    -- quantity * unit_price, rounded to cents
+    line_total DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    -- Lines are removed together with their invoice
+    CONSTRAINT fk_invoice_item_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+    INDEX idx_invoice_item_position (invoice_id, position)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+-- ============================================================================
+-- Table: invoice_payments
+-- ============================================================================
+-- Money received for an invoice, possibly in several installments.
+-- The invoice status (partially_paid / paid) and paid_date are derived
+-- from these rows, and income is counted by payment_date (cassa basis).
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS invoice_payments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Invoice being paid
+    invoice_id INT NOT NULL,
+    -- Date the money was received
+    payment_date DATE NOT NULL,
+    -- Amount received (part of the invoice total)
+    amount DECIMAL(10, 2) NOT NULL,
+    -- How the client paid: bank_transfer, cash, card, paypal, other
+    method VARCHAR(30) NOT NULL DEFAULT 'bank_transfer',
+    -- Optional note (e.g. bank reference)
+    note VARCHAR(500) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Payments are removed together with their invoice
+    CONSTRAINT fk_invoice_payment_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+    INDEX idx_invoice_payment_invoice (invoice_id),
+    INDEX idx_invoice_payment_date (payment_date)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: invoice_reminders
+-- ============================================================================
+-- Reminders (solleciti) sent to clients for unpaid invoices. Level 1 is a
+-- friendly reminder, 2 a formal one, 3 the formal notice (diffida).
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS invoice_reminders (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Invoice the client was reminded of
+    invoice_id INT NOT NULL,
+    -- Date the reminder was sent
+    reminder_date DATE NOT NULL,
+    -- Escalation level, 1 to 3
+    level TINYINT NOT NULL DEFAULT 1,
+    -- Optional note (e.g. channel, answer)
+    note VARCHAR(500) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Reminders are removed together with their invoice
+    CONSTRAINT fk_invoice_reminder_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+    INDEX idx_invoice_reminder_invoice (invoice_id, reminder_date)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+-- ============================================================================
+-- Table: invoice_status_history
+-- ============================================================================
+-- Every status change of an invoice, with what caused it: the user, a
+-- payment, a credit note or the overdue job.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS invoice_status_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Invoice whose status changed
+    invoice_id INT NOT NULL,
+    -- Previous status (NULL when the invoice was created)
+    from_status ENUM('draft', 'sent', 'partially_paid', 'paid', 'overdue', 'cancelled') NULL,
+    -- New status
+    to_status ENUM('draft', 'sent', 'partially_paid', 'paid', 'overdue', 'cancelled') NOT NULL,
+    -- What changed it: user, payment, credit_note or job
+    source VARCHAR(20) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- History is removed together with its invoice
+    CONSTRAINT fk_invoice_status_history_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+    INDEX idx_invoice_status_history_invoice (invoice_id, created_at)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+-- ============================================================================
+-- Table: exchange_rates
+-- ============================================================================
+-- Exchange rates maintained by hand (e.g. the ECB reference rates), used
+-- for invoices in other currencies when no rate is entered: the latest
+-- rate on or before the issue date applies.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- ISO 4217 currency code (e.g. USD)
+    currency CHAR(3) NOT NULL,
+    -- Day the rate refers to
+    rate_date DATE NOT NULL,
+    -- Units of currency for 1 EUR (e.g. 1.0850 USD)
+    rate DECIMAL(12, 6) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    -- One rate per currency and day
+    UNIQUE KEY uk_exchange_rate (currency, rate_date)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+-- ============================================================================
+-- Table: invoice_sequences
+-- ============================================================================
+-- Last progressive number reserved for each document type and calendar
+-- year, used to build numbers with the configured format (e.g. {YYYY}/{seq:3}).
+-- A row is created on first use, starting from the highest number
+-- already present among that year's documents of the same type.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+    -- Numbering series: invoices, credit notes and quotes are numbered separately
+    document_type ENUM('invoice', 'credit_note', 'quote') NOT NULL DEFAULT 'invoice',
+    -- Calendar year of the issue date
+    year INT NOT NULL,
+    -- Last number handed out for the year (0 = none yet)
+    last_number INT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (document_type, year)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+-- ============================================================================
+-- Table: recurring_invoices
+-- ============================================================================
+-- Templates of invoices that repeat on a fixed schedule (e.g. monthly
+-- retainers). The scheduler creates a draft invoice for every due
+-- occurrence.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS recurring_invoices (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Client of the generated invoices
+    client_name VARCHAR(255) NOT NULL,
+    -- Invoice description, also used as line text
+    description TEXT NOT NULL,
+    -- Base amount before tax
+    amount DECIMAL(10, 2) NOT NULL,
+    -- Tax percentage (NULL = default from settings when generating)
+    tax_rate DECIMAL(5, 2) NULL,
+    -- Every 1, 3, 6 or 12 months from the month of start_date
+    frequency ENUM('monthly', 'quarterly', 'semiannual', 'yearly') NOT NULL DEFAULT 'monthly',
+    -- Issue day (1-31), moved to the last day in shorter months
+    day_of_month TINYINT NOT NULL,
+    -- First and last possible occurrence (end_date NULL = open-ended)
+    start_date DATE NOT NULL,
+    end_date DATE NULL,
+    -- Due date = issue date + payment_days
+    payment_days INT NOT NULL DEFAULT 30,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_recurring_invoice_start (start_date)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+-- ============================================================================
+-- Table: recurring_invoice_occurrences
+-- ============================================================================
+-- Occurrences of a recurring invoice that were generated or skipped.
+-- One row per template and date, written in the same transaction as the
+-- draft invoice, so no occurrence is ever generated twice.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS recurring_invoice_occurrences (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    recurring_invoice_id INT NOT NULL,
+    -- Issue date of the occurrence
+    occurrence_date DATE NOT NULL,
+    -- generated: draft created; skipped: no invoice for this date
+    status ENUM('generated', 'skipped') NOT NULL,
+    -- Generated draft (NULL if skipped or the invoice was deleted)
+    invoice_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_occurrence_recurring_invoice FOREIGN KEY (recurring_invoice_id) REFERENCES recurring_invoices(id) ON DELETE CASCADE,
+    CONSTRAINT fk_occurrence_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL,
+    UNIQUE KEY uk_occurrence (recurring_invoice_id, occurrence_date)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+-- ============================================================================
+-- Table: quotes
+-- ============================================================================
+-- Quotes (preventivi) sent to clients before a project. They have their
+-- own numbering series and are not revenue; an accepted quote can be
+-- converted into an invoice that copies its lines.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS quotes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Progressive number of the quote series (e.g. PR2024/001)
+    quote_number VARCHAR(50) NOT NULL UNIQUE,
+    client_name VARCHAR(200) NOT NULL,
+    -- Notes printed on the quote
+    description TEXT NULL,
+    -- Sum of the line totals, before tax
+    amount DECIMAL(10, 2) NOT NULL,
+    tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0.00,
+    tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    total_amount DECIMAL(10, 2) NOT NULL,
+    -- open: waiting for the client; expired: still open after valid_until
+    status ENUM('open', 'accepted', 'rejected', 'expired') NOT NULL DEFAULT 'open',
+    issue_date DATE NOT NULL,
+    -- Last day the client can accept
+    valid_until DATE NOT NULL,
+    -- Invoice created from the quote (NULL if not converted or deleted)
+    invoice_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_quote_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL,
+    INDEX idx_quote_client (client_name),
+    INDEX idx_quote_status (status),
+    INDEX idx_quote_issue_date (issue_date)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+-- ============================================================================
+-- Table: quote_items
+-- ============================================================================
+-- Lines of a quote, copied to the invoice on conversion.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS quote_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    quote_id INT NOT NULL,
+    -- Line order within the quote, starting at 1
+    position INT NOT NULL DEFAULT 1,
+    description VARCHAR(1000) NOT NULL,
+    quantity DECIMAL(10, 2) NOT NULL DEFAULT 1.00,
+    unit VARCHAR(20) NULL,
+    unit_price DECIMAL(10, 2) NOT NULL,
+    -- quantity * unit_price, rounded to cents
+    line_total DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    -- Lines are removed together with their quote
+    CONSTRAINT fk_quote_item_quote FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE CASCADE,
+    INDEX idx_quote_item_position (quote_id, position)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+-- ============================================================================
+-- Table: recurring_expenses
+-- ============================================================================
+-- Expenses that repeat on a fixed schedule (software subscriptions, rent,
+-- ...). The scheduler creates the expense of every due renewal and moves
+-- next_date forward in the same transaction.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS recurring_expenses (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Description of the generated expenses (e.g. the subscription name)
+    description VARCHAR(500) NOT NULL,
+    -- Amount of each expense, net if IVA is not included
+    amount DECIMAL(10, 2) NOT NULL,
+    category_id INT NOT NULL,
+    iva_included BOOLEAN NOT NULL DEFAULT TRUE,
+    iva_rate DECIMAL(5, 2) NOT NULL DEFAULT 22.00,
+    supplier_name VARCHAR(200) NULL,
+    notes TEXT NULL,
+    -- Every 1, 3, 6 or 12 months
+    frequency ENUM('monthly', 'quarterly', 'semiannual', 'yearly') NOT NULL DEFAULT 'monthly',
+    -- Renewal day (1-31), moved to the last day in shorter months
+    day_of_month TINYINT NOT NULL,
+    -- Date of the next expense to create
+    next_date DATE NOT NULL,
+    -- Last possible renewal (NULL = until cancelled)
+    end_date DATE NULL,
+    -- Paused subscriptions create no expenses
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_recurring_expense_category FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+    INDEX idx_recurring_expense_next (active, next_date)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+-- ============================================================================
 -- Table: expenses
 -- ============================================================================
 -- Tracks all business-related expenses for the freelance activity.
@@ -91,8 +390,18 @@ CREATE TABLE IF NOT EXISTS expenses (
     iva_included BOOLEAN NOT NULL DEFAULT TRUE COMMENT 'Whether IVA is already included in the amount',
     iva_rate DECIMAL(5, 2) NOT NULL DEFAULT 22.00 COMMENT 'IVA rate percentage (e.g., 22.00 for 22%)',
     iva_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00 COMMENT 'IVA amount to pay (if not included)',
+    -- Supplier document data (filled when importing received FatturaPA invoices)
+    supplier_name VARCHAR(200) NULL,
+    supplier_vat_number VARCHAR(28) NULL,
+    document_number VARCHAR(50) NULL,
+    -- Recurring expense that created it, and the renewal date it stands for
+    recurring_expense_id INT NULL,
+    recurring_date DATE NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_expense_recurring FOREIGN KEY (recurring_expense_id) REFERENCES recurring_expenses(id) ON DELETE SET NULL,
+    -- A renewal is never turned into two expenses
+    UNIQUE KEY uk_expense_recurring (recurring_expense_id, recurring_date),
     -- Foreign key constraint to ensure referential integrity
     CONSTRAINT fk_expense_category FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT -- Prevent deletion of categories that have expenses
     ON UPDATE CASCADE,
@@ -100,7 +409,153 @@ CREATE TABLE IF NOT EXISTS expenses (
     INDEX idx_expense_date (expense_date),
     INDEX idx_expense_category (category_id),
     -- Composite index for category-based date range queries
-    INDEX idx_expense_category_date (category_id, expense_date)
+    INDEX idx_expense_category_date (category_id, expense_date),
+    -- Duplicate detection for imported supplier invoices
+    INDEX idx_expense_document (document_number, expense_date)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+-- ============================================================================
+-- Table: expense_category_rules
+-- ============================================================================
+-- Rules that choose the category of an expense (and defaults for its IVA
+-- and notes) from its description, supplier and amount. Deleted with
+-- their category.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS expense_category_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    -- Rules are tried from the lowest priority; the first match applies
+    priority INT NOT NULL DEFAULT 0,
+    -- How description_pattern is matched (case-insensitive)
+    match_type ENUM('contains', 'regex') NOT NULL DEFAULT 'contains',
+    description_pattern VARCHAR(255) NULL,
+    -- Text the supplier name contains
+    supplier_pattern VARCHAR(255) NULL,
+    -- Amount range, bounds included (NULL = no bound)
+    min_amount DECIMAL(10, 2) NULL,
+    max_amount DECIMAL(10, 2) NULL,
+    -- What the rule assigns: category, IVA defaults (NULL = usual default) and notes
+    category_id INT NOT NULL,
+    iva_included BOOLEAN NULL,
+    iva_rate DECIMAL(5, 2) NULL,
+    notes TEXT NULL,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_expense_rule_category FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+    INDEX idx_expense_rule_priority (priority)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: reverse_charge_payments
+-- ============================================================================
+-- F24 payments of the IVA due on expenses with IVA not included
+-- (reverse charge, e.g. services bought from EU suppliers). The IVA of a
+-- month is the sum of iva_amount of its expenses; what is still due is
+-- that sum minus these payments.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS reverse_charge_payments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Month of the expenses the IVA belongs to (F24 reference period)
+    year INT NOT NULL,
+    month TINYINT NOT NULL,
+    -- Date the F24 was paid
+    payment_date DATE NOT NULL,
+    -- Amount paid (part or all of the IVA of the month)
+    amount DECIMAL(10, 2) NOT NULL,
+    -- Optional note (e.g. F24 protocol number)
+    note VARCHAR(500) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_reverse_charge_payment_period (year, month)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: attachments
+-- ============================================================================
+-- Receipts and documents (PDF, JPG, PNG) attached to expenses and
+-- invoices. Files are stored on disk (ATTACHMENTS_DIR) under their hash.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS attachments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Expense or invoice the file is attached to (exactly one is set)
+    expense_id INT NULL,
+    invoice_id INT NULL,
+    -- Name of the uploaded file
+    file_name VARCHAR(255) NOT NULL,
+    -- Detected from the content: application/pdf, image/jpeg or image/png
+    mime_type VARCHAR(50) NOT NULL,
+    size_bytes INT NOT NULL,
+    -- SHA-256 of the content, also the name of the file on disk
+    sha256 CHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_attachment_expense FOREIGN KEY (expense_id) REFERENCES expenses(id) ON DELETE CASCADE,
+    CONSTRAINT fk_attachment_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+    INDEX idx_attachment_sha256 (sha256)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+-- ============================================================================
+-- Table: bank_csv_mappings
+-- ============================================================================
+-- Column layout of the CSV statements of a bank. Columns are referred to
+-- by their header; the amount comes from one signed column or from
+-- separate debit and credit columns.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS bank_csv_mappings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    column_separator VARCHAR(1) NOT NULL DEFAULT ';',
+    -- Lines before the header (bank name, account, period, ...)
+    skip_rows INT NOT NULL DEFAULT 0,
+    date_format VARCHAR(20) NOT NULL DEFAULT 'DD/MM/YYYY',
+    decimal_separator VARCHAR(1) NOT NULL DEFAULT ',',
+    date_column VARCHAR(100) NOT NULL,
+    value_date_column VARCHAR(100) NULL,
+    amount_column VARCHAR(100) NULL,
+    debit_column VARCHAR(100) NULL,
+    credit_column VARCHAR(100) NULL,
+    description_column VARCHAR(100) NOT NULL,
+    counterparty_column VARCHAR(100) NULL,
+    reference_column VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_bank_csv_mapping_name (name)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: bank_transactions
+-- ============================================================================
+-- Movements imported from bank statements (CSV, OFX, CAMT.053) and what
+-- they were reconciled with: the invoice payment they recorded or the
+-- expense they paid. A deleted payment or expense makes the movement
+-- unmatched again.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS bank_transactions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- IBAN or account number, when the statement has it
+    account VARCHAR(34) NULL,
+    booking_date DATE NOT NULL,
+    -- Valuta: the day the money is available
+    value_date DATE NULL,
+    -- Positive money in, negative money out
+    amount DECIMAL(12, 2) NOT NULL,
+    currency CHAR(3) NOT NULL DEFAULT 'EUR',
+    description VARCHAR(500) NOT NULL DEFAULT '',
+    counterparty VARCHAR(255) NULL,
+    -- Remittance information or bank reference
+    reference VARCHAR(255) NULL,
+    -- Statement format: csv, ofx or camt053
+    source VARCHAR(10) NOT NULL,
+    source_file VARCHAR(255) NULL,
+    -- SHA-256 of the bank ID of the movement (or of its content): the same
+    -- movement is never imported twice
+    import_hash CHAR(64) NOT NULL,
+    invoice_payment_id INT NULL,
+    expense_id INT NULL,
+    -- Left out of the reconciliation (e.g. transfers between own accounts)
+    ignored BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_bank_transaction_payment FOREIGN KEY (invoice_payment_id) REFERENCES invoice_payments(id) ON DELETE SET NULL,
+    CONSTRAINT fk_bank_transaction_expense FOREIGN KEY (expense_id) REFERENCES expenses(id) ON DELETE SET NULL,
+    UNIQUE KEY uk_bank_transaction_hash (import_hash),
+    INDEX idx_bank_transaction_date (booking_date)
 ) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
 -- ============================================================================
 -- Table: settings
@@ -130,7 +585,7 @@ CREATE TABLE IF NOT EXISTS settings (
 INSERT INTO settings (setting_key, setting_value, description)
 VALUES (
         'default_vat_rate',
-        '22',
+        '0',
         'Default VAT/IVA rate percentage for new invoices (not income tax)'
     ),
     (
@@ -162,6 +617,111 @@ VALUES (
         'health_insurance_rate',
         '26.07',
         'Health insurance (INPS Gestione Separata) contribution rate percentage'
+    ),
+    (
+        'business_country',
+        'IT',
+        'Country code of our registered office (electronic invoices)'
+    ),
+    (
+        'forfettario_exemption_text',
+        'Operazione in franchigia da IVA ai sensi dell''art. 1, commi 54-89, L. 190/2014',
+        'IVA exemption wording printed on invoices (max 100 characters for FatturaPA)'
+    ),
+    (
+        'invoice_pdf_title',
+        'Fattura',
+        'Document title printed on the invoice PDF'
+    ),
+    (
+        'invoice_pdf_payment_text',
+        'Pagamento tramite bonifico bancario entro la data di scadenza',
+        'Payment instructions printed on the invoice PDF'
+    ),
+    (
+        'invoice_pdf_stamp_duty_text',
+        'Imposta di bollo da 2,00 euro assolta in modo virtuale ai sensi del D.M. 17/06/2014',
+        'Marca da bollo notice printed on invoice PDFs above 77.47 euro'
+    ),
+    (
+        'invoice_number_format',
+        '{YYYY}/{seq:3}',
+        'Invoice numbering scheme: {YYYY}, {YY}, {seq} or {seq:N} (progressive number, restarts every year)'
+    ),
+    (
+        'credit_note_number_format',
+        'NC{YYYY}/{seq:3}',
+        'Credit note numbering scheme, separate from the invoice one (same placeholders)'
+    ),
+    (
+        'stamp_duty_threshold',
+        '77.47',
+        'Marca da bollo is due on invoices without IVA above this amount'
+    ),
+    (
+        'stamp_duty_amount',
+        '2.00',
+        'Marca da bollo amount per invoice'
+    ),
+    (
+        'stamp_duty_rebill',
+        'true',
+        'Charge the marca da bollo to the client by default (added to the invoice total)'
+    ),
+    (
+        'inps_rivalsa_rate',
+        '4.00',
+        'Rivalsa INPS percentage charged to clients (Gestione Separata)'
+    ),
+    (
+        'inps_rivalsa_default',
+        'false',
+        'Apply the rivalsa INPS to clients without their own choice'
+    ),
+    (
+        'quote_number_format',
+        'PR{YYYY}/{seq:3}',
+        'Quote numbering scheme, separate from the invoice one (same placeholders)'
+    ),
+    (
+        'quote_validity_days',
+        '30',
+        'Days a new quote stays valid'
+    ),
+    (
+        'late_interest_rate',
+        '10.15',
+        'Yearly late payment interest percentage (D.Lgs. 231/2002: ECB rate + 8 points)'
+    ),
+    (
+        'smtp_port',
+        '587',
+        'SMTP server port (587 STARTTLS, 465 TLS, 1025 for a local catcher)'
+    ),
+    (
+        'smtp_security',
+        'starttls',
+        'SMTP connection security: none, starttls or tls'
+    ),
+    (
+        'email_invoice_subject',
+        'Fattura n. {invoice_number} - {business_name}',
+        'Subject of invoice emails ({placeholders} are filled in)'
+    ),
+    (
+        'email_invoice_body',
+        'Gentile {client_name},\n\nin allegato la fattura n. {invoice_number} del {issue_date} di {total_amount}, con scadenza il {due_date}.\n\nCordiali saluti,\n{business_name}',
+        'Body of invoice emails'
+    ),
+    (
+        'email_report_subject',
+        'Report ore {period} - {business_name}',
+        'Subject of worked hours report emails'
+    ),
+    (
+        'email_report_body',
+        'Gentile {client_name},\n\nin allegato il report delle ore lavorate nel mese di {period}: {total_hours} ore per un totale di {total_amount}.\n\nCordiali saluti,\n{business_name}',
+        'Body of worked hours report emails'
     ) ON DUPLICATE KEY
 UPDATE setting_value =
 VALUES(setting_value);
@@ -199,15 +759,77 @@ VALUES(name);
 -- Table: clients
 -- ============================================================================
 -- Stores client information for tracking worked hours and billing rates.
+-- Fiscal fields identify the client on electronic invoices (FatturaPA).
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS clients (
     id INT AUTO_INCREMENT PRIMARY KEY,
     name VARCHAR(200) NOT NULL UNIQUE,
+    -- Company (or professional with Partita IVA) or private individual
+    client_type ENUM('company', 'individual') NOT NULL DEFAULT 'company',
     hourly_rate DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
     notes TEXT NULL,
+    -- Partita IVA (without country prefix)
+    vat_number VARCHAR(28) NULL,
+    -- Codice fiscale
+    fiscal_code VARCHAR(16) NULL,
+    -- Registered office
+    address VARCHAR(200) NULL,
+    postal_code VARCHAR(10) NULL,
+    city VARCHAR(100) NULL,
+    province CHAR(2) NULL,
+    country CHAR(2) NOT NULL DEFAULT 'IT',
+    -- Codice destinatario SDI or PEC address for electronic invoice delivery
+    sdi_code VARCHAR(7) NULL,
+    pec VARCHAR(255) NULL,
+    -- Charge the rivalsa INPS on invoices (NULL follows the inps_rivalsa_default setting)
+    inps_rivalsa BOOLEAN NULL,
+    -- Address invoices and worked hours reports are emailed to
+    email VARCHAR(255) NULL,
+    phone VARCHAR(30) NULL,
+    -- Days to pay from the issue date (NULL = 30 days)
+    payment_terms_days SMALLINT NULL,
+    -- Language to address the client in (ISO 639-1)
+    language CHAR(2) NOT NULL DEFAULT 'it',
+    -- Archived clients are hidden from the pickers but stay in the reports
+    archived_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 ) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+-- Clients with invoices can only be archived, not deleted
+ALTER TABLE invoices
+ADD CONSTRAINT fk_invoice_client FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE RESTRICT;
+-- ============================================================================
+-- Table: email_log
+-- ============================================================================
+-- Invoices and worked hours reports emailed to clients through SMTP,
+-- one row per attempt with its outcome.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS email_log (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- What was sent: invoice, worked_hours_report or test
+    document_type VARCHAR(30) NOT NULL,
+    -- Invoice sent (NULL for reports, or once the invoice is deleted)
+    invoice_id INT NULL,
+    -- Client of a report
+    client_id INT NULL,
+    -- Month of a report (YYYY-MM)
+    period CHAR(7) NULL,
+    -- Recipients, comma separated
+    recipient VARCHAR(1000) NOT NULL,
+    subject VARCHAR(500) NOT NULL,
+    -- File name of the attached PDF
+    attachment VARCHAR(255) NULL,
+    status ENUM('sent', 'failed') NOT NULL,
+    -- SMTP error of failed attempts
+    error VARCHAR(1000) NULL,
+    -- Message-ID assigned by the server
+    message_id VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- The log outlives the documents it refers to
+    CONSTRAINT fk_email_log_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL,
+    CONSTRAINT fk_email_log_client FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE SET NULL,
+    INDEX idx_email_log_created (created_at)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
 -- ============================================================================
 -- Table: worked_hours
 -- ============================================================================
@@ -220,11 +842,16 @@ CREATE TABLE IF NOT EXISTS worked_hours (
     hours DECIMAL(5, 2) NOT NULL,
     amount_cached DECIMAL(10, 2) NOT NULL,
     note TEXT NULL,
+    -- Invoice billing these hours (NULL = not billed yet)
+    invoice_id INT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     CONSTRAINT fk_worked_hours_client FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+    -- Deleting the invoice makes the hours billable again
+    CONSTRAINT fk_worked_hours_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL,
     INDEX idx_worked_date (worked_date),
-    INDEX idx_worked_client_date (client_id, worked_date)
+    INDEX idx_worked_client_date (client_id, worked_date),
+    INDEX idx_worked_invoice (invoice_id)
 ) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
 -- ============================================================================
 -- Sample Clients
@@ -43,7 +43,7 @@ CREATE TABLE IF NOT EXISTS invoices (
     tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 22.00,
     tax_amount DECIMAL(10, 2) NOT NULL,
     total_amount DECIMAL(10, 2) NOT NULL,
-    status ENUM('draft', 'sent', 'paid', 'overdue') NOT NULL DEFAULT 'draft',
+    status ENUM('draft', 'sent', 'partially_paid', 'paid', 'overdue') NOT NULL DEFAULT 'draft',
     issue_date DATE NOT NULL,
     due_date DATE NOT NULL,
     paid_date DATE NULL,
@@ -156,7 +156,7 @@ DEALLOCATE PREPARE alterIfNotExists;
 
 INSERT IGNORE INTO settings (setting_key, setting_value, description)
 VALUES
-    ('default_vat_rate', '22', 'Default VAT/IVA rate percentage for new invoices (not income tax)'),
+    ('default_vat_rate', '0', 'Default VAT/IVA rate percentage for new invoices (not income tax)'),
     ('currency', 'EUR', 'Currency code used throughout the application (EUR, USD, GBP, etc.)'),
     ('currency_symbol', '€', 'Currency symbol for display purposes'),
     ('target_salary', '3000', 'Target monthly salary (net amount to take home after taxes and savings)'),
@@ -283,6 +283,994 @@ DEALLOCATE PREPARE stmt;
 INSERT IGNORE INTO categories (name, color)
 VALUES ('Senza Categoria', '#95a5a6');
 
+-- ============================================================================
+-- Step 9: Fiscal data for electronic invoices (FatturaPA)
+-- ============================================================================
+-- Clients get the fields needed as CessionarioCommittente, our own fiscal
+-- data lives in settings (business_* keys).
+-- ============================================================================
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = 'freelancer_finance'
+        AND TABLE_NAME = 'clients'
+        AND COLUMN_NAME = 'vat_number'
+    ),
+    'SELECT "Column vat_number already exists" AS Info;',
+    'ALTER TABLE clients ADD COLUMN vat_number VARCHAR(28) NULL AFTER notes;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = 'freelancer_finance'
+        AND TABLE_NAME = 'clients'
+        AND COLUMN_NAME = 'fiscal_code'
+    ),
+    'SELECT "Column fiscal_code already exists" AS Info;',
+    'ALTER TABLE clients ADD COLUMN fiscal_code VARCHAR(16) NULL AFTER vat_number;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = 'freelancer_finance'
+        AND TABLE_NAME = 'clients'
+        AND COLUMN_NAME = 'address'
+    ),
+    'SELECT "Column address already exists" AS Info;',
+    'ALTER TABLE clients ADD COLUMN address VARCHAR(200) NULL AFTER fiscal_code;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = 'freelancer_finance'
+        AND TABLE_NAME = 'clients'
+        AND COLUMN_NAME = 'postal_code'
+    ),
+    'SELECT "Column postal_code already exists" AS Info;',
+    'ALTER TABLE clients ADD COLUMN postal_code VARCHAR(10) NULL AFTER address;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = 'freelancer_finance'
+        AND TABLE_NAME = 'clients'
+        AND COLUMN_NAME = 'city'
+    ),
+    'SELECT "Column city already exists" AS Info;',
+    'ALTER TABLE clients ADD COLUMN city VARCHAR(100) NULL AFTER postal_code;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = 'freelancer_finance'
+        AND TABLE_NAME = 'clients'
+        AND COLUMN_NAME = 'province'
+    ),
+    'SELECT "Column province already exists" AS Info;',
+    'ALTER TABLE clients ADD COLUMN province CHAR(2) NULL AFTER city;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = 'freelancer_finance'
+        AND TABLE_NAME = 'clients'
+        AND COLUMN_NAME = 'country'
+    ),
+    'SELECT "Column country already exists" AS Info;',
+    'ALTER TABLE clients ADD COLUMN country CHAR(2) NOT NULL DEFAULT "IT" AFTER province;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = 'freelancer_finance'
+        AND TABLE_NAME = 'clients'
+        AND COLUMN_NAME = 'sdi_code'
+    ),
+    'SELECT "Column sdi_code already exists" AS Info;',
+    'ALTER TABLE clients ADD COLUMN sdi_code VARCHAR(7) NULL AFTER country;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = 'freelancer_finance'
+        AND TABLE_NAME = 'clients'
+        AND COLUMN_NAME = 'pec'
+    ),
+    'SELECT "Column pec already exists" AS Info;',
+    'ALTER TABLE clients ADD COLUMN pec VARCHAR(255) NULL AFTER sdi_code;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+INSERT IGNORE INTO settings (setting_key, setting_value, description)
+VALUES
+    ('business_country', 'IT', 'Country code of our registered office (electronic invoices)'),
+    ('forfettario_exemption_text', 'Operazione in franchigia da IVA ai sensi dell''art. 1, commi 54-89, L. 190/2014', 'IVA exemption wording printed on invoices (max 100 characters for FatturaPA)');
+
+-- ============================================================================
+-- Step 10: Supplier document data on expenses (FatturaPA import)
+-- ============================================================================
+-- Expenses imported from received electronic invoices keep the supplier
+-- and the document number, used to detect already imported documents.
+-- ============================================================================
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = 'freelancer_finance'
+        AND TABLE_NAME = 'expenses'
+        AND COLUMN_NAME = 'supplier_name'
+    ),
+    'SELECT "Column supplier_name already exists" AS Info;',
+    'ALTER TABLE expenses ADD COLUMN supplier_name VARCHAR(200) NULL AFTER notes;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = 'freelancer_finance'
+        AND TABLE_NAME = 'expenses'
+        AND COLUMN_NAME = 'supplier_vat_number'
+    ),
+    'SELECT "Column supplier_vat_number already exists" AS Info;',
+    'ALTER TABLE expenses ADD COLUMN supplier_vat_number VARCHAR(28) NULL AFTER supplier_name;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = 'freelancer_finance'
+        AND TABLE_NAME = 'expenses'
+        AND COLUMN_NAME = 'document_number'
+    ),
+    'SELECT "Column document_number already exists" AS Info;',
+    'ALTER TABLE expenses ADD COLUMN document_number VARCHAR(50) NULL AFTER supplier_vat_number;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.STATISTICS
+        WHERE TABLE_SCHEMA = 'freelancer_finance'
+        AND TABLE_NAME = 'expenses'
+        AND INDEX_NAME = 'idx_expense_document'
+    ),
+    'SELECT "Index idx_expense_document already exists" AS Info;',
+    'ALTER TABLE expenses ADD INDEX idx_expense_document (document_number, expense_date);'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- ============================================================================
+-- Step 11: Invoice lines (invoice_items)
+-- ============================================================================
+-- Invoices can have several lines. Every existing invoice gets one line
+-- holding its description and amount, so totals stay unchanged.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS invoice_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    invoice_id INT NOT NULL,
+    position INT NOT NULL DEFAULT 1,
+    description VARCHAR(1000) NOT NULL,
+    quantity DECIMAL(10, 2) NOT NULL DEFAULT 1.00,
+    unit VARCHAR(20) NULL,
+    unit_price DECIMAL(10, 2) NOT NULL,
+    line_total DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_invoice_item_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+    INDEX idx_invoice_item_position (invoice_id, position)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- One line per invoice that has none yet (safe to run again)
+INSERT INTO invoice_items (invoice_id, position, description, quantity, unit, unit_price, line_total)
+SELECT
+    i.id,
+    1,
+    LEFT(COALESCE(NULLIF(TRIM(i.description), ''), 'Prestazione professionale'), 1000),
+    1.00,
+    NULL,
+    i.amount,
+    i.amount
+FROM invoices i
+WHERE NOT EXISTS (
+    SELECT 1 FROM invoice_items ii WHERE ii.invoice_id = i.id
+);
+
+-- ============================================================================
+-- Step 12: Link worked hours to the invoice that bills them
+-- ============================================================================
+-- worked_hours.invoice_id is set when an invoice is generated from the
+-- hours; NULL means not billed yet. Deleting the invoice frees the hours.
+-- ============================================================================
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = 'freelancer_finance'
+        AND TABLE_NAME = 'worked_hours'
+        AND COLUMN_NAME = 'invoice_id'
+    ),
+    'SELECT "Column invoice_id already exists" AS Info;',
+    'ALTER TABLE worked_hours ADD COLUMN invoice_id INT NULL AFTER note, ADD INDEX idx_worked_invoice (invoice_id);'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @fk_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE 
+    WHERE TABLE_SCHEMA = DATABASE() 
+    AND TABLE_NAME = 'worked_hours' 
+    AND CONSTRAINT_NAME = 'fk_worked_hours_invoice');
+
+SET @add_fk = IF(@fk_exists = 0, 
+    'ALTER TABLE worked_hours ADD CONSTRAINT fk_worked_hours_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL;',
+    'SELECT "Foreign key already exists" AS Info;');
+
+PREPARE add_fk_stmt FROM @add_fk;
+EXECUTE add_fk_stmt;
+DEALLOCATE PREPARE add_fk_stmt;
+
+-- ============================================================================
+-- Step 13: Invoice PDF layout settings
+-- ============================================================================
+-- Configurable strings printed on the invoice PDF.
+-- ============================================================================
+
+INSERT IGNORE INTO settings (setting_key, setting_value, description)
+VALUES
+    ('invoice_pdf_title', 'Fattura', 'Document title printed on the invoice PDF'),
+    ('invoice_pdf_payment_text', 'Pagamento tramite bonifico bancario entro la data di scadenza', 'Payment instructions printed on the invoice PDF'),
+    ('invoice_pdf_stamp_duty_text', 'Imposta di bollo da 2,00 euro assolta in modo virtuale ai sensi del D.M. 17/06/2014', 'Marca da bollo notice printed on invoice PDFs above 77.47 euro');
+
+-- ============================================================================
+-- Step 14: Automatic invoice numbering
+-- ============================================================================
+-- One counter per calendar year. Rows are created by the application on
+-- first use, starting from the highest number already issued that year.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+    year INT PRIMARY KEY,
+    last_number INT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO settings (setting_key, setting_value, description)
+VALUES
+    ('invoice_number_format', '{YYYY}/{seq:3}', 'Invoice numbering scheme: {YYYY}, {YY}, {seq} or {seq:N} (progressive number, restarts every year)');
+
+-- ============================================================================
+-- Step 15: Invoice payments
+-- ============================================================================
+-- Invoices can be paid in installments. Status partially_paid / paid and
+-- paid_date are derived from the payments. Every invoice already marked
+-- as paid gets a single payment of its total on its paid_date.
+-- ============================================================================
+
+-- Only widens the old enum: Step 24 adds 'cancelled' later, which must
+-- not be dropped again when the migration re-runs
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = 'freelancer_finance'
+        AND TABLE_NAME = 'invoices'
+        AND COLUMN_NAME = 'status'
+        AND COLUMN_TYPE LIKE '%partially_paid%'
+    ),
+    'SELECT "Column status already has partially_paid" AS Info;',
+    'ALTER TABLE invoices MODIFY COLUMN status ENUM(''draft'', ''sent'', ''partially_paid'', ''paid'', ''overdue'') NOT NULL DEFAULT ''draft'';'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+CREATE TABLE IF NOT EXISTS invoice_payments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    invoice_id INT NOT NULL,
+    payment_date DATE NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    method VARCHAR(30) NOT NULL DEFAULT 'bank_transfer',
+    note VARCHAR(500) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_invoice_payment_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+    INDEX idx_invoice_payment_invoice (invoice_id),
+    INDEX idx_invoice_payment_date (payment_date)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- One payment per paid invoice that has none yet (safe to run again)
+INSERT INTO invoice_payments (invoice_id, payment_date, amount, method)
+SELECT i.id, COALESCE(i.paid_date, i.issue_date), i.total_amount, 'bank_transfer'
+FROM invoices i
+WHERE i.status = 'paid'
+AND NOT EXISTS (
+    SELECT 1 FROM invoice_payments ip WHERE ip.invoice_id = i.id
+);
+
+UPDATE invoices
+SET paid_date = issue_date
+WHERE status = 'paid' AND paid_date IS NULL;
+
+-- ============================================================================
+-- Step 16: Credit notes
+-- ============================================================================
+-- Credit notes (note di credito) are stored with the invoices and refer to
+-- the invoice they correct. They have their own numbering series, so the
+-- counters are kept per document type.
+-- ============================================================================
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'invoices'
+        AND COLUMN_NAME = 'document_type'
+    ),
+    'SELECT "Column document_type already exists" AS Info;',
+    'ALTER TABLE invoices ADD COLUMN document_type ENUM(''invoice'', ''credit_note'') NOT NULL DEFAULT ''invoice'' AFTER paid_date, ADD COLUMN original_invoice_id INT NULL AFTER document_type, ADD INDEX idx_invoice_document_type (document_type), ADD CONSTRAINT fk_invoice_original FOREIGN KEY (original_invoice_id) REFERENCES invoices(id) ON DELETE RESTRICT;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'invoice_sequences'
+        AND COLUMN_NAME = 'document_type'
+    ),
+    'SELECT "Column invoice_sequences.document_type already exists" AS Info;',
+    'ALTER TABLE invoice_sequences ADD COLUMN document_type ENUM(''invoice'', ''credit_note'') NOT NULL DEFAULT ''invoice'' FIRST, DROP PRIMARY KEY, ADD PRIMARY KEY (document_type, year);'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+INSERT IGNORE INTO settings (setting_key, setting_value, description)
+VALUES
+    ('credit_note_number_format', 'NC{YYYY}/{seq:3}', 'Credit note numbering scheme, separate from the invoice one (same placeholders)');
+
+-- ============================================================================
+-- Step 17: Recurring invoices
+-- ============================================================================
+-- Templates of invoices that repeat on a schedule, and the occurrences
+-- already generated or skipped (one per template and date).
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS recurring_invoices (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    client_name VARCHAR(255) NOT NULL,
+    description TEXT NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    tax_rate DECIMAL(5, 2) NULL,
+    frequency ENUM('monthly', 'quarterly', 'semiannual', 'yearly') NOT NULL DEFAULT 'monthly',
+    day_of_month TINYINT NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NULL,
+    payment_days INT NOT NULL DEFAULT 30,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_recurring_invoice_start (start_date)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS recurring_invoice_occurrences (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    recurring_invoice_id INT NOT NULL,
+    occurrence_date DATE NOT NULL,
+    status ENUM('generated', 'skipped') NOT NULL,
+    invoice_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_occurrence_recurring_invoice FOREIGN KEY (recurring_invoice_id) REFERENCES recurring_invoices(id) ON DELETE CASCADE,
+    CONSTRAINT fk_occurrence_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL,
+    UNIQUE KEY uk_occurrence (recurring_invoice_id, occurrence_date)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Step 18: Marca da bollo
+-- ============================================================================
+-- Invoices without IVA above the threshold carry a 2 euro stamp duty,
+-- optionally charged to the client. Existing documents are flagged with
+-- the default rules (not rebilled, totals unchanged).
+-- ============================================================================
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'invoices'
+        AND COLUMN_NAME = 'stamp_duty'
+    ),
+    'SELECT "Column stamp_duty already exists" AS Info;',
+    'ALTER TABLE invoices ADD COLUMN stamp_duty BOOLEAN NOT NULL DEFAULT FALSE AFTER original_invoice_id, ADD COLUMN stamp_duty_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00 AFTER stamp_duty, ADD COLUMN stamp_duty_rebilled BOOLEAN NOT NULL DEFAULT FALSE AFTER stamp_duty_amount;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+UPDATE invoices
+SET stamp_duty = TRUE, stamp_duty_amount = 2.00
+WHERE stamp_duty = FALSE AND tax_amount = 0 AND amount > 77.47;
+
+INSERT IGNORE INTO settings (setting_key, setting_value, description)
+VALUES
+    ('stamp_duty_threshold', '77.47', 'Marca da bollo is due on invoices without IVA above this amount'),
+    ('stamp_duty_amount', '2.00', 'Marca da bollo amount per invoice'),
+    ('stamp_duty_rebill', 'true', 'Charge the marca da bollo to the client by default (added to the invoice total)');
+
+-- ============================================================================
+-- Step 19: Rivalsa INPS
+-- ============================================================================
+-- Gestione Separata freelancers may charge clients a 4% INPS rivalsa,
+-- stored on the invoice apart from amount. Clients choose whether it
+-- applies (NULL follows the setting).
+-- ============================================================================
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'invoices'
+        AND COLUMN_NAME = 'inps_rivalsa_rate'
+    ),
+    'SELECT "Column inps_rivalsa_rate already exists" AS Info;',
+    'ALTER TABLE invoices ADD COLUMN inps_rivalsa_rate DECIMAL(5, 2) NOT NULL DEFAULT 0.00 AFTER stamp_duty_rebilled, ADD COLUMN inps_rivalsa_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00 AFTER inps_rivalsa_rate;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'clients'
+        AND COLUMN_NAME = 'inps_rivalsa'
+    ),
+    'SELECT "Column inps_rivalsa already exists" AS Info;',
+    'ALTER TABLE clients ADD COLUMN inps_rivalsa BOOLEAN NULL AFTER pec;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+INSERT IGNORE INTO settings (setting_key, setting_value, description)
+VALUES
+    ('inps_rivalsa_rate', '4.00', 'Rivalsa INPS percentage charged to clients (Gestione Separata)'),
+    ('inps_rivalsa_default', 'false', 'Apply the rivalsa INPS to clients without their own choice');
+
+-- ============================================================================
+-- Step 20: Quotes
+-- ============================================================================
+-- Quotes (preventivi) with their lines and their own numbering series,
+-- counted in invoice_sequences next to invoices and credit notes.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS quotes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Progressive number of the quote series (e.g. PR2024/001)
+    quote_number VARCHAR(50) NOT NULL UNIQUE,
+    client_name VARCHAR(200) NOT NULL,
+    -- Notes printed on the quote
+    description TEXT NULL,
+    -- Sum of the line totals, before tax
+    amount DECIMAL(10, 2) NOT NULL,
+    tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0.00,
+    tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    total_amount DECIMAL(10, 2) NOT NULL,
+    -- open: waiting for the client; expired: still open after valid_until
+    status ENUM('open', 'accepted', 'rejected', 'expired') NOT NULL DEFAULT 'open',
+    issue_date DATE NOT NULL,
+    -- Last day the client can accept
+    valid_until DATE NOT NULL,
+    -- Invoice created from the quote (NULL if not converted or deleted)
+    invoice_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_quote_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL,
+    INDEX idx_quote_client (client_name),
+    INDEX idx_quote_status (status),
+    INDEX idx_quote_issue_date (issue_date)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS quote_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    quote_id INT NOT NULL,
+    -- Line order within the quote, starting at 1
+    position INT NOT NULL DEFAULT 1,
+    description VARCHAR(1000) NOT NULL,
+    quantity DECIMAL(10, 2) NOT NULL DEFAULT 1.00,
+    unit VARCHAR(20) NULL,
+    unit_price DECIMAL(10, 2) NOT NULL,
+    -- quantity * unit_price, rounded to cents
+    line_total DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    -- Lines are removed together with their quote
+    CONSTRAINT fk_quote_item_quote FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE CASCADE,
+    INDEX idx_quote_item_position (quote_id, position)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+ALTER TABLE invoice_sequences
+    MODIFY COLUMN document_type ENUM('invoice', 'credit_note', 'quote') NOT NULL DEFAULT 'invoice';
+
+INSERT IGNORE INTO settings (setting_key, setting_value, description)
+VALUES
+    ('quote_number_format', 'PR{YYYY}/{seq:3}', 'Quote numbering scheme, separate from the invoice one (same placeholders)'),
+    ('quote_validity_days', '30', 'Days a new quote stays valid');
+
+-- ============================================================================
+-- Step 21: Payment reminders
+-- ============================================================================
+-- Log of the reminders (solleciti) sent for unpaid invoices, and the
+-- late payment interest rate of D.Lgs. 231/2002.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS invoice_reminders (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    invoice_id INT NOT NULL,
+    reminder_date DATE NOT NULL,
+    -- Escalation level, 1 to 3
+    level TINYINT NOT NULL DEFAULT 1,
+    note VARCHAR(500) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_invoice_reminder_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+    INDEX idx_invoice_reminder_invoice (invoice_id, reminder_date)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO settings (setting_key, setting_value, description)
+VALUES
+    ('late_interest_rate', '10.15', 'Yearly late payment interest percentage (D.Lgs. 231/2002: ECB rate + 8 points)');
+
+-- ============================================================================
+-- Step 22: Email
+-- ============================================================================
+-- Client email addresses, SMTP settings with the message templates, and
+-- the log of the invoices and reports sent.
+-- ============================================================================
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'clients'
+        AND COLUMN_NAME = 'email'
+    ),
+    'SELECT "Column email already exists" AS Info;',
+    'ALTER TABLE clients ADD COLUMN email VARCHAR(255) NULL AFTER inps_rivalsa;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+CREATE TABLE IF NOT EXISTS email_log (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- What was sent: invoice, worked_hours_report or test
+    document_type VARCHAR(30) NOT NULL,
+    -- Invoice sent (NULL for reports, or once the invoice is deleted)
+    invoice_id INT NULL,
+    -- Client of a report
+    client_id INT NULL,
+    -- Month of a report (YYYY-MM)
+    period CHAR(7) NULL,
+    -- Recipients, comma separated
+    recipient VARCHAR(1000) NOT NULL,
+    subject VARCHAR(500) NOT NULL,
+    -- File name of the attached PDF
+    attachment VARCHAR(255) NULL,
+    status ENUM('sent', 'failed') NOT NULL,
+    -- SMTP error of failed attempts
+    error VARCHAR(1000) NULL,
+    -- Message-ID assigned by the server
+    message_id VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- The log outlives the documents it refers to
+    CONSTRAINT fk_email_log_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL,
+    CONSTRAINT fk_email_log_client FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE SET NULL,
+    INDEX idx_email_log_created (created_at)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO settings (setting_key, setting_value, description)
+VALUES
+    ('smtp_port', '587', 'SMTP server port (587 STARTTLS, 465 TLS, 1025 for a local catcher)'),
+    ('smtp_security', 'starttls', 'SMTP connection security: none, starttls or tls'),
+    ('email_invoice_subject', 'Fattura n. {invoice_number} - {business_name}', 'Subject of invoice emails ({placeholders} are filled in)'),
+    ('email_invoice_body', 'Gentile {client_name},\n\nin allegato la fattura n. {invoice_number} del {issue_date} di {total_amount}, con scadenza il {due_date}.\n\nCordiali saluti,\n{business_name}', 'Body of invoice emails'),
+    ('email_report_subject', 'Report ore {period} - {business_name}', 'Subject of worked hours report emails'),
+    ('email_report_body', 'Gentile {client_name},\n\nin allegato il report delle ore lavorate nel mese di {period}: {total_hours} ore per un totale di {total_amount}.\n\nCordiali saluti,\n{business_name}', 'Body of worked hours report emails');
+
+-- ============================================================================
+-- Step 23: Multi-currency invoices
+-- ============================================================================
+-- Invoices keep their amounts in their own currency with the exchange
+-- rate to EUR; existing invoices are in EUR. Rates can be kept in a
+-- local table and are looked up by issue date.
+-- ============================================================================
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'invoices'
+        AND COLUMN_NAME = 'currency'
+    ),
+    'SELECT "Column currency already exists" AS Info;',
+    'ALTER TABLE invoices ADD COLUMN currency CHAR(3) NOT NULL DEFAULT ''EUR'' AFTER inps_rivalsa_amount, ADD COLUMN exchange_rate DECIMAL(12, 6) NOT NULL DEFAULT 1.000000 AFTER currency;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- ISO 4217 currency code (e.g. USD)
+    currency CHAR(3) NOT NULL,
+    -- Day the rate refers to
+    rate_date DATE NOT NULL,
+    -- Units of currency for 1 EUR (e.g. 1.0850 USD)
+    rate DECIMAL(12, 6) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_exchange_rate (currency, rate_date)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Step 24: Invoice status history
+-- ============================================================================
+-- Status changes follow fixed transitions and are logged. Invoices fully
+-- covered by credit notes without payments become cancelled; changes made
+-- before this step have no history.
+-- ============================================================================
+
+ALTER TABLE invoices
+    MODIFY COLUMN status ENUM('draft', 'sent', 'partially_paid', 'paid', 'overdue', 'cancelled') NOT NULL DEFAULT 'draft';
+
+CREATE TABLE IF NOT EXISTS invoice_status_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    invoice_id INT NOT NULL,
+    from_status ENUM('draft', 'sent', 'partially_paid', 'paid', 'overdue', 'cancelled') NULL,
+    to_status ENUM('draft', 'sent', 'partially_paid', 'paid', 'overdue', 'cancelled') NOT NULL,
+    source VARCHAR(20) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_invoice_status_history_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+    INDEX idx_invoice_status_history_invoice (invoice_id, created_at)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+UPDATE invoices i
+JOIN (
+    SELECT original_invoice_id, SUM(total_amount) AS amount_credited
+    FROM invoices
+    WHERE document_type = 'credit_note'
+    GROUP BY original_invoice_id
+) c ON c.original_invoice_id = i.id
+SET i.status = 'cancelled'
+WHERE i.document_type = 'invoice'
+AND i.status IN ('sent', 'overdue')
+AND c.amount_credited >= i.total_amount
+AND NOT EXISTS (
+    SELECT 1 FROM invoice_payments p WHERE p.invoice_id = i.id
+);
+
+-- ============================================================================
+-- Step 25: Invoices linked to clients
+-- ============================================================================
+-- Invoices point to their client in the registry, so revenue can be put
+-- together with worked hours and renaming a client keeps its history.
+-- A client with invoices cannot be deleted.
+-- Existing invoices are matched by name (case and spaces ignored); the
+-- names matching no client are listed at the end of this step, create
+-- those clients and run the migration again (or choose the client on
+-- each invoice) to link them.
+-- ============================================================================
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'invoices'
+        AND COLUMN_NAME = 'client_id'
+    ),
+    'SELECT "Column client_id already exists" AS Info;',
+    'ALTER TABLE invoices ADD COLUMN client_id INT NULL AFTER invoice_number, ADD INDEX idx_invoice_client (client_id), ADD CONSTRAINT fk_invoice_client FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE RESTRICT;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+UPDATE invoices i
+JOIN clients c ON LOWER(TRIM(c.name)) = LOWER(TRIM(i.client_name))
+SET i.client_id = c.id
+WHERE i.client_id IS NULL;
+
+SELECT client_name AS unmatched_client_name, COUNT(*) AS invoices
+FROM invoices
+WHERE client_id IS NULL
+GROUP BY client_name
+ORDER BY client_name;
+
+-- ============================================================================
+-- Step 26: Client registry
+-- ============================================================================
+-- Clients get a type (company or private individual), phone, payment
+-- terms and preferred language. Existing clients become companies with
+-- the default payment terms, addressed in Italian.
+-- ============================================================================
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'clients'
+        AND COLUMN_NAME = 'client_type'
+    ),
+    'SELECT "Column client_type already exists" AS Info;',
+    'ALTER TABLE clients ADD COLUMN client_type ENUM(''company'', ''individual'') NOT NULL DEFAULT ''company'' AFTER name, ADD COLUMN phone VARCHAR(30) NULL AFTER email, ADD COLUMN payment_terms_days SMALLINT NULL AFTER phone, ADD COLUMN language CHAR(2) NOT NULL DEFAULT ''it'' AFTER payment_terms_days;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- ============================================================================
+-- Step 27: Archived clients
+-- ============================================================================
+-- Clients are archived instead of deleted, so their worked hours and
+-- invoices stay in the reports.
+-- ============================================================================
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'clients'
+        AND COLUMN_NAME = 'archived_at'
+    ),
+    'SELECT "Column archived_at already exists" AS Info;',
+    'ALTER TABLE clients ADD COLUMN archived_at TIMESTAMP NULL AFTER language;'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- ============================================================================
+-- Step 28: Attachments
+-- ============================================================================
+-- Receipts and documents attached to expenses and invoices. The files
+-- themselves live in ATTACHMENTS_DIR, not in the database.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS attachments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Expense or invoice the file is attached to (exactly one is set)
+    expense_id INT NULL,
+    invoice_id INT NULL,
+    -- Name of the uploaded file
+    file_name VARCHAR(255) NOT NULL,
+    -- Detected from the content: application/pdf, image/jpeg or image/png
+    mime_type VARCHAR(50) NOT NULL,
+    size_bytes INT NOT NULL,
+    -- SHA-256 of the content, also the name of the file on disk
+    sha256 CHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_attachment_expense FOREIGN KEY (expense_id) REFERENCES expenses(id) ON DELETE CASCADE,
+    CONSTRAINT fk_attachment_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+    INDEX idx_attachment_sha256 (sha256)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Step 29: Bank statements and reconciliation
+-- ============================================================================
+-- Movements imported from bank statements, matched to invoice payments
+-- and expenses, and the CSV column mappings of each bank.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS bank_csv_mappings (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    column_separator VARCHAR(1) NOT NULL DEFAULT ';',
+    -- Lines before the header (bank name, account, period, ...)
+    skip_rows INT NOT NULL DEFAULT 0,
+    date_format VARCHAR(20) NOT NULL DEFAULT 'DD/MM/YYYY',
+    decimal_separator VARCHAR(1) NOT NULL DEFAULT ',',
+    date_column VARCHAR(100) NOT NULL,
+    value_date_column VARCHAR(100) NULL,
+    amount_column VARCHAR(100) NULL,
+    debit_column VARCHAR(100) NULL,
+    credit_column VARCHAR(100) NULL,
+    description_column VARCHAR(100) NOT NULL,
+    counterparty_column VARCHAR(100) NULL,
+    reference_column VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_bank_csv_mapping_name (name)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS bank_transactions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- IBAN or account number, when the statement has it
+    account VARCHAR(34) NULL,
+    booking_date DATE NOT NULL,
+    -- Valuta: the day the money is available
+    value_date DATE NULL,
+    -- Positive money in, negative money out
+    amount DECIMAL(12, 2) NOT NULL,
+    currency CHAR(3) NOT NULL DEFAULT 'EUR',
+    description VARCHAR(500) NOT NULL DEFAULT '',
+    counterparty VARCHAR(255) NULL,
+    -- Remittance information or bank reference
+    reference VARCHAR(255) NULL,
+    -- Statement format: csv, ofx or camt053
+    source VARCHAR(10) NOT NULL,
+    source_file VARCHAR(255) NULL,
+    -- SHA-256 of the bank ID of the movement (or of its content): the same
+    -- movement is never imported twice
+    import_hash CHAR(64) NOT NULL,
+    invoice_payment_id INT NULL,
+    expense_id INT NULL,
+    -- Left out of the reconciliation (e.g. transfers between own accounts)
+    ignored BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_bank_transaction_payment FOREIGN KEY (invoice_payment_id) REFERENCES invoice_payments(id) ON DELETE SET NULL,
+    CONSTRAINT fk_bank_transaction_expense FOREIGN KEY (expense_id) REFERENCES expenses(id) ON DELETE SET NULL,
+    UNIQUE KEY uk_bank_transaction_hash (import_hash),
+    INDEX idx_bank_transaction_date (booking_date)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Step 30: Recurring expenses
+-- ============================================================================
+-- Subscriptions and other expenses that repeat. Each generated expense
+-- records the renewal it stands for, unique per recurring expense.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS recurring_expenses (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Description of the generated expenses (e.g. the subscription name)
+    description VARCHAR(500) NOT NULL,
+    -- Amount of each expense, net if IVA is not included
+    amount DECIMAL(10, 2) NOT NULL,
+    category_id INT NOT NULL,
+    iva_included BOOLEAN NOT NULL DEFAULT TRUE,
+    iva_rate DECIMAL(5, 2) NOT NULL DEFAULT 22.00,
+    supplier_name VARCHAR(200) NULL,
+    notes TEXT NULL,
+    -- Every 1, 3, 6 or 12 months
+    frequency ENUM('monthly', 'quarterly', 'semiannual', 'yearly') NOT NULL DEFAULT 'monthly',
+    -- Renewal day (1-31), moved to the last day in shorter months
+    day_of_month TINYINT NOT NULL,
+    -- Date of the next expense to create
+    next_date DATE NOT NULL,
+    -- Last possible renewal (NULL = until cancelled)
+    end_date DATE NULL,
+    -- Paused subscriptions create no expenses
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_recurring_expense_category FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+    INDEX idx_recurring_expense_next (active, next_date)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+SET @sql = (SELECT IF(
+    EXISTS(
+        SELECT * FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+        AND TABLE_NAME = 'expenses'
+        AND COLUMN_NAME = 'recurring_expense_id'
+    ),
+    'SELECT "Column recurring_expense_id already exists" AS Info;',
+    'ALTER TABLE expenses ADD COLUMN recurring_expense_id INT NULL AFTER document_number, ADD COLUMN recurring_date DATE NULL AFTER recurring_expense_id, ADD CONSTRAINT fk_expense_recurring FOREIGN KEY (recurring_expense_id) REFERENCES recurring_expenses(id) ON DELETE SET NULL, ADD UNIQUE KEY uk_expense_recurring (recurring_expense_id, recurring_date);'
+));
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+-- ============================================================================
+-- Step 31: Expense categorization rules
+-- ============================================================================
+-- Rules that choose the category of new expenses and can re-categorize
+-- existing ones.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS expense_category_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    -- Rules are tried from the lowest priority; the first match applies
+    priority INT NOT NULL DEFAULT 0,
+    -- How description_pattern is matched (case-insensitive)
+    match_type ENUM('contains', 'regex') NOT NULL DEFAULT 'contains',
+    description_pattern VARCHAR(255) NULL,
+    -- Text the supplier name contains
+    supplier_pattern VARCHAR(255) NULL,
+    -- Amount range, bounds included (NULL = no bound)
+    min_amount DECIMAL(10, 2) NULL,
+    max_amount DECIMAL(10, 2) NULL,
+    -- What the rule assigns: category, IVA defaults (NULL = usual default) and notes
+    category_id INT NOT NULL,
+    iva_included BOOLEAN NULL,
+    iva_rate DECIMAL(5, 2) NULL,
+    notes TEXT NULL,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_expense_rule_category FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+    INDEX idx_expense_rule_priority (priority)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Step 32: Reverse-charge IVA payments
+-- ============================================================================
+-- F24 payments of the IVA due on expenses with IVA not included.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS reverse_charge_payments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Month of the expenses the IVA belongs to (F24 reference period)
+    year INT NOT NULL,
+    month TINYINT NOT NULL,
+    -- Date the F24 was paid
+    payment_date DATE NOT NULL,
+    -- Amount paid (part or all of the IVA of the month)
+    amount DECIMAL(10, 2) NOT NULL,
+    -- Optional note (e.g. F24 protocol number)
+    note VARCHAR(500) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_reverse_charge_payment_period (year, month)
+) ENGINE = InnoDB DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Step 33: Default IVA rate of the regime forfettario
+-- ============================================================================
+-- Invoices under the regime forfettario charge no IVA (the FatturaPA export
+-- rejects any other rate), so the old seeded default of 22 becomes 0.
+-- ============================================================================
+
+UPDATE settings
+SET setting_value = '0'
+WHERE setting_key IN ('default_vat_rate', 'default_tax_rate') AND setting_value = '22';
+
 -- ============================================================================
 -- Migration Complete
 -- ============================================================================
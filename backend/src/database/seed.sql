@@ -66,6 +66,19 @@ INSERT INTO invoices (
     NULL
 );
 
+-- Every sample invoice gets a single line with its description and amount
+INSERT INTO invoice_items (invoice_id, position, description, quantity, unit, unit_price, line_total)
+SELECT i.id, 1, COALESCE(i.description, 'Prestazione professionale'), 1.00, NULL, i.amount, i.amount
+FROM invoices i
+WHERE NOT EXISTS (SELECT 1 FROM invoice_items ii WHERE ii.invoice_id = i.id);
+
+-- Paid sample invoices were paid in full on their paid_date
+INSERT INTO invoice_payments (invoice_id, payment_date, amount, method)
+SELECT i.id, i.paid_date, i.total_amount, 'bank_transfer'
+FROM invoices i
+WHERE i.status = 'paid'
+AND NOT EXISTS (SELECT 1 FROM invoice_payments ip WHERE ip.invoice_id = i.id);
+
 -- ============================================================================
 -- Sample Expenses
 -- ============================================================================
@@ -90,6 +103,12 @@ INSERT IGNORE INTO clients (name, hourly_rate, notes) VALUES
 ('Startup Innovativa', 95.00, 'Progetti web e mobile'),
 ('Agenzia Marketing Verde', 75.00, 'Landing pages e campagne');
 
+-- Link the sample invoices to their clients
+UPDATE invoices i
+JOIN clients c ON LOWER(TRIM(c.name)) = LOWER(TRIM(i.client_name))
+SET i.client_id = c.id
+WHERE i.client_id IS NULL;
+
 -- ============================================================================
 -- Sample Worked Hours
 -- ============================================================================
@@ -0,0 +1,127 @@
+/**
+ * Background Scheduler
+ *
+ * Runs periodic jobs inside the API process: once right after startup,
+ * then every config.scheduler.intervalMinutes. Runs never overlap.
+ *
+ * Jobs must be safe to repeat: the process can stop at any moment and a
+ * run may find work that an earlier run already did (e.g. recurring
+ * invoices record each generated occurrence in the database).
+ */
+
+import { config } from '../config/app.config';
+import { generateDueRecurringInvoices } from '../services/recurring-invoice.service';
+import { generateDueRecurringExpenses } from '../services/recurring-expense.service';
+import { expireQuotes } from '../services/quote.service';
+import { updateOverdueInvoices } from '../services/invoice.service';
+
+interface ScheduledJob {
+  name: string;
+  run: () => Promise<void>;
+}
+
+const jobs: ScheduledJob[] = [
+  {
+    name: 'recurring invoices',
+    run: async () => {
+      const result = await generateDueRecurringInvoices();
+      if (result.generated > 0) {
+        console.log(`Recurring invoices: ${result.generated} draft invoices generated`);
+      }
+      result.errors.forEach((error) => {
+        console.error(
+          `Recurring invoice ${error.recurring_invoice_id} (${error.occurrence_date}) not generated: ${error.message}`
+        );
+      });
+    }
+  },
+  {
+    name: 'recurring expenses',
+    run: async () => {
+      const result = await generateDueRecurringExpenses();
+      if (result.generated > 0) {
+        console.log(`Recurring expenses: ${result.generated} expenses created`);
+      }
+      result.errors.forEach((error) => {
+        console.error(
+          `Recurring expense ${error.recurring_expense_id} (${error.renewal_date}) not created: ${error.message}`
+        );
+      });
+    }
+  },
+  {
+    name: 'expired quotes',
+    run: async () => {
+      const expired = await expireQuotes();
+      if (expired > 0) {
+        console.log(`Quotes: ${expired} marked as expired`);
+      }
+    }
+  },
+  {
+    name: 'overdue invoices',
+    run: async () => {
+      const changed = await updateOverdueInvoices();
+      if (changed > 0) {
+        console.log(`Invoices: ${changed} moved between sent and overdue`);
+      }
+    }
+  }
+];
+
+let timer: NodeJS.Timeout | null = null;
+let currentRun: Promise<void> | null = null;
+
+/**
+ * Start the scheduler
+ *
+ * Does nothing if disabled in config or already started.
+ */
+export function startScheduler(): void {
+  if (!config.scheduler.enabled || timer) {
+    return;
+  }
+
+  timer = setInterval(runJobs, config.scheduler.intervalMinutes * 60 * 1000);
+  runJobs();
+  console.log(`Scheduler started (every ${config.scheduler.intervalMinutes} minutes)`);
+}
+
+/**
+ * Stop the scheduler
+ *
+ * @returns Promise resolving when the run in progress, if any, has finished
+ */
+export async function stopScheduler(): Promise<void> {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  if (currentRun) {
+    await currentRun;
+  }
+}
+
+/**
+ * Run every job once, one after the other
+ *
+ * A failing job is logged and does not stop the others.
+ */
+function runJobs(): void {
+  if (currentRun) {
+    return;
+  }
+
+  currentRun = (async () => {
+    for (const job of jobs) {
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Scheduled job "${job.name}" failed:`, error);
+      }
+    }
+  })().finally(() => {
+    currentRun = null;
+  });
+}
@@ -0,0 +1,49 @@
+/**
+ * Attachment Model
+ *
+ * Receipts and documents (PDF, JPG, PNG) attached to expenses and
+ * invoices. Files are stored on disk named by the SHA-256 of their
+ * content, so the same file uploaded twice is stored once.
+ *
+ * The model includes:
+ * - AttachmentOwner: what a file is attached to
+ * - Attachment: An attachment as stored in database
+ * - AttachmentUpload: A file as sent by the client, base64 encoded
+ */
+
+/**
+ * Attachment Owner Enum
+ */
+export enum AttachmentOwner {
+  EXPENSE = 'expense',
+  INVOICE = 'invoice'
+}
+
+/**
+ * File types accepted, recognised from the content rather than the name
+ */
+export const ATTACHMENT_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+/**
+ * Attachment Interface
+ *
+ * Represents an attachment as stored in the database.
+ */
+export interface Attachment {
+  id: number;
+  expense_id: number | null;
+  invoice_id: number | null;
+  file_name: string;              // Name of the uploaded file
+  mime_type: string;              // Detected from the content
+  size_bytes: number;
+  sha256: string;                 // Hash of the content, also its name on disk
+  created_at?: Date;
+}
+
+/**
+ * Uploaded file (content is base64 encoded)
+ */
+export interface AttachmentUpload {
+  name: string;
+  content: string;
+}
@@ -0,0 +1,178 @@
+/**
+ * Bank Transaction Model
+ *
+ * Movements of the bank account, imported from the statements the bank
+ * exports (generic CSV, OFX or ISO 20022 CAMT.053), and reconciled with
+ * the records of the application:
+ * - money in is matched to an open invoice, recording its payment
+ * - money out is matched to an existing expense, or becomes a new one
+ *
+ * The model includes:
+ * - BankStatementFormat / BankTransactionStatus: Enums
+ * - BankTransaction: An imported movement with its match
+ * - ParsedBankTransaction: A movement read from a statement file
+ * - BankCsvMapping: Saved column mapping for the CSV of a bank
+ * - Import and reconciliation DTOs
+ */
+
+/**
+ * Statement formats that can be imported
+ */
+export enum BankStatementFormat {
+  CSV = 'csv',
+  OFX = 'ofx',
+  CAMT053 = 'camt053'
+}
+
+/**
+ * Reconciliation status, derived from the links of the movement
+ */
+export enum BankTransactionStatus {
+  UNMATCHED = 'unmatched',
+  MATCHED = 'matched',
+  IGNORED = 'ignored'
+}
+
+/**
+ * Bank Transaction Interface
+ *
+ * Amounts are signed: positive money in, negative money out.
+ */
+export interface BankTransaction {
+  id: number;
+  account: string | null;               // IBAN or account number, when the statement has it
+  booking_date: string;                 // YYYY-MM-DD
+  value_date: string | null;            // Valuta (YYYY-MM-DD)
+  amount: number;
+  currency: string;
+  description: string;
+  counterparty: string | null;          // Payer or payee
+  reference: string | null;             // Remittance information or bank reference
+  source: BankStatementFormat;
+  source_file: string | null;
+  status: BankTransactionStatus;
+  invoice_payment_id: number | null;    // Payment recorded by an invoice match
+  invoice_id: number | null;
+  invoice_number: string | null;
+  expense_id: number | null;            // Expense matched or created
+  expense_description: string | null;
+  created_at: string;
+}
+
+/**
+ * Movement read from a statement file, before it is stored
+ */
+export interface ParsedBankTransaction {
+  account: string | null;
+  booking_date: string;
+  value_date: string | null;
+  amount: number;
+  currency: string;
+  description: string;
+  counterparty: string | null;
+  reference: string | null;
+  bank_id: string | null;               // Unique ID given by the bank (FITID, AcctSvcrRef)
+}
+
+/**
+ * Bank CSV Mapping Interface
+ *
+ * Columns are referred to by their header. Amounts come from one signed
+ * column, or from separate debit and credit columns.
+ */
+export interface BankCsvMapping {
+  id: number;
+  name: string;
+  column_separator: string;             // ',', ';', '|' or tab
+  skip_rows: number;                    // Lines before the header
+  date_format: string;                  // One of CSV_DATE_FORMATS (e.g. DD/MM/YYYY)
+  decimal_separator: string;            // ',' or '.'
+  date_column: string;
+  value_date_column: string | null;
+  amount_column: string | null;
+  debit_column: string | null;
+  credit_column: string | null;
+  description_column: string;
+  counterparty_column: string | null;
+  reference_column: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+/**
+ * Create / Update Bank CSV Mapping DTO
+ */
+export interface SaveBankCsvMappingDTO {
+  name: string;
+  column_separator?: string;
+  skip_rows?: number;
+  date_format?: string;
+  decimal_separator?: string;
+  date_column: string;
+  value_date_column?: string | null;
+  amount_column?: string | null;
+  debit_column?: string | null;
+  credit_column?: string | null;
+  description_column: string;
+  counterparty_column?: string | null;
+  reference_column?: string | null;
+}
+
+/**
+ * Uploaded statement (content is base64 encoded)
+ */
+export interface BankStatementUpload {
+  name: string;
+  content: string;
+}
+
+/**
+ * Import options chosen in the preview
+ */
+export interface BankImportOptions {
+  mapping_id?: number;                  // Required for CSV files
+  selected_keys?: string[];             // Movements to import, defaults to every new one
+}
+
+/**
+ * One movement found in the uploaded statements
+ */
+export interface BankImportItem extends ParsedBankTransaction {
+  key: string;                          // "<file index>:<row index>"
+  filename: string;
+  format: BankStatementFormat | null;
+  import_hash: string;                  // Recognizes the movement when imported again
+  duplicate_of: number | null;          // ID of the movement already imported
+  errors: string[];
+}
+
+/**
+ * Result of an import
+ */
+export interface BankImportResult {
+  created: number;
+  skipped: { key: string; filename: string; reason: string }[];
+}
+
+/**
+ * Possible match of a movement, best first
+ */
+export interface BankMatchSuggestion {
+  type: 'invoice' | 'expense';
+  id: number;
+  label: string;                        // Invoice number and client, or expense description
+  date: string;                         // Due date of the invoice, date of the expense
+  amount: number;                       // Balance due of the invoice, amount of the expense
+  score: number;                        // Higher is better
+  reasons: string[];                    // Why it was suggested
+}
+
+/**
+ * Expense created from an unmatched debit
+ */
+export interface CreateExpenseFromTransactionDTO {
+  category_id?: number;                 // Chosen by the categorization rules when missing
+  description?: string;                 // Defaults to the counterparty and description
+  iva_included?: boolean;
+  iva_rate?: number;
+}
@@ -1,28 +1,153 @@
 /**
  * Client Model
  * 
- * Represents customers for whom hours are logged.
- * Each client can have their own hourly rate.
+ * Represents customers for whom hours are logged and invoices issued.
+ * Each client can have their own hourly rate, the fiscal data needed to
+ * address them on an electronic invoice (FatturaPA) and the contacts and
+ * terms used when billing them.
  */
 
-export interface Client {
+/**
+ * Client Type Enum
+ *
+ * Companies (and freelancers with a Partita IVA) or private individuals,
+ * identified by their codice fiscale.
+ */
+export enum ClientType {
+  COMPANY = 'company',
+  INDIVIDUAL = 'individual'
+}
+
+/**
+ * Languages a client can be addressed in (ISO 639-1)
+ */
+export const CLIENT_LANGUAGES = ['it', 'en', 'de', 'fr', 'es'];
+
+/**
+ * Payment terms of clients without their own, in days from the issue date
+ */
+export const DEFAULT_PAYMENT_TERMS_DAYS = 30;
+
+/**
+ * Which clients to list: archived clients are hidden from pickers but
+ * keep their hours and invoices in the reports
+ */
+export type ClientListStatus = 'active' | 'archived' | 'all';
+
+/**
+ * Fiscal data used as CessionarioCommittente on electronic invoices.
+ */
+export interface ClientFiscalData {
+  vat_number?: string | null;     // Partita IVA (without country prefix)
+  fiscal_code?: string | null;    // Codice fiscale
+  address?: string | null;        // Street and number
+  postal_code?: string | null;    // CAP
+  city?: string | null;           // Comune
+  province?: string | null;       // Provincia (2-letter code, Italy only)
+  country?: string | null;        // ISO 3166-1 alpha-2, defaults to IT
+  sdi_code?: string | null;       // Codice destinatario SDI (7 characters)
+  pec?: string | null;            // PEC address, used when no SDI code is set
+}
+
+export const CLIENT_FISCAL_FIELDS: (keyof ClientFiscalData)[] = [
+  'vat_number',
+  'fiscal_code',
+  'address',
+  'postal_code',
+  'city',
+  'province',
+  'country',
+  'sdi_code',
+  'pec'
+];
+
+export interface Client extends ClientFiscalData {
   id: number;
   name: string;
+  client_type?: ClientType;       // Company or private individual
   hourly_rate: number;
   notes?: string | null;
+  email?: string | null;          // Address invoices and reports are sent to
+  phone?: string | null;
+  payment_terms_days?: number | null; // Days to pay from the issue date, null for the default
+  language?: string;              // Language to address the client in (ISO 639-1)
+  inps_rivalsa?: boolean | null;  // Charge the rivalsa INPS, null follows the settings default
+  archived_at?: string | null;    // When the client was archived, null while active
   created_at?: string;
   updated_at?: string;
 }
 
-export interface CreateClientDTO {
+export interface CreateClientDTO extends ClientFiscalData {
   name: string;
+  client_type?: ClientType;       // Defaults to company
   hourly_rate: number;
   notes?: string;
+  email?: string | null;
+  phone?: string | null;
+  payment_terms_days?: number | null;
+  language?: string;              // Defaults to it
+  inps_rivalsa?: boolean | null;
 }
 
-export interface UpdateClientDTO {
+export interface UpdateClientDTO extends ClientFiscalData {
   name?: string;
+  client_type?: ClientType;
   hourly_rate?: number;
   notes?: string | null;
+  email?: string | null;
+  phone?: string | null;
+  payment_terms_days?: number | null;
+  language?: string;
+  inps_rivalsa?: boolean | null;
+}
+
+
+/**
+ * Client Summary Interface
+ *
+ * What a client was billed and worked for in a period, and what it still
+ * owes today. Amounts are in EUR; credit notes lower the billed amounts.
+ */
+export interface ClientSummary {
+  client_id: number;
+  client_name: string;
+  invoice_count: number;          // Invoices issued in the period (drafts excluded)
+  billed_revenue: number;         // Fees and rivalsa INPS billed, net of credit notes
+  billed_total: number;           // Totals billed, with IVA and rebilled stamp duty
+  received: number;               // Payments received in the period
+  outstanding: number;            // Still owed today, net of payments and credit notes
+  overdue: number;                // Part of outstanding past its due date
+  hours: number;                  // Hours worked in the period
+  hours_amount: number;           // Value of those hours at the rates logged
+  unbilled_hours: number;         // Hours of the period not invoiced yet
+  unbilled_amount: number;
+  last_invoice_date: string | null;
 }
 
+/**
+ * Client Merge Source Interface
+ *
+ * What merging a client into another moves. Only the unbilled entries can
+ * be recomputed at the target rate: billed ones match their invoice.
+ */
+export interface ClientMergeSource {
+  client_id: number;
+  client_name: string;
+  hourly_rate: number;
+  worked_hours: number;           // Worked hours entries
+  hours: number;
+  amount: number;                 // Value of the entries as logged
+  unbilled_entries: number;       // Entries not invoiced yet
+  unbilled_amount: number;        // Their value as logged
+  recomputed_amount: number;      // Their value at the target rate
+  invoices: number;               // Invoices and credit notes linked to the client
+  recurring_invoices: number;     // Templates issuing invoices in its name
+}
+
+/**
+ * Client Merge Preview Interface
+ */
+export interface ClientMergePreview {
+  target: Client;
+  sources: ClientMergeSource[];
+}
@@ -0,0 +1,86 @@
+/**
+ * Email Model
+ *
+ * Invoices and monthly worked hours reports can be emailed to clients
+ * through the SMTP server configured in the settings, with the PDF
+ * attached. Every attempt is logged, failed ones included.
+ *
+ * The model includes:
+ * - EmailDocumentType / EmailStatus: what was sent and how it went
+ * - EmailLogEntry: A send attempt as stored in database
+ * - EmailDraft: Recipient, subject and body proposed before sending
+ * - SendEmailDTO: Data Transfer Objects for the API
+ */
+
+/**
+ * Email Document Type Enum
+ *
+ * - invoice: invoice or credit note PDF
+ * - worked_hours_report: monthly worked hours report of a client
+ * - test: message checking the SMTP settings, without attachment
+ */
+export enum EmailDocumentType {
+  INVOICE = 'invoice',
+  WORKED_HOURS_REPORT = 'worked_hours_report',
+  TEST = 'test'
+}
+
+/**
+ * Email Status Enum
+ */
+export enum EmailStatus {
+  SENT = 'sent',
+  FAILED = 'failed'
+}
+
+/**
+ * Email Log Entry Interface
+ *
+ * A send attempt as stored in the database.
+ */
+export interface EmailLogEntry {
+  id: number;
+  document_type: EmailDocumentType;
+  invoice_id: number | null;      // Invoice sent, if any
+  client_id: number | null;       // Client of the report, if any
+  period: string | null;          // Month of the report (YYYY-MM)
+  recipient: string;
+  subject: string;
+  attachment: string | null;      // File name of the attached PDF
+  status: EmailStatus;
+  error: string | null;           // SMTP error of failed attempts
+  message_id: string | null;      // Message-ID assigned by the server
+  created_at: string;             // When the attempt was made
+}
+
+/**
+ * Email Draft Interface
+ *
+ * Message proposed from the settings templates, editable before sending.
+ */
+export interface EmailDraft {
+  to: string;                     // Client email, empty if unknown
+  subject: string;
+  body: string;
+  attachment: string;             // File name of the PDF that will be attached
+}
+
+/**
+ * Send Email DTO
+ *
+ * Fields left out are taken from the draft.
+ */
+export interface SendEmailDTO {
+  to?: string;
+  subject?: string;
+  body?: string;
+}
+
+/**
+ * Send Worked Hours Report DTO
+ */
+export interface SendWorkedHoursReportDTO extends SendEmailDTO {
+  client_id: number;
+  year: number;
+  month: number;                  // 1-12
+}
@@ -0,0 +1,44 @@
+/**
+ * Exchange Rate Model
+ *
+ * Invoices can be issued in other currencies (e.g. USD, CHF). Each one
+ * stores its exchange rate, entered by hand or taken from the rates
+ * kept in the exchange_rates table: the latest rate on or before the
+ * issue date applies. Everything fiscal (dashboard, 85k limit, taxes)
+ * is computed on the EUR amounts.
+ *
+ * Rates follow the ECB convention: units of the currency for 1 EUR.
+ *
+ * The model includes:
+ * - BASE_CURRENCY: Currency of the accounts
+ * - ExchangeRate: A stored rate
+ * - CreateExchangeRateDTO: Data Transfer Object for the API
+ */
+
+/**
+ * Currency of the accounts, with an exchange rate of 1
+ */
+export const BASE_CURRENCY = 'EUR';
+
+/**
+ * Exchange Rate Interface
+ */
+export interface ExchangeRate {
+  id: number;
+  currency: string;             // ISO 4217 code (e.g. 'USD')
+  rate_date: string;            // Day the rate refers to (YYYY-MM-DD)
+  rate: number;                 // Units of currency for 1 EUR
+  created_at: string;
+  updated_at: string;
+}
+
+/**
+ * Create Exchange Rate DTO
+ *
+ * A rate for a currency and day replaces the one already stored.
+ */
+export interface CreateExchangeRateDTO {
+  currency: string;
+  rate_date: string;            // YYYY-MM-DD
+  rate: number;                 // > 0
+}
@@ -31,6 +31,11 @@ export interface Expense {
   iva_included: boolean;        // Whether IVA is already included in amount
   iva_rate: number;             // IVA rate percentage (e.g., 22 for 22%)
   iva_amount: number;           // IVA amount to pay (if not included)
+  supplier_name: string | null;         // Supplier (cedente) name, when known
+  supplier_vat_number: string | null;   // Supplier Partita IVA, when known
+  document_number: string | null;       // Supplier invoice number
+  recurring_expense_id: number | null;  // Recurring expense that created it
+  recurring_date: string | null;        // Renewal date it stands for
   created_at: string;           // Record creation timestamp
   updated_at: string;           // Last update timestamp
 }
@@ -41,16 +46,20 @@ export interface Expense {
  * Used when creating a new expense via API.
  * Excludes auto-generated fields (id, timestamps).
  * 
- * IVA fields are optional - defaults to IVA included if not specified.
+ * IVA fields are optional - the matching categorization rule, if any,
+ * gives their defaults, otherwise IVA is included.
  */
 export interface CreateExpenseDTO {
   description: string;
   amount: number;               // Net amount (without IVA if iva_included=false)
-  category_id: number;          // Must reference an existing category
+  category_id?: number;         // Existing category, else chosen by the categorization rules
   expense_date: string;         // Required: YYYY-MM-DD format
   notes?: string;               // Optional notes
   iva_included?: boolean;       // Default: true (IVA already in amount)
   iva_rate?: number;            // Default: 22 (22%)
+  supplier_name?: string;       // Optional supplier name
+  supplier_vat_number?: string; // Optional supplier Partita IVA
+  document_number?: string;     // Optional supplier invoice number
 }
 
 /**
@@ -67,6 +76,9 @@ export interface UpdateExpenseDTO {
   notes?: string;
   iva_included?: boolean;
   iva_rate?: number;
+  supplier_name?: string | null;
+  supplier_vat_number?: string | null;
+  document_number?: string | null;
 }
 
 /**
@@ -79,6 +91,7 @@ export interface UpdateExpenseDTO {
 export interface ExpenseWithCategory extends Expense {
   category_name: string;        // Name of the expense category
   category_color: string;       // Hex color for UI display
+  attachment_count?: number;    // Receipts and documents attached (list and detail)
 }
 
 /**
@@ -0,0 +1,104 @@
+/**
+ * Expense Rule Model
+ *
+ * Categorization rules pick the category of an expense (and defaults for
+ * its IVA and notes) from its description, supplier and amount, so
+ * obvious cases like "GitHub" or "Trenitalia" need no manual choice.
+ * Rules are tried in priority order; the first matching one applies.
+ *
+ * The model includes:
+ * - RuleMatchType: How the description pattern is matched
+ * - ExpenseRule: Rule as stored in database, with its category
+ * - SaveExpenseRuleDTO: Create / update data
+ * - Matching input and re-categorization preview
+ */
+
+/**
+ * Description Match Type Enum
+ *
+ * Both are case-insensitive.
+ */
+export enum RuleMatchType {
+  CONTAINS = 'contains',
+  REGEX = 'regex'
+}
+
+/**
+ * Expense Rule Interface
+ *
+ * Every condition that is set must match; at least one is required.
+ */
+export interface ExpenseRule {
+  id: number;
+  name: string;
+  priority: number;                     // Lower is tried first
+  match_type: RuleMatchType;
+  description_pattern: string | null;   // Text or regular expression on the description
+  supplier_pattern: string | null;      // Text the supplier name contains
+  min_amount: number | null;            // Amount range, bounds included
+  max_amount: number | null;
+  category_id: number;
+  category_name: string;
+  category_color: string;
+  iva_included: boolean | null;         // IVA defaults, null leaves the usual default
+  iva_rate: number | null;
+  notes: string | null;                 // Notes for expenses created without any
+  active: boolean;
+  created_at: string;
+  updated_at: string;
+}
+
+/**
+ * Create / Update Expense Rule DTO
+ *
+ * New rules go last in the priority order.
+ */
+export interface SaveExpenseRuleDTO {
+  name: string;
+  match_type?: RuleMatchType;
+  description_pattern?: string | null;
+  supplier_pattern?: string | null;
+  min_amount?: number | null;
+  max_amount?: number | null;
+  category_id: number;
+  iva_included?: boolean | null;
+  iva_rate?: number | null;
+  notes?: string | null;
+  active?: boolean;
+}
+
+/**
+ * Expense data a rule is matched against
+ */
+export interface ExpenseRuleInput {
+  description: string;
+  supplier_name?: string | null;
+  amount?: number | null;
+}
+
+/**
+ * Expenses to re-categorize
+ */
+export interface RecategorizeFilters {
+  start_date?: string;
+  end_date?: string;
+  category_id?: number;                 // Only expenses now in this category
+  expense_ids?: number[];               // Apply: only these expenses of the preview
+}
+
+/**
+ * Category change proposed by the rules for an existing expense
+ */
+export interface RecategorizeChange {
+  expense_id: number;
+  expense_date: string;
+  description: string;
+  supplier_name: string | null;
+  amount: number;
+  current_category_id: number;
+  current_category_name: string;
+  new_category_id: number;
+  new_category_name: string;
+  rule_id: number;
+  rule_name: string;
+}
@@ -7,6 +7,8 @@
  * The model includes:
  * - Invoice interface: Complete invoice data structure as stored in database
  * - InvoiceStatus: Enum for valid invoice statuses
+ * - InvoiceStatusChange: Entry of the status history of an invoice
+ * - DocumentType: Invoice or credit note
  * - CreateInvoiceDTO: Data Transfer Object for creating new invoices
  * - UpdateInvoiceDTO: Data Transfer Object for updating existing invoices
  */
@@ -17,14 +19,49 @@
  * Represents the lifecycle of an invoice:
  * - draft: Invoice created but not yet sent to client
  * - sent: Invoice has been sent to client, awaiting payment
- * - paid: Client has paid the invoice
- * - overdue: Invoice is past due_date and still unpaid
+ * - partially_paid: Some payments received, balance still open
+ * - paid: Payments cover the invoice total
+ * - overdue: Invoice is past due_date with a balance still open
+ * - cancelled: Credit notes cover the whole invoice, nothing was paid
+ * 
+ * partially_paid and paid are derived from the recorded payments,
+ * cancelled from the credit notes, overdue from the due date.
  */
 export enum InvoiceStatus {
   DRAFT = 'draft',
   SENT = 'sent',
+  PARTIALLY_PAID = 'partially_paid',
   PAID = 'paid',
-  OVERDUE = 'overdue'
+  OVERDUE = 'overdue',
+  CANCELLED = 'cancelled'
+}
+
+/**
+ * Status Change Source Enum
+ * 
+ * What changed the status of an invoice:
+ * - user: Set by hand (e.g. a draft marked as sent)
+ * - payment: A payment recorded or deleted, or a new invoice total
+ * - credit_note: A credit note issued or deleted
+ * - job: The overdue check run by the scheduler and the dashboard
+ */
+export enum StatusChangeSource {
+  USER = 'user',
+  PAYMENT = 'payment',
+  CREDIT_NOTE = 'credit_note',
+  JOB = 'job'
+}
+
+/**
+ * Document Type Enum
+ * 
+ * Credit notes (note di credito) are stored with the invoices. They
+ * correct an issued invoice, partially or totally, without changing it,
+ * and have their own numbering series.
+ */
+export enum DocumentType {
+  INVOICE = 'invoice',
+  CREDIT_NOTE = 'credit_note'
 }
 
 /**
@@ -32,22 +69,115 @@ export enum InvoiceStatus {
  * 
  * Represents a complete invoice record as stored in the database.
  * All fields are required except paid_date (only set when status is 'paid').
+ * Payment fields are loaded from invoice_payments.
+ * Amounts of credit notes are positive, their type tells them apart.
+ * Amounts are in the invoice currency; the *_eur fields convert them
+ * with the exchange rate of the invoice.
  */
 export interface Invoice {
   id: number;
   invoice_number: string;      // Unique identifier like 'INV-2024-001'
-  client_name: string;          // Name of the client who will pay
+  client_id: number | null;     // Client in the registry, null if the name matches none
+  client_name: string;          // Name of the client as printed on the invoice
   description: string | null;   // What service/product was provided
   amount: number;               // Base amount before tax
   tax_rate: number;             // Tax percentage (e.g., 22 for 22%)
-  tax_amount: number;           // Calculated tax (amount * tax_rate / 100)
-  total_amount: number;         // Final amount (amount + tax_amount)
+  tax_amount: number;           // Calculated tax ((amount + rivalsa) * tax_rate / 100)
+  total_amount: number;         // Final amount (amount + rivalsa + tax_amount + rebilled stamp duty)
   status: InvoiceStatus;        // Current invoice status
   issue_date: string;           // Date invoice was created (YYYY-MM-DD)
   due_date: string;             // Payment due date (YYYY-MM-DD)
-  paid_date: string | null;     // Actual payment date, null if unpaid
+  paid_date: string | null;     // Date payments reached the total, null if unpaid
+  document_type: DocumentType;  // Invoice or credit note
+  original_invoice_id: number | null; // Invoice corrected by a credit note
+  stamp_duty: boolean;          // Marca da bollo due (no IVA, amount above the threshold)
+  stamp_duty_amount: number;    // Marca da bollo amount, 0 if not due
+  stamp_duty_rebilled: boolean; // Marca da bollo charged to the client, included in total_amount
+  inps_rivalsa_rate: number;    // Rivalsa INPS percentage, 0 if not applied
+  inps_rivalsa_amount: number;  // Rivalsa INPS charged on amount, part of the revenue
+  currency: string;             // ISO 4217 code of all the amounts (e.g. 'USD')
+  exchange_rate: number;        // Units of currency for 1 EUR, 1 for EUR invoices
   created_at: string;           // Record creation timestamp
   updated_at: string;           // Last update timestamp
+  items: InvoiceItem[];         // Invoice lines, ordered by position
+  payments: InvoicePayment[];   // Payments received, ordered by date
+  amount_paid: number;          // Sum of the payments
+  amount_credited: number;      // Sum of the credit notes issued for the invoice
+  balance_due: number;          // total_amount - amount_paid - amount_credited
+  total_amount_eur: number;     // total_amount converted to EUR
+  balance_due_eur: number;      // balance_due converted to EUR
+  attachment_count: number;     // Receipts and documents attached
+}
+
+/**
+ * Payment Method Enum
+ * 
+ * How the client paid an invoice.
+ */
+export enum PaymentMethod {
+  BANK_TRANSFER = 'bank_transfer',
+  CASH = 'cash',
+  CARD = 'card',
+  PAYPAL = 'paypal',
+  OTHER = 'other'
+}
+
+/**
+ * Invoice Payment Interface
+ * 
+ * Money received for an invoice. An invoice can be paid in several
+ * installments; income is counted on payment_date (cassa basis).
+ */
+export interface InvoicePayment {
+  id: number;
+  invoice_id: number;
+  payment_date: string;         // Date the money was received (YYYY-MM-DD)
+  amount: number;               // Amount received
+  method: PaymentMethod;        // How the client paid
+  note: string | null;          // Optional note (e.g. bank reference)
+  created_at: string;           // Record creation timestamp
+}
+
+/**
+ * Create Invoice Payment DTO
+ * 
+ * Used when recording a payment via API.
+ */
+export interface CreateInvoicePaymentDTO {
+  payment_date: string;         // Required: YYYY-MM-DD format
+  amount: number;               // Required: > 0 and not above the balance due
+  method?: PaymentMethod;       // Optional, defaults to bank_transfer
+  note?: string;
+}
+
+/**
+ * Invoice Item Interface
+ * 
+ * A single line of an invoice (e.g. "Sviluppo, 40 h x 50.00").
+ * The invoice amount is always the sum of its line totals.
+ */
+export interface InvoiceItem {
+  id: number;
+  invoice_id: number;
+  position: number;             // Line order, starting at 1
+  description: string;          // What was provided
+  quantity: number;             // Quantity (hours, days, pieces...)
+  unit: string | null;          // Optional unit of measure (e.g. 'h', 'gg')
+  unit_price: number;           // Price per unit, before tax
+  line_total: number;           // quantity * unit_price, rounded to cents
+}
+
+/**
+ * Invoice Item Input
+ * 
+ * Line data sent when creating or updating an invoice.
+ * Line totals are calculated by the service layer.
+ */
+export interface InvoiceItemInput {
+  description: string;
+  quantity: number;
+  unit?: string | null;
+  unit_price: number;
 }
 
 /**
@@ -55,17 +185,31 @@ export interface Invoice {
  * 
  * Used when creating a new invoice via API.
  * Excludes auto-generated fields (id, timestamps).
+ * Either items or amount must be provided: a plain amount becomes a
+ * single line using the description.
+ * Without an invoice number the next one is reserved from the
+ * configured numbering scheme.
+ * Invoices in another currency take the exchange rate given, or the
+ * latest one stored on or before the issue date.
+ * Without a client_id the client is looked up by name.
  * Tax amount and total amount are calculated automatically by the service layer.
  */
 export interface CreateInvoiceDTO {
-  invoice_number: string;
-  client_name: string;
+  invoice_number?: string;      // Optional, defaults to the next progressive number
+  client_id?: number | null;    // Client in the registry, gives the name when client_name is missing
+  client_name?: string;         // Required without client_id
   description?: string;         // Optional description
-  amount: number;               // Base amount (tax will be calculated)
+  amount?: number;              // Base amount, ignored when items are provided
+  items?: InvoiceItemInput[];   // Invoice lines, amount is derived from them
   tax_rate?: number;            // Optional, uses default from settings if not provided
   status?: InvoiceStatus;       // Optional, defaults to 'draft'
   issue_date: string;           // Required: YYYY-MM-DD format
   due_date: string;             // Required: YYYY-MM-DD format
+  paid_date?: string;           // With status 'paid': date of the payment, defaults to issue date
+  stamp_duty_rebilled?: boolean; // Charge the marca da bollo to the client, defaults to the setting
+  inps_rivalsa?: boolean;       // Charge the rivalsa INPS, defaults to the client choice
+  currency?: string;            // ISO 4217 code, defaults to EUR
+  exchange_rate?: number;       // Units of currency for 1 EUR, defaults to the stored rate
 }
 
 /**
@@ -77,14 +221,81 @@ export interface CreateInvoiceDTO {
  */
 export interface UpdateInvoiceDTO {
   invoice_number?: string;
-  client_name?: string;
+  client_id?: number | null;    // null unlinks the invoice from the registry
+  client_name?: string;         // Alone, links the invoice to the client with this name
   description?: string;
-  amount?: number;
+  amount?: number;              // Only for invoices with a single line
+  items?: InvoiceItemInput[];   // Replaces all lines and recalculates amount
   tax_rate?: number;
   status?: InvoiceStatus;
   issue_date?: string;
   due_date?: string;
-  paid_date?: string | null;    // Can be set when marking invoice as paid
+  stamp_duty_rebilled?: boolean; // Charge the marca da bollo to the client
+  inps_rivalsa?: boolean;       // Charge the rivalsa INPS
+  currency?: string;            // Without exchange_rate the stored rate is used
+  exchange_rate?: number;
+}
+
+/**
+ * Create Invoice From Worked Hours DTO
+ * 
+ * Used to bill the unbilled worked hours of a client in a date range.
+ * The invoice is created as a draft, with one line per hourly rate.
+ */
+export interface CreateInvoiceFromWorkedHoursDTO {
+  client_id: number;
+  start_date: string;           // First worked day to bill (YYYY-MM-DD)
+  end_date: string;             // Last worked day to bill (YYYY-MM-DD)
+  invoice_number?: string;      // Defaults to the next progressive number
+  issue_date?: string;          // Defaults to today
+  due_date?: string;            // Defaults to the payment terms of the client (30 days)
+}
+
+/**
+ * Create Credit Note DTO
+ * 
+ * Used to issue a credit note for an invoice. Without items or amount
+ * the credit note cancels everything still open on the invoice (total
+ * credit note, copying its lines); otherwise it is a partial one.
+ * The IVA rate is always the one of the invoice.
+ */
+export interface CreateCreditNoteDTO {
+  invoice_number?: string;      // Defaults to the next credit note number
+  description?: string;         // Reason of the correction
+  amount?: number;              // Base amount to credit, ignored when items are provided
+  items?: InvoiceItemInput[];   // Lines to credit
+  issue_date?: string;          // Defaults to today
+}
+
+/**
+ * Invoice Numbering Issue
+ * 
+ * A problem found while checking the numbering of a year:
+ * - gap: a progressive number was never issued (or was deleted)
+ * - duplicate: the same progressive number was issued twice
+ * - out_of_order: a later invoice has a lower number than an earlier one
+ * - unrecognized: the number does not follow the configured format
+ */
+export interface InvoiceNumberingIssue {
+  type: 'gap' | 'duplicate' | 'out_of_order' | 'unrecognized';
+  invoice_number: string;       // Invoice concerned (the missing number for gaps)
+  message: string;              // Human-readable description
+}
+
+/**
+ * Invoice Numbering Check
+ * 
+ * Result of the continuity check of a year's invoice numbers,
+ * ordered by issue date.
+ */
+export interface InvoiceNumberingCheck {
+  year: number;
+  document_type: DocumentType;  // Numbering series checked
+  format: string;               // Numbering scheme used to read the numbers
+  invoices_checked: number;
+  last_number: string | null;   // Highest number issued in the year
+  is_continuous: boolean;       // True when no issues were found
+  issues: InvoiceNumberingIssue[];
 }
 
 /**
@@ -92,12 +303,61 @@ export interface UpdateInvoiceDTO {
  * 
  * Aggregated invoice data for dashboard display.
  * Used by dashboard service to show high-level metrics.
+ * All amounts are converted to EUR.
  */
 export interface InvoiceSummary {
   total_invoices: number;       // Total count of all invoices
   total_amount: number;         // Sum of all invoice amounts
-  total_paid: number;           // Sum of paid invoice amounts
-  total_pending: number;        // Sum of sent but unpaid invoices
-  total_overdue: number;        // Sum of overdue invoice amounts
+  total_paid: number;           // Sum of the payments received
+  total_pending: number;        // Share still open of sent and partially paid invoices (excl. VAT)
+  total_overdue: number;        // Share still open of overdue invoices (excl. VAT)
+}
+
+
+/**
+ * Highest reminder level
+ * 
+ * Reminders (solleciti) escalate: 1 is a friendly reminder, 2 a formal
+ * one, 3 the formal notice (diffida / messa in mora) before legal action.
+ */
+export const MAX_REMINDER_LEVEL = 3;
+
+/**
+ * Invoice Reminder Interface
+ * 
+ * A solicitation sent to the client for an unpaid invoice, kept as a log
+ * to know when and how hard each client was last chased.
+ */
+export interface InvoiceReminder {
+  id: number;
+  invoice_id: number;
+  reminder_date: string;        // Date the reminder was sent (YYYY-MM-DD)
+  level: number;                // 1 to MAX_REMINDER_LEVEL
+  note: string | null;          // Optional note (e.g. channel, answer)
+  created_at: string;           // Record creation timestamp
 }
 
+/**
+ * Create Invoice Reminder DTO
+ * 
+ * Used when logging a reminder via API.
+ */
+export interface CreateInvoiceReminderDTO {
+  reminder_date?: string;       // Optional, defaults to today
+  level?: number;               // Optional, defaults to one above the last reminder
+  note?: string;
+}
+
+/**
+ * Invoice Status Change Interface
+ * 
+ * One entry of the status history of an invoice.
+ */
+export interface InvoiceStatusChange {
+  id: number;
+  invoice_id: number;
+  from_status: InvoiceStatus | null; // NULL when the invoice was created
+  to_status: InvoiceStatus;
+  source: StatusChangeSource;
+  created_at: string;           // When the change happened
+}
@@ -0,0 +1,138 @@
+/**
+ * Quote Model
+ *
+ * Quotes (preventivi) are estimates sent to a client before a project.
+ * They have their own numbering series and never count as revenue;
+ * once accepted, a quote is converted into an invoice that copies its
+ * client, lines and notes.
+ *
+ * The model includes:
+ * - Quote interface: Complete quote data structure as stored in database
+ * - QuoteStatus: Enum for valid quote statuses
+ * - CreateQuoteDTO / UpdateQuoteDTO: Data Transfer Objects for the API
+ * - QuoteClientStats: Acceptance figures of a client
+ */
+
+import { InvoiceItemInput } from './Invoice.model';
+
+/**
+ * Numbering series of quotes, next to the invoice and credit note ones
+ */
+export const QUOTE_NUMBERING_SERIES = 'quote';
+
+/**
+ * Quote Status Enum
+ *
+ * - open: sent to the client, waiting for an answer
+ * - accepted: the client accepted (converted quotes are always accepted)
+ * - rejected: the client declined
+ * - expired: still open after valid_until, set automatically
+ */
+export enum QuoteStatus {
+  OPEN = 'open',
+  ACCEPTED = 'accepted',
+  REJECTED = 'rejected',
+  EXPIRED = 'expired'
+}
+
+/**
+ * Quote Item Interface
+ *
+ * A single line of a quote, same shape as an invoice line.
+ */
+export interface QuoteItem {
+  id: number;
+  quote_id: number;
+  position: number;             // Line order, starting at 1
+  description: string;
+  quantity: number;
+  unit: string | null;
+  unit_price: number;
+  line_total: number;           // quantity * unit_price, rounded to cents
+}
+
+/**
+ * Quote Interface
+ *
+ * Represents a quote record as stored in the database, with its lines
+ * and the number of the invoice it was converted into.
+ */
+export interface Quote {
+  id: number;
+  quote_number: string;         // Progressive number of the quote series, e.g. PR2024/001
+  client_name: string;
+  description: string | null;   // Notes printed on the quote
+  amount: number;               // Sum of the line totals
+  tax_rate: number;             // IVA percentage
+  tax_amount: number;           // amount * tax_rate / 100
+  total_amount: number;         // amount + tax_amount
+  status: QuoteStatus;
+  issue_date: string;           // YYYY-MM-DD
+  valid_until: string;          // Last day the client can accept (YYYY-MM-DD)
+  invoice_id: number | null;    // Invoice created from the quote
+  invoice_number: string | null; // Number of that invoice
+  created_at: string;
+  updated_at: string;
+  items: QuoteItem[];
+}
+
+/**
+ * Create Quote DTO
+ *
+ * Either items or amount must be provided. Without a number the next
+ * one of the quote series is reserved; without valid_until the quote
+ * is valid for the quote_validity_days setting.
+ */
+export interface CreateQuoteDTO {
+  quote_number?: string;
+  client_name: string;
+  description?: string;
+  amount?: number;              // Base amount, ignored when items are provided
+  items?: InvoiceItemInput[];
+  tax_rate?: number;            // Defaults to the settings
+  issue_date?: string;          // Defaults to today
+  valid_until?: string;
+}
+
+/**
+ * Update Quote DTO
+ *
+ * Converted quotes cannot be changed.
+ */
+export interface UpdateQuoteDTO {
+  quote_number?: string;
+  client_name?: string;
+  description?: string | null;
+  items?: InvoiceItemInput[];   // Replaces all lines and recalculates amount
+  tax_rate?: number;
+  issue_date?: string;
+  valid_until?: string;
+}
+
+/**
+ * Convert Quote DTO
+ *
+ * Dates of the invoice created from a quote.
+ */
+export interface ConvertQuoteDTO {
+  issue_date?: string;          // Defaults to today
+  due_date?: string;            // Defaults to 30 days after the issue date
+}
+
+/**
+ * Quote Client Stats Interface
+ *
+ * How the quotes of a client went. The acceptance rate only considers
+ * quotes with an outcome: accepted, rejected or expired.
+ */
+export interface QuoteClientStats {
+  client_name: string;
+  quotes: number;               // All quotes
+  open: number;
+  accepted: number;
+  rejected: number;
+  expired: number;
+  acceptance_rate: number | null; // Accepted / quotes with an outcome (%), null if none
+  quoted_amount: number;        // Total of all quotes (excl. VAT)
+  accepted_amount: number;      // Total of the accepted quotes (excl. VAT)
+}
@@ -0,0 +1,110 @@
+/**
+ * Recurring Expense Model
+ *
+ * A recurring expense describes an expense that repeats on a fixed
+ * schedule, typically a software subscription billed every month or
+ * year. The scheduler creates the expense of every due renewal and moves
+ * the next date forward.
+ *
+ * The model includes:
+ * - RecurringExpense: Definition as stored in database
+ * - Create/Update DTOs
+ * - Subscription overview: annualized cost and upcoming renewals
+ *
+ * Frequencies are the same as recurring invoices (RecurringFrequency).
+ */
+
+import { RecurringFrequency } from './RecurringInvoice.model';
+
+/**
+ * Recurring Expense Interface
+ *
+ * Represents a definition as stored in the database, with its category.
+ */
+export interface RecurringExpense {
+  id: number;
+  description: string;          // Description of the generated expenses
+  amount: number;               // Amount of each expense (net if IVA not included)
+  category_id: number;
+  category_name: string;
+  category_color: string;
+  iva_included: boolean;        // Same meaning as on expenses
+  iva_rate: number;
+  supplier_name: string | null;
+  notes: string | null;
+  frequency: RecurringFrequency;
+  day_of_month: number;         // Renewal day (1-31), moved to the last day in shorter months
+  next_date: string;            // Date of the next expense to create (YYYY-MM-DD)
+  end_date: string | null;      // Last possible renewal, null until cancelled
+  active: boolean;              // Paused definitions create no expenses
+  annual_cost: number;          // Cost over a year, IVA to add included
+  created_at: string;
+  updated_at: string;
+}
+
+/**
+ * Create Recurring Expense DTO
+ */
+export interface CreateRecurringExpenseDTO {
+  description: string;          // Required
+  amount: number;               // Required: > 0
+  category_id: number;          // Required
+  iva_included?: boolean;       // Default: true
+  iva_rate?: number;            // Default: 22
+  supplier_name?: string | null;
+  notes?: string | null;
+  frequency?: RecurringFrequency; // Default: monthly
+  day_of_month?: number;        // Default: day of next_date
+  next_date: string;            // Required: YYYY-MM-DD format
+  end_date?: string | null;
+  active?: boolean;             // Default: true
+}
+
+/**
+ * Update Recurring Expense DTO
+ *
+ * All fields are optional. Expenses already created are not touched.
+ */
+export type UpdateRecurringExpenseDTO = Partial<CreateRecurringExpenseDTO>;
+
+/**
+ * Result of a scheduler run
+ */
+export interface RecurringExpenseRunResult {
+  run_date: string;             // Renewals up to this date were processed
+  generated: number;            // Expenses created
+  expense_ids: number[];
+  errors: { recurring_expense_id: number; renewal_date: string; message: string }[];
+}
+
+/**
+ * Renewal expected in the coming days
+ */
+export interface UpcomingRenewal {
+  recurring_expense_id: number;
+  description: string;
+  category_name: string;
+  renewal_date: string;
+  amount: number;               // Amount plus IVA to add
+}
+
+/**
+ * Subscriptions overview
+ *
+ * Covers the active definitions that still have renewals ahead.
+ */
+export interface SubscriptionOverview {
+  total_annual_cost: number;
+  monthly_average: number;      // total_annual_cost / 12
+  items: Pick<RecurringExpense, 'id' | 'description' | 'category_name' | 'frequency' | 'amount' | 'annual_cost' | 'next_date'>[];
+  by_category: {
+    category_id: number;
+    category_name: string;
+    category_color: string;
+    annual_cost: number;
+    count: number;
+  }[];
+  upcoming_days: number;
+  upcoming: UpcomingRenewal[];
+  upcoming_total: number;
+}
@@ -0,0 +1,128 @@
+/**
+ * Recurring Invoice Model
+ *
+ * A recurring invoice is a template for invoices that repeat on a fixed
+ * schedule (e.g. a monthly retainer). The scheduler turns every due
+ * occurrence into a draft invoice; single occurrences can be skipped.
+ *
+ * The model includes:
+ * - RecurringFrequency: How often the invoice repeats
+ * - RecurringInvoice: Template as stored in database
+ * - RecurringInvoiceOccurrence: A scheduled date and what happened to it
+ * - Create/Update DTOs
+ */
+
+/**
+ * Recurring Frequency Enum
+ *
+ * Occurrences fall every 1, 3, 6 or 12 months, counting from the
+ * month of the start date.
+ */
+export enum RecurringFrequency {
+  MONTHLY = 'monthly',
+  QUARTERLY = 'quarterly',
+  SEMIANNUAL = 'semiannual',
+  YEARLY = 'yearly'
+}
+
+/**
+ * Months between two occurrences of each frequency
+ */
+export const FREQUENCY_MONTHS: Record<RecurringFrequency, number> = {
+  [RecurringFrequency.MONTHLY]: 1,
+  [RecurringFrequency.QUARTERLY]: 3,
+  [RecurringFrequency.SEMIANNUAL]: 6,
+  [RecurringFrequency.YEARLY]: 12
+};
+
+/**
+ * Recurring Invoice Interface
+ *
+ * Represents a template as stored in the database.
+ */
+export interface RecurringInvoice {
+  id: number;
+  client_name: string;          // Client of the generated invoices
+  description: string;          // Invoice description and line text
+  amount: number;               // Base amount before tax
+  tax_rate: number | null;      // Tax percentage, null uses the default from settings
+  frequency: RecurringFrequency; // How often the invoice repeats
+  day_of_month: number;         // Issue day (1-31), moved to the last day in shorter months
+  start_date: string;           // First possible occurrence (YYYY-MM-DD)
+  end_date: string | null;      // Last possible occurrence, null if open-ended
+  payment_days: number;         // Due date = issue date + payment_days
+  created_at: string;           // Record creation timestamp
+  updated_at: string;           // Last update timestamp
+  next_occurrence: string | null; // Next date not generated or skipped yet, null if none left
+}
+
+/**
+ * Occurrence Status Enum
+ *
+ * - scheduled: Not reached yet (or waiting for the next scheduler run)
+ * - generated: The draft invoice was created
+ * - skipped: No invoice will be created for this date
+ */
+export enum OccurrenceStatus {
+  SCHEDULED = 'scheduled',
+  GENERATED = 'generated',
+  SKIPPED = 'skipped'
+}
+
+/**
+ * Recurring Invoice Occurrence Interface
+ *
+ * One date of the schedule. Generated and skipped dates are stored in
+ * recurring_invoice_occurrences, scheduled ones are computed.
+ */
+export interface RecurringInvoiceOccurrence {
+  occurrence_date: string;      // Issue date of the occurrence (YYYY-MM-DD)
+  status: OccurrenceStatus;
+  invoice_id: number | null;    // Generated draft, null if skipped, pending or deleted
+  invoice_number: string | null;
+}
+
+/**
+ * Create Recurring Invoice DTO
+ *
+ * Used when creating a new template via API.
+ */
+export interface CreateRecurringInvoiceDTO {
+  client_name: string;          // Required
+  description: string;          // Required
+  amount: number;               // Required: > 0
+  tax_rate?: number | null;     // Optional, default from settings when generating
+  frequency?: RecurringFrequency; // Optional, defaults to monthly
+  day_of_month?: number;        // Optional, defaults to the day of start_date
+  start_date: string;           // Required: YYYY-MM-DD format
+  end_date?: string | null;     // Optional: YYYY-MM-DD format
+  payment_days?: number;        // Optional, defaults to 30
+}
+
+/**
+ * Update Recurring Invoice DTO
+ *
+ * All fields are optional. Schedule changes apply to the occurrences
+ * that were not generated yet.
+ */
+export interface UpdateRecurringInvoiceDTO {
+  client_name?: string;
+  description?: string;
+  amount?: number;
+  tax_rate?: number | null;
+  frequency?: RecurringFrequency;
+  day_of_month?: number;
+  start_date?: string;
+  end_date?: string | null;
+  payment_days?: number;
+}
+
+/**
+ * Result of a scheduler run
+ */
+export interface RecurringInvoiceRunResult {
+  run_date: string;             // Occurrences up to this date were processed
+  generated: number;            // Draft invoices created
+  invoice_ids: number[];        // IDs of the created drafts
+  errors: { recurring_invoice_id: number; occurrence_date: string; message: string }[];
+}
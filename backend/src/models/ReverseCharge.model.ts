@@ -0,0 +1,104 @@
+/**
+ * Reverse Charge Model
+ *
+ * Expenses with IVA not included (iva_included = false) are purchases
+ * where the IVA is owed by the buyer, typically services bought from EU
+ * suppliers (reverse charge). Under the regime forfettario that IVA is
+ * paid with F24 by the 16th of the month after the purchase, with the
+ * tribute code of the month (6001-6012).
+ *
+ * The model includes:
+ * - ReverseChargeDocument: Expense making up the IVA of a month
+ * - ReverseChargePayment: F24 payment recorded for a month
+ * - Monthly and quarterly report, outstanding debt for the dashboard
+ */
+
+/**
+ * Supplier document with reverse-charge IVA
+ */
+export interface ReverseChargeDocument {
+  expense_id: number;
+  expense_date: string;
+  description: string;
+  supplier_name: string | null;
+  supplier_vat_number: string | null;
+  document_number: string | null;
+  amount: number;                   // Taxable amount
+  iva_rate: number;
+  iva_amount: number;               // IVA to pay
+}
+
+/**
+ * F24 payment of the IVA of a month
+ */
+export interface ReverseChargePayment {
+  id: number;
+  year: number;
+  month: number;                    // 1-12, month of the expenses
+  payment_date: string;             // Date the F24 was paid (YYYY-MM-DD)
+  amount: number;
+  note: string | null;
+  created_at: string;
+}
+
+/**
+ * Record Reverse Charge Payment DTO
+ */
+export interface CreateReverseChargePaymentDTO {
+  year: number;                     // Required
+  month: number;                    // Required: 1-12
+  payment_date?: string;            // Default: today
+  amount?: number;                  // Default: IVA still due for the month
+  note?: string | null;
+}
+
+/**
+ * Reverse-charge IVA of a month
+ */
+export interface ReverseChargeMonth {
+  year: number;
+  month: number;
+  tribute_code: string;             // F24 tribute code (6001-6012)
+  due_date: string;                 // F24 deadline (YYYY-MM-DD)
+  iva_amount: number;               // IVA of the expenses of the month
+  paid_amount: number;
+  outstanding_amount: number;       // Still to pay
+  overdue: boolean;                 // Outstanding past the deadline
+  documents: ReverseChargeDocument[];
+  payments: ReverseChargePayment[];
+}
+
+/**
+ * Reverse-charge IVA of a quarter
+ *
+ * Each month keeps its own F24 deadline.
+ */
+export interface ReverseChargeQuarter {
+  quarter: number;                  // 1-4
+  iva_amount: number;
+  paid_amount: number;
+  outstanding_amount: number;
+  next_due_date: string | null;     // First deadline with IVA still to pay
+  months: ReverseChargeMonth[];
+}
+
+/**
+ * Reverse-charge IVA report of a year
+ */
+export interface ReverseChargeReport {
+  year: number;
+  iva_amount: number;
+  paid_amount: number;
+  outstanding_amount: number;
+  quarters: ReverseChargeQuarter[];
+}
+
+/**
+ * Reverse-charge IVA still to pay, all years
+ */
+export interface ReverseChargeDebt {
+  outstanding_amount: number;
+  overdue_amount: number;           // Part past its deadline
+  next_due_date: string | null;
+  periods: Pick<ReverseChargeMonth, 'year' | 'month' | 'tribute_code' | 'due_date' | 'outstanding_amount' | 'overdue'>[];
+}
@@ -25,7 +25,43 @@ export enum SettingKey {
   TARGET_SALARY = 'target_salary',
   TAXABLE_PERCENTAGE = 'taxable_percentage',
   INCOME_TAX_RATE = 'income_tax_rate',
-  HEALTH_INSURANCE_RATE = 'health_insurance_rate'
+  HEALTH_INSURANCE_RATE = 'health_insurance_rate',
+  BUSINESS_FIRST_NAME = 'business_first_name',
+  BUSINESS_LAST_NAME = 'business_last_name',
+  BUSINESS_COMPANY_NAME = 'business_company_name',
+  BUSINESS_VAT_NUMBER = 'business_vat_number',
+  BUSINESS_FISCAL_CODE = 'business_fiscal_code',
+  BUSINESS_ADDRESS = 'business_address',
+  BUSINESS_POSTAL_CODE = 'business_postal_code',
+  BUSINESS_CITY = 'business_city',
+  BUSINESS_PROVINCE = 'business_province',
+  BUSINESS_COUNTRY = 'business_country',
+  BUSINESS_IBAN = 'business_iban',
+  FORFETTARIO_EXEMPTION_TEXT = 'forfettario_exemption_text',
+  INVOICE_PDF_TITLE = 'invoice_pdf_title',
+  INVOICE_PDF_PAYMENT_TEXT = 'invoice_pdf_payment_text',
+  INVOICE_PDF_STAMP_DUTY_TEXT = 'invoice_pdf_stamp_duty_text',
+  INVOICE_PDF_FOOTER_TEXT = 'invoice_pdf_footer_text',
+  INVOICE_NUMBER_FORMAT = 'invoice_number_format',
+  CREDIT_NOTE_NUMBER_FORMAT = 'credit_note_number_format',
+  STAMP_DUTY_THRESHOLD = 'stamp_duty_threshold',
+  STAMP_DUTY_AMOUNT = 'stamp_duty_amount',
+  STAMP_DUTY_REBILL = 'stamp_duty_rebill',
+  INPS_RIVALSA_RATE = 'inps_rivalsa_rate',
+  INPS_RIVALSA_DEFAULT = 'inps_rivalsa_default',
+  QUOTE_NUMBER_FORMAT = 'quote_number_format',
+  QUOTE_VALIDITY_DAYS = 'quote_validity_days',
+  LATE_INTEREST_RATE = 'late_interest_rate',
+  SMTP_HOST = 'smtp_host',
+  SMTP_PORT = 'smtp_port',
+  SMTP_SECURITY = 'smtp_security',
+  SMTP_USER = 'smtp_user',
+  SMTP_PASSWORD = 'smtp_password',
+  SMTP_FROM = 'smtp_from',
+  EMAIL_INVOICE_SUBJECT = 'email_invoice_subject',
+  EMAIL_INVOICE_BODY = 'email_invoice_body',
+  EMAIL_REPORT_SUBJECT = 'email_report_subject',
+  EMAIL_REPORT_BODY = 'email_report_body'
 }
 
 /**
@@ -56,6 +92,42 @@ export interface Settings {
   taxable_percentage: number;         // Percentage of income that is taxable (regime forfettario)
   income_tax_rate: number;            // Income tax rate (imposta sostitutiva)
   health_insurance_rate: number;      // Health insurance rate (INPS)
+  business_first_name: string;        // Our first name (Anagrafica/Nome)
+  business_last_name: string;         // Our last name (Anagrafica/Cognome)
+  business_company_name: string;      // Optional trade name, replaces first/last name when set
+  business_vat_number: string;        // Partita IVA (11 digits for Italy)
+  business_fiscal_code: string;       // Codice fiscale
+  business_address: string;           // Street and number of the registered office
+  business_postal_code: string;       // CAP
+  business_city: string;              // Comune
+  business_province: string;          // Provincia (2-letter code)
+  business_country: string;           // ISO 3166-1 alpha-2 country code
+  business_iban: string;              // IBAN shown in payment details
+  forfettario_exemption_text: string; // Legal wording for the IVA exemption
+  invoice_pdf_title: string;          // Document title on the invoice PDF
+  invoice_pdf_payment_text: string;   // Payment instructions printed above the IBAN
+  invoice_pdf_stamp_duty_text: string; // Marca da bollo notice for invoices above the threshold
+  invoice_pdf_footer_text: string;    // Free text at the bottom of the invoice PDF
+  invoice_number_format: string;      // Numbering scheme, e.g. {YYYY}/{seq:3}
+  credit_note_number_format: string;  // Separate scheme for credit notes, e.g. NC{YYYY}/{seq:3}
+  stamp_duty_threshold: number;       // Marca da bollo due on IVA-free amounts above this value
+  stamp_duty_amount: number;          // Marca da bollo amount (2.00)
+  stamp_duty_rebill: boolean;         // Default: charge the marca da bollo to the client
+  inps_rivalsa_rate: number;          // Rivalsa INPS percentage (4 for Gestione Separata)
+  inps_rivalsa_default: boolean;      // Apply the rivalsa to clients without their own choice
+  quote_number_format: string;        // Separate scheme for quotes, e.g. PR{YYYY}/{seq:3}
+  quote_validity_days: number;        // Days a new quote stays valid
+  late_interest_rate: number;         // Yearly late payment interest (D.Lgs. 231/2002), percentage
+  smtp_host: string;                  // SMTP server, empty when email is not configured
+  smtp_port: number;
+  smtp_security: SmtpSecurity;        // none (e.g. local catcher), starttls or tls
+  smtp_user: string;                  // Empty for servers without authentication
+  smtp_password: string;              // Never sent back by the API
+  smtp_from: string;                  // Sender, e.g. Mario Rossi <mario@example.com>
+  email_invoice_subject: string;      // Templates with {placeholders}, see email.service
+  email_invoice_body: string;
+  email_report_subject: string;
+  email_report_body: string;
 }
 
 /**
@@ -73,8 +145,139 @@ export interface UpdateSettingsDTO {
   taxable_percentage?: number;
   income_tax_rate?: number;
   health_insurance_rate?: number;
+  business_first_name?: string;
+  business_last_name?: string;
+  business_company_name?: string;
+  business_vat_number?: string;
+  business_fiscal_code?: string;
+  business_address?: string;
+  business_postal_code?: string;
+  business_city?: string;
+  business_province?: string;
+  business_country?: string;
+  business_iban?: string;
+  forfettario_exemption_text?: string;
+  invoice_pdf_title?: string;
+  invoice_pdf_payment_text?: string;
+  invoice_pdf_stamp_duty_text?: string;
+  invoice_pdf_footer_text?: string;
+  invoice_number_format?: string;
+  credit_note_number_format?: string;
+  stamp_duty_threshold?: number;
+  stamp_duty_amount?: number;
+  stamp_duty_rebill?: boolean;
+  inps_rivalsa_rate?: number;
+  inps_rivalsa_default?: boolean;
+  quote_number_format?: string;
+  quote_validity_days?: number;
+  late_interest_rate?: number;
+  smtp_host?: string;
+  smtp_port?: number;
+  smtp_security?: SmtpSecurity;
+  smtp_user?: string;
+  smtp_password?: string;
+  smtp_from?: string;
+  email_invoice_subject?: string;
+  email_invoice_body?: string;
+  email_report_subject?: string;
+  email_report_body?: string;
 }
 
+/**
+ * Default IVA exemption wording for the regime forfettario
+ * 
+ * Used on electronic invoices (RiferimentoNormativo, max 100 characters)
+ * and printed documents when no custom text is configured.
+ */
+export const DEFAULT_FORFETTARIO_EXEMPTION_TEXT =
+  "Operazione in franchigia da IVA ai sensi dell'art. 1, commi 54-89, L. 190/2014";
+
+/**
+ * Default layout strings of the invoice PDF
+ * 
+ * Used when the corresponding settings are empty.
+ */
+export const DEFAULT_INVOICE_PDF_TITLE = 'Fattura';
+export const DEFAULT_INVOICE_PDF_PAYMENT_TEXT = 'Pagamento tramite bonifico bancario entro la data di scadenza';
+export const DEFAULT_INVOICE_PDF_STAMP_DUTY_TEXT =
+  'Imposta di bollo da 2,00 euro assolta in modo virtuale ai sensi del D.M. 17/06/2014';
+
+/**
+ * Default invoice numbering scheme
+ * 
+ * Year of the issue date and a progressive number padded to 3 digits,
+ * restarting every calendar year (e.g. 2024/001).
+ */
+export const DEFAULT_INVOICE_NUMBER_FORMAT = '{YYYY}/{seq:3}';
+
+/**
+ * Default credit note numbering scheme
+ * 
+ * Credit notes have their own progressive series; the prefix keeps
+ * their numbers apart from the invoice ones (e.g. NC2024/001).
+ */
+export const DEFAULT_CREDIT_NOTE_NUMBER_FORMAT = 'NC{YYYY}/{seq:3}';
+
+/**
+ * Default marca da bollo rules
+ * 
+ * Invoices without IVA above 77.47 euro need a 2 euro stamp duty,
+ * paid quarterly for electronic invoices (D.M. 17/06/2014).
+ */
+export const DEFAULT_STAMP_DUTY_THRESHOLD = 77.47;
+export const DEFAULT_STAMP_DUTY_AMOUNT = 2;
+
+/**
+ * Default rivalsa INPS percentage
+ * 
+ * Gestione Separata freelancers may charge 4% of their fee to the client.
+ */
+export const DEFAULT_INPS_RIVALSA_RATE = 4;
+
+/**
+ * Default quote numbering and validity
+ * 
+ * Quotes are not fiscal documents: their series only needs to stay
+ * apart from the invoice one (e.g. PR2024/001).
+ */
+export const DEFAULT_QUOTE_NUMBER_FORMAT = 'PR{YYYY}/{seq:3}';
+export const DEFAULT_QUOTE_VALIDITY_DAYS = 30;
+
+/**
+ * Default late payment interest rate
+ * 
+ * D.Lgs. 231/2002 rate: ECB reference rate + 8 points, published by the
+ * MEF every semester (10.15% for the second half of 2025).
+ */
+export const DEFAULT_LATE_INTEREST_RATE = 10.15;
+
+/**
+ * SMTP connection security
+ * 
+ * - none: plain connection, for local SMTP catchers (e.g. Mailpit on port 1025)
+ * - starttls: upgrade to TLS after connecting (usually port 587)
+ * - tls: TLS from the start (usually port 465)
+ */
+export const SMTP_SECURITY_MODES = ['none', 'starttls', 'tls'] as const;
+export type SmtpSecurity = typeof SMTP_SECURITY_MODES[number];
+
+export const DEFAULT_SMTP_PORT = 587;
+export const DEFAULT_SMTP_SECURITY: SmtpSecurity = 'starttls';
+
+/**
+ * Default email templates
+ * 
+ * Used when the corresponding settings are empty.
+ */
+export const DEFAULT_EMAIL_INVOICE_SUBJECT = 'Fattura n. {invoice_number} - {business_name}';
+export const DEFAULT_EMAIL_INVOICE_BODY =
+  'Gentile {client_name},\n\nin allegato la fattura n. {invoice_number} del {issue_date} di {total_amount}, ' +
+  'con scadenza il {due_date}.\n\nCordiali saluti,\n{business_name}';
+export const DEFAULT_EMAIL_REPORT_SUBJECT = 'Report ore {period} - {business_name}';
+export const DEFAULT_EMAIL_REPORT_BODY =
+  'Gentile {client_name},\n\nin allegato il report delle ore lavorate nel mese di {period}: {total_hours} ore ' +
+  'per un totale di {total_amount}.\n\nCordiali saluti,\n{business_name}';
+
 /**
  * Parse a setting value based on its key
  * 
@@ -85,7 +288,7 @@ export interface UpdateSettingsDTO {
  * @param value - The string value from database
  * @returns Parsed value with correct type
  */
-export function parseSettingValue(key: string, value: string): string | number {
+export function parseSettingValue(key: string, value: string): string | number | boolean {
   switch (key) {
     case SettingKey.DEFAULT_VAT_RATE:
     case SettingKey.DEFAULT_TAX_RATE:
@@ -93,9 +296,47 @@ export function parseSettingValue(key: string, value: string): string | number {
     case SettingKey.TAXABLE_PERCENTAGE:
     case SettingKey.INCOME_TAX_RATE:
     case SettingKey.HEALTH_INSURANCE_RATE:
+    case SettingKey.STAMP_DUTY_THRESHOLD:
+    case SettingKey.STAMP_DUTY_AMOUNT:
+    case SettingKey.INPS_RIVALSA_RATE:
+    case SettingKey.LATE_INTEREST_RATE:
       return parseFloat(value);
+    case SettingKey.QUOTE_VALIDITY_DAYS:
+    case SettingKey.SMTP_PORT:
+      return parseInt(value);
+    case SettingKey.STAMP_DUTY_REBILL:
+    case SettingKey.INPS_RIVALSA_DEFAULT:
+      return value === 'true' || value === '1';
     case SettingKey.CURRENCY:
     case SettingKey.CURRENCY_SYMBOL:
+    case SettingKey.BUSINESS_FIRST_NAME:
+    case SettingKey.BUSINESS_LAST_NAME:
+    case SettingKey.BUSINESS_COMPANY_NAME:
+    case SettingKey.BUSINESS_VAT_NUMBER:
+    case SettingKey.BUSINESS_FISCAL_CODE:
+    case SettingKey.BUSINESS_ADDRESS:
+    case SettingKey.BUSINESS_POSTAL_CODE:
+    case SettingKey.BUSINESS_CITY:
+    case SettingKey.BUSINESS_PROVINCE:
+    case SettingKey.BUSINESS_COUNTRY:
+    case SettingKey.BUSINESS_IBAN:
+    case SettingKey.FORFETTARIO_EXEMPTION_TEXT:
+    case SettingKey.INVOICE_PDF_TITLE:
+    case SettingKey.INVOICE_PDF_PAYMENT_TEXT:
+    case SettingKey.INVOICE_PDF_STAMP_DUTY_TEXT:
+    case SettingKey.INVOICE_PDF_FOOTER_TEXT:
+    case SettingKey.INVOICE_NUMBER_FORMAT:
+    case SettingKey.CREDIT_NOTE_NUMBER_FORMAT:
+    case SettingKey.QUOTE_NUMBER_FORMAT:
+    case SettingKey.SMTP_HOST:
+    case SettingKey.SMTP_SECURITY:
+    case SettingKey.SMTP_USER:
+    case SettingKey.SMTP_PASSWORD:
+    case SettingKey.SMTP_FROM:
+    case SettingKey.EMAIL_INVOICE_SUBJECT:
+    case SettingKey.EMAIL_INVOICE_BODY:
+    case SettingKey.EMAIL_REPORT_SUBJECT:
+    case SettingKey.EMAIL_REPORT_BODY:
       return value;
     default:
       // Try to parse as number, otherwise return as string
@@ -12,6 +12,7 @@ export interface WorkedHour {
   hours: number;
   amount_cached: number;
   note?: string | null;
+  invoice_id?: number | null; // Invoice billing these hours, null if unbilled
   created_at?: string;
   updated_at?: string;
 }
@@ -35,6 +36,8 @@ export interface WorkedHoursSummary {
   client_name: string;
   hours: number;
   amount: number;
+  unbilled_hours: number;
+  unbilled_amount: number;
 }
 
 export interface WorkedHoursSummaryResponse {
@@ -42,6 +45,8 @@ export interface WorkedHoursSummaryResponse {
   overall: {
     total_hours: number;
     total_amount: number;
+    unbilled_hours: number;
+    unbilled_amount: number;
   };
 }
 
@@ -51,6 +56,8 @@ export interface WorkedHoursReportEntry {
   hours: number;
   amount: number;
   note: string | null;
+  invoice_id: number | null;
+  invoice_number: string | null;
 }
 
 export interface WorkedHoursGroupedEntry {
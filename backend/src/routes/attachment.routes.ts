@@ -0,0 +1,25 @@
+/**
+ * Attachment Routes
+ *
+ * Defines HTTP routes for single attachments. Listing and uploading
+ * live under the expense and invoice routes.
+ */
+
+import { Router } from 'express';
+import * as attachmentController from '../controllers/attachment.controller';
+
+const router = Router();
+
+/**
+ * GET /api/attachments/:id/download
+ * Download the file (inline=true to show it in the browser)
+ */
+router.get('/:id/download', attachmentController.downloadAttachment);
+
+/**
+ * DELETE /api/attachments/:id
+ * Delete an attachment, and its file once no longer used
+ */
+router.delete('/:id', attachmentController.deleteAttachment);
+
+export default router;
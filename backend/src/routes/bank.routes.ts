@@ -0,0 +1,92 @@
+/**
+ * Bank Routes
+ *
+ * Defines HTTP routes for importing bank statements (CSV with a saved
+ * column mapping, OFX, CAMT.053) and reconciling the movements with
+ * invoices and expenses.
+ */
+
+import { Router } from 'express';
+import * as bankController from '../controllers/bank.controller';
+
+const router = Router();
+
+/**
+ * GET /api/bank/csv-mappings
+ * List the saved CSV column mappings
+ */
+router.get('/csv-mappings', bankController.getCsvMappings);
+
+/**
+ * POST /api/bank/csv-mappings
+ * Save the CSV column mapping of a bank
+ */
+router.post('/csv-mappings', bankController.createCsvMapping);
+
+/**
+ * PUT /api/bank/csv-mappings/:id
+ * Update a CSV column mapping
+ */
+router.put('/csv-mappings/:id', bankController.updateCsvMapping);
+
+/**
+ * DELETE /api/bank/csv-mappings/:id
+ * Delete a CSV column mapping
+ */
+router.delete('/csv-mappings/:id', bankController.deleteCsvMapping);
+
+/**
+ * POST /api/bank/import/preview
+ * Read uploaded statements and list the movements that would be imported
+ */
+router.post('/import/preview', bankController.previewImport);
+
+/**
+ * POST /api/bank/import
+ * Store the selected new movements
+ */
+router.post('/import', bankController.importStatements);
+
+/**
+ * GET /api/bank/transactions
+ * List imported movements (filter by status and booking date)
+ */
+router.get('/transactions', bankController.getTransactions);
+
+/**
+ * GET /api/bank/transactions/:id/suggestions
+ * Invoices or expenses the movement may match, best first
+ */
+router.get('/transactions/:id/suggestions', bankController.getSuggestions);
+
+/**
+ * POST /api/bank/transactions/:id/match-invoice
+ * Record the movement as a payment of an invoice
+ */
+router.post('/transactions/:id/match-invoice', bankController.matchInvoice);
+
+/**
+ * POST /api/bank/transactions/:id/match-expense
+ * Match the movement to an existing expense
+ */
+router.post('/transactions/:id/match-expense', bankController.matchExpense);
+
+/**
+ * POST /api/bank/transactions/:id/create-expense
+ * Create an expense from the movement and match it
+ */
+router.post('/transactions/:id/create-expense', bankController.createExpense);
+
+/**
+ * POST /api/bank/transactions/:id/ignore
+ * Leave the movement out of the reconciliation
+ */
+router.post('/transactions/:id/ignore', bankController.ignoreTransaction);
+
+/**
+ * POST /api/bank/transactions/:id/unmatch
+ * Undo the match (deleting the recorded payment) or stop ignoring
+ */
+router.post('/transactions/:id/unmatch', bankController.unmatchTransaction);
+
+export default router;
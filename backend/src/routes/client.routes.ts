@@ -4,8 +4,14 @@ import * as clientController from '../controllers/client.controller';
 const router = Router();
 
 router.get('/', clientController.getClients);
+router.get('/summary', clientController.getClientSummaries);
+router.get('/:id/summary', clientController.getClientSummary);
 router.post('/', clientController.createClient);
 router.put('/:id', clientController.updateClient);
+router.post('/:id/archive', clientController.archiveClient);
+router.post('/:id/restore', clientController.restoreClient);
+router.post('/:id/merge/preview', clientController.previewClientMerge);
+router.post('/:id/merge', clientController.mergeClients);
 router.delete('/:id', clientController.deleteClient);
 
 export default router;
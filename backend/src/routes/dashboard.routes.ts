@@ -47,5 +47,12 @@ router.get('/monthly-overview', dashboardController.getMonthlyOverview);
  */
 router.get('/annual-limit', dashboardController.getAnnualRevenueLimit);
 
+/**
+ * GET /api/dashboard/stamp-duty
+ * Get the marca da bollo due per quarter
+ * Query params: year (optional)
+ */
+router.get('/stamp-duty', dashboardController.getStampDutyReport);
+
 export default router;
 
@@ -0,0 +1,25 @@
+/**
+ * Email Routes
+ *
+ * Defines HTTP routes for the email log and the SMTP test.
+ * Maps URL patterns to controller functions.
+ */
+
+import { Router } from 'express';
+import * as emailController from '../controllers/email.controller';
+
+const router = Router();
+
+/**
+ * GET /api/emails
+ * Log of the emails sent and failed, most recent first
+ */
+router.get('/', emailController.getEmailLog);
+
+/**
+ * POST /api/emails/test
+ * Send a test message with the SMTP settings
+ */
+router.post('/test', emailController.sendTestEmail);
+
+export default router;
@@ -0,0 +1,37 @@
+/**
+ * Exchange Rate Routes
+ *
+ * Defines HTTP routes for the exchange rates of foreign currency invoices.
+ * Maps URL patterns to controller functions.
+ */
+
+import { Router } from 'express';
+import * as exchangeRateController from '../controllers/exchange-rate.controller';
+
+const router = Router();
+
+/**
+ * GET /api/exchange-rates
+ * List the stored rates (optional currency filter)
+ */
+router.get('/', exchangeRateController.getExchangeRates);
+
+/**
+ * GET /api/exchange-rates/lookup
+ * Rate of a currency that applies to a day (latest on or before it)
+ */
+router.get('/lookup', exchangeRateController.lookupExchangeRate);
+
+/**
+ * POST /api/exchange-rates
+ * Store the rate of a currency for a day
+ */
+router.post('/', exchangeRateController.saveExchangeRate);
+
+/**
+ * DELETE /api/exchange-rates/:id
+ * Delete a stored rate
+ */
+router.delete('/:id', exchangeRateController.deleteExchangeRate);
+
+export default router;
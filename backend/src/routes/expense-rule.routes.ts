@@ -0,0 +1,61 @@
+/**
+ * Expense Rule Routes
+ *
+ * Defines HTTP routes for the expense categorization rules.
+ * Maps URL patterns to controller functions.
+ */
+
+import { Router } from 'express';
+import * as expenseRuleController from '../controllers/expense-rule.controller';
+
+const router = Router();
+
+/**
+ * GET /api/expense-rules
+ * Get all rules in priority order
+ */
+router.get('/', expenseRuleController.getAllExpenseRules);
+
+/**
+ * POST /api/expense-rules
+ * Create new rule (tried last)
+ */
+router.post('/', expenseRuleController.createExpenseRule);
+
+/**
+ * PUT /api/expense-rules/order
+ * Set the priority order of all rules
+ */
+router.put('/order', expenseRuleController.reorderExpenseRules);
+
+/**
+ * POST /api/expense-rules/match
+ * Find the rule that applies to an expense being entered
+ */
+router.post('/match', expenseRuleController.matchExpenseRule);
+
+/**
+ * POST /api/expense-rules/recategorize/preview
+ * List the category changes the rules would make on existing expenses
+ */
+router.post('/recategorize/preview', expenseRuleController.previewRecategorization);
+
+/**
+ * POST /api/expense-rules/recategorize
+ * Apply the category changes of the preview
+ */
+router.post('/recategorize', expenseRuleController.applyRecategorization);
+
+/**
+ * PUT /api/expense-rules/:id
+ * Update rule
+ */
+router.put('/:id', expenseRuleController.updateExpenseRule);
+
+/**
+ * DELETE /api/expense-rules/:id
+ * Delete rule
+ */
+router.delete('/:id', expenseRuleController.deleteExpenseRule);
+
+export default router;
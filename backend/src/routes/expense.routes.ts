@@ -7,6 +7,7 @@
 
 import { Router } from 'express';
 import * as expenseController from '../controllers/expense.controller';
+import * as attachmentController from '../controllers/attachment.controller';
 
 const router = Router();
 
@@ -40,5 +41,17 @@ router.put('/:id', expenseController.updateExpense);
  */
 router.delete('/:id', expenseController.deleteExpense);
 
+/**
+ * GET /api/expenses/:id/attachments
+ * List the receipts and documents attached to an expense
+ */
+router.get('/:id/attachments', attachmentController.getExpenseAttachments);
+
+/**
+ * POST /api/expenses/:id/attachments
+ * Attach PDF, JPG or PNG files to an expense
+ */
+router.post('/:id/attachments', attachmentController.addExpenseAttachments);
+
 export default router;
 
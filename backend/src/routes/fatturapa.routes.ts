@@ -0,0 +1,25 @@
+/**
+ * FatturaPA Routes
+ * 
+ * Defines HTTP routes for importing electronic invoices (FatturaPA XML
+ * or signed .p7m). Export of single invoices lives in invoice routes.
+ */
+
+import { Router } from 'express';
+import * as fatturapaController from '../controllers/fatturapa.controller';
+
+const router = Router();
+
+/**
+ * POST /api/fatturapa/import/preview
+ * Parse uploaded files and list the documents that would be imported
+ */
+router.post('/import/preview', fatturapaController.previewImport);
+
+/**
+ * POST /api/fatturapa/import
+ * Create invoices (issued documents) and expenses (received documents)
+ */
+router.post('/import', fatturapaController.importFiles);
+
+export default router;
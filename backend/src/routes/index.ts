@@ -13,6 +13,17 @@ import categoryRoutes from './category.routes';
 import settingsRoutes from './settings.routes';
 import clientRoutes from './client.routes';
 import workedHoursRoutes from './worked-hours.routes';
+import fatturapaRoutes from './fatturapa.routes';
+import recurringInvoiceRoutes from './recurring-invoice.routes';
+import quoteRoutes from './quote.routes';
+import receivablesRoutes from './receivables.routes';
+import emailRoutes from './email.routes';
+import exchangeRateRoutes from './exchange-rate.routes';
+import attachmentRoutes from './attachment.routes';
+import bankRoutes from './bank.routes';
+import recurringExpenseRoutes from './recurring-expense.routes';
+import expenseRuleRoutes from './expense-rule.routes';
+import reverseChargeRoutes from './reverse-charge.routes';
 
 const router = Router();
 
@@ -22,18 +33,40 @@ const router = Router();
  * All routes are prefixed with /api in the main app
  * So these become:
  * - /api/invoices
+ * - /api/recurring-invoices
+ * - /api/quotes
+ * - /api/receivables
+ * - /api/emails
+ * - /api/exchange-rates
+ * - /api/attachments
+ * - /api/bank
  * - /api/expenses
+ * - /api/recurring-expenses
+ * - /api/expense-rules
+ * - /api/reverse-charge
  * - /api/dashboard
  * - /api/categories
  * - /api/settings
+ * - /api/fatturapa
  */
 router.use('/invoices', invoiceRoutes);
+router.use('/recurring-invoices', recurringInvoiceRoutes);
+router.use('/quotes', quoteRoutes);
+router.use('/receivables', receivablesRoutes);
+router.use('/emails', emailRoutes);
+router.use('/exchange-rates', exchangeRateRoutes);
+router.use('/attachments', attachmentRoutes);
+router.use('/bank', bankRoutes);
 router.use('/expenses', expenseRoutes);
+router.use('/recurring-expenses', recurringExpenseRoutes);
+router.use('/expense-rules', expenseRuleRoutes);
+router.use('/reverse-charge', reverseChargeRoutes);
 router.use('/dashboard', dashboardRoutes);
 router.use('/categories', categoryRoutes);
 router.use('/settings', settingsRoutes);
 router.use('/clients', clientRoutes);
 router.use('/worked-hours', workedHoursRoutes);
+router.use('/fatturapa', fatturapaRoutes);
 
 export default router;
 
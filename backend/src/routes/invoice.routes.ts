@@ -7,6 +7,7 @@
 
 import { Router } from 'express';
 import * as invoiceController from '../controllers/invoice.controller';
+import * as attachmentController from '../controllers/attachment.controller';
 
 const router = Router();
 
@@ -16,18 +17,48 @@ const router = Router();
  */
 router.get('/', invoiceController.getAllInvoices);
 
+/**
+ * GET /api/invoices/numbering/next
+ * Preview the next invoice number for an issue date (nothing is reserved)
+ */
+router.get('/numbering/next', invoiceController.getNextInvoiceNumber);
+
+/**
+ * GET /api/invoices/numbering/check
+ * Report gaps and out-of-order invoice numbers of a year
+ */
+router.get('/numbering/check', invoiceController.checkInvoiceNumbering);
+
 /**
  * GET /api/invoices/:id
  * Get single invoice by ID
  */
 router.get('/:id', invoiceController.getInvoiceById);
 
+/**
+ * GET /api/invoices/:id/fatturapa
+ * Download the invoice as FatturaPA 1.2 XML (FPR12)
+ */
+router.get('/:id/fatturapa', invoiceController.exportFatturaPA);
+
+/**
+ * GET /api/invoices/:id/pdf
+ * Download the invoice as a branded PDF
+ */
+router.get('/:id/pdf', invoiceController.downloadInvoicePdf);
+
 /**
  * POST /api/invoices
  * Create new invoice
  */
 router.post('/', invoiceController.createInvoice);
 
+/**
+ * POST /api/invoices/from-worked-hours
+ * Create a draft invoice from a client's unbilled worked hours
+ */
+router.post('/from-worked-hours', invoiceController.createInvoiceFromWorkedHours);
+
 /**
  * PUT /api/invoices/:id
  * Update existing invoice
@@ -40,6 +71,84 @@ router.put('/:id', invoiceController.updateInvoice);
  */
 router.patch('/:id/status', invoiceController.updateInvoiceStatus);
 
+/**
+ * GET /api/invoices/:id/status-history
+ * Every status change of the invoice with its source (user, payment, credit note, job)
+ */
+router.get('/:id/status-history', invoiceController.getInvoiceStatusHistory);
+
+/**
+ * GET /api/invoices/:id/payments
+ * List the payments received on an invoice
+ */
+router.get('/:id/payments', invoiceController.getInvoicePayments);
+
+/**
+ * POST /api/invoices/:id/payments
+ * Record a payment (the invoice becomes partially paid or paid)
+ */
+router.post('/:id/payments', invoiceController.addInvoicePayment);
+
+/**
+ * DELETE /api/invoices/:id/payments/:paymentId
+ * Delete a payment and derive the invoice status again
+ */
+router.delete('/:id/payments/:paymentId', invoiceController.deleteInvoicePayment);
+
+/**
+ * GET /api/invoices/:id/email
+ * Proposed email for the invoice, from the settings templates
+ */
+router.get('/:id/email', invoiceController.getInvoiceEmailDraft);
+
+/**
+ * POST /api/invoices/:id/email
+ * Email the invoice PDF to the client (the attempt is logged)
+ */
+router.post('/:id/email', invoiceController.sendInvoiceEmail);
+
+/**
+ * GET /api/invoices/:id/reminders
+ * List the reminders sent for an invoice
+ */
+router.get('/:id/reminders', invoiceController.getInvoiceReminders);
+
+/**
+ * POST /api/invoices/:id/reminders
+ * Log a reminder (the level escalates from the last one by default)
+ */
+router.post('/:id/reminders', invoiceController.addInvoiceReminder);
+
+/**
+ * DELETE /api/invoices/:id/reminders/:reminderId
+ * Delete a logged reminder
+ */
+router.delete('/:id/reminders/:reminderId', invoiceController.deleteInvoiceReminder);
+
+/**
+ * GET /api/invoices/:id/credit-notes
+ * List the credit notes issued for an invoice
+ */
+router.get('/:id/credit-notes', invoiceController.getCreditNotes);
+
+/**
+ * POST /api/invoices/:id/credit-notes
+ * Issue a partial or total credit note for an invoice
+ */
+router.post('/:id/credit-notes', invoiceController.createCreditNote);
+
+/**
+ * GET /api/invoices/:id/attachments
+ * List the documents attached to an invoice
+ */
+router.get('/:id/attachments', attachmentController.getInvoiceAttachments);
+
+/**
+ * POST /api/invoices/:id/attachments
+ * Attach PDF, JPG or PNG files to an invoice
+ */
+router.post('/:id/attachments', attachmentController.addInvoiceAttachments);
+
 /**
  * DELETE /api/invoices/:id
  * Delete invoice
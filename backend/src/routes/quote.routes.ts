@@ -0,0 +1,67 @@
+/**
+ * Quote Routes
+ *
+ * Defines HTTP routes for quotes (preventivi).
+ * Maps URL patterns to controller functions.
+ */
+
+import { Router } from 'express';
+import * as quoteController from '../controllers/quote.controller';
+
+const router = Router();
+
+/**
+ * GET /api/quotes
+ * Get all quotes (expired ones are updated first)
+ */
+router.get('/', quoteController.getAllQuotes);
+
+/**
+ * GET /api/quotes/stats
+ * Acceptance statistics per client
+ */
+router.get('/stats', quoteController.getQuoteStats);
+
+/**
+ * GET /api/quotes/:id
+ * Get single quote
+ */
+router.get('/:id', quoteController.getQuoteById);
+
+/**
+ * GET /api/quotes/:id/pdf
+ * Download the quote as PDF
+ */
+router.get('/:id/pdf', quoteController.downloadQuotePdf);
+
+/**
+ * POST /api/quotes
+ * Create new quote
+ */
+router.post('/', quoteController.createQuote);
+
+/**
+ * POST /api/quotes/:id/convert
+ * Create a draft invoice from the quote and mark it accepted
+ */
+router.post('/:id/convert', quoteController.convertQuote);
+
+/**
+ * PUT /api/quotes/:id
+ * Update quote (not allowed once converted)
+ */
+router.put('/:id', quoteController.updateQuote);
+
+/**
+ * PATCH /api/quotes/:id/status
+ * Record the client's answer (open, accepted, rejected)
+ */
+router.patch('/:id/status', quoteController.updateQuoteStatus);
+
+/**
+ * DELETE /api/quotes/:id
+ * Delete quote (the invoice created from it is kept)
+ */
+router.delete('/:id', quoteController.deleteQuote);
+
+export default router;
@@ -0,0 +1,25 @@
+/**
+ * Receivables Routes
+ *
+ * Defines HTTP routes for the money clients still owe.
+ * Maps URL patterns to controller functions.
+ */
+
+import { Router } from 'express';
+import * as receivablesController from '../controllers/receivables.controller';
+
+const router = Router();
+
+/**
+ * GET /api/receivables/aging
+ * Outstanding invoices per client, bucketed by days past due
+ */
+router.get('/aging', receivablesController.getAgingReport);
+
+/**
+ * GET /api/receivables/dunning
+ * Overdue invoices to chase next, with late payment interest
+ */
+router.get('/dunning', receivablesController.getDunningList);
+
+export default router;
@@ -0,0 +1,55 @@
+/**
+ * Recurring Expense Routes
+ *
+ * Defines HTTP routes for recurring expenses (subscriptions).
+ * Maps URL patterns to controller functions.
+ */
+
+import { Router } from 'express';
+import * as recurringExpenseController from '../controllers/recurring-expense.controller';
+
+const router = Router();
+
+/**
+ * GET /api/recurring-expenses
+ * Get all recurring expenses with their next date and annual cost
+ */
+router.get('/', recurringExpenseController.getAllRecurringExpenses);
+
+/**
+ * GET /api/recurring-expenses/overview
+ * Annualized cost by item and category, and upcoming renewals
+ */
+router.get('/overview', recurringExpenseController.getSubscriptionOverview);
+
+/**
+ * POST /api/recurring-expenses/run
+ * Create the expenses of every due renewal now
+ */
+router.post('/run', recurringExpenseController.runRecurringExpenses);
+
+/**
+ * GET /api/recurring-expenses/:id
+ * Get single recurring expense
+ */
+router.get('/:id', recurringExpenseController.getRecurringExpenseById);
+
+/**
+ * POST /api/recurring-expenses
+ * Create new recurring expense
+ */
+router.post('/', recurringExpenseController.createRecurringExpense);
+
+/**
+ * PUT /api/recurring-expenses/:id
+ * Update recurring expense (applies to the next renewals)
+ */
+router.put('/:id', recurringExpenseController.updateRecurringExpense);
+
+/**
+ * DELETE /api/recurring-expenses/:id
+ * Delete recurring expense (created expenses are kept)
+ */
+router.delete('/:id', recurringExpenseController.deleteRecurringExpense);
+
+export default router;
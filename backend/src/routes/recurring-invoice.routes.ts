@@ -0,0 +1,67 @@
+/**
+ * Recurring Invoice Routes
+ *
+ * Defines HTTP routes for recurring invoice templates.
+ * Maps URL patterns to controller functions.
+ */
+
+import { Router } from 'express';
+import * as recurringInvoiceController from '../controllers/recurring-invoice.controller';
+
+const router = Router();
+
+/**
+ * GET /api/recurring-invoices
+ * Get all recurring invoices with their next occurrence
+ */
+router.get('/', recurringInvoiceController.getAllRecurringInvoices);
+
+/**
+ * POST /api/recurring-invoices/run
+ * Generate the draft invoices of every due occurrence now
+ */
+router.post('/run', recurringInvoiceController.runRecurringInvoices);
+
+/**
+ * GET /api/recurring-invoices/:id
+ * Get single recurring invoice
+ */
+router.get('/:id', recurringInvoiceController.getRecurringInvoiceById);
+
+/**
+ * POST /api/recurring-invoices
+ * Create new recurring invoice
+ */
+router.post('/', recurringInvoiceController.createRecurringInvoice);
+
+/**
+ * PUT /api/recurring-invoices/:id
+ * Update recurring invoice (applies to the next occurrences)
+ */
+router.put('/:id', recurringInvoiceController.updateRecurringInvoice);
+
+/**
+ * DELETE /api/recurring-invoices/:id
+ * Delete recurring invoice (generated drafts are kept)
+ */
+router.delete('/:id', recurringInvoiceController.deleteRecurringInvoice);
+
+/**
+ * GET /api/recurring-invoices/:id/occurrences
+ * List the upcoming occurrences (scheduled, generated or skipped)
+ */
+router.get('/:id/occurrences', recurringInvoiceController.getUpcomingOccurrences);
+
+/**
+ * POST /api/recurring-invoices/:id/occurrences/:date/skip
+ * Skip an occurrence: no invoice is generated for that date
+ */
+router.post('/:id/occurrences/:date/skip', recurringInvoiceController.skipOccurrence);
+
+/**
+ * DELETE /api/recurring-invoices/:id/occurrences/:date/skip
+ * Restore a skipped occurrence
+ */
+router.delete('/:id/occurrences/:date/skip', recurringInvoiceController.restoreOccurrence);
+
+export default router;
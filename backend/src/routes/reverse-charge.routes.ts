@@ -0,0 +1,37 @@
+/**
+ * Reverse Charge Routes
+ *
+ * Defines HTTP routes for the IVA owed on expenses with IVA not included.
+ * Maps URL patterns to controller functions.
+ */
+
+import { Router } from 'express';
+import * as reverseChargeController from '../controllers/reverse-charge.controller';
+
+const router = Router();
+
+/**
+ * GET /api/reverse-charge/report
+ * IVA by month and quarter with supplier documents and F24 deadlines
+ */
+router.get('/report', reverseChargeController.getReverseChargeReport);
+
+/**
+ * GET /api/reverse-charge/debt
+ * IVA still to pay, all years
+ */
+router.get('/debt', reverseChargeController.getReverseChargeDebt);
+
+/**
+ * POST /api/reverse-charge/payments
+ * Record the F24 payment of a month
+ */
+router.post('/payments', reverseChargeController.recordReverseChargePayment);
+
+/**
+ * DELETE /api/reverse-charge/payments/:id
+ * Delete an F24 payment
+ */
+router.delete('/payments/:id', reverseChargeController.deleteReverseChargePayment);
+
+export default router;
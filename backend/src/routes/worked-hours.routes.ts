@@ -9,6 +9,8 @@ router.put('/:id', workedHoursController.updateWorkedHours);
 router.delete('/:id', workedHoursController.deleteWorkedHours);
 router.get('/reports/monthly', workedHoursController.getMonthlyWorkedHoursReport);
 router.get('/reports/monthly/pdf', workedHoursController.downloadMonthlyWorkedHoursReportPdf);
+router.get('/reports/monthly/email', workedHoursController.getMonthlyWorkedHoursReportEmailDraft);
+router.post('/reports/monthly/email', workedHoursController.sendMonthlyWorkedHoursReportEmail);
 router.get('/summary/monthly', workedHoursController.getWorkedHoursSummary);
 
 export default router;
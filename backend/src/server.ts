@@ -5,7 +5,8 @@
  * It:
  * 1. Tests database connection
  * 2. Starts the HTTP server
- * 3. Handles graceful shutdown
+ * 3. Starts the background scheduler
+ * 4. Handles graceful shutdown
  * 
  * Run with: npm run dev (development) or npm start (production)
  */
@@ -13,6 +14,7 @@
 import app from './app';
 import { config } from './config/app.config';
 import { testConnection, closePool } from './config/database';
+import { startScheduler, stopScheduler } from './jobs/scheduler';
 
 /**
  * Start the server
@@ -39,6 +41,9 @@ async function startServer(): Promise<void> {
       console.log('═══════════════════════════════════════════════');
       console.log('  Ready to accept connections on local network');
       console.log('═══════════════════════════════════════════════');
+      
+      // Generate recurring invoices and other periodic work
+      startScheduler();
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -57,6 +62,9 @@ async function gracefulShutdown(signal: string): Promise<void> {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
   
   try {
+    // Let the scheduled jobs in progress finish
+    await stopScheduler();
+    
     // Close database pool
     await closePool();
     console.log('Database connections closed');
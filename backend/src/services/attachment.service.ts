@@ -0,0 +1,281 @@
+/**
+ * Attachment Service
+ *
+ * Stores receipts and documents attached to expenses and invoices.
+ *
+ * Files live in config.attachments.dir, named by the SHA-256 of their
+ * content (<dir>/ab/abcdef...). The database holds one row per attachment
+ * with the original name; a file is removed from disk when no row refers
+ * to it anymore. Deleting an expense or an invoice deletes its rows
+ * (foreign key cascade): their services then call removeUnusedFiles.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { RowDataPacket, ResultSetHeader } from 'mysql2';
+import db from '../config/database';
+import { config } from '../config/app.config';
+import { Attachment, AttachmentOwner, AttachmentUpload } from '../models/Attachment.model';
+import { detectMimeType, sanitizeFileName } from '../utils/file.utils';
+
+const OWNER_TABLES: Record<AttachmentOwner, { table: string; column: string; label: string }> = {
+  [AttachmentOwner.EXPENSE]: { table: 'expenses', column: 'expense_id', label: 'Expense' },
+  [AttachmentOwner.INVOICE]: { table: 'invoices', column: 'invoice_id', label: 'Invoice' }
+};
+
+const ATTACHMENT_COLUMNS = 'id, expense_id, invoice_id, file_name, mime_type, size_bytes, sha256, created_at';
+
+/**
+ * Get the attachments of an expense or invoice
+ *
+ * @param owner - Expense or invoice
+ * @param ownerId - Its ID
+ * @returns Promise resolving to the attachments, oldest first
+ * @throws Error if the expense or invoice does not exist
+ */
+export async function getAttachments(owner: AttachmentOwner, ownerId: number): Promise<Attachment[]> {
+  await checkOwnerExists(owner, ownerId);
+
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT ${ATTACHMENT_COLUMNS}
+     FROM attachments
+     WHERE ${OWNER_TABLES[owner].column} = ?
+     ORDER BY created_at ASC, id ASC`,
+    [ownerId]
+  );
+
+  return rows.map(mapAttachment);
+}
+
+/**
+ * Count the attachments of a set of expenses or invoices with a single query
+ *
+ * @param owner - Expenses or invoices
+ * @param ownerIds - Their IDs
+ * @returns Promise resolving to the counts by ID (missing when zero)
+ */
+export async function countAttachments(owner: AttachmentOwner, ownerIds: number[]): Promise<Map<number, number>> {
+  const counts = new Map<number, number>();
+  if (ownerIds.length === 0) {
+    return counts;
+  }
+
+  const { column } = OWNER_TABLES[owner];
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT ${column} AS owner_id, COUNT(*) AS count
+     FROM attachments
+     WHERE ${column} IN (?)
+     GROUP BY ${column}`,
+    [ownerIds]
+  );
+
+  for (const row of rows) {
+    counts.set(Number(row.owner_id), Number(row.count));
+  }
+
+  return counts;
+}
+
+/**
+ * Attach files to an expense or invoice
+ *
+ * Every file is checked before any is stored: one invalid file rejects
+ * the whole upload.
+ *
+ * @param owner - Expense or invoice
+ * @param ownerId - Its ID
+ * @param files - Uploaded files
+ * @returns Promise resolving to the attachments created
+ * @throws Error if the owner does not exist or a file is empty, too large
+ *   or not a PDF, JPG or PNG
+ */
+export async function addAttachments(
+  owner: AttachmentOwner,
+  ownerId: number,
+  files: AttachmentUpload[]
+): Promise<Attachment[]> {
+  if (!Array.isArray(files) || files.length === 0) {
+    throw new Error('At least one file is required');
+  }
+
+  await checkOwnerExists(owner, ownerId);
+
+  const maxBytes = config.attachments.maxSizeMb * 1024 * 1024;
+  const decoded = files.map((file) => {
+    const fileName = sanitizeFileName(file?.name);
+    const content = Buffer.from(String(file?.content || ''), 'base64');
+
+    if (content.length === 0) {
+      throw new Error(`Invalid file ${fileName}: the file is empty`);
+    }
+    if (content.length > maxBytes) {
+      throw new Error(`Invalid file ${fileName}: larger than ${config.attachments.maxSizeMb} MB`);
+    }
+
+    const mimeType = detectMimeType(content);
+    if (!mimeType) {
+      throw new Error(`Invalid file ${fileName}: only PDF, JPG and PNG files can be attached`);
+    }
+
+    return { fileName, content, mimeType, sha256: crypto.createHash('sha256').update(content).digest('hex') };
+  });
+
+  const ids: number[] = [];
+  for (const file of decoded) {
+    await writeFile(file.sha256, file.content);
+
+    const [result] = await db.query<ResultSetHeader>(
+      `INSERT INTO attachments (${OWNER_TABLES[owner].column}, file_name, mime_type, size_bytes, sha256)
+       VALUES (?, ?, ?, ?, ?)`,
+      [ownerId, file.fileName, file.mimeType, file.content.length, file.sha256]
+    );
+    ids.push(result.insertId);
+  }
+
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT ${ATTACHMENT_COLUMNS} FROM attachments WHERE id IN (?) ORDER BY id ASC`,
+    [ids]
+  );
+
+  return rows.map(mapAttachment);
+}
+
+/**
+ * Get an attachment with its content
+ *
+ * @param id - Attachment ID
+ * @returns Promise resolving to the attachment and the file content
+ * @throws Error if the attachment does not exist or its file is missing
+ */
+export async function getAttachmentFile(id: number): Promise<{ attachment: Attachment; content: Buffer }> {
+  const attachment = await getAttachmentById(id);
+  if (!attachment) {
+    throw new Error('Attachment not found');
+  }
+
+  try {
+    const content = await fs.readFile(filePath(attachment.sha256));
+    return { attachment, content };
+  } catch (error: any) {
+    if (error.code === 'ENOENT') {
+      throw new Error('Attachment file missing from the storage');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete an attachment, and its file if nothing else refers to it
+ *
+ * @param id - Attachment ID
+ * @throws Error if the attachment does not exist
+ */
+export async function deleteAttachment(id: number): Promise<void> {
+  const attachment = await getAttachmentById(id);
+  if (!attachment) {
+    throw new Error('Attachment not found');
+  }
+
+  await db.query('DELETE FROM attachments WHERE id = ?', [id]);
+  await removeUnusedFiles([attachment.sha256]);
+}
+
+/**
+ * Hashes of the files attached to an expense or invoice
+ *
+ * Read before deleting the owner, to clean up its files afterwards.
+ *
+ * @param owner - Expense or invoice
+ * @param ownerId - Its ID
+ * @returns Promise resolving to the hashes
+ */
+export async function getAttachmentHashes(owner: AttachmentOwner, ownerId: number): Promise<string[]> {
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT DISTINCT sha256 FROM attachments WHERE ${OWNER_TABLES[owner].column} = ?`,
+    [ownerId]
+  );
+  return rows.map((row) => row.sha256);
+}
+
+/**
+ * Remove from disk the files no attachment refers to anymore
+ *
+ * Failures are logged: a leftover file takes space but loses no data.
+ *
+ * @param hashes - Hashes of the files to check
+ */
+export async function removeUnusedFiles(hashes: string[]): Promise<void> {
+  if (hashes.length === 0) {
+    return;
+  }
+
+  const [rows] = await db.query<RowDataPacket[]>(
+    'SELECT DISTINCT sha256 FROM attachments WHERE sha256 IN (?)',
+    [hashes]
+  );
+  const used = new Set(rows.map((row) => row.sha256));
+
+  for (const hash of hashes.filter((hash) => !used.has(hash))) {
+    try {
+      await fs.unlink(filePath(hash));
+    } catch (error: any) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Attachment file ${hash} not removed:`, error);
+      }
+    }
+  }
+}
+
+async function getAttachmentById(id: number): Promise<Attachment | null> {
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT ${ATTACHMENT_COLUMNS} FROM attachments WHERE id = ?`,
+    [id]
+  );
+  return rows.length ? mapAttachment(rows[0]) : null;
+}
+
+async function checkOwnerExists(owner: AttachmentOwner, ownerId: number): Promise<void> {
+  const { table, label } = OWNER_TABLES[owner];
+  const [rows] = await db.query<RowDataPacket[]>(`SELECT id FROM ${table} WHERE id = ?`, [ownerId]);
+  if (rows.length === 0) {
+    throw new Error(`${label} not found`);
+  }
+}
+
+/**
+ * Write a file under its hash, unless the same content is already stored
+ */
+async function writeFile(hash: string, content: Buffer): Promise<void> {
+  const target = filePath(hash);
+
+  try {
+    await fs.access(target);
+    return;
+  } catch {
+    // Not stored yet
+  }
+
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  // Write aside and rename, so a half written file is never served
+  const temporary = `${target}.${process.pid}.tmp`;
+  await fs.writeFile(temporary, content);
+  await fs.rename(temporary, target);
+}
+
+function filePath(hash: string): string {
+  return path.join(config.attachments.dir, hash.slice(0, 2), hash);
+}
+
+function mapAttachment(row: RowDataPacket): Attachment {
+  return {
+    id: row.id,
+    expense_id: row.expense_id,
+    invoice_id: row.invoice_id,
+    file_name: row.file_name,
+    mime_type: row.mime_type,
+    size_bytes: Number(row.size_bytes),
+    sha256: row.sha256,
+    created_at: row.created_at
+  };
+}
@@ -0,0 +1,408 @@
+/**
+ * Bank Import Service
+ *
+ * Imports bank statements into bank_transactions, and keeps the column
+ * mappings of the CSV files of each bank.
+ *
+ * Importing is a two-step process, like the FatturaPA import:
+ * 1. preview: read the uploaded files and list the movements found,
+ *    flagging the ones already imported and the unreadable rows
+ * 2. import: read the files again and store the selected new movements
+ *
+ * A movement is recognized as already imported by a hash of the ID the
+ * bank gives it (OFX FITID, CAMT AcctSvcrRef) or, when there is none, of
+ * its date, amount, description and position among identical rows: the
+ * same statement, or overlapping ones, can be imported again safely.
+ */
+
+import crypto from 'crypto';
+import { RowDataPacket, ResultSetHeader } from 'mysql2';
+import db from '../config/database';
+import {
+  BankCsvMapping,
+  BankImportItem,
+  BankImportOptions,
+  BankImportResult,
+  BankStatementFormat,
+  BankStatementUpload,
+  SaveBankCsvMappingDTO
+} from '../models/BankTransaction.model';
+import {
+  CSV_DATE_FORMATS,
+  StatementRow,
+  decodeStatement,
+  detectStatementFormat,
+  parseCamt053Statement,
+  parseCsvStatement,
+  parseOfxStatement
+} from '../utils/bank-statement.utils';
+
+const CSV_SEPARATORS = [',', ';', '\t', '|'];
+
+/**
+ * Get the saved CSV mappings
+ *
+ * @returns Promise resolving to the mappings by name
+ */
+export async function getCsvMappings(): Promise<BankCsvMapping[]> {
+  const [rows] = await db.query<RowDataPacket[]>('SELECT * FROM bank_csv_mappings ORDER BY name ASC');
+  return rows.map(mapCsvMapping);
+}
+
+/**
+ * Get a CSV mapping
+ *
+ * @param id - Mapping ID
+ * @returns Promise resolving to the mapping or null if not found
+ */
+export async function getCsvMappingById(id: number): Promise<BankCsvMapping | null> {
+  const [rows] = await db.query<RowDataPacket[]>('SELECT * FROM bank_csv_mappings WHERE id = ?', [id]);
+  return rows.length > 0 ? mapCsvMapping(rows[0]) : null;
+}
+
+/**
+ * Save the CSV mapping of a bank
+ *
+ * @param data - Mapping, without ID to create a new one
+ * @param id - ID of the mapping to replace
+ * @returns Promise resolving to the saved mapping
+ * @throws Error if validation fails, the name is taken or the mapping does not exist
+ */
+export async function saveCsvMapping(data: SaveBankCsvMappingDTO, id?: number): Promise<BankCsvMapping> {
+  const mapping = validateCsvMapping(data);
+  const values = [
+    mapping.name,
+    mapping.column_separator,
+    mapping.skip_rows,
+    mapping.date_format,
+    mapping.decimal_separator,
+    mapping.date_column,
+    mapping.value_date_column,
+    mapping.amount_column,
+    mapping.debit_column,
+    mapping.credit_column,
+    mapping.description_column,
+    mapping.counterparty_column,
+    mapping.reference_column
+  ];
+
+  try {
+    if (id === undefined) {
+      const [result] = await db.query<ResultSetHeader>(
+        `INSERT INTO bank_csv_mappings (
+           name, column_separator, skip_rows, date_format, decimal_separator, date_column, value_date_column,
+           amount_column, debit_column, credit_column, description_column, counterparty_column, reference_column
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        values
+      );
+      id = result.insertId;
+    } else {
+      const [result] = await db.query<ResultSetHeader>(
+        `UPDATE bank_csv_mappings SET
+           name = ?, column_separator = ?, skip_rows = ?, date_format = ?, decimal_separator = ?, date_column = ?,
+           value_date_column = ?, amount_column = ?, debit_column = ?, credit_column = ?,
+           description_column = ?, counterparty_column = ?, reference_column = ?
+         WHERE id = ?`,
+        [...values, id]
+      );
+      if (result.affectedRows === 0) {
+        throw new Error('CSV mapping not found');
+      }
+    }
+  } catch (error: any) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new Error(`Invalid name: a CSV mapping named "${mapping.name}" already exists`);
+    }
+    throw error;
+  }
+
+  const saved = await getCsvMappingById(id);
+  if (!saved) {
+    throw new Error('Failed to save CSV mapping');
+  }
+  return saved;
+}
+
+/**
+ * Delete a CSV mapping
+ *
+ * Movements imported with it are kept.
+ *
+ * @param id - Mapping ID
+ * @throws Error if the mapping does not exist
+ */
+export async function deleteCsvMapping(id: number): Promise<void> {
+  const [result] = await db.query<ResultSetHeader>('DELETE FROM bank_csv_mappings WHERE id = ?', [id]);
+  if (result.affectedRows === 0) {
+    throw new Error('CSV mapping not found');
+  }
+}
+
+/**
+ * Read uploaded statements and list the movements found
+ *
+ * @param files - Uploaded files
+ * @param options - CSV mapping
+ * @returns Promise resolving to the movements, with duplicates flagged
+ * @throws Error if no files are provided or the CSV mapping does not exist
+ */
+export async function previewBankImport(
+  files: BankStatementUpload[],
+  options: BankImportOptions = {}
+): Promise<BankImportItem[]> {
+  if (!Array.isArray(files) || files.length === 0) {
+    throw new Error('At least one file is required');
+  }
+
+  let mapping: BankCsvMapping | null = null;
+  if (options.mapping_id !== undefined) {
+    mapping = await getCsvMappingById(options.mapping_id);
+    if (!mapping) {
+      throw new Error('CSV mapping not found');
+    }
+  }
+
+  const items: BankImportItem[] = [];
+  files.forEach((file, fileIndex) => {
+    items.push(...parseFile(file, fileIndex, mapping));
+  });
+
+  // Flag movements already stored, and repeats across the uploaded files
+  const readable = items.filter((item) => item.format !== null);
+  const existing = new Map<string, number>();
+
+  if (readable.length > 0) {
+    const [rows] = await db.query<RowDataPacket[]>(
+      'SELECT id, import_hash FROM bank_transactions WHERE import_hash IN (?)',
+      [readable.map((item) => item.import_hash)]
+    );
+    rows.forEach((row) => existing.set(row.import_hash, row.id));
+  }
+
+  const seen = new Set<string>();
+  for (const item of readable) {
+    item.duplicate_of = existing.get(item.import_hash) ?? null;
+    if (item.duplicate_of === null && seen.has(item.import_hash)) {
+      item.errors.push('Same movement appears in more than one uploaded file');
+    }
+    seen.add(item.import_hash);
+  }
+
+  return items;
+}
+
+/**
+ * Import the selected movements
+ *
+ * Files are read again so the server never trusts data coming back from
+ * the client. Duplicates and rows with errors are skipped.
+ *
+ * @param files - Uploaded files (same as in the preview)
+ * @param options - CSV mapping and selected movements
+ * @returns Promise resolving to the count of stored movements and the skipped ones
+ */
+export async function importBankStatements(
+  files: BankStatementUpload[],
+  options: BankImportOptions = {}
+): Promise<BankImportResult> {
+  const items = await previewBankImport(files, options);
+  const selected = options.selected_keys ? new Set(options.selected_keys) : null;
+  const result: BankImportResult = { created: 0, skipped: [] };
+
+  for (const item of items) {
+    if (selected && !selected.has(item.key)) {
+      continue;
+    }
+
+    const skip = (reason: string) => result.skipped.push({ key: item.key, filename: item.filename, reason });
+
+    if (!item.format || item.errors.length > 0) {
+      skip(item.errors.join('; ') || 'Unreadable movement');
+      continue;
+    }
+    if (item.duplicate_of !== null) {
+      skip('Already imported');
+      continue;
+    }
+
+    const [insert] = await db.query<ResultSetHeader>(
+      `INSERT IGNORE INTO bank_transactions (
+         account, booking_date, value_date, amount, currency, description, counterparty, reference,
+         source, source_file, import_hash
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        item.account,
+        item.booking_date,
+        item.value_date,
+        item.amount,
+        item.currency,
+        truncate(item.description, 500),
+        truncate(item.counterparty, 255) || null,
+        truncate(item.reference, 255) || null,
+        item.format,
+        truncate(item.filename, 255),
+        item.import_hash
+      ]
+    );
+
+    if (insert.affectedRows === 0) {
+      skip('Already imported');
+    } else {
+      result.created++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Read one uploaded file into import items
+ */
+function parseFile(file: BankStatementUpload, fileIndex: number, mapping: BankCsvMapping | null): BankImportItem[] {
+  const filename = file?.name || `file-${fileIndex + 1}`;
+  const fileError = (message: string): BankImportItem[] => [emptyItem(`${fileIndex}:0`, filename, message)];
+
+  if (!file || typeof file.content !== 'string' || file.content.length === 0) {
+    return fileError('Empty file');
+  }
+
+  const content = decodeStatement(Buffer.from(file.content, 'base64'));
+  const format = detectStatementFormat(content);
+
+  let rows: StatementRow[];
+  try {
+    if (format === BankStatementFormat.CAMT053) {
+      rows = parseCamt053Statement(content);
+    } else if (format === BankStatementFormat.OFX) {
+      rows = parseOfxStatement(content);
+    } else if (mapping) {
+      rows = parseCsvStatement(content, mapping);
+    } else {
+      return fileError('Not an OFX or CAMT.053 file: choose a CSV mapping to read it as CSV');
+    }
+  } catch (error: any) {
+    return fileError(error.message);
+  }
+
+  if (rows.length === 0) {
+    return fileError('No movements found');
+  }
+
+  // Identical rows of the same file are told apart by their position
+  const occurrences = new Map<string, number>();
+
+  return rows.map(({ errors, ...row }, rowIndex) => {
+    let identity = row.bank_id;
+    if (!identity) {
+      const movement = `${row.booking_date}|${row.amount.toFixed(2)}|${row.description}|${row.counterparty || ''}`;
+      const occurrence = (occurrences.get(movement) || 0) + 1;
+      occurrences.set(movement, occurrence);
+      identity = `${movement}|${occurrence}`;
+    }
+
+    return {
+      ...row,
+      key: `${fileIndex}:${rowIndex}`,
+      filename,
+      format,
+      import_hash: crypto.createHash('sha256').update(`${row.account || ''}|${identity}`).digest('hex'),
+      duplicate_of: null,
+      errors
+    };
+  });
+}
+
+function emptyItem(key: string, filename: string, error: string): BankImportItem {
+  return {
+    key,
+    filename,
+    format: null,
+    import_hash: '',
+    account: null,
+    booking_date: '',
+    value_date: null,
+    amount: 0,
+    currency: 'EUR',
+    description: '',
+    counterparty: null,
+    reference: null,
+    bank_id: null,
+    duplicate_of: null,
+    errors: [error]
+  };
+}
+
+/**
+ * Check a CSV mapping and fill in the defaults
+ */
+function validateCsvMapping(data: SaveBankCsvMappingDTO): Omit<BankCsvMapping, 'id' | 'created_at' | 'updated_at'> {
+  const column = (value: string | null | undefined) => (value ? String(value).trim() : '') || null;
+
+  const mapping = {
+    name: String(data?.name || '').trim(),
+    column_separator: data?.column_separator || ';',
+    skip_rows: data?.skip_rows !== undefined && data?.skip_rows !== null ? Number(data.skip_rows) : 0,
+    date_format: data?.date_format || 'DD/MM/YYYY',
+    decimal_separator: data?.decimal_separator || ',',
+    date_column: column(data?.date_column) || '',
+    value_date_column: column(data?.value_date_column),
+    amount_column: column(data?.amount_column),
+    debit_column: column(data?.debit_column),
+    credit_column: column(data?.credit_column),
+    description_column: column(data?.description_column) || '',
+    counterparty_column: column(data?.counterparty_column),
+    reference_column: column(data?.reference_column)
+  };
+
+  if (!mapping.name || !mapping.date_column || !mapping.description_column) {
+    throw new Error('Name, date column and description column are required');
+  }
+  if (mapping.name.length > 100) {
+    throw new Error('Invalid name: at most 100 characters');
+  }
+  if (!mapping.amount_column && !mapping.debit_column && !mapping.credit_column) {
+    throw new Error('Amount column, or debit and credit columns, are required');
+  }
+  if (mapping.amount_column && (mapping.debit_column || mapping.credit_column)) {
+    throw new Error('Invalid mapping: use either the amount column or the debit and credit columns');
+  }
+  if (!CSV_SEPARATORS.includes(mapping.column_separator)) {
+    throw new Error('Invalid column separator. Use one of: , ; | or tab');
+  }
+  if (!Number.isInteger(mapping.skip_rows) || mapping.skip_rows < 0 || mapping.skip_rows > 50) {
+    throw new Error('Invalid rows to skip: must be between 0 and 50');
+  }
+  if (!CSV_DATE_FORMATS.includes(mapping.date_format)) {
+    throw new Error(`Invalid date format. Use one of: ${CSV_DATE_FORMATS.join(', ')}`);
+  }
+  if (mapping.decimal_separator !== ',' && mapping.decimal_separator !== '.') {
+    throw new Error('Invalid decimal separator. Use , or .');
+  }
+
+  return mapping;
+}
+
+function mapCsvMapping(row: RowDataPacket): BankCsvMapping {
+  return {
+    id: row.id,
+    name: row.name,
+    column_separator: row.column_separator,
+    skip_rows: Number(row.skip_rows),
+    date_format: row.date_format,
+    decimal_separator: row.decimal_separator,
+    date_column: row.date_column,
+    value_date_column: row.value_date_column,
+    amount_column: row.amount_column,
+    debit_column: row.debit_column,
+    credit_column: row.credit_column,
+    description_column: row.description_column,
+    counterparty_column: row.counterparty_column,
+    reference_column: row.reference_column,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function truncate(value: string | null, length: number): string {
+  return (value || '').slice(0, length);
+}
@@ -0,0 +1,539 @@
+/**
+ * Bank Reconciliation Service
+ *
+ * Matches the imported bank movements with invoices and expenses.
+ *
+ * - Money in is matched to an open invoice: the payment is recorded with
+ *   the value date of the movement (the day the money was available), so
+ *   the invoice status and the income by payment date follow the bank.
+ * - Money out is matched to an existing expense, or becomes a new one.
+ *
+ * Suggestions are scored on the amount, the invoice or document number
+ * found in the description, and the name of the client or supplier.
+ * Nothing is matched automatically: every match is confirmed by hand.
+ *
+ * Undoing an invoice match deletes the payment it recorded; undoing an
+ * expense match keeps the expense.
+ */
+
+import { RowDataPacket } from 'mysql2';
+import { PoolConnection } from 'mysql2/promise';
+import db, { withTransaction } from '../config/database';
+import {
+  BankMatchSuggestion,
+  BankTransaction,
+  BankTransactionStatus,
+  CreateExpenseFromTransactionDTO
+} from '../models/BankTransaction.model';
+import { DocumentType, InvoiceStatus, PaymentMethod, StatusChangeSource } from '../models/Invoice.model';
+import { insertExpense } from './expense.service';
+import { applyExpenseRules } from './expense-rule.service';
+import { recordPayment, refreshPaymentStatus } from './invoice-payment.service';
+import { roundCurrency } from '../utils/calc.utils';
+import { addDays, daysBetween, isValidDateFormat, toDateString } from '../utils/date.utils';
+
+// Movements with the invoice (through its payment) or expense they are matched to
+const TRANSACTION_SELECT = `
+  SELECT bt.*, p.invoice_id, i.invoice_number, e.description AS expense_description
+  FROM bank_transactions bt
+  LEFT JOIN invoice_payments p ON p.id = bt.invoice_payment_id
+  LEFT JOIN invoices i ON i.id = p.invoice_id
+  LEFT JOIN expenses e ON e.id = bt.expense_id`;
+
+const MATCHED_SQL = '(bt.invoice_payment_id IS NOT NULL OR bt.expense_id IS NOT NULL)';
+
+const STATUS_FILTERS: Record<BankTransactionStatus, string> = {
+  [BankTransactionStatus.MATCHED]: MATCHED_SQL,
+  [BankTransactionStatus.IGNORED]: `NOT ${MATCHED_SQL} AND bt.ignored = TRUE`,
+  [BankTransactionStatus.UNMATCHED]: `NOT ${MATCHED_SQL} AND bt.ignored = FALSE`
+};
+
+// Expenses this many days around the movement are suggested
+const EXPENSE_DATE_WINDOW_DAYS = 45;
+const MAX_SUGGESTIONS = 5;
+
+// Words of company names that say nothing about who the company is
+const NAME_STOPWORDS = ['SRL', 'SRLS', 'SPA', 'SNC', 'SAS', 'SOCIETA', 'LTD', 'GMBH', 'INC', 'STUDIO', 'DELLA', 'DELLE'];
+
+/**
+ * Filters for the list of movements
+ */
+export interface BankTransactionFilters {
+  status?: BankTransactionStatus;
+  startDate?: string;
+  endDate?: string;
+}
+
+/**
+ * Get the imported movements
+ *
+ * @param filters - Optional status and booking date range
+ * @returns Promise resolving to the movements, most recent first
+ * @throws Error if a filter is not valid
+ */
+export async function getBankTransactions(filters: BankTransactionFilters = {}): Promise<BankTransaction[]> {
+  const conditions: string[] = [];
+  const params: string[] = [];
+
+  if (filters.status) {
+    if (!STATUS_FILTERS[filters.status]) {
+      throw new Error(`Invalid status. Use one of: ${Object.values(BankTransactionStatus).join(', ')}`);
+    }
+    conditions.push(STATUS_FILTERS[filters.status]);
+  }
+  if (filters.startDate) {
+    if (!isValidDateFormat(filters.startDate)) {
+      throw new Error('Invalid date format. Use YYYY-MM-DD');
+    }
+    conditions.push('bt.booking_date >= ?');
+    params.push(filters.startDate);
+  }
+  if (filters.endDate) {
+    if (!isValidDateFormat(filters.endDate)) {
+      throw new Error('Invalid date format. Use YYYY-MM-DD');
+    }
+    conditions.push('bt.booking_date <= ?');
+    params.push(filters.endDate);
+  }
+
+  const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  const [rows] = await db.query<RowDataPacket[]>(
+    `${TRANSACTION_SELECT}${where} ORDER BY bt.booking_date DESC, bt.id DESC`,
+    params
+  );
+
+  return rows.map(mapTransaction);
+}
+
+/**
+ * Get a movement
+ *
+ * @param id - Movement ID
+ * @param connection - Optional transaction connection
+ * @returns Promise resolving to the movement or null if not found
+ */
+export async function getBankTransactionById(
+  id: number,
+  connection: Pick<PoolConnection, 'query'> = db
+): Promise<BankTransaction | null> {
+  const [rows] = await connection.query<RowDataPacket[]>(`${TRANSACTION_SELECT} WHERE bt.id = ?`, [id]);
+  return rows.length > 0 ? mapTransaction(rows[0]) : null;
+}
+
+/**
+ * Suggest the invoices (money in) or expenses (money out) a movement may match
+ *
+ * @param id - Movement ID
+ * @returns Promise resolving to the best candidates, best first
+ * @throws Error if the movement does not exist
+ */
+export async function getMatchSuggestions(id: number): Promise<BankMatchSuggestion[]> {
+  const transaction = await getBankTransactionById(id);
+  if (!transaction) {
+    throw new Error('Bank transaction not found');
+  }
+
+  const suggestions = transaction.amount > 0
+    ? await suggestInvoices(transaction)
+    : await suggestExpenses(transaction);
+
+  return suggestions
+    .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Match money in to an invoice, recording its payment
+ *
+ * The payment takes the value date of the movement (the booking date if
+ * the bank gives none), its amount and its reference as note.
+ *
+ * @param id - Movement ID
+ * @param invoiceId - Invoice paid
+ * @returns Promise resolving to the matched movement
+ * @throws Error if the movement or invoice does not exist, the movement
+ *   is already matched or the payment is not valid for the invoice
+ */
+export async function matchInvoice(id: number, invoiceId: number): Promise<BankTransaction> {
+  return withTransaction(async (connection) => {
+    const transaction = await lockUnmatched(connection, id);
+    if (transaction.amount <= 0) {
+      throw new Error('Invalid match: only money in can pay an invoice');
+    }
+
+    const [invoices] = await connection.query<RowDataPacket[]>(
+      'SELECT currency FROM invoices WHERE id = ?',
+      [invoiceId]
+    );
+    if (invoices.length === 0) {
+      throw new Error('Invoice not found');
+    }
+    if (invoices[0].currency !== transaction.currency) {
+      throw new Error(`Invalid match: the invoice is in ${invoices[0].currency}, the movement in ${transaction.currency}`);
+    }
+
+    const paymentId = await recordPayment(connection, invoiceId, {
+      payment_date: transaction.value_date || transaction.booking_date,
+      amount: transaction.amount,
+      method: PaymentMethod.BANK_TRANSFER,
+      note: (transaction.reference || transaction.description).slice(0, 500) || undefined
+    });
+
+    await connection.query(
+      'UPDATE bank_transactions SET invoice_payment_id = ?, ignored = FALSE WHERE id = ?',
+      [paymentId, id]
+    );
+
+    return (await getBankTransactionById(id, connection))!;
+  });
+}
+
+/**
+ * Match money out to an existing expense
+ *
+ * @param id - Movement ID
+ * @param expenseId - Expense paid
+ * @returns Promise resolving to the matched movement
+ * @throws Error if the movement or expense does not exist, or either is already matched
+ */
+export async function matchExpense(id: number, expenseId: number): Promise<BankTransaction> {
+  return withTransaction(async (connection) => {
+    const transaction = await lockUnmatched(connection, id);
+    if (transaction.amount >= 0) {
+      throw new Error('Invalid match: only money out can pay an expense');
+    }
+
+    const [expenses] = await connection.query<RowDataPacket[]>(
+      `SELECT e.id, bt.id AS transaction_id
+       FROM expenses e
+       LEFT JOIN bank_transactions bt ON bt.expense_id = e.id
+       WHERE e.id = ?`,
+      [expenseId]
+    );
+    if (expenses.length === 0) {
+      throw new Error('Expense not found');
+    }
+    if (expenses[0].transaction_id) {
+      throw new Error('Expense already matched to another bank transaction');
+    }
+
+    await connection.query(
+      'UPDATE bank_transactions SET expense_id = ?, ignored = FALSE WHERE id = ?',
+      [expenseId, id]
+    );
+
+    return (await getBankTransactionById(id, connection))!;
+  });
+}
+
+/**
+ * Create an expense from an unmatched debit and match it
+ *
+ * The expense takes the amount and booking date of the movement; the
+ * description defaults to the payee and the bank description.
+ *
+ * @param id - Movement ID
+ * @param data - Optional category (chosen by the rules when missing),
+ *   description and IVA
+ * @returns Promise resolving to the matched movement
+ * @throws Error if the movement does not exist, is already matched or
+ *   the expense is not valid
+ */
+export async function createExpenseFromTransaction(
+  id: number,
+  data: CreateExpenseFromTransactionDTO
+): Promise<BankTransaction> {
+  return withTransaction(async (connection) => {
+    const transaction = await lockUnmatched(connection, id);
+    if (transaction.amount >= 0) {
+      throw new Error('Invalid match: only money out can become an expense');
+    }
+
+    const defaultDescription = [transaction.counterparty, transaction.description]
+      .filter(Boolean)
+      .join(' - ') || 'Spesa da estratto conto';
+
+    // Category, IVA and notes left out come from the categorization rules
+    const expenseId = await insertExpense(connection, await applyExpenseRules({
+      description: (data?.description?.trim() || defaultDescription).slice(0, 500),
+      amount: Math.abs(transaction.amount),
+      category_id: data?.category_id,
+      expense_date: transaction.booking_date,
+      notes: `Importata dall'estratto conto${transaction.reference ? ` (rif. ${transaction.reference})` : ''}`,
+      iva_included: data?.iva_included,
+      iva_rate: data?.iva_rate,
+      supplier_name: transaction.counterparty?.slice(0, 255) || undefined
+    }));
+
+    await connection.query(
+      'UPDATE bank_transactions SET expense_id = ?, ignored = FALSE WHERE id = ?',
+      [expenseId, id]
+    );
+
+    return (await getBankTransactionById(id, connection))!;
+  });
+}
+
+/**
+ * Leave a movement out of the reconciliation (transfers between own
+ * accounts, bank fees already booked, ...)
+ *
+ * @param id - Movement ID
+ * @returns Promise resolving to the movement
+ * @throws Error if the movement does not exist or is matched
+ */
+export async function ignoreBankTransaction(id: number): Promise<BankTransaction> {
+  return withTransaction(async (connection) => {
+    await lockUnmatched(connection, id);
+    await connection.query('UPDATE bank_transactions SET ignored = TRUE WHERE id = ?', [id]);
+    return (await getBankTransactionById(id, connection))!;
+  });
+}
+
+/**
+ * Undo the match of a movement, or stop ignoring it
+ *
+ * The payment recorded by an invoice match is deleted and the invoice
+ * status derived again; a matched expense is kept.
+ *
+ * @param id - Movement ID
+ * @returns Promise resolving to the movement, unmatched
+ * @throws Error if the movement does not exist
+ */
+export async function unmatchBankTransaction(id: number): Promise<BankTransaction> {
+  return withTransaction(async (connection) => {
+    const [rows] = await connection.query<RowDataPacket[]>(
+      `SELECT bt.invoice_payment_id, p.invoice_id
+       FROM bank_transactions bt
+       LEFT JOIN invoice_payments p ON p.id = bt.invoice_payment_id
+       WHERE bt.id = ?
+       FOR UPDATE`,
+      [id]
+    );
+    if (rows.length === 0) {
+      throw new Error('Bank transaction not found');
+    }
+
+    await connection.query(
+      'UPDATE bank_transactions SET invoice_payment_id = NULL, expense_id = NULL, ignored = FALSE WHERE id = ?',
+      [id]
+    );
+
+    if (rows[0].invoice_payment_id) {
+      await connection.query('DELETE FROM invoice_payments WHERE id = ?', [rows[0].invoice_payment_id]);
+      await refreshPaymentStatus(connection, rows[0].invoice_id, StatusChangeSource.PAYMENT);
+    }
+
+    return (await getBankTransactionById(id, connection))!;
+  });
+}
+
+/**
+ * Open invoices in the currency of the movement, scored
+ */
+async function suggestInvoices(transaction: BankTransaction): Promise<BankMatchSuggestion[]> {
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT o.* FROM (
+       SELECT
+         i.id, i.invoice_number, i.client_name, i.issue_date, i.due_date,
+         i.total_amount - COALESCE(p.amount_paid, 0) - COALESCE(c.amount_credited, 0) AS balance_due
+       FROM invoices i
+       LEFT JOIN (
+         SELECT invoice_id, SUM(amount) AS amount_paid
+         FROM invoice_payments
+         GROUP BY invoice_id
+       ) p ON p.invoice_id = i.id
+       LEFT JOIN (
+         SELECT original_invoice_id, SUM(total_amount) AS amount_credited
+         FROM invoices
+         WHERE document_type = ?
+         GROUP BY original_invoice_id
+       ) c ON c.original_invoice_id = i.id
+       WHERE i.document_type = ?
+       AND i.status IN (?, ?, ?)
+       AND i.currency = ?
+     ) o
+     WHERE o.balance_due > 0`,
+    [
+      DocumentType.CREDIT_NOTE,
+      DocumentType.INVOICE,
+      InvoiceStatus.SENT,
+      InvoiceStatus.OVERDUE,
+      InvoiceStatus.PARTIALLY_PAID,
+      transaction.currency
+    ]
+  );
+
+  const text = searchableText(transaction);
+
+  return rows
+    .map((row): BankMatchSuggestion | null => {
+      const balance = roundCurrency(Number(row.balance_due));
+      const reasons: string[] = [];
+      let score = 0;
+
+      if (Math.abs(balance - transaction.amount) < 0.01) {
+        score += 50;
+        reasons.push('amount');
+      } else if (transaction.amount < balance) {
+        score += 5;
+        reasons.push('partial_amount');
+      } else {
+        // More than is due cannot be recorded
+        return null;
+      }
+      if (containsCode(text, row.invoice_number)) {
+        score += 40;
+        reasons.push('reference');
+      }
+      if (containsName(text, row.client_name)) {
+        score += 20;
+        reasons.push('counterparty');
+      }
+
+      if (score < 20) {
+        return null;
+      }
+
+      return {
+        type: 'invoice',
+        id: row.id,
+        label: `${row.invoice_number} - ${row.client_name}`,
+        date: toDateString(row.due_date),
+        amount: balance,
+        score,
+        reasons
+      };
+    })
+    .filter((suggestion): suggestion is BankMatchSuggestion => suggestion !== null);
+}
+
+/**
+ * Expenses around the date of the movement not matched yet, scored
+ */
+async function suggestExpenses(transaction: BankTransaction): Promise<BankMatchSuggestion[]> {
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT e.id, e.description, e.expense_date, e.amount, e.iva_amount, e.supplier_name, e.document_number
+     FROM expenses e
+     WHERE e.expense_date BETWEEN ? AND ?
+     AND NOT EXISTS (SELECT 1 FROM bank_transactions bt WHERE bt.expense_id = e.id)`,
+    [
+      addDays(transaction.booking_date, -EXPENSE_DATE_WINDOW_DAYS),
+      addDays(transaction.booking_date, EXPENSE_DATE_WINDOW_DAYS)
+    ]
+  );
+
+  const text = searchableText(transaction);
+  const paid = Math.abs(transaction.amount);
+
+  return rows
+    .map((row): BankMatchSuggestion | null => {
+      const amount = Number(row.amount);
+      const expenseDate = toDateString(row.expense_date);
+      const reasons: string[] = [];
+      let score = 0;
+
+      // IVA not included is paid apart (reverse charge), but may be on the same transfer
+      if (Math.abs(amount - paid) < 0.01 || Math.abs(amount + Number(row.iva_amount) - paid) < 0.01) {
+        score += 50;
+        reasons.push('amount');
+      }
+      if (row.document_number && containsCode(text, row.document_number)) {
+        score += 40;
+        reasons.push('reference');
+      }
+      if (containsName(text, row.supplier_name || row.description)) {
+        score += 20;
+        reasons.push('counterparty');
+      }
+      if (score > 0 && Math.abs(daysBetween(expenseDate, transaction.booking_date)) <= 3) {
+        score += 10;
+        reasons.push('date');
+      }
+
+      if (score < 40) {
+        return null;
+      }
+
+      return { type: 'expense', id: row.id, label: row.description, date: expenseDate, amount, score, reasons };
+    })
+    .filter((suggestion): suggestion is BankMatchSuggestion => suggestion !== null);
+}
+
+/**
+ * Lock a movement that must not be matched yet
+ */
+async function lockUnmatched(connection: PoolConnection, id: number): Promise<BankTransaction> {
+  const [rows] = await connection.query<RowDataPacket[]>('SELECT id FROM bank_transactions WHERE id = ? FOR UPDATE', [id]);
+  const transaction = rows.length > 0 ? await getBankTransactionById(id, connection) : null;
+  if (!transaction) {
+    throw new Error('Bank transaction not found');
+  }
+  checkUnmatched(transaction);
+  return transaction;
+}
+
+function checkUnmatched(transaction: BankTransaction): void {
+  if (transaction.status === BankTransactionStatus.MATCHED) {
+    throw new Error('Bank transaction already matched');
+  }
+}
+
+/**
+ * Description, reference and counterparty in upper case, for searching
+ */
+function searchableText(transaction: BankTransaction): string {
+  return [transaction.description, transaction.reference, transaction.counterparty]
+    .filter(Boolean)
+    .join(' ')
+    .toUpperCase();
+}
+
+/**
+ * Whether an invoice or document number appears in the text, ignoring
+ * separators ("2024/007" matches "FATT. 2024-007"); short numbers are
+ * too ambiguous to count
+ */
+function containsCode(text: string, code: string): boolean {
+  const compact = (value: string) => value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const needle = compact(code || '');
+  return needle.length >= 3 && compact(text).includes(needle);
+}
+
+/**
+ * Whether a significant word of a name appears in the text
+ */
+function containsName(text: string, name: string | null): boolean {
+  const words = (name || '')
+    .toUpperCase()
+    .split(/[^A-Z0-9À-Ý]+/)
+    .filter((word) => word.length >= 4 && !NAME_STOPWORDS.includes(word));
+  return words.some((word) => new RegExp(`\\b${word}\\b`).test(text));
+}
+
+function mapTransaction(row: RowDataPacket): BankTransaction {
+  const matched = row.invoice_payment_id !== null || row.expense_id !== null;
+
+  return {
+    id: row.id,
+    account: row.account,
+    booking_date: toDateString(row.booking_date),
+    value_date: row.value_date ? toDateString(row.value_date) : null,
+    amount: Number(row.amount),
+    currency: row.currency,
+    description: row.description,
+    counterparty: row.counterparty,
+    reference: row.reference,
+    source: row.source,
+    source_file: row.source_file,
+    status: matched
+      ? BankTransactionStatus.MATCHED
+      : row.ignored ? BankTransactionStatus.IGNORED : BankTransactionStatus.UNMATCHED,
+    invoice_payment_id: row.invoice_payment_id,
+    invoice_id: row.invoice_id,
+    invoice_number: row.invoice_number,
+    expense_id: row.expense_id,
+    expense_description: row.expense_description,
+    created_at: row.created_at
+  };
+}
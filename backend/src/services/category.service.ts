@@ -164,11 +164,12 @@ export async function updateCategory(
  * Get or create "Senza Categoria" (Uncategorized) category
  * 
  * Ensures the uncategorized category exists and returns it.
- * This category is used when a category is deleted and has associated expenses.
+ * This category is used when a category is deleted and has associated expenses,
+ * and as the fallback for imported expenses.
  * 
  * @returns Promise resolving to the uncategorized category
  */
-async function getOrCreateUncategorizedCategory(): Promise<Category> {
+export async function getOrCreateUncategorizedCategory(): Promise<Category> {
   const uncategorizedName = 'Senza Categoria';
   
   // Check if it exists
@@ -237,6 +238,12 @@ export async function deleteCategory(id: number): Promise<boolean> {
     );
   }
   
+  // Recurring expenses follow their expenses
+  await db.query(
+    'UPDATE recurring_expenses SET category_id = ? WHERE category_id = ?',
+    [uncategorized.id, id]
+  );
+  
   // Now delete the category
   await db.query('DELETE FROM categories WHERE id = ?', [id]);
   
@@ -0,0 +1,173 @@
+/**
+ * Client Merge Service
+ *
+ * Merges duplicate clients into one. Worked hours, invoice links, email
+ * log entries and recurring invoice templates of the source clients move
+ * to the target, then the sources are deleted, all in one transaction.
+ *
+ * Issued invoices keep the client name they were printed with; drafts and
+ * recurring invoice templates take the name of the target. Quotes only
+ * carry the name they were sent with and are left alone.
+ */
+
+import { RowDataPacket } from 'mysql2';
+import { PoolConnection } from 'mysql2/promise';
+import db, { withTransaction } from '../config/database';
+import { ClientMergePreview, ClientMergeSource } from '../models/Client.model';
+import { InvoiceStatus } from '../models/Invoice.model';
+import { roundCurrency } from '../utils/calc.utils';
+import { getClientById } from './client.service';
+
+/**
+ * Show what merging the sources into the target would move
+ *
+ * @param targetId - Client that stays
+ * @param sourceIds - Clients merged into it
+ * @returns Promise resolving to the target and, per source, the rows affected
+ * @throws Error if a client does not exist or the sources are not valid
+ */
+export async function previewClientMerge(targetId: number, sourceIds: number[]): Promise<ClientMergePreview> {
+  return loadPreview(db, targetId, sourceIds);
+}
+
+/**
+ * Merge the sources into the target
+ *
+ * @param targetId - Client that stays
+ * @param sourceIds - Clients merged into it, deleted at the end
+ * @param recomputeAmounts - Value the unbilled hours at the target rate
+ *   instead of keeping the amounts they were logged with
+ * @returns Promise resolving to what was moved
+ * @throws Error if a client does not exist or the sources are not valid
+ */
+export async function mergeClients(
+  targetId: number,
+  sourceIds: number[],
+  recomputeAmounts: boolean
+): Promise<ClientMergePreview> {
+  const preview = await withTransaction(async (connection) => {
+    // Lock the clients so no hours are logged for a source while it goes
+    await connection.query(
+      'SELECT id FROM clients WHERE id IN (?) FOR UPDATE',
+      [[targetId, ...sourceIds]]
+    );
+
+    const merged = await loadPreview(connection, targetId, sourceIds);
+    const { target } = merged;
+
+    if (recomputeAmounts) {
+      await connection.query(
+        `UPDATE worked_hours
+         SET amount_cached = ROUND(hours * ?, 2)
+         WHERE client_id IN (?) AND invoice_id IS NULL`,
+        [target.hourly_rate, sourceIds]
+      );
+    }
+
+    await connection.query('UPDATE worked_hours SET client_id = ? WHERE client_id IN (?)', [target.id, sourceIds]);
+    await connection.query(
+      `UPDATE invoices
+       SET client_name = CASE WHEN status = ? THEN ? ELSE client_name END, client_id = ?
+       WHERE client_id IN (?)`,
+      [InvoiceStatus.DRAFT, target.name, target.id, sourceIds]
+    );
+    await connection.query('UPDATE email_log SET client_id = ? WHERE client_id IN (?)', [target.id, sourceIds]);
+    await connection.query(
+      'UPDATE recurring_invoices SET client_name = ? WHERE client_name IN (?)',
+      [target.name, merged.sources.map((source) => source.client_name)]
+    );
+    await connection.query('DELETE FROM clients WHERE id IN (?)', [sourceIds]);
+
+    return merged;
+  });
+
+  const target = await getClientById(targetId);
+  if (!target) {
+    throw new Error('Client not found');
+  }
+
+  return { ...preview, target };
+}
+
+/**
+ * Load the target and count what each source would move
+ */
+async function loadPreview(
+  connection: Pick<PoolConnection, 'query'>,
+  targetId: number,
+  sourceIds: number[]
+): Promise<ClientMergePreview> {
+  if (sourceIds.length === 0) {
+    throw new Error('Source clients are required');
+  }
+  if (sourceIds.includes(targetId)) {
+    throw new Error('Invalid merge: a client cannot be merged into itself');
+  }
+
+  const target = await getClientById(targetId, connection);
+  if (!target) {
+    throw new Error('Client not found');
+  }
+
+  const [clients, hours, invoices, templates] = await Promise.all([
+    connection.query<RowDataPacket[]>(
+      'SELECT id, name, hourly_rate FROM clients WHERE id IN (?)',
+      [sourceIds]
+    ),
+    connection.query<RowDataPacket[]>(
+      `SELECT
+         client_id,
+         COUNT(*) AS worked_hours,
+         SUM(hours) AS hours,
+         SUM(amount_cached) AS amount,
+         COUNT(CASE WHEN invoice_id IS NULL THEN 1 END) AS unbilled_entries,
+         SUM(CASE WHEN invoice_id IS NULL THEN amount_cached ELSE 0 END) AS unbilled_amount,
+         SUM(CASE WHEN invoice_id IS NULL THEN ROUND(hours * ?, 2) ELSE 0 END) AS recomputed_amount
+       FROM worked_hours
+       WHERE client_id IN (?)
+       GROUP BY client_id`,
+      [target.hourly_rate, sourceIds]
+    ),
+    connection.query<RowDataPacket[]>(
+      'SELECT client_id, COUNT(*) AS invoices FROM invoices WHERE client_id IN (?) GROUP BY client_id',
+      [sourceIds]
+    ),
+    connection.query<RowDataPacket[]>(
+      `SELECT c.id AS client_id, COUNT(*) AS recurring_invoices
+       FROM recurring_invoices r
+       JOIN clients c ON c.name = r.client_name
+       WHERE c.id IN (?)
+       GROUP BY c.id`,
+      [sourceIds]
+    )
+  ]);
+
+  const found = new Map(clients[0].map((row) => [Number(row.id), row]));
+  const hoursByClient = new Map(hours[0].map((row) => [Number(row.client_id), row]));
+  const invoicesByClient = new Map(invoices[0].map((row) => [Number(row.client_id), row]));
+  const templatesByClient = new Map(templates[0].map((row) => [Number(row.client_id), row]));
+
+  const sources = sourceIds.map((id): ClientMergeSource => {
+    const client = found.get(id);
+    if (!client) {
+      throw new Error('Client not found');
+    }
+    const hoursRow = hoursByClient.get(id);
+
+    return {
+      client_id: id,
+      client_name: client.name,
+      hourly_rate: Number(client.hourly_rate),
+      worked_hours: Number(hoursRow?.worked_hours || 0),
+      hours: Number(hoursRow?.hours || 0),
+      amount: roundCurrency(Number(hoursRow?.amount || 0)),
+      unbilled_entries: Number(hoursRow?.unbilled_entries || 0),
+      unbilled_amount: roundCurrency(Number(hoursRow?.unbilled_amount || 0)),
+      recomputed_amount: roundCurrency(Number(hoursRow?.recomputed_amount || 0)),
+      invoices: Number(invoicesByClient.get(id)?.invoices || 0),
+      recurring_invoices: Number(templatesByClient.get(id)?.recurring_invoices || 0)
+    };
+  });
+
+  return { target, sources };
+}
@@ -0,0 +1,199 @@
+/**
+ * Client Summary Service
+ *
+ * Puts together, for each client in the registry, the invoices linked to
+ * it, the payments received and the worked hours logged.
+ *
+ * Billed amounts and hours follow the period asked for (issue date,
+ * payment date and worked date); outstanding amounts are always as of
+ * today. Amounts are summed in EUR, converting invoices in other
+ * currencies with their exchange rate. Invoices whose name matches no
+ * client are left out until they are linked.
+ */
+
+import { RowDataPacket } from 'mysql2';
+import db from '../config/database';
+import { ClientSummary } from '../models/Client.model';
+import { InvoiceStatus } from '../models/Invoice.model';
+import { roundCurrency } from '../utils/calc.utils';
+import { getCurrentDate, isValidDateFormat, toDateString } from '../utils/date.utils';
+
+/**
+ * Period of a summary, open on the missing side
+ */
+export interface SummaryPeriod {
+  startDate?: string;
+  endDate?: string;
+}
+
+/**
+ * Get the summary of every client
+ *
+ * @param period - Optional start and end date
+ * @returns Promise resolving to the summaries, highest billed revenue first
+ * @throws Error if a date is not valid
+ */
+export async function getClientSummaries(period: SummaryPeriod = {}): Promise<ClientSummary[]> {
+  const summaries = await loadSummaries(period, null);
+  return summaries.sort((a, b) =>
+    b.billed_revenue - a.billed_revenue || a.client_name.localeCompare(b.client_name)
+  );
+}
+
+/**
+ * Get the summary of a client
+ *
+ * @param clientId - Client ID
+ * @param period - Optional start and end date
+ * @returns Promise resolving to the summary
+ * @throws Error if the client does not exist or a date is not valid
+ */
+export async function getClientSummary(
+  clientId: number,
+  period: SummaryPeriod = {}
+): Promise<ClientSummary> {
+  const [summary] = await loadSummaries(period, clientId);
+
+  if (!summary) {
+    throw new Error('Client not found');
+  }
+
+  return summary;
+}
+
+/**
+ * Load the summaries of all clients, or of one
+ */
+async function loadSummaries(period: SummaryPeriod, clientId: number | null): Promise<ClientSummary[]> {
+  if ((period.startDate && !isValidDateFormat(period.startDate)) ||
+      (period.endDate && !isValidDateFormat(period.endDate))) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD');
+  }
+
+  const clientFilter = clientId !== null ? ' AND client_id = ?' : '';
+  const clientParams = clientId !== null ? [clientId] : [];
+  const issued = dateRange('issue_date', period);
+  const paid = dateRange('p.payment_date', period);
+  const worked = dateRange('worked_date', period);
+
+  const [clients, billed, received, outstanding, hours] = await Promise.all([
+    db.query<RowDataPacket[]>(
+      `SELECT id, name FROM clients${clientId !== null ? ' WHERE id = ?' : ''}`,
+      clientParams
+    ),
+    db.query<RowDataPacket[]>(
+      `SELECT
+         client_id,
+         COUNT(CASE WHEN document_type = 'invoice' THEN 1 END) AS invoice_count,
+         SUM(CASE WHEN document_type = 'credit_note' THEN -(amount + inps_rivalsa_amount) ELSE amount + inps_rivalsa_amount END / exchange_rate) AS billed_revenue,
+         SUM(CASE WHEN document_type = 'credit_note' THEN -total_amount ELSE total_amount END / exchange_rate) AS billed_total,
+         MAX(CASE WHEN document_type = 'invoice' THEN issue_date END) AS last_invoice_date
+       FROM invoices
+       WHERE client_id IS NOT NULL AND status <> ?${clientFilter}${issued.sql}
+       GROUP BY client_id`,
+      [InvoiceStatus.DRAFT, ...clientParams, ...issued.params]
+    ),
+    db.query<RowDataPacket[]>(
+      `SELECT i.client_id, SUM(p.amount / i.exchange_rate) AS received
+       FROM invoice_payments p
+       JOIN invoices i ON i.id = p.invoice_id
+       WHERE i.client_id IS NOT NULL${clientId !== null ? ' AND i.client_id = ?' : ''}${paid.sql}
+       GROUP BY i.client_id`,
+      [...clientParams, ...paid.params]
+    ),
+    db.query<RowDataPacket[]>(
+      `SELECT
+         o.client_id,
+         SUM(o.balance_due / o.exchange_rate) AS outstanding,
+         SUM(CASE WHEN o.due_date < ? THEN o.balance_due / o.exchange_rate ELSE 0 END) AS overdue
+       FROM (
+         SELECT
+           i.client_id,
+           i.due_date,
+           i.exchange_rate,
+           i.total_amount - COALESCE(p.amount_paid, 0) - COALESCE(c.amount_credited, 0) AS balance_due
+         FROM invoices i
+         LEFT JOIN (
+           SELECT invoice_id, SUM(amount) AS amount_paid
+           FROM invoice_payments
+           GROUP BY invoice_id
+         ) p ON p.invoice_id = i.id
+         LEFT JOIN (
+           SELECT original_invoice_id, SUM(total_amount) AS amount_credited
+           FROM invoices
+           WHERE document_type = 'credit_note'
+           GROUP BY original_invoice_id
+         ) c ON c.original_invoice_id = i.id
+         WHERE i.document_type = 'invoice'
+         AND i.status NOT IN (?, ?, ?)
+         AND i.client_id IS NOT NULL${clientId !== null ? ' AND i.client_id = ?' : ''}
+       ) o
+       WHERE o.balance_due > 0
+       GROUP BY o.client_id`,
+      [getCurrentDate(), InvoiceStatus.DRAFT, InvoiceStatus.PAID, InvoiceStatus.CANCELLED, ...clientParams]
+    ),
+    db.query<RowDataPacket[]>(
+      `SELECT
+         client_id,
+         SUM(hours) AS hours,
+         SUM(amount_cached) AS hours_amount,
+         SUM(CASE WHEN invoice_id IS NULL THEN hours ELSE 0 END) AS unbilled_hours,
+         SUM(CASE WHEN invoice_id IS NULL THEN amount_cached ELSE 0 END) AS unbilled_amount
+       FROM worked_hours
+       WHERE 1 = 1${clientFilter}${worked.sql}
+       GROUP BY client_id`,
+      [...clientParams, ...worked.params]
+    )
+  ]);
+
+  const billedByClient = byClientId(billed[0]);
+  const receivedByClient = byClientId(received[0]);
+  const outstandingByClient = byClientId(outstanding[0]);
+  const hoursByClient = byClientId(hours[0]);
+
+  return clients[0].map((client) => {
+    const billedRow = billedByClient.get(client.id);
+    const receivedRow = receivedByClient.get(client.id);
+    const outstandingRow = outstandingByClient.get(client.id);
+    const hoursRow = hoursByClient.get(client.id);
+
+    return {
+      client_id: client.id,
+      client_name: client.name,
+      invoice_count: Number(billedRow?.invoice_count || 0),
+      billed_revenue: roundCurrency(Number(billedRow?.billed_revenue || 0)),
+      billed_total: roundCurrency(Number(billedRow?.billed_total || 0)),
+      received: roundCurrency(Number(receivedRow?.received || 0)),
+      outstanding: roundCurrency(Number(outstandingRow?.outstanding || 0)),
+      overdue: roundCurrency(Number(outstandingRow?.overdue || 0)),
+      hours: Number(hoursRow?.hours || 0),
+      hours_amount: roundCurrency(Number(hoursRow?.hours_amount || 0)),
+      unbilled_hours: Number(hoursRow?.unbilled_hours || 0),
+      unbilled_amount: roundCurrency(Number(hoursRow?.unbilled_amount || 0)),
+      last_invoice_date: billedRow?.last_invoice_date ? toDateString(billedRow.last_invoice_date) : null
+    };
+  });
+}
+
+/**
+ * Condition on a date column for the period
+ */
+function dateRange(column: string, period: SummaryPeriod): { sql: string; params: string[] } {
+  if (period.startDate && period.endDate) {
+    return { sql: ` AND ${column} BETWEEN ? AND ?`, params: [period.startDate, period.endDate] };
+  }
+  if (period.startDate) {
+    return { sql: ` AND ${column} >= ?`, params: [period.startDate] };
+  }
+  if (period.endDate) {
+    return { sql: ` AND ${column} <= ?`, params: [period.endDate] };
+  }
+  return { sql: '', params: [] };
+}
+
+/**
+ * Index grouped rows by client
+ */
+function byClientId(rows: RowDataPacket[]): Map<number, RowDataPacket> {
+  return new Map(rows.map((row) => [Number(row.client_id), row]));
+}
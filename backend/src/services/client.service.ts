@@ -1,24 +1,100 @@
 /**
  * Client Service
  * 
- * Handles CRUD operations for clients used when logging worked hours.
+ * Handles CRUD operations for the clients invoices and worked hours
+ * refer to.
  */
 
 import { RowDataPacket, ResultSetHeader } from 'mysql2';
+import { PoolConnection } from 'mysql2/promise';
 import db from '../config/database';
-import { Client, CreateClientDTO, UpdateClientDTO } from '../models/Client.model';
+import {
+  Client,
+  ClientListStatus,
+  ClientType,
+  CreateClientDTO,
+  UpdateClientDTO,
+  CLIENT_FISCAL_FIELDS
+} from '../models/Client.model';
+
+const CLIENT_COLUMNS = `id, name, client_type, hourly_rate, notes, email, phone, payment_terms_days, language, ${CLIENT_FISCAL_FIELDS.join(', ')}, inps_rivalsa, archived_at, created_at, updated_at`;
+
+export const CLIENT_IN_USE_ERROR = 'Il cliente ha ore lavorate o fatture collegate: archivialo invece di eliminarlo';
+
+/**
+ * Map a client row, turning the nullable rivalsa flag into a boolean
+ */
+function toClient(row: RowDataPacket): Client {
+  return {
+    ...row,
+    inps_rivalsa: row.inps_rivalsa === null ? null : Boolean(row.inps_rivalsa)
+  } as Client;
+}
 
 /**
- * Get all clients ordered alphabetically.
+ * Get the active clients (or the archived ones, or all) ordered
+ * alphabetically.
  */
-export async function getAllClients(): Promise<Client[]> {
+export async function getAllClients(status: ClientListStatus = 'active'): Promise<Client[]> {
+  const conditions: Record<ClientListStatus, string> = {
+    active: 'WHERE archived_at IS NULL',
+    archived: 'WHERE archived_at IS NOT NULL',
+    all: ''
+  };
+
   const [rows] = await db.query<RowDataPacket[]>(
-    `SELECT id, name, hourly_rate, notes, created_at, updated_at
+    `SELECT ${CLIENT_COLUMNS}
      FROM clients
+     ${conditions[status]}
      ORDER BY name ASC`
   );
 
-  return rows as Client[];
+  return rows.map(toClient);
+}
+
+/**
+ * Get a single client by id.
+ */
+export async function getClientById(
+  id: number,
+  connection: Pick<PoolConnection, 'query'> = db
+): Promise<Client | null> {
+  const [rows] = await connection.query<RowDataPacket[]>(
+    `SELECT ${CLIENT_COLUMNS} FROM clients WHERE id = ?`,
+    [id]
+  );
+
+  return rows.length ? toClient(rows[0]) : null;
+}
+
+/**
+ * Find a client by name (case-insensitive), used to link invoices and
+ * resolve the free-text client name stored on quotes.
+ */
+export async function getClientByName(
+  name: string,
+  connection: Pick<PoolConnection, 'query'> = db
+): Promise<Client | null> {
+  const [rows] = await connection.query<RowDataPacket[]>(
+    `SELECT ${CLIENT_COLUMNS} FROM clients WHERE LOWER(TRIM(name)) = LOWER(TRIM(?)) LIMIT 1`,
+    [name]
+  );
+
+  return rows.length ? toClient(rows[0]) : null;
+}
+
+/**
+ * Get the client of a document: the linked one for invoices, otherwise
+ * the one with the name written on it.
+ */
+export async function getDocumentClient(document: {
+  client_id?: number | null;
+  client_name: string;
+}): Promise<Client | null> {
+  if (document.client_id) {
+    return getClientById(document.client_id);
+  }
+  return getClientByName(document.client_name);
 }
 
 /**
@@ -26,15 +102,23 @@ export async function getAllClients(): Promise<Client[]> {
  */
 export async function createClient(data: CreateClientDTO): Promise<Client> {
   const [result] = await db.query<ResultSetHeader>(
-    `INSERT INTO clients (name, hourly_rate, notes)
-     VALUES (?, ?, ?)`,
-    [data.name, data.hourly_rate, data.notes || null]
+    `INSERT INTO clients (name, client_type, hourly_rate, notes, email, phone, payment_terms_days, language, ${CLIENT_FISCAL_FIELDS.join(', ')}, inps_rivalsa)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${CLIENT_FISCAL_FIELDS.map(() => '?').join(', ')}, ?)`,
+    [
+      data.name,
+      data.client_type || ClientType.COMPANY,
+      data.hourly_rate,
+      data.notes || null,
+      data.email || null,
+      data.phone || null,
+      data.payment_terms_days ?? null,
+      data.language || 'it',
+      ...CLIENT_FISCAL_FIELDS.map((field) => data[field] || null),
+      data.inps_rivalsa ?? null
+    ]
   );
 
-  return {
-    id: result.insertId,
-    ...data,
-  };
+  return (await getClientById(result.insertId))!;
 }
 
 /**
@@ -49,6 +133,11 @@ export async function updateClient(id: number, data: UpdateClientDTO): Promise<C
     values.push(data.name);
   }
 
+  if (data.client_type !== undefined) {
+    fields.push('client_type = ?');
+    values.push(data.client_type);
+  }
+
   if (data.hourly_rate !== undefined) {
     fields.push('hourly_rate = ?');
     values.push(data.hourly_rate);
@@ -59,6 +148,38 @@ export async function updateClient(id: number, data: UpdateClientDTO): Promise<C
     values.push(data.notes);
   }
 
+  if (data.email !== undefined) {
+    fields.push('email = ?');
+    values.push(data.email || null);
+  }
+
+  if (data.phone !== undefined) {
+    fields.push('phone = ?');
+    values.push(data.phone || null);
+  }
+
+  if (data.payment_terms_days !== undefined) {
+    fields.push('payment_terms_days = ?');
+    values.push(data.payment_terms_days);
+  }
+
+  if (data.language !== undefined) {
+    fields.push('language = ?');
+    values.push(data.language);
+  }
+
+  CLIENT_FISCAL_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) {
+      fields.push(`${field} = ?`);
+      values.push(data[field] || null);
+    }
+  });
+
+  if (data.inps_rivalsa !== undefined) {
+    fields.push('inps_rivalsa = ?');
+    values.push(data.inps_rivalsa);
+  }
+
   if (fields.length === 0) {
     return null;
   }
@@ -70,37 +191,58 @@ export async function updateClient(id: number, data: UpdateClientDTO): Promise<C
     values
   );
 
-  const [rows] = await db.query<RowDataPacket[]>(
-    `SELECT id, name, hourly_rate, notes FROM clients WHERE id = ?`,
+  return getClientById(id);
+}
+
+/**
+ * Archive a client: it disappears from the pickers, its hours and
+ * invoices stay in the reports. Archiving twice keeps the first date.
+ */
+export async function archiveClient(id: number): Promise<Client> {
+  await db.query(
+    'UPDATE clients SET archived_at = CURRENT_TIMESTAMP WHERE id = ? AND archived_at IS NULL',
     [id]
   );
 
-  if (!rows.length) {
-    return null;
+  const client = await getClientById(id);
+  if (!client) {
+    throw new Error('Client not found');
   }
+  return client;
+}
+
+/**
+ * Bring an archived client back among the active ones.
+ */
+export async function restoreClient(id: number): Promise<Client> {
+  await db.query('UPDATE clients SET archived_at = NULL WHERE id = ?', [id]);
 
-  return rows[0] as Client;
+  const client = await getClientById(id);
+  if (!client) {
+    throw new Error('Client not found');
+  }
+  return client;
 }
 
 /**
- * Delete a client and cascade delete all associated worked hours.
- * Returns the number of worked hours that were also deleted.
+ * Delete a client nothing refers to. Clients with worked hours or
+ * invoices are archived instead, so past income is never lost.
  */
-export async function deleteClient(id: number): Promise<{ deletedHours: number }> {
-  // First, count how many worked hours will be deleted
-  const [countRows] = await db.query<RowDataPacket[]>(
-    `SELECT COUNT(*) as count FROM worked_hours WHERE client_id = ?`,
-    [id]
+export async function deleteClient(id: number): Promise<void> {
+  const [usage] = await db.query<RowDataPacket[]>(
+    `SELECT
+       (SELECT COUNT(*) FROM worked_hours WHERE client_id = ?) AS hours,
+       (SELECT COUNT(*) FROM invoices WHERE client_id = ?) AS invoices`,
+    [id, id]
   );
-  
-  const deletedHours = Number(countRows[0]?.count ?? 0);
 
-  // Delete worked hours first (due to foreign key constraint)
-  await db.query(`DELETE FROM worked_hours WHERE client_id = ?`, [id]);
-
-  // Then delete the client
-  await db.query(`DELETE FROM clients WHERE id = ?`, [id]);
+  if (Number(usage[0].hours) > 0 || Number(usage[0].invoices) > 0) {
+    throw new Error(CLIENT_IN_USE_ERROR);
+  }
 
-  return { deletedHours };
+  const [result] = await db.query<ResultSetHeader>('DELETE FROM clients WHERE id = ?', [id]);
+  if (result.affectedRows === 0) {
+    throw new Error('Client not found');
+  }
 }
 
@@ -0,0 +1,167 @@
+/**
+ * Credit Note Service
+ *
+ * Business logic for credit notes (note di credito).
+ *
+ * An issued invoice must not be edited or deleted to correct it: the
+ * correction is a new document, the credit note, that refers to the
+ * invoice and cancels part or all of it. Credit notes:
+ * - are stored in the invoices table with document_type 'credit_note'
+ * - have their own numbering series (credit_note_number_format)
+ * - use the IVA rate of the invoice they correct
+ * - together never exceed the invoice total
+ * - lower the revenue of the period in which they are issued
+ */
+
+import { withTransaction } from '../config/database';
+import {
+  Invoice,
+  InvoiceItemInput,
+  InvoiceStatus,
+  DocumentType,
+  CreateCreditNoteDTO,
+  StatusChangeSource
+} from '../models/Invoice.model';
+import { calculateInpsRivalsa, calculateTax, calculateTotal, roundCurrency } from '../utils/calc.utils';
+import { formatItalianDate, getCurrentDate, isValidDateFormat, toDateString } from '../utils/date.utils';
+import { checkCreditNoteTotal, getAllInvoices, getInvoiceById, insertInvoice } from './invoice.service';
+import { refreshPaymentStatus } from './invoice-payment.service';
+
+/**
+ * Get the credit notes issued for an invoice
+ *
+ * @param invoiceId - Invoice ID
+ * @returns Promise resolving to the credit notes, newest first
+ * @throws Error if the invoice does not exist
+ */
+export async function getCreditNotes(invoiceId: number): Promise<Invoice[]> {
+  const invoice = await getInvoiceById(invoiceId);
+  if (!invoice) {
+    throw new Error('Invoice not found');
+  }
+
+  return getAllInvoices({
+    documentType: DocumentType.CREDIT_NOTE,
+    originalInvoiceId: invoiceId
+  });
+}
+
+/**
+ * Issue a credit note for an invoice
+ *
+ * Without items or amount the credit note is total: it copies the
+ * invoice lines, or credits what is left when partial credit notes
+ * were already issued. A total credit note also gives back the stamp
+ * duty charged to the client; partial ones never do.
+ *
+ * @param invoiceId - Invoice to correct
+ * @param data - Lines or amount to credit, reason and issue date
+ * @returns Promise resolving to the created credit note
+ * @throws Error if the invoice cannot be credited or validation fails
+ */
+export async function createCreditNote(invoiceId: number, data: CreateCreditNoteDTO): Promise<Invoice> {
+  const invoice = await getInvoiceById(invoiceId);
+  if (!invoice) {
+    throw new Error('Invoice not found');
+  }
+
+  if (invoice.document_type === DocumentType.CREDIT_NOTE) {
+    throw new Error('Invalid invoice: a credit note cannot be credited');
+  }
+
+  if (invoice.status === InvoiceStatus.DRAFT) {
+    throw new Error('Invalid invoice: draft invoices can be edited, credit notes are for issued invoices');
+  }
+
+  const issueDate = data.issue_date || getCurrentDate();
+  if (!isValidDateFormat(issueDate)) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD');
+  }
+
+  if (issueDate < toDateString(invoice.issue_date)) {
+    throw new Error('Invalid date: a credit note cannot be issued before its invoice');
+  }
+
+  const taxRate = Number(invoice.tax_rate);
+  const reference = `fattura n. ${invoice.invoice_number} del ${formatItalianDate(invoice.issue_date)}`;
+  const items = buildCreditNoteItems(invoice, data, reference);
+  const isTotal = !(Array.isArray(data.items) && data.items.length > 0) &&
+    (data.amount === undefined || data.amount === null);
+  const rebilledStamp = isTotal && invoice.stamp_duty_rebilled ? Number(invoice.stamp_duty_amount) : 0;
+
+  const creditNoteId = await withTransaction(async (connection) => {
+    // Lock the invoice so concurrent credit notes cannot exceed its total
+    await connection.query('SELECT id FROM invoices WHERE id = ? FOR UPDATE', [invoiceId]);
+
+    const amount = roundCurrency(items.reduce(
+      (sum, item) => sum + roundCurrency(Number(item.quantity) * Number(item.unit_price)), 0
+    ));
+    const rivalsa = calculateInpsRivalsa(amount, Number(invoice.inps_rivalsa_rate));
+    await checkCreditNoteTotal(
+      invoiceId,
+      roundCurrency(calculateTotal(amount, calculateTax(amount + rivalsa, taxRate), rivalsa) + rebilledStamp)
+    );
+
+    const id = await insertInvoice(connection, {
+      invoice_number: data.invoice_number,
+      client_id: invoice.client_id,
+      client_name: invoice.client_name,
+      description: data.description?.trim() || `Storno ${reference}`,
+      items,
+      tax_rate: taxRate,
+      stamp_duty_rebilled: rebilledStamp > 0,
+      currency: invoice.currency,
+      exchange_rate: invoice.exchange_rate,
+      status: InvoiceStatus.SENT,
+      issue_date: issueDate,
+      due_date: issueDate
+    }, DocumentType.CREDIT_NOTE, invoiceId);
+
+    await refreshPaymentStatus(connection, invoiceId, StatusChangeSource.CREDIT_NOTE);
+    return id;
+  });
+
+  const creditNote = await getInvoiceById(creditNoteId);
+  if (!creditNote) {
+    throw new Error('Failed to create credit note');
+  }
+
+  return creditNote;
+}
+
+/**
+ * Lines of a new credit note
+ */
+function buildCreditNoteItems(
+  invoice: Invoice,
+  data: CreateCreditNoteDTO,
+  reference: string
+): InvoiceItemInput[] {
+  if (Array.isArray(data.items) && data.items.length > 0) {
+    return data.items;
+  }
+
+  if (data.amount !== undefined && data.amount !== null) {
+    const amount = Number(data.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error('Invalid amount: must be greater than zero');
+    }
+    return [{ description: `Storno parziale ${reference}`, quantity: 1, unit_price: amount }];
+  }
+
+  // Total credit note: the same lines, unless something was credited already
+  if (invoice.amount_credited === 0 && invoice.items.length > 0) {
+    return invoice.items.map((item) => ({
+      description: item.description,
+      quantity: item.quantity,
+      unit: item.unit,
+      unit_price: item.unit_price
+    }));
+  }
+
+  // Partial credit notes never include the rebilled stamp duty
+  const rebilledStamp = invoice.stamp_duty_rebilled ? Number(invoice.stamp_duty_amount) : 0;
+  const creditedShare = invoice.amount_credited / (Number(invoice.total_amount) - rebilledStamp);
+  const remaining = roundCurrency(Number(invoice.amount) * (1 - creditedShare));
+  return [{ description: `Storno ${reference}`, quantity: 1, unit_price: remaining }];
+}
@@ -10,13 +10,25 @@
  * - Provides time-series data for charts
  * - Aggregates financial metrics
  * - Combines data from multiple sources
+ * - Reports the marca da bollo due per quarter
+ * 
+ * Cash figures follow invoice_payments: under the regime forfettario
+ * income counts when the money is received, so a payment counts on its
+ * own payment date, and a partial payment only for its amount.
+ * Credit notes lower the revenue of the period in which they are issued,
+ * only for the part refunded to the client: a credit note on an invoice
+ * not paid yet cancels money that was never received.
+ * The rivalsa INPS charged to clients is revenue like the fee itself: it
+ * counts toward the income and the forfettario tax base.
+ * Invoices in other currencies count for their EUR amount (amount divided
+ * by the exchange rate of the invoice), payments included.
  */
 
 import { RowDataPacket } from 'mysql2';
 import db from '../config/database';
 import { updateOverdueInvoices } from './invoice.service';
 import { getExpenseSummary } from './expense.service';
-import { calculateItalianTaxes, calculatePercentage } from '../utils/calc.utils';
+import { calculateItalianTaxes, calculatePercentage, roundCurrency } from '../utils/calc.utils';
 import { getFirstDayOfMonth, getLastDayOfMonth, getLastDayOfSpecificMonth } from '../utils/date.utils';
 
 /**
@@ -48,7 +60,7 @@ export interface DashboardSummary {
  */
 export interface MonthlyEstimate {
   month: string;                  // Current month (YYYY-MM)
-  total_income: number;           // Gross income from paid invoices this month (excl. VAT)
+  total_income: number;           // Gross income from payments received this month (excl. VAT)
   total_expenses: number;         // Expenses this month
   total_vat: number;              // VAT collected (to be paid to government)
   taxable_income: number;         // Income × coefficient (e.g., 67%)
@@ -57,7 +69,7 @@ export interface MonthlyEstimate {
   income_tax: number;             // 15% of income_for_tax
   total_tax_burden: number;       // Income tax + health insurance
   net_income: number;             // Income - Expenses - Total tax burden
-  invoice_count: number;          // Number of invoices this month
+  invoice_count: number;          // Number of invoices with payments this month
   expense_count: number;          // Number of expenses this month
 }
 
@@ -73,6 +85,98 @@ export interface MonthlyDataPoint {
   net: number;                    // Net income for the month
 }
 
+/**
+ * Cash received in a period, net of the refunded credit notes
+ */
+interface CashReceived {
+  received: number;               // Payments minus refunded credit notes (incl. VAT)
+  income: number;                 // Fee and rivalsa share of the payments minus refunded credit notes (excl. VAT)
+  vat: number;                    // VAT share of the payments minus VAT of refunded credit notes
+  invoice_count: number;          // Number of invoices with payments in the period
+}
+
+/**
+ * Sum the credit notes issued between two dates, for the part refunded
+ * 
+ * Only what the client paid beyond what the credit notes left open on
+ * the invoice is refunded; each credit note counts for its share of it.
+ * A credit note on an unpaid or partly paid invoice counts for nothing
+ * until the payments exceed the new total. Converted to EUR.
+ * 
+ * @param startDate - First day (YYYY-MM-DD)
+ * @param endDate - Last day (YYYY-MM-DD)
+ * @returns Promise resolving to the refunded total, revenue and VAT
+ */
+async function getRefundedCredits(
+  startDate: string,
+  endDate: string
+): Promise<{ credited: number; income: number; vat: number }> {
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT 
+       COALESCE(SUM(cn.total_amount / cn.exchange_rate * o.refunded_share), 0) as credited,
+       COALESCE(SUM((cn.amount + cn.inps_rivalsa_amount) / cn.exchange_rate * o.refunded_share), 0) as income,
+       COALESCE(SUM(cn.tax_amount / cn.exchange_rate * o.refunded_share), 0) as vat
+     FROM invoices cn
+     JOIN (
+       SELECT inv.id,
+         LEAST(1, GREATEST(0,
+           COALESCE((SELECT SUM(p.amount) FROM invoice_payments p WHERE p.invoice_id = inv.id), 0) +
+           c.credited - inv.total_amount
+         ) / NULLIF(c.credited, 0)) as refunded_share
+       FROM invoices inv
+       JOIN (
+         SELECT original_invoice_id, SUM(total_amount) as credited
+         FROM invoices
+         WHERE document_type = 'credit_note'
+         GROUP BY original_invoice_id
+       ) c ON c.original_invoice_id = inv.id
+     ) o ON o.id = cn.original_invoice_id
+     WHERE cn.document_type = 'credit_note' AND cn.issue_date BETWEEN ? AND ?`,
+    [startDate, endDate]
+  );
+  
+  return {
+    credited: Number(rows[0]?.credited || 0),
+    income: Number(rows[0]?.income || 0),
+    vat: Number(rows[0]?.vat || 0)
+  };
+}
+
+/**
+ * Sum the payments received between two dates
+ * 
+ * Each payment is split pro rata between the revenue (amount and rivalsa
+ * INPS) and the VAT of its invoice. The refunded part of the credit notes
+ * issued between the same dates is subtracted. Everything is converted to
+ * EUR with the rate of the invoice.
+ * 
+ * @param startDate - First day (YYYY-MM-DD)
+ * @param endDate - Last day (YYYY-MM-DD)
+ * @returns Promise resolving to the cash received
+ */
+async function getCashReceived(startDate: string, endDate: string): Promise<CashReceived> {
+  const credits = await getRefundedCredits(startDate, endDate);
+  
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT 
+       COUNT(DISTINCT p.invoice_id) as invoice_count,
+       COALESCE(SUM(p.amount / i.exchange_rate), 0) as received,
+       COALESCE(SUM(p.amount / i.exchange_rate * (i.amount + i.inps_rivalsa_amount) / NULLIF(i.total_amount, 0)), 0) as income,
+       COALESCE(SUM(p.amount / i.exchange_rate * i.tax_amount / NULLIF(i.total_amount, 0)), 0) as vat
+     FROM invoice_payments p
+     JOIN invoices i ON i.id = p.invoice_id
+     WHERE p.payment_date BETWEEN ? AND ?`,
+    [startDate, endDate]
+  );
+  
+  return {
+    received: roundCurrency(Number(rows[0]?.received || 0) - credits.credited),
+    income: roundCurrency(Number(rows[0]?.income || 0) - credits.income),
+    vat: roundCurrency(Number(rows[0]?.vat || 0) - credits.vat),
+    invoice_count: Number(rows[0]?.invoice_count || 0)
+  };
+}
+
 /**
  * Get dashboard summary
  * 
@@ -107,21 +211,31 @@ export async function getDashboardSummary(year?: number): Promise<DashboardSumma
   const incomeTaxRate = settings['income_tax_rate'] || 15;
   const healthInsuranceRate = settings['health_insurance_rate'] || 27;
   
-  // Get invoice summary for the year
-  // For paid invoices, use paid_date (cassa basis for regime forfettario)
-  // For pending/overdue, use issue_date (as they're not paid yet)
+  // Income and VAT come from the payments received in the year
+  // (cassa basis for regime forfettario)
+  const cash = await getCashReceived(startDate, endDate);
+  
+  // For pending/overdue, use issue_date (as they're not paid yet);
+  // partially paid or credited invoices are pending for the share still open
   const [invoiceRows] = await db.query<RowDataPacket[]>(
     `SELECT 
-      COALESCE(SUM(CASE WHEN status = 'paid' AND paid_date BETWEEN ? AND ? THEN amount ELSE 0 END), 0) as total_paid,
-      COALESCE(SUM(CASE WHEN status = 'sent' AND issue_date BETWEEN ? AND ? THEN amount ELSE 0 END), 0) as total_pending,
-      COALESCE(SUM(CASE WHEN status = 'overdue' AND issue_date BETWEEN ? AND ? THEN amount ELSE 0 END), 0) as total_overdue
-    FROM invoices`,
-    [startDate, endDate, startDate, endDate, startDate, endDate]
+      COALESCE(SUM(CASE WHEN i.status IN ('sent', 'partially_paid') THEN (i.amount + i.inps_rivalsa_amount) / i.exchange_rate * open_share ELSE 0 END), 0) as total_pending,
+      COALESCE(SUM(CASE WHEN i.status = 'overdue' THEN (i.amount + i.inps_rivalsa_amount) / i.exchange_rate * open_share ELSE 0 END), 0) as total_overdue
+    FROM (
+      SELECT inv.*,
+        1 - (
+          COALESCE((SELECT SUM(p.amount) FROM invoice_payments p WHERE p.invoice_id = inv.id), 0) +
+          COALESCE((SELECT SUM(cn.total_amount) FROM invoices cn WHERE cn.original_invoice_id = inv.id), 0)
+        ) / NULLIF(inv.total_amount, 0) as open_share
+      FROM invoices inv
+      WHERE inv.document_type = 'invoice' AND inv.issue_date BETWEEN ? AND ?
+    ) i`,
+    [startDate, endDate]
   );
   
-  const totalPaid = invoiceRows[0].total_paid;
-  const totalPending = invoiceRows[0].total_pending;
-  const totalOverdue = invoiceRows[0].total_overdue;
+  const totalPaid = cash.income;
+  const totalPending = roundCurrency(Number(invoiceRows[0].total_pending));
+  const totalOverdue = roundCurrency(Number(invoiceRows[0].total_overdue));
   
   // Get expense summary for the year
   const [expenseRows] = await db.query<RowDataPacket[]>(
@@ -133,16 +247,8 @@ export async function getDashboardSummary(year?: number): Promise<DashboardSumma
   
   const totalExpenses = expenseRows[0].total_amount;
   
-  // Calculate total VAT collected from paid invoices (this goes to government)
-  // Use paid_date for cassa basis (regime forfettario)
-  const [vatRows] = await db.query<RowDataPacket[]>(
-    `SELECT COALESCE(SUM(tax_amount), 0) as total_vat
-     FROM invoices
-     WHERE status = 'paid' AND paid_date BETWEEN ? AND ?`,
-    [startDate, endDate]
-  );
-  
-  const totalVat = vatRows[0].total_vat;
+  // Total VAT collected with the payments (this goes to government)
+  const totalVat = cash.vat;
   
   // Calculate Italian taxes using the forfettario regime
   const grossIncome = totalPaid; // Total from paid invoices (excl. VAT)
@@ -203,21 +309,13 @@ export async function getMonthlyEstimate(): Promise<MonthlyEstimate> {
   const incomeTaxRate = settings['income_tax_rate'] || 15;
   const healthInsuranceRate = settings['health_insurance_rate'] || 27;
   
-  // Get income from invoices this month
-  // Count all invoices issued this month, but only sum income from paid ones
-  const [incomeRows] = await db.query<RowDataPacket[]>(
-    `SELECT 
-      COUNT(*) as invoice_count,
-      COALESCE(SUM(CASE WHEN status = 'paid' THEN amount ELSE 0 END), 0) as total_income,
-      COALESCE(SUM(CASE WHEN status = 'paid' THEN tax_amount ELSE 0 END), 0) as total_vat
-     FROM invoices
-     WHERE issue_date BETWEEN ? AND ?`,
-    [firstDay, lastDay]
-  );
+  // Income and VAT come from the payments received this month
+  // (cassa basis for regime forfettario)
+  const cash = await getCashReceived(firstDay, lastDay);
   
-  const invoiceCount = incomeRows[0].invoice_count;
-  const grossIncome = incomeRows[0].total_income;
-  const totalVat = incomeRows[0].total_vat;
+  const invoiceCount = cash.invoice_count;
+  const grossIncome = cash.income;
+  const totalVat = cash.vat;
   
   // Get expenses for this month
   const [expenseRows] = await db.query<RowDataPacket[]>(
@@ -321,13 +419,8 @@ export async function getIncomeExpenseChartData(months: number = 6, year?: numbe
     const [year, monthNum] = month.split('-');
     const endDate = getLastDayOfSpecificMonth(parseInt(year), parseInt(monthNum));
     
-    // Get income for this month (only paid invoices, using paid_date for cassa basis)
-    const [incomeRows] = await db.query<RowDataPacket[]>(
-      `SELECT COALESCE(SUM(CASE WHEN status = 'paid' THEN amount ELSE 0 END), 0) as income
-       FROM invoices
-       WHERE status = 'paid' AND paid_date >= ? AND paid_date <= ?`,
-      [startDate, endDate]
-    );
+    // Get income for this month (payments received, cassa basis)
+    const cash = await getCashReceived(startDate, endDate);
     
     // Get expenses for this month
     const [expenseRows] = await db.query<RowDataPacket[]>(
@@ -337,7 +430,7 @@ export async function getIncomeExpenseChartData(months: number = 6, year?: numbe
       [startDate, endDate]
     );
     
-    const income = parseFloat(incomeRows[0]?.income || 0);
+    const income = cash.income;
     const expenses = parseFloat(expenseRows[0]?.expenses || 0);
     
     // Calculate Italian taxes on the income
@@ -571,11 +664,14 @@ export interface AnnualRevenueLimit {
  * Calculates total PAID revenue for the current calendar year
  * and compares it to the Italian flat-tax regime limit of 85,000 €.
  * 
- * **IMPORTANT: For "Regime Forfettario" this uses PAID_DATE (cassa basis), 
+ * **IMPORTANT: For "Regime Forfettario" this uses the PAYMENT DATE (cassa basis), 
  * NOT issue_date (competenza basis). What counts is when you receive the money,
  * not when you issue the invoice.**
  * 
  * Example: Invoice issued Dec 2025 but paid Jan 2026 → counts towards 2026 limit
+ * Example: Half paid in Dec 2025, half in Jan 2026 → each half counts in its year
+ * Credit notes are subtracted in the year in which they are issued.
+ * Payments include the rivalsa INPS, which counts toward the limit.
  * 
  * @returns Promise resolving to annual revenue limit data
  */
@@ -584,21 +680,12 @@ export async function getAnnualRevenueLimit(): Promise<AnnualRevenueLimit> {
   const startDate = `${currentYear}-01-01`;
   const endDate = `${currentYear}-12-31`;
   
-  // Get all invoices PAID this year (using paid_date, not issue_date)
+  // Get all payments RECEIVED this year (using payment_date, not issue_date)
   // This is correct for "Regime Forfettario" which uses cash basis accounting
-  const [invoiceRows] = await db.query<RowDataPacket[]>(
-    `SELECT 
-       COUNT(*) as invoice_count,
-       COALESCE(SUM(total_amount), 0) as total_invoiced
-     FROM invoices 
-     WHERE status = 'paid'
-       AND paid_date >= ? 
-       AND paid_date <= ?`,
-    [startDate, endDate]
-  );
+  const cash = await getCashReceived(startDate, endDate);
   
-  const totalInvoiced = parseFloat(invoiceRows[0]?.total_invoiced || '0');
-  const invoiceCount = parseInt(invoiceRows[0]?.invoice_count || '0');
+  const totalInvoiced = cash.received;
+  const invoiceCount = cash.invoice_count;
   const limit = 85000; // Italian flat-tax regime limit
   const remaining = Math.max(0, limit - totalInvoiced);
   const percentageUsed = (totalInvoiced / limit) * 100;
@@ -622,3 +709,100 @@ export async function getAnnualRevenueLimit(): Promise<AnnualRevenueLimit> {
   };
 }
 
+
+/**
+ * Stamp Duty Quarter Interface
+ * 
+ * Marca da bollo due for the electronic invoices of one quarter.
+ */
+export interface StampDutyQuarter {
+  quarter: number;                  // 1-4
+  document_count: number;           // Invoices and credit notes carrying the stamp duty
+  amount: number;                   // Stamp duty due for the quarter
+  tribute_code: string;             // F24 tribute code (2521-2524)
+  due_date: string;                 // Payment deadline (YYYY-MM-DD)
+  deferred: boolean;                // Paid with a later quarter because under the minimum
+}
+
+/**
+ * Stamp Duty Report Interface
+ */
+export interface StampDutyReport {
+  year: number;
+  quarters: StampDutyQuarter[];
+  document_count: number;           // Documents carrying the stamp duty in the year
+  total_amount: number;             // Stamp duty due for the year
+}
+
+// Below this amount the stamp duty of the first quarters can be paid later
+const STAMP_DUTY_DEFERRAL_LIMIT = 5000;
+
+/**
+ * Get the marca da bollo due per quarter
+ * 
+ * The stamp duty on electronic invoices is paid quarterly with F24
+ * (tribute codes 2521-2524), by 31 May, 30 September, 30 November and
+ * the end of February of the following year. When the first quarter is
+ * below 5,000 € it can be paid by 30 September; when the first two
+ * together are still below, both can be paid by 30 November.
+ * 
+ * Every issued document counts in the quarter of its issue date, credit
+ * notes included; drafts are not sent to SDI yet and do not count.
+ * Documents in other currencies carry the stamp converted with their
+ * rate, so it is brought back to EUR.
+ * 
+ * @param year - Year (defaults to current year)
+ * @returns Promise resolving to the quarterly stamp duty report
+ */
+export async function getStampDutyReport(year?: number): Promise<StampDutyReport> {
+  const targetYear = year || new Date().getFullYear();
+  
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT
+       QUARTER(issue_date) as quarter,
+       COUNT(*) as document_count,
+       COALESCE(SUM(ROUND(stamp_duty_amount / exchange_rate, 2)), 0) as amount
+     FROM invoices
+     WHERE stamp_duty = TRUE AND status != 'draft' AND YEAR(issue_date) = ?
+     GROUP BY QUARTER(issue_date)`,
+    [targetYear]
+  );
+  
+  const byQuarter = new Map<number, RowDataPacket>();
+  rows.forEach((row) => byQuarter.set(Number(row.quarter), row));
+  
+  const amounts = [1, 2, 3, 4].map((quarter) => roundCurrency(Number(byQuarter.get(quarter)?.amount || 0)));
+  const deadlines = [
+    `${targetYear}-05-31`,
+    `${targetYear}-09-30`,
+    `${targetYear}-11-30`,
+    getLastDayOfSpecificMonth(targetYear + 1, 2)
+  ];
+  
+  // Deferral of the first two quarters under the minimum
+  const deferFirst = amounts[0] < STAMP_DUTY_DEFERRAL_LIMIT;
+  const deferSecond = deferFirst && amounts[0] + amounts[1] < STAMP_DUTY_DEFERRAL_LIMIT;
+  if (deferFirst) {
+    deadlines[0] = deadlines[1];
+  }
+  if (deferSecond) {
+    deadlines[0] = deadlines[2];
+    deadlines[1] = deadlines[2];
+  }
+  
+  const quarters = amounts.map((amount, index) => ({
+    quarter: index + 1,
+    document_count: Number(byQuarter.get(index + 1)?.document_count || 0),
+    amount,
+    tribute_code: String(2521 + index),
+    due_date: deadlines[index],
+    deferred: (index === 0 && deferFirst) || (index === 1 && deferSecond)
+  }));
+  
+  return {
+    year: targetYear,
+    quarters,
+    document_count: quarters.reduce((sum, quarter) => sum + quarter.document_count, 0),
+    total_amount: roundCurrency(amounts.reduce((sum, amount) => sum + amount, 0))
+  };
+}
@@ -0,0 +1,380 @@
+/**
+ * Email Service
+ *
+ * Sends invoices and monthly worked hours reports to clients through the
+ * SMTP server configured in the settings, with the PDF attached.
+ *
+ * Subject and body come from the email_* templates; their placeholders
+ * are filled with the document data and can be edited before sending.
+ *
+ * Invoice placeholders: {client_name}, {invoice_number}, {issue_date},
+ * {due_date}, {total_amount}, {balance_due}, {business_name}
+ * Report placeholders: {client_name}, {period}, {total_hours},
+ * {total_amount}, {business_name}
+ *
+ * Every attempt is logged in email_log with its outcome. With the
+ * security set to "none" and no user, the server can be a local SMTP
+ * catcher (e.g. Mailpit on localhost:1025) to test without sending
+ * real messages.
+ */
+
+import nodemailer from 'nodemailer';
+import { RowDataPacket, ResultSetHeader } from 'mysql2';
+import db from '../config/database';
+import {
+  EmailDocumentType,
+  EmailDraft,
+  EmailLogEntry,
+  EmailStatus,
+  SendEmailDTO,
+  SendWorkedHoursReportDTO
+} from '../models/Email.model';
+import { Settings } from '../models/Settings.model';
+import { extractEmailAddress, fillTemplate, isValidEmail } from '../utils/email.utils';
+import { formatItalianDate } from '../utils/date.utils';
+import { getAllSettings } from './settings.service';
+import { getClientById, getDocumentClient } from './client.service';
+import { getInvoiceById } from './invoice.service';
+import { getWorkedHoursMonthlyReport } from './worked-hours.service';
+import { generateInvoicePdf, getInvoicePdfFilename } from './invoice-pdf.service';
+import { generateWorkedHoursReportPdf, getWorkedHoursReportFilename } from './worked-hours-pdf.service';
+
+/**
+ * Message ready to be handed to the SMTP server
+ */
+interface OutgoingEmail {
+  to: string;
+  subject: string;
+  body: string;
+  attachment?: { filename: string; content: Buffer };
+}
+
+/**
+ * Where a message belongs in the log
+ */
+interface EmailLogContext {
+  document_type: EmailDocumentType;
+  invoice_id?: number;
+  client_id?: number;
+  period?: string;
+}
+
+/**
+ * Get the email log
+ *
+ * @param filters - Optional filters (invoiceId, clientId)
+ * @returns Promise resolving to the attempts, most recent first
+ */
+export async function getEmailLog(filters?: {
+  invoiceId?: number;
+  clientId?: number;
+}): Promise<EmailLogEntry[]> {
+  let query = 'SELECT * FROM email_log WHERE 1=1';
+  const params: any[] = [];
+
+  if (filters?.invoiceId) {
+    query += ' AND invoice_id = ?';
+    params.push(filters.invoiceId);
+  }
+
+  if (filters?.clientId) {
+    query += ' AND client_id = ?';
+    params.push(filters.clientId);
+  }
+
+  query += ' ORDER BY created_at DESC, id DESC LIMIT 200';
+
+  const [rows] = await db.query<RowDataPacket[]>(query, params);
+  return rows.map(mapLogEntry);
+}
+
+/**
+ * Get the proposed email for an invoice
+ *
+ * @param invoiceId - Invoice ID
+ * @returns Promise resolving to recipient, subject and body from the templates
+ * @throws Error if the invoice does not exist
+ */
+export async function getInvoiceEmailDraft(invoiceId: number): Promise<EmailDraft> {
+  const invoice = await getInvoiceById(invoiceId);
+  if (!invoice) {
+    throw new Error('Invoice not found');
+  }
+
+  const [settings, client] = await Promise.all([
+    getAllSettings(),
+    getDocumentClient(invoice)
+  ]);
+  const currency = invoice.currency || 'EUR';
+
+  const values = {
+    client_name: invoice.client_name,
+    invoice_number: invoice.invoice_number,
+    issue_date: formatItalianDate(invoice.issue_date),
+    due_date: formatItalianDate(invoice.due_date),
+    total_amount: formatMoney(Number(invoice.total_amount), currency),
+    balance_due: formatMoney(invoice.balance_due, currency),
+    business_name: getBusinessName(settings)
+  };
+
+  return {
+    to: client?.email || '',
+    subject: fillTemplate(settings.email_invoice_subject, values),
+    body: fillTemplate(settings.email_invoice_body, values),
+    attachment: getInvoicePdfFilename(invoice)
+  };
+}
+
+/**
+ * Email an invoice with its PDF
+ *
+ * @param invoiceId - Invoice ID
+ * @param data - Recipient, subject and body (defaults from the draft)
+ * @returns Promise resolving to the log entry of the sent message
+ * @throws Error if the invoice does not exist, the message is invalid
+ *         or the SMTP server refuses it
+ */
+export async function sendInvoiceEmail(invoiceId: number, data: SendEmailDTO): Promise<EmailLogEntry> {
+  const draft = await getInvoiceEmailDraft(invoiceId);
+  const settings = await getAllSettings();
+  checkSmtpSettings(settings);
+
+  const message = buildMessage(draft, data);
+  const pdf = await generateInvoicePdf(invoiceId);
+
+  return deliver(settings, { ...message, attachment: pdf }, {
+    document_type: EmailDocumentType.INVOICE,
+    invoice_id: invoiceId
+  });
+}
+
+/**
+ * Get the proposed email for a monthly worked hours report
+ *
+ * @param clientId - Client ID
+ * @param year - Year of the report
+ * @param month - Month of the report (1-12)
+ * @returns Promise resolving to recipient, subject and body from the templates
+ * @throws Error if the client does not exist
+ */
+export async function getWorkedHoursReportEmailDraft(
+  clientId: number,
+  year: number,
+  month: number
+): Promise<EmailDraft> {
+  const [report, client, settings] = await Promise.all([
+    getWorkedHoursMonthlyReport(year, month, clientId),
+    getClientById(clientId),
+    getAllSettings()
+  ]);
+  const currency = settings.currency || 'EUR';
+
+  const values = {
+    client_name: report.client.name,
+    period: report.period.label,
+    total_hours: new Intl.NumberFormat('it-IT', { maximumFractionDigits: 2 }).format(report.totals.hours),
+    total_amount: formatMoney(report.totals.amount, currency),
+    business_name: getBusinessName(settings)
+  };
+
+  return {
+    to: client?.email || '',
+    subject: fillTemplate(settings.email_report_subject, values),
+    body: fillTemplate(settings.email_report_body, values),
+    attachment: getWorkedHoursReportFilename(report.client.name, year, month)
+  };
+}
+
+/**
+ * Email a monthly worked hours report with its PDF
+ *
+ * @param data - Client, period, recipient, subject and body
+ * @returns Promise resolving to the log entry of the sent message
+ * @throws Error if the client does not exist, the message is invalid
+ *         or the SMTP server refuses it
+ */
+export async function sendWorkedHoursReportEmail(data: SendWorkedHoursReportDTO): Promise<EmailLogEntry> {
+  const draft = await getWorkedHoursReportEmailDraft(data.client_id, data.year, data.month);
+  const settings = await getAllSettings();
+  checkSmtpSettings(settings);
+
+  const message = buildMessage(draft, data);
+  const pdf = await generateWorkedHoursReportPdf(data.year, data.month, data.client_id);
+
+  return deliver(settings, { ...message, attachment: pdf }, {
+    document_type: EmailDocumentType.WORKED_HOURS_REPORT,
+    client_id: data.client_id,
+    period: `${data.year}-${String(data.month).padStart(2, '0')}`
+  });
+}
+
+/**
+ * Send a test message to check the SMTP settings
+ *
+ * @param to - Recipient, defaults to the sender
+ * @returns Promise resolving to the log entry of the sent message
+ * @throws Error if SMTP is not configured or the server refuses the message
+ */
+export async function sendTestEmail(to?: string): Promise<EmailLogEntry> {
+  const settings = await getAllSettings();
+  checkSmtpSettings(settings);
+
+  const message = buildMessage({
+    to: extractEmailAddress(settings.smtp_from) || '',
+    subject: 'Email di prova',
+    body: `Le impostazioni SMTP di ${getBusinessName(settings) || 'Freelancer Finance'} funzionano correttamente.`,
+    attachment: ''
+  }, { to });
+
+  return deliver(settings, message, { document_type: EmailDocumentType.TEST });
+}
+
+/**
+ * Require the SMTP server and the sender
+ *
+ * @throws Error if either is missing
+ */
+function checkSmtpSettings(settings: Settings): void {
+  if (!settings.smtp_host || !settings.smtp_from) {
+    throw new Error('Invalid request: SMTP is not configured, set the server and the sender in the settings');
+  }
+}
+
+/**
+ * Apply the edits of the user to a draft and check the recipients
+ *
+ * Several recipients can be given separated by commas.
+ *
+ * @throws Error if a recipient is missing or invalid, or the subject is empty
+ */
+function buildMessage(draft: EmailDraft, data: SendEmailDTO): OutgoingEmail {
+  const to = (data.to ?? draft.to).trim();
+  const subject = (data.subject ?? draft.subject).trim();
+  const body = data.body ?? draft.body;
+
+  if (!to) {
+    throw new Error('Recipient is required');
+  }
+
+  const invalid = to.split(',').map((address) => address.trim()).filter((address) => !isValidEmail(address));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid recipient: ${invalid.join(', ')}`);
+  }
+
+  if (!subject) {
+    throw new Error('Subject is required');
+  }
+
+  return { to, subject, body };
+}
+
+/**
+ * Hand a message to the SMTP server and log the outcome
+ *
+ * @returns Promise resolving to the log entry
+ * @throws Error if the server refuses the message (the failure is logged)
+ */
+async function deliver(settings: Settings, message: OutgoingEmail, context: EmailLogContext): Promise<EmailLogEntry> {
+  const transporter = nodemailer.createTransport({
+    host: settings.smtp_host,
+    port: settings.smtp_port,
+    secure: settings.smtp_security === 'tls',
+    requireTLS: settings.smtp_security === 'starttls',
+    ignoreTLS: settings.smtp_security === 'none',
+    auth: settings.smtp_user ? { user: settings.smtp_user, pass: settings.smtp_password } : undefined,
+    connectionTimeout: 15000,
+    greetingTimeout: 15000,
+    socketTimeout: 30000
+  });
+
+  try {
+    const info = await transporter.sendMail({
+      from: settings.smtp_from,
+      to: message.to,
+      subject: message.subject,
+      text: message.body,
+      attachments: message.attachment
+        ? [{ filename: message.attachment.filename, content: message.attachment.content, contentType: 'application/pdf' }]
+        : []
+    });
+
+    return insertLogEntry(context, message, EmailStatus.SENT, null, info.messageId || null);
+  } catch (error: any) {
+    await insertLogEntry(context, message, EmailStatus.FAILED, error.message || String(error), null);
+    throw new Error(`Email not sent: ${error.message || error}`);
+  } finally {
+    transporter.close();
+  }
+}
+
+/**
+ * Store a send attempt
+ */
+async function insertLogEntry(
+  context: EmailLogContext,
+  message: OutgoingEmail,
+  status: EmailStatus,
+  error: string | null,
+  messageId: string | null
+): Promise<EmailLogEntry> {
+  const [result] = await db.query<ResultSetHeader>(
+    `INSERT INTO email_log
+      (document_type, invoice_id, client_id, period, recipient, subject, attachment, status, error, message_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      context.document_type,
+      context.invoice_id ?? null,
+      context.client_id ?? null,
+      context.period ?? null,
+      message.to,
+      message.subject.slice(0, 500),
+      message.attachment?.filename ?? null,
+      status,
+      error ? error.slice(0, 1000) : null,
+      messageId
+    ]
+  );
+
+  const [rows] = await db.query<RowDataPacket[]>(
+    'SELECT * FROM email_log WHERE id = ?',
+    [result.insertId]
+  );
+
+  return mapLogEntry(rows[0]);
+}
+
+/**
+ * Our name as signed in the messages
+ */
+function getBusinessName(settings: Settings): string {
+  return settings.business_company_name
+    || [settings.business_first_name, settings.business_last_name].filter(Boolean).join(' ');
+}
+
+function formatMoney(value: number, currency: string): string {
+  try {
+    return new Intl.NumberFormat('it-IT', { style: 'currency', currency }).format(value);
+  } catch {
+    return `${value.toFixed(2)} ${currency}`;
+  }
+}
+
+/**
+ * Map a database row to an EmailLogEntry
+ */
+function mapLogEntry(row: RowDataPacket): EmailLogEntry {
+  return {
+    id: row.id,
+    document_type: row.document_type,
+    invoice_id: row.invoice_id,
+    client_id: row.client_id,
+    period: row.period,
+    recipient: row.recipient,
+    subject: row.subject,
+    attachment: row.attachment,
+    status: row.status,
+    error: row.error,
+    message_id: row.message_id,
+    created_at: row.created_at
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * Exchange Rate Service
+ *
+ * Business logic for the exchange rates kept by hand and for the rate
+ * of invoices issued in other currencies.
+ *
+ * This service:
+ * - Stores one rate per currency and day (e.g. from the ECB reference rates)
+ * - Finds the latest rate on or before a date
+ * - Works out the rate of an invoice: EUR is always 1, other currencies
+ *   take the rate entered or the one stored for the issue date
+ */
+
+import { RowDataPacket, ResultSetHeader } from 'mysql2';
+import { PoolConnection } from 'mysql2/promise';
+import db from '../config/database';
+import { BASE_CURRENCY, CreateExchangeRateDTO, ExchangeRate } from '../models/ExchangeRate.model';
+import { isValidDateFormat, toDateString } from '../utils/date.utils';
+
+/**
+ * Get the stored exchange rates
+ *
+ * @param currency - Optional currency filter
+ * @returns Promise resolving to the rates, by currency and most recent first
+ */
+export async function getExchangeRates(currency?: string): Promise<ExchangeRate[]> {
+  let query = 'SELECT * FROM exchange_rates';
+  const params: any[] = [];
+
+  if (currency) {
+    query += ' WHERE currency = ?';
+    params.push(normalizeCurrency(currency));
+  }
+
+  query += ' ORDER BY currency ASC, rate_date DESC';
+
+  const [rows] = await db.query<RowDataPacket[]>(query, params);
+  return rows.map(mapExchangeRate);
+}
+
+/**
+ * Find the rate of a currency for a day
+ *
+ * @param currency - ISO 4217 code
+ * @param date - Day (YYYY-MM-DD)
+ * @param connection - Optional transaction connection
+ * @returns Promise resolving to the latest rate on or before the day, or null
+ */
+export async function findExchangeRate(
+  currency: string,
+  date: string,
+  connection: Pick<PoolConnection, 'query'> = db
+): Promise<ExchangeRate | null> {
+  const [rows] = await connection.query<RowDataPacket[]>(
+    `SELECT * FROM exchange_rates
+     WHERE currency = ? AND rate_date <= ?
+     ORDER BY rate_date DESC
+     LIMIT 1`,
+    [normalizeCurrency(currency), date]
+  );
+
+  return rows.length > 0 ? mapExchangeRate(rows[0]) : null;
+}
+
+/**
+ * Store the rate of a currency for a day
+ *
+ * Replaces the rate already stored for the same currency and day.
+ *
+ * @param data - Currency, day and rate
+ * @returns Promise resolving to the stored rate
+ * @throws Error if validation fails
+ */
+export async function saveExchangeRate(data: CreateExchangeRateDTO): Promise<ExchangeRate> {
+  if (!data.currency || !data.rate_date || data.rate === undefined || data.rate === null) {
+    throw new Error('Currency, date and rate are required');
+  }
+
+  const currency = normalizeCurrency(data.currency);
+  if (currency === BASE_CURRENCY) {
+    throw new Error(`Invalid currency: ${BASE_CURRENCY} has no exchange rate`);
+  }
+
+  if (!isValidDateFormat(data.rate_date)) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD');
+  }
+
+  const rate = checkExchangeRate(data.rate);
+
+  await db.query<ResultSetHeader>(
+    `INSERT INTO exchange_rates (currency, rate_date, rate) VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE rate = VALUES(rate)`,
+    [currency, data.rate_date, rate]
+  );
+
+  const [rows] = await db.query<RowDataPacket[]>(
+    'SELECT * FROM exchange_rates WHERE currency = ? AND rate_date = ?',
+    [currency, data.rate_date]
+  );
+
+  return mapExchangeRate(rows[0]);
+}
+
+/**
+ * Delete a stored rate
+ *
+ * Invoices keep the rate they were issued with.
+ *
+ * @param id - Exchange rate ID
+ * @throws Error if the rate does not exist
+ */
+export async function deleteExchangeRate(id: number): Promise<void> {
+  const [result] = await db.query<ResultSetHeader>(
+    'DELETE FROM exchange_rates WHERE id = ?',
+    [id]
+  );
+
+  if (result.affectedRows === 0) {
+    throw new Error('Exchange rate not found');
+  }
+}
+
+/**
+ * Work out the currency and rate of an invoice
+ *
+ * @param currency - ISO 4217 code, defaults to EUR
+ * @param issueDate - Issue date of the invoice (YYYY-MM-DD)
+ * @param rate - Rate entered by hand, if any
+ * @param connection - Optional transaction connection
+ * @returns Promise resolving to the currency code and its rate
+ * @throws Error if the currency is invalid, or no rate is given nor stored
+ */
+export async function resolveInvoiceExchangeRate(
+  currency: string | undefined,
+  issueDate: string,
+  rate?: number | null,
+  connection: Pick<PoolConnection, 'query'> = db
+): Promise<{ currency: string; exchange_rate: number }> {
+  const code = normalizeCurrency(currency || BASE_CURRENCY);
+
+  if (code === BASE_CURRENCY) {
+    return { currency: code, exchange_rate: 1 };
+  }
+
+  if (rate !== undefined && rate !== null && String(rate) !== '') {
+    return { currency: code, exchange_rate: checkExchangeRate(rate) };
+  }
+
+  const stored = await findExchangeRate(code, issueDate, connection);
+  if (!stored) {
+    throw new Error(`Invalid exchange rate: no ${code} rate on or before ${issueDate}, enter it or add it to the exchange rates`);
+  }
+
+  return { currency: code, exchange_rate: stored.rate };
+}
+
+/**
+ * Check and upper-case an ISO 4217 currency code
+ *
+ * @throws Error if the code is not 3 letters
+ */
+export function normalizeCurrency(currency: string): string {
+  const code = String(currency).trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) {
+    throw new Error('Invalid currency: use a 3-letter ISO 4217 code (e.g. USD)');
+  }
+  return code;
+}
+
+/**
+ * Check a rate entered by hand
+ *
+ * @throws Error if the rate is not a positive number
+ */
+function checkExchangeRate(rate: number): number {
+  const value = Number(rate);
+  if (!Number.isFinite(value) || value <= 0 || value >= 1000000) {
+    throw new Error('Invalid exchange rate: must be a positive number of units for 1 EUR');
+  }
+  return Math.round(value * 1000000) / 1000000;
+}
+
+/**
+ * Map a database row to an ExchangeRate
+ */
+function mapExchangeRate(row: RowDataPacket): ExchangeRate {
+  return {
+    id: row.id,
+    currency: row.currency,
+    rate_date: toDateString(row.rate_date),
+    rate: Number(row.rate),
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
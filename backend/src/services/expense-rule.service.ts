@@ -0,0 +1,490 @@
+/**
+ * Expense Rule Service
+ *
+ * Business logic for the expense categorization rules.
+ *
+ * Rules are tried in priority order and the first one whose conditions
+ * all match applies: it gives the category of the expense and, when the
+ * expense does not set them, its IVA settings and notes. They apply when
+ * an expense is created (by hand, from a bank movement or a FatturaPA
+ * import) without a category, and on demand to re-categorize existing
+ * expenses after a preview of the changes.
+ */
+
+import { RowDataPacket, ResultSetHeader } from 'mysql2';
+import db, { withTransaction } from '../config/database';
+import {
+  ExpenseRule,
+  ExpenseRuleInput,
+  RuleMatchType,
+  SaveExpenseRuleDTO,
+  RecategorizeFilters,
+  RecategorizeChange
+} from '../models/ExpenseRule.model';
+import { CreateExpenseDTO } from '../models/Expense.model';
+import { roundCurrency } from '../utils/calc.utils';
+import { isValidDateFormat, toDateString } from '../utils/date.utils';
+import { getCategoryById, getOrCreateUncategorizedCategory } from './category.service';
+
+const MAX_PATTERN_LENGTH = 255;
+
+const RULE_SELECT = `
+  SELECT r.*, c.name AS category_name, c.color AS category_color
+  FROM expense_category_rules r
+  JOIN categories c ON c.id = r.category_id
+`;
+
+/**
+ * Get all rules
+ *
+ * @param activeOnly - Leave out disabled rules
+ * @returns Promise resolving to the rules in priority order
+ */
+export async function getExpenseRules(activeOnly: boolean = false): Promise<ExpenseRule[]> {
+  const [rows] = await db.query<RowDataPacket[]>(
+    `${RULE_SELECT} ${activeOnly ? 'WHERE r.active = TRUE' : ''} ORDER BY r.priority ASC, r.id ASC`
+  );
+
+  return rows.map(mapExpenseRule);
+}
+
+/**
+ * Get rule by ID
+ *
+ * @param id - Rule ID
+ * @returns Promise resolving to the rule or null if not found
+ */
+export async function getExpenseRuleById(id: number): Promise<ExpenseRule | null> {
+  const [rows] = await db.query<RowDataPacket[]>(`${RULE_SELECT} WHERE r.id = ?`, [id]);
+  return rows.length > 0 ? mapExpenseRule(rows[0]) : null;
+}
+
+/**
+ * Create a rule, last in the priority order
+ *
+ * @param data - Rule conditions and what it assigns
+ * @returns Promise resolving to the created rule
+ * @throws Error if validation fails
+ */
+export async function createExpenseRule(data: SaveExpenseRuleDTO): Promise<ExpenseRule> {
+  const fields = await validateExpenseRule(data);
+
+  const [result] = await db.query<ResultSetHeader>(
+    `INSERT INTO expense_category_rules (
+      name, priority, match_type, description_pattern, supplier_pattern, min_amount, max_amount,
+      category_id, iva_included, iva_rate, notes, active
+    )
+    SELECT ?, COALESCE(MAX(priority), 0) + 1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+    FROM expense_category_rules`,
+    [
+      fields.name,
+      fields.match_type,
+      fields.description_pattern,
+      fields.supplier_pattern,
+      fields.min_amount,
+      fields.max_amount,
+      fields.category_id,
+      fields.iva_included,
+      fields.iva_rate,
+      fields.notes,
+      fields.active
+    ]
+  );
+
+  const rule = await getExpenseRuleById(result.insertId);
+  if (!rule) {
+    throw new Error('Failed to create expense rule');
+  }
+
+  return rule;
+}
+
+/**
+ * Update a rule (its priority does not change)
+ *
+ * @param id - Rule ID
+ * @param data - Rule conditions and what it assigns
+ * @returns Promise resolving to the updated rule
+ * @throws Error if not found or validation fails
+ */
+export async function updateExpenseRule(id: number, data: SaveExpenseRuleDTO): Promise<ExpenseRule> {
+  const existing = await getExpenseRuleById(id);
+  if (!existing) {
+    throw new Error('Expense rule not found');
+  }
+
+  const fields = await validateExpenseRule({ ...existing, ...data });
+
+  await db.query(
+    `UPDATE expense_category_rules
+     SET name = ?, match_type = ?, description_pattern = ?, supplier_pattern = ?, min_amount = ?,
+         max_amount = ?, category_id = ?, iva_included = ?, iva_rate = ?, notes = ?, active = ?
+     WHERE id = ?`,
+    [
+      fields.name,
+      fields.match_type,
+      fields.description_pattern,
+      fields.supplier_pattern,
+      fields.min_amount,
+      fields.max_amount,
+      fields.category_id,
+      fields.iva_included,
+      fields.iva_rate,
+      fields.notes,
+      fields.active,
+      id
+    ]
+  );
+
+  const updated = await getExpenseRuleById(id);
+  if (!updated) {
+    throw new Error('Expense rule not found');
+  }
+
+  return updated;
+}
+
+/**
+ * Delete a rule
+ *
+ * @param id - Rule ID
+ * @returns Promise resolving to true if deleted, false if not found
+ */
+export async function deleteExpenseRule(id: number): Promise<boolean> {
+  const [result] = await db.query<ResultSetHeader>(
+    'DELETE FROM expense_category_rules WHERE id = ?',
+    [id]
+  );
+
+  return result.affectedRows > 0;
+}
+
+/**
+ * Set the priority order of the rules
+ *
+ * @param ids - Every rule ID, first tried first
+ * @returns Promise resolving to the rules in the new order
+ * @throws Error if the list is not exactly the existing rules
+ */
+export async function reorderExpenseRules(ids: number[]): Promise<ExpenseRule[]> {
+  if (!Array.isArray(ids) || ids.some((id) => !Number.isInteger(id))) {
+    throw new Error('Invalid order: send the list of rule IDs');
+  }
+
+  await withTransaction(async (connection) => {
+    const [rows] = await connection.query<RowDataPacket[]>(
+      'SELECT id FROM expense_category_rules FOR UPDATE'
+    );
+
+    const existing = new Set(rows.map((row) => row.id as number));
+    if (ids.length !== existing.size || new Set(ids).size !== ids.length || ids.some((id) => !existing.has(id))) {
+      throw new Error('Invalid order: the list must contain every rule once');
+    }
+
+    for (const [index, id] of ids.entries()) {
+      await connection.query(
+        'UPDATE expense_category_rules SET priority = ? WHERE id = ?',
+        [index + 1, id]
+      );
+    }
+  });
+
+  return getExpenseRules();
+}
+
+/**
+ * Find the first active rule matching an expense
+ *
+ * @param input - Description, supplier and amount of the expense
+ * @param rules - Active rules in priority order, loaded when not given
+ * @returns Promise resolving to the rule, or null if none matches
+ */
+export async function findMatchingRule(
+  input: ExpenseRuleInput,
+  rules?: ExpenseRule[]
+): Promise<ExpenseRule | null> {
+  const candidates = rules ?? await getExpenseRules(true);
+  return candidates.find((rule) => rule.active && ruleMatches(rule, input)) || null;
+}
+
+/**
+ * Categorize an expense without category from the first matching rule
+ *
+ * The rule also gives the IVA settings and notes the expense leaves
+ * out. Expenses with a category are returned unchanged; without a
+ * matching rule the expense goes to "Senza Categoria".
+ *
+ * @param data - Expense data
+ * @returns Promise resolving to the completed expense data
+ */
+export async function applyExpenseRules(data: CreateExpenseDTO): Promise<CreateExpenseDTO> {
+  if (data.category_id) {
+    return data;
+  }
+
+  const rule = await findMatchingRule({
+    description: data.description || '',
+    supplier_name: data.supplier_name,
+    amount: data.amount
+  });
+
+  const result: CreateExpenseDTO = { ...data };
+  if (rule) {
+    result.category_id = rule.category_id;
+    if (result.iva_included === undefined && rule.iva_included !== null) {
+      result.iva_included = rule.iva_included;
+    }
+    if (result.iva_rate === undefined && rule.iva_rate !== null) {
+      result.iva_rate = rule.iva_rate;
+    }
+    if (!result.notes && rule.notes) {
+      result.notes = rule.notes;
+    }
+  }
+
+  if (!result.category_id) {
+    result.category_id = (await getOrCreateUncategorizedCategory()).id;
+  }
+
+  return result;
+}
+
+/**
+ * List the category changes the rules would make on existing expenses
+ *
+ * Expenses no rule matches, or already in the category of their rule,
+ * are left out. Nothing is changed.
+ *
+ * @param filters - Date range and current category of the expenses
+ * @returns Promise resolving to the proposed changes
+ * @throws Error if the filters are invalid
+ */
+export async function previewRecategorization(filters: RecategorizeFilters = {}): Promise<RecategorizeChange[]> {
+  const conditions: string[] = [];
+  const params: (string | number)[] = [];
+
+  if (filters.start_date) {
+    if (!isValidDateFormat(filters.start_date)) {
+      throw new Error('Invalid date format. Use YYYY-MM-DD');
+    }
+    conditions.push('e.expense_date >= ?');
+    params.push(filters.start_date);
+  }
+  if (filters.end_date) {
+    if (!isValidDateFormat(filters.end_date)) {
+      throw new Error('Invalid date format. Use YYYY-MM-DD');
+    }
+    conditions.push('e.expense_date <= ?');
+    params.push(filters.end_date);
+  }
+  if (filters.category_id !== undefined) {
+    conditions.push('e.category_id = ?');
+    params.push(filters.category_id);
+  }
+
+  const rules = await getExpenseRules(true);
+  if (rules.length === 0) {
+    return [];
+  }
+
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT e.id, e.expense_date, e.description, e.supplier_name, e.amount, e.category_id,
+            c.name AS category_name
+     FROM expenses e
+     JOIN categories c ON c.id = e.category_id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY e.expense_date DESC, e.id DESC`,
+    params
+  );
+
+  const changes: RecategorizeChange[] = [];
+  for (const row of rows) {
+    const rule = await findMatchingRule({
+      description: row.description,
+      supplier_name: row.supplier_name,
+      amount: Number(row.amount)
+    }, rules);
+
+    if (!rule || rule.category_id === row.category_id) {
+      continue;
+    }
+
+    changes.push({
+      expense_id: row.id,
+      expense_date: toDateString(row.expense_date),
+      description: row.description,
+      supplier_name: row.supplier_name || null,
+      amount: Number(row.amount),
+      current_category_id: row.category_id,
+      current_category_name: row.category_name,
+      new_category_id: rule.category_id,
+      new_category_name: rule.category_name,
+      rule_id: rule.id,
+      rule_name: rule.name
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Re-categorize existing expenses
+ *
+ * The changes are computed again as in the preview; only the category
+ * of the expenses changes.
+ *
+ * @param filters - Same filters as the preview, optionally the expense IDs to change
+ * @returns Promise resolving to the applied changes
+ */
+export async function applyRecategorization(filters: RecategorizeFilters = {}): Promise<RecategorizeChange[]> {
+  const selected = Array.isArray(filters.expense_ids) ? new Set(filters.expense_ids) : null;
+  const changes = (await previewRecategorization(filters))
+    .filter((change) => !selected || selected.has(change.expense_id));
+
+  if (changes.length > 0) {
+    await withTransaction(async (connection) => {
+      for (const change of changes) {
+        await connection.query(
+          'UPDATE expenses SET category_id = ? WHERE id = ?',
+          [change.new_category_id, change.expense_id]
+        );
+      }
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Check every condition of a rule against an expense
+ */
+function ruleMatches(rule: ExpenseRule, input: ExpenseRuleInput): boolean {
+  if (rule.description_pattern) {
+    const description = input.description || '';
+    if (rule.match_type === RuleMatchType.REGEX) {
+      if (!new RegExp(rule.description_pattern, 'i').test(description)) {
+        return false;
+      }
+    } else if (!description.toLowerCase().includes(rule.description_pattern.toLowerCase())) {
+      return false;
+    }
+  }
+
+  if (rule.supplier_pattern &&
+      !(input.supplier_name || '').toLowerCase().includes(rule.supplier_pattern.toLowerCase())) {
+    return false;
+  }
+
+  const amount = input.amount === undefined || input.amount === null ? null : Number(input.amount);
+  if (rule.min_amount !== null && (amount === null || amount < rule.min_amount)) {
+    return false;
+  }
+  if (rule.max_amount !== null && (amount === null || amount > rule.max_amount)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Validate rule data and apply defaults
+ */
+async function validateExpenseRule(
+  data: SaveExpenseRuleDTO
+): Promise<Omit<ExpenseRule, 'id' | 'priority' | 'category_name' | 'category_color' | 'created_at' | 'updated_at'>> {
+  const name = data.name?.trim();
+  if (!name || !data.category_id) {
+    throw new Error('Name and category are required');
+  }
+
+  const matchType = data.match_type || RuleMatchType.CONTAINS;
+  if (!Object.values(RuleMatchType).includes(matchType)) {
+    throw new Error(`Invalid match type. Use one of: ${Object.values(RuleMatchType).join(', ')}`);
+  }
+
+  const descriptionPattern = data.description_pattern?.trim() || null;
+  const supplierPattern = data.supplier_pattern?.trim() || null;
+  if ((descriptionPattern && descriptionPattern.length > MAX_PATTERN_LENGTH) ||
+      (supplierPattern && supplierPattern.length > MAX_PATTERN_LENGTH)) {
+    throw new Error(`Invalid pattern: at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (descriptionPattern && matchType === RuleMatchType.REGEX) {
+    try {
+      new RegExp(descriptionPattern, 'i');
+    } catch {
+      throw new Error('Invalid regular expression in the description pattern');
+    }
+  }
+
+  const minAmount = parseOptionalAmount(data.min_amount);
+  const maxAmount = parseOptionalAmount(data.max_amount);
+  if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+    throw new Error('Invalid amount range: minimum is above maximum');
+  }
+
+  if (!descriptionPattern && !supplierPattern && minAmount === null && maxAmount === null) {
+    throw new Error('Invalid rule: set at least one condition (description, supplier or amount)');
+  }
+
+  const category = await getCategoryById(Number(data.category_id));
+  if (!category) {
+    throw new Error('Invalid category ID');
+  }
+
+  let ivaRate: number | null = null;
+  if (data.iva_rate !== undefined && data.iva_rate !== null && String(data.iva_rate) !== '') {
+    ivaRate = Number(data.iva_rate);
+    if (!Number.isFinite(ivaRate) || ivaRate < 0 || ivaRate > 100) {
+      throw new Error('Invalid IVA rate: must be between 0 and 100');
+    }
+  }
+
+  return {
+    name: name.slice(0, 100),
+    match_type: matchType,
+    description_pattern: descriptionPattern,
+    supplier_pattern: supplierPattern,
+    min_amount: minAmount,
+    max_amount: maxAmount,
+    category_id: category.id,
+    iva_included: data.iva_included === undefined || data.iva_included === null ? null : Boolean(data.iva_included),
+    iva_rate: ivaRate,
+    notes: data.notes?.trim() || null,
+    active: data.active !== undefined ? Boolean(data.active) : true
+  };
+}
+
+function parseOptionalAmount(value: number | string | null | undefined): number | null {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+
+  const amount = roundCurrency(Number(value));
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new Error('Invalid amount range: amounts must be zero or more');
+  }
+
+  return amount;
+}
+
+function mapExpenseRule(row: RowDataPacket): ExpenseRule {
+  return {
+    id: row.id,
+    name: row.name,
+    priority: Number(row.priority),
+    match_type: row.match_type,
+    description_pattern: row.description_pattern || null,
+    supplier_pattern: row.supplier_pattern || null,
+    min_amount: row.min_amount === null ? null : Number(row.min_amount),
+    max_amount: row.max_amount === null ? null : Number(row.max_amount),
+    category_id: row.category_id,
+    category_name: row.category_name,
+    category_color: row.category_color,
+    iva_included: row.iva_included === null ? null : Boolean(row.iva_included),
+    iva_rate: row.iva_rate === null ? null : Number(row.iva_rate),
+    notes: row.notes || null,
+    active: Boolean(row.active),
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
@@ -13,6 +13,7 @@
  */
 
 import { RowDataPacket, ResultSetHeader } from 'mysql2';
+import { PoolConnection } from 'mysql2/promise';
 import db from '../config/database';
 import {
   ExpenseWithCategory,
@@ -21,9 +22,12 @@ import {
   ExpenseSummary,
   CategoryExpense
 } from '../models/Expense.model';
+import { AttachmentOwner } from '../models/Attachment.model';
 import { isValidDateFormat } from '../utils/date.utils';
 import { calculatePercentage } from '../utils/calc.utils';
 import { getCategoryById } from './category.service';
+import { countAttachments, getAttachmentHashes, removeUnusedFiles } from './attachment.service';
+import { applyExpenseRules } from './expense-rule.service';
 
 /**
  * Get all expenses
@@ -77,7 +81,12 @@ export async function getAllExpenses(filters?: {
   query += ' ORDER BY e.expense_date DESC';
   
   const [rows] = await db.query<RowDataPacket[]>(query, params);
-  return rows as ExpenseWithCategory[];
+  const attachmentCounts = await countAttachments(AttachmentOwner.EXPENSE, rows.map((row) => row.id));
+  
+  return rows.map((row) => ({
+    ...row,
+    attachment_count: attachmentCounts.get(row.id) || 0
+  })) as ExpenseWithCategory[];
 }
 
 /**
@@ -104,14 +113,17 @@ export async function getExpenseById(id: number): Promise<ExpenseWithCategory |
     return null;
   }
   
-  return rows[0] as ExpenseWithCategory;
+  const attachmentCounts = await countAttachments(AttachmentOwner.EXPENSE, [id]);
+  return { ...rows[0], attachment_count: attachmentCounts.get(id) || 0 } as ExpenseWithCategory;
 }
 
 /**
  * Create new expense
  * 
  * Creates a new expense record in the database.
- * Validates that the category exists before creating.
+ * Validates that the category exists before creating. Without a
+ * category, the first matching categorization rule chooses it
+ * (otherwise "Senza Categoria").
  * 
  * IVA Calculation:
  * - If iva_included = true: iva_amount = 0 (IVA already in the amount)
@@ -122,6 +134,36 @@ export async function getExpenseById(id: number): Promise<ExpenseWithCategory |
  * @throws Error if validation fails
  */
 export async function createExpense(data: CreateExpenseDTO): Promise<ExpenseWithCategory> {
+  // Category, IVA and notes left out come from the categorization rules
+  const expenseId = await insertExpense(db, await applyExpenseRules(data));
+  
+  // Retrieve and return created expense
+  const expense = await getExpenseById(expenseId);
+  
+  if (!expense) {
+    throw new Error('Failed to create expense');
+  }
+  
+  return expense;
+}
+
+/**
+ * Validate and insert an expense
+ * 
+ * Runs on the given connection so callers can create the expense inside
+ * a transaction (e.g. the renewal of a recurring expense).
+ * 
+ * @param connection - Database or transaction connection
+ * @param data - Expense data
+ * @param recurring - Recurring expense and renewal date it stands for
+ * @returns Promise resolving to the new expense ID
+ * @throws Error if validation fails
+ */
+export async function insertExpense(
+  connection: Pick<PoolConnection, 'query'>,
+  data: CreateExpenseDTO,
+  recurring: { recurring_expense_id: number; recurring_date: string } | null = null
+): Promise<number> {
   // Validate required fields
   if (!data.description || !data.amount || !data.category_id || !data.expense_date) {
     throw new Error('Missing required fields');
@@ -153,9 +195,11 @@ export async function createExpense(data: CreateExpenseDTO): Promise<ExpenseWith
   const ivaAmount = ivaIncluded ? 0 : Math.round(data.amount * (ivaRate / 100) * 100) / 100;
   
   // Insert expense
-  const [result] = await db.query<ResultSetHeader>(
-    `INSERT INTO expenses (description, amount, category_id, expense_date, notes, iva_included, iva_rate, iva_amount)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+  const [result] = await connection.query<ResultSetHeader>(
+    `INSERT INTO expenses (
+      description, amount, category_id, expense_date, notes, iva_included, iva_rate, iva_amount,
+      supplier_name, supplier_vat_number, document_number, recurring_expense_id, recurring_date
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       data.description,
       data.amount,
@@ -164,18 +208,16 @@ export async function createExpense(data: CreateExpenseDTO): Promise<ExpenseWith
       data.notes || null,
       ivaIncluded,
       ivaRate,
-      ivaAmount
+      ivaAmount,
+      data.supplier_name || null,
+      data.supplier_vat_number || null,
+      data.document_number || null,
+      recurring ? recurring.recurring_expense_id : null,
+      recurring ? recurring.recurring_date : null
     ]
   );
   
-  // Retrieve and return created expense
-  const expense = await getExpenseById(result.insertId);
-  
-  if (!expense) {
-    throw new Error('Failed to create expense');
-  }
-  
-  return expense;
+  return result.insertId;
 }
 
 /**
@@ -256,6 +298,21 @@ export async function updateExpense(
     values.push(data.iva_rate);
   }
   
+  if (data.supplier_name !== undefined) {
+    updates.push('supplier_name = ?');
+    values.push(data.supplier_name || null);
+  }
+  
+  if (data.supplier_vat_number !== undefined) {
+    updates.push('supplier_vat_number = ?');
+    values.push(data.supplier_vat_number || null);
+  }
+  
+  if (data.document_number !== undefined) {
+    updates.push('document_number = ?');
+    values.push(data.document_number || null);
+  }
+  
   // If no updates, return existing expense
   if (updates.length === 0) {
     return expense;
@@ -303,7 +360,10 @@ export async function deleteExpense(id: number): Promise<boolean> {
     throw new Error('Expense not found');
   }
   
+  // Attachments go with the expense, their files once no longer used
+  const attachmentHashes = await getAttachmentHashes(AttachmentOwner.EXPENSE, id);
   await db.query('DELETE FROM expenses WHERE id = ?', [id]);
+  await removeUnusedFiles(attachmentHashes);
   return true;
 }
 
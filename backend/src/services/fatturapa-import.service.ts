@@ -0,0 +1,577 @@
+/**
+ * FatturaPA Import Service
+ *
+ * Reads electronic invoices (FatturaPA 1.2 XML, plain or signed .p7m)
+ * and turns them into records of this application:
+ * - documents we issued (we are CedentePrestatore) become invoices
+ * - documents we received (we are CessionarioCommittente) become expenses
+ *
+ * Direction is decided by comparing the parties with our Partita IVA and
+ * codice fiscale from settings.
+ *
+ * Importing is a two-step process:
+ * 1. preview: parse the uploaded files and show what would be created,
+ *    flagging duplicates (same number and date) and unreadable documents
+ * 2. import: parse again and create the selected, non-duplicate documents
+ *
+ * A single file may contain several bodies (lotto di fatture); each body
+ * is a separate item identified by "<file index>:<body index>".
+ *
+ * FatturaPA does not say whether an invoice was collected. Issued invoices
+ * are imported as sent, and become overdue after their due date until
+ * their payments are recorded, unless the import marks them as paid: a
+ * payment of the whole total is then recorded on the due date (today if
+ * still to come).
+ */
+
+import { RowDataPacket } from 'mysql2';
+import { XMLParser } from 'fast-xml-parser';
+import db from '../config/database';
+import { CreateInvoiceDTO, InvoiceItemInput, InvoiceStatus } from '../models/Invoice.model';
+import { CreateExpenseDTO } from '../models/Expense.model';
+import { createInvoice } from './invoice.service';
+import { createExpense } from './expense.service';
+import { getAllSettings } from './settings.service';
+import { getCategoryById } from './category.service';
+import { applyExpenseRules } from './expense-rule.service';
+import { extractP7mContent } from '../utils/p7m.utils';
+import { getCurrentDate, isValidDateFormat, toDateString } from '../utils/date.utils';
+import { calculateTax, calculateTotal, roundCurrency } from '../utils/calc.utils';
+
+// Elements that may repeat and must always be parsed as arrays
+const ARRAY_ELEMENTS = [
+  'FatturaElettronicaBody',
+  'DettaglioLinee',
+  'DatiRiepilogo',
+  'DatiPagamento',
+  'DettaglioPagamento'
+];
+
+// Document types imported as regular invoices (TD24/TD25 are deferred invoices)
+const SUPPORTED_DOCUMENT_TYPES = ['TD01', 'TD24', 'TD25'];
+
+/**
+ * Uploaded file (content is base64 encoded)
+ */
+export interface FatturaPAUpload {
+  name: string;
+  content: string;
+}
+
+/**
+ * Import options chosen in the preview dialog
+ */
+export interface FatturaPAImportOptions {
+  selected_keys?: string[];   // Items to import, defaults to every importable item
+  category_id?: number;       // Category for received documents, else chosen by the categorization rules
+  mark_paid?: boolean;        // Issued documents were already collected: record their payment
+}
+
+/**
+ * One document found in the uploaded files
+ */
+export interface FatturaPAImportItem {
+  key: string;                          // "<file index>:<body index>"
+  filename: string;
+  kind: 'invoice' | 'expense' | null;   // null when the document cannot be imported
+  document_type: string | null;         // TipoDocumento (TD01, TD04, ...)
+  number: string | null;
+  date: string | null;
+  counterparty_name: string | null;
+  counterparty_vat_number: string | null;
+  total_amount: number;
+  duplicate_of: number | null;          // ID of the existing invoice/expense
+  errors: string[];
+  invoice?: CreateInvoiceDTO;           // Mapped data for issued documents
+  expense?: CreateExpenseDTO;           // Mapped data for received documents
+}
+
+/**
+ * Result of an import
+ */
+export interface FatturaPAImportResult {
+  created_invoices: number;
+  created_expenses: number;
+  skipped: { key: string; filename: string; reason: string }[];
+}
+
+/**
+ * Parse uploaded files and describe what would be imported
+ *
+ * @param files - Uploaded files
+ * @param options - Import options (category for expenses)
+ * @returns Promise resolving to the list of documents found
+ * @throws Error if no files are provided
+ */
+export async function previewFatturaPAImport(
+  files: FatturaPAUpload[],
+  options: FatturaPAImportOptions = {}
+): Promise<FatturaPAImportItem[]> {
+  if (!Array.isArray(files) || files.length === 0) {
+    throw new Error('At least one file is required');
+  }
+
+  const settings = await getAllSettings();
+  const ourIds = [settings.business_vat_number, settings.business_fiscal_code]
+    .map((value) => normalizeId(value))
+    .filter((value) => value !== '');
+
+  if (ourIds.length === 0) {
+    throw new Error('Invalid settings: set your Partita IVA or codice fiscale before importing');
+  }
+
+  const categoryId = await resolveCategoryId(options.category_id);
+  const items: FatturaPAImportItem[] = [];
+
+  files.forEach((file, fileIndex) => {
+    items.push(...parseFile(file, fileIndex, ourIds, categoryId));
+  });
+
+  // Without a chosen category, each expense gets the one of its rule
+  for (const item of items) {
+    if (item.expense) {
+      item.expense = await applyExpenseRules(item.expense);
+    }
+  }
+
+  // Flag documents already stored, and repeats inside the same upload
+  const seen = new Set<string>();
+  for (const item of items) {
+    if (!item.kind) {
+      continue;
+    }
+
+    item.duplicate_of = await findExisting(item);
+
+    const batchKey = `${item.kind}|${item.number}|${item.date}|${item.counterparty_vat_number || ''}`;
+    if (seen.has(batchKey) && item.duplicate_of === null) {
+      item.errors.push('Same document appears more than once in this upload');
+    }
+    seen.add(batchKey);
+  }
+
+  return items;
+}
+
+/**
+ * Import the selected documents
+ *
+ * Files are parsed again so the server never trusts mapped data coming
+ * back from the client. Duplicates and invalid items are skipped.
+ *
+ * @param files - Uploaded files (same as in the preview)
+ * @param options - Selected items and expense category
+ * @returns Promise resolving to counts of created records and skipped items
+ */
+export async function importFatturaPA(
+  files: FatturaPAUpload[],
+  options: FatturaPAImportOptions = {}
+): Promise<FatturaPAImportResult> {
+  const items = await previewFatturaPAImport(files, options);
+  const selected = options.selected_keys ? new Set(options.selected_keys) : null;
+
+  const result: FatturaPAImportResult = {
+    created_invoices: 0,
+    created_expenses: 0,
+    skipped: []
+  };
+
+  for (const item of items) {
+    if (selected && !selected.has(item.key)) {
+      continue;
+    }
+
+    const skip = (reason: string) => result.skipped.push({ key: item.key, filename: item.filename, reason });
+
+    if (!item.kind || item.errors.length > 0) {
+      skip(item.errors.join('; ') || 'Unsupported document');
+      continue;
+    }
+
+    if (item.duplicate_of !== null) {
+      skip('Already imported');
+      continue;
+    }
+
+    try {
+      if (item.kind === 'invoice' && item.invoice) {
+        await createInvoice(options.mark_paid ? markPaid(item.invoice) : item.invoice);
+        result.created_invoices++;
+      } else if (item.kind === 'expense' && item.expense) {
+        await createExpense(item.expense);
+        result.created_expenses++;
+      }
+    } catch (error) {
+      skip((error instanceof Error ? error.message : String(error)) || 'Import failed');
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse one uploaded file into import items
+ */
+function parseFile(
+  file: FatturaPAUpload,
+  fileIndex: number,
+  ourIds: string[],
+  categoryId: number | null
+): FatturaPAImportItem[] {
+  const filename = file?.name || `file-${fileIndex + 1}`;
+  const fileError = (message: string): FatturaPAImportItem[] => [
+    emptyItem(`${fileIndex}:0`, filename, message)
+  ];
+
+  if (!file || typeof file.content !== 'string' || file.content.length === 0) {
+    return fileError('Empty file');
+  }
+
+  const xml = decodeFatturaPA(Buffer.from(file.content, 'base64'));
+  if (!xml) {
+    return fileError('Not a FatturaPA XML or p7m file');
+  }
+
+  let document: any;
+  try {
+    const parser = new XMLParser({
+      ignoreAttributes: true,
+      removeNSPrefix: true,
+      parseTagValue: false,
+      trimValues: true,
+      isArray: (name) => ARRAY_ELEMENTS.includes(name)
+    });
+    document = parser.parse(xml)?.FatturaElettronica;
+  } catch (error) {
+    return fileError(`Invalid XML: ${error instanceof Error ? error.message : String(error)}`);
+  }
+
+  if (!document?.FatturaElettronicaHeader || !document?.FatturaElettronicaBody) {
+    return fileError('Missing FatturaElettronicaHeader or FatturaElettronicaBody');
+  }
+
+  const header = document.FatturaElettronicaHeader;
+  const supplier = readParty(header.CedentePrestatore);
+  const customer = readParty(header.CessionarioCommittente);
+
+  const isIssued = matchesOurIds(supplier, ourIds);
+  const isReceived = matchesOurIds(customer, ourIds);
+
+  return (document.FatturaElettronicaBody as any[]).map((body, bodyIndex) => {
+    const key = `${fileIndex}:${bodyIndex}`;
+    const general = body?.DatiGenerali?.DatiGeneraliDocumento || {};
+    const summaries: any[] = body?.DatiBeniServizi?.DatiRiepilogo || [];
+    const lines: any[] = body?.DatiBeniServizi?.DettaglioLinee || [];
+
+    const documentType = text(general.TipoDocumento) || null;
+    const number = text(general.Numero) || null;
+    const date = text(general.Data) || null;
+    const taxableAmount = roundCurrency(summaries.reduce((sum, s) => sum + amount(s.ImponibileImporto), 0));
+    const taxAmount = roundCurrency(summaries.reduce((sum, s) => sum + amount(s.Imposta), 0));
+    const totalAmount = general.ImportoTotaleDocumento !== undefined
+      ? amount(general.ImportoTotaleDocumento)
+      : roundCurrency(taxableAmount + taxAmount);
+
+    const counterparty = isIssued ? customer : supplier;
+    const item: FatturaPAImportItem = {
+      ...emptyItem(key, filename),
+      document_type: documentType,
+      number,
+      date,
+      counterparty_name: counterparty.name,
+      counterparty_vat_number: counterparty.vatNumber,
+      total_amount: totalAmount
+    };
+
+    if (isIssued === isReceived) {
+      item.errors.push(isIssued
+        ? 'We are both supplier and customer of this document'
+        : 'Neither supplier nor customer matches your Partita IVA / codice fiscale');
+      return item;
+    }
+    if (!documentType || !SUPPORTED_DOCUMENT_TYPES.includes(documentType)) {
+      item.errors.push(`Document type ${documentType || 'missing'} is not imported (only invoices)`);
+      return item;
+    }
+    if (!number) {
+      item.errors.push('Missing document number');
+    }
+    if (!date || !isValidDateFormat(date)) {
+      item.errors.push('Missing or invalid document date');
+    }
+    if (text(general.Divisa) && text(general.Divisa) !== 'EUR') {
+      item.errors.push(`Currency ${text(general.Divisa)} is not supported`);
+    }
+    if (summaries.length === 0) {
+      item.errors.push('Missing DatiRiepilogo');
+    }
+    if (item.errors.length > 0) {
+      return item;
+    }
+
+    const descriptions = lines.map((line) => text(line.Descrizione)).filter(Boolean);
+
+    if (isIssued) {
+      const dueDate = findDueDate(body) || date!;
+
+      item.kind = 'invoice';
+      item.invoice = {
+        invoice_number: number!,
+        client_name: customer.name || 'Cliente sconosciuto',
+        description: descriptions.join('\n') || undefined,
+        amount: taxableAmount,
+        items: mapInvoiceItems(lines, taxableAmount),
+        tax_rate: taxableAmount > 0 ? roundCurrency((taxAmount / taxableAmount) * 100) : 0,
+        status: InvoiceStatus.SENT,
+        issue_date: date!,
+        due_date: dueDate,
+        // A marca da bollo or rivalsa INPS charged to the client is already
+        // part of the lines and taxable amount of the document
+        stamp_duty_rebilled: false,
+        inps_rivalsa: false
+      };
+
+      // The total is recomputed on creation, with no bollo nor rivalsa
+      // added: it must match the document
+      const importedTotal = calculateTotal(taxableAmount, calculateTax(taxableAmount, item.invoice.tax_rate!));
+      if (Math.abs(importedTotal - totalAmount) >= 0.01) {
+        item.errors.push(
+          `Computed total ${importedTotal.toFixed(2)} does not match ImportoTotaleDocumento ${totalAmount.toFixed(2)}`
+        );
+      }
+    } else {
+      item.kind = 'expense';
+      item.expense = {
+        description: truncate(
+          `${supplier.name || 'Fornitore'} - Fattura ${number}${descriptions[0] ? `: ${descriptions[0]}` : ''}`,
+          500
+        ),
+        category_id: categoryId ?? undefined,
+        expense_date: date!,
+        notes: `Importata da FatturaPA (${filename})`,
+        supplier_name: supplier.name || undefined,
+        supplier_vat_number: supplier.vatNumber || undefined,
+        document_number: number!,
+        ...mapExpenseIva(summaries, taxableAmount, taxAmount, totalAmount)
+      };
+    }
+
+    return item;
+  });
+}
+
+/**
+ * Turn an issued invoice into a paid one, collected on its due date
+ * (today if the due date is still to come)
+ */
+function markPaid(invoice: CreateInvoiceDTO): CreateInvoiceDTO {
+  const today = getCurrentDate();
+  return {
+    ...invoice,
+    status: InvoiceStatus.PAID,
+    paid_date: invoice.due_date < today ? invoice.due_date : today
+  };
+}
+
+/**
+ * Map DettaglioLinee to invoice lines
+ *
+ * Lines whose total is not quantity x price (discounts, surcharges) are
+ * imported as a single unit at their total. If the lines do not add up
+ * to the taxable amount, one line with the whole amount is used instead.
+ */
+function mapInvoiceItems(lines: any[], taxableAmount: number): InvoiceItemInput[] | undefined {
+  const items = lines.map((line) => {
+    const quantity = amount(line.Quantita) || 1;
+    const unitPrice = amount(line.PrezzoUnitario);
+    const lineTotal = amount(line.PrezzoTotale);
+    const matchesTotal = Math.abs(roundCurrency(quantity * unitPrice) - lineTotal) < 0.01;
+
+    return {
+      description: truncate(text(line.Descrizione) || 'Prestazione professionale', 1000),
+      quantity: matchesTotal ? quantity : 1,
+      unit: truncate(text(line.UnitaMisura), 20) || null,
+      unit_price: matchesTotal ? unitPrice : lineTotal,
+      line_total: lineTotal
+    };
+  });
+
+  const linesTotal = roundCurrency(items.reduce((sum, item) => sum + item.line_total, 0));
+  if (items.length === 0 || Math.abs(linesTotal - taxableAmount) >= 0.01) {
+    return undefined;
+  }
+
+  return items.map(({ line_total, ...item }) => item);
+}
+
+/**
+ * Map the IVA summary of a received invoice to the expense IVA fields
+ *
+ * - IVA charged by the supplier: the expense amount is the gross total,
+ *   IVA is already included
+ * - reverse charge (Natura N6.x): the amount is net and IVA must be paid
+ *   by us at the expense default rate (or the one of its rule); the
+ *   default IVA rate of our invoices is 0 under the regime forfettario
+ * - other exempt operations: nothing to pay, amount is the total
+ */
+function mapExpenseIva(
+  summaries: any[],
+  taxableAmount: number,
+  taxAmount: number,
+  totalAmount: number
+): Pick<CreateExpenseDTO, 'amount' | 'iva_included' | 'iva_rate'> {
+  if (taxAmount > 0) {
+    return {
+      amount: totalAmount,
+      iva_included: true,
+      iva_rate: taxableAmount > 0 ? roundCurrency((taxAmount / taxableAmount) * 100) : 0
+    };
+  }
+
+  const isReverseCharge = summaries.some((summary) => text(summary.Natura).startsWith('N6'));
+  if (isReverseCharge) {
+    return {
+      amount: taxableAmount,
+      iva_included: false
+    };
+  }
+
+  return {
+    amount: totalAmount,
+    iva_included: true,
+    iva_rate: 0
+  };
+}
+
+/**
+ * Turn raw file bytes into XML text
+ *
+ * Accepts plain XML (UTF-8 or Latin-1 declared) and signed p7m envelopes,
+ * binary or base64 encoded.
+ */
+function decodeFatturaPA(buffer: Buffer): string | null {
+  const head = buffer.subarray(0, 64).toString('latin1').replace(/^\xEF\xBB\xBF/, '').trimStart();
+  const content = head.startsWith('<') ? buffer : extractP7mContent(buffer);
+
+  if (!content) {
+    return null;
+  }
+
+  const declaration = content.subarray(0, 200).toString('latin1');
+  const isLatin1 = /encoding=["'](ISO-8859-1|windows-1252|latin1)["']/i.test(declaration);
+  const xml = content.toString(isLatin1 ? 'latin1' : 'utf8').replace(/^\uFEFF/, '');
+
+  return xml.includes('FatturaElettronica') ? xml : null;
+}
+
+/**
+ * Read name and identifiers of a party (CedentePrestatore / CessionarioCommittente)
+ */
+function readParty(party: any): { name: string | null; vatNumber: string | null; fiscalCode: string | null } {
+  const data = party?.DatiAnagrafici || {};
+  const registry = data.Anagrafica || {};
+  const name = text(registry.Denominazione)
+    || [text(registry.Nome), text(registry.Cognome)].filter(Boolean).join(' ');
+
+  return {
+    name: name || null,
+    vatNumber: normalizeId(data.IdFiscaleIVA?.IdCodice) || null,
+    fiscalCode: normalizeId(data.CodiceFiscale) || null
+  };
+}
+
+function matchesOurIds(party: { vatNumber: string | null; fiscalCode: string | null }, ourIds: string[]): boolean {
+  return [party.vatNumber, party.fiscalCode].some((id) => id !== null && ourIds.includes(id));
+}
+
+/**
+ * First payment due date found in DatiPagamento, if any
+ */
+function findDueDate(body: any): string | null {
+  for (const payment of body?.DatiPagamento || []) {
+    for (const detail of payment?.DettaglioPagamento || []) {
+      const dueDate = text(detail?.DataScadenzaPagamento);
+      if (dueDate && isValidDateFormat(dueDate)) {
+        return dueDate;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Look for an existing record with the same number and date
+ */
+async function findExisting(item: FatturaPAImportItem): Promise<number | null> {
+  if (item.kind === 'invoice') {
+    const [rows] = await db.query<RowDataPacket[]>(
+      'SELECT id, issue_date FROM invoices WHERE invoice_number = ?',
+      [item.number]
+    );
+    if (rows.length === 0) {
+      return null;
+    }
+    const sameDate = rows.find((row) => toDateString(row.issue_date) === item.date);
+    if (!sameDate) {
+      item.errors.push(`Invoice number ${item.number} is already used by an invoice with a different date`);
+      return null;
+    }
+    return sameDate.id;
+  }
+
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT id FROM expenses
+     WHERE document_number = ? AND expense_date = ?
+     AND (supplier_vat_number = ? OR supplier_vat_number IS NULL OR ? IS NULL)
+     LIMIT 1`,
+    [item.number, item.date, item.counterparty_vat_number, item.counterparty_vat_number]
+  );
+  return rows.length > 0 ? rows[0].id : null;
+}
+
+/**
+ * Check the requested category; null lets the categorization rules choose
+ */
+async function resolveCategoryId(categoryId?: number): Promise<number | null> {
+  if (categoryId !== undefined) {
+    const category = isNaN(categoryId) ? null : await getCategoryById(categoryId);
+    if (!category) {
+      throw new Error('Invalid category ID');
+    }
+    return category.id;
+  }
+  return null;
+}
+
+function emptyItem(key: string, filename: string, error?: string): FatturaPAImportItem {
+  return {
+    key,
+    filename,
+    kind: null,
+    document_type: null,
+    number: null,
+    date: null,
+    counterparty_name: null,
+    counterparty_vat_number: null,
+    total_amount: 0,
+    duplicate_of: null,
+    errors: error ? [error] : []
+  };
+}
+
+function text(value: unknown): string {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+function amount(value: unknown): number {
+  const parsed = parseFloat(text(value));
+  return isNaN(parsed) ? 0 : parsed;
+}
+
+function normalizeId(value: unknown): string {
+  return text(value).toUpperCase().replace(/^IT(?=\d{11}$)/, '').replace(/\s+/g, '');
+}
+
+function truncate(value: string, maxLength: number): string {
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
@@ -0,0 +1,488 @@
+/**
+ * FatturaPA Service
+ *
+ * Builds electronic invoices in the FatturaPA 1.2 format (FPR12, B2B)
+ * ready to be sent to the Sistema di Interscambio (SDI).
+ *
+ * The document is assembled from:
+ * - the invoice itself (number, dates, amounts) and its lines
+ * - our own fiscal data stored in settings (CedentePrestatore)
+ * - the client's fiscal data stored on the client record (CessionarioCommittente)
+ *
+ * Invoices are always issued under the regime forfettario:
+ * - RegimeFiscale RF19
+ * - no IVA charged, Natura N2.2 with the exemption wording as RiferimentoNormativo
+ * - rivalsa INPS Gestione Separata as DatiCassaPrevidenziale (TC22), part
+ *   of the IVA-free taxable amount
+ * - marca da bollo paid virtually (DatiBollo); when charged to the client
+ *   it is billed on its own line, excluded from IVA under art. 15 (Natura N1)
+ *
+ * Every field is checked against the constraints of the official XSD
+ * (required elements, lengths, patterns, Latin-1 charset) before the XML
+ * is produced, so the caller gets a readable list of problems instead of
+ * a file that SDI would reject.
+ */
+
+import { DocumentType, Invoice } from '../models/Invoice.model';
+import { Client } from '../models/Client.model';
+import { Settings } from '../models/Settings.model';
+import { getInvoiceById } from './invoice.service';
+import { getDocumentClient } from './client.service';
+import { getAllSettings } from './settings.service';
+import { el, renderXmlDocument, XmlChild } from '../utils/xml.utils';
+import { toDateString } from '../utils/date.utils';
+import { convertToEur } from '../utils/calc.utils';
+
+const FATTURAPA_NAMESPACE = 'http://ivaservizi.agenziaentrate.gov.it/docs/xsd/fatture/v1.2';
+const FATTURAPA_SCHEMA_LOCATION =
+  'http://www.fatturapa.gov.it/export/fatturazione/sdi/fatturapa/v1.2/Schema_del_file_xml_FatturaPA_versione_1.2.xsd';
+
+const TRANSMISSION_FORMAT = 'FPR12';
+const REGIME_FORFETTARIO = 'RF19';
+const NATURA_FORFETTARIO = 'N2.2';
+const NATURA_EXCLUDED = 'N1';
+const CASSA_INPS = 'TC22';
+const STAMP_DUTY_LINE = 'Rimborso imposta di bollo';
+const STAMP_DUTY_REFERENCE = 'Escluso art. 15 DPR 633/72';
+const DOCUMENT_TYPE_INVOICE = 'TD01';
+const DOCUMENT_TYPE_CREDIT_NOTE = 'TD04';
+const PAYMENT_CONDITIONS_FULL = 'TP02';
+const PAYMENT_METHOD_BANK_TRANSFER = 'MP05';
+
+// Codice destinatario when the client receives through PEC or the cassetto fiscale
+const NO_SDI_CODE = '0000000';
+// Codice destinatario for clients without an Italian fiscal identity
+const FOREIGN_SDI_CODE = 'XXXXXXX';
+
+/**
+ * Generated electronic invoice
+ */
+export interface FatturaPADocument {
+  filename: string;   // SDI file name, e.g. IT01234567890_0000A.xml
+  xml: string;        // Document content
+}
+
+/**
+ * Export result
+ *
+ * Either a document or the list of validation errors that prevented it.
+ */
+export interface FatturaPAResult {
+  document: FatturaPADocument | null;
+  errors: string[];
+}
+
+/**
+ * Field constraint derived from the FatturaPA XSD
+ */
+interface FieldRule {
+  required?: boolean;
+  maxLength?: number;
+  pattern?: RegExp;
+  format?: string;    // Human-readable description of the pattern
+  source?: string;    // Where the user can fix the value
+}
+
+/**
+ * Export an invoice as FatturaPA XML
+ *
+ * Loads the invoice, settings and client, then builds and validates
+ * the document. Credit notes also load the invoice they correct.
+ *
+ * @param invoiceId - Invoice ID
+ * @returns Promise resolving to the document or the validation errors
+ * @throws Error if the invoice does not exist
+ */
+export async function exportInvoiceFatturaPA(invoiceId: number): Promise<FatturaPAResult> {
+  const invoice = await getInvoiceById(invoiceId);
+  if (!invoice) {
+    throw new Error('Invoice not found');
+  }
+
+  const [settings, client, originalInvoice] = await Promise.all([
+    getAllSettings(),
+    getDocumentClient(invoice),
+    invoice.original_invoice_id ? getInvoiceById(invoice.original_invoice_id) : Promise.resolve(null)
+  ]);
+
+  return buildFatturaPA(invoice, client, settings, originalInvoice);
+}
+
+/**
+ * Build a FatturaPA document
+ *
+ * Credit notes are exported as TD04 and refer to the corrected invoice
+ * (DatiFattureCollegate); they carry no payment data.
+ *
+ * @param invoice - Invoice to export
+ * @param client - Client record matching the invoice, null if missing
+ * @param settings - Application settings holding our fiscal data
+ * @param originalInvoice - Invoice corrected by a credit note
+ * @returns Document, or validation errors when any field is invalid
+ */
+export function buildFatturaPA(
+  invoice: Invoice,
+  client: Client | null,
+  settings: Settings,
+  originalInvoice: Invoice | null = null
+): FatturaPAResult {
+  const errors: string[] = [];
+  const check = (path: string, value: unknown, rule: FieldRule) =>
+    checkField(errors, path, value, rule);
+
+  const ourSource = 'Impostazioni › Dati fiscali';
+  const clientSource = `Clienti › ${invoice.client_name}`;
+
+  // --- Supplier (us) ---
+  const ourCountry = check('CedentePrestatore/Sede/Nazione', settings.business_country || 'IT', {
+    required: true, pattern: /^[A-Z]{2}$/, format: '2-letter ISO code', source: ourSource
+  });
+  const ourVatNumber = check('CedentePrestatore/IdFiscaleIVA/IdCodice', settings.business_vat_number, {
+    required: true,
+    pattern: ourCountry === 'IT' ? /^\d{11}$/ : /^[A-Za-z0-9]{1,28}$/,
+    format: ourCountry === 'IT' ? '11 digits' : 'up to 28 letters or digits',
+    source: ourSource
+  });
+  const ourFiscalCode = check('CedentePrestatore/CodiceFiscale', settings.business_fiscal_code, {
+    pattern: /^[A-Z0-9]{11,16}$/, format: '11-16 letters or digits', source: ourSource
+  });
+
+  const companyName = check('CedentePrestatore/Anagrafica/Denominazione', settings.business_company_name, {
+    maxLength: 80, source: ourSource
+  });
+  const firstName = companyName ? '' : check('CedentePrestatore/Anagrafica/Nome', settings.business_first_name, {
+    required: true, maxLength: 60, source: ourSource
+  });
+  const lastName = companyName ? '' : check('CedentePrestatore/Anagrafica/Cognome', settings.business_last_name, {
+    required: true, maxLength: 60, source: ourSource
+  });
+
+  const ourSede = buildSede('CedentePrestatore', {
+    address: settings.business_address,
+    postal_code: settings.business_postal_code,
+    city: settings.business_city,
+    province: settings.business_province,
+    country: ourCountry
+  }, ourSource, check);
+
+  // --- Customer ---
+  if (!client) {
+    errors.push(
+      `CessionarioCommittente: no client named "${invoice.client_name}" found, add it in Clienti with its fiscal data and link it to the invoice`
+    );
+  }
+
+  const clientCountry = check('CessionarioCommittente/Sede/Nazione', client?.country || 'IT', {
+    required: true, pattern: /^[A-Z]{2}$/, format: '2-letter ISO code', source: clientSource
+  });
+  const isForeignClient = clientCountry !== 'IT';
+
+  const clientVatNumber = check('CessionarioCommittente/IdFiscaleIVA/IdCodice', client?.vat_number, {
+    pattern: isForeignClient ? /^[A-Za-z0-9]{1,28}$/ : /^\d{11}$/,
+    format: isForeignClient ? 'up to 28 letters or digits' : '11 digits',
+    source: clientSource
+  });
+  const clientFiscalCode = check('CessionarioCommittente/CodiceFiscale', client?.fiscal_code, {
+    pattern: /^[A-Z0-9]{11,16}$/, format: '11-16 letters or digits', source: clientSource
+  });
+
+  if (client && !clientVatNumber && !clientFiscalCode) {
+    errors.push(
+      `CessionarioCommittente: either Partita IVA or Codice Fiscale is required (${clientSource})`
+    );
+  }
+
+  const clientName = check('CessionarioCommittente/Anagrafica/Denominazione', invoice.client_name, {
+    required: true, maxLength: 80, source: 'invoice client'
+  });
+
+  const clientSede = buildSede('CessionarioCommittente', {
+    address: client?.address,
+    // Foreign postal codes do not fit the 5-digit CAP, SDI expects 00000
+    postal_code: isForeignClient ? '00000' : client?.postal_code,
+    city: client?.city,
+    province: isForeignClient ? null : client?.province,
+    country: clientCountry
+  }, clientSource, check);
+
+  // --- Transmission ---
+  let recipientCode = isForeignClient ? FOREIGN_SDI_CODE : (client?.sdi_code || NO_SDI_CODE);
+  recipientCode = check('DatiTrasmissione/CodiceDestinatario', recipientCode, {
+    required: true, pattern: /^[A-Z0-9]{7}$/, format: '7 letters or digits', source: clientSource
+  });
+  const recipientPec = recipientCode === NO_SDI_CODE
+    ? check('DatiTrasmissione/PECDestinatario', client?.pec, {
+        maxLength: 256, pattern: /^.+@.+\..+$/, format: 'e-mail address', source: clientSource
+      })
+    : '';
+
+  const transmitterCode = ourFiscalCode || ourVatNumber;
+  const progressive = invoice.id.toString(36).toUpperCase().padStart(5, '0');
+
+  // --- Document data ---
+  const invoiceNumber = check('DatiGeneraliDocumento/Numero', invoice.invoice_number, {
+    required: true, maxLength: 20, pattern: /\d/, format: 'text containing at least one digit'
+  });
+  const issueDate = check('DatiGeneraliDocumento/Data', toDateString(invoice.issue_date), {
+    required: true, pattern: /^\d{4}-\d{2}-\d{2}$/, format: 'YYYY-MM-DD'
+  });
+  const dueDate = toDateString(invoice.due_date);
+
+  const isCreditNote = invoice.document_type === DocumentType.CREDIT_NOTE;
+  if (isCreditNote && !originalInvoice) {
+    errors.push('DatiFattureCollegate: the invoice corrected by this credit note was not found');
+  }
+
+  if (Number(invoice.tax_rate) > 0) {
+    errors.push(
+      `DettaglioLinee/AliquotaIVA: invoices under ${REGIME_FORFETTARIO} cannot charge IVA, set the IVA rate to 0 (currently ${invoice.tax_rate}%)`
+    );
+  }
+
+  // Invoices created before lines existed fall back to a single line
+  const items = invoice.items && invoice.items.length > 0
+    ? invoice.items
+    : [{
+        description: invoice.description || 'Prestazione professionale',
+        quantity: 1,
+        unit: null,
+        unit_price: Number(invoice.amount),
+        line_total: Number(invoice.amount)
+      }];
+  const lines = items.map((item, index) => ({
+    description: check(`DettaglioLinee[${index + 1}]/Descrizione`, item.description, {
+      required: true, maxLength: 1000
+    }),
+    unit: check(`DettaglioLinee[${index + 1}]/UnitaMisura`, item.unit, { maxLength: 10 }),
+    quantity: Number(item.quantity),
+    unitPrice: Number(item.unit_price),
+    lineTotal: Number(item.line_total),
+    natura: NATURA_FORFETTARIO
+  }));
+  const exemptionText = check('DatiRiepilogo/RiferimentoNormativo', settings.forfettario_exemption_text, {
+    required: true, maxLength: 100, source: ourSource
+  });
+  const iban = check('DettaglioPagamento/IBAN', (settings.business_iban || '').replace(/\s+/g, '').toUpperCase(), {
+    pattern: /^[A-Z]{2}[0-9]{2}[A-Z0-9]{11,30}$/, format: 'IBAN without spaces', source: ourSource
+  });
+
+  if (errors.length > 0) {
+    return { document: null, errors };
+  }
+
+  const amount = Number(invoice.amount);
+  const totalAmount = Number(invoice.total_amount);
+  const stampDutyAmount = Number(invoice.stamp_duty_amount);
+  const rivalsaRate = Number(invoice.inps_rivalsa_rate);
+  const rivalsaAmount = Number(invoice.inps_rivalsa_amount);
+
+  // The stamp duty charged to the client is billed as the last line
+  if (invoice.stamp_duty_rebilled) {
+    lines.push({
+      description: STAMP_DUTY_LINE,
+      unit: '',
+      quantity: 1,
+      unitPrice: stampDutyAmount,
+      lineTotal: stampDutyAmount,
+      natura: NATURA_EXCLUDED
+    });
+  }
+
+  const root = el('p:FatturaElettronica', [
+    el('FatturaElettronicaHeader', [
+      el('DatiTrasmissione', [
+        el('IdTrasmittente', [
+          el('IdPaese', ourCountry),
+          el('IdCodice', transmitterCode)
+        ]),
+        el('ProgressivoInvio', progressive),
+        el('FormatoTrasmissione', TRANSMISSION_FORMAT),
+        el('CodiceDestinatario', recipientCode),
+        recipientPec && el('PECDestinatario', recipientPec)
+      ]),
+      el('CedentePrestatore', [
+        el('DatiAnagrafici', [
+          el('IdFiscaleIVA', [
+            el('IdPaese', ourCountry),
+            el('IdCodice', ourVatNumber)
+          ]),
+          ourFiscalCode && el('CodiceFiscale', ourFiscalCode),
+          el('Anagrafica', companyName
+            ? [el('Denominazione', companyName)]
+            : [el('Nome', firstName), el('Cognome', lastName)]
+          ),
+          el('RegimeFiscale', REGIME_FORFETTARIO)
+        ]),
+        ourSede
+      ]),
+      el('CessionarioCommittente', [
+        el('DatiAnagrafici', [
+          clientVatNumber && el('IdFiscaleIVA', [
+            el('IdPaese', clientCountry),
+            el('IdCodice', clientVatNumber)
+          ]),
+          clientFiscalCode && el('CodiceFiscale', clientFiscalCode),
+          el('Anagrafica', [el('Denominazione', clientName)])
+        ]),
+        clientSede
+      ])
+    ]),
+    el('FatturaElettronicaBody', [
+      el('DatiGenerali', [
+        el('DatiGeneraliDocumento', [
+          el('TipoDocumento', isCreditNote ? DOCUMENT_TYPE_CREDIT_NOTE : DOCUMENT_TYPE_INVOICE),
+          el('Divisa', invoice.currency || 'EUR'),
+          el('Data', issueDate),
+          el('Numero', invoiceNumber),
+          invoice.stamp_duty && el('DatiBollo', [
+            el('BolloVirtuale', 'SI'),
+            // The stamp itself is always paid in EUR
+            el('ImportoBollo', formatAmount(convertToEur(stampDutyAmount, invoice.exchange_rate)))
+          ]),
+          rivalsaRate > 0 && el('DatiCassaPrevidenziale', [
+            el('TipoCassa', CASSA_INPS),
+            el('AlCassa', formatAmount(rivalsaRate)),
+            el('ImportoContributoCassa', formatAmount(rivalsaAmount)),
+            el('ImponibileCassa', formatAmount(amount)),
+            el('AliquotaIVA', formatAmount(0)),
+            el('Natura', NATURA_FORFETTARIO)
+          ]),
+          el('ImportoTotaleDocumento', formatAmount(totalAmount))
+        ]),
+        isCreditNote && originalInvoice && el('DatiFattureCollegate', [
+          el('IdDocumento', originalInvoice.invoice_number),
+          el('Data', toDateString(originalInvoice.issue_date))
+        ])
+      ]),
+      el('DatiBeniServizi', [
+        ...lines.map((line, index) => el('DettaglioLinee', [
+          el('NumeroLinea', index + 1),
+          el('Descrizione', line.description),
+          el('Quantita', formatAmount(line.quantity)),
+          line.unit && el('UnitaMisura', line.unit),
+          el('PrezzoUnitario', formatAmount(line.unitPrice)),
+          el('PrezzoTotale', formatAmount(line.lineTotal)),
+          el('AliquotaIVA', formatAmount(0)),
+          el('Natura', line.natura)
+        ])),
+        el('DatiRiepilogo', [
+          el('AliquotaIVA', formatAmount(0)),
+          el('Natura', NATURA_FORFETTARIO),
+          el('ImponibileImporto', formatAmount(amount + rivalsaAmount)),
+          el('Imposta', formatAmount(0)),
+          el('RiferimentoNormativo', exemptionText)
+        ]),
+        invoice.stamp_duty_rebilled && el('DatiRiepilogo', [
+          el('AliquotaIVA', formatAmount(0)),
+          el('Natura', NATURA_EXCLUDED),
+          el('ImponibileImporto', formatAmount(stampDutyAmount)),
+          el('Imposta', formatAmount(0)),
+          el('RiferimentoNormativo', STAMP_DUTY_REFERENCE)
+        ])
+      ]),
+      !isCreditNote && el('DatiPagamento', [
+        el('CondizioniPagamento', PAYMENT_CONDITIONS_FULL),
+        el('DettaglioPagamento', [
+          el('ModalitaPagamento', PAYMENT_METHOD_BANK_TRANSFER),
+          dueDate && el('DataScadenzaPagamento', dueDate),
+          el('ImportoPagamento', formatAmount(totalAmount)),
+          iban && el('IBAN', iban)
+        ])
+      ])
+    ])
+  ], {
+    'versione': TRANSMISSION_FORMAT,
+    'xmlns:ds': 'http://www.w3.org/2000/09/xmldsig#',
+    'xmlns:p': FATTURAPA_NAMESPACE,
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+    'xsi:schemaLocation': `${FATTURAPA_NAMESPACE} ${FATTURAPA_SCHEMA_LOCATION}`
+  });
+
+  return {
+    document: {
+      filename: `${ourCountry}${transmitterCode}_${progressive}.xml`,
+      xml: renderXmlDocument(root)
+    },
+    errors: []
+  };
+}
+
+/**
+ * Build and validate a Sede block (registered office)
+ */
+function buildSede(
+  party: string,
+  data: {
+    address?: string | null;
+    postal_code?: string | null;
+    city?: string | null;
+    province?: string | null;
+    country: string;
+  },
+  source: string,
+  check: (path: string, value: unknown, rule: FieldRule) => string
+) {
+  const address = check(`${party}/Sede/Indirizzo`, data.address, {
+    required: true, maxLength: 60, source
+  });
+  const postalCode = check(`${party}/Sede/CAP`, data.postal_code, {
+    required: true, pattern: /^\d{5}$/, format: '5 digits', source
+  });
+  const city = check(`${party}/Sede/Comune`, data.city, {
+    required: true, maxLength: 60, source
+  });
+  const province = check(`${party}/Sede/Provincia`, data.province, {
+    pattern: /^[A-Z]{2}$/, format: '2-letter code', source
+  });
+
+  const children: XmlChild[] = [
+    el('Indirizzo', address),
+    el('CAP', postalCode),
+    el('Comune', city),
+    province && el('Provincia', province),
+    el('Nazione', data.country)
+  ];
+
+  return el('Sede', children);
+}
+
+/**
+ * Validate a single field against its XSD rule
+ *
+ * Pushes a readable message for every violation and returns the
+ * trimmed value (empty string when missing).
+ */
+function checkField(errors: string[], path: string, value: unknown, rule: FieldRule): string {
+  const text = value === null || value === undefined ? '' : String(value).trim();
+  const where = rule.source ? ` (${rule.source})` : '';
+
+  if (!text) {
+    if (rule.required) {
+      errors.push(`${path}: missing${where}`);
+    }
+    return '';
+  }
+
+  if (rule.maxLength && text.length > rule.maxLength) {
+    errors.push(`${path}: longer than ${rule.maxLength} characters${where}`);
+  }
+
+  if (rule.pattern && !rule.pattern.test(text)) {
+    errors.push(`${path}: "${text}" is not valid, expected ${rule.format || rule.pattern.source}${where}`);
+  }
+
+  // FatturaPA strings are restricted to Basic Latin and Latin-1 Supplement
+  const invalidChar = text.match(/[^\u0000-\u00FF]/);
+  if (invalidChar) {
+    errors.push(`${path}: contains the character "${invalidChar[0]}" which is not allowed (Latin-1 only)${where}`);
+  }
+
+  return text;
+}
+
+/**
+ * Format a monetary amount with two decimals and a dot separator
+ */
+function formatAmount(value: number): string {
+  return (Math.round(value * 100) / 100).toFixed(2);
+}
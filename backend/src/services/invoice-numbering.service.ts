@@ -0,0 +1,342 @@
+/**
+ * Invoice Numbering Service
+ *
+ * Hands out progressive invoice numbers following the numbering scheme
+ * stored in settings (e.g. {YYYY}/{seq:3}), and checks that the numbers
+ * of a year form a continuous progression as required by Italian rules.
+ *
+ * Each calendar year has its own counter in invoice_sequences. The
+ * counter row is locked while a number is reserved, so concurrent
+ * requests can never receive the same number. A year's counter starts
+ * from the highest number already present among its invoices, so
+ * invoices numbered by hand before the scheme was configured are kept.
+ *
+ * Credit notes and quotes form separate series with their own format
+ * and counters.
+ */
+
+import { RowDataPacket } from 'mysql2';
+import { PoolConnection } from 'mysql2/promise';
+import db from '../config/database';
+import { DocumentType, InvoiceNumberingCheck, InvoiceNumberingIssue } from '../models/Invoice.model';
+import { QUOTE_NUMBERING_SERIES } from '../models/Quote.model';
+import { getAllSettings } from './settings.service';
+import { getCurrentDate, isValidDateFormat, toDateString } from '../utils/date.utils';
+import {
+  formatInvoiceNumber,
+  parseInvoiceNumber,
+  validateInvoiceNumberFormat
+} from '../utils/invoice-number.utils';
+
+/**
+ * A numbering series: invoices, credit notes or quotes
+ */
+export type NumberingSeries = DocumentType | typeof QUOTE_NUMBERING_SERIES;
+
+/**
+ * Reserve the next invoice number
+ *
+ * Must run inside the transaction that inserts the invoice: the counter
+ * stays locked until the transaction ends, and a rollback gives the
+ * number back.
+ *
+ * @param connection - Transaction connection
+ * @param issueDate - Issue date of the invoice (YYYY-MM-DD)
+ * @param series - Numbering series, defaults to invoices
+ * @returns Promise resolving to the reserved invoice number
+ * @throws Error if the configured format is invalid
+ */
+export async function reserveInvoiceNumber(
+  connection: PoolConnection,
+  issueDate: string,
+  series: NumberingSeries = DocumentType.INVOICE
+): Promise<string> {
+  const format = await getNumberFormat(series);
+  const year = getYear(issueDate);
+
+  const lastNumber = await lockSequence(connection, format, series, year);
+  const next = await findNextFreeNumber(connection, format, series, year, lastNumber);
+
+  await connection.query(
+    'UPDATE invoice_sequences SET last_number = ? WHERE document_type = ? AND year = ?',
+    [next.seq, series, year]
+  );
+
+  return next.invoiceNumber;
+}
+
+/**
+ * Keep the counter ahead of a number entered by hand
+ *
+ * If the number follows the numbering scheme for the issue year and is
+ * above the counter, the counter moves up to it, so the next reserved
+ * number comes right after.
+ *
+ * @param connection - Transaction connection
+ * @param invoiceNumber - Number chosen by the user
+ * @param issueDate - Issue date of the invoice (YYYY-MM-DD)
+ * @param series - Numbering series, defaults to invoices
+ */
+export async function syncInvoiceSequence(
+  connection: PoolConnection,
+  invoiceNumber: string,
+  issueDate: string,
+  series: NumberingSeries = DocumentType.INVOICE
+): Promise<void> {
+  const format = await getNumberFormat(series);
+  const year = getYear(issueDate);
+  const parsed = parseInvoiceNumber(format, invoiceNumber);
+
+  if (!parsed || (parsed.year !== null && parsed.year !== year)) {
+    return;
+  }
+
+  const lastNumber = await lockSequence(connection, format, series, year);
+  if (parsed.seq > lastNumber) {
+    await connection.query(
+      'UPDATE invoice_sequences SET last_number = ? WHERE document_type = ? AND year = ?',
+      [parsed.seq, series, year]
+    );
+  }
+}
+
+/**
+ * Get the number the next invoice would receive
+ *
+ * Nothing is reserved nor written, the counter is only read: used to
+ * prefill the invoice form.
+ *
+ * @param issueDate - Issue date (YYYY-MM-DD), defaults to today
+ * @param series - Numbering series, defaults to invoices
+ * @returns Promise resolving to the next invoice number
+ * @throws Error if the date or the configured format is invalid
+ */
+export async function getNextInvoiceNumber(
+  issueDate?: string,
+  series: NumberingSeries = DocumentType.INVOICE
+): Promise<string> {
+  const date = issueDate || getCurrentDate();
+  if (!isValidDateFormat(date)) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD');
+  }
+
+  const format = await getNumberFormat(series);
+  const year = getYear(date);
+
+  const [rows] = await db.query<RowDataPacket[]>(
+    'SELECT last_number FROM invoice_sequences WHERE document_type = ? AND year = ?',
+    [series, year]
+  );
+  const lastNumber = rows.length > 0
+    ? Number(rows[0].last_number)
+    : await findHighestIssuedNumber(db, format, series, year);
+
+  const next = await findNextFreeNumber(db, format, series, year, lastNumber);
+  return next.invoiceNumber;
+}
+
+/**
+ * Check the numbering of a year
+ *
+ * Invoices are read in issue date order and their progressive numbers
+ * must go 1, 2, 3... without gaps, repetitions or going backwards.
+ *
+ * @param year - Calendar year to check
+ * @param documentType - Numbering series, defaults to invoices
+ * @returns Promise resolving to the list of issues found
+ * @throws Error if the configured format is invalid
+ */
+export async function checkInvoiceNumbering(
+  year: number,
+  documentType: DocumentType = DocumentType.INVOICE
+): Promise<InvoiceNumberingCheck> {
+  const format = await getNumberFormat(documentType);
+
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT invoice_number, issue_date
+     FROM invoices
+     WHERE YEAR(issue_date) = ? AND document_type = ?
+     ORDER BY issue_date ASC, id ASC`,
+    [year, documentType]
+  );
+
+  const issues: InvoiceNumberingIssue[] = [];
+  const seen = new Map<number, string>();
+  let previous: { seq: number; invoiceNumber: string; issueDate: string } | null = null;
+  let highest: { seq: number; invoiceNumber: string } | null = null;
+
+  for (const row of rows) {
+    const invoiceNumber: string = row.invoice_number;
+    const issueDate = toDateString(row.issue_date);
+    const parsed = parseInvoiceNumber(format, invoiceNumber);
+
+    if (!parsed || (parsed.year !== null && parsed.year !== year)) {
+      issues.push({
+        type: 'unrecognized',
+        invoice_number: invoiceNumber,
+        message: `Invoice ${invoiceNumber} does not follow the numbering format ${format} for ${year}`
+      });
+      continue;
+    }
+
+    const duplicateOf = seen.get(parsed.seq);
+    if (duplicateOf !== undefined) {
+      issues.push({
+        type: 'duplicate',
+        invoice_number: invoiceNumber,
+        message: `Invoice ${invoiceNumber} repeats progressive number ${parsed.seq} of invoice ${duplicateOf}`
+      });
+    } else {
+      seen.set(parsed.seq, invoiceNumber);
+    }
+
+    if (previous && parsed.seq < previous.seq && issueDate > previous.issueDate) {
+      issues.push({
+        type: 'out_of_order',
+        invoice_number: invoiceNumber,
+        message: `Invoice ${invoiceNumber} of ${issueDate} has a lower number than ${previous.invoiceNumber} of ${previous.issueDate}`
+      });
+    }
+
+    if (!previous || parsed.seq >= previous.seq) {
+      previous = { seq: parsed.seq, invoiceNumber, issueDate };
+    }
+
+    if (!highest || parsed.seq > highest.seq) {
+      highest = { seq: parsed.seq, invoiceNumber };
+    }
+  }
+
+  // Every progressive number up to the highest one must have been issued
+  const gaps: InvoiceNumberingIssue[] = [];
+  for (let seq = 1; highest && seq < highest.seq; seq++) {
+    if (!seen.has(seq)) {
+      const missing = formatInvoiceNumber(format, year, seq);
+      gaps.push({
+        type: 'gap',
+        invoice_number: missing,
+        message: `Invoice number ${missing} is missing`
+      });
+    }
+  }
+
+  const allIssues = [...gaps, ...issues];
+
+  return {
+    year,
+    document_type: documentType,
+    format,
+    invoices_checked: rows.length,
+    last_number: highest ? highest.invoiceNumber : null,
+    is_continuous: allIssues.length === 0,
+    issues: allIssues
+  };
+}
+
+/**
+ * Read and validate the configured numbering scheme of a series
+ */
+async function getNumberFormat(series: NumberingSeries): Promise<string> {
+  const settings = await getAllSettings();
+  const { format, label } = series === QUOTE_NUMBERING_SERIES
+    ? { format: settings.quote_number_format, label: 'quote' }
+    : series === DocumentType.CREDIT_NOTE
+      ? { format: settings.credit_note_number_format, label: 'credit note' }
+      : { format: settings.invoice_number_format, label: 'invoice' };
+  const formatError = validateInvoiceNumberFormat(format);
+
+  if (formatError) {
+    throw new Error(`Invalid ${label} number format: ${formatError}`);
+  }
+
+  return format;
+}
+
+/**
+ * Lock the counter of a series and year, creating it on first use
+ *
+ * @returns Promise resolving to the last number handed out for the year
+ */
+async function lockSequence(
+  connection: PoolConnection,
+  format: string,
+  series: NumberingSeries,
+  year: number
+): Promise<number> {
+  const selectSql = 'SELECT last_number FROM invoice_sequences WHERE document_type = ? AND year = ? FOR UPDATE';
+  const [rows] = await connection.query<RowDataPacket[]>(selectSql, [series, year]);
+
+  if (rows.length > 0) {
+    return Number(rows[0].last_number);
+  }
+
+  const start = await findHighestIssuedNumber(connection, format, series, year);
+  await connection.query(
+    'INSERT IGNORE INTO invoice_sequences (document_type, year, last_number) VALUES (?, ?, ?)',
+    [series, year, start]
+  );
+
+  const [created] = await connection.query<RowDataPacket[]>(selectSql, [series, year]);
+  return Number(created[0].last_number);
+}
+
+/**
+ * Highest progressive number among the documents of a series and year
+ */
+async function findHighestIssuedNumber(
+  connection: Pick<PoolConnection, 'query'>,
+  format: string,
+  series: NumberingSeries,
+  year: number
+): Promise<number> {
+  const [rows] = series === QUOTE_NUMBERING_SERIES
+    ? await connection.query<RowDataPacket[]>(
+      'SELECT quote_number AS number FROM quotes WHERE YEAR(issue_date) = ?',
+      [year]
+    )
+    : await connection.query<RowDataPacket[]>(
+      'SELECT invoice_number AS number FROM invoices WHERE YEAR(issue_date) = ? AND document_type = ?',
+      [year, series]
+    );
+
+  return rows.reduce((highest, row) => {
+    const parsed = parseInvoiceNumber(format, row.number);
+    if (!parsed || (parsed.year !== null && parsed.year !== year)) {
+      return highest;
+    }
+    return Math.max(highest, parsed.seq);
+  }, 0);
+}
+
+/**
+ * First number after the counter that no document of the series' table
+ * uses yet
+ *
+ * Numbers typed by hand may already sit ahead of the counter.
+ */
+async function findNextFreeNumber(
+  connection: Pick<PoolConnection, 'query'>,
+  format: string,
+  series: NumberingSeries,
+  year: number,
+  lastNumber: number
+): Promise<{ seq: number; invoiceNumber: string }> {
+  const existsSql = series === QUOTE_NUMBERING_SERIES
+    ? 'SELECT id FROM quotes WHERE quote_number = ?'
+    : 'SELECT id FROM invoices WHERE invoice_number = ?';
+  let seq = lastNumber;
+
+  while (true) {
+    seq++;
+    const invoiceNumber = formatInvoiceNumber(format, year, seq);
+    const [existing] = await connection.query<RowDataPacket[]>(existsSql, [invoiceNumber]);
+
+    if (existing.length === 0) {
+      return { seq, invoiceNumber };
+    }
+  }
+}
+
+function getYear(dateString: string): number {
+  return parseInt(dateString.slice(0, 4));
+}
@@ -0,0 +1,269 @@
+/**
+ * Invoice Payment Service
+ *
+ * Business logic for the payments received on invoices.
+ *
+ * Clients may pay in installments, and the money may arrive on any date,
+ * so every payment is stored with its own date and amount. The invoice
+ * status follows the payments:
+ * - some payments, balance still open → partially_paid (overdue past the due date)
+ * - payments cover the total → paid, paid_date = date of the last payment
+ * - no payments left → back to sent (or overdue past the due date)
+ *
+ * Credit notes lower what the client still has to pay, so payments plus
+ * credit notes covering the total also make the invoice paid, and credit
+ * notes alone covering it make it cancelled. Drafts take no payments.
+ *
+ * Income is counted by payment date (cassa basis, regime forfettario).
+ */
+
+import { RowDataPacket, ResultSetHeader } from 'mysql2';
+import { PoolConnection } from 'mysql2/promise';
+import db, { withTransaction } from '../config/database';
+import {
+  DocumentType,
+  InvoicePayment,
+  InvoiceStatus,
+  CreateInvoicePaymentDTO,
+  PaymentMethod,
+  StatusChangeSource
+} from '../models/Invoice.model';
+import { roundCurrency } from '../utils/calc.utils';
+import { getCurrentDate, isValidDateFormat, toDateString } from '../utils/date.utils';
+import { checkStatusTransition, logStatusChange } from './invoice-status.service';
+
+/**
+ * Get the payments of an invoice
+ *
+ * @param invoiceId - Invoice ID
+ * @returns Promise resolving to the payments ordered by date
+ * @throws Error if the invoice does not exist
+ */
+export async function getInvoicePayments(invoiceId: number): Promise<InvoicePayment[]> {
+  const [invoices] = await db.query<RowDataPacket[]>(
+    'SELECT id FROM invoices WHERE id = ?',
+    [invoiceId]
+  );
+
+  if (invoices.length === 0) {
+    throw new Error('Invoice not found');
+  }
+
+  const paymentsByInvoice = await loadPayments([invoiceId]);
+  return paymentsByInvoice.get(invoiceId) || [];
+}
+
+/**
+ * Record a payment
+ *
+ * @param invoiceId - Invoice ID
+ * @param data - Payment date, amount, method and note
+ * @returns Promise resolving to the new payment ID
+ * @throws Error if the invoice does not exist or validation fails
+ */
+export async function addInvoicePayment(invoiceId: number, data: CreateInvoicePaymentDTO): Promise<number> {
+  return withTransaction((connection) => recordPayment(connection, invoiceId, data));
+}
+
+/**
+ * Delete a payment
+ *
+ * The invoice status is derived again from the remaining payments.
+ *
+ * @param invoiceId - Invoice ID
+ * @param paymentId - Payment ID
+ * @throws Error if the payment does not belong to the invoice
+ */
+export async function deleteInvoicePayment(invoiceId: number, paymentId: number): Promise<void> {
+  await withTransaction(async (connection) => {
+    const [result] = await connection.query<ResultSetHeader>(
+      'DELETE FROM invoice_payments WHERE id = ? AND invoice_id = ?',
+      [paymentId, invoiceId]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new Error('Payment not found');
+    }
+
+    await refreshPaymentStatus(connection, invoiceId, StatusChangeSource.PAYMENT);
+  });
+}
+
+/**
+ * Validate and insert a payment, then update the invoice status
+ *
+ * Runs on the given transaction connection; the invoice row is locked
+ * so concurrent payments cannot exceed the total.
+ *
+ * @param connection - Transaction connection
+ * @param invoiceId - Invoice ID
+ * @param data - Payment data
+ * @returns Promise resolving to the new payment ID
+ * @throws Error if the invoice does not exist or validation fails
+ */
+export async function recordPayment(
+  connection: PoolConnection,
+  invoiceId: number,
+  data: CreateInvoicePaymentDTO
+): Promise<number> {
+  if (!data.payment_date || !data.amount) {
+    throw new Error('Payment date and amount are required');
+  }
+
+  if (!isValidDateFormat(data.payment_date)) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD');
+  }
+
+  const amount = roundCurrency(Number(data.amount));
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error('Invalid amount: must be greater than zero');
+  }
+
+  const method = data.method || PaymentMethod.BANK_TRANSFER;
+  if (!Object.values(PaymentMethod).includes(method)) {
+    throw new Error(`Invalid payment method. Use one of: ${Object.values(PaymentMethod).join(', ')}`);
+  }
+
+  const [invoices] = await connection.query<RowDataPacket[]>(
+    'SELECT id, status, total_amount, document_type FROM invoices WHERE id = ? FOR UPDATE',
+    [invoiceId]
+  );
+
+  if (invoices.length === 0) {
+    throw new Error('Invoice not found');
+  }
+
+  if (invoices[0].document_type === DocumentType.CREDIT_NOTE) {
+    throw new Error('Invalid invoice: credit notes cannot receive payments');
+  }
+
+  if (invoices[0].status === InvoiceStatus.DRAFT) {
+    throw new Error('Invalid status transition from draft to paid: send the invoice before recording payments');
+  }
+
+  const [paidRows] = await connection.query<RowDataPacket[]>(
+    `SELECT
+       (SELECT COALESCE(SUM(amount), 0) FROM invoice_payments WHERE invoice_id = ?) AS amount_paid,
+       (SELECT COALESCE(SUM(total_amount), 0) FROM invoices WHERE original_invoice_id = ?) AS amount_credited`,
+    [invoiceId, invoiceId]
+  );
+
+  const balance = roundCurrency(
+    Number(invoices[0].total_amount) - Number(paidRows[0].amount_paid) - Number(paidRows[0].amount_credited)
+  );
+  if (amount > balance) {
+    throw new Error(`Invalid amount: exceeds the balance due (${balance.toFixed(2)})`);
+  }
+
+  const [result] = await connection.query<ResultSetHeader>(
+    `INSERT INTO invoice_payments (invoice_id, payment_date, amount, method, note)
+     VALUES (?, ?, ?, ?, ?)`,
+    [invoiceId, data.payment_date, amount, method, data.note?.trim() || null]
+  );
+
+  await refreshPaymentStatus(connection, invoiceId, StatusChangeSource.PAYMENT);
+  return result.insertId;
+}
+
+/**
+ * Derive status and paid_date of an invoice from its payments
+ *
+ * A change of status is logged in the status history.
+ *
+ * @param connection - Transaction connection
+ * @param invoiceId - Invoice ID
+ * @param source - What triggered it: a payment, a credit note or a new total
+ */
+export async function refreshPaymentStatus(
+  connection: PoolConnection,
+  invoiceId: number,
+  source: StatusChangeSource
+): Promise<void> {
+  const [rows] = await connection.query<RowDataPacket[]>(
+    `SELECT i.status, i.due_date, i.total_amount,
+            COALESCE(SUM(p.amount), 0) AS amount_paid,
+            MAX(p.payment_date) AS last_payment_date,
+            (SELECT COALESCE(SUM(cn.total_amount), 0)
+             FROM invoices cn WHERE cn.original_invoice_id = i.id) AS amount_credited
+     FROM invoices i
+     LEFT JOIN invoice_payments p ON p.invoice_id = i.id
+     WHERE i.id = ?
+     GROUP BY i.id`,
+    [invoiceId]
+  );
+
+  if (rows.length === 0) {
+    return;
+  }
+
+  const invoice = rows[0];
+  const amountPaid = roundCurrency(Number(invoice.amount_paid));
+  const total = roundCurrency(Number(invoice.total_amount) - Number(invoice.amount_credited));
+
+  let status: InvoiceStatus = invoice.status;
+  let paidDate: string | null = null;
+
+  if (amountPaid > 0 && amountPaid >= total) {
+    status = InvoiceStatus.PAID;
+    paidDate = toDateString(invoice.last_payment_date);
+  } else if (amountPaid > 0) {
+    status = toDateString(invoice.due_date) < getCurrentDate() ? InvoiceStatus.OVERDUE : InvoiceStatus.PARTIALLY_PAID;
+  } else if (total <= 0 && status !== InvoiceStatus.DRAFT) {
+    // Nothing paid and credit notes cover the whole invoice
+    status = InvoiceStatus.CANCELLED;
+  } else if (
+    status === InvoiceStatus.PAID ||
+    status === InvoiceStatus.PARTIALLY_PAID ||
+    status === InvoiceStatus.CANCELLED
+  ) {
+    // Every payment or credit note was removed: the invoice is open again
+    status = toDateString(invoice.due_date) < getCurrentDate() ? InvoiceStatus.OVERDUE : InvoiceStatus.SENT;
+  }
+
+  checkStatusTransition(invoice.status, status, source);
+
+  await connection.query(
+    'UPDATE invoices SET status = ?, paid_date = ? WHERE id = ?',
+    [status, paidDate, invoiceId]
+  );
+
+  await logStatusChange(connection, invoiceId, invoice.status, status, source);
+}
+
+/**
+ * Load payments for a set of invoices with a single query
+ *
+ * @param invoiceIds - Invoice IDs
+ * @returns Promise resolving to the payments grouped by invoice ID
+ */
+export async function loadPayments(invoiceIds: number[]): Promise<Map<number, InvoicePayment[]>> {
+  const paymentsByInvoice = new Map<number, InvoicePayment[]>();
+  if (invoiceIds.length === 0) {
+    return paymentsByInvoice;
+  }
+
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT id, invoice_id, payment_date, amount, method, note, created_at
+     FROM invoice_payments
+     WHERE invoice_id IN (?)
+     ORDER BY invoice_id, payment_date, id`,
+    [invoiceIds]
+  );
+
+  for (const row of rows) {
+    const payment: InvoicePayment = {
+      id: row.id,
+      invoice_id: row.invoice_id,
+      payment_date: toDateString(row.payment_date),
+      amount: Number(row.amount),
+      method: row.method,
+      note: row.note,
+      created_at: row.created_at
+    };
+    const list = paymentsByInvoice.get(payment.invoice_id) || [];
+    list.push(payment);
+    paymentsByInvoice.set(payment.invoice_id, list);
+  }
+
+  return paymentsByInvoice;
+}
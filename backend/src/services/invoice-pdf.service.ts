@@ -0,0 +1,597 @@
+/**
+ * Invoice PDF Service
+ *
+ * Renders the courtesy copy of an invoice as a branded PDF.
+ *
+ * The document follows the layout expected for the regime forfettario:
+ * - our data (from settings) and the client's fiscal data
+ * - invoice lines and totals (rivalsa INPS included), with no IVA charged
+ * - the IVA exemption wording required by L. 190/2014
+ * - the marca da bollo notice on documents carrying the stamp duty, and
+ *   its reimbursement among the totals when charged to the client
+ * - payment details (IBAN, due date)
+ *
+ * Title, payment instructions, stamp duty notice and footer are
+ * configurable through settings.
+ *
+ * Credit notes use the same layout, titled "Nota di credito" and with
+ * the reference to the corrected invoice instead of the payment details.
+ * Quotes use it too, titled "Preventivo", with their validity date and
+ * no payment details.
+ */
+
+import PDFDocument from 'pdfkit';
+import { DocumentType, Invoice, InvoiceItem } from '../models/Invoice.model';
+import { Quote } from '../models/Quote.model';
+import { Client } from '../models/Client.model';
+import { Settings } from '../models/Settings.model';
+import { getInvoiceById } from './invoice.service';
+import { getQuoteById } from './quote.service';
+import { getClientByName, getDocumentClient } from './client.service';
+import { getAllSettings } from './settings.service';
+import { formatItalianDate } from '../utils/date.utils';
+import {
+  PdfDocInstance,
+  drawCircularLogo,
+  getLogoImagePath,
+  renderPdfToBuffer
+} from '../utils/pdf.utils';
+
+const MARGIN = 50;
+const TEXT_COLOR = '#111827';
+const MUTED_COLOR = '#6b7280';
+const BORDER_COLOR = '#e5e7eb';
+
+/**
+ * Generated invoice PDF
+ */
+export interface InvoicePdfDocument {
+  filename: string;   // Download name, e.g. fattura-2024-001.pdf
+  content: Buffer;    // PDF bytes
+}
+
+/**
+ * Printable line of an invoice or quote
+ */
+type PrintableItem = Pick<InvoiceItem, 'description' | 'quantity' | 'unit' | 'unit_price' | 'line_total'>;
+
+/**
+ * Table column widths, the description takes the remaining space
+ */
+interface ItemColumns {
+  quantity: number;
+  unitPrice: number;
+  lineTotal: number;
+  description: number;
+}
+
+/**
+ * Generate the PDF of an invoice
+ *
+ * @param invoiceId - Invoice ID
+ * @returns Promise resolving to the rendered document
+ * @throws Error if the invoice does not exist
+ */
+export async function generateInvoicePdf(invoiceId: number): Promise<InvoicePdfDocument> {
+  const invoice = await getInvoiceById(invoiceId);
+  if (!invoice) {
+    throw new Error('Invoice not found');
+  }
+
+  const [settings, client, originalInvoice] = await Promise.all([
+    getAllSettings(),
+    getDocumentClient(invoice),
+    invoice.original_invoice_id ? getInvoiceById(invoice.original_invoice_id) : Promise.resolve(null)
+  ]);
+
+  const doc = new PDFDocument({ margin: MARGIN, size: 'A4' });
+  renderInvoicePdf(doc, invoice, client, settings, originalInvoice);
+
+  return {
+    filename: getInvoicePdfFilename(invoice),
+    content: await renderPdfToBuffer(doc)
+  };
+}
+
+/**
+ * File name of the PDF of an invoice or credit note
+ *
+ * @param invoice - Invoice
+ * @returns File name, e.g. fattura-2024-001.pdf
+ */
+export function getInvoicePdfFilename(invoice: Pick<Invoice, 'id' | 'invoice_number' | 'document_type'>): string {
+  const prefix = invoice.document_type === DocumentType.CREDIT_NOTE ? 'nota-di-credito' : 'fattura';
+  return getFilename(prefix, invoice.invoice_number, invoice.id);
+}
+
+/**
+ * Generate the PDF of a quote
+ *
+ * @param quoteId - Quote ID
+ * @returns Promise resolving to the rendered document
+ * @throws Error if the quote does not exist
+ */
+export async function generateQuotePdf(quoteId: number): Promise<InvoicePdfDocument> {
+  const quote = await getQuoteById(quoteId);
+  if (!quote) {
+    throw new Error('Quote not found');
+  }
+
+  const [settings, client] = await Promise.all([
+    getAllSettings(),
+    getClientByName(quote.client_name)
+  ]);
+
+  const doc = new PDFDocument({ margin: MARGIN, size: 'A4' });
+  renderQuotePdf(doc, quote, client, settings);
+
+  return {
+    filename: getFilename('preventivo', quote.quote_number, quote.id),
+    content: await renderPdfToBuffer(doc)
+  };
+}
+
+/**
+ * Draw the whole invoice on a pdfkit document
+ *
+ * @param doc - Target document (not ended)
+ * @param invoice - Invoice with its lines
+ * @param client - Client record matching the invoice, null if missing
+ * @param settings - Application settings (our data and layout strings)
+ * @param originalInvoice - Invoice corrected by a credit note
+ */
+export function renderInvoicePdf(
+  doc: PdfDocInstance,
+  invoice: Invoice,
+  client: Client | null,
+  settings: Settings,
+  originalInvoice: Invoice | null = null
+) {
+  const width = doc.page.width - MARGIN * 2;
+  const currency = invoice.currency || 'EUR';
+
+  drawHeader(doc, width, `${getDocumentTitle(invoice, settings)} n. ${invoice.invoice_number}`, [
+    `Data: ${formatItalianDate(invoice.issue_date)}`,
+    originalInvoice
+      ? `Rif. fattura n. ${originalInvoice.invoice_number} del ${formatItalianDate(originalInvoice.issue_date)}`
+      : `Scadenza: ${formatItalianDate(invoice.due_date)}`
+  ]);
+  drawParties(doc, width, invoice.client_name, client, settings);
+  drawItems(doc, width, getPrintableItems(invoice), currency);
+  drawTotals(doc, width, getInvoiceTotalRows(invoice), Number(invoice.total_amount), currency);
+
+  const legal = [settings.forfettario_exemption_text];
+  if (invoice.stamp_duty) {
+    legal.push(settings.invoice_pdf_stamp_duty_text);
+  }
+  drawNotes(doc, width, invoice.description, legal);
+
+  // Documents in other currencies also state their EUR value
+  if (currency !== 'EUR') {
+    drawSection(doc, width, 'Controvalore in euro', [
+      `${formatMoney(invoice.total_amount_eur, 'EUR')} al cambio di 1 EUR = ` +
+        `${new Intl.NumberFormat('it-IT', { maximumFractionDigits: 6 }).format(invoice.exchange_rate)} ${currency}`
+    ]);
+  }
+
+  // Nothing is due on a credit note
+  if (invoice.document_type !== DocumentType.CREDIT_NOTE) {
+    drawPaymentDetails(doc, width, invoice, settings);
+  }
+  drawFooter(doc, width, settings);
+}
+
+/**
+ * Draw the whole quote on a pdfkit document
+ *
+ * @param doc - Target document (not ended)
+ * @param quote - Quote with its lines
+ * @param client - Client record matching the quote, null if missing
+ * @param settings - Application settings (our data and layout strings)
+ */
+export function renderQuotePdf(
+  doc: PdfDocInstance,
+  quote: Quote,
+  client: Client | null,
+  settings: Settings
+) {
+  const width = doc.page.width - MARGIN * 2;
+  const currency = settings.currency || 'EUR';
+
+  const totalRows: [string, number][] = [['Imponibile', quote.amount]];
+  if (quote.tax_amount > 0) {
+    totalRows.push([`IVA ${formatNumber(quote.tax_rate)}%`, quote.tax_amount]);
+  }
+
+  drawHeader(doc, width, `Preventivo n. ${quote.quote_number}`, [
+    `Data: ${formatItalianDate(quote.issue_date)}`,
+    `Valido fino al: ${formatItalianDate(quote.valid_until)}`
+  ]);
+  drawParties(doc, width, quote.client_name, client, settings);
+  drawItems(doc, width, quote.items, currency);
+  drawTotals(doc, width, totalRows, quote.total_amount, currency);
+  drawNotes(doc, width, quote.description, [settings.forfettario_exemption_text]);
+  drawFooter(doc, width, settings);
+}
+
+/**
+ * Document title: the configured one for invoices
+ */
+function getDocumentTitle(invoice: Invoice, settings: Settings): string {
+  return invoice.document_type === DocumentType.CREDIT_NOTE ? 'Nota di credito' : settings.invoice_pdf_title;
+}
+
+/**
+ * Download name, e.g. fattura-2024-001.pdf
+ */
+function getFilename(prefix: string, documentNumber: string, id: number): string {
+  const safeNumber = documentNumber.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || String(id);
+  return `${prefix}-${safeNumber}.pdf`;
+}
+
+/**
+ * Logo, document title with its number, and dates
+ */
+function drawHeader(
+  doc: PdfDocInstance,
+  width: number,
+  title: string,
+  details: string[]
+) {
+  const logoWidth = 150;
+  const headerHeight = 70;
+  const textX = MARGIN + logoWidth + 20;
+  const textWidth = width - logoWidth - 20;
+  const logoPath = getLogoImagePath();
+
+  doc.save();
+  doc
+    .roundedRect(MARGIN, MARGIN, logoWidth, headerHeight, 12)
+    .fill('#111827')
+    .restore();
+  if (logoPath) {
+    drawCircularLogo(doc, logoPath, MARGIN, MARGIN, logoWidth, headerHeight);
+  }
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(20)
+    .fillColor(TEXT_COLOR)
+    .text(title, textX, MARGIN, {
+      width: textWidth,
+      align: 'right'
+    });
+
+  doc
+    .moveDown(0.3)
+    .font('Helvetica')
+    .fontSize(10)
+    .fillColor(MUTED_COLOR);
+  details.forEach((line) => doc.text(line, textX, doc.y, { width: textWidth, align: 'right' }));
+
+  doc.y = Math.max(doc.y, MARGIN + headerHeight) + 25;
+}
+
+/**
+ * Our data on the left, the client's on the right
+ */
+function drawParties(
+  doc: PdfDocInstance,
+  width: number,
+  clientName: string,
+  client: Client | null,
+  settings: Settings
+) {
+  const columnWidth = (width - 30) / 2;
+  const clientX = MARGIN + columnWidth + 30;
+  const startY = doc.y;
+
+  const ourName = settings.business_company_name
+    || [settings.business_first_name, settings.business_last_name].filter(Boolean).join(' ');
+
+  const ourLines = [
+    ...formatAddress(
+      settings.business_address,
+      settings.business_postal_code,
+      settings.business_city,
+      settings.business_province,
+      settings.business_country
+    ),
+    settings.business_vat_number ? `P.IVA ${settings.business_vat_number}` : '',
+    settings.business_fiscal_code ? `C.F. ${settings.business_fiscal_code}` : ''
+  ];
+
+  const clientLines = client
+    ? [
+        ...formatAddress(client.address, client.postal_code, client.city, client.province, client.country),
+        client.vat_number ? `P.IVA ${client.vat_number}` : '',
+        client.fiscal_code ? `C.F. ${client.fiscal_code}` : '',
+        client.sdi_code ? `Codice destinatario ${client.sdi_code}` : '',
+        client.pec ? `PEC ${client.pec}` : ''
+      ]
+    : [];
+
+  const ourBottom = drawParty(doc, MARGIN, startY, columnWidth, 'Emittente', ourName, ourLines);
+  const clientBottom = drawParty(doc, clientX, startY, columnWidth, 'Spett.le', clientName, clientLines);
+
+  doc.x = MARGIN;
+  doc.y = Math.max(ourBottom, clientBottom) + 25;
+}
+
+/**
+ * Draw a party block and return its bottom coordinate
+ */
+function drawParty(
+  doc: PdfDocInstance,
+  x: number,
+  y: number,
+  width: number,
+  label: string,
+  name: string,
+  lines: string[]
+): number {
+  doc
+    .font('Helvetica')
+    .fontSize(9)
+    .fillColor(MUTED_COLOR)
+    .text(label.toUpperCase(), x, y, { width });
+
+  doc
+    .moveDown(0.2)
+    .font('Helvetica-Bold')
+    .fontSize(12)
+    .fillColor(TEXT_COLOR)
+    .text(name || '-', x, doc.y, { width });
+
+  doc.font('Helvetica').fontSize(10);
+  lines.filter(Boolean).forEach((line) => doc.text(line, x, doc.y, { width }));
+
+  return doc.y;
+}
+
+/**
+ * Lines table, repeating its header on every page
+ */
+function drawItems(doc: PdfDocInstance, width: number, items: PrintableItem[], currency: string) {
+  const columns: ItemColumns = { quantity: 60, unitPrice: 90, lineTotal: 90, description: 0 };
+  columns.description = width - columns.quantity - columns.unitPrice - columns.lineTotal;
+
+  drawItemsHeader(doc, width, columns);
+  for (const item of items) {
+    if (doc.y > doc.page.height - MARGIN - 60) {
+      doc.addPage();
+      drawItemsHeader(doc, width, columns);
+    }
+    drawItemRow(doc, width, columns, item, currency);
+  }
+}
+
+function drawItemsHeader(doc: PdfDocInstance, width: number, columns: ItemColumns) {
+  const startY = doc.y;
+  const quantityX = MARGIN + columns.description;
+  const unitPriceX = quantityX + columns.quantity;
+  const lineTotalX = unitPriceX + columns.unitPrice;
+
+  doc
+    .save()
+    .fillColor('#eef2ff')
+    .roundedRect(MARGIN, startY - 6, width, 24, 6)
+    .fill()
+    .restore();
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(10)
+    .fillColor('#1f2937')
+    .text('Descrizione', MARGIN + 6, startY, { width: columns.description - 12 })
+    .text('Q.tà', quantityX, startY, { width: columns.quantity, align: 'right' })
+    .text('Prezzo', unitPriceX, startY, { width: columns.unitPrice, align: 'right' })
+    .text('Importo', lineTotalX - 6, startY, { width: columns.lineTotal, align: 'right' });
+
+  doc.x = MARGIN;
+  doc.y = startY + 24;
+}
+
+function drawItemRow(
+  doc: PdfDocInstance,
+  width: number,
+  columns: ItemColumns,
+  item: PrintableItem,
+  currency: string
+) {
+  const startY = doc.y;
+  const quantityX = MARGIN + columns.description;
+  const unitPriceX = quantityX + columns.quantity;
+  const lineTotalX = unitPriceX + columns.unitPrice;
+  const quantity = `${formatNumber(item.quantity)}${item.unit ? ` ${item.unit}` : ''}`;
+
+  doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR);
+
+  const descriptionHeight = doc.heightOfString(item.description, { width: columns.description - 12 });
+  doc
+    .text(item.description, MARGIN + 6, startY, { width: columns.description - 12 })
+    .text(quantity, quantityX, startY, { width: columns.quantity, align: 'right' })
+    .text(formatMoney(item.unit_price, currency), unitPriceX, startY, { width: columns.unitPrice, align: 'right' })
+    .text(formatMoney(item.line_total, currency), lineTotalX - 6, startY, { width: columns.lineTotal, align: 'right' });
+
+  const rowBottom = startY + descriptionHeight;
+
+  doc
+    .moveTo(MARGIN, rowBottom + 6)
+    .lineTo(MARGIN + width, rowBottom + 6)
+    .strokeColor(BORDER_COLOR)
+    .lineWidth(0.5)
+    .stroke();
+
+  doc.x = MARGIN;
+  doc.y = rowBottom + 12;
+}
+
+/**
+ * Totals rows of an invoice: taxable amount, rivalsa INPS and IVA (only
+ * if charged), marca da bollo charged to the client
+ */
+function getInvoiceTotalRows(invoice: Invoice): [string, number][] {
+  // DECIMAL columns come back from the database as strings
+  const rows: [string, number][] = [['Imponibile', Number(invoice.amount)]];
+  if (Number(invoice.inps_rivalsa_amount) > 0) {
+    rows.push([
+      `Rivalsa INPS ${formatNumber(Number(invoice.inps_rivalsa_rate))}%`,
+      Number(invoice.inps_rivalsa_amount)
+    ]);
+  }
+  if (Number(invoice.tax_amount) > 0) {
+    rows.push([`IVA ${formatNumber(Number(invoice.tax_rate))}%`, Number(invoice.tax_amount)]);
+  }
+  if (invoice.stamp_duty_rebilled) {
+    rows.push(['Rimborso marca da bollo', Number(invoice.stamp_duty_amount)]);
+  }
+
+  return rows;
+}
+
+/**
+ * Totals rows followed by the document total
+ */
+function drawTotals(doc: PdfDocInstance, width: number, rows: [string, number][], total: number, currency: string) {
+  const labelWidth = 150;
+  const valueWidth = 90;
+  const labelX = MARGIN + width - labelWidth - valueWidth;
+  const valueX = MARGIN + width - valueWidth - 6;
+
+  if (doc.y > doc.page.height - MARGIN - 120) {
+    doc.addPage();
+  }
+
+  doc.moveDown(0.5).font('Helvetica').fontSize(10).fillColor(TEXT_COLOR);
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc
+      .text(label, labelX, y, { width: labelWidth })
+      .text(formatMoney(value, currency), valueX, y, { width: valueWidth, align: 'right' });
+  }
+
+  const totalY = doc.y + 6;
+  doc
+    .moveTo(labelX, totalY - 3)
+    .lineTo(MARGIN + width, totalY - 3)
+    .strokeColor(TEXT_COLOR)
+    .lineWidth(0.75)
+    .stroke();
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(12)
+    .text('Totale documento', labelX, totalY + 3, { width: labelWidth })
+    .text(formatMoney(total, currency), valueX, totalY + 3, { width: valueWidth, align: 'right' });
+
+  doc.x = MARGIN;
+  doc.moveDown(1.5);
+}
+
+/**
+ * Document notes and the legal wording
+ */
+function drawNotes(doc: PdfDocInstance, width: number, description: string | null, legal: string[]) {
+  const notes = description?.trim();
+  if (notes) {
+    drawSection(doc, width, 'Note', [notes]);
+  }
+
+  drawSection(doc, width, 'Regime fiscale', legal);
+}
+
+/**
+ * Payment instructions and IBAN
+ */
+function drawPaymentDetails(doc: PdfDocInstance, width: number, invoice: Invoice, settings: Settings) {
+  const lines = [
+    settings.invoice_pdf_payment_text,
+    settings.business_iban ? `IBAN: ${settings.business_iban}` : '',
+    `Scadenza: ${formatItalianDate(invoice.due_date)}`
+  ];
+  drawSection(doc, width, 'Pagamento', lines);
+}
+
+function drawFooter(doc: PdfDocInstance, width: number, settings: Settings) {
+  const footer = settings.invoice_pdf_footer_text.trim();
+  if (footer) {
+    doc
+      .moveDown(1)
+      .font('Helvetica-Oblique')
+      .fontSize(9)
+      .fillColor(MUTED_COLOR)
+      .text(footer, MARGIN, doc.y, { width, align: 'center' });
+  }
+}
+
+function drawSection(doc: PdfDocInstance, width: number, title: string, lines: string[]) {
+  const text = lines.filter(Boolean).join('\n');
+  const height = doc.heightOfString(text, { width }) + 30;
+
+  if (doc.y + height > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(11)
+    .fillColor(TEXT_COLOR)
+    .text(title, MARGIN, doc.y, { width });
+
+  doc
+    .moveDown(0.2)
+    .font('Helvetica')
+    .fontSize(10)
+    .fillColor('#1f2937')
+    .text(text, MARGIN, doc.y, { width });
+
+  doc.moveDown(0.8);
+}
+
+/**
+ * Invoice lines, or a single line for legacy invoices without items
+ */
+function getPrintableItems(invoice: Invoice): PrintableItem[] {
+  if (invoice.items && invoice.items.length > 0) {
+    return invoice.items;
+  }
+
+  return [{
+    description: invoice.description || 'Prestazione professionale',
+    quantity: 1,
+    unit: null,
+    unit_price: Number(invoice.amount),
+    line_total: Number(invoice.amount)
+  }];
+}
+
+/**
+ * Address lines: street, then "CAP Comune (PR)", then the country if foreign
+ */
+function formatAddress(
+  address?: string | null,
+  postalCode?: string | null,
+  city?: string | null,
+  province?: string | null,
+  country?: string | null
+): string[] {
+  const cityLine = [postalCode, city, province ? `(${province})` : '']
+    .filter(Boolean)
+    .join(' ');
+  const countryCode = (country || 'IT').toUpperCase();
+
+  return [address || '', cityLine, countryCode !== 'IT' ? countryCode : ''];
+}
+
+function formatMoney(value: number, currency: string): string {
+  try {
+    return new Intl.NumberFormat('it-IT', { style: 'currency', currency }).format(value);
+  } catch {
+    return `${value.toFixed(2)} ${currency}`;
+  }
+}
+
+function formatNumber(value: number): string {
+  return new Intl.NumberFormat('it-IT', { maximumFractionDigits: 2 }).format(value);
+}
@@ -0,0 +1,165 @@
+/**
+ * Invoice Status Service
+ *
+ * The status of an invoice follows fixed transitions, and every change
+ * is logged in invoice_status_history with what caused it.
+ *
+ * Transitions:
+ * - draft → sent, by the user; a draft is never overdue nor paid
+ * - sent, partially_paid ↔ overdue, by the overdue job from the due date
+ * - sent, overdue, partially_paid, paid and cancelled between each other,
+ *   derived from the payments and the credit notes
+ *
+ * An issued invoice never goes back to draft: it is corrected with a
+ * credit note, and cancelled by one covering the whole invoice.
+ */
+
+import { RowDataPacket } from 'mysql2';
+import { PoolConnection } from 'mysql2/promise';
+import db from '../config/database';
+import { InvoiceStatus, InvoiceStatusChange, StatusChangeSource } from '../models/Invoice.model';
+
+/**
+ * Statuses derived from payments and credit notes
+ */
+const DERIVED_STATUSES: InvoiceStatus[] = [
+  InvoiceStatus.SENT,
+  InvoiceStatus.OVERDUE,
+  InvoiceStatus.PARTIALLY_PAID,
+  InvoiceStatus.PAID,
+  InvoiceStatus.CANCELLED
+];
+
+/**
+ * Allowed transitions for each source: current status → new statuses
+ */
+const STATUS_TRANSITIONS: Record<StatusChangeSource, Partial<Record<InvoiceStatus, InvoiceStatus[]>>> = {
+  [StatusChangeSource.USER]: {
+    [InvoiceStatus.DRAFT]: [InvoiceStatus.SENT]
+  },
+  [StatusChangeSource.JOB]: {
+    [InvoiceStatus.SENT]: [InvoiceStatus.OVERDUE],
+    [InvoiceStatus.PARTIALLY_PAID]: [InvoiceStatus.OVERDUE],
+    [InvoiceStatus.OVERDUE]: [InvoiceStatus.SENT, InvoiceStatus.PARTIALLY_PAID]
+  },
+  [StatusChangeSource.PAYMENT]: derivedTransitions(),
+  [StatusChangeSource.CREDIT_NOTE]: derivedTransitions()
+};
+
+/**
+ * Check that a status change is allowed
+ *
+ * @param from - Current status
+ * @param to - New status
+ * @param source - What is changing it
+ * @throws Error explaining why the transition is not allowed
+ */
+export function checkStatusTransition(
+  from: InvoiceStatus,
+  to: InvoiceStatus,
+  source: StatusChangeSource
+): void {
+  if (from === to || STATUS_TRANSITIONS[source][from]?.includes(to)) {
+    return;
+  }
+
+  throw new Error(`Invalid status transition from ${from} to ${to}: ${explainTransition(from, to)}`);
+}
+
+/**
+ * Log a status change
+ *
+ * Nothing is logged when the status stays the same.
+ *
+ * @param connection - Transaction connection
+ * @param invoiceId - Invoice ID
+ * @param from - Previous status, null when the invoice is created
+ * @param to - New status
+ * @param source - What changed it
+ */
+export async function logStatusChange(
+  connection: Pick<PoolConnection, 'query'>,
+  invoiceId: number,
+  from: InvoiceStatus | null,
+  to: InvoiceStatus,
+  source: StatusChangeSource
+): Promise<void> {
+  if (from === to) {
+    return;
+  }
+
+  await connection.query(
+    `INSERT INTO invoice_status_history (invoice_id, from_status, to_status, source)
+     VALUES (?, ?, ?, ?)`,
+    [invoiceId, from, to, source]
+  );
+}
+
+/**
+ * Get the status history of an invoice
+ *
+ * @param invoiceId - Invoice ID
+ * @returns Promise resolving to the changes, oldest first
+ * @throws Error if the invoice does not exist
+ */
+export async function getInvoiceStatusHistory(invoiceId: number): Promise<InvoiceStatusChange[]> {
+  const [invoices] = await db.query<RowDataPacket[]>(
+    'SELECT id FROM invoices WHERE id = ?',
+    [invoiceId]
+  );
+
+  if (invoices.length === 0) {
+    throw new Error('Invoice not found');
+  }
+
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT * FROM invoice_status_history
+     WHERE invoice_id = ?
+     ORDER BY created_at ASC, id ASC`,
+    [invoiceId]
+  );
+
+  return rows.map((row) => ({
+    id: row.id,
+    invoice_id: row.invoice_id,
+    from_status: row.from_status,
+    to_status: row.to_status,
+    source: row.source,
+    created_at: row.created_at
+  }));
+}
+
+/**
+ * Transitions between every pair of derived statuses
+ */
+function derivedTransitions(): Partial<Record<InvoiceStatus, InvoiceStatus[]>> {
+  const transitions: Partial<Record<InvoiceStatus, InvoiceStatus[]>> = {};
+  DERIVED_STATUSES.forEach((status) => {
+    transitions[status] = DERIVED_STATUSES.filter((other) => other !== status);
+  });
+  return transitions;
+}
+
+/**
+ * Why a transition is not allowed, and what to do instead
+ */
+function explainTransition(from: InvoiceStatus, to: InvoiceStatus): string {
+  if (to === InvoiceStatus.DRAFT) {
+    return 'an issued invoice cannot go back to draft, correct it with a credit note';
+  }
+  if (from === InvoiceStatus.DRAFT) {
+    return to === InvoiceStatus.SENT
+      ? 'only the user can send a draft'
+      : 'send the invoice first';
+  }
+  if (to === InvoiceStatus.PAID || to === InvoiceStatus.PARTIALLY_PAID) {
+    return 'record a payment to mark the invoice as paid';
+  }
+  if (to === InvoiceStatus.CANCELLED) {
+    return 'issue a credit note for the whole invoice to cancel it';
+  }
+  if (to === InvoiceStatus.OVERDUE || from === InvoiceStatus.OVERDUE) {
+    return 'the overdue status follows the due date';
+  }
+  return 'the status follows the payments and credit notes';
+}
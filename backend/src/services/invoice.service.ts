@@ -5,24 +5,55 @@
  * Handles CRUD operations and business rules for invoice management.
  * 
  * This service:
- * - Automatically calculates tax and total amounts
+ * - Stores invoice lines and derives the invoice amount from them
+ * - Loads the payments and the balance due of each invoice
+ * - Keeps credit notes consistent with the invoice they correct
+ * - Automatically calculates rivalsa INPS, tax, stamp duty (marca da bollo)
+ *   and total amounts
+ * - Keeps the currency and exchange rate of invoices in other currencies
+ * - Links invoices to their client in the registry
  * - Validates invoice data
- * - Updates invoice status (including overdue detection)
+ * - Updates invoice status along the allowed transitions (including
+ *   overdue detection)
  * - Provides filtering and querying capabilities
  */
 
 import { RowDataPacket, ResultSetHeader } from 'mysql2';
-import db from '../config/database';
+import { PoolConnection } from 'mysql2/promise';
+import db, { withTransaction } from '../config/database';
 import {
   Invoice,
+  InvoiceItem,
+  InvoiceItemInput,
   InvoiceStatus,
+  DocumentType,
+  PaymentMethod,
   CreateInvoiceDTO,
+  CreateInvoiceFromWorkedHoursDTO,
   UpdateInvoiceDTO,
-  InvoiceSummary
+  InvoiceSummary,
+  StatusChangeSource
 } from '../models/Invoice.model';
-import { calculateTax, calculateTotal } from '../utils/calc.utils';
-import { isValidDateFormat } from '../utils/date.utils';
+import { Settings } from '../models/Settings.model';
+import { AttachmentOwner } from '../models/Attachment.model';
+import { Client, DEFAULT_PAYMENT_TERMS_DAYS } from '../models/Client.model';
+import {
+  calculateInpsRivalsa,
+  calculateStampDuty,
+  calculateTax,
+  calculateTotal,
+  convertFromEur,
+  convertToEur,
+  roundCurrency
+} from '../utils/calc.utils';
+import { addDays, formatItalianDate, getCurrentDate, isValidDateFormat, toDateString } from '../utils/date.utils';
 import { getAllSettings } from './settings.service';
+import { getClientById, getClientByName } from './client.service';
+import { reserveInvoiceNumber, syncInvoiceSequence } from './invoice-numbering.service';
+import { resolveInvoiceExchangeRate } from './exchange-rate.service';
+import { loadPayments, recordPayment, refreshPaymentStatus } from './invoice-payment.service';
+import { checkStatusTransition, logStatusChange } from './invoice-status.service';
+import { countAttachments, getAttachmentHashes, removeUnusedFiles } from './attachment.service';
 
 /**
  * Get all invoices
@@ -30,14 +61,18 @@ import { getAllSettings } from './settings.service';
  * Retrieves all invoices from the database with optional filtering.
  * Invoices are returned in descending order by issue date.
  * 
- * @param filters - Optional filters (status, clientName, startDate, endDate)
+ * @param filters - Optional filters (status, clientId, clientName, startDate,
+ *                  endDate, documentType, originalInvoiceId)
  * @returns Promise resolving to array of invoices
  */
 export async function getAllInvoices(filters?: {
   status?: InvoiceStatus;
+  clientId?: number;
   clientName?: string;
   startDate?: string;
   endDate?: string;
+  documentType?: DocumentType;
+  originalInvoiceId?: number;
 }): Promise<Invoice[]> {
   let query = 'SELECT * FROM invoices';
   const params: any[] = [];
@@ -49,12 +84,28 @@ export async function getAllInvoices(filters?: {
     params.push(filters.status);
   }
   
-  // Add client name filter if provided (case-insensitive partial match)
+  // Add client filters if provided (name: case-insensitive partial match)
+  if (filters?.clientId) {
+    conditions.push('client_id = ?');
+    params.push(filters.clientId);
+  }
+  
   if (filters?.clientName) {
     conditions.push('client_name LIKE ?');
     params.push(`%${filters.clientName}%`);
   }
   
+  // Add document filters if provided (credit notes of an invoice)
+  if (filters?.documentType) {
+    conditions.push('document_type = ?');
+    params.push(filters.documentType);
+  }
+  
+  if (filters?.originalInvoiceId) {
+    conditions.push('original_invoice_id = ?');
+    params.push(filters.originalInvoiceId);
+  }
+  
   // Add date range filter if provided
   if (filters?.startDate && filters?.endDate) {
     conditions.push('issue_date BETWEEN ? AND ?');
@@ -75,7 +126,7 @@ export async function getAllInvoices(filters?: {
   query += ' ORDER BY issue_date DESC';
   
   const [rows] = await db.query<RowDataPacket[]>(query, params);
-  return rows as Invoice[];
+  return attachDetails(rows as Invoice[]);
 }
 
 /**
@@ -96,25 +147,82 @@ export async function getInvoiceById(id: number): Promise<Invoice | null> {
     return null;
   }
   
-  return rows[0] as Invoice;
+  const [invoice] = await attachDetails(rows as Invoice[]);
+  return invoice;
+}
+
+/**
+ * Get invoice lines
+ * 
+ * @param invoiceId - Invoice ID
+ * @returns Promise resolving to the lines ordered by position
+ */
+export async function getInvoiceItems(invoiceId: number): Promise<InvoiceItem[]> {
+  const itemsByInvoice = await loadItems([invoiceId]);
+  return itemsByInvoice.get(invoiceId) || [];
 }
 
 /**
  * Create new invoice
  * 
  * Creates a new invoice with automatic tax and total calculation.
- * Uses default tax rate from settings if not provided.
+ * Uses default tax rate from settings if not provided, and the next
+ * progressive number if no invoice number is given.
  * 
  * @param data - Invoice data
  * @returns Promise resolving to created invoice
  * @throws Error if validation fails
  */
 export async function createInvoice(data: CreateInvoiceDTO): Promise<Invoice> {
+  const invoiceId = await withTransaction((connection) => insertInvoice(connection, data));
+  
+  // Retrieve and return created invoice
+  const invoice = await getInvoiceById(invoiceId);
+  
+  if (!invoice) {
+    throw new Error('Failed to create invoice');
+  }
+  
+  return invoice;
+}
+
+/**
+ * Validate and insert an invoice with its lines
+ * 
+ * Runs on the given transaction connection so callers can create the
+ * invoice together with related changes (e.g. billed worked hours).
+ * Credit notes are inserted the same way, numbered in their own series.
+ * The initial status opens the status history of the invoice.
+ * 
+ * @param connection - Transaction connection
+ * @param data - Invoice data
+ * @param documentType - Invoice or credit note
+ * @param originalInvoiceId - Invoice corrected by a credit note
+ * @param source - Who creates it: the user, or a job (recurring invoices)
+ * @returns Promise resolving to the new invoice ID
+ * @throws Error if validation fails
+ */
+export async function insertInvoice(
+  connection: PoolConnection,
+  data: CreateInvoiceDTO,
+  documentType: DocumentType = DocumentType.INVOICE,
+  originalInvoiceId: number | null = null,
+  source: StatusChangeSource = StatusChangeSource.USER
+): Promise<number> {
   // Validate required fields
-  if (!data.invoice_number || !data.client_name || !data.amount) {
+  const hasItems = Array.isArray(data.items) && data.items.length > 0;
+  if ((!data.client_name?.trim() && !data.client_id) || (!hasItems && !data.amount)) {
     throw new Error('Missing required fields');
   }
   
+  // A plain amount becomes a single line
+  const items = normalizeItems(hasItems ? data.items! : [{
+    description: data.description || 'Prestazione professionale',
+    quantity: 1,
+    unit_price: data.amount!
+  }]);
+  const amount = sumLineTotals(items);
+  
   if (!data.issue_date || !data.due_date) {
     throw new Error('Issue date and due date are required');
   }
@@ -124,52 +232,201 @@ export async function createInvoice(data: CreateInvoiceDTO): Promise<Invoice> {
     throw new Error('Invalid date format. Use YYYY-MM-DD');
   }
   
-  // Check if invoice number already exists
-  const [existing] = await db.query<RowDataPacket[]>(
-    'SELECT id FROM invoices WHERE invoice_number = ?',
-    [data.invoice_number]
-  );
+  if (data.paid_date && !isValidDateFormat(data.paid_date)) {
+    throw new Error('Invalid paid date format. Use YYYY-MM-DD');
+  }
   
-  if (existing.length > 0) {
-    throw new Error('Invoice number already exists');
+  // The other statuses come from payments, credit notes and due dates
+  const initialStatuses = [InvoiceStatus.DRAFT, InvoiceStatus.SENT, InvoiceStatus.PAID];
+  if (data.status && !initialStatuses.includes(data.status)) {
+    throw new Error('Invalid status: a new invoice is draft, sent or paid');
   }
   
+  // The name written on the invoice defaults to the one of the client
+  const client = await resolveInvoiceClient(connection, data.client_id, data.client_name);
+  const clientName = data.client_name?.trim() || client!.name;
+  
+  // Reserve the next number, or check the one chosen by hand
+  let invoiceNumber = data.invoice_number?.trim();
+  
+  if (!invoiceNumber) {
+    invoiceNumber = await reserveInvoiceNumber(connection, data.issue_date, documentType);
+  } else {
+    const [existing] = await connection.query<RowDataPacket[]>(
+      'SELECT id FROM invoices WHERE invoice_number = ?',
+      [invoiceNumber]
+    );
+    
+    if (existing.length > 0) {
+      throw new Error('Invoice number already exists');
+    }
+    
+    await syncInvoiceSequence(connection, invoiceNumber, data.issue_date, documentType);
+  }
+  
+  // Amounts are in the invoice currency, converted to EUR with its rate
+  const { currency, exchange_rate: exchangeRate } = await resolveInvoiceExchangeRate(
+    data.currency,
+    data.issue_date,
+    data.exchange_rate,
+    connection
+  );
+  
+  const settings = await getAllSettings();
+  
   // Get tax rate (use provided or default from settings)
   let taxRate = data.tax_rate;
   if (taxRate === undefined) {
-    const settings = await getAllSettings();
-    taxRate = settings.default_vat_rate || settings.default_tax_rate || 22;
+    taxRate = settings.default_vat_rate;
   }
   
-  // Calculate tax and total
-  const taxAmount = calculateTax(data.amount, taxRate!);
-  const totalAmount = calculateTotal(data.amount, taxAmount);
+  // Calculate rivalsa INPS, tax, stamp duty and total; credit notes only
+  // give back the stamp when asked to
+  const rivalsaRate = await resolveInpsRivalsaRate(connection, settings, data, originalInvoiceId, client);
+  const rivalsaAmount = calculateInpsRivalsa(amount, rivalsaRate);
+  const taxAmount = calculateTax(amount + rivalsaAmount, taxRate!);
+  const stampDuty = resolveStampDuty(
+    settings,
+    amount + rivalsaAmount,
+    taxAmount,
+    exchangeRate,
+    data.stamp_duty_rebilled ?? (documentType === DocumentType.CREDIT_NOTE ? false : undefined)
+  );
+  const totalAmount = roundCurrency(
+    calculateTotal(amount, taxAmount, rivalsaAmount) + stampDuty.rebilledAmount
+  );
   
-  // Set default status
-  const status = data.status || InvoiceStatus.DRAFT;
+  // Set default status; a paid invoice is stored as sent and becomes
+  // paid through its payment
+  const isPaid = data.status === InvoiceStatus.PAID;
+  const status = isPaid ? InvoiceStatus.SENT : (data.status || InvoiceStatus.DRAFT);
   
-  // Insert invoice
-  const [result] = await db.query<ResultSetHeader>(
+  // Insert invoice and its lines together
+  const [result] = await connection.query<ResultSetHeader>(
     `INSERT INTO invoices (
-      invoice_number, client_name, description, amount, tax_rate,
-      tax_amount, total_amount, status, issue_date, due_date
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      invoice_number, client_id, client_name, description, amount, tax_rate,
+      tax_amount, total_amount, status, issue_date, due_date,
+      document_type, original_invoice_id, stamp_duty, stamp_duty_amount,
+      stamp_duty_rebilled, inps_rivalsa_rate, inps_rivalsa_amount,
+      currency, exchange_rate
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
-      data.invoice_number,
-      data.client_name,
+      invoiceNumber,
+      client?.id ?? null,
+      clientName,
       data.description || null,
-      data.amount,
+      amount,
       taxRate,
       taxAmount,
       totalAmount,
       status,
       data.issue_date,
-      data.due_date
+      data.due_date,
+      documentType,
+      originalInvoiceId,
+      stampDuty.stamp_duty,
+      stampDuty.stamp_duty_amount,
+      stampDuty.stamp_duty_rebilled,
+      rivalsaRate,
+      rivalsaAmount,
+      currency,
+      exchangeRate
     ]
   );
   
-  // Retrieve and return created invoice
-  const invoice = await getInvoiceById(result.insertId);
+  await replaceItems(connection, result.insertId, items);
+  await logStatusChange(connection, result.insertId, null, status, source);
+  
+  if (isPaid) {
+    await recordPayment(connection, result.insertId, {
+      payment_date: data.paid_date || data.issue_date,
+      amount: totalAmount,
+      method: PaymentMethod.BANK_TRANSFER
+    });
+  }
+  
+  return result.insertId;
+}
+
+/**
+ * Create a draft invoice from unbilled worked hours
+ * 
+ * Bills every worked hours entry of the client in the date range that is
+ * not linked to an invoice yet, using the amount stored on each entry.
+ * Entries are grouped by hourly rate, one invoice line per rate.
+ * 
+ * The entries are locked and linked to the new invoice in the same
+ * transaction, so the same hours can never end up on two invoices.
+ * 
+ * @param data - Client, period and invoice data
+ * @returns Promise resolving to created invoice
+ * @throws Error if the client does not exist or nothing is left to bill
+ */
+export async function createInvoiceFromWorkedHours(
+  data: CreateInvoiceFromWorkedHoursDTO
+): Promise<Invoice> {
+  if (!data.client_id || !data.start_date || !data.end_date) {
+    throw new Error('Client, start date and end date are required');
+  }
+  
+  if (!isValidDateFormat(data.start_date) || !isValidDateFormat(data.end_date)) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD');
+  }
+  
+  if (data.end_date < data.start_date) {
+    throw new Error('Invalid date range: end date is before start date');
+  }
+  
+  const issueDate = data.issue_date || getCurrentDate();
+  
+  const invoiceId = await withTransaction(async (connection) => {
+    const [clients] = await connection.query<RowDataPacket[]>(
+      'SELECT id, name, payment_terms_days FROM clients WHERE id = ?',
+      [data.client_id]
+    );
+    
+    if (clients.length === 0) {
+      throw new Error('Client not found');
+    }
+    
+    const dueDate = data.due_date ||
+      addDays(issueDate, clients[0].payment_terms_days ?? DEFAULT_PAYMENT_TERMS_DAYS);
+    
+    // Lock the entries so a concurrent request cannot bill them too
+    const [entries] = await connection.query<RowDataPacket[]>(
+      `SELECT id, hours, amount_cached
+       FROM worked_hours
+       WHERE client_id = ?
+         AND worked_date BETWEEN ? AND ?
+         AND invoice_id IS NULL
+       ORDER BY worked_date ASC, id ASC
+       FOR UPDATE`,
+      [data.client_id, data.start_date, data.end_date]
+    );
+    
+    if (entries.length === 0) {
+      throw new Error('No unbilled worked hours found for this client and period');
+    }
+    
+    const invoiceId = await insertInvoice(connection, {
+      invoice_number: data.invoice_number,
+      client_id: clients[0].id,
+      client_name: clients[0].name,
+      items: buildWorkedHoursItems(entries, data.start_date, data.end_date),
+      status: InvoiceStatus.DRAFT,
+      issue_date: issueDate,
+      due_date: dueDate
+    });
+    
+    await connection.query(
+      'UPDATE worked_hours SET invoice_id = ? WHERE id IN (?)',
+      [invoiceId, entries.map((entry) => entry.id)]
+    );
+    
+    return invoiceId;
+  });
+  
+  const invoice = await getInvoiceById(invoiceId);
   
   if (!invoice) {
     throw new Error('Failed to create invoice');
@@ -182,6 +439,8 @@ export async function createInvoice(data: CreateInvoiceDTO): Promise<Invoice> {
  * Update invoice
  * 
  * Updates an existing invoice with new data.
+ * When items are provided all lines are replaced. A plain amount is only
+ * accepted for invoices with a single line, which is updated in place.
  * Recalculates tax and total if amount or tax rate changes.
  * 
  * @param id - Invoice ID to update
@@ -208,6 +467,51 @@ export async function updateInvoice(
     throw new Error('Invalid due date format. Use YYYY-MM-DD');
   }
   
+  const isCreditNote = invoice.document_type === DocumentType.CREDIT_NOTE;
+  
+  if (isCreditNote && data.tax_rate !== undefined && Number(data.tax_rate) !== Number(invoice.tax_rate)) {
+    throw new Error('Invalid tax rate: a credit note uses the IVA rate of its invoice');
+  }
+  
+  const hasRivalsa = Number(invoice.inps_rivalsa_rate) > 0;
+  if (isCreditNote && data.inps_rivalsa !== undefined && Boolean(data.inps_rivalsa) !== hasRivalsa) {
+    throw new Error('Invalid rivalsa INPS: a credit note uses the rivalsa of its invoice');
+  }
+  
+  // A new currency takes the rate given or the one stored for the issue
+  // date; a new rate alone keeps the currency
+  let currency = invoice.currency;
+  let exchangeRate = invoice.exchange_rate;
+  
+  if (data.currency !== undefined || data.exchange_rate !== undefined) {
+    const currencyChanged = data.currency !== undefined &&
+      String(data.currency).trim().toUpperCase() !== invoice.currency;
+    const resolved = await resolveInvoiceExchangeRate(
+      data.currency ?? invoice.currency,
+      data.issue_date || toDateString(invoice.issue_date),
+      currencyChanged ? data.exchange_rate : (data.exchange_rate ?? invoice.exchange_rate)
+    );
+    currency = resolved.currency;
+    exchangeRate = resolved.exchange_rate;
+  }
+  
+  const rateChanged = currency !== invoice.currency || exchangeRate !== invoice.exchange_rate;
+  if (rateChanged && isCreditNote) {
+    throw new Error('Invalid currency: a credit note uses the currency and rate of its invoice');
+  }
+  if (currency !== invoice.currency && (invoice.amount_paid > 0 || invoice.amount_credited > 0)) {
+    throw new Error('Invalid currency: the invoice has payments or credit notes, delete them first');
+  }
+  
+  // By hand a draft can only be sent; the other statuses follow the
+  // payments, the credit notes and the due date
+  if (data.status !== undefined) {
+    if (!Object.values(InvoiceStatus).includes(data.status)) {
+      throw new Error('Invalid status value');
+    }
+    checkStatusTransition(invoice.status, data.status, StatusChangeSource.USER);
+  }
+  
   // Check for invoice number conflicts
   if (data.invoice_number && data.invoice_number !== invoice.invoice_number) {
     const [existing] = await db.query<RowDataPacket[]>(
@@ -220,16 +524,84 @@ export async function updateInvoice(
     }
   }
   
-  // Recalculate tax and total if amount or tax rate changes
+  // A chosen client also gives the name when none is sent; a new name
+  // alone links the invoice to the client called that way, if any
+  let clientId = invoice.client_id;
+  let clientName = data.client_name?.trim();
+  
+  if (data.client_id !== undefined || data.client_name !== undefined) {
+    if (data.client_id === undefined && !clientName) {
+      throw new Error('Client name is required');
+    }
+    const client = await resolveInvoiceClient(db, data.client_id, clientName);
+    clientId = client?.id ?? null;
+    clientName = clientName || client?.name;
+    if (!clientName) {
+      throw new Error('Client name is required');
+    }
+  }
+  
+  // Work out the new lines, if they change
+  let items: NormalizedItem[] | null = null;
+  
+  if (data.items !== undefined) {
+    if (!Array.isArray(data.items) || data.items.length === 0) {
+      throw new Error('Invalid invoice items: at least one line is required');
+    }
+    items = normalizeItems(data.items);
+  } else if (data.amount !== undefined) {
+    if (invoice.items.length > 1) {
+      throw new Error('Invalid amount: the invoice has several lines, update its items instead');
+    }
+    const current = invoice.items[0];
+    items = normalizeItems([{
+      description: current?.description || invoice.description || 'Prestazione professionale',
+      quantity: 1,
+      unit: current?.unit,
+      unit_price: data.amount
+    }]);
+  }
+  
+  // Recalculate rivalsa, tax, stamp duty and total if amount, tax rate,
+  // rivalsa or the stamp duty rebill changes
   let taxAmount = invoice.tax_amount;
   let totalAmount = invoice.total_amount;
+  let rivalsaRate = Number(invoice.inps_rivalsa_rate);
+  let rivalsaAmount = Number(invoice.inps_rivalsa_amount);
+  let stampDuty: StampDuty | null = null;
   
-  const newAmount = data.amount !== undefined ? data.amount : invoice.amount;
-  const newTaxRate = data.tax_rate !== undefined ? data.tax_rate : invoice.tax_rate;
+  const newAmount = items ? sumLineTotals(items) : Number(invoice.amount);
+  const newTaxRate = data.tax_rate !== undefined ? data.tax_rate : Number(invoice.tax_rate);
+  const recalculate = items !== null || data.tax_rate !== undefined ||
+    data.stamp_duty_rebilled !== undefined || data.inps_rivalsa !== undefined || rateChanged;
   
-  if (data.amount !== undefined || data.tax_rate !== undefined) {
-    taxAmount = calculateTax(newAmount, newTaxRate);
-    totalAmount = calculateTotal(newAmount, taxAmount);
+  if (recalculate) {
+    const settings = await getAllSettings();
+    
+    // Keep the rate the invoice was issued with, unless turned on or off
+    if (data.inps_rivalsa !== undefined) {
+      rivalsaRate = data.inps_rivalsa ? (hasRivalsa ? rivalsaRate : settings.inps_rivalsa_rate) : 0;
+    }
+    rivalsaAmount = calculateInpsRivalsa(newAmount, rivalsaRate);
+    taxAmount = calculateTax(newAmount + rivalsaAmount, newTaxRate);
+    stampDuty = resolveStampDuty(
+      settings,
+      newAmount + rivalsaAmount,
+      taxAmount,
+      exchangeRate,
+      data.stamp_duty_rebilled ?? (invoice.stamp_duty ? invoice.stamp_duty_rebilled : undefined)
+    );
+    totalAmount = roundCurrency(
+      calculateTotal(newAmount, taxAmount, rivalsaAmount) + stampDuty.rebilledAmount
+    );
+    
+    if (totalAmount < roundCurrency(invoice.amount_paid + invoice.amount_credited)) {
+      throw new Error('Invalid amount: the total cannot be lower than the amount already paid or credited');
+    }
+    
+    if (isCreditNote) {
+      await checkCreditNoteTotal(invoice.original_invoice_id!, totalAmount, id);
+    }
   }
   
   // Build update query
@@ -241,9 +613,14 @@ export async function updateInvoice(
     values.push(data.invoice_number);
   }
   
-  if (data.client_name !== undefined) {
+  if (clientId !== invoice.client_id) {
+    updates.push('client_id = ?');
+    values.push(clientId);
+  }
+  
+  if (clientName !== undefined && clientName !== invoice.client_name) {
     updates.push('client_name = ?');
-    values.push(data.client_name);
+    values.push(clientName);
   }
   
   if (data.description !== undefined) {
@@ -251,9 +628,9 @@ export async function updateInvoice(
     values.push(data.description);
   }
   
-  if (data.amount !== undefined) {
+  if (items) {
     updates.push('amount = ?');
-    values.push(data.amount);
+    values.push(newAmount);
   }
   
   if (data.tax_rate !== undefined) {
@@ -261,15 +638,24 @@ export async function updateInvoice(
     values.push(data.tax_rate);
   }
   
-  // Always update tax_amount and total_amount if they changed
-  if (data.amount !== undefined || data.tax_rate !== undefined) {
+  // Always update rivalsa, tax_amount, stamp duty and total_amount if they changed
+  if (stampDuty) {
+    updates.push('inps_rivalsa_rate = ?', 'inps_rivalsa_amount = ?');
+    values.push(rivalsaRate, rivalsaAmount);
     updates.push('tax_amount = ?');
     values.push(taxAmount);
+    updates.push('stamp_duty = ?', 'stamp_duty_amount = ?', 'stamp_duty_rebilled = ?');
+    values.push(stampDuty.stamp_duty, stampDuty.stamp_duty_amount, stampDuty.stamp_duty_rebilled);
     updates.push('total_amount = ?');
     values.push(totalAmount);
   }
   
-  if (data.status !== undefined) {
+  if (rateChanged) {
+    updates.push('currency = ?', 'exchange_rate = ?');
+    values.push(currency, exchangeRate);
+  }
+  
+  if (data.status !== undefined && data.status !== invoice.status) {
     updates.push('status = ?');
     values.push(data.status);
   }
@@ -284,22 +670,44 @@ export async function updateInvoice(
     values.push(data.due_date);
   }
   
-  if (data.paid_date !== undefined) {
-    updates.push('paid_date = ?');
-    values.push(data.paid_date);
-  }
-  
   // If no updates, return existing invoice
   if (updates.length === 0) {
     return invoice;
   }
   
-  // Execute update
+  // Execute update (lines and totals must change together)
   values.push(id);
-  await db.query(
-    `UPDATE invoices SET ${updates.join(', ')} WHERE id = ?`,
-    values
-  );
+  await withTransaction(async (connection) => {
+    await connection.query(
+      `UPDATE invoices SET ${updates.join(', ')} WHERE id = ?`,
+      values
+    );
+    
+    if (items) {
+      await replaceItems(connection, id, items);
+    }
+    
+    if (data.status !== undefined) {
+      await logStatusChange(connection, id, invoice.status, data.status, StatusChangeSource.USER);
+    }
+    
+    // A new total can complete, cancel or reopen the invoice (the corrected
+    // one, for credit notes)
+    if (isCreditNote) {
+      await refreshPaymentStatus(connection, invoice.original_invoice_id!, StatusChangeSource.CREDIT_NOTE);
+    } else if (invoice.amount_paid > 0 || invoice.amount_credited > 0) {
+      await refreshPaymentStatus(connection, id, StatusChangeSource.PAYMENT);
+    }
+    
+    if (data.invoice_number && data.invoice_number !== invoice.invoice_number) {
+      await syncInvoiceSequence(
+        connection,
+        data.invoice_number,
+        data.issue_date || toDateString(invoice.issue_date),
+        invoice.document_type
+      );
+    }
+  });
   
   // Return updated invoice
   const updated = await getInvoiceById(id);
@@ -315,7 +723,8 @@ export async function updateInvoice(
  * Update invoice status
  * 
  * Updates only the status of an invoice.
- * Automatically sets paid_date when status changes to 'paid'.
+ * Marking an invoice as paid records a payment of the balance due,
+ * received today.
  * 
  * @param id - Invoice ID
  * @param status - New status
@@ -325,24 +734,47 @@ export async function updateInvoiceStatus(
   id: number,
   status: InvoiceStatus
 ): Promise<Invoice> {
-  const updateData: UpdateInvoiceDTO = { status };
+  if (status !== InvoiceStatus.PAID) {
+    return updateInvoice(id, { status });
+  }
   
-  // If marking as paid, set paid_date to today
-  if (status === InvoiceStatus.PAID) {
-    updateData.paid_date = new Date().toISOString().split('T')[0];
+  const invoice = await getInvoiceById(id);
+  if (!invoice) {
+    throw new Error('Invoice not found');
+  }
+  
+  if (invoice.document_type === DocumentType.CREDIT_NOTE) {
+    throw new Error('Invalid status: credit notes cannot be paid');
+  }
+  
+  if (invoice.balance_due <= 0) {
+    return invoice;
+  }
+  
+  await withTransaction((connection) => recordPayment(connection, id, {
+    payment_date: getCurrentDate(),
+    amount: invoice.balance_due,
+    method: PaymentMethod.BANK_TRANSFER
+  }));
+  
+  const updated = await getInvoiceById(id);
+  if (!updated) {
+    throw new Error('Failed to update invoice');
   }
   
-  return updateInvoice(id, updateData);
+  return updated;
 }
 
 /**
  * Delete invoice
  * 
  * Deletes an invoice from the database.
+ * An invoice with credit notes cannot be deleted; deleting a credit
+ * note reopens the balance of its invoice.
  * 
  * @param id - Invoice ID to delete
  * @returns Promise resolving to true if deleted
- * @throws Error if invoice not found
+ * @throws Error if invoice not found or it has credit notes
  */
 export async function deleteInvoice(id: number): Promise<boolean> {
   const invoice = await getInvoiceById(id);
@@ -350,37 +782,73 @@ export async function deleteInvoice(id: number): Promise<boolean> {
     throw new Error('Invoice not found');
   }
   
-  await db.query('DELETE FROM invoices WHERE id = ?', [id]);
+  if (invoice.amount_credited > 0) {
+    throw new Error('Invalid request: the invoice has credit notes, delete them first');
+  }
+  
+  // Attachments go with the invoice, their files once no longer used
+  const attachmentHashes = await getAttachmentHashes(AttachmentOwner.INVOICE, id);
+  
+  await withTransaction(async (connection) => {
+    await connection.query('DELETE FROM invoices WHERE id = ?', [id]);
+    
+    if (invoice.original_invoice_id) {
+      await refreshPaymentStatus(connection, invoice.original_invoice_id, StatusChangeSource.CREDIT_NOTE);
+    }
+  });
+  
+  await removeUnusedFiles(attachmentHashes);
   return true;
 }
 
 /**
  * Update overdue invoices
  * 
- * Automatically marks unpaid invoices as overdue if they're past their due date.
- * This should be called periodically or when loading invoices.
+ * Marks sent and partially paid invoices as overdue once past their due
+ * date, and sends back overdue invoices whose due date was moved forward
+ * (to partially_paid when they have payments). Drafts, credit notes and
+ * invoices paid or cancelled are left alone. Every change is
+ * logged in the status history as made by the job.
+ * Run by the scheduler and when loading the dashboard.
  * 
- * @returns Promise resolving to number of invoices marked overdue
+ * @returns Promise resolving to number of invoices whose status changed
  */
 export async function updateOverdueInvoices(): Promise<number> {
-  const today = new Date().toISOString().split('T')[0];
-  
-  const [result] = await db.query<ResultSetHeader>(
-    `UPDATE invoices 
-     SET status = ? 
-     WHERE status IN (?, ?) 
-     AND due_date < ? 
-     AND paid_date IS NULL`,
-    [InvoiceStatus.OVERDUE, InvoiceStatus.SENT, InvoiceStatus.DRAFT, today]
-  );
+  const today = getCurrentDate();
   
-  return result.affectedRows;
+  return withTransaction(async (connection) => {
+    const [rows] = await connection.query<RowDataPacket[]>(
+      `SELECT i.id, i.status,
+              EXISTS(SELECT 1 FROM invoice_payments p WHERE p.invoice_id = i.id) AS has_payments
+       FROM invoices i
+       WHERE i.document_type = 'invoice'
+       AND ((i.status IN (?, ?) AND i.due_date < ?) OR (i.status = ? AND i.due_date >= ?))
+       FOR UPDATE`,
+      [InvoiceStatus.SENT, InvoiceStatus.PARTIALLY_PAID, today, InvoiceStatus.OVERDUE, today]
+    );
+    
+    for (const row of rows) {
+      let status = InvoiceStatus.OVERDUE;
+      if (row.status === InvoiceStatus.OVERDUE) {
+        status = Number(row.has_payments) ? InvoiceStatus.PARTIALLY_PAID : InvoiceStatus.SENT;
+      }
+      checkStatusTransition(row.status, status, StatusChangeSource.JOB);
+      
+      await connection.query('UPDATE invoices SET status = ? WHERE id = ?', [status, row.id]);
+      await logStatusChange(connection, row.id, row.status, status, StatusChangeSource.JOB);
+    }
+    
+    return rows.length;
+  });
 }
 
 /**
  * Get invoice summary
  * 
  * Calculates aggregate statistics for all invoices.
+ * Credit notes are subtracted from the total amount. Pending (sent or
+ * partially paid) and overdue invoices count for the share still open
+ * after payments and credit notes, excluding VAT, as in the dashboard.
  * Used in dashboard displays.
  * 
  * @returns Promise resolving to invoice summary
@@ -388,14 +856,403 @@ export async function updateOverdueInvoices(): Promise<number> {
 export async function getInvoiceSummary(): Promise<InvoiceSummary> {
   const [rows] = await db.query<RowDataPacket[]>(
     `SELECT 
-      COUNT(*) as total_invoices,
-      COALESCE(SUM(total_amount), 0) as total_amount,
-      COALESCE(SUM(CASE WHEN status = 'paid' THEN total_amount ELSE 0 END), 0) as total_paid,
-      COALESCE(SUM(CASE WHEN status = 'sent' THEN total_amount ELSE 0 END), 0) as total_pending,
-      COALESCE(SUM(CASE WHEN status = 'overdue' THEN total_amount ELSE 0 END), 0) as total_overdue
-    FROM invoices`
+      COALESCE(SUM(CASE WHEN i.document_type = 'invoice' THEN 1 ELSE 0 END), 0) as total_invoices,
+      COALESCE(SUM(CASE WHEN i.document_type = 'credit_note' THEN -i.total_amount ELSE i.total_amount END / i.exchange_rate), 0) as total_amount,
+      (SELECT COALESCE(SUM(p.amount / pi.exchange_rate), 0)
+       FROM invoice_payments p JOIN invoices pi ON pi.id = p.invoice_id) as total_paid,
+      COALESCE(SUM(CASE WHEN i.status IN ('sent', 'partially_paid') AND i.document_type = 'invoice' THEN (i.amount + i.inps_rivalsa_amount) / i.exchange_rate * i.open_share ELSE 0 END), 0) as total_pending,
+      COALESCE(SUM(CASE WHEN i.status = 'overdue' AND i.document_type = 'invoice' THEN (i.amount + i.inps_rivalsa_amount) / i.exchange_rate * i.open_share ELSE 0 END), 0) as total_overdue
+    FROM (
+      SELECT inv.*,
+        1 - (
+          COALESCE((SELECT SUM(p.amount) FROM invoice_payments p WHERE p.invoice_id = inv.id), 0) +
+          COALESCE((SELECT SUM(cn.total_amount) FROM invoices cn WHERE cn.original_invoice_id = inv.id), 0)
+        ) / NULLIF(inv.total_amount, 0) as open_share
+      FROM invoices inv
+    ) i`
   );
   
-  return rows[0] as InvoiceSummary;
+  return {
+    total_invoices: Number(rows[0].total_invoices),
+    total_amount: roundCurrency(Number(rows[0].total_amount)),
+    total_paid: roundCurrency(Number(rows[0].total_paid)),
+    total_pending: roundCurrency(Number(rows[0].total_pending)),
+    total_overdue: roundCurrency(Number(rows[0].total_overdue))
+  };
 }
 
+
+/**
+ * Invoice line with its calculated total
+ */
+export type NormalizedItem = InvoiceItemInput & { line_total: number };
+
+/**
+ * Validate invoice lines and calculate their totals
+ * 
+ * Quotes use the same lines, hence the document name in the messages.
+ * 
+ * @param items - Lines as received from the API
+ * @param documentName - Document named in error messages
+ * @returns Lines with trimmed text and line totals
+ * @throws Error if a line is incomplete
+ */
+export function normalizeItems(items: InvoiceItemInput[], documentName = 'invoice'): NormalizedItem[] {
+  const normalized = items.map((item, index) => {
+    const line = index + 1;
+    const description = typeof item?.description === 'string' ? item.description.trim() : '';
+    const quantity = Number(item?.quantity);
+    const unitPrice = Number(item?.unit_price);
+    const unit = typeof item?.unit === 'string' ? item.unit.trim() : '';
+    
+    if (!description) {
+      throw new Error(`Invalid ${documentName} items: description is required on line ${line}`);
+    }
+    if (!isFinite(quantity) || quantity <= 0) {
+      throw new Error(`Invalid ${documentName} items: quantity must be greater than zero on line ${line}`);
+    }
+    if (!isFinite(unitPrice)) {
+      throw new Error(`Invalid ${documentName} items: unit price must be a number on line ${line}`);
+    }
+    
+    return {
+      description,
+      quantity,
+      unit: unit || null,
+      unit_price: unitPrice,
+      line_total: roundCurrency(quantity * unitPrice)
+    };
+  });
+  
+  if (sumLineTotals(normalized) <= 0) {
+    throw new Error(`Invalid ${documentName} items: the ${documentName} total must be greater than zero`);
+  }
+  
+  return normalized;
+}
+
+export function sumLineTotals(items: { line_total: number }[]): number {
+  return roundCurrency(items.reduce((sum, item) => sum + item.line_total, 0));
+}
+
+/**
+ * Replace all lines of an invoice
+ * 
+ * Must run inside the transaction that updates the invoice amount.
+ */
+async function replaceItems(
+  connection: PoolConnection,
+  invoiceId: number,
+  items: NormalizedItem[]
+): Promise<void> {
+  await connection.query('DELETE FROM invoice_items WHERE invoice_id = ?', [invoiceId]);
+  
+  await connection.query(
+    `INSERT INTO invoice_items (
+      invoice_id, position, description, quantity, unit, unit_price, line_total
+    ) VALUES ?`,
+    [items.map((item, index) => [
+      invoiceId,
+      index + 1,
+      item.description,
+      item.quantity,
+      item.unit || null,
+      item.unit_price,
+      item.line_total
+    ])]
+  );
+}
+
+/**
+ * Load lines for a set of invoices with a single query
+ */
+async function loadItems(invoiceIds: number[]): Promise<Map<number, InvoiceItem[]>> {
+  const itemsByInvoice = new Map<number, InvoiceItem[]>();
+  if (invoiceIds.length === 0) {
+    return itemsByInvoice;
+  }
+  
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT id, invoice_id, position, description, quantity, unit, unit_price, line_total
+     FROM invoice_items
+     WHERE invoice_id IN (?)
+     ORDER BY invoice_id, position`,
+    [invoiceIds]
+  );
+  
+  for (const row of rows) {
+    const item: InvoiceItem = {
+      id: row.id,
+      invoice_id: row.invoice_id,
+      position: row.position,
+      description: row.description,
+      quantity: Number(row.quantity),
+      unit: row.unit,
+      unit_price: Number(row.unit_price),
+      line_total: Number(row.line_total)
+    };
+    const list = itemsByInvoice.get(item.invoice_id) || [];
+    list.push(item);
+    itemsByInvoice.set(item.invoice_id, list);
+  }
+  
+  return itemsByInvoice;
+}
+
+/**
+ * Load the credit note totals of a set of invoices with a single query
+ */
+async function loadCredits(invoiceIds: number[]): Promise<Map<number, number>> {
+  const creditsByInvoice = new Map<number, number>();
+  if (invoiceIds.length === 0) {
+    return creditsByInvoice;
+  }
+  
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT original_invoice_id, SUM(total_amount) AS amount_credited
+     FROM invoices
+     WHERE document_type = 'credit_note' AND original_invoice_id IN (?)
+     GROUP BY original_invoice_id`,
+    [invoiceIds]
+  );
+  
+  for (const row of rows) {
+    creditsByInvoice.set(row.original_invoice_id, roundCurrency(Number(row.amount_credited)));
+  }
+  
+  return creditsByInvoice;
+}
+
+/**
+ * Check that the credit notes of an invoice do not exceed its total
+ * 
+ * @param originalInvoiceId - Invoice being corrected
+ * @param creditNoteTotal - Total of the new or updated credit note
+ * @param excludeId - Credit note being updated, not counted twice
+ * @throws Error if the credit notes would exceed the invoice total
+ */
+export async function checkCreditNoteTotal(
+  originalInvoiceId: number,
+  creditNoteTotal: number,
+  excludeId: number | null = null
+): Promise<void> {
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT i.total_amount,
+            (SELECT COALESCE(SUM(cn.total_amount), 0)
+             FROM invoices cn
+             WHERE cn.original_invoice_id = i.id AND cn.id != ?) AS amount_credited
+     FROM invoices i
+     WHERE i.id = ?`,
+    [excludeId || 0, originalInvoiceId]
+  );
+  
+  if (rows.length === 0) {
+    throw new Error('Invoice not found');
+  }
+  
+  const available = roundCurrency(Number(rows[0].total_amount) - Number(rows[0].amount_credited));
+  if (creditNoteTotal > available) {
+    throw new Error(`Invalid amount: credit notes cannot exceed the invoice total (${available.toFixed(2)} left to credit)`);
+  }
+}
+
+interface StampDuty {
+  stamp_duty: boolean;
+  stamp_duty_amount: number;
+  stamp_duty_rebilled: boolean;
+  rebilledAmount: number;           // Stamp duty added to the total
+}
+
+/**
+ * Work out the marca da bollo of a document from the settings
+ * 
+ * The threshold applies to the EUR amount; the stamp is stored in the
+ * document currency like every other amount.
+ * 
+ * @param settings - Stamp duty threshold, amount and default rebill
+ * @param amount - Taxable amount
+ * @param taxAmount - IVA of the document
+ * @param exchangeRate - Units of the document currency for 1 EUR
+ * @param rebill - Charge the stamp to the client, defaults to the setting
+ */
+function resolveStampDuty(
+  settings: Settings,
+  amount: number,
+  taxAmount: number,
+  exchangeRate: number,
+  rebill?: boolean
+): StampDuty {
+  const stampDutyAmount = convertFromEur(calculateStampDuty(
+    convertToEur(amount, exchangeRate),
+    taxAmount,
+    settings.stamp_duty_threshold,
+    settings.stamp_duty_amount
+  ), exchangeRate);
+  const rebilled = stampDutyAmount > 0 && (rebill ?? settings.stamp_duty_rebill);
+  
+  return {
+    stamp_duty: stampDutyAmount > 0,
+    stamp_duty_amount: stampDutyAmount,
+    stamp_duty_rebilled: rebilled,
+    rebilledAmount: rebilled ? stampDutyAmount : 0
+  };
+}
+
+/**
+ * Find the client of an invoice
+ * 
+ * A client chosen by id must exist. Otherwise the invoice is linked to
+ * the client with the same name, or to none when no name matches.
+ * 
+ * @param connection - Connection to read with
+ * @param clientId - Client chosen, null to unlink the invoice
+ * @param clientName - Name written on the invoice
+ * @returns Promise resolving to the client, or null
+ * @throws Error if the client chosen does not exist
+ */
+async function resolveInvoiceClient(
+  connection: Pick<PoolConnection, 'query'>,
+  clientId: number | null | undefined,
+  clientName: string | undefined
+): Promise<Client | null> {
+  if (clientId === null) {
+    return null;
+  }
+  
+  if (clientId !== undefined) {
+    const client = await getClientById(Number(clientId), connection);
+    if (!client) {
+      throw new Error('Client not found');
+    }
+    return client;
+  }
+  
+  return clientName ? getClientByName(clientName, connection) : null;
+}
+
+/**
+ * Work out the rivalsa INPS percentage of a new document
+ * 
+ * Credit notes use the rate of their invoice. Invoices apply the rivalsa
+ * when asked to, otherwise when the client (or, without a choice of the
+ * client, the settings default) says so.
+ * 
+ * @returns Rivalsa percentage, 0 when not applied
+ */
+async function resolveInpsRivalsaRate(
+  connection: PoolConnection,
+  settings: Settings,
+  data: CreateInvoiceDTO,
+  originalInvoiceId: number | null,
+  client: Client | null
+): Promise<number> {
+  if (originalInvoiceId) {
+    if (data.inps_rivalsa === false) {
+      return 0;
+    }
+    const [rows] = await connection.query<RowDataPacket[]>(
+      'SELECT inps_rivalsa_rate FROM invoices WHERE id = ?',
+      [originalInvoiceId]
+    );
+    return Number(rows[0]?.inps_rivalsa_rate || 0);
+  }
+  
+  let apply = data.inps_rivalsa;
+  if (apply === undefined) {
+    apply = client?.inps_rivalsa ?? settings.inps_rivalsa_default;
+  }
+  
+  return apply ? settings.inps_rivalsa_rate : 0;
+}
+
+/**
+ * Attach lines, payments, credit notes and balance due to invoice rows
+ */
+async function attachDetails(invoices: Invoice[]): Promise<Invoice[]> {
+  const invoiceIds = invoices.map((invoice) => invoice.id);
+  const [itemsByInvoice, paymentsByInvoice, creditsByInvoice, attachmentsByInvoice] = await Promise.all([
+    loadItems(invoiceIds),
+    loadPayments(invoiceIds),
+    loadCredits(invoiceIds),
+    countAttachments(AttachmentOwner.INVOICE, invoiceIds)
+  ]);
+  
+  return invoices.map((invoice) => {
+    const payments = paymentsByInvoice.get(invoice.id) || [];
+    const amountPaid = roundCurrency(payments.reduce((sum, payment) => sum + payment.amount, 0));
+    const amountCredited = creditsByInvoice.get(invoice.id) || 0;
+    
+    // Nothing is due on a credit note
+    const balanceDue = invoice.document_type === DocumentType.CREDIT_NOTE
+      ? 0
+      : roundCurrency(Number(invoice.total_amount) - amountPaid - amountCredited);
+    const exchangeRate = Number(invoice.exchange_rate) || 1;
+    
+    return {
+      ...invoice,
+      stamp_duty: Boolean(invoice.stamp_duty),
+      stamp_duty_amount: Number(invoice.stamp_duty_amount),
+      stamp_duty_rebilled: Boolean(invoice.stamp_duty_rebilled),
+      inps_rivalsa_rate: Number(invoice.inps_rivalsa_rate),
+      inps_rivalsa_amount: Number(invoice.inps_rivalsa_amount),
+      exchange_rate: exchangeRate,
+      items: itemsByInvoice.get(invoice.id) || [],
+      payments,
+      amount_paid: amountPaid,
+      amount_credited: amountCredited,
+      balance_due: balanceDue,
+      total_amount_eur: convertToEur(Number(invoice.total_amount), exchangeRate),
+      balance_due_eur: convertToEur(balanceDue, exchangeRate),
+      attachment_count: attachmentsByInvoice.get(invoice.id) || 0
+    };
+  });
+}
+
+/**
+ * Build invoice lines from worked hours entries
+ * 
+ * One line per hourly rate (amount / hours). If hours x rate does not
+ * give back the stored amounts to the cent, the line is billed as a
+ * single unit so the invoice total always matches amount_cached.
+ */
+function buildWorkedHoursItems(
+  entries: RowDataPacket[],
+  startDate: string,
+  endDate: string
+): InvoiceItemInput[] {
+  const groups = new Map<number, { hours: number; amount: number }>();
+  
+  for (const entry of entries) {
+    const hours = Number(entry.hours);
+    const amount = Number(entry.amount_cached);
+    const rate = hours > 0 ? roundCurrency(amount / hours) : 0;
+    const group = groups.get(rate) || { hours: 0, amount: 0 };
+    group.hours += hours;
+    group.amount += amount;
+    groups.set(rate, group);
+  }
+  
+  const period = `dal ${formatItalianDate(startDate)} al ${formatItalianDate(endDate)}`;
+  
+  return Array.from(groups.entries()).map(([rate, group]) => {
+    const hours = roundCurrency(group.hours);
+    const amount = roundCurrency(group.amount);
+    const rateSuffix = groups.size > 1 ? ` (tariffa ${rate.toFixed(2)}/h)` : '';
+    
+    if (roundCurrency(hours * rate) === amount) {
+      return {
+        description: `Ore di lavoro ${period}${rateSuffix}`,
+        quantity: hours,
+        unit: 'h',
+        unit_price: rate
+      };
+    }
+    
+    return {
+      description: `Ore di lavoro ${period}: ${hours} h${rateSuffix}`,
+      quantity: 1,
+      unit: null,
+      unit_price: amount
+    };
+  });
+}
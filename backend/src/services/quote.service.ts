@@ -0,0 +1,591 @@
+/**
+ * Quote Service
+ *
+ * Business logic for quotes (preventivi).
+ *
+ * Quotes use the same lines as invoices and are numbered in their own
+ * series (quote_number_format). An open quote expires by itself once
+ * its validity date has passed; the client's answer is recorded as
+ * accepted or rejected. Converting a quote creates a draft invoice with
+ * the quote's client, lines, notes and IVA rate, and marks the quote as
+ * accepted; a converted quote can no longer change.
+ */
+
+import { RowDataPacket, ResultSetHeader } from 'mysql2';
+import { PoolConnection } from 'mysql2/promise';
+import db, { withTransaction } from '../config/database';
+import {
+  Quote,
+  QuoteItem,
+  QuoteStatus,
+  QuoteClientStats,
+  CreateQuoteDTO,
+  UpdateQuoteDTO,
+  ConvertQuoteDTO,
+  QUOTE_NUMBERING_SERIES
+} from '../models/Quote.model';
+import { Invoice } from '../models/Invoice.model';
+import { calculateTax, calculateTotal, roundCurrency } from '../utils/calc.utils';
+import { addDays, getCurrentDate, isValidDateFormat, toDateString } from '../utils/date.utils';
+import { getAllSettings } from './settings.service';
+import { reserveInvoiceNumber, syncInvoiceSequence } from './invoice-numbering.service';
+import {
+  NormalizedItem,
+  getInvoiceById,
+  insertInvoice,
+  normalizeItems,
+  sumLineTotals
+} from './invoice.service';
+
+const DEFAULT_PAYMENT_DAYS = 30;
+
+/**
+ * Get all quotes
+ *
+ * Open quotes past their validity date are marked expired first.
+ *
+ * @param filters - Optional filters (status, clientName, year)
+ * @returns Promise resolving to the quotes, newest first
+ */
+export async function getAllQuotes(filters?: {
+  status?: QuoteStatus;
+  clientName?: string;
+  year?: number;
+}): Promise<Quote[]> {
+  await expireQuotes();
+
+  const conditions: string[] = [];
+  const params: any[] = [];
+
+  if (filters?.status) {
+    conditions.push('q.status = ?');
+    params.push(filters.status);
+  }
+
+  if (filters?.clientName) {
+    conditions.push('q.client_name LIKE ?');
+    params.push(`%${filters.clientName}%`);
+  }
+
+  if (filters?.year) {
+    conditions.push('YEAR(q.issue_date) = ?');
+    params.push(filters.year);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT q.*, i.invoice_number
+     FROM quotes q
+     LEFT JOIN invoices i ON i.id = q.invoice_id
+     ${where}
+     ORDER BY q.issue_date DESC, q.id DESC`,
+    params
+  );
+
+  return attachItems(rows.map(mapQuote));
+}
+
+/**
+ * Get quote by ID
+ *
+ * @param id - Quote ID
+ * @returns Promise resolving to the quote or null if not found
+ */
+export async function getQuoteById(id: number): Promise<Quote | null> {
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT q.*, i.invoice_number
+     FROM quotes q
+     LEFT JOIN invoices i ON i.id = q.invoice_id
+     WHERE q.id = ?`,
+    [id]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const [quote] = await attachItems([mapQuote(rows[0])]);
+  return quote;
+}
+
+/**
+ * Create a quote
+ *
+ * Uses the default IVA rate and the quote validity from settings when
+ * not provided, and the next number of the quote series if no number is
+ * given.
+ *
+ * @param data - Quote data
+ * @returns Promise resolving to the created quote
+ * @throws Error if validation fails
+ */
+export async function createQuote(data: CreateQuoteDTO): Promise<Quote> {
+  const hasItems = Array.isArray(data.items) && data.items.length > 0;
+  if (!data.client_name || (!hasItems && !data.amount)) {
+    throw new Error('Missing required fields');
+  }
+
+  // A plain amount becomes a single line
+  const items = normalizeItems(hasItems ? data.items! : [{
+    description: data.description || 'Prestazione professionale',
+    quantity: 1,
+    unit_price: data.amount!
+  }], 'quote');
+
+  const settings = await getAllSettings();
+  const issueDate = data.issue_date || getCurrentDate();
+  const validUntil = data.valid_until || addDays(issueDate, settings.quote_validity_days);
+  validateDates(issueDate, validUntil);
+
+  const taxRate = data.tax_rate ?? settings.default_vat_rate;
+  const totals = calculateQuoteTotals(items, taxRate);
+
+  const quoteId = await withTransaction(async (connection) => {
+    // Reserve the next number, or check the one chosen by hand
+    let quoteNumber = data.quote_number?.trim();
+
+    if (!quoteNumber) {
+      quoteNumber = await reserveInvoiceNumber(connection, issueDate, QUOTE_NUMBERING_SERIES);
+    } else {
+      await checkQuoteNumber(connection, quoteNumber);
+      await syncInvoiceSequence(connection, quoteNumber, issueDate, QUOTE_NUMBERING_SERIES);
+    }
+
+    const [result] = await connection.query<ResultSetHeader>(
+      `INSERT INTO quotes (
+        quote_number, client_name, description, amount, tax_rate,
+        tax_amount, total_amount, status, issue_date, valid_until
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        quoteNumber,
+        data.client_name,
+        data.description || null,
+        totals.amount,
+        taxRate,
+        totals.taxAmount,
+        totals.totalAmount,
+        getOpenStatus(validUntil),
+        issueDate,
+        validUntil
+      ]
+    );
+
+    await replaceItems(connection, result.insertId, items);
+    return result.insertId;
+  });
+
+  const quote = await getQuoteById(quoteId);
+  if (!quote) {
+    throw new Error('Failed to create quote');
+  }
+
+  return quote;
+}
+
+/**
+ * Update a quote
+ *
+ * When items are provided all lines are replaced. Moving the validity
+ * date reopens an expired quote, or expires an open one.
+ *
+ * @param id - Quote ID
+ * @param data - Fields to update
+ * @returns Promise resolving to the updated quote
+ * @throws Error if not found, already converted or validation fails
+ */
+export async function updateQuote(id: number, data: UpdateQuoteDTO): Promise<Quote> {
+  const quote = await getQuoteById(id);
+  if (!quote) {
+    throw new Error('Quote not found');
+  }
+
+  if (quote.invoice_id) {
+    throw new Error(`Invalid request: the quote was converted into invoice ${quote.invoice_number}`);
+  }
+
+  const issueDate = data.issue_date ?? quote.issue_date;
+  const validUntil = data.valid_until ?? quote.valid_until;
+  validateDates(issueDate, validUntil);
+
+  let items: NormalizedItem[] | null = null;
+  if (data.items !== undefined) {
+    if (!Array.isArray(data.items) || data.items.length === 0) {
+      throw new Error('Invalid quote items: at least one line is required');
+    }
+    items = normalizeItems(data.items, 'quote');
+  }
+
+  const quoteNumber = data.quote_number?.trim() || quote.quote_number;
+  const taxRate = data.tax_rate ?? quote.tax_rate;
+  const totals = calculateQuoteTotals(items || quote.items, taxRate);
+
+  // Only open and expired quotes follow the validity date
+  const isPending = quote.status === QuoteStatus.OPEN || quote.status === QuoteStatus.EXPIRED;
+  const status = isPending ? getOpenStatus(validUntil) : quote.status;
+
+  await withTransaction(async (connection) => {
+    if (quoteNumber !== quote.quote_number) {
+      await checkQuoteNumber(connection, quoteNumber, id);
+    }
+
+    await connection.query(
+      `UPDATE quotes
+       SET quote_number = ?, client_name = ?, description = ?, amount = ?, tax_rate = ?,
+           tax_amount = ?, total_amount = ?, status = ?, issue_date = ?, valid_until = ?
+       WHERE id = ?`,
+      [
+        quoteNumber,
+        data.client_name || quote.client_name,
+        data.description !== undefined ? (data.description || null) : quote.description,
+        totals.amount,
+        taxRate,
+        totals.taxAmount,
+        totals.totalAmount,
+        status,
+        issueDate,
+        validUntil,
+        id
+      ]
+    );
+
+    if (items) {
+      await replaceItems(connection, id, items);
+    }
+  });
+
+  const updated = await getQuoteById(id);
+  if (!updated) {
+    throw new Error('Quote not found');
+  }
+
+  return updated;
+}
+
+/**
+ * Record the client's answer to a quote
+ *
+ * A quote can be accepted or rejected, also after it expired. Setting it
+ * back to open is only possible while it is still valid; expired is set
+ * automatically.
+ *
+ * @param id - Quote ID
+ * @param status - New status
+ * @returns Promise resolving to the updated quote
+ * @throws Error if not found, already converted or the change is not allowed
+ */
+export async function updateQuoteStatus(id: number, status: QuoteStatus): Promise<Quote> {
+  const quote = await getQuoteById(id);
+  if (!quote) {
+    throw new Error('Quote not found');
+  }
+
+  if (quote.invoice_id) {
+    throw new Error(`Invalid status: the quote was converted into invoice ${quote.invoice_number}`);
+  }
+
+  if (status === QuoteStatus.EXPIRED) {
+    throw new Error('Invalid status: quotes expire automatically after their validity date');
+  }
+
+  if (status === QuoteStatus.OPEN && getOpenStatus(quote.valid_until) === QuoteStatus.EXPIRED) {
+    throw new Error('Invalid status: the quote is past its validity date, extend it to reopen the quote');
+  }
+
+  await db.query('UPDATE quotes SET status = ? WHERE id = ?', [status, id]);
+
+  const updated = await getQuoteById(id);
+  if (!updated) {
+    throw new Error('Quote not found');
+  }
+
+  return updated;
+}
+
+/**
+ * Delete a quote
+ *
+ * The invoice created from it, if any, is kept.
+ *
+ * @param id - Quote ID
+ * @returns Promise resolving to true if deleted, false if not found
+ */
+export async function deleteQuote(id: number): Promise<boolean> {
+  const [result] = await db.query<ResultSetHeader>(
+    'DELETE FROM quotes WHERE id = ?',
+    [id]
+  );
+
+  return result.affectedRows > 0;
+}
+
+/**
+ * Convert a quote into an invoice
+ *
+ * Creates a draft invoice with the client, lines, notes and IVA rate of
+ * the quote; rivalsa INPS, marca da bollo and the invoice number are
+ * worked out as for any new invoice. The quote becomes accepted and
+ * keeps a link to the invoice. Both changes happen in one transaction,
+ * with the quote row locked, so a quote is never converted twice.
+ *
+ * @param id - Quote ID
+ * @param data - Issue and due date of the invoice
+ * @returns Promise resolving to the created invoice
+ * @throws Error if not found, rejected or already converted
+ */
+export async function convertQuoteToInvoice(id: number, data: ConvertQuoteDTO = {}): Promise<Invoice> {
+  const issueDate = data.issue_date || getCurrentDate();
+  const dueDate = data.due_date || addDays(issueDate, DEFAULT_PAYMENT_DAYS);
+
+  const invoiceId = await withTransaction(async (connection) => {
+    const [rows] = await connection.query<RowDataPacket[]>(
+      'SELECT * FROM quotes WHERE id = ? FOR UPDATE',
+      [id]
+    );
+
+    if (rows.length === 0) {
+      throw new Error('Quote not found');
+    }
+
+    const quote = mapQuote(rows[0]);
+
+    if (quote.invoice_id) {
+      throw new Error('Invalid request: the quote was already converted into an invoice');
+    }
+
+    if (quote.status === QuoteStatus.REJECTED) {
+      throw new Error('Invalid request: the quote was rejected, set it back to accepted first');
+    }
+
+    const items = await loadItems(connection, [id]);
+    const newInvoiceId = await insertInvoice(connection, {
+      client_name: quote.client_name,
+      description: quote.description || undefined,
+      items: (items.get(id) || []).map((item) => ({
+        description: item.description,
+        quantity: item.quantity,
+        unit: item.unit,
+        unit_price: item.unit_price
+      })),
+      tax_rate: quote.tax_rate,
+      issue_date: issueDate,
+      due_date: dueDate
+    });
+
+    await connection.query(
+      'UPDATE quotes SET status = ?, invoice_id = ? WHERE id = ?',
+      [QuoteStatus.ACCEPTED, newInvoiceId, id]
+    );
+
+    return newInvoiceId;
+  });
+
+  const invoice = await getInvoiceById(invoiceId);
+  if (!invoice) {
+    throw new Error('Failed to create invoice');
+  }
+
+  return invoice;
+}
+
+/**
+ * Get acceptance statistics per client
+ *
+ * @param year - Optional issue year of the quotes
+ * @returns Promise resolving to one row per client, most quoted first
+ */
+export async function getQuoteStats(year?: number): Promise<QuoteClientStats[]> {
+  await expireQuotes();
+
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT
+      client_name,
+      COUNT(*) AS quotes,
+      SUM(status = 'open') AS open,
+      SUM(status = 'accepted') AS accepted,
+      SUM(status = 'rejected') AS rejected,
+      SUM(status = 'expired') AS expired,
+      COALESCE(SUM(amount), 0) AS quoted_amount,
+      COALESCE(SUM(CASE WHEN status = 'accepted' THEN amount ELSE 0 END), 0) AS accepted_amount
+    FROM quotes
+    ${year ? 'WHERE YEAR(issue_date) = ?' : ''}
+    GROUP BY client_name
+    ORDER BY quotes DESC, client_name ASC`,
+    year ? [year] : []
+  );
+
+  return rows.map((row) => {
+    const accepted = Number(row.accepted);
+    const decided = accepted + Number(row.rejected) + Number(row.expired);
+
+    return {
+      client_name: row.client_name,
+      quotes: Number(row.quotes),
+      open: Number(row.open),
+      accepted,
+      rejected: Number(row.rejected),
+      expired: Number(row.expired),
+      acceptance_rate: decided > 0 ? roundCurrency((accepted / decided) * 100) : null,
+      quoted_amount: Number(row.quoted_amount),
+      accepted_amount: Number(row.accepted_amount)
+    };
+  });
+}
+
+/**
+ * Mark open quotes past their validity date as expired
+ *
+ * Called before quotes are listed and by the scheduler.
+ *
+ * @returns Promise resolving to the number of quotes marked expired
+ */
+export async function expireQuotes(): Promise<number> {
+  const [result] = await db.query<ResultSetHeader>(
+    'UPDATE quotes SET status = ? WHERE status = ? AND valid_until < ? AND invoice_id IS NULL',
+    [QuoteStatus.EXPIRED, QuoteStatus.OPEN, getCurrentDate()]
+  );
+
+  return result.affectedRows;
+}
+
+/**
+ * Status of a quote without an answer, based on its validity date
+ */
+function getOpenStatus(validUntil: string): QuoteStatus {
+  return validUntil < getCurrentDate() ? QuoteStatus.EXPIRED : QuoteStatus.OPEN;
+}
+
+function validateDates(issueDate: string, validUntil: string): void {
+  if (!isValidDateFormat(issueDate) || !isValidDateFormat(validUntil)) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD');
+  }
+
+  if (validUntil < issueDate) {
+    throw new Error('Invalid validity date: it cannot be before the issue date');
+  }
+}
+
+function calculateQuoteTotals(
+  items: { line_total: number }[],
+  taxRate: number
+): { amount: number; taxAmount: number; totalAmount: number } {
+  const rate = Number(taxRate);
+  if (!isFinite(rate) || rate < 0 || rate > 100) {
+    throw new Error('Invalid tax rate: must be between 0 and 100');
+  }
+
+  const amount = sumLineTotals(items);
+  const taxAmount = calculateTax(amount, rate);
+
+  return { amount, taxAmount, totalAmount: calculateTotal(amount, taxAmount) };
+}
+
+/**
+ * Check that no other quote uses a number
+ */
+async function checkQuoteNumber(
+  connection: PoolConnection,
+  quoteNumber: string,
+  excludeId: number | null = null
+): Promise<void> {
+  const [existing] = await connection.query<RowDataPacket[]>(
+    'SELECT id FROM quotes WHERE quote_number = ? AND id != ?',
+    [quoteNumber, excludeId ?? 0]
+  );
+
+  if (existing.length > 0) {
+    throw new Error('Quote number already exists');
+  }
+}
+
+/**
+ * Replace all lines of a quote
+ *
+ * Must run inside the transaction that updates the quote amount.
+ */
+async function replaceItems(
+  connection: PoolConnection,
+  quoteId: number,
+  items: NormalizedItem[]
+): Promise<void> {
+  await connection.query('DELETE FROM quote_items WHERE quote_id = ?', [quoteId]);
+
+  await connection.query(
+    `INSERT INTO quote_items (
+      quote_id, position, description, quantity, unit, unit_price, line_total
+    ) VALUES ?`,
+    [items.map((item, index) => [
+      quoteId,
+      index + 1,
+      item.description,
+      item.quantity,
+      item.unit || null,
+      item.unit_price,
+      item.line_total
+    ])]
+  );
+}
+
+/**
+ * Load lines for a set of quotes with a single query
+ */
+async function loadItems(
+  connection: Pick<PoolConnection, 'query'>,
+  quoteIds: number[]
+): Promise<Map<number, QuoteItem[]>> {
+  const itemsByQuote = new Map<number, QuoteItem[]>();
+  if (quoteIds.length === 0) {
+    return itemsByQuote;
+  }
+
+  const [rows] = await connection.query<RowDataPacket[]>(
+    `SELECT id, quote_id, position, description, quantity, unit, unit_price, line_total
+     FROM quote_items
+     WHERE quote_id IN (?)
+     ORDER BY quote_id, position`,
+    [quoteIds]
+  );
+
+  for (const row of rows) {
+    const item: QuoteItem = {
+      id: row.id,
+      quote_id: row.quote_id,
+      position: row.position,
+      description: row.description,
+      quantity: Number(row.quantity),
+      unit: row.unit,
+      unit_price: Number(row.unit_price),
+      line_total: Number(row.line_total)
+    };
+    const list = itemsByQuote.get(item.quote_id) || [];
+    list.push(item);
+    itemsByQuote.set(item.quote_id, list);
+  }
+
+  return itemsByQuote;
+}
+
+async function attachItems(quotes: Quote[]): Promise<Quote[]> {
+  const itemsByQuote = await loadItems(db, quotes.map((quote) => quote.id));
+  return quotes.map((quote) => ({ ...quote, items: itemsByQuote.get(quote.id) || [] }));
+}
+
+function mapQuote(row: RowDataPacket): Quote {
+  return {
+    id: row.id,
+    quote_number: row.quote_number,
+    client_name: row.client_name,
+    description: row.description,
+    amount: Number(row.amount),
+    tax_rate: Number(row.tax_rate),
+    tax_amount: Number(row.tax_amount),
+    total_amount: Number(row.total_amount),
+    status: row.status,
+    issue_date: toDateString(row.issue_date),
+    valid_until: toDateString(row.valid_until),
+    invoice_id: row.invoice_id ?? null,
+    invoice_number: row.invoice_number ?? null,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    items: []
+  };
+}
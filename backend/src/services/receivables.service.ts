@@ -0,0 +1,401 @@
+/**
+ * Receivables Service
+ *
+ * Business logic for the money clients still owe.
+ *
+ * This service:
+ * - Buckets the outstanding invoices of each client by how late they are
+ *   (aging report)
+ * - Lists the overdue invoices to chase next, with the late payment
+ *   interest accrued under D.Lgs. 231/2002
+ * - Keeps the log of the reminders (solleciti) sent to clients
+ *
+ * An invoice is outstanding once it has been sent and until payments
+ * and credit notes cover its total; drafts and credit notes never are.
+ * Amounts are summed in EUR, converting invoices in other currencies
+ * with their exchange rate.
+ */
+
+import { RowDataPacket, ResultSetHeader } from 'mysql2';
+import db from '../config/database';
+import {
+  DocumentType,
+  InvoiceReminder,
+  InvoiceStatus,
+  CreateInvoiceReminderDTO,
+  MAX_REMINDER_LEVEL
+} from '../models/Invoice.model';
+import { calculateLateInterest, convertToEur, roundCurrency } from '../utils/calc.utils';
+import { daysBetween, getCurrentDate, isValidDateFormat, toDateString } from '../utils/date.utils';
+import { getAllSettings } from './settings.service';
+
+/**
+ * Aging Buckets Interface
+ *
+ * Outstanding EUR amounts split by days past the due date.
+ */
+export interface AgingBuckets {
+  not_due: number;                  // Not yet due
+  overdue_0_30: number;             // Up to 30 days late
+  overdue_31_60: number;
+  overdue_61_90: number;
+  overdue_over_90: number;          // More than 90 days late
+  total: number;                    // All outstanding amounts
+}
+
+/**
+ * Client Aging Interface
+ */
+export interface ClientAging extends AgingBuckets {
+  client_name: string;
+  invoice_count: number;            // Outstanding invoices of the client
+}
+
+/**
+ * Aging Report Interface
+ */
+export interface AgingReport {
+  as_of: string;                    // Reference date (YYYY-MM-DD)
+  clients: ClientAging[];           // Most overdue amount first
+  totals: AgingBuckets;
+}
+
+/**
+ * Dunning Entry Interface
+ *
+ * An overdue invoice with its reminders and the interest accrued.
+ */
+export interface DunningEntry {
+  invoice_id: number;
+  invoice_number: string;
+  client_name: string;
+  due_date: string;
+  days_overdue: number;
+  currency: string;                 // Currency of the invoice
+  balance_due: number;              // Still unpaid, net of credit notes, in the invoice currency
+  balance_due_eur: number;          // balance_due converted to EUR
+  interest: number;                 // Late payment interest accrued up to today (EUR)
+  reminder_count: number;
+  last_reminder_date: string | null;
+  last_reminder_level: number | null; // Highest level sent so far
+  next_reminder_level: number;      // Level of the next reminder
+}
+
+/**
+ * Dunning List Interface
+ */
+export interface DunningList {
+  as_of: string;
+  interest_rate: number;            // Yearly rate used for the interest (%)
+  entries: DunningEntry[];          // Longest without contact first
+  total_balance: number;            // EUR
+  total_interest: number;           // EUR
+}
+
+/**
+ * Outstanding invoice as loaded for the reports
+ */
+interface OutstandingInvoice {
+  id: number;
+  invoice_number: string;
+  client_name: string;
+  due_date: string;
+  currency: string;
+  balance_due: number;              // In the invoice currency
+  balance_due_eur: number;
+  reminder_count: number;
+  last_reminder_date: string | null;
+  last_reminder_level: number | null;
+}
+
+/**
+ * Get the aging report
+ *
+ * Every outstanding invoice counts in one bucket of its client, by the
+ * days passed since its due date.
+ *
+ * @returns Promise resolving to the aging of each client and the totals
+ */
+export async function getAgingReport(): Promise<AgingReport> {
+  const today = getCurrentDate();
+  const invoices = await loadOutstandingInvoices();
+
+  const byClient = new Map<string, ClientAging>();
+  const totals = emptyBuckets();
+
+  invoices.forEach((invoice) => {
+    let client = byClient.get(invoice.client_name);
+    if (!client) {
+      client = { client_name: invoice.client_name, invoice_count: 0, ...emptyBuckets() };
+      byClient.set(invoice.client_name, client);
+    }
+
+    const bucket = getAgingBucket(daysBetween(invoice.due_date, today));
+    const amount = invoice.balance_due_eur;
+    client.invoice_count++;
+    client[bucket] = roundCurrency(client[bucket] + amount);
+    client.total = roundCurrency(client.total + amount);
+    totals[bucket] = roundCurrency(totals[bucket] + amount);
+    totals.total = roundCurrency(totals.total + amount);
+  });
+
+  const clients = Array.from(byClient.values()).sort((a, b) =>
+    (b.total - b.not_due) - (a.total - a.not_due) || b.total - a.total
+  );
+
+  return { as_of: today, clients, totals };
+}
+
+/**
+ * Get the overdue invoices to chase
+ *
+ * Invoices go first when their client has gone longest without hearing
+ * from us: since the last reminder, or since the due date if none was
+ * sent. Interest runs on the EUR balance due at the late_interest_rate setting.
+ *
+ * @returns Promise resolving to the dunning list
+ */
+export async function getDunningList(): Promise<DunningList> {
+  const today = getCurrentDate();
+  const settings = await getAllSettings();
+  const rate = Number(settings.late_interest_rate);
+
+  const entries = (await loadOutstandingInvoices())
+    .filter((invoice) => invoice.due_date < today)
+    .map((invoice) => {
+      const daysOverdue = daysBetween(invoice.due_date, today);
+
+      return {
+        invoice_id: invoice.id,
+        invoice_number: invoice.invoice_number,
+        client_name: invoice.client_name,
+        due_date: invoice.due_date,
+        days_overdue: daysOverdue,
+        currency: invoice.currency,
+        balance_due: invoice.balance_due,
+        balance_due_eur: invoice.balance_due_eur,
+        interest: calculateLateInterest(invoice.balance_due_eur, rate, daysOverdue),
+        reminder_count: invoice.reminder_count,
+        last_reminder_date: invoice.last_reminder_date,
+        last_reminder_level: invoice.last_reminder_level,
+        next_reminder_level: Math.min((invoice.last_reminder_level || 0) + 1, MAX_REMINDER_LEVEL)
+      };
+    })
+    .sort((a, b) => {
+      const lastContactA = a.last_reminder_date || a.due_date;
+      const lastContactB = b.last_reminder_date || b.due_date;
+      return lastContactA.localeCompare(lastContactB) || b.balance_due_eur - a.balance_due_eur;
+    });
+
+  return {
+    as_of: today,
+    interest_rate: rate,
+    entries,
+    total_balance: roundCurrency(entries.reduce((sum, entry) => sum + entry.balance_due_eur, 0)),
+    total_interest: roundCurrency(entries.reduce((sum, entry) => sum + entry.interest, 0))
+  };
+}
+
+/**
+ * Get the reminders sent for an invoice
+ *
+ * @param invoiceId - Invoice ID
+ * @returns Promise resolving to the reminders ordered by date
+ * @throws Error if the invoice does not exist
+ */
+export async function getInvoiceReminders(invoiceId: number): Promise<InvoiceReminder[]> {
+  const [invoices] = await db.query<RowDataPacket[]>(
+    'SELECT id FROM invoices WHERE id = ?',
+    [invoiceId]
+  );
+
+  if (invoices.length === 0) {
+    throw new Error('Invoice not found');
+  }
+
+  const [rows] = await db.query<RowDataPacket[]>(
+    'SELECT * FROM invoice_reminders WHERE invoice_id = ? ORDER BY reminder_date ASC, id ASC',
+    [invoiceId]
+  );
+
+  return rows.map(mapReminder);
+}
+
+/**
+ * Log a reminder sent for an invoice
+ *
+ * Without a level the reminder escalates one level above the last one.
+ *
+ * @param invoiceId - Invoice ID
+ * @param data - Reminder date, level and note
+ * @returns Promise resolving to the new reminder
+ * @throws Error if the invoice does not exist, cannot be reminded or
+ *         validation fails
+ */
+export async function addInvoiceReminder(
+  invoiceId: number,
+  data: CreateInvoiceReminderDTO
+): Promise<InvoiceReminder> {
+  const reminderDate = data.reminder_date || getCurrentDate();
+  if (!isValidDateFormat(reminderDate)) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD');
+  }
+
+  const [invoices] = await db.query<RowDataPacket[]>(
+    `SELECT i.document_type, i.status, i.issue_date,
+       (SELECT MAX(level) FROM invoice_reminders r WHERE r.invoice_id = i.id) AS last_level
+     FROM invoices i
+     WHERE i.id = ?`,
+    [invoiceId]
+  );
+
+  if (invoices.length === 0) {
+    throw new Error('Invoice not found');
+  }
+
+  const invoice = invoices[0];
+  if (invoice.document_type === DocumentType.CREDIT_NOTE) {
+    throw new Error('Invalid invoice: credit notes cannot be reminded');
+  }
+
+  if (invoice.status === InvoiceStatus.DRAFT || invoice.status === InvoiceStatus.PAID) {
+    throw new Error('Invalid invoice: only sent and unpaid invoices can be reminded');
+  }
+
+  if (reminderDate < toDateString(invoice.issue_date)) {
+    throw new Error('Invalid date: a reminder cannot be sent before the invoice');
+  }
+
+  const level = data.level !== undefined && data.level !== null
+    ? Number(data.level)
+    : Math.min(Number(invoice.last_level || 0) + 1, MAX_REMINDER_LEVEL);
+  if (!Number.isInteger(level) || level < 1 || level > MAX_REMINDER_LEVEL) {
+    throw new Error(`Invalid level: must be between 1 and ${MAX_REMINDER_LEVEL}`);
+  }
+
+  const [result] = await db.query<ResultSetHeader>(
+    'INSERT INTO invoice_reminders (invoice_id, reminder_date, level, note) VALUES (?, ?, ?, ?)',
+    [invoiceId, reminderDate, level, data.note?.trim() || null]
+  );
+
+  const [rows] = await db.query<RowDataPacket[]>(
+    'SELECT * FROM invoice_reminders WHERE id = ?',
+    [result.insertId]
+  );
+
+  return mapReminder(rows[0]);
+}
+
+/**
+ * Delete a reminder
+ *
+ * @param invoiceId - Invoice ID
+ * @param reminderId - Reminder ID
+ * @throws Error if the reminder does not belong to the invoice
+ */
+export async function deleteInvoiceReminder(invoiceId: number, reminderId: number): Promise<void> {
+  const [result] = await db.query<ResultSetHeader>(
+    'DELETE FROM invoice_reminders WHERE id = ? AND invoice_id = ?',
+    [reminderId, invoiceId]
+  );
+
+  if (result.affectedRows === 0) {
+    throw new Error('Reminder not found');
+  }
+}
+
+/**
+ * Load the outstanding invoices with their reminders
+ *
+ * The balance due is the total minus payments and credit notes.
+ */
+async function loadOutstandingInvoices(): Promise<OutstandingInvoice[]> {
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT
+       i.id,
+       i.invoice_number,
+       i.client_name,
+       i.due_date,
+       i.currency,
+       i.exchange_rate,
+       i.total_amount - COALESCE(p.amount_paid, 0) - COALESCE(c.amount_credited, 0) AS balance_due,
+       COALESCE(r.reminder_count, 0) AS reminder_count,
+       r.last_reminder_date,
+       r.last_reminder_level
+     FROM invoices i
+     LEFT JOIN (
+       SELECT invoice_id, SUM(amount) AS amount_paid
+       FROM invoice_payments
+       GROUP BY invoice_id
+     ) p ON p.invoice_id = i.id
+     LEFT JOIN (
+       SELECT original_invoice_id, SUM(total_amount) AS amount_credited
+       FROM invoices
+       WHERE document_type = 'credit_note'
+       GROUP BY original_invoice_id
+     ) c ON c.original_invoice_id = i.id
+     LEFT JOIN (
+       SELECT invoice_id, COUNT(*) AS reminder_count,
+         MAX(reminder_date) AS last_reminder_date, MAX(level) AS last_reminder_level
+       FROM invoice_reminders
+       GROUP BY invoice_id
+     ) r ON r.invoice_id = i.id
+     WHERE i.document_type = 'invoice'
+     AND i.status NOT IN (?, ?)
+     HAVING balance_due > 0
+     ORDER BY i.due_date ASC`,
+    [InvoiceStatus.DRAFT, InvoiceStatus.PAID]
+  );
+
+  return rows.map((row) => ({
+    id: row.id,
+    invoice_number: row.invoice_number,
+    client_name: row.client_name,
+    due_date: toDateString(row.due_date),
+    currency: row.currency,
+    balance_due: roundCurrency(Number(row.balance_due)),
+    balance_due_eur: convertToEur(Number(row.balance_due), Number(row.exchange_rate)),
+    reminder_count: Number(row.reminder_count),
+    last_reminder_date: row.last_reminder_date ? toDateString(row.last_reminder_date) : null,
+    last_reminder_level: row.last_reminder_level !== null ? Number(row.last_reminder_level) : null
+  }));
+}
+
+/**
+ * Bucket of an outstanding invoice, by days past its due date
+ */
+function getAgingBucket(daysOverdue: number): keyof Omit<AgingBuckets, 'total'> {
+  if (daysOverdue <= 0) return 'not_due';
+  if (daysOverdue <= 30) return 'overdue_0_30';
+  if (daysOverdue <= 60) return 'overdue_31_60';
+  if (daysOverdue <= 90) return 'overdue_61_90';
+  return 'overdue_over_90';
+}
+
+/**
+ * Aging buckets with every amount at zero
+ */
+function emptyBuckets(): AgingBuckets {
+  return {
+    not_due: 0,
+    overdue_0_30: 0,
+    overdue_31_60: 0,
+    overdue_61_90: 0,
+    overdue_over_90: 0,
+    total: 0
+  };
+}
+
+/**
+ * Map a database row to an InvoiceReminder
+ */
+function mapReminder(row: RowDataPacket): InvoiceReminder {
+  return {
+    id: row.id,
+    invoice_id: row.invoice_id,
+    reminder_date: toDateString(row.reminder_date),
+    level: Number(row.level),
+    note: row.note,
+    created_at: row.created_at
+  };
+}
@@ -0,0 +1,496 @@
+/**
+ * Recurring Expense Service
+ *
+ * Business logic for recurring expenses (software subscriptions, rent, ...).
+ *
+ * A definition holds the expense data, its frequency and the date of the
+ * next renewal. The scheduler calls generateDueRecurringExpenses(), which
+ * creates the expense of every renewal that is due and moves next_date
+ * forward in the same transaction. Each expense records the renewal it
+ * stands for (unique per definition and date), so restarts and repeated
+ * runs never create the same expense twice.
+ *
+ * A next date in the past is caught up: every renewal from that date to
+ * today becomes an expense.
+ */
+
+import { RowDataPacket, ResultSetHeader } from 'mysql2';
+import db, { withTransaction } from '../config/database';
+import {
+  RecurringExpense,
+  RecurringExpenseRunResult,
+  CreateRecurringExpenseDTO,
+  UpdateRecurringExpenseDTO,
+  SubscriptionOverview,
+  UpcomingRenewal
+} from '../models/RecurringExpense.model';
+import { RecurringFrequency, FREQUENCY_MONTHS } from '../models/RecurringInvoice.model';
+import { roundCurrency } from '../utils/calc.utils';
+import { addDays, getCurrentDate, getLastDayOfSpecificMonth, isValidDateFormat, toDateString } from '../utils/date.utils';
+import { getCategoryById } from './category.service';
+import { insertExpense } from './expense.service';
+
+const DEFAULT_UPCOMING_DAYS = 60;
+const MAX_UPCOMING_DAYS = 366;
+
+// Upper bound of renewals created while catching up on a single definition
+const MAX_CATCH_UP_RENEWALS = 1000;
+
+const RECURRING_EXPENSE_SELECT = `
+  SELECT r.*, c.name AS category_name, c.color AS category_color
+  FROM recurring_expenses r
+  JOIN categories c ON c.id = r.category_id
+`;
+
+/**
+ * Definition fields after validation
+ */
+type RecurringExpenseFields = Omit<
+  RecurringExpense,
+  'id' | 'category_name' | 'category_color' | 'annual_cost' | 'created_at' | 'updated_at'
+>;
+
+/**
+ * Get all recurring expenses
+ *
+ * @returns Promise resolving to the definitions, active first
+ */
+export async function getAllRecurringExpenses(): Promise<RecurringExpense[]> {
+  const [rows] = await db.query<RowDataPacket[]>(
+    `${RECURRING_EXPENSE_SELECT} ORDER BY r.active DESC, r.next_date ASC, r.id ASC`
+  );
+
+  return rows.map(mapRecurringExpense);
+}
+
+/**
+ * Get recurring expense by ID
+ *
+ * @param id - Recurring expense ID
+ * @returns Promise resolving to the definition or null if not found
+ */
+export async function getRecurringExpenseById(id: number): Promise<RecurringExpense | null> {
+  const [rows] = await db.query<RowDataPacket[]>(
+    `${RECURRING_EXPENSE_SELECT} WHERE r.id = ?`,
+    [id]
+  );
+
+  return rows.length > 0 ? mapRecurringExpense(rows[0]) : null;
+}
+
+/**
+ * Create a recurring expense
+ *
+ * @param data - Expense data and schedule
+ * @returns Promise resolving to the created definition
+ * @throws Error if validation fails
+ */
+export async function createRecurringExpense(data: CreateRecurringExpenseDTO): Promise<RecurringExpense> {
+  const fields = await validateRecurringExpense({
+    ...data,
+    day_of_month: data.day_of_month ?? (data.next_date ? parseInt(data.next_date.slice(8, 10)) : undefined)
+  });
+
+  const [result] = await db.query<ResultSetHeader>(
+    `INSERT INTO recurring_expenses (
+      description, amount, category_id, iva_included, iva_rate, supplier_name, notes,
+      frequency, day_of_month, next_date, end_date, active
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      fields.description,
+      fields.amount,
+      fields.category_id,
+      fields.iva_included,
+      fields.iva_rate,
+      fields.supplier_name,
+      fields.notes,
+      fields.frequency,
+      fields.day_of_month,
+      fields.next_date,
+      fields.end_date,
+      fields.active
+    ]
+  );
+
+  const recurringExpense = await getRecurringExpenseById(result.insertId);
+  if (!recurringExpense) {
+    throw new Error('Failed to create recurring expense');
+  }
+
+  return recurringExpense;
+}
+
+/**
+ * Update a recurring expense
+ *
+ * Expenses already created are not touched; the new data applies to the
+ * next renewals. A new next date without a day of month also moves the
+ * renewal day.
+ *
+ * @param id - Recurring expense ID
+ * @param data - Fields to update
+ * @returns Promise resolving to the updated definition
+ * @throws Error if not found or validation fails
+ */
+export async function updateRecurringExpense(
+  id: number,
+  data: UpdateRecurringExpenseDTO
+): Promise<RecurringExpense> {
+  const existing = await getRecurringExpenseById(id);
+  if (!existing) {
+    throw new Error('Recurring expense not found');
+  }
+
+  const nextDateChanged = data.next_date !== undefined && data.next_date !== existing.next_date;
+  const fields = await validateRecurringExpense({
+    description: data.description ?? existing.description,
+    amount: data.amount ?? existing.amount,
+    category_id: data.category_id ?? existing.category_id,
+    iva_included: data.iva_included ?? existing.iva_included,
+    iva_rate: data.iva_rate ?? existing.iva_rate,
+    supplier_name: data.supplier_name !== undefined ? data.supplier_name : existing.supplier_name,
+    notes: data.notes !== undefined ? data.notes : existing.notes,
+    frequency: data.frequency ?? existing.frequency,
+    day_of_month: data.day_of_month ??
+      (nextDateChanged && data.next_date ? parseInt(data.next_date.slice(8, 10)) : existing.day_of_month),
+    next_date: data.next_date ?? existing.next_date,
+    end_date: data.end_date !== undefined ? data.end_date : existing.end_date,
+    active: data.active ?? existing.active
+  });
+
+  await db.query(
+    `UPDATE recurring_expenses
+     SET description = ?, amount = ?, category_id = ?, iva_included = ?, iva_rate = ?,
+         supplier_name = ?, notes = ?, frequency = ?, day_of_month = ?, next_date = ?,
+         end_date = ?, active = ?
+     WHERE id = ?`,
+    [
+      fields.description,
+      fields.amount,
+      fields.category_id,
+      fields.iva_included,
+      fields.iva_rate,
+      fields.supplier_name,
+      fields.notes,
+      fields.frequency,
+      fields.day_of_month,
+      fields.next_date,
+      fields.end_date,
+      fields.active,
+      id
+    ]
+  );
+
+  const updated = await getRecurringExpenseById(id);
+  if (!updated) {
+    throw new Error('Recurring expense not found');
+  }
+
+  return updated;
+}
+
+/**
+ * Delete a recurring expense
+ *
+ * The expenses it created are kept.
+ *
+ * @param id - Recurring expense ID
+ * @returns Promise resolving to true if deleted, false if not found
+ */
+export async function deleteRecurringExpense(id: number): Promise<boolean> {
+  const [result] = await db.query<ResultSetHeader>(
+    'DELETE FROM recurring_expenses WHERE id = ?',
+    [id]
+  );
+
+  return result.affectedRows > 0;
+}
+
+/**
+ * Create the expenses of every due renewal
+ *
+ * A failing definition is reported and retried on the next run; it does
+ * not stop the others.
+ *
+ * @param runDate - Create renewals up to this date, defaults to today
+ * @returns Promise resolving to what was created
+ */
+export async function generateDueRecurringExpenses(
+  runDate: string = getCurrentDate()
+): Promise<RecurringExpenseRunResult> {
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT id, next_date FROM recurring_expenses
+     WHERE active = TRUE AND next_date <= ? AND (end_date IS NULL OR next_date <= end_date)
+     ORDER BY next_date ASC, id ASC`,
+    [runDate]
+  );
+
+  const result: RecurringExpenseRunResult = { run_date: runDate, generated: 0, expense_ids: [], errors: [] };
+
+  for (const row of rows) {
+    let renewalDate = toDateString(row.next_date);
+
+    try {
+      for (let i = 0; i < MAX_CATCH_UP_RENEWALS; i++) {
+        const renewal = await generateRenewal(row.id, runDate);
+        if (!renewal) {
+          break;
+        }
+
+        renewalDate = renewal.next_date;
+        if (renewal.expense_id !== null) {
+          result.generated++;
+          result.expense_ids.push(renewal.expense_id);
+        }
+      }
+    } catch (error: any) {
+      result.errors.push({ recurring_expense_id: row.id, renewal_date: renewalDate, message: error.message });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Subscriptions overview: annualized cost of the active definitions by
+ * item and category, and the renewals of the coming days
+ *
+ * @param days - Days ahead for the upcoming renewals (1-366, defaults to 60)
+ * @returns Promise resolving to the overview
+ */
+export async function getSubscriptionOverview(days: number = DEFAULT_UPCOMING_DAYS): Promise<SubscriptionOverview> {
+  const upcomingDays = Math.min(Math.max(Math.floor(days) || DEFAULT_UPCOMING_DAYS, 1), MAX_UPCOMING_DAYS);
+  const today = getCurrentDate();
+  const horizon = addDays(today, upcomingDays);
+
+  const running = (await getAllRecurringExpenses())
+    .filter((item) => item.active && (!item.end_date || item.next_date <= item.end_date))
+    .sort((a, b) => b.annual_cost - a.annual_cost || a.description.localeCompare(b.description));
+
+  const byCategory = new Map<number, SubscriptionOverview['by_category'][number]>();
+  const upcoming: UpcomingRenewal[] = [];
+
+  for (const item of running) {
+    const category = byCategory.get(item.category_id) || {
+      category_id: item.category_id,
+      category_name: item.category_name,
+      category_color: item.category_color,
+      annual_cost: 0,
+      count: 0
+    };
+    category.annual_cost = roundCurrency(category.annual_cost + item.annual_cost);
+    category.count++;
+    byCategory.set(item.category_id, category);
+
+    for (const renewalDate of listRenewalDates(item, horizon)) {
+      upcoming.push({
+        recurring_expense_id: item.id,
+        description: item.description,
+        category_name: item.category_name,
+        renewal_date: renewalDate,
+        amount: getRenewalTotal(item)
+      });
+    }
+  }
+
+  upcoming.sort((a, b) => a.renewal_date.localeCompare(b.renewal_date) || a.recurring_expense_id - b.recurring_expense_id);
+  const totalAnnualCost = roundCurrency(running.reduce((sum, item) => sum + item.annual_cost, 0));
+
+  return {
+    total_annual_cost: totalAnnualCost,
+    monthly_average: roundCurrency(totalAnnualCost / 12),
+    items: running.map((item) => ({
+      id: item.id,
+      description: item.description,
+      category_name: item.category_name,
+      frequency: item.frequency,
+      amount: item.amount,
+      annual_cost: item.annual_cost,
+      next_date: item.next_date
+    })),
+    by_category: Array.from(byCategory.values()).sort((a, b) => b.annual_cost - a.annual_cost),
+    upcoming_days: upcomingDays,
+    upcoming,
+    upcoming_total: roundCurrency(upcoming.reduce((sum, renewal) => sum + renewal.amount, 0))
+  };
+}
+
+/**
+ * Create the expense of the next renewal of a definition, if due
+ *
+ * The definition row is locked, and the expense is created and next_date
+ * moved in the same transaction, so concurrent runs cannot both create
+ * it. A renewal that already has its expense only moves next_date.
+ *
+ * @returns Promise resolving to the created expense ID (null if it
+ *          existed) and the new next date, or null if nothing is due
+ */
+async function generateRenewal(
+  id: number,
+  runDate: string
+): Promise<{ expense_id: number | null; next_date: string } | null> {
+  return withTransaction(async (connection) => {
+    const [rows] = await connection.query<RowDataPacket[]>(
+      'SELECT * FROM recurring_expenses WHERE id = ? FOR UPDATE',
+      [id]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const definition = mapRecurringExpense(rows[0]);
+    const renewalDate = definition.next_date;
+    if (!definition.active || renewalDate > runDate || (definition.end_date && renewalDate > definition.end_date)) {
+      return null;
+    }
+
+    const [existing] = await connection.query<RowDataPacket[]>(
+      'SELECT id FROM expenses WHERE recurring_expense_id = ? AND recurring_date = ?',
+      [id, renewalDate]
+    );
+
+    let expenseId: number | null = null;
+    if (existing.length === 0) {
+      expenseId = await insertExpense(connection, {
+        description: definition.description,
+        amount: definition.amount,
+        category_id: definition.category_id,
+        expense_date: renewalDate,
+        notes: definition.notes || undefined,
+        iva_included: definition.iva_included,
+        iva_rate: definition.iva_rate,
+        supplier_name: definition.supplier_name || undefined
+      }, { recurring_expense_id: id, recurring_date: renewalDate });
+    }
+
+    const nextDate = getNextRenewalDate(renewalDate, definition.frequency, definition.day_of_month);
+    await connection.query(
+      'UPDATE recurring_expenses SET next_date = ? WHERE id = ?',
+      [nextDate, id]
+    );
+
+    return { expense_id: expenseId, next_date: nextDate };
+  });
+}
+
+/**
+ * Validate definition data and apply defaults
+ */
+async function validateRecurringExpense(data: Partial<RecurringExpenseFields>): Promise<RecurringExpenseFields> {
+  const description = data.description?.trim();
+
+  if (!description || data.amount === undefined || data.amount === null || !data.category_id || !data.next_date) {
+    throw new Error('Description, amount, category and next date are required');
+  }
+
+  const amount = roundCurrency(Number(data.amount));
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error('Invalid amount: must be greater than zero');
+  }
+
+  const category = await getCategoryById(Number(data.category_id));
+  if (!category) {
+    throw new Error('Invalid category ID');
+  }
+
+  const ivaRate = data.iva_rate !== undefined && data.iva_rate !== null ? Number(data.iva_rate) : 22;
+  if (!Number.isFinite(ivaRate) || ivaRate < 0 || ivaRate > 100) {
+    throw new Error('Invalid IVA rate: must be between 0 and 100');
+  }
+
+  const frequency = data.frequency || RecurringFrequency.MONTHLY;
+  if (!Object.values(RecurringFrequency).includes(frequency)) {
+    throw new Error(`Invalid frequency. Use one of: ${Object.values(RecurringFrequency).join(', ')}`);
+  }
+
+  const dayOfMonth = Number(data.day_of_month);
+  if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+    throw new Error('Invalid day of month: must be between 1 and 31');
+  }
+
+  if (!isValidDateFormat(data.next_date) || (data.end_date && !isValidDateFormat(data.end_date))) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD');
+  }
+
+  return {
+    description: description.slice(0, 500),
+    amount,
+    category_id: category.id,
+    iva_included: data.iva_included !== undefined ? Boolean(data.iva_included) : true,
+    iva_rate: ivaRate,
+    supplier_name: data.supplier_name?.trim().slice(0, 200) || null,
+    notes: data.notes?.trim() || null,
+    frequency,
+    day_of_month: dayOfMonth,
+    next_date: data.next_date,
+    end_date: data.end_date || null,
+    active: data.active !== undefined ? Boolean(data.active) : true
+  };
+}
+
+/**
+ * Renewal after a date: 1, 3, 6 or 12 months later, on the renewal day
+ * (or the last day of shorter months)
+ */
+function getNextRenewalDate(date: string, frequency: RecurringFrequency, dayOfMonth: number): string {
+  const monthIndex = parseInt(date.slice(0, 4)) * 12 + parseInt(date.slice(5, 7)) - 1 + FREQUENCY_MONTHS[frequency];
+  const year = Math.floor(monthIndex / 12);
+  const month = (monthIndex % 12) + 1;
+  const lastDay = parseInt(getLastDayOfSpecificMonth(year, month).slice(8, 10));
+  const day = Math.min(dayOfMonth, lastDay);
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Renewal dates from the next date up to a date, within the end date
+ */
+function listRenewalDates(
+  item: Pick<RecurringExpense, 'frequency' | 'day_of_month' | 'next_date' | 'end_date'>,
+  toDate: string
+): string[] {
+  const dates: string[] = [];
+  let date = item.next_date;
+
+  while (date <= toDate && (!item.end_date || date <= item.end_date)) {
+    dates.push(date);
+    date = getNextRenewalDate(date, item.frequency, item.day_of_month);
+  }
+
+  return dates;
+}
+
+/**
+ * Cost of one renewal, with the IVA to add when not included
+ */
+function getRenewalTotal(item: Pick<RecurringExpense, 'amount' | 'iva_included' | 'iva_rate'>): number {
+  const ivaAmount = item.iva_included ? 0 : roundCurrency(item.amount * (item.iva_rate / 100));
+  return roundCurrency(item.amount + ivaAmount);
+}
+
+function mapRecurringExpense(row: RowDataPacket): RecurringExpense {
+  const item = {
+    id: row.id,
+    description: row.description,
+    amount: Number(row.amount),
+    category_id: row.category_id,
+    category_name: row.category_name,
+    category_color: row.category_color,
+    iva_included: Boolean(row.iva_included),
+    iva_rate: Number(row.iva_rate),
+    supplier_name: row.supplier_name || null,
+    notes: row.notes || null,
+    frequency: row.frequency,
+    day_of_month: Number(row.day_of_month),
+    next_date: toDateString(row.next_date),
+    end_date: row.end_date ? toDateString(row.end_date) : null,
+    active: Boolean(row.active),
+    annual_cost: 0,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+
+  item.annual_cost = roundCurrency(getRenewalTotal(item) * (12 / FREQUENCY_MONTHS[item.frequency as RecurringFrequency]));
+  return item;
+}
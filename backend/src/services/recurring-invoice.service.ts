@@ -0,0 +1,603 @@
+/**
+ * Recurring Invoice Service
+ *
+ * Business logic for recurring invoice templates (e.g. monthly retainers).
+ *
+ * A template describes the invoice and its schedule: frequency, day of
+ * the month, start and optional end date. The scheduler calls
+ * generateDueRecurringInvoices(), which creates a draft invoice for every
+ * occurrence that is due. Each generated or skipped date is stored in
+ * recurring_invoice_occurrences (unique per template and date), in the
+ * same transaction as the draft, so restarts and repeated runs never
+ * create the same invoice twice.
+ *
+ * Occurrences that fall before the template was created are not
+ * generated: a start date in the past only anchors the schedule.
+ */
+
+import { RowDataPacket, ResultSetHeader } from 'mysql2';
+import db, { withTransaction } from '../config/database';
+import {
+  RecurringInvoice,
+  RecurringFrequency,
+  RecurringInvoiceOccurrence,
+  RecurringInvoiceRunResult,
+  OccurrenceStatus,
+  CreateRecurringInvoiceDTO,
+  UpdateRecurringInvoiceDTO,
+  FREQUENCY_MONTHS
+} from '../models/RecurringInvoice.model';
+import { DocumentType, InvoiceStatus, StatusChangeSource } from '../models/Invoice.model';
+import { roundCurrency } from '../utils/calc.utils';
+import {
+  addDays,
+  getCurrentDate,
+  getLastDayOfSpecificMonth,
+  isValidDateFormat,
+  toDateString
+} from '../utils/date.utils';
+import { insertInvoice } from './invoice.service';
+
+const DEFAULT_PAYMENT_DAYS = 30;
+
+// Upper bound of upcoming occurrences returned at once
+const MAX_UPCOMING_OCCURRENCES = 24;
+
+// Upper bound of dates walked while catching up on a single template
+const MAX_CATCH_UP_OCCURRENCES = 1000;
+
+/**
+ * Stored occurrence (generated or skipped date)
+ */
+interface StoredOccurrence {
+  status: OccurrenceStatus;
+  invoice_id: number | null;
+  invoice_number: string | null;
+}
+
+/**
+ * Template fields after validation
+ */
+type RecurringInvoiceFields = Omit<RecurringInvoice, 'id' | 'created_at' | 'updated_at' | 'next_occurrence'>;
+
+/**
+ * Get all recurring invoices
+ *
+ * @returns Promise resolving to the templates with their next occurrence
+ */
+export async function getAllRecurringInvoices(): Promise<RecurringInvoice[]> {
+  const [rows] = await db.query<RowDataPacket[]>(
+    'SELECT * FROM recurring_invoices ORDER BY client_name ASC, id ASC'
+  );
+
+  const templates = rows.map(mapRecurringInvoice);
+  const today = getCurrentDate();
+  const stored = await loadOccurrences(templates.map((template) => template.id), today);
+
+  return templates.map((template) => ({
+    ...template,
+    next_occurrence: findNextOccurrence(template, today, stored.get(template.id))
+  }));
+}
+
+/**
+ * Get recurring invoice by ID
+ *
+ * @param id - Recurring invoice ID
+ * @returns Promise resolving to the template or null if not found
+ */
+export async function getRecurringInvoiceById(id: number): Promise<RecurringInvoice | null> {
+  const [rows] = await db.query<RowDataPacket[]>(
+    'SELECT * FROM recurring_invoices WHERE id = ?',
+    [id]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const template = mapRecurringInvoice(rows[0]);
+  const today = getCurrentDate();
+  const stored = await loadOccurrences([id], today);
+
+  return { ...template, next_occurrence: findNextOccurrence(template, today, stored.get(id)) };
+}
+
+/**
+ * Create a recurring invoice
+ *
+ * @param data - Invoice data and schedule
+ * @returns Promise resolving to the created template
+ * @throws Error if validation fails
+ */
+export async function createRecurringInvoice(data: CreateRecurringInvoiceDTO): Promise<RecurringInvoice> {
+  const fields = validateRecurringInvoice({
+    ...data,
+    day_of_month: data.day_of_month ?? (data.start_date ? parseInt(data.start_date.slice(8, 10)) : undefined)
+  });
+
+  const [result] = await db.query<ResultSetHeader>(
+    `INSERT INTO recurring_invoices (
+      client_name, description, amount, tax_rate, frequency,
+      day_of_month, start_date, end_date, payment_days
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      fields.client_name,
+      fields.description,
+      fields.amount,
+      fields.tax_rate,
+      fields.frequency,
+      fields.day_of_month,
+      fields.start_date,
+      fields.end_date,
+      fields.payment_days
+    ]
+  );
+
+  const template = await getRecurringInvoiceById(result.insertId);
+  if (!template) {
+    throw new Error('Failed to create recurring invoice');
+  }
+
+  return template;
+}
+
+/**
+ * Update a recurring invoice
+ *
+ * Drafts already generated are not touched; the new data and schedule
+ * apply to the next occurrences.
+ *
+ * @param id - Recurring invoice ID
+ * @param data - Fields to update
+ * @returns Promise resolving to the updated template
+ * @throws Error if not found or validation fails
+ */
+export async function updateRecurringInvoice(
+  id: number,
+  data: UpdateRecurringInvoiceDTO
+): Promise<RecurringInvoice> {
+  const existing = await getRecurringInvoiceById(id);
+  if (!existing) {
+    throw new Error('Recurring invoice not found');
+  }
+
+  const fields = validateRecurringInvoice({
+    client_name: data.client_name ?? existing.client_name,
+    description: data.description ?? existing.description,
+    amount: data.amount ?? existing.amount,
+    tax_rate: data.tax_rate !== undefined ? data.tax_rate : existing.tax_rate,
+    frequency: data.frequency ?? existing.frequency,
+    day_of_month: data.day_of_month ?? existing.day_of_month,
+    start_date: data.start_date ?? existing.start_date,
+    end_date: data.end_date !== undefined ? data.end_date : existing.end_date,
+    payment_days: data.payment_days ?? existing.payment_days
+  });
+
+  await db.query(
+    `UPDATE recurring_invoices
+     SET client_name = ?, description = ?, amount = ?, tax_rate = ?, frequency = ?,
+         day_of_month = ?, start_date = ?, end_date = ?, payment_days = ?
+     WHERE id = ?`,
+    [
+      fields.client_name,
+      fields.description,
+      fields.amount,
+      fields.tax_rate,
+      fields.frequency,
+      fields.day_of_month,
+      fields.start_date,
+      fields.end_date,
+      fields.payment_days,
+      id
+    ]
+  );
+
+  const updated = await getRecurringInvoiceById(id);
+  if (!updated) {
+    throw new Error('Recurring invoice not found');
+  }
+
+  return updated;
+}
+
+/**
+ * Delete a recurring invoice
+ *
+ * The drafts it generated are kept.
+ *
+ * @param id - Recurring invoice ID
+ * @returns Promise resolving to true if deleted, false if not found
+ */
+export async function deleteRecurringInvoice(id: number): Promise<boolean> {
+  const [result] = await db.query<ResultSetHeader>(
+    'DELETE FROM recurring_invoices WHERE id = ?',
+    [id]
+  );
+
+  return result.affectedRows > 0;
+}
+
+/**
+ * List the upcoming occurrences of a recurring invoice
+ *
+ * Starts from today, so a date of today already generated is listed too.
+ *
+ * @param id - Recurring invoice ID
+ * @param count - Number of occurrences (1-24)
+ * @returns Promise resolving to the occurrences in date order
+ * @throws Error if not found
+ */
+export async function getUpcomingOccurrences(id: number, count: number = 6): Promise<RecurringInvoiceOccurrence[]> {
+  const template = await getRecurringInvoiceById(id);
+  if (!template) {
+    throw new Error('Recurring invoice not found');
+  }
+
+  const limit = Math.min(Math.max(Math.floor(count) || 1, 1), MAX_UPCOMING_OCCURRENCES);
+  const today = getCurrentDate();
+  const stored = (await loadOccurrences([id], today)).get(id);
+
+  return listOccurrenceDates(template, today, limit).map((occurrenceDate) => {
+    const occurrence = stored?.get(occurrenceDate);
+    return {
+      occurrence_date: occurrenceDate,
+      status: occurrence ? occurrence.status : OccurrenceStatus.SCHEDULED,
+      invoice_id: occurrence ? occurrence.invoice_id : null,
+      invoice_number: occurrence ? occurrence.invoice_number : null
+    };
+  });
+}
+
+/**
+ * Skip an occurrence: no invoice will be generated for that date
+ *
+ * @param id - Recurring invoice ID
+ * @param occurrenceDate - Date of the occurrence (YYYY-MM-DD)
+ * @throws Error if the date is not an open occurrence of the schedule
+ */
+export async function skipOccurrence(id: number, occurrenceDate: string): Promise<void> {
+  if (!occurrenceDate || !isValidDateFormat(occurrenceDate)) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD');
+  }
+
+  await withTransaction(async (connection) => {
+    const [rows] = await connection.query<RowDataPacket[]>(
+      'SELECT * FROM recurring_invoices WHERE id = ? FOR UPDATE',
+      [id]
+    );
+
+    if (rows.length === 0) {
+      throw new Error('Recurring invoice not found');
+    }
+
+    const template = mapRecurringInvoice(rows[0]);
+    if (listOccurrenceDates(template, occurrenceDate, 1)[0] !== occurrenceDate) {
+      throw new Error('Invalid date: not an occurrence of this recurring invoice');
+    }
+
+    const [existing] = await connection.query<RowDataPacket[]>(
+      'SELECT status FROM recurring_invoice_occurrences WHERE recurring_invoice_id = ? AND occurrence_date = ?',
+      [id, occurrenceDate]
+    );
+
+    if (existing.length > 0) {
+      throw new Error(existing[0].status === OccurrenceStatus.SKIPPED
+        ? 'Invalid date: the occurrence is already skipped'
+        : 'Invalid date: the invoice for this occurrence was already generated');
+    }
+
+    await connection.query(
+      `INSERT INTO recurring_invoice_occurrences (recurring_invoice_id, occurrence_date, status)
+       VALUES (?, ?, ?)`,
+      [id, occurrenceDate, OccurrenceStatus.SKIPPED]
+    );
+  });
+}
+
+/**
+ * Undo a skip
+ *
+ * A restored date that is already due is generated on the next run.
+ *
+ * @param id - Recurring invoice ID
+ * @param occurrenceDate - Date of the skipped occurrence (YYYY-MM-DD)
+ * @throws Error if the occurrence was not skipped
+ */
+export async function restoreOccurrence(id: number, occurrenceDate: string): Promise<void> {
+  if (!occurrenceDate || !isValidDateFormat(occurrenceDate)) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD');
+  }
+
+  const [result] = await db.query<ResultSetHeader>(
+    `DELETE FROM recurring_invoice_occurrences
+     WHERE recurring_invoice_id = ? AND occurrence_date = ? AND status = ?`,
+    [id, occurrenceDate, OccurrenceStatus.SKIPPED]
+  );
+
+  if (result.affectedRows === 0) {
+    throw new Error('Skipped occurrence not found');
+  }
+}
+
+/**
+ * Generate the draft invoices of every due occurrence
+ *
+ * Occurrences of all templates are processed in date order, so invoice
+ * numbers follow the issue dates. A failing occurrence is reported and
+ * retried on the next run; it does not stop the others.
+ *
+ * @param runDate - Generate occurrences up to this date, defaults to today
+ * @returns Promise resolving to what was generated
+ */
+export async function generateDueRecurringInvoices(
+  runDate: string = getCurrentDate()
+): Promise<RecurringInvoiceRunResult> {
+  const [rows] = await db.query<RowDataPacket[]>(
+    'SELECT * FROM recurring_invoices WHERE start_date <= ?',
+    [runDate]
+  );
+
+  const [storedRows] = await db.query<RowDataPacket[]>(
+    `SELECT o.recurring_invoice_id, o.occurrence_date
+     FROM recurring_invoice_occurrences o
+     JOIN recurring_invoices r ON r.id = o.recurring_invoice_id
+     WHERE r.start_date <= ?`,
+    [runDate]
+  );
+  const done = new Set(storedRows.map((row) => `${row.recurring_invoice_id}:${toDateString(row.occurrence_date)}`));
+
+  const pending: { id: number; occurrenceDate: string }[] = [];
+  for (const row of rows) {
+    const template = mapRecurringInvoice(row);
+    const createdDate = toDateString(row.created_at);
+    const from = createdDate > template.start_date ? createdDate : template.start_date;
+
+    for (const occurrenceDate of listOccurrenceDates(template, from, MAX_CATCH_UP_OCCURRENCES, runDate)) {
+      if (!done.has(`${template.id}:${occurrenceDate}`)) {
+        pending.push({ id: template.id, occurrenceDate });
+      }
+    }
+  }
+
+  pending.sort((a, b) => a.occurrenceDate.localeCompare(b.occurrenceDate) || a.id - b.id);
+
+  const result: RecurringInvoiceRunResult = { run_date: runDate, generated: 0, invoice_ids: [], errors: [] };
+
+  for (const { id, occurrenceDate } of pending) {
+    try {
+      const invoiceId = await generateOccurrence(id, occurrenceDate);
+      if (invoiceId !== null) {
+        result.generated++;
+        result.invoice_ids.push(invoiceId);
+      }
+    } catch (error: any) {
+      result.errors.push({ recurring_invoice_id: id, occurrence_date: occurrenceDate, message: error.message });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Create the draft invoice of one occurrence
+ *
+ * The template row is locked and the occurrence is recorded in the same
+ * transaction as the invoice, so concurrent runs cannot both create it.
+ *
+ * @returns Promise resolving to the new invoice ID, or null if the
+ *          occurrence was handled meanwhile or the template was deleted
+ */
+async function generateOccurrence(id: number, occurrenceDate: string): Promise<number | null> {
+  return withTransaction(async (connection) => {
+    const [rows] = await connection.query<RowDataPacket[]>(
+      'SELECT * FROM recurring_invoices WHERE id = ? FOR UPDATE',
+      [id]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const [existing] = await connection.query<RowDataPacket[]>(
+      'SELECT id FROM recurring_invoice_occurrences WHERE recurring_invoice_id = ? AND occurrence_date = ?',
+      [id, occurrenceDate]
+    );
+
+    if (existing.length > 0) {
+      return null;
+    }
+
+    const template = mapRecurringInvoice(rows[0]);
+    const invoiceId = await insertInvoice(connection, {
+      client_name: template.client_name,
+      description: template.description,
+      items: [{ description: template.description, quantity: 1, unit_price: template.amount }],
+      tax_rate: template.tax_rate ?? undefined,
+      status: InvoiceStatus.DRAFT,
+      issue_date: occurrenceDate,
+      due_date: addDays(occurrenceDate, template.payment_days)
+    }, DocumentType.INVOICE, null, StatusChangeSource.JOB);
+
+    await connection.query(
+      `INSERT INTO recurring_invoice_occurrences (recurring_invoice_id, occurrence_date, status, invoice_id)
+       VALUES (?, ?, ?, ?)`,
+      [id, occurrenceDate, OccurrenceStatus.GENERATED, invoiceId]
+    );
+
+    return invoiceId;
+  });
+}
+
+/**
+ * Validate template data and apply defaults
+ */
+function validateRecurringInvoice(data: Partial<RecurringInvoiceFields>): RecurringInvoiceFields {
+  const clientName = data.client_name?.trim();
+  const description = data.description?.trim();
+
+  if (!clientName || !description || data.amount === undefined || data.amount === null || !data.start_date) {
+    throw new Error('Client name, description, amount and start date are required');
+  }
+
+  const amount = roundCurrency(Number(data.amount));
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error('Invalid amount: must be greater than zero');
+  }
+
+  let taxRate: number | null = null;
+  if (data.tax_rate !== undefined && data.tax_rate !== null) {
+    taxRate = Number(data.tax_rate);
+    if (!Number.isFinite(taxRate) || taxRate < 0 || taxRate > 100) {
+      throw new Error('Invalid tax rate: must be between 0 and 100');
+    }
+  }
+
+  const frequency = data.frequency || RecurringFrequency.MONTHLY;
+  if (!Object.values(RecurringFrequency).includes(frequency)) {
+    throw new Error(`Invalid frequency. Use one of: ${Object.values(RecurringFrequency).join(', ')}`);
+  }
+
+  const dayOfMonth = Number(data.day_of_month);
+  if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+    throw new Error('Invalid day of month: must be between 1 and 31');
+  }
+
+  if (!isValidDateFormat(data.start_date) || (data.end_date && !isValidDateFormat(data.end_date))) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD');
+  }
+
+  const endDate = data.end_date || null;
+  if (endDate && endDate < data.start_date) {
+    throw new Error('Invalid date range: end date is before start date');
+  }
+
+  const paymentDays = data.payment_days ?? DEFAULT_PAYMENT_DAYS;
+  if (!Number.isInteger(Number(paymentDays)) || Number(paymentDays) < 0) {
+    throw new Error('Invalid payment days: must be zero or a positive whole number');
+  }
+
+  return {
+    client_name: clientName,
+    description,
+    amount,
+    tax_rate: taxRate,
+    frequency,
+    day_of_month: dayOfMonth,
+    start_date: data.start_date,
+    end_date: endDate,
+    payment_days: Number(paymentDays)
+  };
+}
+
+/**
+ * Schedule dates on or after a date, in order
+ *
+ * @param template - Schedule of the recurring invoice
+ * @param fromDate - First date to consider (YYYY-MM-DD)
+ * @param limit - Maximum number of dates
+ * @param toDate - Optional last date to consider
+ */
+function listOccurrenceDates(
+  template: Pick<RecurringInvoice, 'frequency' | 'day_of_month' | 'start_date' | 'end_date'>,
+  fromDate: string,
+  limit: number,
+  toDate?: string
+): string[] {
+  const interval = FREQUENCY_MONTHS[template.frequency];
+  const startMonth = getMonthIndex(template.start_date);
+  const from = fromDate > template.start_date ? fromDate : template.start_date;
+
+  // Occurrences before the month of 'from' all fall before it
+  let step = Math.max(0, Math.floor((getMonthIndex(from) - startMonth) / interval) - 1);
+  const dates: string[] = [];
+
+  while (dates.length < limit) {
+    const monthIndex = startMonth + step * interval;
+    const year = Math.floor(monthIndex / 12);
+    const month = (monthIndex % 12) + 1;
+    const lastDay = parseInt(getLastDayOfSpecificMonth(year, month).slice(8, 10));
+    const day = Math.min(template.day_of_month, lastDay);
+    const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    step++;
+
+    if ((template.end_date && date > template.end_date) || (toDate && date > toDate)) {
+      break;
+    }
+
+    if (date >= from) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * First upcoming date that was neither generated nor skipped
+ */
+function findNextOccurrence(
+  template: RecurringInvoice,
+  fromDate: string,
+  stored: Map<string, StoredOccurrence> | undefined
+): string | null {
+  const dates = listOccurrenceDates(template, fromDate, (stored?.size || 0) + 1);
+  return dates.find((date) => !stored?.has(date)) || null;
+}
+
+/**
+ * Load generated and skipped occurrences from a date onwards
+ *
+ * @returns Promise resolving to the occurrences grouped by template ID and date
+ */
+async function loadOccurrences(
+  ids: number[],
+  fromDate: string
+): Promise<Map<number, Map<string, StoredOccurrence>>> {
+  const occurrences = new Map<number, Map<string, StoredOccurrence>>();
+  if (ids.length === 0) {
+    return occurrences;
+  }
+
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT o.recurring_invoice_id, o.occurrence_date, o.status, o.invoice_id, i.invoice_number
+     FROM recurring_invoice_occurrences o
+     LEFT JOIN invoices i ON i.id = o.invoice_id
+     WHERE o.recurring_invoice_id IN (?) AND o.occurrence_date >= ?`,
+    [ids, fromDate]
+  );
+
+  for (const row of rows) {
+    const byDate = occurrences.get(row.recurring_invoice_id) || new Map<string, StoredOccurrence>();
+    byDate.set(toDateString(row.occurrence_date), {
+      status: row.status,
+      invoice_id: row.invoice_id,
+      invoice_number: row.invoice_number || null
+    });
+    occurrences.set(row.recurring_invoice_id, byDate);
+  }
+
+  return occurrences;
+}
+
+function mapRecurringInvoice(row: RowDataPacket): RecurringInvoice {
+  return {
+    id: row.id,
+    client_name: row.client_name,
+    description: row.description,
+    amount: Number(row.amount),
+    tax_rate: row.tax_rate === null ? null : Number(row.tax_rate),
+    frequency: row.frequency,
+    day_of_month: Number(row.day_of_month),
+    start_date: toDateString(row.start_date),
+    end_date: row.end_date ? toDateString(row.end_date) : null,
+    payment_days: Number(row.payment_days),
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    next_occurrence: null
+  };
+}
+
+function getMonthIndex(dateString: string): number {
+  return parseInt(dateString.slice(0, 4)) * 12 + parseInt(dateString.slice(5, 7)) - 1;
+}
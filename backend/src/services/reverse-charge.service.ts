@@ -0,0 +1,331 @@
+/**
+ * Reverse Charge Service
+ *
+ * Business logic for the IVA owed on expenses with IVA not included
+ * (reverse charge).
+ *
+ * This service:
+ * - Sums the iva_amount of those expenses by month and quarter, listing
+ *   the supplier documents behind every total
+ * - Gives the F24 deadline and tribute code of every month
+ * - Records the F24 payments and what is still to pay
+ *
+ * Under the regime forfettario the IVA of the purchases of a month is
+ * paid by the 16th of the following month (20 August for July), moved
+ * to Monday when it falls on a weekend. Expenses count in the month of
+ * their date.
+ */
+
+import { RowDataPacket, ResultSetHeader } from 'mysql2';
+import db, { withTransaction } from '../config/database';
+import {
+  CreateReverseChargePaymentDTO,
+  ReverseChargeDebt,
+  ReverseChargeDocument,
+  ReverseChargeMonth,
+  ReverseChargePayment,
+  ReverseChargeQuarter,
+  ReverseChargeReport
+} from '../models/ReverseCharge.model';
+import { roundCurrency } from '../utils/calc.utils';
+import { addDays, getCurrentDate, isValidDateFormat, toDateString } from '../utils/date.utils';
+
+// Expenses whose IVA is paid by us
+const REVERSE_CHARGE_CONDITION = 'iva_included = FALSE AND iva_amount > 0';
+
+/**
+ * Get the reverse-charge IVA of a year by month and quarter
+ *
+ * @param year - Year (defaults to current year)
+ * @returns Promise resolving to the report, with documents and payments
+ */
+export async function getReverseChargeReport(year?: number): Promise<ReverseChargeReport> {
+  const targetYear = year || new Date().getFullYear();
+
+  const [documentRows] = await db.query<RowDataPacket[]>(
+    `SELECT id, expense_date, description, supplier_name, supplier_vat_number, document_number,
+            amount, iva_rate, iva_amount
+     FROM expenses
+     WHERE ${REVERSE_CHARGE_CONDITION} AND YEAR(expense_date) = ?
+     ORDER BY expense_date ASC, id ASC`,
+    [targetYear]
+  );
+
+  const [paymentRows] = await db.query<RowDataPacket[]>(
+    'SELECT * FROM reverse_charge_payments WHERE year = ? ORDER BY payment_date ASC, id ASC',
+    [targetYear]
+  );
+
+  const documents = documentRows.map(mapDocument);
+  const payments = paymentRows.map(mapPayment);
+  const today = getCurrentDate();
+
+  const months = Array.from({ length: 12 }, (_, index) => buildMonth(
+    targetYear,
+    index + 1,
+    documents.filter((document) => Number(document.expense_date.slice(5, 7)) === index + 1),
+    payments.filter((payment) => payment.month === index + 1),
+    today
+  ));
+
+  const quarters: ReverseChargeQuarter[] = [1, 2, 3, 4].map((quarter) => {
+    const quarterMonths = months.slice((quarter - 1) * 3, quarter * 3);
+    return {
+      quarter,
+      ...sumPeriods(quarterMonths),
+      next_due_date: quarterMonths.find((month) => month.outstanding_amount > 0)?.due_date || null,
+      months: quarterMonths
+    };
+  });
+
+  return {
+    year: targetYear,
+    ...sumPeriods(months),
+    quarters
+  };
+}
+
+/**
+ * Get the reverse-charge IVA still to pay, for the dashboard
+ *
+ * @returns Promise resolving to the outstanding months of every year
+ */
+export async function getReverseChargeDebt(): Promise<ReverseChargeDebt> {
+  const [ivaRows] = await db.query<RowDataPacket[]>(
+    `SELECT YEAR(expense_date) as year, MONTH(expense_date) as month, SUM(iva_amount) as iva_amount
+     FROM expenses
+     WHERE ${REVERSE_CHARGE_CONDITION}
+     GROUP BY YEAR(expense_date), MONTH(expense_date)
+     ORDER BY year ASC, month ASC`
+  );
+
+  const [paidRows] = await db.query<RowDataPacket[]>(
+    `SELECT year, month, SUM(amount) as paid_amount
+     FROM reverse_charge_payments
+     GROUP BY year, month`
+  );
+
+  const paid = new Map<string, number>();
+  paidRows.forEach((row) => paid.set(`${row.year}-${row.month}`, Number(row.paid_amount)));
+
+  const today = getCurrentDate();
+  const periods: ReverseChargeDebt['periods'] = [];
+
+  for (const row of ivaRows) {
+    const year = Number(row.year);
+    const month = Number(row.month);
+    const outstanding = roundCurrency(Number(row.iva_amount) - (paid.get(`${year}-${month}`) || 0));
+    if (outstanding <= 0) {
+      continue;
+    }
+
+    const dueDate = getF24DueDate(year, month);
+    periods.push({
+      year,
+      month,
+      tribute_code: getTributeCode(month),
+      due_date: dueDate,
+      outstanding_amount: outstanding,
+      overdue: dueDate < today
+    });
+  }
+
+  return {
+    outstanding_amount: roundCurrency(periods.reduce((sum, period) => sum + period.outstanding_amount, 0)),
+    overdue_amount: roundCurrency(periods
+      .filter((period) => period.overdue)
+      .reduce((sum, period) => sum + period.outstanding_amount, 0)),
+    next_due_date: periods.find((period) => !period.overdue)?.due_date || null,
+    periods
+  };
+}
+
+/**
+ * Record the F24 payment of the IVA of a month
+ *
+ * Without an amount, the whole IVA still due for the month is paid.
+ *
+ * @param data - Month, and optional payment date, amount and note
+ * @returns Promise resolving to the recorded payment
+ * @throws Error if validation fails or nothing is left to pay
+ */
+export async function recordReverseChargePayment(
+  data: CreateReverseChargePaymentDTO
+): Promise<ReverseChargePayment> {
+  if (!data.year || !data.month) {
+    throw new Error('Year and month are required');
+  }
+
+  const year = Number(data.year);
+  const month = Number(data.month);
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+    throw new Error('Invalid year');
+  }
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    throw new Error('Invalid month: must be between 1 and 12');
+  }
+
+  const paymentDate = data.payment_date || getCurrentDate();
+  if (!isValidDateFormat(paymentDate)) {
+    throw new Error('Invalid date format. Use YYYY-MM-DD');
+  }
+
+  const paymentId = await withTransaction(async (connection) => {
+    // Locks the payments of the month so two payments cannot both cover it
+    const [paidRows] = await connection.query<RowDataPacket[]>(
+      'SELECT amount FROM reverse_charge_payments WHERE year = ? AND month = ? FOR UPDATE',
+      [year, month]
+    );
+    const [ivaRows] = await connection.query<RowDataPacket[]>(
+      `SELECT COALESCE(SUM(iva_amount), 0) as iva_amount
+       FROM expenses
+       WHERE ${REVERSE_CHARGE_CONDITION} AND YEAR(expense_date) = ? AND MONTH(expense_date) = ?`,
+      [year, month]
+    );
+
+    const paid = paidRows.reduce((sum, row) => sum + Number(row.amount), 0);
+    const outstanding = roundCurrency(Number(ivaRows[0].iva_amount) - paid);
+    if (outstanding <= 0) {
+      throw new Error('Invalid period: no reverse-charge IVA left to pay for the month');
+    }
+
+    const amount = data.amount !== undefined && data.amount !== null
+      ? roundCurrency(Number(data.amount))
+      : outstanding;
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error('Invalid amount: must be greater than zero');
+    }
+    if (amount > outstanding) {
+      throw new Error(`Invalid amount: only ${outstanding.toFixed(2)} is still due for the month`);
+    }
+
+    const [result] = await connection.query<ResultSetHeader>(
+      `INSERT INTO reverse_charge_payments (year, month, payment_date, amount, note)
+       VALUES (?, ?, ?, ?, ?)`,
+      [year, month, paymentDate, amount, data.note?.trim().slice(0, 500) || null]
+    );
+
+    return result.insertId;
+  });
+
+  const [rows] = await db.query<RowDataPacket[]>(
+    'SELECT * FROM reverse_charge_payments WHERE id = ?',
+    [paymentId]
+  );
+
+  return mapPayment(rows[0]);
+}
+
+/**
+ * Delete an F24 payment
+ *
+ * The IVA of its month becomes due again.
+ *
+ * @param id - Payment ID
+ * @returns Promise resolving to true if deleted, false if not found
+ */
+export async function deleteReverseChargePayment(id: number): Promise<boolean> {
+  const [result] = await db.query<ResultSetHeader>(
+    'DELETE FROM reverse_charge_payments WHERE id = ?',
+    [id]
+  );
+
+  return result.affectedRows > 0;
+}
+
+/**
+ * Get the F24 deadline for the IVA of a month
+ *
+ * @param year - Year of the expenses
+ * @param month - Month of the expenses (1-12)
+ * @returns Deadline in YYYY-MM-DD format
+ */
+export function getF24DueDate(year: number, month: number): string {
+  const dueYear = month === 12 ? year + 1 : year;
+  const dueMonth = month === 12 ? 1 : month + 1;
+  const dueDay = dueMonth === 8 ? 20 : 16;
+  const dueDate = `${dueYear}-${String(dueMonth).padStart(2, '0')}-${dueDay}`;
+
+  // Saturday and Sunday move to Monday
+  const weekday = new Date(`${dueDate}T00:00:00Z`).getUTCDay();
+  if (weekday === 6) {
+    return addDays(dueDate, 2);
+  }
+  if (weekday === 0) {
+    return addDays(dueDate, 1);
+  }
+  return dueDate;
+}
+
+/**
+ * F24 tribute code of the monthly IVA payment (6001 January ... 6012 December)
+ */
+function getTributeCode(month: number): string {
+  return String(6000 + month);
+}
+
+/**
+ * Build the IVA of one month from its documents and payments
+ */
+function buildMonth(
+  year: number,
+  month: number,
+  documents: ReverseChargeDocument[],
+  payments: ReverseChargePayment[],
+  today: string
+): ReverseChargeMonth {
+  const ivaAmount = roundCurrency(documents.reduce((sum, document) => sum + document.iva_amount, 0));
+  const paidAmount = roundCurrency(payments.reduce((sum, payment) => sum + payment.amount, 0));
+  const outstanding = Math.max(0, roundCurrency(ivaAmount - paidAmount));
+  const dueDate = getF24DueDate(year, month);
+
+  return {
+    year,
+    month,
+    tribute_code: getTributeCode(month),
+    due_date: dueDate,
+    iva_amount: ivaAmount,
+    paid_amount: paidAmount,
+    outstanding_amount: outstanding,
+    overdue: outstanding > 0 && dueDate < today,
+    documents,
+    payments
+  };
+}
+
+/**
+ * Sum the totals of several months
+ */
+function sumPeriods(months: ReverseChargeMonth[]): Pick<ReverseChargeMonth, 'iva_amount' | 'paid_amount' | 'outstanding_amount'> {
+  return {
+    iva_amount: roundCurrency(months.reduce((sum, month) => sum + month.iva_amount, 0)),
+    paid_amount: roundCurrency(months.reduce((sum, month) => sum + month.paid_amount, 0)),
+    outstanding_amount: roundCurrency(months.reduce((sum, month) => sum + month.outstanding_amount, 0))
+  };
+}
+
+function mapDocument(row: RowDataPacket): ReverseChargeDocument {
+  return {
+    expense_id: row.id,
+    expense_date: toDateString(row.expense_date),
+    description: row.description,
+    supplier_name: row.supplier_name || null,
+    supplier_vat_number: row.supplier_vat_number || null,
+    document_number: row.document_number || null,
+    amount: Number(row.amount),
+    iva_rate: Number(row.iva_rate),
+    iva_amount: Number(row.iva_amount)
+  };
+}
+
+function mapPayment(row: RowDataPacket): ReverseChargePayment {
+  return {
+    id: row.id,
+    year: Number(row.year),
+    month: Number(row.month),
+    payment_date: toDateString(row.payment_date),
+    amount: Number(row.amount),
+    note: row.note || null,
+    created_at: row.created_at
+  };
+}
@@ -13,7 +13,44 @@
 
 import { RowDataPacket } from 'mysql2';
 import db from '../config/database';
-import { Settings, parseSettingValue, UpdateSettingsDTO } from '../models/Settings.model';
+import {
+  Settings,
+  SettingKey,
+  parseSettingValue,
+  UpdateSettingsDTO,
+  DEFAULT_FORFETTARIO_EXEMPTION_TEXT,
+  DEFAULT_INVOICE_PDF_TITLE,
+  DEFAULT_INVOICE_PDF_PAYMENT_TEXT,
+  DEFAULT_INVOICE_PDF_STAMP_DUTY_TEXT,
+  DEFAULT_INVOICE_NUMBER_FORMAT,
+  DEFAULT_CREDIT_NOTE_NUMBER_FORMAT,
+  DEFAULT_STAMP_DUTY_THRESHOLD,
+  DEFAULT_STAMP_DUTY_AMOUNT,
+  DEFAULT_INPS_RIVALSA_RATE,
+  DEFAULT_QUOTE_NUMBER_FORMAT,
+  DEFAULT_QUOTE_VALIDITY_DAYS,
+  DEFAULT_LATE_INTEREST_RATE,
+  DEFAULT_SMTP_PORT,
+  DEFAULT_SMTP_SECURITY,
+  DEFAULT_EMAIL_INVOICE_SUBJECT,
+  DEFAULT_EMAIL_INVOICE_BODY,
+  DEFAULT_EMAIL_REPORT_SUBJECT,
+  DEFAULT_EMAIL_REPORT_BODY,
+  SMTP_SECURITY_MODES
+} from '../models/Settings.model';
+import {
+  formatInvoiceNumber,
+  parseInvoiceNumber,
+  validateInvoiceNumberFormat
+} from '../utils/invoice-number.utils';
+import { extractEmailAddress } from '../utils/email.utils';
+
+/**
+ * Check whether a database key is a known setting
+ */
+function isSettingKey(key: string): key is SettingKey {
+  return (Object.values(SettingKey) as string[]).includes(key);
+}
 
 /**
  * Get all application settings
@@ -34,39 +71,64 @@ export async function getAllSettings(): Promise<Settings> {
   
   rows.forEach((row) => {
     const key = row.setting_key;
-    const value = parseSettingValue(key, row.setting_value);
     
-    // Map database keys to Settings object properties
-    if (key === 'default_vat_rate') {
-      settings.default_vat_rate = value as number;
-    } else if (key === 'default_tax_rate') {
-      settings.default_tax_rate = value as number;
-    } else if (key === 'currency') {
-      settings.currency = value as string;
-    } else if (key === 'currency_symbol') {
-      settings.currency_symbol = value as string;
-    } else if (key === 'target_salary') {
-      settings.target_salary = value as number;
-    } else if (key === 'taxable_percentage') {
-      settings.taxable_percentage = value as number;
-    } else if (key === 'income_tax_rate') {
-      settings.income_tax_rate = value as number;
-    } else if (key === 'health_insurance_rate') {
-      settings.health_insurance_rate = value as number;
+    // Map database keys to Settings object properties (unknown keys are ignored)
+    if (isSettingKey(key)) {
+      (settings as Record<string, string | number | boolean>)[key] = parseSettingValue(key, row.setting_value);
     }
   });
   
   // Return with defaults if any setting is missing
-  // Support backward compatibility with default_tax_rate
+  // Support backward compatibility with default_tax_rate; a VAT rate of 0
+  // (regime forfettario) is a valid value, not a missing one
+  const vatRate = [settings.default_vat_rate, settings.default_tax_rate]
+    .find((rate) => Number.isFinite(rate)) ?? 0;
+  
   return {
-    default_vat_rate: settings.default_vat_rate || settings.default_tax_rate || 22,
-    default_tax_rate: settings.default_tax_rate || settings.default_vat_rate || 22,
+    default_vat_rate: vatRate,
+    default_tax_rate: Number.isFinite(settings.default_tax_rate) ? settings.default_tax_rate : vatRate,
     currency: settings.currency || 'EUR',
     currency_symbol: settings.currency_symbol || '€',
     target_salary: settings.target_salary || 3000,
     taxable_percentage: settings.taxable_percentage || 67,
     income_tax_rate: settings.income_tax_rate || 15,
-    health_insurance_rate: settings.health_insurance_rate || 26.07
+    health_insurance_rate: settings.health_insurance_rate || 26.07,
+    business_first_name: settings.business_first_name || '',
+    business_last_name: settings.business_last_name || '',
+    business_company_name: settings.business_company_name || '',
+    business_vat_number: settings.business_vat_number || '',
+    business_fiscal_code: settings.business_fiscal_code || '',
+    business_address: settings.business_address || '',
+    business_postal_code: settings.business_postal_code || '',
+    business_city: settings.business_city || '',
+    business_province: settings.business_province || '',
+    business_country: settings.business_country || 'IT',
+    business_iban: settings.business_iban || '',
+    forfettario_exemption_text: settings.forfettario_exemption_text || DEFAULT_FORFETTARIO_EXEMPTION_TEXT,
+    invoice_pdf_title: settings.invoice_pdf_title || DEFAULT_INVOICE_PDF_TITLE,
+    invoice_pdf_payment_text: settings.invoice_pdf_payment_text || DEFAULT_INVOICE_PDF_PAYMENT_TEXT,
+    invoice_pdf_stamp_duty_text: settings.invoice_pdf_stamp_duty_text || DEFAULT_INVOICE_PDF_STAMP_DUTY_TEXT,
+    invoice_pdf_footer_text: settings.invoice_pdf_footer_text || '',
+    invoice_number_format: settings.invoice_number_format || DEFAULT_INVOICE_NUMBER_FORMAT,
+    credit_note_number_format: settings.credit_note_number_format || DEFAULT_CREDIT_NOTE_NUMBER_FORMAT,
+    stamp_duty_threshold: settings.stamp_duty_threshold ?? DEFAULT_STAMP_DUTY_THRESHOLD,
+    stamp_duty_amount: settings.stamp_duty_amount || DEFAULT_STAMP_DUTY_AMOUNT,
+    stamp_duty_rebill: settings.stamp_duty_rebill ?? true,
+    inps_rivalsa_rate: settings.inps_rivalsa_rate ?? DEFAULT_INPS_RIVALSA_RATE,
+    inps_rivalsa_default: settings.inps_rivalsa_default ?? false,
+    quote_number_format: settings.quote_number_format || DEFAULT_QUOTE_NUMBER_FORMAT,
+    quote_validity_days: settings.quote_validity_days || DEFAULT_QUOTE_VALIDITY_DAYS,
+    late_interest_rate: settings.late_interest_rate ?? DEFAULT_LATE_INTEREST_RATE,
+    smtp_host: settings.smtp_host || '',
+    smtp_port: settings.smtp_port || DEFAULT_SMTP_PORT,
+    smtp_security: settings.smtp_security || DEFAULT_SMTP_SECURITY,
+    smtp_user: settings.smtp_user || '',
+    smtp_password: settings.smtp_password || '',
+    smtp_from: settings.smtp_from || '',
+    email_invoice_subject: settings.email_invoice_subject || DEFAULT_EMAIL_INVOICE_SUBJECT,
+    email_invoice_body: settings.email_invoice_body || DEFAULT_EMAIL_INVOICE_BODY,
+    email_report_subject: settings.email_report_subject || DEFAULT_EMAIL_REPORT_SUBJECT,
+    email_report_body: settings.email_report_body || DEFAULT_EMAIL_REPORT_BODY
   };
 }
 
@@ -78,82 +140,117 @@ export async function getAllSettings(): Promise<Settings> {
  * 
  * @param updates - Object containing settings to update
  * @returns Promise resolving to updated Settings object
+ * @throws Error if a number format, the stamp duty values, the rivalsa
+ *         INPS rate, the quote validity, the late interest rate or the
+ *         SMTP connection data are invalid
  */
 export async function updateSettings(updates: UpdateSettingsDTO): Promise<Settings> {
-  // Update each provided setting
-  const updatePromises: Promise<any>[] = [];
+  if (updates.stamp_duty_threshold !== undefined && updates.stamp_duty_threshold !== null) {
+    const threshold = Number(updates.stamp_duty_threshold);
+    if (!Number.isFinite(threshold) || threshold < 0) {
+      throw new Error('Invalid stamp duty threshold: must be zero or positive');
+    }
+  }
   
-  if (updates.default_vat_rate !== undefined) {
-    updatePromises.push(
-      db.query(
-        'INSERT INTO settings (setting_key, setting_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE setting_value = ?',
-        ['default_vat_rate', updates.default_vat_rate.toString(), updates.default_vat_rate.toString()]
-      )
-    );
+  if (updates.stamp_duty_amount !== undefined && updates.stamp_duty_amount !== null) {
+    const amount = Number(updates.stamp_duty_amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error('Invalid stamp duty amount: must be greater than zero');
+    }
   }
   
-  if (updates.default_tax_rate !== undefined) {
-    updatePromises.push(
-      db.query(
-        'INSERT INTO settings (setting_key, setting_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE setting_value = ?',
-        ['default_tax_rate', updates.default_tax_rate.toString(), updates.default_tax_rate.toString()]
-      )
-    );
+  if (updates.inps_rivalsa_rate !== undefined && updates.inps_rivalsa_rate !== null) {
+    const rate = Number(updates.inps_rivalsa_rate);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+      throw new Error('Invalid rivalsa INPS rate: must be between 0 and 100');
+    }
   }
   
-  if (updates.currency !== undefined) {
-    updatePromises.push(
-      db.query(
-        'INSERT INTO settings (setting_key, setting_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE setting_value = ?',
-        ['currency', updates.currency, updates.currency]
-      )
-    );
+  if (updates.quote_validity_days !== undefined && updates.quote_validity_days !== null) {
+    const days = Number(updates.quote_validity_days);
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error('Invalid quote validity: must be a whole number of days, at least 1');
+    }
   }
   
-  if (updates.currency_symbol !== undefined) {
-    updatePromises.push(
-      db.query(
-        'INSERT INTO settings (setting_key, setting_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE setting_value = ?',
-        ['currency_symbol', updates.currency_symbol, updates.currency_symbol]
-      )
-    );
+  if (updates.late_interest_rate !== undefined && updates.late_interest_rate !== null) {
+    const rate = Number(updates.late_interest_rate);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+      throw new Error('Invalid late interest rate: must be between 0 and 100');
+    }
   }
   
-  if (updates.target_salary !== undefined) {
-    updatePromises.push(
-      db.query(
-        'INSERT INTO settings (setting_key, setting_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE setting_value = ?',
-        ['target_salary', updates.target_salary.toString(), updates.target_salary.toString()]
-      )
-    );
+  if (updates.smtp_port !== undefined && updates.smtp_port !== null) {
+    const port = Number(updates.smtp_port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new Error('Invalid SMTP port: must be between 1 and 65535');
+    }
   }
   
-  if (updates.taxable_percentage !== undefined) {
-    updatePromises.push(
-      db.query(
-        'INSERT INTO settings (setting_key, setting_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE setting_value = ?',
-        ['taxable_percentage', updates.taxable_percentage.toString(), updates.taxable_percentage.toString()]
-      )
-    );
+  if (updates.smtp_security && !SMTP_SECURITY_MODES.includes(updates.smtp_security)) {
+    throw new Error(`Invalid SMTP security. Use one of: ${SMTP_SECURITY_MODES.join(', ')}`);
   }
   
-  if (updates.income_tax_rate !== undefined) {
-    updatePromises.push(
-      db.query(
-        'INSERT INTO settings (setting_key, setting_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE setting_value = ?',
-        ['income_tax_rate', updates.income_tax_rate.toString(), updates.income_tax_rate.toString()]
-      )
-    );
+  if (updates.smtp_from && !extractEmailAddress(updates.smtp_from)) {
+    throw new Error('Invalid sender: use an address like mario@example.com or Mario Rossi <mario@example.com>');
+  }
+  
+  // Reject numbering schemes that could not produce a progressive number
+  if (updates.invoice_number_format) {
+    const formatError = validateInvoiceNumberFormat(updates.invoice_number_format);
+    if (formatError) {
+      throw new Error(`Invalid invoice number format: ${formatError}`);
+    }
+  }
+  
+  if (updates.credit_note_number_format) {
+    const formatError = validateInvoiceNumberFormat(updates.credit_note_number_format);
+    if (formatError) {
+      throw new Error(`Invalid credit note number format: ${formatError}`);
+    }
+  }
+  
+  if (updates.quote_number_format) {
+    const formatError = validateInvoiceNumberFormat(updates.quote_number_format);
+    if (formatError) {
+      throw new Error(`Invalid quote number format: ${formatError}`);
+    }
+  }
+  
+  // Invoices and credit notes share the number column, so the two
+  // series must never produce the same number
+  if (updates.invoice_number_format || updates.credit_note_number_format) {
+    const current = await getAllSettings();
+    const invoiceFormat = updates.invoice_number_format || current.invoice_number_format;
+    const creditNoteFormat = updates.credit_note_number_format || current.credit_note_number_format;
+    const sample = formatInvoiceNumber(creditNoteFormat, new Date().getFullYear(), 1);
+    
+    if (parseInvoiceNumber(invoiceFormat, sample)) {
+      throw new Error('Invalid credit note number format: it must differ from the invoice number format (e.g. add a prefix like NC)');
+    }
   }
   
-  if (updates.health_insurance_rate !== undefined) {
+  // Update each provided setting
+  const updatePromises: Promise<any>[] = [];
+  
+  Object.values(SettingKey).forEach((key) => {
+    const value = updates[key as keyof UpdateSettingsDTO];
+    if (value === undefined || value === null) {
+      return;
+    }
+    
+    // The password is never sent back, so an empty one keeps the stored value
+    if (key === SettingKey.SMTP_PASSWORD && value === '') {
+      return;
+    }
+    
     updatePromises.push(
       db.query(
         'INSERT INTO settings (setting_key, setting_value) VALUES (?, ?) ON DUPLICATE KEY UPDATE setting_value = ?',
-        ['health_insurance_rate', updates.health_insurance_rate.toString(), updates.health_insurance_rate.toString()]
+        [key, value.toString(), value.toString()]
       )
     );
-  }
+  });
   
   // Execute all updates
   await Promise.all(updatePromises);
@@ -162,6 +259,16 @@ export async function updateSettings(updates: UpdateSettingsDTO): Promise<Settin
   return getAllSettings();
 }
 
+/**
+ * Remove secrets from settings sent to the client
+ * 
+ * @param settings - Settings as loaded
+ * @returns Settings with an empty SMTP password
+ */
+export function hideSecrets(settings: Settings): Settings {
+  return { ...settings, smtp_password: '' };
+}
+
 /**
  * Get a single setting value
  * 
@@ -0,0 +1,436 @@
+/**
+ * Worked Hours PDF Service
+ *
+ * Renders the monthly worked hours report of a client as a PDF, to be
+ * downloaded or attached to an email.
+ */
+
+import PDFDocument from 'pdfkit';
+import { WorkedHoursMonthlyReport, WorkedHoursReportEntry, WorkedHoursGroupedEntry } from '../models/WorkedHours.model';
+import { getWorkedHoursMonthlyReport } from './worked-hours.service';
+import { getAllSettings } from './settings.service';
+import {
+  PdfDocInstance,
+  drawCircularLogo,
+  getLogoImagePath,
+  normalizeCurrencySymbol,
+  renderPdfToBuffer
+} from '../utils/pdf.utils';
+
+/**
+ * Rendered report, ready to be sent
+ */
+export interface WorkedHoursReportPdfDocument {
+  filename: string;
+  content: Buffer;
+}
+
+/**
+ * Generate the monthly worked hours report of a client
+ *
+ * @param year - Year of the report
+ * @param month - Month of the report (1-12)
+ * @param clientId - Client ID
+ * @returns Promise resolving to the file name and PDF bytes
+ */
+export async function generateWorkedHoursReportPdf(
+  year: number,
+  month: number,
+  clientId: number
+): Promise<WorkedHoursReportPdfDocument> {
+  const report = await getWorkedHoursMonthlyReport(year, month, clientId);
+  const settings = await getAllSettings();
+  const currencySymbol = normalizeCurrencySymbol(settings.currency_symbol);
+  const currencyCode = settings.currency || 'EUR';
+
+  const filename = getWorkedHoursReportFilename(report.client.name, year, month);
+
+  const doc = new PDFDocument({ margin: 50, size: 'A4' });
+  renderWorkedHoursReportPdf(doc, report, currencySymbol, currencyCode);
+
+  return { filename, content: await renderPdfToBuffer(doc) };
+}
+
+/**
+ * File name of a monthly worked hours report
+ *
+ * @param clientName - Client name
+ * @param year - Year of the report
+ * @param month - Month of the report (1-12)
+ * @returns File name, e.g. report-ore-acme-03-2024.pdf
+ */
+export function getWorkedHoursReportFilename(clientName: string, year: number, month: number): string {
+  const safeClientName = clientName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'cliente';
+  return `report-ore-${safeClientName}-${String(month).padStart(2, '0')}-${year}.pdf`;
+}
+
+function renderWorkedHoursReportPdf(
+  doc: PdfDocInstance,
+  report: WorkedHoursMonthlyReport,
+  currencySymbol: string,
+  currencyCode: string
+) {
+  const margin = 50;
+  const usableWidth = doc.page.width - margin * 2;
+  const dateColWidth = 90;
+  const hoursColWidth = 70;
+  const amountColWidth = 100;
+  const descriptionWidth = usableWidth - dateColWidth - hoursColWidth - amountColWidth;
+  const periodLabel = getEnglishPeriodLabel(report);
+
+  const logoPath = getLogoImagePath();
+  const groupedEntries = (report.grouped_entries && report.grouped_entries.length)
+    ? report.grouped_entries
+    : fallbackGroupEntries(report.entries || []);
+
+  drawReportHeader(doc, margin, usableWidth, periodLabel, logoPath);
+  doc.moveDown(1.2);
+
+  drawClientSummaryCard(doc, margin, usableWidth, report, periodLabel, currencySymbol, currencyCode);
+  doc.moveDown(1);
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(13)
+    .fillColor('#111827')
+    .text('Time entries', margin);
+
+  doc.moveDown(0.35);
+  drawTableHeader(doc, margin, usableWidth, dateColWidth, descriptionWidth, hoursColWidth, amountColWidth);
+
+  if (!groupedEntries.length) {
+    doc
+      .font('Helvetica')
+      .fontSize(11)
+      .fillColor('#6b7280')
+      .text('No hours logged for this period.');
+    doc.moveDown(1);
+  } else {
+    for (const entry of groupedEntries) {
+      if (doc.y > doc.page.height - margin - 80) {
+        doc.addPage();
+        drawReportHeader(doc, margin, usableWidth, periodLabel, logoPath);
+        doc.moveDown(0.8);
+        drawTableHeader(doc, margin, usableWidth, dateColWidth, descriptionWidth, hoursColWidth, amountColWidth);
+      }
+
+      drawEntryRow(
+        doc,
+        margin,
+        usableWidth,
+        dateColWidth,
+        descriptionWidth,
+        hoursColWidth,
+        amountColWidth,
+        currencySymbol,
+        currencyCode,
+        entry
+      );
+    }
+  }
+
+  doc.moveDown(1);
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(12)
+    .fillColor('#111827')
+    .text('Summary', margin);
+
+  doc
+    .moveDown(0.3)
+    .font('Helvetica')
+    .fontSize(11)
+    .fillColor('#111827')
+    .text(`Total hours: ${report.totals.hours.toFixed(2)} h`)
+    .text(`Total amount: ${formatCurrency(report.totals.amount, currencySymbol, currencyCode)}`);
+}
+
+function drawReportHeader(
+  doc: PdfDocInstance,
+  margin: number,
+  width: number,
+  periodLabel: string,
+  logoPath?: string | null
+) {
+  const logoWidth = 150;
+  const headerHeight = 70;
+
+  doc.save();
+  doc
+    .roundedRect(margin, margin, logoWidth, headerHeight, 12)
+    .fill('#111827')
+    .restore();
+  if (logoPath) {
+    drawCircularLogo(doc, logoPath, margin, margin, logoWidth, headerHeight);
+  } else {
+    doc
+      .font('Helvetica')
+      .fontSize(11)
+      .fillColor('#9ca3af')
+      .text('Logo placeholder', margin + 20, margin + headerHeight / 2 - 6);
+  }
+  doc.restore();
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(20)
+    .fillColor('#111827')
+    .text('Worked Hours Report', margin + logoWidth + 20, margin, {
+      width: width - logoWidth - 20
+    });
+
+  doc
+    .font('Helvetica')
+    .fontSize(10)
+    .fillColor('#6b7280')
+    .text(`Generated: ${formatDateForPdf(new Date().toISOString())}`, margin + logoWidth + 20, doc.y + 2, {
+      width: width - logoWidth - 20
+    });
+
+  doc.moveDown(1);
+
+  doc
+    .font('Helvetica')
+    .fontSize(11)
+    .fillColor('#6b7280')
+    .text(periodLabel, margin + logoWidth + 20, doc.y, {
+      width: width - logoWidth - 20
+    });
+
+  doc.moveDown(0.5);
+}
+
+function drawClientSummaryCard(
+  doc: PdfDocInstance,
+  margin: number,
+  width: number,
+  report: WorkedHoursMonthlyReport,
+  periodLabel: string,
+  currencySymbol: string,
+  currencyCode: string
+) {
+  const padding = 18;
+  const cardHeight = 90;
+  const startY = doc.y;
+
+  doc
+    .save()
+    .roundedRect(margin, startY, width, cardHeight, 10)
+    .fill('#f5f5f4')
+    .restore();
+
+  const contentX = margin + padding;
+  const contentWidth = width - padding * 2;
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(12)
+    .fillColor('#0f172a')
+    .text('Client summary', contentX, startY + padding, {
+      width: contentWidth
+    });
+
+  doc
+    .font('Helvetica')
+    .fontSize(10.5)
+    .fillColor('#1f2937')
+    .text(`Client: ${report.client.name}`, {
+      width: contentWidth
+    })
+    .text(`Period: ${periodLabel}`)
+    .text(`Hourly rate: ${formatCurrency(report.client.hourly_rate, currencySymbol, currencyCode)}`);
+
+  doc.y = startY + cardHeight + 12;
+}
+
+function drawTableHeader(
+  doc: PdfDocInstance,
+  margin: number,
+  width: number,
+  dateColWidth: number,
+  descriptionWidth: number,
+  hoursColWidth: number,
+  amountColWidth: number
+) {
+  const startY = doc.y;
+
+  doc
+    .save()
+    .fillColor('#eef2ff')
+    .roundedRect(margin, startY - 6, width, 28, 6)
+    .fill()
+    .restore();
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(10)
+    .fillColor('#1f2937')
+    .text('Date', margin + 6, startY, { width: dateColWidth - 6 })
+    .text('Description', margin + dateColWidth + 6, startY, { width: descriptionWidth - 6 })
+    .text('Hours', margin + dateColWidth + descriptionWidth + 6, startY, {
+      width: hoursColWidth,
+      align: 'right'
+    })
+    .text('Amount', margin + dateColWidth + descriptionWidth + hoursColWidth - 6, startY, {
+      width: amountColWidth,
+      align: 'right'
+    });
+
+  doc.moveDown(0.8);
+  doc.font('Helvetica').fontSize(10).fillColor('#111827');
+}
+
+function drawEntryRow(
+  doc: PdfDocInstance,
+  margin: number,
+  rowWidth: number,
+  dateColWidth: number,
+  descriptionWidth: number,
+  hoursColWidth: number,
+  amountColWidth: number,
+  currencySymbol: string,
+  currencyCode: string,
+  group: WorkedHoursGroupedEntry
+) {
+  const startY = doc.y;
+  const contentY = startY + 4;
+  const note = formatGroupNotes(group);
+  const formattedDate = formatDateShort(group.worked_date);
+
+  doc
+    .font('Helvetica')
+    .fontSize(10)
+    .fillColor('#111827')
+    .text(formattedDate, margin + 6, contentY, { width: dateColWidth - 6 });
+
+  const noteHeight = doc.heightOfString(note, {
+    width: descriptionWidth - 6
+  });
+
+  doc.text(note, margin + dateColWidth + 6, contentY, {
+    width: descriptionWidth - 6
+  });
+
+  doc.text(group.hours.toFixed(2), margin + dateColWidth + descriptionWidth, contentY, {
+    width: hoursColWidth,
+    align: 'right'
+  });
+
+  doc.text(
+    formatCurrency(group.amount, currencySymbol, currencyCode),
+    margin + dateColWidth + descriptionWidth + hoursColWidth,
+    contentY,
+    {
+      width: amountColWidth,
+      align: 'right'
+    }
+  );
+
+  const rowBottom = Math.max(doc.y, contentY + noteHeight);
+
+  doc
+    .moveTo(margin, rowBottom + 6)
+    .lineTo(margin + rowWidth, rowBottom + 6)
+    .strokeColor('#e5e7eb')
+    .lineWidth(0.5)
+    .stroke();
+
+  doc.y = rowBottom + 10;
+}
+
+function fallbackGroupEntries(entries: WorkedHoursReportEntry[]): WorkedHoursGroupedEntry[] {
+  const map = new Map<string, WorkedHoursGroupedEntry>();
+  entries.forEach((entry) => {
+    if (!map.has(entry.worked_date)) {
+      map.set(entry.worked_date, {
+        worked_date: entry.worked_date,
+        hours: 0,
+        amount: 0,
+        notes: [],
+        records: []
+      });
+    }
+    const group = map.get(entry.worked_date)!;
+    group.hours += entry.hours;
+    group.amount += entry.amount;
+    if (entry.note && entry.note.trim().length) {
+      group.notes.push(entry.note.trim());
+    }
+    group.records.push(entry);
+  });
+
+  return Array.from(map.values())
+    .map((group) => ({
+      ...group,
+      hours: Math.round(group.hours * 100) / 100,
+      amount: Math.round(group.amount * 100) / 100
+    }))
+    .sort((a, b) => (a.worked_date < b.worked_date ? -1 : 1));
+}
+
+function formatGroupNotes(group: WorkedHoursGroupedEntry): string {
+  if (!group.records.length) {
+    return '';
+  }
+
+  return group.records
+    .map((record) => {
+      const note = record.note && record.note.trim().length ? record.note.trim() : '';
+      return `• ${record.hours.toFixed(2)}h ${!note.length ? '' : '—'} ${note}`;
+    })
+    .join('\n');
+}
+
+function formatCurrency(value: number, symbol: string, currencyCode: string) {
+  try {
+    const formatter = new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: currencyCode,
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    });
+
+    const parts = formatter.formatToParts(value).map((part) => {
+      if (part.type === 'currency') {
+        return `${part.value}\u00A0`;
+      }
+      return part.value;
+    });
+
+    return parts.join('').replace(/\u00A0\s*/g, '\u00A0');
+  } catch {
+    return `${symbol} ${value.toFixed(2)}`;
+  }
+}
+
+function getEnglishPeriodLabel(report: WorkedHoursMonthlyReport) {
+  const date = new Date(report.period.year, report.period.month - 1, 1);
+  return date.toLocaleDateString('en-US', {
+    month: 'long',
+    year: 'numeric'
+  });
+}
+
+function formatDateForPdf(value: string) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return value;
+  }
+  return date.toLocaleDateString('en-US', {
+    day: '2-digit',
+    month: 'long',
+    year: 'numeric'
+  });
+}
+
+function formatDateShort(value: string) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return value;
+  }
+  return date.toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: '2-digit',
+    year: '2-digit'
+  });
+}
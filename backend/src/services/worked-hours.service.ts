@@ -2,6 +2,8 @@
  * Worked Hours Service
  * 
  * Handles business logic for manual time tracking tied to clients.
+ * Entries linked to an invoice (invoice_id) are billed: their client,
+ * date and hours can no longer change.
  */
 
 import { RowDataPacket, ResultSetHeader } from 'mysql2';
@@ -16,14 +18,17 @@ import {
   WorkedHoursGroupedEntry
 } from '../models/WorkedHours.model';
 import { Client } from '../models/Client.model';
-import { getLastDayOfSpecificMonth } from '../utils/date.utils';
+import { getLastDayOfSpecificMonth, toDateString } from '../utils/date.utils';
+
+export const BILLED_ENTRY_ERROR = 'Ore già fatturate: elimina o modifica prima la fattura collegata';
+export const ARCHIVED_CLIENT_ERROR = 'Cliente archiviato: ripristinalo per registrare nuove ore';
 
 /**
  * Helper to fetch client and hourly rate.
  */
 async function getClientById(clientId: number): Promise<Client | null> {
   const [rows] = await db.query<RowDataPacket[]>(
-    `SELECT id, name, hourly_rate FROM clients WHERE id = ?`,
+    `SELECT id, name, hourly_rate, archived_at FROM clients WHERE id = ?`,
     [clientId]
   );
   if (!rows.length) return null;
@@ -44,6 +49,9 @@ export async function logWorkedHours(data: CreateWorkedHourDTO): Promise<WorkedH
   if (!client) {
     throw new Error('Cliente non trovato');
   }
+  if (client.archived_at) {
+    throw new Error(ARCHIVED_CLIENT_ERROR);
+  }
 
   const amount = Math.round(data.hours * client.hourly_rate * 100) / 100;
 
@@ -98,6 +106,7 @@ export async function getWorkedHours(month?: string, clientId?: number): Promise
         wh.hours,
         wh.amount_cached,
         wh.note,
+        wh.invoice_id,
         wh.created_at,
         wh.updated_at
      FROM worked_hours wh
@@ -124,12 +133,20 @@ export async function updateWorkedHours(id: number, data: UpdateWorkedHourDTO):
   }
 
   const existing = existingRows[0] as WorkedHour;
+  if (existing.invoice_id && changesBilledFields(existing, data)) {
+    throw new Error(BILLED_ENTRY_ERROR);
+  }
+
   const clientId = data.client_id ?? existing.client_id;
   const client = await getClientById(clientId);
 
   if (!client) {
     throw new Error('Cliente non trovato');
   }
+  // Entries already logged for an archived client can still be corrected
+  if (client.archived_at && clientId !== existing.client_id) {
+    throw new Error(ARCHIVED_CLIENT_ERROR);
+  }
 
   const hours = data.hours ?? existing.hours;
   const amount = Math.round(hours * client.hourly_rate * 100) / 100;
@@ -155,14 +172,32 @@ export async function updateWorkedHours(id: number, data: UpdateWorkedHourDTO):
     worked_date: data.worked_date ?? existing.worked_date,
     hours,
     amount_cached: amount,
-    note: data.note !== undefined ? data.note : existing.note
+    note: data.note !== undefined ? data.note : existing.note,
+    invoice_id: existing.invoice_id ?? null
   };
 }
 
+/**
+ * Whether an update touches what was billed (notes can always change).
+ */
+function changesBilledFields(existing: WorkedHour, data: UpdateWorkedHourDTO): boolean {
+  return (data.client_id !== undefined && data.client_id !== existing.client_id)
+    || (data.worked_date !== undefined && data.worked_date !== toDateString(existing.worked_date))
+    || (data.hours !== undefined && data.hours !== parseFloat(existing.hours as unknown as string));
+}
+
 /**
  * Delete a worked hours entry.
  */
 export async function deleteWorkedHours(id: number): Promise<void> {
+  const [rows] = await db.query<RowDataPacket[]>(
+    `SELECT invoice_id FROM worked_hours WHERE id = ?`,
+    [id]
+  );
+  if (rows.length && rows[0].invoice_id) {
+    throw new Error(BILLED_ENTRY_ERROR);
+  }
+
   await db.query(`DELETE FROM worked_hours WHERE id = ?`, [id]);
 }
 
@@ -178,7 +213,9 @@ export async function getWorkedHoursSummary(year: number, month: number): Promis
         wh.client_id,
         c.name as client_name,
         COALESCE(SUM(wh.hours), 0) as total_hours,
-        COALESCE(SUM(wh.amount_cached), 0) as total_amount
+        COALESCE(SUM(wh.amount_cached), 0) as total_amount,
+        COALESCE(SUM(CASE WHEN wh.invoice_id IS NULL THEN wh.hours ELSE 0 END), 0) as unbilled_hours,
+        COALESCE(SUM(CASE WHEN wh.invoice_id IS NULL THEN wh.amount_cached ELSE 0 END), 0) as unbilled_amount
      FROM worked_hours wh
      JOIN clients c ON c.id = wh.client_id
      WHERE wh.worked_date BETWEEN ? AND ?
@@ -191,23 +228,29 @@ export async function getWorkedHoursSummary(year: number, month: number): Promis
     client_id: row.client_id,
     client_name: row.client_name,
     hours: parseFloat(row.total_hours),
-    amount: parseFloat(row.total_amount)
+    amount: parseFloat(row.total_amount),
+    unbilled_hours: parseFloat(row.unbilled_hours),
+    unbilled_amount: parseFloat(row.unbilled_amount)
   }));
 
   const totals = summary.reduce(
     (acc, item) => {
       acc.total_hours += item.hours;
       acc.total_amount += item.amount;
+      acc.unbilled_hours += item.unbilled_hours;
+      acc.unbilled_amount += item.unbilled_amount;
       return acc;
     },
-    { total_hours: 0, total_amount: 0 }
+    { total_hours: 0, total_amount: 0, unbilled_hours: 0, unbilled_amount: 0 }
   );
 
   return {
     summary,
     overall: {
       total_hours: Math.round(totals.total_hours * 100) / 100,
-      total_amount: Math.round(totals.total_amount * 100) / 100
+      total_amount: Math.round(totals.total_amount * 100) / 100,
+      unbilled_hours: Math.round(totals.unbilled_hours * 100) / 100,
+      unbilled_amount: Math.round(totals.unbilled_amount * 100) / 100
     }
   };
 }
@@ -238,8 +281,11 @@ export async function getWorkedHoursMonthlyReport(
         wh.worked_date,
         wh.hours,
         wh.amount_cached,
-        wh.note
+        wh.note,
+        wh.invoice_id,
+        i.invoice_number
      FROM worked_hours wh
+     LEFT JOIN invoices i ON i.id = wh.invoice_id
      WHERE wh.client_id = ?
        AND wh.worked_date BETWEEN ? AND ?
      ORDER BY wh.worked_date ASC, wh.created_at ASC`,
@@ -251,7 +297,9 @@ export async function getWorkedHoursMonthlyReport(
     worked_date: row.worked_date,
     hours: parseFloat(row.hours),
     amount: parseFloat(row.amount_cached),
-    note: row.note ?? null
+    note: row.note ?? null,
+    invoice_id: row.invoice_id ?? null,
+    invoice_number: row.invoice_number ?? null
   }));
 
   const groupedEntries = groupEntriesByDay(entries);
@@ -0,0 +1,417 @@
+/**
+ * Bank Statement Utilities
+ *
+ * Readers for the statements banks export, each returning the movements
+ * as ParsedBankTransaction rows (money in positive, money out negative):
+ * - CSV: layout differs by bank, described by a saved column mapping
+ * - OFX: 1.x (SGML, leaf tags left open) and 2.x (XML)
+ * - CAMT.053: ISO 20022 BankToCustomerStatement, any version
+ *
+ * A row that cannot be read is returned with its errors, so the import
+ * preview can show it; a file that cannot be read at all throws.
+ */
+
+import { XMLParser } from 'fast-xml-parser';
+import { BankCsvMapping, BankStatementFormat, ParsedBankTransaction } from '../models/BankTransaction.model';
+import { roundCurrency } from './calc.utils';
+import { isValidDateFormat } from './date.utils';
+
+/**
+ * Movement read from a statement, with the problems found in its row
+ */
+export interface StatementRow extends ParsedBankTransaction {
+  errors: string[];
+}
+
+export const CSV_DATE_FORMATS = ['DD/MM/YYYY', 'YYYY-MM-DD', 'MM/DD/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY'];
+
+// CAMT elements that may repeat and must always be parsed as arrays
+const CAMT_ARRAY_ELEMENTS = ['Stmt', 'Ntry', 'NtryDtls', 'TxDtls', 'Ustrd'];
+
+/**
+ * Turn raw file bytes into text
+ *
+ * Banks still export Windows-1252 files: bytes that are not valid UTF-8
+ * are read as Latin-1 instead.
+ *
+ * @param buffer - Raw file content
+ * @returns Text without byte order mark
+ */
+export function decodeStatement(buffer: Buffer): string {
+  const utf8 = buffer.toString('utf8');
+  const content = utf8.includes('\uFFFD') ? buffer.toString('latin1') : utf8;
+  return content.replace(/^\uFEFF/, '');
+}
+
+/**
+ * Tell the format of a statement from its content
+ *
+ * @param content - Statement text
+ * @returns CAMT.053 or OFX when recognized, CSV otherwise
+ */
+export function detectStatementFormat(content: string): BankStatementFormat {
+  const head = content.slice(0, 4096);
+
+  if (/<(\w+:)?BkToCstmrStmt[\s>]/.test(content)) {
+    return BankStatementFormat.CAMT053;
+  }
+  if (/OFXHEADER|<OFX>/i.test(head)) {
+    return BankStatementFormat.OFX;
+  }
+  return BankStatementFormat.CSV;
+}
+
+/**
+ * Read a CSV statement with a column mapping
+ *
+ * @param content - Statement text
+ * @param mapping - Columns and formats of the bank
+ * @returns Movements, one per non-empty row after the header
+ * @throws Error if the header misses a mapped column
+ */
+export function parseCsvStatement(content: string, mapping: BankCsvMapping): StatementRow[] {
+  const records = parseCsv(content, mapping.column_separator).slice(mapping.skip_rows);
+  const header = (records.shift() || []).map((name) => name.trim().toLowerCase());
+
+  const columnIndex = (name: string | null): number | null => {
+    if (!name) {
+      return null;
+    }
+    const index = header.indexOf(name.trim().toLowerCase());
+    if (index === -1) {
+      throw new Error(`Invalid CSV: column "${name}" not found in the header`);
+    }
+    return index;
+  };
+
+  const columns = {
+    date: columnIndex(mapping.date_column),
+    valueDate: columnIndex(mapping.value_date_column),
+    amount: columnIndex(mapping.amount_column),
+    debit: columnIndex(mapping.debit_column),
+    credit: columnIndex(mapping.credit_column),
+    description: columnIndex(mapping.description_column),
+    counterparty: columnIndex(mapping.counterparty_column),
+    reference: columnIndex(mapping.reference_column)
+  };
+
+  return records
+    .filter((record) => record.some((value) => value.trim() !== ''))
+    .map((record) => {
+      const cell = (index: number | null) => (index === null ? '' : (record[index] || '').trim());
+      const errors: string[] = [];
+
+      const bookingDate = parseDate(cell(columns.date), mapping.date_format);
+      if (!bookingDate) {
+        errors.push(`Invalid date "${cell(columns.date)}": expected ${mapping.date_format}`);
+      }
+
+      const valueDate = cell(columns.valueDate) ? parseDate(cell(columns.valueDate), mapping.date_format) : null;
+
+      let amount: number | null;
+      if (columns.amount !== null) {
+        amount = parseAmount(cell(columns.amount), mapping.decimal_separator);
+      } else {
+        const debit = parseAmount(cell(columns.debit), mapping.decimal_separator);
+        const credit = parseAmount(cell(columns.credit), mapping.decimal_separator);
+        amount = debit ? -Math.abs(debit) : credit !== null ? Math.abs(credit) : debit;
+      }
+      if (amount === null || amount === 0) {
+        errors.push('Missing or invalid amount');
+      }
+
+      return {
+        account: null,
+        booking_date: bookingDate || '',
+        value_date: valueDate,
+        amount: amount || 0,
+        currency: 'EUR',
+        description: cell(columns.description),
+        counterparty: cell(columns.counterparty) || null,
+        reference: cell(columns.reference) || null,
+        bank_id: null,
+        errors
+      };
+    });
+}
+
+/**
+ * Read an OFX statement
+ *
+ * Only bank statements (STMTTRN in BANKTRANLIST) are read.
+ *
+ * @param content - Statement text
+ * @returns Movements in the order of the file
+ * @throws Error if the file has no transaction list
+ */
+export function parseOfxStatement(content: string): StatementRow[] {
+  if (!/<BANKTRANLIST>/i.test(content)) {
+    throw new Error('Invalid OFX: missing BANKTRANLIST');
+  }
+
+  const currency = ofxValue(content, 'CURDEF') || 'EUR';
+  const account = ofxValue(content, 'ACCTID');
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  return blocks.map((block) => {
+    const errors: string[] = [];
+
+    const bookingDate = ofxDate(ofxValue(block, 'DTPOSTED'));
+    if (!bookingDate) {
+      errors.push('Missing or invalid DTPOSTED');
+    }
+
+    // OFX allows a comma as decimal separator, without thousands separators
+    const rawAmount = ofxValue(block, 'TRNAMT') || '';
+    const amount = parseAmount(rawAmount, rawAmount.includes(',') ? ',' : '.');
+    if (amount === null || amount === 0) {
+      errors.push('Missing or invalid TRNAMT');
+    }
+
+    const name = ofxValue(block, 'NAME');
+    const memo = ofxValue(block, 'MEMO');
+
+    return {
+      account,
+      booking_date: bookingDate || '',
+      value_date: ofxDate(ofxValue(block, 'DTAVAIL')),
+      amount: amount || 0,
+      currency: (/<CURRENCY>/i.test(block) && ofxValue(block, 'CURSYM')) || currency,
+      description: memo || name || '',
+      counterparty: name,
+      reference: ofxValue(block, 'REFNUM') || ofxValue(block, 'CHECKNUM'),
+      bank_id: ofxValue(block, 'FITID'),
+      errors
+    };
+  });
+}
+
+/**
+ * Read a CAMT.053 statement
+ *
+ * Each entry (Ntry) is one movement; a batch booked as one entry keeps
+ * the details of its first transaction. Entries not booked yet are
+ * returned with an error and skipped by the import.
+ *
+ * @param content - Statement XML
+ * @returns Movements of every statement in the file
+ * @throws Error if the XML is not readable or not a BankToCustomerStatement
+ */
+export function parseCamt053Statement(content: string): StatementRow[] {
+  let document: any;
+  try {
+    const parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      removeNSPrefix: true,
+      parseTagValue: false,
+      trimValues: true,
+      isArray: (name) => CAMT_ARRAY_ELEMENTS.includes(name)
+    });
+    document = parser.parse(content)?.Document?.BkToCstmrStmt;
+  } catch (error: any) {
+    throw new Error(`Invalid XML: ${error.message}`);
+  }
+
+  if (!document?.Stmt) {
+    throw new Error('Invalid CAMT.053: missing BkToCstmrStmt/Stmt');
+  }
+
+  const rows: StatementRow[] = [];
+
+  for (const statement of document.Stmt as any[]) {
+    const account = text(statement?.Acct?.Id?.IBAN) || text(statement?.Acct?.Id?.Othr?.Id) || null;
+
+    for (const entry of (statement?.Ntry || []) as any[]) {
+      const errors: string[] = [];
+      const details = entry?.NtryDtls?.[0]?.TxDtls?.[0] || {};
+      const isDebit = text(entry?.CdtDbtInd) === 'DBIT';
+
+      const status = text(entry?.Sts?.Cd) || text(entry?.Sts);
+      if (status && status !== 'BOOK') {
+        errors.push(`Entry not booked yet (status ${status})`);
+      }
+
+      const bookingDate = camtDate(entry?.BookgDt);
+      if (!bookingDate) {
+        errors.push('Missing or invalid BookgDt');
+      }
+
+      const amount = parseAmount(text(entry?.Amt), '.');
+      if (amount === null || amount === 0) {
+        errors.push('Missing or invalid Amt');
+      }
+
+      const parties = details?.RltdPties || {};
+      const party = isDebit ? parties.Cdtr : parties.Dbtr;
+      const remittance = ((details?.RmtInf?.Ustrd || []) as any[]).map(text).filter(Boolean).join(' ');
+      const endToEndId = text(details?.Refs?.EndToEndId);
+
+      rows.push({
+        account,
+        booking_date: bookingDate || '',
+        value_date: camtDate(entry?.ValDt),
+        amount: amount === null ? 0 : isDebit ? -Math.abs(amount) : Math.abs(amount),
+        currency: text(entry?.Amt?.['@_Ccy']) || 'EUR',
+        description: remittance || text(details?.AddtlTxInf) || text(entry?.AddtlNtryInf),
+        counterparty: text(party?.Nm) || text(party?.Pty?.Nm) || null,
+        reference: (endToEndId !== 'NOTPROVIDED' ? endToEndId : '') ||
+          text(details?.RmtInf?.Strd?.CdtrRefInf?.Ref) || null,
+        bank_id: text(entry?.AcctSvcrRef) || text(entry?.NtryRef) || text(details?.Refs?.AcctSvcrRef) || null,
+        errors
+      });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Split CSV text into records
+ *
+ * Handles quoted values with delimiters, line breaks and doubled quotes.
+ */
+function parseCsv(content: string, delimiter: string): string[][] {
+  const records: string[][] = [];
+  let record: string[] = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"' && value.trim() === '') {
+      quoted = true;
+      value = '';
+    } else if (char === delimiter) {
+      record.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      record.push(value);
+      records.push(record);
+      record = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || record.length > 0) {
+    record.push(value);
+    records.push(record);
+  }
+
+  return records;
+}
+
+/**
+ * Read a date written in one of CSV_DATE_FORMATS
+ *
+ * @returns YYYY-MM-DD, or null if the value does not match the format
+ */
+function parseDate(value: string, format: string): string | null {
+  const parts = value.trim().split(/[^0-9]/).filter(Boolean);
+  if (parts.length < 3) {
+    return null;
+  }
+
+  const order = format.split(/[^A-Z]/).filter(Boolean);
+  const get = (token: string) => parts[order.indexOf(token)] || '';
+  let year = get('YYYY');
+  if (year.length === 2) {
+    year = `20${year}`;
+  }
+
+  const date = `${year}-${get('MM').padStart(2, '0')}-${get('DD').padStart(2, '0')}`;
+  return isValidDateFormat(date) ? date : null;
+}
+
+/**
+ * Read an amount as written by the bank
+ *
+ * Currency symbols, spaces and thousands separators are dropped; the
+ * sign may be leading, trailing or a Unicode minus.
+ *
+ * @returns The amount, or null if the value is empty or not a number
+ */
+function parseAmount(value: string, decimalSeparator: string): number | null {
+  let normalized = value.replace(/[\s€$£]|EUR/gi, '').replace(/−/g, '-');
+  if (normalized === '') {
+    return null;
+  }
+
+  if (normalized.endsWith('-')) {
+    normalized = `-${normalized.slice(0, -1)}`;
+  }
+  normalized = decimalSeparator === ','
+    ? normalized.replace(/\./g, '').replace(',', '.')
+    : normalized.replace(/,/g, '');
+
+  if (!/^[+-]?\d+(\.\d+)?$/.test(normalized)) {
+    return null;
+  }
+  return roundCurrency(Number(normalized));
+}
+
+/**
+ * Value of an OFX tag, closed (2.x) or not (1.x)
+ */
+function ofxValue(content: string, tag: string): string | null {
+  const match = content.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  const value = match ? decodeEntities(match[1].trim()) : '';
+  return value || null;
+}
+
+/**
+ * OFX dates start with YYYYMMDD, optionally followed by time and zone
+ */
+function ofxDate(value: string | null): string | null {
+  const match = value?.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) {
+    return null;
+  }
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  return isValidDateFormat(date) ? date : null;
+}
+
+/**
+ * CAMT dates are a Dt (date) or DtTm (date and time) element
+ */
+function camtDate(element: any): string | null {
+  const date = (text(element?.Dt) || text(element?.DtTm)).slice(0, 10);
+  return isValidDateFormat(date) ? date : null;
+}
+
+function decodeEntities(value: string): string {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Text of a parsed XML value: elements with attributes become objects
+ */
+function text(value: any): string {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    return value['#text'] !== undefined ? String(value['#text']).trim() : '';
+  }
+  return String(value).trim();
+}
@@ -6,7 +6,8 @@
  * precision to avoid floating-point errors.
  * 
  * Key functions:
- * - Tax calculations for invoices
+ * - Tax, rivalsa INPS and stamp duty calculations for invoices
+ * - Conversion of foreign currency amounts to EUR
  * - Net income calculations
  * - Percentage calculations for charts
  */
@@ -27,19 +28,80 @@ export function calculateTax(amount: number, taxRate: number): number {
   return Math.round(tax * 100) / 100;
 }
 
+/**
+ * Calculate the rivalsa INPS charged to the client
+ * 
+ * Gestione Separata freelancers may add a percentage of their fee
+ * (4% by law) to the invoice. IVA, when charged, applies to it too.
+ * 
+ * @param amount - Base amount before tax
+ * @param rivalsaRate - Rivalsa percentage (e.g., 4 for 4%), 0 if not applied
+ * @returns Rivalsa amount
+ */
+export function calculateInpsRivalsa(amount: number, rivalsaRate: number): number {
+  return roundCurrency(amount * (rivalsaRate / 100));
+}
+
 /**
  * Calculate total amount including tax
  * 
  * @param amount - Base amount before tax
  * @param taxAmount - Tax amount
- * @returns Total amount (amount + tax)
+ * @param inpsRivalsaAmount - Rivalsa INPS charged on the amount
+ * @returns Total amount (amount + rivalsa + tax)
  */
-export function calculateTotal(amount: number, taxAmount: number): number {
-  const total = amount + taxAmount;
+export function calculateTotal(amount: number, taxAmount: number, inpsRivalsaAmount: number = 0): number {
+  const total = amount + inpsRivalsaAmount + taxAmount;
   // Round to 2 decimal places
   return Math.round(total * 100) / 100;
 }
 
+/**
+ * Convert an amount in another currency to EUR
+ * 
+ * Rates follow the ECB convention: units of the currency for 1 EUR
+ * (e.g. 1.085 for USD), so the EUR amount is amount / rate.
+ * 
+ * @param amount - Amount in the invoice currency
+ * @param exchangeRate - Units of the currency for 1 EUR (1 for EUR)
+ * @returns Amount in EUR
+ */
+export function convertToEur(amount: number, exchangeRate: number): number {
+  return roundCurrency(amount / (exchangeRate || 1));
+}
+
+/**
+ * Convert an EUR amount to another currency
+ * 
+ * @param amountEur - Amount in EUR
+ * @param exchangeRate - Units of the currency for 1 EUR (1 for EUR)
+ * @returns Amount in the currency
+ */
+export function convertFromEur(amountEur: number, exchangeRate: number): number {
+  return roundCurrency(amountEur * (exchangeRate || 1));
+}
+
+/**
+ * Calculate the marca da bollo of a document
+ * 
+ * Stamp duty is due when no IVA is charged and the amount is above
+ * the threshold (77.47 euro by default).
+ * 
+ * @param amount - Base amount before tax
+ * @param taxAmount - Tax amount
+ * @param threshold - Amount above which the stamp duty is due
+ * @param stampDutyAmount - Stamp duty to apply (e.g. 2)
+ * @returns Stamp duty amount, 0 if not due
+ */
+export function calculateStampDuty(
+  amount: number,
+  taxAmount: number,
+  threshold: number,
+  stampDutyAmount: number
+): number {
+  return taxAmount === 0 && amount > threshold ? roundCurrency(stampDutyAmount) : 0;
+}
+
 /**
  * Calculate net income from gross income and expenses
  * 
@@ -77,6 +139,25 @@ export function calculatePercentage(part: number, total: number): number {
   return Math.round(percentage * 100) / 100;
 }
 
+/**
+ * Calculate late payment interest
+ * 
+ * D.Lgs. 231/2002 (commercial transactions): interest runs from the day
+ * after the due date without any formal notice, as simple interest at
+ * the yearly rate (ECB reference rate + 8 points, published every
+ * semester), on the amount still unpaid.
+ * 
+ * @param amount - Amount still unpaid
+ * @param annualRate - Yearly interest rate percentage (e.g., 10.15)
+ * @param daysLate - Days past the due date
+ * @returns Interest accrued, 0 if not late
+ */
+export function calculateLateInterest(amount: number, annualRate: number, daysLate: number): number {
+  if (amount <= 0 || annualRate <= 0 || daysLate <= 0) return 0;
+  
+  return roundCurrency(amount * (annualRate / 100) * (daysLate / 365));
+}
+
 /**
  * Round currency amount
  * 
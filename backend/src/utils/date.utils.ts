@@ -159,3 +159,65 @@ export function getMonthYear(dateString: string): { year: number; month: number
   };
 }
 
+
+/**
+ * Normalize a DATE column value to YYYY-MM-DD
+ * 
+ * mysql2 returns DATE columns as Date objects (UTC midnight, see the pool
+ * timezone), while DTOs carry plain strings. Both are accepted here.
+ * 
+ * @param value - Date object or date string
+ * @returns Date string in YYYY-MM-DD format, empty string if missing
+ */
+export function toDateString(value: string | Date | null | undefined): string {
+  if (!value) {
+    return '';
+  }
+  
+  if (value instanceof Date) {
+    return value.toISOString().split('T')[0];
+  }
+  
+  return String(value).slice(0, 10);
+}
+
+/**
+ * Add days to a date
+ * 
+ * Works on calendar dates only (UTC), so DST changes never shift the result.
+ * 
+ * @param dateString - Date string (YYYY-MM-DD)
+ * @param days - Number of days to add (negative to subtract)
+ * @returns Date string in YYYY-MM-DD format
+ */
+export function addDays(dateString: string, days: number): string {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Count the days between two dates
+ * 
+ * Works on calendar dates only (UTC), like addDays.
+ * 
+ * @param fromDate - First date (YYYY-MM-DD)
+ * @param toDate - Second date (YYYY-MM-DD)
+ * @returns Days from fromDate to toDate, negative if toDate comes first
+ */
+export function daysBetween(fromDate: string, toDate: string): number {
+  const from = Date.parse(`${fromDate}T00:00:00Z`);
+  const to = Date.parse(`${toDate}T00:00:00Z`);
+  return Math.round((to - from) / 86400000);
+}
+
+/**
+ * Format a date the Italian way
+ * 
+ * @param dateString - Date string (YYYY-MM-DD) or Date object
+ * @returns Date string in DD/MM/YYYY format
+ */
+export function formatItalianDate(dateString: string | Date): string {
+  const [year, month, day] = toDateString(dateString).split('-');
+  return `${day}/${month}/${year}`;
+}
@@ -0,0 +1,50 @@
+/**
+ * Email Utilities
+ *
+ * Helpers for addresses and message templates.
+ */
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+/**
+ * Check an email address
+ *
+ * Only the shape is checked (something@domain.tld), the SMTP server
+ * has the last word.
+ *
+ * @param address - Address to check
+ * @returns True if the address looks valid
+ */
+export function isValidEmail(address: string): boolean {
+  return EMAIL_PATTERN.test(address.trim());
+}
+
+/**
+ * Get the address of a sender or recipient
+ *
+ * Accepts both "mario@example.com" and "Mario Rossi <mario@example.com>".
+ *
+ * @param value - Address, optionally with a display name
+ * @returns The bare address, null if none is found
+ */
+export function extractEmailAddress(value: string): string | null {
+  const match = value.match(/<([^<>]+)>\s*$/);
+  const address = (match ? match[1] : value).trim();
+  return isValidEmail(address) ? address : null;
+}
+
+/**
+ * Fill the {placeholders} of a template
+ *
+ * Unknown placeholders are left as they are, so a typo shows up in the
+ * message instead of disappearing.
+ *
+ * @param template - Text with {name} placeholders
+ * @param values - Value of each placeholder
+ * @returns Filled text
+ */
+export function fillTemplate(template: string, values: Record<string, string>): string {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name: string) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder
+  );
+}
@@ -0,0 +1,39 @@
+/**
+ * File Utilities
+ *
+ * Recognise uploaded files from their first bytes: the name and the type
+ * declared by the browser are not trusted.
+ */
+
+const SIGNATURES: { mimeType: string; bytes: number[] }[] = [
+  { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },          // %PDF-
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }
+];
+
+/**
+ * Detect the type of a file from its content
+ *
+ * @param content - File content
+ * @returns MIME type, or null if the format is not recognised
+ */
+export function detectMimeType(content: Buffer): string | null {
+  const match = SIGNATURES.find(({ bytes }) =>
+    content.length >= bytes.length && bytes.every((byte, i) => content[i] === byte)
+  );
+  return match ? match.mimeType : null;
+}
+
+/**
+ * Make a file name safe to store and to send back in a header
+ *
+ * Keeps the base name only, without control characters and quotes.
+ *
+ * @param name - File name as uploaded
+ * @returns Name of at most 255 characters, "file" if nothing is left
+ */
+export function sanitizeFileName(name: string): string {
+  const baseName = String(name || '').split(/[\\/]/).pop() || '';
+  const cleaned = baseName.replace(/[\x00-\x1f\x7f"]/g, '').trim();
+  return cleaned.slice(-255) || 'file';
+}
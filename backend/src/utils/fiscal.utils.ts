@@ -0,0 +1,88 @@
+/**
+ * Fiscal Identifier Utilities
+ *
+ * Offline checks of the Italian Partita IVA and codice fiscale. The check
+ * digit catches typos; whether a code was actually assigned can only be
+ * asked to the Agenzia delle Entrate.
+ */
+
+const CODICE_FISCALE_PATTERN =
+  /^[A-Z]{6}[0-9LMNPQRSTUV]{2}[ABCDEHLMPRST][0-9LMNPQRSTUV]{2}[A-Z][0-9LMNPQRSTUV]{3}[A-Z]$/;
+
+/**
+ * Values of the characters in odd positions (1st, 3rd, ...) of a codice
+ * fiscale, for 0-9 and A-Z; in even positions digits count for their
+ * value and letters for their index in the alphabet
+ */
+const ODD_POSITION_VALUES = [1, 0, 5, 7, 9, 13, 15, 17, 19, 21, 2, 4, 18, 20, 11, 3, 6, 8, 12, 14, 16, 10, 22, 25, 24, 23];
+
+/**
+ * Check an Italian Partita IVA
+ *
+ * 11 digits, the last being the Luhn check digit of the first ten.
+ *
+ * @param value - Partita IVA, without the IT prefix
+ * @returns True if the format and check digit are right
+ */
+export function isValidPartitaIva(value: string): boolean {
+  if (!/^\d{11}$/.test(value) || /^0{7}/.test(value)) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    let digit = Number(value[i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+
+  return (10 - (sum % 10)) % 10 === Number(value[10]);
+}
+
+/**
+ * Check an Italian codice fiscale
+ *
+ * People have 16 characters ending with a check letter (omocodia
+ * variants included); companies and associations have 11 digits checked
+ * like a Partita IVA.
+ *
+ * @param value - Codice fiscale in upper case
+ * @returns True if the format and check character are right
+ */
+export function isValidCodiceFiscale(value: string): boolean {
+  if (/^\d{11}$/.test(value)) {
+    return isValidPartitaIva(value);
+  }
+
+  if (!CODICE_FISCALE_PATTERN.test(value)) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < 15; i++) {
+    const code = value.charCodeAt(i);
+    const index = code <= 57 ? code - 48 : code - 65;
+    sum += i % 2 === 0 ? ODD_POSITION_VALUES[index] : index;
+  }
+
+  return String.fromCharCode(65 + (sum % 26)) === value[15];
+}
+
+/**
+ * Normalize a Partita IVA as typed
+ *
+ * Drops spaces and, for Italian clients, the IT prefix.
+ *
+ * @param value - Partita IVA as typed
+ * @param country - ISO country code of the client
+ * @returns The code as stored
+ */
+export function normalizeVatNumber(value: string, country: string): string {
+  const vatNumber = value.replace(/\s+/g, '').toUpperCase();
+  return country === 'IT' && /^IT\d{11}$/.test(vatNumber) ? vatNumber.slice(2) : vatNumber;
+}
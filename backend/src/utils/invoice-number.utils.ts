@@ -0,0 +1,132 @@
+/**
+ * Invoice Number Utilities
+ *
+ * Invoice numbers follow a configurable format made of literal text
+ * and placeholders:
+ * - {YYYY}   four digit year of the issue date
+ * - {YY}     two digit year of the issue date
+ * - {seq}    progressive number of the year
+ * - {seq:N}  progressive number zero-padded to N digits (1-9)
+ *
+ * The format must contain exactly one {seq} placeholder, e.g.
+ * "{YYYY}/{seq:3}" gives 2024/001, 2024/002, ...
+ */
+
+const PLACEHOLDER_PATTERN = /\{([^{}]*)\}/g;
+const SEQ_PLACEHOLDER = /^seq(?::([1-9]))?$/;
+
+/**
+ * Number parsed back from a formatted invoice number
+ */
+export interface ParsedInvoiceNumber {
+  year: number | null;    // Year found in the number, null if the format has none
+  seq: number;            // Progressive number
+}
+
+/**
+ * Validate a numbering format
+ *
+ * @param format - Format string
+ * @returns Error description, or null if the format is valid
+ */
+export function validateInvoiceNumberFormat(format: string): string | null {
+  if (!format || !format.trim()) {
+    return 'the format is empty';
+  }
+
+  let seqCount = 0;
+  for (const match of format.matchAll(PLACEHOLDER_PATTERN)) {
+    const token = match[1];
+    if (SEQ_PLACEHOLDER.test(token)) {
+      seqCount++;
+    } else if (token !== 'YYYY' && token !== 'YY') {
+      return `unknown placeholder {${token}}`;
+    }
+  }
+
+  if (seqCount !== 1) {
+    return 'the format must contain exactly one {seq} or {seq:N} placeholder';
+  }
+
+  return null;
+}
+
+/**
+ * Build an invoice number
+ *
+ * @param format - Valid format string
+ * @param year - Year of the issue date
+ * @param seq - Progressive number
+ * @returns Formatted invoice number
+ */
+export function formatInvoiceNumber(format: string, year: number, seq: number): string {
+  return format.replace(PLACEHOLDER_PATTERN, (placeholder, token: string) => {
+    if (token === 'YYYY') {
+      return String(year);
+    }
+    if (token === 'YY') {
+      return String(year % 100).padStart(2, '0');
+    }
+
+    const seqMatch = token.match(SEQ_PLACEHOLDER);
+    if (seqMatch) {
+      return String(seq).padStart(seqMatch[1] ? parseInt(seqMatch[1]) : 1, '0');
+    }
+
+    return placeholder;
+  });
+}
+
+/**
+ * Parse an invoice number written with the given format
+ *
+ * Padding is not enforced, so "2024/7" matches "{YYYY}/{seq:3}" too.
+ *
+ * @param format - Valid format string
+ * @param invoiceNumber - Number to parse
+ * @returns Year and progressive number, or null if the number does not match
+ */
+export function parseInvoiceNumber(format: string, invoiceNumber: string): ParsedInvoiceNumber | null {
+  const groups: ('year' | 'shortYear' | 'seq')[] = [];
+  let pattern = '';
+  let lastIndex = 0;
+
+  for (const match of format.matchAll(PLACEHOLDER_PATTERN)) {
+    pattern += escapeRegExp(format.slice(lastIndex, match.index));
+    lastIndex = (match.index || 0) + match[0].length;
+
+    if (match[1] === 'YYYY') {
+      pattern += '(\\d{4})';
+      groups.push('year');
+    } else if (match[1] === 'YY') {
+      pattern += '(\\d{2})';
+      groups.push('shortYear');
+    } else {
+      pattern += '(\\d+)';
+      groups.push('seq');
+    }
+  }
+  pattern += escapeRegExp(format.slice(lastIndex));
+
+  const match = invoiceNumber.trim().match(new RegExp(`^${pattern}$`));
+  if (!match) {
+    return null;
+  }
+
+  let year: number | null = null;
+  let seq = 0;
+  groups.forEach((group, index) => {
+    const value = parseInt(match[index + 1]);
+    if (group === 'seq') {
+      seq = value;
+    } else {
+      year = group === 'year' ? value : 2000 + value;
+    }
+  });
+
+  return seq > 0 ? { year, seq } : null;
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,169 @@
+/**
+ * P7M Utilities
+ *
+ * Electronic invoices are often delivered signed (CAdES, .xml.p7m): the
+ * XML is wrapped in a PKCS#7 SignedData envelope encoded in DER/BER,
+ * sometimes additionally base64-encoded.
+ *
+ * We do not verify signatures here, we only need the signed content.
+ * This module walks the ASN.1 structure and returns the embedded
+ * OCTET STRING holding the document, handling both definite and
+ * indefinite lengths and content split into chunks.
+ */
+
+// Deeply nested structures are not expected in a SignedData envelope
+const MAX_DEPTH = 64;
+
+const TAG_OCTET_STRING = 0x04;
+const TAG_OCTET_STRING_CONSTRUCTED = 0x24;
+
+interface AsnHeader {
+  tag: number;              // First identifier octet
+  constructed: boolean;     // Whether the value contains nested elements
+  contentStart: number;     // Offset of the first content byte
+  length: number;           // Content length, -1 for indefinite length
+}
+
+/**
+ * Extract the signed content from a p7m envelope
+ *
+ * @param buffer - Raw envelope (DER/BER or base64 text)
+ * @param marker - Text the wanted content must contain
+ * @returns Content bytes, or null if the buffer is not a readable envelope
+ */
+export function extractP7mContent(buffer: Buffer, marker: string = 'FatturaElettronica'): Buffer | null {
+  const candidates: Buffer[] = [];
+
+  try {
+    walk(buffer, 0, buffer.length, candidates, null, 0);
+  } catch (error) {
+    // Not an ASN.1 structure: maybe base64 text
+    candidates.length = 0;
+  }
+
+  const match = candidates.find((candidate) => candidate.includes(marker));
+  if (match) {
+    return match;
+  }
+
+  const text = buffer.toString('latin1').replace(/\s+/g, '');
+  if (candidates.length === 0 && /^[A-Za-z0-9+/]+=*$/.test(text) && text.length % 4 === 0) {
+    const decoded = Buffer.from(text, 'base64');
+    if (decoded.length > 0 && decoded.length < buffer.length) {
+      return extractP7mContent(decoded, marker);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read an ASN.1 identifier and length
+ */
+function readHeader(buffer: Buffer, offset: number): AsnHeader {
+  const tag = buffer[offset];
+  let position = offset + 1;
+
+  // High tag numbers span multiple octets
+  if ((tag & 0x1f) === 0x1f) {
+    while (position < buffer.length && (buffer[position] & 0x80) !== 0) {
+      position++;
+    }
+    position++;
+  }
+
+  if (position >= buffer.length) {
+    throw new Error('Truncated ASN.1 header');
+  }
+
+  const lengthByte = buffer[position++];
+  let length: number;
+
+  if (lengthByte === 0x80) {
+    length = -1;
+  } else if ((lengthByte & 0x80) !== 0) {
+    const octets = lengthByte & 0x7f;
+    if (octets > 4) {
+      throw new Error('Unsupported ASN.1 length');
+    }
+    length = 0;
+    for (let i = 0; i < octets; i++) {
+      length = length * 256 + buffer[position++];
+    }
+  } else {
+    length = lengthByte;
+  }
+
+  if (length > buffer.length - position) {
+    throw new Error('ASN.1 length exceeds buffer');
+  }
+
+  return { tag, constructed: (tag & 0x20) !== 0, contentStart: position, length };
+}
+
+/**
+ * Walk a sequence of ASN.1 elements
+ *
+ * Primitive OCTET STRINGs are collected into `candidates`, or into
+ * `chunks` when they are parts of a constructed OCTET STRING.
+ *
+ * @returns Offset right after the last parsed element
+ */
+function walk(
+  buffer: Buffer,
+  start: number,
+  end: number,
+  candidates: Buffer[],
+  chunks: Buffer[] | null,
+  depth: number
+): number {
+  if (depth > MAX_DEPTH) {
+    throw new Error('ASN.1 structure too deep');
+  }
+
+  let position = start;
+
+  while (position < end) {
+    // End-of-contents marker closes an indefinite-length element
+    if (buffer[position] === 0x00 && buffer[position + 1] === 0x00) {
+      return position + 2;
+    }
+
+    const header = readHeader(buffer, position);
+    const contentEnd = header.length === -1 ? end : header.contentStart + header.length;
+
+    if (header.constructed) {
+      const isChunkedOctets = header.tag === TAG_OCTET_STRING_CONSTRUCTED;
+      const innerChunks = isChunkedOctets ? [] as Buffer[] : chunks;
+      const next = walk(buffer, header.contentStart, contentEnd, candidates, innerChunks, depth + 1);
+
+      if (isChunkedOctets && innerChunks) {
+        const content = Buffer.concat(innerChunks);
+        if (chunks) {
+          chunks.push(content);
+        } else {
+          candidates.push(content);
+        }
+      }
+
+      position = header.length === -1 ? next : contentEnd;
+    } else {
+      if (header.length === -1) {
+        throw new Error('Indefinite length on primitive element');
+      }
+
+      if (header.tag === TAG_OCTET_STRING) {
+        const content = buffer.subarray(header.contentStart, contentEnd);
+        if (chunks) {
+          chunks.push(content);
+        } else {
+          candidates.push(content);
+        }
+      }
+
+      position = contentEnd;
+    }
+  }
+
+  return position;
+}
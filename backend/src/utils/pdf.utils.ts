@@ -0,0 +1,129 @@
+/**
+ * PDF Utilities
+ *
+ * Helpers shared by the documents rendered with pdfkit
+ * (worked hours report, invoices).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import PDFDocument from 'pdfkit';
+
+export type PdfDocInstance = InstanceType<typeof PDFDocument>;
+
+/**
+ * Collect a pdfkit document into a buffer
+ *
+ * Ends the document, so it must be fully drawn before calling this.
+ *
+ * @param doc - Document to finalize
+ * @returns Promise resolving to the PDF bytes
+ */
+export function renderPdfToBuffer(doc: PdfDocInstance): Promise<Buffer> {
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    doc.on('data', (chunk: Buffer) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+/**
+ * Locate the brand logo
+ *
+ * The asset is copied next to the compiled sources, but the server can
+ * also run from the project root (ts-node, docker).
+ *
+ * @returns Absolute path of ds_logo.png, null if not found
+ */
+export function getLogoImagePath(): string | null {
+  const candidates = [
+    path.resolve(__dirname, '../assets/ds_logo.png'),
+    path.resolve(process.cwd(), 'dist/assets/ds_logo.png'),
+    path.resolve(process.cwd(), 'src/assets/ds_logo.png'),
+    path.resolve(process.cwd(), 'assets/ds_logo.png')
+  ];
+
+  for (const candidate of candidates) {
+    try {
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    } catch (error) {
+      console.warn('Unable to access potential logo path:', candidate, error);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Draw the logo clipped to a circle, centered in a container
+ *
+ * Falls back to a placeholder text if the image cannot be rendered.
+ */
+export function drawCircularLogo(
+  doc: PdfDocInstance,
+  logoPath: string,
+  containerX: number,
+  containerY: number,
+  containerWidth: number,
+  containerHeight: number
+) {
+  const padding = 10;
+  const diameter = Math.min(containerWidth, containerHeight) - padding * 2;
+  const x = containerX + (containerWidth - diameter) / 2;
+  const y = containerY + (containerHeight - diameter) / 2;
+  const centerX = x + diameter / 2;
+  const centerY = y + diameter / 2;
+
+  try {
+    doc.save();
+    doc.circle(centerX, centerY, diameter / 2).clip();
+    doc.image(logoPath, x, y, { width: diameter, height: diameter, align: 'center', valign: 'center' });
+    doc.restore();
+
+    doc
+      .lineWidth(1)
+      .strokeColor('#9ca3af')
+      .circle(centerX, centerY, diameter / 2)
+      .stroke();
+  } catch (error) {
+    doc.restore();
+    doc
+      .font('Helvetica')
+      .fontSize(11)
+      .fillColor('#9ca3af')
+      .text('Logo placeholder', containerX + 20, containerY + containerHeight / 2 - 6);
+    console.warn('Unable to render logo in PDF:', error);
+  }
+}
+
+/**
+ * Sanitize the configured currency symbol
+ *
+ * The standard PDF fonts only cover Latin-1 (plus €), and older
+ * databases may hold a mis-encoded euro sign.
+ */
+export function normalizeCurrencySymbol(input?: string | null): string {
+  if (!input) {
+    return '€';
+  }
+
+  const trimmed = input.trim();
+  if (!trimmed) {
+    return '€';
+  }
+
+  const suspicious = /[^\u0020-\u00FF]/.test(trimmed);
+  if (trimmed.includes('â') || trimmed.includes('Â') || trimmed.includes('€') || suspicious) {
+    return '€';
+  }
+
+  if (trimmed.length > 3) {
+    return trimmed[0];
+  }
+
+  return trimmed;
+}
@@ -10,6 +10,7 @@
  * - data: the actual response data (for successful requests)
  * - error: error message (for failed requests)
  * - message: optional human-readable message
+ * - details: optional list of individual problems (validation reports)
  */
 
 import { Response } from 'express';
@@ -24,6 +25,7 @@ export interface ApiResponse<T = any> {
   data?: T;
   error?: string;
   message?: string;
+  details?: string[];
 }
 
 /**
@@ -105,6 +107,48 @@ export function sendValidationError(
   sendError(res, message, 400);
 }
 
+/**
+ * Send conflict response
+ * 
+ * Convenience method for 409 responses, used when the request clashes
+ * with the current state of a resource (e.g. a status transition that
+ * is not allowed).
+ * 
+ * @param res - Express response object
+ * @param message - Error message explaining the conflict
+ */
+export function sendConflict(
+  res: Response,
+  message: string
+): void {
+  sendError(res, message, 409);
+}
+
+/**
+ * Send unprocessable entity response
+ * 
+ * Used when a request is well-formed but the stored data cannot be
+ * turned into the requested output (e.g. an electronic invoice missing
+ * mandatory fiscal data). Every problem is listed in `details`.
+ * 
+ * @param res - Express response object
+ * @param message - Summary error message
+ * @param details - List of individual problems
+ */
+export function sendUnprocessable(
+  res: Response,
+  message: string,
+  details: string[]
+): void {
+  const response: ApiResponse = {
+    success: false,
+    error: message,
+    details
+  };
+  
+  res.status(422).json(response);
+}
+
 /**
  * Send created response
  * 
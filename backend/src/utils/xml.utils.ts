@@ -0,0 +1,89 @@
+/**
+ * XML Utilities
+ *
+ * Minimal helpers for building XML documents from plain objects.
+ * Used to produce electronic invoices (FatturaPA) without pulling in
+ * a full XML library.
+ *
+ * Elements are described as a tree of XmlElement objects; empty
+ * children (null, undefined, false, '') are skipped so optional blocks can
+ * be written inline with conditional expressions.
+ */
+
+/**
+ * XML element description
+ */
+export interface XmlElement {
+  name: string;                           // Tag name, including prefix if any
+  attributes?: Record<string, string>;    // Attributes in insertion order
+  text?: string | number;                 // Text content (leaf elements)
+  children?: XmlChild[];                  // Nested elements
+}
+
+export type XmlChild = XmlElement | null | undefined | false | '';
+
+/**
+ * Escape a value for use in XML text or attribute content
+ *
+ * @param value - Raw value
+ * @returns Escaped string
+ */
+export function escapeXml(value: string | number): string {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Create an element
+ *
+ * Shorthand used to keep document builders readable:
+ * el('Numero', '2024/001') or el('DatiGenerali', [ ...children ])
+ *
+ * @param name - Tag name
+ * @param content - Text content or list of children
+ * @param attributes - Optional attributes
+ * @returns XmlElement
+ */
+export function el(
+  name: string,
+  content?: string | number | XmlChild[],
+  attributes?: Record<string, string>
+): XmlElement {
+  if (Array.isArray(content)) {
+    return { name, attributes, children: content };
+  }
+  return { name, attributes, text: content };
+}
+
+/**
+ * Render an element tree as an indented XML document
+ *
+ * @param root - Root element
+ * @returns XML string with declaration
+ */
+export function renderXmlDocument(root: XmlElement): string {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${renderElement(root, 0)}\n`;
+}
+
+function renderElement(element: XmlElement, depth: number): string {
+  const indent = '  '.repeat(depth);
+  const attributes = Object.entries(element.attributes || {})
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  const children = (element.children || []).filter((child): child is XmlElement => !!child);
+
+  if (children.length > 0) {
+    const inner = children.map((child) => renderElement(child, depth + 1)).join('\n');
+    return `${indent}<${element.name}${attributes}>\n${inner}\n${indent}</${element.name}>`;
+  }
+
+  if (element.text === undefined || element.text === '') {
+    return `${indent}<${element.name}${attributes}/>`;
+  }
+
+  return `${indent}<${element.name}${attributes}>${escapeXml(element.text)}</${element.name}>`;
+}
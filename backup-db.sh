@@ -9,7 +9,9 @@
 #   ./backup-db.sh                    # Create a backup
 #   ./backup-db.sh --auto             # Auto backup (no confirmation, less output)
 #
-# The script creates a compressed SQL dump of your entire database.
+# The script creates a compressed SQL dump of your entire database, plus
+# an archive of the attachments (receipts and documents) stored by the
+# backend, with the same timestamp.
 # ============================================================================
 
 set -e  # Exit on error
@@ -26,6 +28,9 @@ DB_CONTAINER="freelancer-finance-db"
 DB_NAME="freelancer_finance"
 DB_USER="root"
 DB_PASSWORD="root_password_change_me"
+BACKEND_CONTAINER="freelancer-finance-backend"
+# Parent directory of the attachments volume inside the backend container
+ATTACHMENTS_PARENT="/app/data"
 BACKUP_DIR="./backups"
 AUTO_MODE=false
 
@@ -54,6 +59,7 @@ fi
 # Generate backup filename with timestamp
 TIMESTAMP=$(date +%Y%m%d_%H%M%S)
 BACKUP_FILE="$BACKUP_DIR/freelancer_finance_backup_$TIMESTAMP.sql"
+ATTACHMENTS_FILE="$BACKUP_DIR/freelancer_finance_attachments_$TIMESTAMP.tar.gz"
 
 if [ "$AUTO_MODE" = false ]; then
     echo -e "${YELLOW}Creating database backup...${NC}"
@@ -81,6 +87,19 @@ if docker exec "$DB_CONTAINER" mysqldump \
     # Get file size
     BACKUP_SIZE=$(du -h "$BACKUP_FILE" | cut -f1)
     
+    # Archive the attachments (the database only knows their names)
+    if [ "$AUTO_MODE" = false ]; then
+        echo -e "${YELLOW}Archiving attachments...${NC}"
+    fi
+    if docker ps | grep -q "$BACKEND_CONTAINER" && \
+        docker exec "$BACKEND_CONTAINER" tar -czf - -C "$ATTACHMENTS_PARENT" attachments > "$ATTACHMENTS_FILE" 2>/dev/null; then
+        ATTACHMENTS_SIZE=$(du -h "$ATTACHMENTS_FILE" | cut -f1)
+    else
+        rm -f "$ATTACHMENTS_FILE"
+        ATTACHMENTS_FILE=""
+        echo -e "${YELLOW}⚠ Attachments not archived: is '$BACKEND_CONTAINER' running?${NC}"
+    fi
+    
     if [ "$AUTO_MODE" = false ]; then
         echo ""
         echo -e "${GREEN}============================================================================${NC}"
@@ -90,12 +109,15 @@ if docker exec "$DB_CONTAINER" mysqldump \
         echo "Backup details:"
         echo "  File: $BACKUP_FILE"
         echo "  Size: $BACKUP_SIZE"
+        if [ -n "$ATTACHMENTS_FILE" ]; then
+            echo "  Attachments: $ATTACHMENTS_FILE ($ATTACHMENTS_SIZE)"
+        fi
         echo "  Date: $(date '+%Y-%m-%d %H:%M:%S')"
         echo ""
         echo "To restore this backup, run:"
         echo "  ./restore-db.sh $BACKUP_FILE"
     else
-        echo "$(date '+%Y-%m-%d %H:%M:%S') - Backup created: $BACKUP_FILE ($BACKUP_SIZE)"
+        echo "$(date '+%Y-%m-%d %H:%M:%S') - Backup created: $BACKUP_FILE ($BACKUP_SIZE)${ATTACHMENTS_FILE:+, attachments: $ATTACHMENTS_FILE ($ATTACHMENTS_SIZE)}"
     fi
     
     # Clean up old backups (keep last 10)
@@ -106,6 +128,7 @@ if docker exec "$DB_CONTAINER" mysqldump \
     
     cd "$BACKUP_DIR"
     ls -t freelancer_finance_backup_*.sql.gz 2>/dev/null | tail -n +11 | xargs -r rm --
+    ls -t freelancer_finance_attachments_*.tar.gz 2>/dev/null | tail -n +11 | xargs -r rm --
     REMAINING=$(ls -1 freelancer_finance_backup_*.sql.gz 2>/dev/null | wc -l)
     
     if [ "$AUTO_MODE" = false ]; then
@@ -0,0 +1,393 @@
+/**
+ * Attachments Dialog Component
+ *
+ * Global modal with the receipts and documents attached to an expense
+ * or an invoice: thumbnails of the files, a preview of the one selected,
+ * upload (PDF, JPG, PNG) and delete.
+ *
+ * Opened via the 'attachments:open' window event
+ * with detail { ownerType: 'expense' | 'invoice', ownerId, title }.
+ */
+
+class AttachmentsDialog extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.isOpen = false;
+    this.loading = false;
+    this.owner = null;        // { ownerType, ownerId, title }
+    this.attachments = [];
+    this.selectedId = null;   // Attachment shown in the preview
+    this.handleExternalOpen = this.handleExternalOpen.bind(this);
+  }
+
+  connectedCallback() {
+    window.addEventListener('attachments:open', this.handleExternalOpen);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener('attachments:open', this.handleExternalOpen);
+  }
+
+  handleExternalOpen(event) {
+    const detail = event.detail || {};
+    if (detail.ownerType && detail.ownerId) {
+      this.open(detail);
+    }
+  }
+
+  async open(owner) {
+    this.isOpen = true;
+    this.owner = owner;
+    this.attachments = [];
+    this.selectedId = null;
+    await this.loadAttachments();
+  }
+
+  close() {
+    this.isOpen = false;
+    this.render();
+  }
+
+  async loadAttachments() {
+    this.loading = true;
+    this.render();
+
+    try {
+      this.attachments = await API.attachments.getAll(this.owner.ownerType, this.owner.ownerId);
+      if (!this.attachments.some(attachment => attachment.id === this.selectedId)) {
+        this.selectedId = this.attachments[0]?.id || null;
+      }
+    } catch (error) {
+      console.error('Errore caricamento allegati:', error);
+      showNotification(error.message || 'Impossibile caricare gli allegati', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  /**
+   * The lists show how many files each expense or invoice has
+   */
+  notifyChange() {
+    emitDataChange(this.owner.ownerType === 'invoice' ? AppEvents.INVOICES_CHANGED : AppEvents.EXPENSES_CHANGED);
+  }
+
+  async handleFilesSelected(fileList) {
+    if (!fileList || fileList.length === 0 || this.loading) return;
+
+    this.loading = true;
+    this.render();
+
+    try {
+      const files = await Promise.all(Array.from(fileList).map(file => this.readFile(file)));
+      const created = await API.attachments.upload(this.owner.ownerType, this.owner.ownerId, files);
+      showNotification(created.length === 1 ? 'Allegato caricato' : `${created.length} allegati caricati`, 'success');
+      this.selectedId = created[0]?.id || this.selectedId;
+      this.notifyChange();
+    } catch (error) {
+      console.error('Errore caricamento allegato:', error);
+      showNotification(error.message || 'Impossibile caricare i file', 'error');
+    } finally {
+      this.loading = false;
+    }
+
+    await this.loadAttachments();
+  }
+
+  readFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => {
+        // Strip the "data:<mime>;base64," prefix
+        const result = String(reader.result);
+        resolve({ name: file.name, content: result.slice(result.indexOf(',') + 1) });
+      };
+      reader.onerror = () => reject(new Error(`Impossibile leggere ${file.name}`));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  async handleDelete(attachmentId) {
+    const attachment = this.attachments.find(a => a.id === attachmentId);
+    if (this.loading || !confirm(`Eliminare l'allegato ${attachment ? attachment.file_name : ''}?`)) return;
+
+    try {
+      await API.attachments.delete(attachmentId);
+      showNotification('Allegato eliminato', 'success');
+      this.notifyChange();
+    } catch (error) {
+      console.error('Errore eliminazione allegato:', error);
+      showNotification(error.message || 'Impossibile eliminare l\'allegato', 'error');
+    }
+
+    await this.loadAttachments();
+  }
+
+  formatSize(bytes) {
+    if (bytes < 1024 * 1024) {
+      return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  renderThumbnails() {
+    if (this.attachments.length === 0) {
+      return `<div class="list-empty">${this.loading ? 'Caricamento...' : 'Nessun allegato.'}</div>`;
+    }
+
+    return `
+      <div class="thumbnails">
+        ${this.attachments.map(attachment => `
+          <button class="thumbnail ${attachment.id === this.selectedId ? 'selected' : ''}" data-select-id="${attachment.id}" title="${escapeHtml(attachment.file_name)}">
+            ${attachment.mime_type.startsWith('image/')
+              ? `<img src="${API.attachments.getFileUrl(attachment.id, true)}" alt="" loading="lazy">`
+              : '<span class="file-type">PDF</span>'}
+            <span class="file-name">${escapeHtml(attachment.file_name)}</span>
+          </button>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  renderPreview() {
+    const attachment = this.attachments.find(a => a.id === this.selectedId);
+    if (!attachment) {
+      return '';
+    }
+
+    const url = API.attachments.getFileUrl(attachment.id, true);
+
+    return `
+      <section class="preview">
+        <div class="preview-header">
+          <div>
+            <strong>${escapeHtml(attachment.file_name)}</strong>
+            <div class="muted">${this.formatSize(attachment.size_bytes)}, caricato il ${formatDate(attachment.created_at, 'short')}</div>
+          </div>
+          <div class="actions">
+            <a class="btn btn-secondary btn-sm" href="${API.attachments.getFileUrl(attachment.id)}">Scarica</a>
+            <button class="btn btn-danger btn-sm" data-delete-id="${attachment.id}" ${this.loading ? 'disabled' : ''}>Elimina</button>
+          </div>
+        </div>
+        ${attachment.mime_type.startsWith('image/')
+          ? `<img class="preview-image" src="${url}" alt="${escapeHtml(attachment.file_name)}">`
+          : `<iframe class="preview-pdf" src="${url}" title="${escapeHtml(attachment.file_name)}"></iframe>`}
+      </section>
+    `;
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        .modal {
+          position: fixed;
+          inset: 0;
+          display: ${this.isOpen ? 'flex' : 'none'};
+          align-items: center;
+          justify-content: center;
+          background: var(--color-overlay);
+          z-index: 2200;
+          padding: 1rem;
+        }
+        .modal-content {
+          width: 100%;
+          max-width: 860px;
+          max-height: 90vh;
+          background: var(--color-bg);
+          color: var(--color-text-primary);
+          border-radius: 0.375rem;
+          box-shadow: var(--shadow-xl);
+          overflow: hidden;
+          border: 1px solid var(--color-border);
+          display: flex;
+          flex-direction: column;
+        }
+        .modal-header {
+          padding: 1rem 1.5rem;
+          border-bottom: 1px solid var(--color-border);
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 0.5rem;
+        }
+        .modal-header h2 {
+          margin: 0;
+          font-size: 1.125rem;
+          font-weight: 600;
+        }
+        .close-btn {
+          background: none;
+          border: none;
+          font-size: 1.5rem;
+          cursor: pointer;
+          color: var(--color-text-secondary);
+        }
+        .modal-body {
+          padding: 1.5rem;
+          display: grid;
+          gap: 1.25rem;
+          overflow-y: auto;
+        }
+        .upload {
+          display: flex;
+          align-items: center;
+          gap: 1rem;
+          flex-wrap: wrap;
+        }
+        .thumbnails {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(110px, 1fr));
+          gap: 0.75rem;
+        }
+        .thumbnail {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 0.35rem;
+          padding: 0.5rem;
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+          background: var(--color-bg-secondary);
+          color: var(--color-text-primary);
+          cursor: pointer;
+          min-width: 0;
+        }
+        .thumbnail.selected {
+          border-color: var(--color-primary);
+          box-shadow: 0 0 0 1px var(--color-primary);
+        }
+        .thumbnail img,
+        .thumbnail .file-type {
+          width: 100%;
+          height: 80px;
+          object-fit: cover;
+          border-radius: 0.25rem;
+        }
+        .thumbnail .file-type {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: var(--color-danger);
+          color: #fff;
+          font-weight: 700;
+          letter-spacing: 0.05em;
+        }
+        .file-name {
+          width: 100%;
+          font-size: 0.75rem;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+        .preview {
+          display: grid;
+          gap: 0.75rem;
+          padding-top: 1rem;
+          border-top: 1px solid var(--color-border);
+        }
+        .preview-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 1rem;
+        }
+        .preview-image {
+          max-width: 100%;
+          max-height: 60vh;
+          justify-self: center;
+          border-radius: 0.25rem;
+        }
+        .preview-pdf {
+          width: 100%;
+          height: 60vh;
+          border: 1px solid var(--color-border);
+          border-radius: 0.25rem;
+        }
+        .actions {
+          display: flex;
+          gap: 0.5rem;
+        }
+        .muted {
+          font-size: 0.8rem;
+          color: var(--color-text-secondary);
+        }
+        .list-empty {
+          text-align: center;
+          padding: 1rem;
+          color: var(--color-text-secondary);
+        }
+        .btn {
+          border-radius: 0.375rem;
+          padding: 0.45rem 1rem;
+          font-size: 0.9rem;
+          font-weight: 500;
+          cursor: pointer;
+          border: 1px solid transparent;
+          text-decoration: none;
+        }
+        .btn-sm {
+          font-size: 0.75rem;
+          padding: 0.25rem 0.5rem;
+        }
+        .btn-primary {
+          background: var(--color-primary);
+          color: #fff;
+        }
+        .btn-secondary {
+          background: var(--color-bg-tertiary);
+          color: var(--color-text-primary);
+        }
+        .btn-danger {
+          background: var(--color-danger);
+          color: #fff;
+        }
+        .btn:disabled {
+          opacity: 0.7;
+          cursor: not-allowed;
+        }
+      </style>
+
+      <div class="modal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2>Allegati${this.owner?.title ? ` - ${escapeHtml(this.owner.title)}` : ''}</h2>
+            <button class="close-btn" id="close-attachments">&times;</button>
+          </div>
+          <div class="modal-body">
+            <div class="upload">
+              <input type="file" id="attachment-files" accept="application/pdf,image/jpeg,image/png" multiple hidden>
+              <button class="btn btn-primary" id="choose-files" ${this.loading ? 'disabled' : ''}>
+                ${this.loading ? 'Attendere...' : 'Carica file'}
+              </button>
+              <span class="muted">PDF, JPG o PNG</span>
+            </div>
+            ${this.renderThumbnails()}
+            ${this.renderPreview()}
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.shadowRoot.querySelector('#close-attachments')?.addEventListener('click', () => this.close());
+
+    const fileInput = this.shadowRoot.querySelector('#attachment-files');
+    this.shadowRoot.querySelector('#choose-files')?.addEventListener('click', () => fileInput.click());
+    fileInput?.addEventListener('change', () => this.handleFilesSelected(fileInput.files));
+
+    this.shadowRoot.querySelectorAll('[data-select-id]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.selectedId = parseInt(btn.dataset.selectId);
+        this.render();
+      });
+    });
+
+    this.shadowRoot.querySelectorAll('[data-delete-id]').forEach(btn => {
+      btn.addEventListener('click', () => this.handleDelete(parseInt(btn.dataset.deleteId)));
+    });
+  }
+}
+
+customElements.define('attachments-dialog', AttachmentsDialog);
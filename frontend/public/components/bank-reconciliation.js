@@ -0,0 +1,879 @@
+/**
+ * Bank Reconciliation Component
+ *
+ * View to import the statements of the bank account (generic CSV with a
+ * saved column mapping, OFX, CAMT.053) and reconcile the movements:
+ * money in is matched to an open invoice (recording its payment with the
+ * value date), money out to an existing expense or a new one.
+ *
+ * Usage:
+ * <bank-reconciliation></bank-reconciliation>
+ */
+
+const BANK_STATUS_LABELS = {
+  unmatched: 'Da riconciliare',
+  matched: 'Riconciliato',
+  ignored: 'Ignorato'
+};
+
+const BANK_MATCH_REASON_LABELS = {
+  amount: 'Importo uguale',
+  partial_amount: 'Pagamento parziale',
+  reference: 'Numero nella causale',
+  counterparty: 'Stessa controparte',
+  date: 'Data vicina'
+};
+
+const BANK_CSV_SEPARATORS = [
+  { value: ';', label: 'Punto e virgola (;)' },
+  { value: ',', label: 'Virgola (,)' },
+  { value: '\t', label: 'Tabulazione' },
+  { value: '|', label: 'Barra verticale (|)' }
+];
+
+const BANK_CSV_DATE_FORMATS = ['DD/MM/YYYY', 'YYYY-MM-DD', 'MM/DD/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY'];
+
+class BankReconciliation extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.mappings = [];
+    this.mappingId = '';
+    this.editingMapping = null;
+    this.files = [];
+    this.items = [];
+    this.selectedKeys = new Set();
+    this.status = 'unmatched';
+    this.transactions = [];
+    this.selectedTransaction = null;
+    this.suggestions = [];
+    this.loading = false;
+  }
+
+  connectedCallback() {
+    this.render();
+
+    // Matches change invoices and expenses elsewhere, and the other way round
+    this.boundReload = () => this.loadTransactions();
+    window.addEventListener(window.AppEvents?.INVOICES_CHANGED || 'data:invoices:changed', this.boundReload);
+    window.addEventListener(window.AppEvents?.EXPENSES_CHANGED || 'data:expenses:changed', this.boundReload);
+  }
+
+  disconnectedCallback() {
+    if (this.boundReload) {
+      window.removeEventListener(window.AppEvents?.INVOICES_CHANGED || 'data:invoices:changed', this.boundReload);
+      window.removeEventListener(window.AppEvents?.EXPENSES_CHANGED || 'data:expenses:changed', this.boundReload);
+    }
+  }
+
+  /**
+   * Load mappings, categories and movements (called when the view is shown)
+   */
+  async load() {
+    await Promise.all([this.loadMappings(), this.loadCategories(), this.loadTransactions()]);
+  }
+
+  async loadMappings() {
+    try {
+      this.mappings = await API.bank.getCsvMappings();
+      this.render();
+    } catch (error) {
+      console.error('Impossibile caricare i tracciati CSV:', error);
+      showNotification('Impossibile caricare i tracciati CSV', 'error');
+    }
+  }
+
+  async loadCategories() {
+    if (!window.AppState || (window.AppState.categories && window.AppState.categories.length > 0)) return;
+
+    try {
+      window.AppState.categories = await API.categories.getAll();
+      this.render();
+    } catch (error) {
+      console.error('Impossibile caricare le categorie:', error);
+    }
+  }
+
+  async loadTransactions() {
+    try {
+      this.transactions = await API.bank.getTransactions(this.status === 'all' ? {} : { status: this.status });
+
+      // Keep the selected movement if it is still listed
+      if (this.selectedTransaction) {
+        this.selectedTransaction = this.transactions.find(t => t.id === this.selectedTransaction.id) || null;
+        if (!this.selectedTransaction) this.suggestions = [];
+      }
+      this.render();
+    } catch (error) {
+      console.error('Impossibile caricare i movimenti:', error);
+      showNotification('Impossibile caricare i movimenti bancari', 'error');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Import
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Read the chosen statements as base64 and request a preview
+   */
+  async handleFilesSelected(fileList) {
+    if (!fileList || fileList.length === 0) return;
+
+    this.loading = true;
+    this.render();
+
+    try {
+      this.files = await Promise.all(Array.from(fileList).map(file => this.readFile(file)));
+      await this.loadPreview();
+    } catch (error) {
+      console.error('Errore lettura estratto conto:', error);
+      showNotification(error.message || 'Impossibile leggere i file', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  readFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => {
+        // Strip the "data:<mime>;base64," prefix
+        const result = String(reader.result);
+        resolve({ name: file.name, content: result.slice(result.indexOf(',') + 1) });
+      };
+      reader.onerror = () => reject(new Error(`Impossibile leggere ${file.name}`));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  getImportOptions() {
+    return this.mappingId ? { mapping_id: this.mappingId } : {};
+  }
+
+  async loadPreview() {
+    this.items = await API.bank.previewImport(this.files, this.getImportOptions());
+    this.selectedKeys = new Set(
+      this.items.filter(item => this.isImportable(item)).map(item => item.key)
+    );
+  }
+
+  isImportable(item) {
+    return item.format && item.errors.length === 0 && item.duplicate_of === null;
+  }
+
+  async handleMappingChange(mappingId) {
+    this.mappingId = mappingId;
+    if (this.files.length === 0) {
+      this.render();
+      return;
+    }
+
+    // Read the files again with the new mapping
+    this.loading = true;
+    this.render();
+    try {
+      await this.loadPreview();
+    } catch (error) {
+      console.error('Errore anteprima estratto conto:', error);
+      showNotification(error.message || 'Impossibile leggere i file', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  async handleImport() {
+    if (this.loading || this.selectedKeys.size === 0) return;
+
+    this.loading = true;
+    this.render();
+
+    try {
+      const options = { ...this.getImportOptions(), selected_keys: Array.from(this.selectedKeys) };
+      const result = await API.bank.import(this.files, options);
+
+      const summary = `Importati ${result.created} movimenti`;
+      if (result.skipped.length > 0) {
+        const reasons = result.skipped.map(s => `- ${s.filename}: ${s.reason}`).join('\n');
+        showNotification(`${summary}, ${result.skipped.length} saltati`, 'warning');
+        alert(`Movimenti non importati:\n\n${reasons}`);
+      } else {
+        showNotification(summary, 'success');
+      }
+
+      this.cancelImport();
+      this.status = 'unmatched';
+      await this.loadTransactions();
+    } catch (error) {
+      console.error('Errore importazione estratto conto:', error);
+      showNotification(error.message || 'Impossibile importare i movimenti', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  cancelImport() {
+    this.files = [];
+    this.items = [];
+    this.selectedKeys = new Set();
+    this.render();
+  }
+
+  // ---------------------------------------------------------------------------
+  // CSV mappings
+  // ---------------------------------------------------------------------------
+
+  editMapping(mapping) {
+    this.editingMapping = mapping || {
+      name: '',
+      column_separator: ';',
+      skip_rows: 0,
+      date_format: 'DD/MM/YYYY',
+      decimal_separator: ',',
+      date_column: '',
+      value_date_column: '',
+      amount_column: '',
+      debit_column: '',
+      credit_column: '',
+      description_column: '',
+      counterparty_column: '',
+      reference_column: ''
+    };
+    this.render();
+  }
+
+  async saveMapping(form) {
+    const data = Object.fromEntries(new FormData(form).entries());
+    data.skip_rows = parseInt(data.skip_rows) || 0;
+
+    try {
+      const saved = this.editingMapping.id
+        ? await API.bank.updateCsvMapping(this.editingMapping.id, data)
+        : await API.bank.createCsvMapping(data);
+
+      showNotification('Tracciato CSV salvato', 'success');
+      this.editingMapping = null;
+      await this.loadMappings();
+      await this.handleMappingChange(String(saved.id));
+    } catch (error) {
+      console.error('Errore salvataggio tracciato CSV:', error);
+      showNotification(error.message || 'Impossibile salvare il tracciato CSV', 'error');
+    }
+  }
+
+  async deleteMapping() {
+    const mapping = this.mappings.find(m => String(m.id) === String(this.mappingId));
+    if (!mapping || !confirm(`Eliminare il tracciato "${mapping.name}"?`)) return;
+
+    try {
+      await API.bank.deleteCsvMapping(mapping.id);
+      showNotification('Tracciato CSV eliminato', 'success');
+      this.mappingId = '';
+      await this.loadMappings();
+    } catch (error) {
+      console.error('Errore eliminazione tracciato CSV:', error);
+      showNotification(error.message || 'Impossibile eliminare il tracciato CSV', 'error');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reconciliation
+  // ---------------------------------------------------------------------------
+
+  async selectTransaction(id) {
+    this.selectedTransaction = this.transactions.find(t => t.id === id) || null;
+    this.suggestions = [];
+    this.render();
+
+    if (!this.selectedTransaction || this.selectedTransaction.status !== 'unmatched') return;
+
+    try {
+      this.suggestions = await API.bank.getSuggestions(id);
+      this.render();
+    } catch (error) {
+      console.error('Impossibile suggerire gli abbinamenti:', error);
+      showNotification('Impossibile suggerire gli abbinamenti', 'error');
+    }
+  }
+
+  /**
+   * Run a reconciliation action on the selected movement, then refresh
+   * the list and the data the action changed
+   */
+  async runAction(action, successMessage, changedEvent) {
+    if (this.loading || !this.selectedTransaction) return;
+
+    this.loading = true;
+    this.render();
+
+    try {
+      await action(this.selectedTransaction.id);
+      showNotification(successMessage, 'success');
+      this.selectedTransaction = null;
+      this.suggestions = [];
+      if (changedEvent) {
+        // The list reloads on the data change event
+        emitDataChange(changedEvent);
+      } else {
+        await this.loadTransactions();
+      }
+    } catch (error) {
+      console.error('Errore riconciliazione:', error);
+      showNotification(error.message || 'Operazione non riuscita', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  confirmSuggestion(type, id) {
+    if (type === 'invoice') {
+      this.runAction(
+        (transactionId) => API.bank.matchInvoice(transactionId, id),
+        'Pagamento registrato sulla fattura',
+        AppEvents.INVOICES_CHANGED
+      );
+    } else {
+      this.runAction(
+        (transactionId) => API.bank.matchExpense(transactionId, id),
+        'Movimento abbinato alla spesa',
+        AppEvents.EXPENSES_CHANGED
+      );
+    }
+  }
+
+  createExpense(form) {
+    const data = {
+      category_id: parseInt(form.category_id.value) || undefined,
+      description: form.description.value.trim()
+    };
+
+    // With the automatic category the rules also give the IVA defaults
+    if (data.category_id) {
+      data.iva_included = form.iva_included.checked;
+      data.iva_rate = parseFloat(form.iva_rate.value);
+    }
+
+    this.runAction(
+      (transactionId) => API.bank.createExpense(transactionId, data),
+      'Spesa creata dal movimento',
+      AppEvents.EXPENSES_CHANGED
+    );
+  }
+
+  ignoreTransaction() {
+    this.runAction((id) => API.bank.ignore(id), 'Movimento ignorato');
+  }
+
+  unmatchTransaction() {
+    const transaction = this.selectedTransaction;
+    if (!transaction) return;
+
+    const message = transaction.invoice_payment_id
+      ? 'Annullare l\'abbinamento? Il pagamento registrato sulla fattura verrà eliminato.'
+      : 'Annullare l\'abbinamento del movimento?';
+    if (transaction.status === 'matched' && !confirm(message)) return;
+
+    this.runAction(
+      (id) => API.bank.unmatch(id),
+      transaction.status === 'ignored' ? 'Movimento da riconciliare' : 'Abbinamento annullato',
+      transaction.invoice_payment_id ? AppEvents.INVOICES_CHANGED : null
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  formatAmount(amount, currency) {
+    const value = Number(amount);
+    const className = value >= 0 ? 'amount-in' : 'amount-out';
+    return `<span class="${className}">${formatCurrency(value, currency)}</span>`;
+  }
+
+  renderImport() {
+    const selectedMapping = this.mappings.find(m => String(m.id) === String(this.mappingId));
+
+    return `
+      <section class="card">
+        <h2>Importa estratto conto</h2>
+        <p class="hint">File CSV della banca, OFX o CAMT.053 (XML). I movimenti già importati vengono riconosciuti e saltati.</p>
+        <div class="import-bar">
+          <div class="field">
+            <label for="mapping-select">Tracciato CSV</label>
+            <select id="mapping-select">
+              <option value="">Nessuno (solo OFX / CAMT.053)</option>
+              ${this.mappings.map(m => `
+                <option value="${m.id}" ${String(m.id) === String(this.mappingId) ? 'selected' : ''}>${escapeHtml(m.name)}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="import-actions">
+            <button class="btn btn-secondary btn-sm" data-action="new-mapping" type="button">+ Nuovo tracciato</button>
+            ${selectedMapping ? `
+              <button class="btn btn-secondary btn-sm" data-action="edit-mapping" type="button">Modifica</button>
+              <button class="btn btn-danger btn-sm" data-action="delete-mapping" type="button">Elimina</button>
+            ` : ''}
+          </div>
+          <label class="btn btn-primary file-label">
+            ${this.loading ? 'Attendere...' : 'Scegli file'}
+            <input type="file" id="statement-files" accept=".csv,.txt,.ofx,.qfx,.xml" multiple ${this.loading ? 'disabled' : ''}>
+          </label>
+        </div>
+        ${this.editingMapping ? this.renderMappingForm() : ''}
+        ${this.items.length > 0 ? this.renderPreview() : ''}
+      </section>
+    `;
+  }
+
+  renderMappingForm() {
+    const m = this.editingMapping;
+    const column = (name, label, required = false) => `
+      <div class="field">
+        <label for="map-${name}">${label}${required ? ' *' : ''}</label>
+        <input id="map-${name}" name="${name}" value="${escapeHtml(m[name] || '')}" ${required ? 'required' : ''}>
+      </div>
+    `;
+
+    return `
+      <form class="mapping-form" id="mapping-form">
+        <h3>${m.id ? 'Modifica tracciato' : 'Nuovo tracciato'}</h3>
+        <p class="hint">Indica le colonne con il nome che hanno nell'intestazione del file. L'importo può stare in una colonna con segno, oppure in due colonne separate per addebiti e accrediti.</p>
+        <div class="form-grid">
+          ${column('name', 'Nome', true)}
+          <div class="field">
+            <label for="map-column_separator">Separatore</label>
+            <select id="map-column_separator" name="column_separator">
+              ${BANK_CSV_SEPARATORS.map(s => `
+                <option value="${escapeHtml(s.value)}" ${m.column_separator === s.value ? 'selected' : ''}>${s.label}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="field">
+            <label for="map-skip_rows">Righe prima dell'intestazione</label>
+            <input id="map-skip_rows" name="skip_rows" type="number" min="0" value="${Number(m.skip_rows) || 0}">
+          </div>
+          <div class="field">
+            <label for="map-date_format">Formato data</label>
+            <select id="map-date_format" name="date_format">
+              ${BANK_CSV_DATE_FORMATS.map(f => `
+                <option value="${f}" ${m.date_format === f ? 'selected' : ''}>${f}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="field">
+            <label for="map-decimal_separator">Separatore decimali</label>
+            <select id="map-decimal_separator" name="decimal_separator">
+              <option value="," ${m.decimal_separator === ',' ? 'selected' : ''}>Virgola (1.234,56)</option>
+              <option value="." ${m.decimal_separator === '.' ? 'selected' : ''}>Punto (1,234.56)</option>
+            </select>
+          </div>
+          ${column('date_column', 'Colonna data contabile', true)}
+          ${column('value_date_column', 'Colonna data valuta')}
+          ${column('amount_column', 'Colonna importo (con segno)')}
+          ${column('debit_column', 'Colonna addebiti')}
+          ${column('credit_column', 'Colonna accrediti')}
+          ${column('description_column', 'Colonna descrizione', true)}
+          ${column('counterparty_column', 'Colonna controparte')}
+          ${column('reference_column', 'Colonna riferimento')}
+        </div>
+        <div class="form-actions">
+          <button class="btn btn-secondary btn-sm" data-action="cancel-mapping" type="button">Annulla</button>
+          <button class="btn btn-primary btn-sm" type="submit">Salva tracciato</button>
+        </div>
+      </form>
+    `;
+  }
+
+  renderPreview() {
+    const currency = window.AppState?.settings?.currency || 'EUR';
+
+    return `
+      <div class="table-container preview">
+        <table class="table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Data</th>
+              <th>Descrizione</th>
+              <th>Importo</th>
+              <th>Stato</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${this.items.map(item => `
+              <tr>
+                <td>
+                  <input type="checkbox" data-key="${escapeHtml(item.key)}"
+                    ${this.selectedKeys.has(item.key) ? 'checked' : ''}
+                    ${this.isImportable(item) ? '' : 'disabled'}>
+                </td>
+                <td>${item.booking_date ? formatDate(item.booking_date, 'short') : '-'}</td>
+                <td>
+                  ${escapeHtml(item.description || '')}
+                  ${item.counterparty ? `<div class="sub">${escapeHtml(item.counterparty)}</div>` : ''}
+                  <div class="sub">${escapeHtml(item.filename)}</div>
+                </td>
+                <td>${item.errors.length > 0 ? '-' : this.formatAmount(item.amount, item.currency || currency)}</td>
+                <td>${this.getPreviewStatus(item)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <div class="form-actions">
+        <button class="btn btn-secondary btn-sm" data-action="cancel-import" type="button">Annulla</button>
+        <button class="btn btn-primary btn-sm" data-action="import" type="button"
+          ${this.loading || this.selectedKeys.size === 0 ? 'disabled' : ''}>
+          Importa ${this.selectedKeys.size} movimenti
+        </button>
+      </div>
+    `;
+  }
+
+  getPreviewStatus(item) {
+    if (item.errors.length > 0) {
+      return `<span class="status error">${item.errors.map(escapeHtml).join('<br>')}</span>`;
+    }
+    if (item.duplicate_of !== null) {
+      return '<span class="status ignored">Già importato</span>';
+    }
+    return '<span class="status matched">Nuovo</span>';
+  }
+
+  renderTransactions() {
+    const currency = window.AppState?.settings?.currency || 'EUR';
+    const filters = [...Object.keys(BANK_STATUS_LABELS), 'all'];
+
+    return `
+      <section class="card">
+        <div class="list-header">
+          <h2>Movimenti</h2>
+          <div class="tabs">
+            ${filters.map(status => `
+              <button class="tab ${this.status === status ? 'active' : ''}" data-status="${status}" type="button">
+                ${status === 'all' ? 'Tutti' : BANK_STATUS_LABELS[status]}
+              </button>
+            `).join('')}
+          </div>
+        </div>
+        ${this.transactions.length === 0 ? '<div class="empty">Nessun movimento.</div>' : `
+          <div class="table-container">
+            <table class="table">
+              <thead>
+                <tr>
+                  <th>Data</th>
+                  <th>Valuta</th>
+                  <th>Descrizione</th>
+                  <th>Importo</th>
+                  <th>Stato</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${this.transactions.map(t => `
+                  <tr class="row ${this.selectedTransaction?.id === t.id ? 'selected' : ''}" data-id="${t.id}">
+                    <td>${formatDate(t.booking_date, 'short')}</td>
+                    <td>${t.value_date ? formatDate(t.value_date, 'short') : '-'}</td>
+                    <td>
+                      ${escapeHtml(t.description)}
+                      ${t.counterparty ? `<div class="sub">${escapeHtml(t.counterparty)}</div>` : ''}
+                    </td>
+                    <td>${this.formatAmount(t.amount, t.currency || currency)}</td>
+                    <td>
+                      <span class="status ${t.status}">${BANK_STATUS_LABELS[t.status]}</span>
+                      ${this.getMatchLabel(t)}
+                    </td>
+                  </tr>
+                  ${this.selectedTransaction?.id === t.id ? `
+                    <tr class="detail-row"><td colspan="5">${this.renderDetail(t)}</td></tr>
+                  ` : ''}
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        `}
+      </section>
+    `;
+  }
+
+  getMatchLabel(transaction) {
+    if (transaction.invoice_id) {
+      return `<div class="sub">Fattura ${escapeHtml(transaction.invoice_number || '')}</div>`;
+    }
+    if (transaction.expense_id) {
+      return `<div class="sub">Spesa: ${escapeHtml(transaction.expense_description || '')}</div>`;
+    }
+    return '';
+  }
+
+  renderDetail(transaction) {
+    if (transaction.status !== 'unmatched') {
+      return `
+        <div class="detail">
+          ${transaction.reference ? `<p class="sub">Riferimento: ${escapeHtml(transaction.reference)}</p>` : ''}
+          <button class="btn btn-secondary btn-sm" data-action="unmatch" type="button" ${this.loading ? 'disabled' : ''}>
+            ${transaction.status === 'ignored' ? 'Riporta da riconciliare' : 'Annulla abbinamento'}
+          </button>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="detail">
+        ${transaction.reference ? `<p class="sub">Riferimento: ${escapeHtml(transaction.reference)}</p>` : ''}
+        <h3>Abbinamenti suggeriti</h3>
+        ${this.suggestions.length === 0 ? '<p class="hint">Nessun abbinamento suggerito.</p>' : `
+          <ul class="suggestions">
+            ${this.suggestions.map(s => `
+              <li>
+                <div>
+                  <strong>${s.type === 'invoice' ? 'Fattura' : 'Spesa'}: ${escapeHtml(s.label)}</strong>
+                  <div class="sub">
+                    ${formatDate(s.date, 'short')} · ${formatCurrency(s.amount, transaction.currency)}
+                    · ${s.reasons.map(r => BANK_MATCH_REASON_LABELS[r] || r).join(', ')}
+                  </div>
+                </div>
+                <button class="btn btn-primary btn-sm" data-action="confirm" data-type="${s.type}" data-match-id="${s.id}"
+                  type="button" ${this.loading ? 'disabled' : ''}>Conferma</button>
+              </li>
+            `).join('')}
+          </ul>
+        `}
+        ${Number(transaction.amount) < 0 ? this.renderExpenseForm(transaction) : ''}
+        <div class="form-actions">
+          <button class="btn btn-secondary btn-sm" data-action="ignore" type="button" ${this.loading ? 'disabled' : ''}>Ignora</button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderExpenseForm(transaction) {
+    const categories = window.AppState?.categories || [];
+    const description = [transaction.counterparty, transaction.description].filter(Boolean).join(' - ');
+
+    return `
+      <form class="expense-form" id="expense-form">
+        <h3>Crea spesa</h3>
+        <div class="form-grid">
+          <div class="field">
+            <label for="expense-category">Categoria</label>
+            <select id="expense-category" name="category_id">
+              <option value="">Automatica (regole)</option>
+              ${categories.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('')}
+            </select>
+          </div>
+          <div class="field wide">
+            <label for="expense-description">Descrizione</label>
+            <input id="expense-description" name="description" value="${escapeHtml(description)}">
+          </div>
+          <div class="field">
+            <label for="expense-iva-rate">Aliquota IVA %</label>
+            <input id="expense-iva-rate" name="iva_rate" type="number" min="0" max="100" step="0.01" value="22" disabled>
+          </div>
+          <label class="checkbox">
+            <input type="checkbox" name="iva_included" checked disabled> IVA inclusa nell'importo
+          </label>
+        </div>
+        <div class="form-actions">
+          <button class="btn btn-primary btn-sm" type="submit" ${this.loading ? 'disabled' : ''}>Crea spesa</button>
+        </div>
+      </form>
+    `;
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host { display: block; }
+        .card {
+          background-color: var(--color-bg);
+          border: 1px solid var(--color-border);
+          border-radius: 0.5rem;
+          padding: 1.25rem;
+          margin-bottom: 1.5rem;
+        }
+        h2 { margin: 0 0 0.5rem; font-size: 1.125rem; color: var(--color-text-primary); }
+        h3 { margin: 1rem 0 0.5rem; font-size: 0.95rem; color: var(--color-text-primary); }
+        .hint, .sub { color: var(--color-text-secondary); font-size: 0.8rem; margin: 0.25rem 0; }
+        .import-bar { display: flex; gap: 1rem; align-items: end; flex-wrap: wrap; margin-top: 1rem; }
+        .import-actions { display: flex; gap: 0.5rem; }
+        .field { display: flex; flex-direction: column; gap: 0.25rem; min-width: 180px; }
+        .field.wide { flex: 1; min-width: 260px; }
+        .field label {
+          font-size: 0.75rem;
+          font-weight: 600;
+          color: var(--color-text-secondary);
+          text-transform: uppercase;
+        }
+        .field input, .field select {
+          padding: 0.5rem;
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+          background-color: var(--color-bg);
+          color: var(--color-text-primary);
+          font-size: 0.875rem;
+        }
+        .file-label { position: relative; overflow: hidden; display: inline-block; }
+        .file-label input { position: absolute; inset: 0; opacity: 0; cursor: pointer; }
+        .mapping-form, .expense-form {
+          margin-top: 1rem;
+          padding: 1rem;
+          background-color: var(--color-bg-secondary);
+          border-radius: 0.375rem;
+        }
+        .form-grid { display: flex; flex-wrap: wrap; gap: 1rem; align-items: end; }
+        .form-actions { display: flex; justify-content: flex-end; gap: 0.5rem; margin-top: 1rem; }
+        .checkbox { display: flex; align-items: center; gap: 0.5rem; font-size: 0.875rem; }
+        .list-header { display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 1rem; margin-bottom: 1rem; }
+        .tabs { display: flex; gap: 0.25rem; }
+        .tab {
+          padding: 0.375rem 0.75rem;
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+          background-color: var(--color-bg);
+          color: var(--color-text-secondary);
+          font-size: 0.8rem;
+          cursor: pointer;
+        }
+        .tab.active { background-color: var(--color-primary); border-color: var(--color-primary); color: white; }
+        .table-container { overflow-x: auto; border-radius: 0.375rem; border: 1px solid var(--color-border); }
+        .table-container.preview { margin-top: 1rem; max-height: 400px; overflow-y: auto; }
+        .table { width: 100%; border-collapse: collapse; background-color: var(--color-bg); }
+        .table thead { background-color: var(--color-bg-tertiary); border-bottom: 2px solid var(--color-border); }
+        .table th { padding: 0.75rem 1rem; text-align: left; font-size: 0.75rem; font-weight: 600; color: var(--color-text-secondary); text-transform: uppercase; }
+        .table td { padding: 0.75rem 1rem; border-bottom: 1px solid var(--color-border); font-size: 0.875rem; color: var(--color-text-primary); vertical-align: top; }
+        .table tbody tr.row { cursor: pointer; }
+        .table tbody tr.row:hover, .table tbody tr.selected { background-color: var(--color-bg-secondary); }
+        .detail-row td { background-color: var(--color-bg-secondary); }
+        .amount-in { color: var(--color-success, #16a34a); font-weight: 600; }
+        .amount-out { color: var(--color-danger); font-weight: 600; }
+        .status { display: inline-block; padding: 0.125rem 0.5rem; border-radius: 9999px; font-size: 0.75rem; background-color: var(--color-bg-tertiary); }
+        .status.unmatched { background-color: #fef3c7; color: #92400e; }
+        .status.matched { background-color: #dcfce7; color: #166534; }
+        .status.ignored { color: var(--color-text-secondary); }
+        .status.error { background-color: #fee2e2; color: #991b1b; border-radius: 0.375rem; }
+        .suggestions { list-style: none; margin: 0; padding: 0; display: flex; flex-direction: column; gap: 0.5rem; }
+        .suggestions li {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 1rem;
+          padding: 0.75rem;
+          background-color: var(--color-bg);
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+        }
+        .btn { padding: 0.5rem 1rem; font-size: 0.875rem; border: none; border-radius: 0.375rem; cursor: pointer; transition: opacity 0.2s; }
+        .btn:hover { opacity: 0.9; }
+        .btn:disabled { opacity: 0.5; cursor: not-allowed; }
+        .btn-primary { background-color: var(--color-primary); color: white; }
+        .btn-secondary { background-color: var(--color-bg-tertiary); color: var(--color-text-primary); }
+        .btn-danger { background-color: var(--color-danger); color: white; }
+        .btn-sm { padding: 0.25rem 0.75rem; font-size: 0.75rem; }
+        .empty { text-align: center; padding: 3rem; color: var(--color-text-secondary); }
+      </style>
+
+      ${this.renderImport()}
+      ${this.renderTransactions()}
+    `;
+
+    this.attachEventListeners();
+  }
+
+  attachEventListeners() {
+    const root = this.shadowRoot;
+
+    root.querySelector('#statement-files')?.addEventListener('change', (e) => {
+      this.handleFilesSelected(e.target.files);
+    });
+    root.querySelector('#mapping-select')?.addEventListener('change', (e) => {
+      this.handleMappingChange(e.target.value);
+    });
+    root.querySelector('#mapping-form')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveMapping(e.target);
+    });
+    root.querySelector('#expense-form')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createExpense(e.target);
+    });
+    // The IVA fields apply to a chosen category; otherwise the rules give them
+    root.querySelector('#expense-category')?.addEventListener('change', (e) => {
+      const form = e.target.form;
+      form.iva_rate.disabled = !e.target.value;
+      form.iva_included.disabled = !e.target.value;
+    });
+
+    root.querySelectorAll('input[data-key]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          this.selectedKeys.add(checkbox.dataset.key);
+        } else {
+          this.selectedKeys.delete(checkbox.dataset.key);
+        }
+        this.render();
+      });
+    });
+
+    root.querySelectorAll('.tab[data-status]').forEach(tab => {
+      tab.addEventListener('click', () => {
+        this.status = tab.dataset.status;
+        this.selectedTransaction = null;
+        this.suggestions = [];
+        this.loadTransactions();
+      });
+    });
+
+    root.querySelectorAll('tr.row[data-id]').forEach(row => {
+      row.addEventListener('click', () => {
+        const id = parseInt(row.dataset.id);
+        if (this.selectedTransaction?.id === id) {
+          this.selectedTransaction = null;
+          this.render();
+        } else {
+          this.selectTransaction(id);
+        }
+      });
+    });
+
+    root.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', () => {
+        switch (button.dataset.action) {
+          case 'new-mapping':
+            this.editMapping(null);
+            break;
+          case 'edit-mapping':
+            this.editMapping({ ...this.mappings.find(m => String(m.id) === String(this.mappingId)) });
+            break;
+          case 'delete-mapping':
+            this.deleteMapping();
+            break;
+          case 'cancel-mapping':
+            this.editingMapping = null;
+            this.render();
+            break;
+          case 'import':
+            this.handleImport();
+            break;
+          case 'cancel-import':
+            this.cancelImport();
+            break;
+          case 'confirm':
+            this.confirmSuggestion(button.dataset.type, parseInt(button.dataset.matchId));
+            break;
+          case 'ignore':
+            this.ignoreTransaction();
+            break;
+          case 'unmatch':
+            this.unmatchTransaction();
+            break;
+        }
+      });
+    });
+  }
+}
+
+customElements.define('bank-reconciliation', BankReconciliation);
@@ -6,6 +6,12 @@ class CategoryManager extends HTMLElement {
     this.isOpen = false;
     this.loading = false;
     this.editingCategory = null; // Track which category is being edited
+    this.tab = 'categories'; // 'categories' or 'rules'
+    this.rules = []; // Categorization rules in priority order
+    this.editingRule = null;
+    this.ruleDraft = null; // Unsaved rule form, kept across renders
+    this.recategorizeFilters = { start_date: '', end_date: '' };
+    this.recategorizeChanges = null; // Preview, null until requested
     this.handleExternalOpen = this.handleExternalOpen.bind(this);
   }
 
@@ -33,9 +39,25 @@ class CategoryManager extends HTMLElement {
     }
   }
 
+  async loadRules() {
+    try {
+      this.rules = await API.expenseRules.getAll();
+      this.render();
+    } catch (error) {
+      console.error('Impossibile caricare le regole:', error);
+      showNotification('Impossibile caricare le regole', 'error');
+    }
+  }
+
   open() {
     this.isOpen = true;
     this.render();
+    this.loadRules();
+  }
+
+  switchTab(tab) {
+    this.tab = tab;
+    this.render();
   }
 
   close() {
@@ -108,7 +130,9 @@ class CategoryManager extends HTMLElement {
       return;
     }
 
-    if (!confirm(`Sei sicuro di voler eliminare la categoria "${category.name}"?\n\nLe spese con questa categoria saranno spostate in "Senza Categoria".`)) {
+    const ruleCount = this.rules.filter(rule => rule.category_id === category.id).length;
+    const rulesNote = ruleCount > 0 ? `\nLe regole che la assegnano (${ruleCount}) saranno eliminate.` : '';
+    if (!confirm(`Sei sicuro di voler eliminare la categoria "${category.name}"?\n\nLe spese con questa categoria saranno spostate in "Senza Categoria".${rulesNote}`)) {
       return;
     }
 
@@ -120,6 +144,7 @@ class CategoryManager extends HTMLElement {
       showNotification('Categoria eliminata', 'success');
       await window.reloadCategories?.();
       this.loadCategories();
+      this.loadRules();
     } catch (error) {
       console.error('Errore eliminazione categoria:', error);
       showNotification(error.message || 'Impossibile eliminare la categoria', 'error');
@@ -129,7 +154,429 @@ class CategoryManager extends HTMLElement {
     }
   }
 
-  render() {
+  readRuleForm() {
+    const form = this.shadowRoot.querySelector('#rule-form');
+    const formData = new FormData(form);
+    const iva = formData.get('iva_mode');
+
+    return {
+      name: formData.get('name').trim(),
+      category_id: parseInt(formData.get('category_id')) || null,
+      match_type: formData.get('match_type'),
+      description_pattern: formData.get('description_pattern').trim(),
+      supplier_pattern: formData.get('supplier_pattern').trim(),
+      min_amount: formData.get('min_amount'),
+      max_amount: formData.get('max_amount'),
+      // '' leaves the usual IVA default of the expense
+      iva_included: iva === '' ? null : iva === 'included',
+      iva_rate: iva === 'excluded' ? formData.get('iva_rate') : null,
+      notes: formData.get('notes').trim(),
+      active: formData.get('active') === 'on'
+    };
+  }
+
+  async handleRuleSubmit() {
+    if (this.loading) return;
+
+    const data = this.readRuleForm();
+    if (!data.name || !data.category_id) {
+      showNotification('Nome e categoria sono obbligatori', 'warning');
+      return;
+    }
+    if (!data.description_pattern && !data.supplier_pattern && !data.min_amount && !data.max_amount) {
+      showNotification('Imposta almeno una condizione (descrizione, fornitore o importo)', 'warning');
+      return;
+    }
+
+    this.loading = true;
+    this.render();
+    let saved = false;
+
+    try {
+      if (this.editingRule) {
+        await API.expenseRules.update(this.editingRule.id, data);
+        showNotification('Regola aggiornata', 'success');
+        this.editingRule = null;
+      } else {
+        await API.expenseRules.create(data);
+        showNotification('Regola creata', 'success');
+      }
+      saved = true;
+      this.rules = await API.expenseRules.getAll();
+      this.recategorizeChanges = null;
+    } catch (error) {
+      console.error('Errore salvataggio regola:', error);
+      showNotification(error.message || 'Impossibile salvare la regola', 'error');
+    } finally {
+      this.loading = false;
+      this.render(saved);
+    }
+  }
+
+  editRule(rule) {
+    this.editingRule = rule;
+    this.render(true);
+  }
+
+  cancelRuleEdit() {
+    this.editingRule = null;
+    this.render(true);
+  }
+
+  async toggleRule(rule) {
+    await this.runRuleAction(
+      () => API.expenseRules.update(rule.id, { active: !rule.active }),
+      rule.active ? 'Regola disattivata' : 'Regola attivata'
+    );
+  }
+
+  async deleteRule(rule) {
+    if (!confirm(`Eliminare la regola "${rule.name}"?\n\nLe spese già categorizzate non cambiano.`)) {
+      return;
+    }
+    if (this.editingRule?.id === rule.id) {
+      this.editingRule = null;
+      this.render(true);
+    }
+    await this.runRuleAction(() => API.expenseRules.delete(rule.id), 'Regola eliminata');
+  }
+
+  async moveRule(rule, offset) {
+    const ids = this.rules.map(r => r.id);
+    const index = ids.indexOf(rule.id);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= ids.length) return;
+
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    await this.runRuleAction(() => API.expenseRules.reorder(ids));
+  }
+
+  async runRuleAction(action, successMessage = null) {
+    if (this.loading) return;
+
+    this.loading = true;
+    this.render();
+
+    try {
+      await action();
+      if (successMessage) showNotification(successMessage, 'success');
+      this.rules = await API.expenseRules.getAll();
+      this.recategorizeChanges = null;
+    } catch (error) {
+      console.error('Errore aggiornamento regole:', error);
+      showNotification(error.message || 'Impossibile aggiornare le regole', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  async previewRecategorize() {
+    if (this.loading) return;
+
+    this.recategorizeFilters = {
+      start_date: this.shadowRoot.querySelector('#recategorize-start').value,
+      end_date: this.shadowRoot.querySelector('#recategorize-end').value
+    };
+    this.loading = true;
+    this.render();
+
+    try {
+      this.recategorizeChanges = await API.expenseRules.previewRecategorize(this.recategorizeFilters);
+    } catch (error) {
+      console.error('Errore anteprima ricategorizzazione:', error);
+      showNotification(error.message || 'Impossibile calcolare l\'anteprima', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  async applyRecategorize() {
+    if (this.loading || !this.recategorizeChanges) return;
+
+    const expenseIds = Array.from(this.shadowRoot.querySelectorAll('[data-change-id]:checked'))
+      .map(checkbox => parseInt(checkbox.getAttribute('data-change-id')));
+    if (expenseIds.length === 0) {
+      showNotification('Seleziona almeno una spesa', 'warning');
+      return;
+    }
+    if (!confirm(`Cambiare la categoria di ${expenseIds.length} spese?`)) {
+      return;
+    }
+
+    this.loading = true;
+    this.render();
+
+    try {
+      const applied = await API.expenseRules.recategorize({ ...this.recategorizeFilters, expense_ids: expenseIds });
+      showNotification(`${applied.length} spese ricategorizzate`, 'success');
+      this.recategorizeChanges = null;
+      emitDataChange(AppEvents.EXPENSES_CHANGED);
+    } catch (error) {
+      console.error('Errore ricategorizzazione:', error);
+      showNotification(error.message || 'Impossibile ricategorizzare le spese', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  describeRule(rule) {
+    const conditions = [];
+    if (rule.description_pattern) {
+      conditions.push(rule.match_type === 'regex'
+        ? `descrizione /${escapeHtml(rule.description_pattern)}/`
+        : `descrizione contiene "${escapeHtml(rule.description_pattern)}"`);
+    }
+    if (rule.supplier_pattern) {
+      conditions.push(`fornitore contiene "${escapeHtml(rule.supplier_pattern)}"`);
+    }
+    if (rule.min_amount !== null && rule.max_amount !== null) {
+      conditions.push(`importo da ${formatCurrency(rule.min_amount)} a ${formatCurrency(rule.max_amount)}`);
+    } else if (rule.min_amount !== null) {
+      conditions.push(`importo da ${formatCurrency(rule.min_amount)}`);
+    } else if (rule.max_amount !== null) {
+      conditions.push(`importo fino a ${formatCurrency(rule.max_amount)}`);
+    }
+    return conditions.join(' e ');
+  }
+
+  renderCategoriesTab() {
+    return `
+            <form id="category-form">
+              <div>
+                <label>Nome</label>
+                <input type="text" name="name" placeholder="Es. Software" required>
+              </div>
+              <div>
+                <label>Colore</label>
+                <input type="color" name="color" value="#2563eb">
+              </div>
+            </form>
+
+            <section style="margin-top: 1.5rem;">
+              <h3 style="margin:0 0 0.5rem 0;font-size:1rem;">Categorie esistenti</h3>
+              ${this.categories.length === 0 ? `
+                <div class="list-empty">Nessuna categoria presente.</div>
+              ` : `
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Categoria</th>
+                      <th>Colore</th>
+                      <th style="text-align: right;">Azioni</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${this.categories.map(cat => `
+                      <tr>
+                        <td>${escapeHtml(cat.name)}</td>
+                        <td><span class="color-dot" style="background:${escapeHtml(cat.color || '#2563eb')}"></span></td>
+                        <td style="text-align: right;">
+                          <button class="btn btn-small btn-edit" data-action="edit" data-id="${cat.id}">Modifica</button>
+                          <button class="btn btn-small btn-delete" data-action="delete" data-id="${cat.id}" ${cat.name === 'Senza Categoria' ? 'disabled style="opacity:0.5;"' : ''}>Elimina</button>
+                        </td>
+                      </tr>
+                    `).join('')}
+                  </tbody>
+                </table>
+              `}
+            </section>
+    `;
+  }
+
+  renderRulesTab() {
+    const rule = this.ruleDraft || this.editingRule || {};
+    const ivaMode = rule.iva_included === true ? 'included' : (rule.iva_included === false ? 'excluded' : '');
+
+    return `
+            <p class="hint">
+              Le regole scelgono la categoria delle spese senza categoria (nuove, da estratto conto o da fatture XML).
+              Si provano dall'alto: vale la prima le cui condizioni sono tutte soddisfatte.
+            </p>
+            <form id="rule-form">
+              <div>
+                <label>Nome *</label>
+                <input type="text" name="name" value="${escapeHtml(rule.name || '')}" placeholder="Es. Abbonamenti GitHub" maxlength="100">
+              </div>
+              <div>
+                <label>Categoria *</label>
+                <select name="category_id">
+                  <option value="">Seleziona categoria...</option>
+                  ${this.categories.map(cat => `
+                    <option value="${cat.id}" ${rule.category_id === cat.id ? 'selected' : ''}>${escapeHtml(cat.name)}</option>
+                  `).join('')}
+                </select>
+              </div>
+              <div>
+                <label>Descrizione</label>
+                <select name="match_type">
+                  <option value="contains" ${rule.match_type !== 'regex' ? 'selected' : ''}>Contiene il testo</option>
+                  <option value="regex" ${rule.match_type === 'regex' ? 'selected' : ''}>Espressione regolare</option>
+                </select>
+              </div>
+              <div>
+                <label>Testo / espressione</label>
+                <input type="text" name="description_pattern" value="${escapeHtml(rule.description_pattern || '')}" placeholder="Es. github" maxlength="255">
+              </div>
+              <div>
+                <label>Fornitore contiene</label>
+                <input type="text" name="supplier_pattern" value="${escapeHtml(rule.supplier_pattern || '')}" maxlength="255">
+              </div>
+              <div>
+                <label>Importo da / a (€)</label>
+                <div class="range">
+                  <input type="number" name="min_amount" value="${rule.min_amount ?? ''}" step="0.01" min="0">
+                  <input type="number" name="max_amount" value="${rule.max_amount ?? ''}" step="0.01" min="0">
+                </div>
+              </div>
+              <div>
+                <label>IVA</label>
+                <select name="iva_mode">
+                  <option value="" ${ivaMode === '' ? 'selected' : ''}>Non impostare</option>
+                  <option value="included" ${ivaMode === 'included' ? 'selected' : ''}>IVA inclusa nell'importo</option>
+                  <option value="excluded" ${ivaMode === 'excluded' ? 'selected' : ''}>IVA da aggiungere</option>
+                </select>
+              </div>
+              <div>
+                <label>Aliquota IVA (%)</label>
+                <input type="number" name="iva_rate" value="${rule.iva_rate ?? 22}" step="0.01" min="0" max="100" ${ivaMode === 'excluded' ? '' : 'disabled'}>
+              </div>
+              <div class="wide">
+                <label>Note predefinite</label>
+                <input type="text" name="notes" value="${escapeHtml(rule.notes || '')}" placeholder="Usate per le spese senza note">
+              </div>
+              <label class="checkbox">
+                <input type="checkbox" name="active" ${rule.active !== false ? 'checked' : ''}> Regola attiva
+              </label>
+            </form>
+
+            <section>
+              <h3 style="margin:0 0 0.5rem 0;font-size:1rem;">Regole in ordine di priorità</h3>
+              ${this.rules.length === 0 ? `
+                <div class="list-empty">Nessuna regola: le spese senza categoria vanno in "Senza Categoria".</div>
+              ` : `
+                <table>
+                  <thead>
+                    <tr>
+                      <th></th>
+                      <th>Regola</th>
+                      <th>Categoria</th>
+                      <th style="text-align: right;">Azioni</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${this.rules.map((r, index) => `
+                      <tr class="${r.active ? '' : 'inactive'}">
+                        <td class="order">
+                          <button class="btn btn-small btn-secondary" data-rule-action="up" data-id="${r.id}" ${index === 0 || this.loading ? 'disabled' : ''} title="Sposta su">↑</button>
+                          <button class="btn btn-small btn-secondary" data-rule-action="down" data-id="${r.id}" ${index === this.rules.length - 1 || this.loading ? 'disabled' : ''} title="Sposta giù">↓</button>
+                        </td>
+                        <td>
+                          <strong>${escapeHtml(r.name)}</strong>${r.active ? '' : ' <span class="muted">(disattivata)</span>'}
+                          <div class="muted">${this.describeRule(r)}</div>
+                        </td>
+                        <td><span class="color-dot" style="display:inline-block;vertical-align:middle;background:${r.category_color || '#2563eb'}"></span> ${escapeHtml(r.category_name)}</td>
+                        <td style="text-align: right; white-space: nowrap;">
+                          <button class="btn btn-small btn-edit" data-rule-action="edit" data-id="${r.id}">Modifica</button>
+                          <button class="btn btn-small btn-secondary" data-rule-action="toggle" data-id="${r.id}">${r.active ? 'Disattiva' : 'Attiva'}</button>
+                          <button class="btn btn-small btn-delete" data-rule-action="delete" data-id="${r.id}">Elimina</button>
+                        </td>
+                      </tr>
+                    `).join('')}
+                  </tbody>
+                </table>
+              `}
+            </section>
+
+            <section>
+              <h3 style="margin:0 0 0.5rem 0;font-size:1rem;">Ricategorizza spese esistenti</h3>
+              <div class="recategorize-filters">
+                <div>
+                  <label>Dal</label>
+                  <input type="date" id="recategorize-start" value="${this.recategorizeFilters.start_date}">
+                </div>
+                <div>
+                  <label>Al</label>
+                  <input type="date" id="recategorize-end" value="${this.recategorizeFilters.end_date}">
+                </div>
+                <button class="btn btn-secondary" id="preview-recategorize" ${this.loading ? 'disabled' : ''}>Anteprima</button>
+              </div>
+              ${this.renderRecategorizePreview()}
+            </section>
+    `;
+  }
+
+  renderRecategorizePreview() {
+    if (!this.recategorizeChanges) return '';
+    if (this.recategorizeChanges.length === 0) {
+      return '<div class="list-empty">Nessuna spesa da cambiare con le regole attive.</div>';
+    }
+
+    return `
+      <table>
+        <thead>
+          <tr>
+            <th></th>
+            <th>Spesa</th>
+            <th>Da</th>
+            <th>A</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.recategorizeChanges.map(change => `
+            <tr>
+              <td><input type="checkbox" data-change-id="${change.expense_id}" checked></td>
+              <td>
+                ${escapeHtml(change.description)}
+                <div class="muted">${formatDate(change.expense_date, 'short')} · ${formatCurrency(change.amount)} · regola "${escapeHtml(change.rule_name)}"</div>
+              </td>
+              <td>${escapeHtml(change.current_category_name)}</td>
+              <td>${escapeHtml(change.new_category_name)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <div style="display:flex;justify-content:flex-end;margin-top:0.75rem;">
+        <button class="btn btn-primary" id="apply-recategorize" ${this.loading ? 'disabled' : ''}>Applica alle spese selezionate</button>
+      </div>
+    `;
+  }
+
+  renderFooter() {
+    if (this.tab === 'rules') {
+      return `
+            ${this.editingRule ? `
+              <button class="btn btn-secondary" id="cancel-rule-edit">Annulla</button>
+            ` : ''}
+            <button class="btn btn-primary" id="save-rule" ${this.loading ? 'disabled' : ''}>
+              ${this.loading ? 'Salvataggio...' : (this.editingRule ? 'Aggiorna regola' : 'Salva regola')}
+            </button>
+      `;
+    }
+
+    return `
+            ${this.editingCategory ? `
+              <button class="btn btn-secondary" id="cancel-edit">Annulla</button>
+            ` : ''}
+            <button class="btn btn-primary" id="save-category" ${this.loading ? 'disabled' : ''}>
+              ${this.loading ? 'Salvataggio...' : (this.editingCategory ? 'Aggiorna categoria' : 'Salva categoria')}
+            </button>
+    `;
+  }
+
+  render(resetRuleForm = false) {
+    if (resetRuleForm) {
+      this.ruleDraft = null;
+    } else if (this.shadowRoot.querySelector('#rule-form')) {
+      this.ruleDraft = this.readRuleForm();
+    }
+
+    const title = this.tab === 'rules'
+      ? (this.editingRule ? 'Modifica Regola' : 'Regole di categorizzazione')
+      : (this.editingCategory ? 'Modifica Categoria' : 'Nuova Categoria Spesa');
+
     this.shadowRoot.innerHTML = `
       <style>
         :host {
@@ -147,7 +594,8 @@ class CategoryManager extends HTMLElement {
         }
         .modal-content {
           width: 100%;
-          max-width: 540px;
+          max-width: ${this.tab === 'rules' ? '820px' : '540px'};
+          max-height: 90vh;
           background: var(--color-bg);
           color: var(--color-text-primary);
           border-radius: 0.375rem;
@@ -186,6 +634,73 @@ class CategoryManager extends HTMLElement {
           padding: 1.5rem;
           display: grid;
           gap: 1.25rem;
+          overflow-y: auto;
+        }
+        .tabs {
+          display: flex;
+          gap: 0.25rem;
+          padding: 0 1.5rem;
+          border-bottom: 1px solid var(--color-border);
+        }
+        .tab {
+          background: none;
+          border: none;
+          border-bottom: 2px solid transparent;
+          padding: 0.6rem 0.9rem;
+          font-size: 0.9rem;
+          cursor: pointer;
+          color: var(--color-text-secondary);
+        }
+        .tab.active {
+          color: var(--color-primary);
+          border-bottom-color: var(--color-primary);
+          font-weight: 600;
+        }
+        .hint,
+        .muted {
+          color: var(--color-text-secondary);
+          font-size: 0.85rem;
+        }
+        .hint {
+          margin: 0;
+        }
+        form > div {
+          display: flex;
+          flex-direction: column;
+        }
+        form .wide {
+          grid-column: 1 / -1;
+        }
+        .range {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 0.5rem;
+        }
+        .range input {
+          min-width: 0;
+        }
+        .checkbox {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+        }
+        tr.inactive td {
+          opacity: 0.6;
+        }
+        td.order {
+          white-space: nowrap;
+          width: 1%;
+        }
+        .recategorize-filters {
+          display: flex;
+          gap: 0.75rem;
+          align-items: flex-end;
+          flex-wrap: wrap;
+          margin-bottom: 0.75rem;
+        }
+        .recategorize-filters > div {
+          display: flex;
+          flex-direction: column;
         }
         form {
           display: grid;
@@ -270,57 +785,18 @@ class CategoryManager extends HTMLElement {
       <div class="modal">
         <div class="modal-content">
           <div class="modal-header">
-            <h2>${this.editingCategory ? 'Modifica Categoria' : 'Nuova Categoria Spesa'}</h2>
+            <h2>${title}</h2>
             <button class="close-btn" id="close-category">&times;</button>
           </div>
+          <div class="tabs">
+            <button class="tab ${this.tab === 'categories' ? 'active' : ''}" data-tab="categories">Categorie</button>
+            <button class="tab ${this.tab === 'rules' ? 'active' : ''}" data-tab="rules">Regole</button>
+          </div>
           <div class="modal-body">
-            <form id="category-form">
-              <div>
-                <label>Nome</label>
-                <input type="text" name="name" placeholder="Es. Software" required>
-              </div>
-              <div>
-                <label>Colore</label>
-                <input type="color" name="color" value="#2563eb">
-              </div>
-            </form>
-
-            <section style="margin-top: 1.5rem;">
-              <h3 style="margin:0 0 0.5rem 0;font-size:1rem;">Categorie esistenti</h3>
-              ${this.categories.length === 0 ? `
-                <div class="list-empty">Nessuna categoria presente.</div>
-              ` : `
-                <table>
-                  <thead>
-                    <tr>
-                      <th>Categoria</th>
-                      <th>Colore</th>
-                      <th style="text-align: right;">Azioni</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    ${this.categories.map(cat => `
-                      <tr>
-                        <td>${cat.name}</td>
-                        <td><span class="color-dot" style="background:${cat.color || '#2563eb'}"></span></td>
-                        <td style="text-align: right;">
-                          <button class="btn btn-small btn-edit" data-action="edit" data-id="${cat.id}">Modifica</button>
-                          <button class="btn btn-small btn-delete" data-action="delete" data-id="${cat.id}" ${cat.name === 'Senza Categoria' ? 'disabled style="opacity:0.5;"' : ''}>Elimina</button>
-                        </td>
-                      </tr>
-                    `).join('')}
-                  </tbody>
-                </table>
-              `}
-            </section>
+            ${this.tab === 'rules' ? this.renderRulesTab() : this.renderCategoriesTab()}
           </div>
           <div class="modal-footer">
-            ${this.editingCategory ? `
-              <button class="btn btn-secondary" id="cancel-edit">Annulla</button>
-            ` : ''}
-            <button class="btn btn-primary" id="save-category" ${this.loading ? 'disabled' : ''}>
-              ${this.loading ? 'Salvataggio...' : (this.editingCategory ? 'Aggiorna categoria' : 'Salva categoria')}
-            </button>
+            ${this.renderFooter()}
           </div>
         </div>
       </div>
@@ -335,6 +811,35 @@ class CategoryManager extends HTMLElement {
     const cancelBtn = this.shadowRoot.querySelector('#cancel-edit');
     if (cancelBtn) cancelBtn.addEventListener('click', () => this.cancelEdit());
 
+    this.shadowRoot.querySelectorAll('[data-tab]').forEach(btn => {
+      btn.addEventListener('click', () => this.switchTab(btn.getAttribute('data-tab')));
+    });
+
+    this.shadowRoot.querySelector('#save-rule')?.addEventListener('click', () => this.handleRuleSubmit());
+    this.shadowRoot.querySelector('#cancel-rule-edit')?.addEventListener('click', () => this.cancelRuleEdit());
+    this.shadowRoot.querySelector('#preview-recategorize')?.addEventListener('click', () => this.previewRecategorize());
+    this.shadowRoot.querySelector('#apply-recategorize')?.addEventListener('click', () => this.applyRecategorize());
+
+    // The rate applies only to IVA to add
+    const ivaMode = this.shadowRoot.querySelector('#rule-form [name="iva_mode"]');
+    ivaMode?.addEventListener('change', () => {
+      this.shadowRoot.querySelector('#rule-form [name="iva_rate"]').disabled = ivaMode.value !== 'excluded';
+    });
+
+    this.shadowRoot.querySelectorAll('[data-rule-action]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const action = btn.getAttribute('data-rule-action');
+        const rule = this.rules.find(r => r.id === parseInt(btn.getAttribute('data-id')));
+        if (!rule) return;
+
+        if (action === 'edit') this.editRule(rule);
+        else if (action === 'toggle') this.toggleRule(rule);
+        else if (action === 'delete') this.deleteRule(rule);
+        else if (action === 'up') this.moveRule(rule, -1);
+        else if (action === 'down') this.moveRule(rule, 1);
+      });
+    });
+
     // Add event listeners for edit and delete buttons
     this.shadowRoot.querySelectorAll('[data-action]').forEach(btn => {
       btn.addEventListener('click', () => {
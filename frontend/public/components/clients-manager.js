@@ -3,8 +3,12 @@ class ClientsManager extends HTMLElement {
     super();
     this.attachShadow({ mode: 'open' });
     this.clients = [];
+    this.summaries = new Map(); // Billed, outstanding and hours by client id
     this.isOpen = false;
     this.editingClient = null;
+    this.detailClientId = null; // Client shown in the detail view
+    this.showArchived = false; // List archived clients instead of active ones
+    this.merge = null; // Merge into a client: { targetId, sourceIds, recompute, preview }
     this.loading = false;
     this.handleExternalOpen = this.handleExternalOpen.bind(this);
   }
@@ -23,9 +27,27 @@ class ClientsManager extends HTMLElement {
     this.open();
   }
 
+  getFiscalFields() {
+    return [
+      { key: 'vat_number', label: 'Partita IVA', placeholder: '01234567890' },
+      { key: 'fiscal_code', label: 'Codice Fiscale', placeholder: '' },
+      { key: 'address', label: 'Indirizzo', placeholder: 'Via Roma 1' },
+      { key: 'postal_code', label: 'CAP', placeholder: '20100' },
+      { key: 'city', label: 'Comune', placeholder: 'Milano' },
+      { key: 'province', label: 'Provincia', placeholder: 'MI' },
+      { key: 'country', label: 'Nazione', placeholder: 'IT' },
+      { key: 'sdi_code', label: 'Codice SDI', placeholder: '0000000' },
+      { key: 'pec', label: 'PEC', placeholder: 'cliente@pec.it' }
+    ];
+  }
+
+  getLanguages() {
+    return { it: 'Italiano', en: 'Inglese', de: 'Tedesco', fr: 'Francese', es: 'Spagnolo' };
+  }
+
   async loadClients() {
     try {
-      const result = await API.clients.getAll();
+      const result = await API.clients.getAll('all');
       this.clients = result.map((client) => ({
         ...client,
         hourly_rate: typeof client.hourly_rate === 'number'
@@ -37,17 +59,153 @@ class ClientsManager extends HTMLElement {
       console.error('Impossibile caricare i clienti:', error);
       showNotification('Impossibile caricare i clienti', 'error');
     }
+    this.loadSummaries();
+  }
+
+  /**
+   * Load what each client was billed, still owes and worked; the list
+   * works without it
+   */
+  async loadSummaries() {
+    try {
+      const summaries = await API.clients.getSummaries();
+      this.summaries = new Map(summaries.map((summary) => [summary.client_id, summary]));
+      this.render();
+    } catch (error) {
+      console.error('Impossibile caricare il riepilogo dei clienti:', error);
+    }
+  }
+
+  renderSummaryCells(client) {
+    const summary = this.summaries.get(client.id);
+    if (!summary) {
+      return '<td>-</td><td>-</td><td>-</td>';
+    }
+
+    return `
+      <td>
+        ${formatCurrency(summary.billed_revenue)}
+        <div class="muted">${summary.invoice_count} fatture</div>
+      </td>
+      <td>
+        ${formatCurrency(summary.outstanding)}
+        ${summary.overdue > 0 ? `<div class="overdue">${formatCurrency(summary.overdue)} scaduti</div>` : ''}
+      </td>
+      <td>
+        ${summary.hours.toFixed(2)} h
+        ${summary.unbilled_hours > 0 ? `<div class="muted">${summary.unbilled_hours.toFixed(2)} h da fatturare</div>` : ''}
+      </td>
+    `;
   }
 
   open() {
     this.isOpen = true;
     this.render();
+    // Invoices and hours may have changed since the last load
+    this.loadSummaries();
   }
 
   close() {
     this.isOpen = false;
     this.editingClient = null;
+    this.detailClientId = null;
+    this.showArchived = false;
+    this.merge = null;
+    this.render();
+  }
+
+  setArchivedView(showArchived) {
+    this.showArchived = showArchived;
+    this.detailClientId = null;
+    this.editingClient = null;
+    this.render();
+  }
+
+  showDetail(clientId) {
+    this.detailClientId = clientId;
+    this.editingClient = null;
+    this.merge = null;
+    this.render();
+  }
+
+  showList() {
+    this.detailClientId = null;
+    this.editingClient = null;
+    this.merge = null;
+    this.render();
+  }
+
+  startMerge(targetId) {
+    this.merge = { targetId, sourceIds: [], recompute: false, preview: null };
+    this.render();
+  }
+
+  cancelMerge() {
+    this.merge = null;
+    this.render();
+  }
+
+  /**
+   * A different choice of clients invalidates the preview shown
+   */
+  toggleMergeSource(clientId, checked) {
+    const sourceIds = this.merge.sourceIds.filter((id) => id !== clientId);
+    this.merge = { ...this.merge, sourceIds: checked ? [...sourceIds, clientId] : sourceIds, preview: null };
+    this.render();
+  }
+
+  /**
+   * The preview has both the logged and the recomputed amounts
+   */
+  setMergeRecompute(recompute) {
+    this.merge = { ...this.merge, recompute };
+    this.render();
+  }
+
+  async loadMergePreview() {
+    if (!this.merge.sourceIds.length) {
+      showNotification('Seleziona almeno un cliente da unire', 'warning');
+      return;
+    }
+
+    try {
+      const preview = await API.clients.previewMerge(this.merge.targetId, this.merge.sourceIds);
+      this.merge = { ...this.merge, preview };
+      this.render();
+    } catch (error) {
+      console.error(error);
+      showNotification(error.message || 'Impossibile preparare l\'unione', 'error');
+    }
+  }
+
+  async handleMerge() {
+    const { targetId, sourceIds, recompute, preview } = this.merge;
+    if (!preview || this.loading) return;
+
+    const names = preview.sources.map((source) => source.client_name).join(', ');
+    if (!confirm(`Unire ${names} in ${preview.target.name}?\n\nI clienti uniti saranno eliminati. L'operazione non si può annullare.`)) {
+      return;
+    }
+
+    this.loading = true;
     this.render();
+
+    try {
+      await API.clients.merge(targetId, sourceIds, recompute);
+      showNotification(`${sourceIds.length === 1 ? 'Cliente unito' : 'Clienti uniti'} in ${preview.target.name}`, 'success');
+
+      window.emitDataChange?.(window.AppEvents?.CLIENTS_CHANGED || 'data:clients:changed');
+      window.dispatchEvent(new CustomEvent('clients:updated'));
+      this.merge = null;
+      this.detailClientId = targetId;
+      await this.loadClients();
+    } catch (error) {
+      console.error(error);
+      showNotification(error.message || 'Impossibile unire i clienti', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
   }
 
   startEdit(clientId) {
@@ -70,6 +228,20 @@ class ClientsManager extends HTMLElement {
     const name = formData.get('name').trim();
     const hourlyRate = parseFloat(formData.get('hourly_rate'));
     const notes = formData.get('notes');
+    const email = (formData.get('email') || '').trim();
+    const profileData = {
+      client_type: formData.get('client_type'),
+      phone: (formData.get('phone') || '').trim(),
+      // Empty uses the default payment terms
+      payment_terms_days: formData.get('payment_terms_days') === '' ? null : parseInt(formData.get('payment_terms_days')),
+      language: formData.get('language')
+    };
+    // Empty follows the rivalsa INPS default of the settings
+    const inpsRivalsa = formData.get('inps_rivalsa') === '' ? null : formData.get('inps_rivalsa') === 'true';
+    const fiscalData = {};
+    this.getFiscalFields().forEach(({ key }) => {
+      fiscalData[key] = (formData.get(key) || '').trim();
+    });
 
     if (!name) {
       showNotification('Il nome è obbligatorio', 'warning');
@@ -89,14 +261,22 @@ class ClientsManager extends HTMLElement {
         await API.clients.update(this.editingClient.id, {
           name,
           hourly_rate: hourlyRate,
-          notes
+          notes,
+          email,
+          inps_rivalsa: inpsRivalsa,
+          ...profileData,
+          ...fiscalData
         });
         showNotification('Cliente aggiornato', 'success');
       } else {
         await API.clients.create({
           name,
           hourly_rate: hourlyRate,
-          notes
+          notes,
+          email,
+          inps_rivalsa: inpsRivalsa,
+          ...profileData,
+          ...fiscalData
         });
         showNotification('Cliente creato', 'success');
       }
@@ -117,28 +297,48 @@ class ClientsManager extends HTMLElement {
     }
   }
 
+  /**
+   * Archive or restore a client: archived clients leave the pickers,
+   * their hours and invoices stay in the reports
+   */
+  async handleArchive(clientId, archive) {
+    try {
+      if (archive) {
+        await API.clients.archive(clientId);
+        showNotification('Cliente archiviato', 'success');
+      } else {
+        await API.clients.restore(clientId);
+        showNotification('Cliente ripristinato', 'success');
+      }
+
+      window.emitDataChange?.(window.AppEvents?.CLIENTS_CHANGED || 'data:clients:changed');
+      window.dispatchEvent(new CustomEvent('clients:updated'));
+      await this.loadClients();
+    } catch (error) {
+      console.error(error);
+      showNotification(error.message || 'Impossibile aggiornare il cliente', 'error');
+    }
+  }
+
   async handleDelete(clientId) {
     const client = this.clients.find(c => c.id === clientId);
     const clientName = client ? client.name : 'questo cliente';
     
-    if (!confirm(`Sei sicuro di voler eliminare ${clientName}?\n\nNOTA: Tutte le ore registrate associate a questo cliente saranno eliminate definitivamente.`)) {
+    if (!confirm(`Sei sicuro di voler eliminare ${clientName}?\n\nSi possono eliminare solo i clienti senza ore registrate né fatture: gli altri vanno archiviati.`)) {
       return;
     }
 
     try {
-      const result = await API.clients.delete(clientId);
-      const deletedHours = result.data?.deletedHours || 0;
+      await API.clients.delete(clientId);
       
       // Emit event for reactive updates
       window.emitDataChange?.(window.AppEvents?.CLIENTS_CHANGED || 'data:clients:changed');
-      
-      if (deletedHours > 0) {
-        showNotification(`Cliente eliminato (${deletedHours} registrazioni ore eliminate)`, 'success');
-      } else {
-        showNotification('Cliente eliminato', 'success');
-      }
+      showNotification('Cliente eliminato', 'success');
       
       window.dispatchEvent(new CustomEvent('clients:updated'));
+      if (this.detailClientId === clientId) {
+        this.detailClientId = null;
+      }
       this.loadClients();
     } catch (error) {
       console.error(error);
@@ -146,6 +346,292 @@ class ClientsManager extends HTMLElement {
     }
   }
 
+  /**
+   * Detail of a client, the form to edit it, or the new client form
+   * with the list
+   */
+  renderBody() {
+    if (this.merge) {
+      return this.renderMerge();
+    }
+    if (this.detailClientId && !this.editingClient) {
+      return this.renderDetail();
+    }
+    if (this.detailClientId) {
+      return this.renderForm();
+    }
+    // New clients are added from the active list
+    return this.showArchived ? this.renderList() : `${this.renderForm()}\n${this.renderList()}`;
+  }
+
+  renderForm() {
+    return `
+      <section>
+        <h3 style="margin:0 0 0.75rem 0;font-size:1rem;color:var(--color-text-primary);">${this.editingClient ? 'Modifica Cliente' : 'Nuovo Cliente'}</h3>
+        <form id="client-form">
+          <div class="form-group">
+            <label>Nome</label>
+            <input type="text" name="name" value="${this.editingClient?.name || ''}" placeholder="Nome cliente" required>
+          </div>
+          <div class="form-group">
+            <label>Tipo</label>
+            <select name="client_type">
+              <option value="company" ${this.editingClient?.client_type !== 'individual' ? 'selected' : ''}>Azienda / professionista</option>
+              <option value="individual" ${this.editingClient?.client_type === 'individual' ? 'selected' : ''}>Privato</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Tariffa Oraria (€)</label>
+            <input type="number" name="hourly_rate" min="1" step="0.5" value="${this.editingClient?.hourly_rate || ''}" placeholder="es. 80" required>
+          </div>
+          <div class="form-group">
+            <label>Email</label>
+            <input type="email" name="email" value="${escapeHtml(this.editingClient?.email || '')}" placeholder="amministrazione@cliente.it">
+          </div>
+          <div class="form-group">
+            <label>Telefono</label>
+            <input type="tel" name="phone" value="${escapeHtml(this.editingClient?.phone || '')}" placeholder="+39 02 1234567">
+          </div>
+          <div class="form-group">
+            <label>Termini di pagamento (giorni)</label>
+            <input type="number" name="payment_terms_days" min="0" max="365" step="1" value="${this.editingClient?.payment_terms_days ?? ''}" placeholder="30">
+          </div>
+          <div class="form-group">
+            <label>Lingua</label>
+            <select name="language">
+              ${Object.entries(this.getLanguages()).map(([code, label]) => `
+                <option value="${code}" ${(this.editingClient?.language || 'it') === code ? 'selected' : ''}>${label}</option>
+              `).join('')}
+            </select>
+          </div>
+          ${this.getFiscalFields().map(({ key, label, placeholder }) => `
+            <div class="form-group">
+              <label>${label}</label>
+              <input type="text" name="${key}" value="${escapeHtml(this.editingClient?.[key] || '')}" placeholder="${placeholder}">
+            </div>
+          `).join('')}
+          <div class="form-group">
+            <label>Rivalsa INPS</label>
+            <select name="inps_rivalsa">
+              <option value="" ${this.editingClient?.inps_rivalsa == null ? 'selected' : ''}>Come da impostazioni</option>
+              <option value="true" ${this.editingClient?.inps_rivalsa === true ? 'selected' : ''}>Sì, addebita la rivalsa</option>
+              <option value="false" ${this.editingClient?.inps_rivalsa === false ? 'selected' : ''}>No</option>
+            </select>
+          </div>
+          <div class="form-group" style="grid-column:1 / -1;">
+            <label>Note</label>
+            <textarea name="notes" placeholder="Informazioni aggiuntive...">${this.editingClient?.notes || ''}</textarea>
+          </div>
+        </form>
+        <div style="display:flex; gap:0.75rem; margin-top:0.5rem;">
+          <button class="btn btn-primary" id="save-client" ${this.loading ? 'disabled' : ''}>${this.loading ? 'Salvataggio...' : this.editingClient ? 'Aggiorna' : 'Aggiungi'}</button>
+          ${this.editingClient ? `<button class="btn btn-outline" id="cancel-edit">Annulla</button>` : ''}
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * Registry data and figures of a client, read only
+   */
+  renderDetail() {
+    const client = this.clients.find((c) => c.id === this.detailClientId);
+    if (!client) {
+      return '<div class="list-empty">Cliente non trovato.</div>';
+    }
+
+    const summary = this.summaries.get(client.id);
+    const value = (text) => text ? escapeHtml(String(text)) : '<span class="muted">-</span>';
+    const address = [
+      client.address,
+      [client.postal_code, client.city, client.province ? `(${client.province})` : ''].filter(Boolean).join(' '),
+      client.country
+    ].filter(Boolean).join(', ');
+    const rivalsa = client.inps_rivalsa == null ? 'Come da impostazioni' : (client.inps_rivalsa ? 'Sì' : 'No');
+
+    return `
+      <section>
+        <div class="detail-header">
+          <button class="link" data-action="back">&larr; Tutti i clienti</button>
+          <div class="actions">
+            <button class="btn btn-outline" data-action="edit" data-id="${client.id}">Modifica</button>
+            <button class="btn btn-outline" data-action="merge" data-id="${client.id}">Unisci duplicati</button>
+            ${client.archived_at
+              ? `<button class="btn btn-outline" data-action="restore" data-id="${client.id}">Ripristina</button>`
+              : `<button class="btn btn-outline" data-action="archive" data-id="${client.id}">Archivia</button>`}
+            <button class="btn btn-danger" data-action="delete" data-id="${client.id}">Elimina</button>
+          </div>
+        </div>
+        <h3 style="margin:0.75rem 0;font-size:1.1rem;color:var(--color-text-primary);">
+          ${escapeHtml(client.name)}
+          <span class="muted">${client.client_type === 'individual' ? 'Privato' : 'Azienda / professionista'}</span>
+          ${client.archived_at ? `<span class="badge-archived">Archiviato il ${formatDate(client.archived_at, 'short')}</span>` : ''}
+        </h3>
+        <dl class="detail-grid">
+          <dt>Partita IVA</dt><dd>${value(client.vat_number)}</dd>
+          <dt>Codice Fiscale</dt><dd>${value(client.fiscal_code)}</dd>
+          <dt>Sede</dt><dd>${value(address)}</dd>
+          <dt>Codice SDI</dt><dd>${value(client.sdi_code)}</dd>
+          <dt>PEC</dt><dd>${value(client.pec)}</dd>
+          <dt>Email</dt><dd>${value(client.email)}</dd>
+          <dt>Telefono</dt><dd>${value(client.phone)}</dd>
+          <dt>Lingua</dt><dd>${value(this.getLanguages()[client.language] || client.language)}</dd>
+          <dt>Pagamento</dt><dd>${client.payment_terms_days ?? 30} giorni dalla data fattura${client.payment_terms_days == null ? ' (predefinito)' : ''}</dd>
+          <dt>Tariffa</dt><dd>€${client.hourly_rate.toFixed(2)}/h</dd>
+          <dt>Rivalsa INPS</dt><dd>${rivalsa}</dd>
+          <dt>Note</dt><dd>${value(client.notes)}</dd>
+        </dl>
+      </section>
+      ${summary ? `
+        <section>
+          <h3 style="margin:0 0 0.75rem 0;font-size:1rem;color:var(--color-text-primary);">Riepilogo</h3>
+          <dl class="detail-grid">
+            <dt>Fatturato</dt><dd>${formatCurrency(summary.billed_revenue)} <span class="muted">(${summary.invoice_count} fatture${summary.last_invoice_date ? `, ultima del ${formatDate(summary.last_invoice_date, 'short')}` : ''})</span></dd>
+            <dt>Incassato</dt><dd>${formatCurrency(summary.received)}</dd>
+            <dt>Da incassare</dt><dd>${formatCurrency(summary.outstanding)}${summary.overdue > 0 ? ` <span class="overdue">${formatCurrency(summary.overdue)} scaduti</span>` : ''}</dd>
+            <dt>Ore lavorate</dt><dd>${summary.hours.toFixed(2)} h${summary.unbilled_hours > 0 ? ` <span class="muted">(${summary.unbilled_hours.toFixed(2)} h da fatturare, ${formatCurrency(summary.unbilled_amount)})</span>` : ''}</dd>
+          </dl>
+        </section>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Choice of the duplicates to merge into a client, and the preview of
+   * the rows they would move
+   */
+  renderMerge() {
+    const target = this.clients.find((c) => c.id === this.merge.targetId);
+    if (!target) {
+      return '<div class="list-empty">Cliente non trovato.</div>';
+    }
+
+    const candidates = this.clients.filter((client) => client.id !== target.id);
+    const preview = this.merge.preview;
+
+    return `
+      <section>
+        <div class="detail-header">
+          <button class="link" data-action="cancel-merge">&larr; ${escapeHtml(target.name)}</button>
+        </div>
+        <h3 style="margin:0.75rem 0;font-size:1.1rem;color:var(--color-text-primary);">Unisci in ${escapeHtml(target.name)}</h3>
+        <p class="muted">Ore lavorate, fatture e fatture ricorrenti dei clienti scelti passano a ${escapeHtml(target.name)}; i clienti scelti vengono poi eliminati. Le fatture emesse mantengono il nome con cui sono state stampate.</p>
+        ${candidates.length === 0 ? `
+          <div class="list-empty">Nessun altro cliente da unire.</div>
+        ` : `
+          <div class="merge-sources">
+            ${candidates.map((client) => `
+              <label class="checkbox">
+                <input type="checkbox" data-merge-source="${client.id}" ${this.merge.sourceIds.includes(client.id) ? 'checked' : ''}>
+                ${escapeHtml(client.name)}
+                <span class="muted">€${client.hourly_rate.toFixed(2)}/h${client.archived_at ? ', archiviato' : ''}</span>
+              </label>
+            `).join('')}
+          </div>
+          <div class="form-group" style="margin-top:1rem;">
+            <label>Importi delle ore non ancora fatturate</label>
+            <select id="merge-recompute">
+              <option value="false" ${this.merge.recompute ? '' : 'selected'}>Mantieni gli importi registrati</option>
+              <option value="true" ${this.merge.recompute ? 'selected' : ''}>Ricalcola alla tariffa di ${escapeHtml(target.name)} (€${target.hourly_rate.toFixed(2)}/h)</option>
+            </select>
+          </div>
+        `}
+      </section>
+      ${preview ? `
+        <section>
+          <h3 style="margin:0 0 0.75rem 0;font-size:1rem;color:var(--color-text-primary);">Anteprima</h3>
+          <div class="table-responsive">
+            <table>
+              <thead>
+                <tr>
+                  <th>Cliente</th>
+                  <th>Ore lavorate</th>
+                  <th>Non fatturate</th>
+                  <th>Fatture</th>
+                  <th>Ricorrenti</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${preview.sources.map((source) => `
+                  <tr>
+                    <td>${escapeHtml(source.client_name)}<div class="muted">€${source.hourly_rate.toFixed(2)}/h</div></td>
+                    <td>${source.worked_hours} registrazioni<div class="muted">${source.hours.toFixed(2)} h, ${formatCurrency(source.amount)}</div></td>
+                    <td>
+                      ${source.unbilled_entries} registrazioni
+                      <div class="muted">${this.merge.recompute
+                        ? `${formatCurrency(source.unbilled_amount)} &rarr; ${formatCurrency(source.recomputed_amount)}`
+                        : formatCurrency(source.unbilled_amount)}</div>
+                    </td>
+                    <td>${source.invoices}</td>
+                    <td>${source.recurring_invoices}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      ` : ''}
+      <div style="display:flex; gap:0.75rem;">
+        <button class="btn btn-outline" id="merge-preview" ${this.merge.sourceIds.length ? '' : 'disabled'}>Anteprima</button>
+        ${preview ? `<button class="btn btn-danger" id="merge-confirm" ${this.loading ? 'disabled' : ''}>${this.loading ? 'Unione...' : 'Conferma unione'}</button>` : ''}
+        <button class="btn btn-outline" data-action="cancel-merge">Annulla</button>
+      </div>
+    `;
+  }
+
+  renderList() {
+    const archivedCount = this.clients.filter((client) => client.archived_at).length;
+    const clients = this.clients.filter((client) => Boolean(client.archived_at) === this.showArchived);
+
+    return `
+      <section>
+        <div class="list-header">
+          <h3 style="margin:0;font-size:1rem;color:var(--color-text-primary);">${this.showArchived ? 'Clienti archiviati' : 'Clienti'}</h3>
+          <div class="view-toggle">
+            <button class="${this.showArchived ? '' : 'active'}" data-view="active">Attivi (${this.clients.length - archivedCount})</button>
+            <button class="${this.showArchived ? 'active' : ''}" data-view="archived">Archiviati (${archivedCount})</button>
+          </div>
+        </div>
+        ${clients.length === 0 ? `
+          <div class="list-empty">${this.showArchived ? 'Nessun cliente archiviato.' : 'Nessun cliente presente.'}</div>
+        ` : `
+          <div class="table-responsive">
+            <table>
+              <thead>
+                <tr>
+                  <th>Cliente</th>
+                  <th>Tariffa</th>
+                  <th>Fatturato</th>
+                  <th>Da incassare</th>
+                  <th>Ore</th>
+                  <th>Azioni</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${clients.map(client => `
+                  <tr>
+                    <td><button class="link" data-action="detail" data-id="${client.id}">${escapeHtml(client.name)}</button></td>
+                    <td>€${client.hourly_rate.toFixed(2)}/h</td>
+                    ${this.renderSummaryCells(client)}
+                    <td>
+                      <div class="actions">
+                        ${client.archived_at
+                          ? `<button class="btn btn-outline" data-action="restore" data-id="${client.id}">Ripristina</button>`
+                          : `<button class="btn btn-outline" data-action="edit" data-id="${client.id}">Modifica</button>
+                        <button class="btn btn-outline" data-action="archive" data-id="${client.id}">Archivia</button>`}
+                        <button class="btn btn-danger" data-action="delete" data-id="${client.id}">Elimina</button>
+                      </div>
+                    </td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        `}
+      </section>
+    `;
+  }
+
   render() {
     this.shadowRoot.innerHTML = `
       <style>
@@ -164,7 +650,7 @@ class ClientsManager extends HTMLElement {
         }
         .modal-content {
           width: 100%;
-          max-width: 720px;
+          max-width: 900px;
           background: var(--color-bg);
           color: var(--color-text-primary);
           border-radius: 0.375rem;
@@ -223,6 +709,7 @@ class ClientsManager extends HTMLElement {
           margin-bottom: 0.35rem;
         }
         input,
+        select,
         textarea {
           border: 1px solid var(--color-border);
           border-radius: 0.375rem;
@@ -254,6 +741,98 @@ class ClientsManager extends HTMLElement {
           display: flex;
           gap: 0.5rem;
         }
+        .table-responsive {
+          overflow-x: auto;
+        }
+        .link {
+          background: none;
+          border: none;
+          padding: 0;
+          font: inherit;
+          color: var(--color-primary);
+          cursor: pointer;
+          text-align: left;
+        }
+        .list-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 0.75rem;
+        }
+        .view-toggle {
+          display: flex;
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+          overflow: hidden;
+        }
+        .view-toggle button {
+          background: transparent;
+          border: none;
+          padding: 0.35rem 0.8rem;
+          font-size: 0.85rem;
+          cursor: pointer;
+          color: var(--color-text-secondary);
+        }
+        .view-toggle button.active {
+          background: var(--color-primary);
+          color: #fff;
+        }
+        .badge-archived {
+          margin-left: 0.5rem;
+          padding: 0.1rem 0.5rem;
+          border-radius: 999px;
+          font-size: 0.75rem;
+          font-weight: 500;
+          background: var(--color-bg-tertiary);
+          color: var(--color-text-secondary);
+        }
+        .merge-sources {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(240px, 1fr));
+          gap: 0.5rem 1rem;
+        }
+        .checkbox {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          font-size: 0.95rem;
+          color: var(--color-text-primary);
+          margin: 0;
+        }
+        .btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+        .detail-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+        .detail-header .actions {
+          display: flex;
+          gap: 0.5rem;
+        }
+        .detail-grid {
+          display: grid;
+          grid-template-columns: 160px 1fr;
+          gap: 0.5rem 1rem;
+          margin: 0;
+        }
+        .detail-grid dt {
+          color: var(--color-text-secondary);
+          font-size: 0.9rem;
+        }
+        .detail-grid dd {
+          margin: 0;
+        }
+        .muted,
+        .overdue {
+          font-size: 0.8rem;
+          color: var(--color-text-secondary);
+        }
+        .overdue {
+          color: var(--color-danger);
+        }
         .btn {
           border: none;
           border-radius: 0.375rem;
@@ -289,60 +868,7 @@ class ClientsManager extends HTMLElement {
             <button class="close-btn" id="close-manager">&times;</button>
           </div>
           <div class="modal-body">
-            <section>
-              <h3 style="margin:0 0 0.75rem 0;font-size:1rem;color:var(--color-text-primary);">${this.editingClient ? 'Modifica Cliente' : 'Nuovo Cliente'}</h3>
-              <form id="client-form">
-                <div class="form-group">
-                  <label>Nome</label>
-                  <input type="text" name="name" value="${this.editingClient?.name || ''}" placeholder="Nome cliente" required>
-                </div>
-                <div class="form-group">
-                  <label>Tariffa Oraria (€)</label>
-                  <input type="number" name="hourly_rate" min="1" step="0.5" value="${this.editingClient?.hourly_rate || ''}" placeholder="es. 80" required>
-                </div>
-                <div class="form-group" style="grid-column:1 / -1;">
-                  <label>Note</label>
-                  <textarea name="notes" placeholder="Informazioni aggiuntive...">${this.editingClient?.notes || ''}</textarea>
-                </div>
-              </form>
-              <div style="display:flex; gap:0.75rem; margin-top:0.5rem;">
-                <button class="btn btn-primary" id="save-client" ${this.loading ? 'disabled' : ''}>${this.loading ? 'Salvataggio...' : this.editingClient ? 'Aggiorna' : 'Aggiungi'}</button>
-                ${this.editingClient ? `<button class="btn btn-outline" id="cancel-edit">Annulla</button>` : ''}
-              </div>
-            </section>
-
-            <section>
-              <h3 style="margin:0 0 0.75rem 0;font-size:1rem;color:var(--color-text-primary);">Clienti</h3>
-              ${this.clients.length === 0 ? `
-                <div class="list-empty">Nessun cliente presente.</div>
-              ` : `
-                <div class="table-responsive">
-                  <table>
-                    <thead>
-                      <tr>
-                        <th>Cliente</th>
-                        <th>Tariffa</th>
-                        <th>Azioni</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      ${this.clients.map(client => `
-                        <tr>
-                          <td>${client.name}</td>
-                          <td>€${client.hourly_rate.toFixed(2)}/h</td>
-                          <td>
-                            <div class="actions">
-                              <button class="btn btn-outline" data-action="edit" data-id="${client.id}">Modifica</button>
-                              <button class="btn btn-danger" data-action="delete" data-id="${client.id}">Elimina</button>
-                            </div>
-                          </td>
-                        </tr>
-                      `).join('')}
-                    </tbody>
-                  </table>
-                </div>
-              `}
-            </section>
+            ${this.renderBody()}
           </div>
           <div class="modal-footer">
             <button class="btn btn-outline" id="close-footer">Chiudi</button>
@@ -373,6 +899,54 @@ class ClientsManager extends HTMLElement {
     this.shadowRoot.querySelectorAll('[data-action="delete"]').forEach((btn) => {
       btn.addEventListener('click', () => this.handleDelete(parseInt(btn.dataset.id)));
     });
+
+    this.shadowRoot.querySelectorAll('[data-action="archive"]').forEach((btn) => {
+      btn.addEventListener('click', () => this.handleArchive(parseInt(btn.dataset.id), true));
+    });
+
+    this.shadowRoot.querySelectorAll('[data-action="restore"]').forEach((btn) => {
+      btn.addEventListener('click', () => this.handleArchive(parseInt(btn.dataset.id), false));
+    });
+
+    this.shadowRoot.querySelectorAll('[data-action="merge"]').forEach((btn) => {
+      btn.addEventListener('click', () => this.startMerge(parseInt(btn.dataset.id)));
+    });
+
+    this.shadowRoot.querySelectorAll('[data-action="cancel-merge"]').forEach((btn) => {
+      btn.addEventListener('click', () => this.cancelMerge());
+    });
+
+    this.shadowRoot.querySelectorAll('[data-merge-source]').forEach((input) => {
+      input.addEventListener('change', () => this.toggleMergeSource(parseInt(input.dataset.mergeSource), input.checked));
+    });
+
+    const recomputeSelect = this.shadowRoot.querySelector('#merge-recompute');
+    if (recomputeSelect) {
+      recomputeSelect.addEventListener('change', () => this.setMergeRecompute(recomputeSelect.value === 'true'));
+    }
+
+    const mergePreviewBtn = this.shadowRoot.querySelector('#merge-preview');
+    if (mergePreviewBtn) {
+      mergePreviewBtn.addEventListener('click', () => this.loadMergePreview());
+    }
+
+    const mergeConfirmBtn = this.shadowRoot.querySelector('#merge-confirm');
+    if (mergeConfirmBtn) {
+      mergeConfirmBtn.addEventListener('click', () => this.handleMerge());
+    }
+
+    this.shadowRoot.querySelectorAll('[data-view]').forEach((btn) => {
+      btn.addEventListener('click', () => this.setArchivedView(btn.dataset.view === 'archived'));
+    });
+
+    this.shadowRoot.querySelectorAll('[data-action="detail"]').forEach((btn) => {
+      btn.addEventListener('click', () => this.showDetail(parseInt(btn.dataset.id)));
+    });
+
+    const backBtn = this.shadowRoot.querySelector('[data-action="back"]');
+    if (backBtn) {
+      backBtn.addEventListener('click', () => this.showList());
+    }
   }
 }
 
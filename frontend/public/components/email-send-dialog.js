@@ -0,0 +1,329 @@
+/**
+ * Email Send Dialog Component
+ *
+ * Global modal that emails an invoice or a monthly worked hours report
+ * to the client, with the PDF attached. Recipient, subject and body are
+ * proposed from the templates in the settings and can be edited.
+ * Previous sends of the invoice are listed below the form.
+ *
+ * Opened via the 'email-send:open' window event with detail
+ * { invoiceId } or { report: { clientId, year, month } }.
+ */
+
+class EmailSendDialog extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.isOpen = false;
+    this.loading = false;
+    this.sending = false;
+    this.target = null;
+    this.draft = null;
+    this.log = [];
+    this.handleExternalOpen = this.handleExternalOpen.bind(this);
+  }
+
+  connectedCallback() {
+    window.addEventListener('email-send:open', this.handleExternalOpen);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener('email-send:open', this.handleExternalOpen);
+  }
+
+  handleExternalOpen(event) {
+    const detail = event.detail || {};
+    if (detail.invoiceId || detail.report) {
+      this.open(detail);
+    }
+  }
+
+  async open(target) {
+    this.isOpen = true;
+    this.target = target;
+    this.draft = null;
+    this.log = [];
+    this.loading = true;
+    this.render();
+
+    try {
+      if (target.invoiceId) {
+        [this.draft, this.log] = await Promise.all([
+          API.invoices.getEmailDraft(target.invoiceId),
+          API.emails.getLog({ invoice_id: target.invoiceId })
+        ]);
+      } else {
+        const { clientId, year, month } = target.report;
+        const period = `${year}-${String(month).padStart(2, '0')}`;
+        const [draft, log] = await Promise.all([
+          API.workedHours.getMonthlyReportEmailDraft(year, month, clientId),
+          API.emails.getLog({ client_id: clientId })
+        ]);
+        this.draft = draft;
+        this.log = log.filter((entry) => entry.period === period);
+      }
+    } catch (error) {
+      console.error('Errore preparazione email:', error);
+      showNotification(error.message || 'Impossibile preparare l\'email', 'error');
+      this.isOpen = false;
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  close() {
+    this.isOpen = false;
+    this.render();
+  }
+
+  async handleSubmit(form) {
+    if (this.sending) return;
+
+    const formData = new FormData(form);
+    const data = {
+      to: formData.get('to').trim(),
+      subject: formData.get('subject').trim(),
+      body: formData.get('body')
+    };
+
+    // Keep the edits if the send fails and the form is rendered again
+    this.draft = { ...this.draft, ...data };
+    this.sending = true;
+    this.render();
+
+    try {
+      if (this.target.invoiceId) {
+        await API.invoices.sendEmail(this.target.invoiceId, data);
+      } else {
+        const { clientId, year, month } = this.target.report;
+        await API.workedHours.sendMonthlyReportEmail({ client_id: clientId, year, month, ...data });
+      }
+      showNotification(`Email inviata a ${data.to}`, 'success');
+      this.isOpen = false;
+    } catch (error) {
+      console.error('Errore invio email:', error);
+      showNotification(error.message || 'Impossibile inviare l\'email', 'error');
+    } finally {
+      this.sending = false;
+      this.render();
+    }
+  }
+
+  renderLog() {
+    if (this.log.length === 0) {
+      return '';
+    }
+
+    return `
+      <section>
+        <div class="section-label">Invii precedenti</div>
+        <table>
+          <tbody>
+            ${this.log.map((entry) => `
+              <tr>
+                <td>${formatDate(entry.created_at, 'short')}</td>
+                <td>${escapeHtml(entry.recipient)}</td>
+                <td class="${entry.status === 'sent' ? 'sent' : 'failed'}" title="${escapeHtml(entry.error || '')}">
+                  ${entry.status === 'sent' ? 'Inviata' : 'Non inviata'}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </section>
+    `;
+  }
+
+  render() {
+    const draft = this.draft;
+    const title = this.target?.invoiceId ? 'Invia fattura via email' : 'Invia report ore via email';
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        .modal {
+          position: fixed;
+          inset: 0;
+          display: ${this.isOpen ? 'flex' : 'none'};
+          align-items: center;
+          justify-content: center;
+          background: var(--color-overlay);
+          z-index: 2200;
+          padding: 1rem;
+        }
+        .modal-content {
+          width: 100%;
+          max-width: 640px;
+          max-height: 90vh;
+          background: var(--color-bg);
+          color: var(--color-text-primary);
+          border-radius: 0.375rem;
+          box-shadow: var(--shadow-xl);
+          overflow: hidden;
+          border: 1px solid var(--color-border);
+          display: flex;
+          flex-direction: column;
+        }
+        .modal-header {
+          padding: 1rem 1.5rem;
+          border-bottom: 1px solid var(--color-border);
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 0.5rem;
+        }
+        .modal-header h2 {
+          margin: 0;
+          font-size: 1.125rem;
+          font-weight: 600;
+        }
+        .close-btn {
+          background: none;
+          border: none;
+          font-size: 1.5rem;
+          cursor: pointer;
+          color: var(--color-text-secondary);
+        }
+        .modal-body {
+          padding: 1.5rem;
+          display: grid;
+          gap: 1.25rem;
+          overflow-y: auto;
+        }
+        .email-form {
+          display: grid;
+          gap: 1rem;
+        }
+        label,
+        .section-label {
+          display: block;
+          font-size: 0.9rem;
+          font-weight: 500;
+          color: var(--color-text-secondary);
+          margin-bottom: 0.35rem;
+        }
+        input,
+        textarea {
+          width: 100%;
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+          padding: 0.5rem 0.75rem;
+          font-size: 0.95rem;
+          font-family: inherit;
+          background: var(--color-bg);
+          color: var(--color-text-primary);
+          box-sizing: border-box;
+        }
+        textarea {
+          min-height: 200px;
+          resize: vertical;
+        }
+        .hint {
+          font-size: 0.8rem;
+          color: var(--color-text-muted);
+          margin-top: 0.25rem;
+        }
+        .attachment {
+          font-size: 0.9rem;
+          color: var(--color-text-secondary);
+        }
+        .form-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 0.5rem;
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.9rem;
+        }
+        td {
+          padding: 0.5rem;
+          border-bottom: 1px solid var(--color-border);
+          text-align: left;
+        }
+        .sent {
+          color: var(--color-success);
+        }
+        .failed {
+          color: var(--color-danger);
+          cursor: help;
+        }
+        .list-empty {
+          text-align: center;
+          padding: 1rem;
+          color: var(--color-text-secondary);
+        }
+        .btn {
+          border-radius: 0.375rem;
+          padding: 0.45rem 1rem;
+          font-size: 0.9rem;
+          font-weight: 500;
+          cursor: pointer;
+          border: 1px solid transparent;
+        }
+        .btn-primary {
+          background: var(--color-primary);
+          color: #fff;
+        }
+        .btn-secondary {
+          background: var(--color-bg-secondary);
+          color: var(--color-text-primary);
+          border-color: var(--color-border);
+        }
+        .btn:disabled {
+          opacity: 0.7;
+          cursor: not-allowed;
+        }
+      </style>
+
+      <div class="modal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2>${title}</h2>
+            <button class="close-btn" id="close-email">&times;</button>
+          </div>
+          <div class="modal-body">
+            ${!draft ? '<div class="list-empty">Caricamento...</div>' : `
+              <form id="email-form" class="email-form">
+                <div>
+                  <label for="email-to">Destinatario</label>
+                  <input type="text" id="email-to" name="to" value="${escapeHtml(draft.to)}" required
+                    placeholder="cliente@example.com">
+                  <div class="hint">Più indirizzi separati da virgola. L'indirizzo del cliente si imposta in Gestisci clienti.</div>
+                </div>
+                <div>
+                  <label for="email-subject">Oggetto</label>
+                  <input type="text" id="email-subject" name="subject" value="${escapeHtml(draft.subject)}" maxlength="500" required>
+                </div>
+                <div>
+                  <label for="email-body">Messaggio</label>
+                  <textarea id="email-body" name="body">${escapeHtml(draft.body)}</textarea>
+                </div>
+                <div class="attachment">📎 ${escapeHtml(draft.attachment)}</div>
+                <div class="form-actions">
+                  <button type="button" class="btn btn-secondary" id="cancel-email">Annulla</button>
+                  <button type="submit" class="btn btn-primary" ${this.sending ? 'disabled' : ''}>
+                    ${this.sending ? 'Invio...' : 'Invia'}
+                  </button>
+                </div>
+              </form>
+              ${this.renderLog()}
+            `}
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.shadowRoot.querySelector('#close-email')?.addEventListener('click', () => this.close());
+    this.shadowRoot.querySelector('#cancel-email')?.addEventListener('click', () => this.close());
+
+    this.shadowRoot.querySelector('#email-form')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmit(e.target);
+    });
+  }
+}
+
+customElements.define('email-send-dialog', EmailSendDialog);
@@ -2,7 +2,9 @@
  * Expense Form Component
  * 
  * Custom Web Component for creating and editing expenses.
- * Modal form with category selection.
+ * Modal form with category selection. New expenses can leave the
+ * category to the categorization rules: the matching rule is shown while
+ * typing and fills its IVA defaults and notes.
  * 
  * Usage:
  * <expense-form></expense-form>
@@ -14,6 +16,7 @@ class ExpenseForm extends HTMLElement {
     this.attachShadow({ mode: 'open' });
     this.expense = null;
     this.categories = [];
+    this.ruleRequest = 0; // Ignores rule lookups answered out of order
     this.handleCategoriesUpdated = this.handleCategoriesUpdated.bind(this);
   }
   
@@ -74,11 +77,15 @@ class ExpenseForm extends HTMLElement {
     const data = {
       description: formData.get('description'),
       amount: parseFloat(formData.get('amount')),
-      category_id: parseInt(formData.get('category_id')),
+      // Left out when "Automatica": the rules choose the category
+      category_id: parseInt(formData.get('category_id')) || undefined,
       expense_date: formData.get('expense_date'),
       notes: formData.get('notes'),
       iva_included: formData.get('iva_included') === 'on',
-      iva_rate: parseFloat(formData.get('iva_rate') || 22)
+      iva_rate: parseFloat(formData.get('iva_rate') || 22),
+      supplier_name: formData.get('supplier_name').trim(),
+      supplier_vat_number: formData.get('supplier_vat_number').trim(),
+      document_number: formData.get('document_number').trim()
     };
     
     try {
@@ -134,6 +141,59 @@ class ExpenseForm extends HTMLElement {
         ivaRateGroup.style.display = e.target.checked ? 'none' : 'block';
       });
     }
+
+    // Show the rule that will categorize a new expense
+    if (form && !this.expense) {
+      ['description', 'supplier_name', 'amount', 'category_id'].forEach(name => {
+        form.querySelector(`[name="${name}"]`)?.addEventListener('change', () => this.suggestRule());
+      });
+    }
+  }
+
+  async suggestRule() {
+    const form = this.shadowRoot.querySelector('#expense-form');
+    const hint = this.shadowRoot.querySelector('#rule-hint');
+    if (!form || !hint) return;
+
+    const request = ++this.ruleRequest;
+    const description = form.querySelector('[name="description"]').value.trim();
+    const supplierName = form.querySelector('[name="supplier_name"]').value.trim();
+
+    if (form.querySelector('[name="category_id"]').value || (!description && !supplierName)) {
+      hint.textContent = '';
+      return;
+    }
+
+    try {
+      const rule = await API.expenseRules.match({
+        description,
+        supplier_name: supplierName,
+        amount: form.querySelector('[name="amount"]').value
+      });
+      if (request !== this.ruleRequest) return;
+
+      if (!rule) {
+        hint.textContent = 'Nessuna regola applicabile: la spesa andrà in "Senza Categoria".';
+        return;
+      }
+
+      hint.textContent = `Regola "${rule.name}": categoria ${rule.category_name}.`;
+
+      const ivaCheckbox = form.querySelector('#iva-included');
+      if (rule.iva_included !== null) {
+        ivaCheckbox.checked = Boolean(rule.iva_included);
+        this.shadowRoot.querySelector('#iva-rate-group').style.display = ivaCheckbox.checked ? 'none' : 'block';
+      }
+      if (rule.iva_rate !== null) {
+        form.querySelector('[name="iva_rate"]').value = Number(rule.iva_rate);
+      }
+      const notes = form.querySelector('[name="notes"]');
+      if (rule.notes && !notes.value.trim()) {
+        notes.value = rule.notes;
+      }
+    } catch (error) {
+      console.error('Impossibile verificare le regole:', error);
+    }
   }
   
   render() {
@@ -177,9 +237,9 @@ class ExpenseForm extends HTMLElement {
                   <input type="number" name="amount" class="form-input" value="${this.expense?.amount || ''}" step="0.01" min="0" required>
                 </div>
                 <div class="form-group">
-                  <label class="form-label">Categoria *</label>
-                  <select name="category_id" class="form-select" required>
-                    <option value="">Seleziona categoria...</option>
+                  <label class="form-label">Categoria${this.expense ? ' *' : ''}</label>
+                  <select name="category_id" class="form-select" ${this.expense ? 'required' : ''}>
+                    <option value="">${this.expense ? 'Seleziona categoria...' : 'Automatica (regole)'}</option>
                     ${categories.map(cat => `
                       <option value="${cat.id}" ${this.expense?.category_id === cat.id ? 'selected' : ''}>
                         ${cat.name}
@@ -191,6 +251,7 @@ class ExpenseForm extends HTMLElement {
                       Nessuna categoria disponibile. <button type="button" id="open-category-manager" style="color:var(--color-primary);background:none;border:none;cursor:pointer;padding:0;">Crea categoria</button>
                     </small>
                   ` : ''}
+                  <small id="rule-hint" style="display:block;margin-top:0.35rem;color:var(--color-text-secondary);"></small>
                 </div>
                 <div class="form-group">
                   <label class="form-label">Data *</label>
@@ -212,6 +273,18 @@ class ExpenseForm extends HTMLElement {
                     Solitamente 22% in Italia
                   </small>
                 </div>
+                <div class="form-group">
+                  <label class="form-label">Fornitore</label>
+                  <input type="text" name="supplier_name" class="form-input" value="${escapeHtml(this.expense?.supplier_name || '')}" maxlength="200">
+                </div>
+                <div class="form-group">
+                  <label class="form-label">P.IVA Fornitore</label>
+                  <input type="text" name="supplier_vat_number" class="form-input" value="${escapeHtml(this.expense?.supplier_vat_number || '')}" maxlength="28">
+                </div>
+                <div class="form-group">
+                  <label class="form-label">N. Documento</label>
+                  <input type="text" name="document_number" class="form-input" value="${escapeHtml(this.expense?.document_number || '')}" maxlength="50">
+                </div>
                 <div class="form-group full">
                   <label class="form-label">Note</label>
                   <textarea name="notes" class="form-textarea">${this.expense?.notes || ''}</textarea>
@@ -310,6 +310,7 @@ class ExpenseList extends HTMLElement {
                   <td>
                     <div class="actions">
                       <button class="btn btn-primary btn-sm" data-action="edit" data-id="${exp.id}">Modifica</button>
+                      <button class="btn btn-secondary btn-sm" data-action="attachments" data-id="${exp.id}" title="Ricevute e documenti della spesa">Allegati${exp.attachment_count ? ` (${exp.attachment_count})` : ''}</button>
                       <button class="btn btn-danger btn-sm" data-action="delete" data-id="${exp.id}">Elimina</button>
                     </div>
                   </td>
@@ -346,6 +347,10 @@ class ExpenseList extends HTMLElement {
           this.editExpense(expense);
         } else if (action === 'delete') {
           this.deleteExpense(id);
+        } else if (action === 'attachments' && expense) {
+          window.dispatchEvent(new CustomEvent('attachments:open', {
+            detail: { ownerType: 'expense', ownerId: id, title: expense.description }
+          }));
         }
       });
     });
@@ -0,0 +1,419 @@
+/**
+ * FatturaPA Import Dialog Component
+ *
+ * Global modal to import electronic invoices (XML or signed .p7m).
+ * Issued documents become invoices, received ones become expenses.
+ *
+ * Flow:
+ * 1. choose one or more files
+ * 2. preview: the server parses the files and flags duplicates/errors
+ * 3. select the documents to import and confirm
+ *
+ * Opened via the 'fatturapa:open-import' window event.
+ */
+
+class FatturaPAImportDialog extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.isOpen = false;
+    this.loading = false;
+    this.files = [];          // [{ name, content }] base64 encoded
+    this.items = [];          // Preview items from the server
+    this.selectedKeys = new Set();
+    this.categoryId = '';
+    this.markPaid = false;
+    this.handleExternalOpen = this.handleExternalOpen.bind(this);
+  }
+
+  connectedCallback() {
+    window.addEventListener('fatturapa:open-import', this.handleExternalOpen);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener('fatturapa:open-import', this.handleExternalOpen);
+  }
+
+  handleExternalOpen() {
+    this.open();
+  }
+
+  open() {
+    this.isOpen = true;
+    this.files = [];
+    this.items = [];
+    this.selectedKeys = new Set();
+    this.categoryId = '';
+    this.markPaid = false;
+    this.render();
+  }
+
+  close() {
+    this.isOpen = false;
+    this.render();
+  }
+
+  /**
+   * Read the chosen files as base64 and request a preview
+   */
+  async handleFilesSelected(fileList) {
+    if (!fileList || fileList.length === 0) return;
+
+    this.loading = true;
+    this.render();
+
+    try {
+      this.files = await Promise.all(Array.from(fileList).map(file => this.readFile(file)));
+      await this.loadPreview();
+    } catch (error) {
+      console.error('Errore lettura file FatturaPA:', error);
+      showNotification(error.message || 'Impossibile leggere i file', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  readFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => {
+        // Strip the "data:<mime>;base64," prefix
+        const result = String(reader.result);
+        resolve({ name: file.name, content: result.slice(result.indexOf(',') + 1) });
+      };
+      reader.onerror = () => reject(new Error(`Impossibile leggere ${file.name}`));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  async loadPreview() {
+    const options = this.categoryId ? { category_id: this.categoryId } : {};
+    this.items = await API.fatturapa.previewImport(this.files, options);
+    this.selectedKeys = new Set(
+      this.items.filter(item => this.isImportable(item)).map(item => item.key)
+    );
+  }
+
+  isImportable(item) {
+    return item.kind && item.errors.length === 0 && item.duplicate_of === null;
+  }
+
+  async handleImport() {
+    if (this.loading || this.selectedKeys.size === 0) return;
+
+    this.loading = true;
+    this.render();
+
+    try {
+      const options = { selected_keys: Array.from(this.selectedKeys) };
+      if (this.categoryId) options.category_id = this.categoryId;
+      if (this.markPaid) options.mark_paid = true;
+
+      const result = await API.fatturapa.import(this.files, options);
+
+      if (result.created_invoices > 0) emitDataChange(AppEvents.INVOICES_CHANGED);
+      if (result.created_expenses > 0) emitDataChange(AppEvents.EXPENSES_CHANGED);
+
+      const summary = `Importate ${result.created_invoices} fatture e ${result.created_expenses} spese`;
+      if (result.skipped.length > 0) {
+        const reasons = result.skipped.map(s => `- ${s.filename}: ${s.reason}`).join('\n');
+        showNotification(`${summary}, ${result.skipped.length} saltati`, 'warning');
+        alert(`Documenti non importati:\n\n${reasons}`);
+      } else {
+        showNotification(summary, 'success');
+      }
+
+      this.close();
+    } catch (error) {
+      console.error('Errore importazione FatturaPA:', error);
+      showNotification(error.message || 'Impossibile importare i documenti', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  getStatusLabel(item) {
+    if (item.errors.length > 0) {
+      return `<span class="status error">${item.errors.map(escapeHtml).join('<br>')}</span>`;
+    }
+    if (item.duplicate_of !== null) {
+      return '<span class="status duplicate">Già importato</span>';
+    }
+    return '<span class="status ok">Da importare</span>';
+  }
+
+  renderPreview() {
+    if (this.items.length === 0) {
+      return '<div class="list-empty">Seleziona uno o più file XML o P7M per vedere l\'anteprima.</div>';
+    }
+
+    return `
+      <table>
+        <thead>
+          <tr>
+            <th></th>
+            <th>Tipo</th>
+            <th>Numero</th>
+            <th>Data</th>
+            <th>Controparte</th>
+            <th style="text-align: right;">Totale</th>
+            <th>Stato</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.items.map(item => `
+            <tr>
+              <td>
+                <input type="checkbox" data-key="${escapeHtml(item.key)}"
+                  ${this.selectedKeys.has(item.key) ? 'checked' : ''}
+                  ${this.isImportable(item) ? '' : 'disabled'}>
+              </td>
+              <td>${item.kind === 'invoice' ? 'Fattura emessa' : item.kind === 'expense' ? 'Spesa' : '-'}</td>
+              <td>${escapeHtml(item.number || '-')}<div class="filename">${escapeHtml(item.filename)}</div></td>
+              <td>${item.date ? formatDate(item.date, 'short') : '-'}</td>
+              <td>${escapeHtml(item.counterparty_name || '-')}</td>
+              <td style="text-align: right;">${formatCurrency(item.total_amount)}</td>
+              <td>${this.getStatusLabel(item)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  render() {
+    const categories = typeof getCategories === 'function' ? getCategories() : [];
+    const hasExpenses = this.items.some(item => item.kind === 'expense');
+    const hasInvoices = this.items.some(item => item.kind === 'invoice');
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        .modal {
+          position: fixed;
+          inset: 0;
+          display: ${this.isOpen ? 'flex' : 'none'};
+          align-items: center;
+          justify-content: center;
+          background: var(--color-overlay);
+          z-index: 2200;
+          padding: 1rem;
+        }
+        .modal-content {
+          width: 100%;
+          max-width: 860px;
+          max-height: 90vh;
+          background: var(--color-bg);
+          color: var(--color-text-primary);
+          border-radius: 0.375rem;
+          box-shadow: var(--shadow-xl);
+          overflow: hidden;
+          border: 1px solid var(--color-border);
+          display: flex;
+          flex-direction: column;
+        }
+        .modal-header,
+        .modal-footer {
+          padding: 1rem 1.5rem;
+          border-bottom: 1px solid var(--color-border);
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 0.5rem;
+        }
+        .modal-footer {
+          border-top: 1px solid var(--color-border);
+          border-bottom: none;
+          justify-content: flex-end;
+        }
+        .modal-header h2 {
+          margin: 0;
+          font-size: 1.125rem;
+          font-weight: 600;
+        }
+        .close-btn {
+          background: none;
+          border: none;
+          font-size: 1.5rem;
+          cursor: pointer;
+          color: var(--color-text-secondary);
+        }
+        .modal-body {
+          padding: 1.5rem;
+          display: grid;
+          gap: 1.25rem;
+          overflow-y: auto;
+        }
+        .controls {
+          display: grid;
+          gap: 1rem;
+          grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+        }
+        label {
+          display: block;
+          font-size: 0.9rem;
+          font-weight: 500;
+          color: var(--color-text-secondary);
+          margin-bottom: 0.35rem;
+        }
+        input[type="file"],
+        select {
+          width: 100%;
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+          padding: 0.5rem 0.75rem;
+          font-size: 0.95rem;
+          background: var(--color-bg);
+          color: var(--color-text-primary);
+          box-sizing: border-box;
+        }
+        .checkbox-label {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          color: var(--color-text-primary);
+        }
+        .hint {
+          font-size: 0.8rem;
+          color: var(--color-text-muted);
+          margin-top: 0.35rem;
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.9rem;
+        }
+        th, td {
+          padding: 0.5rem;
+          border-bottom: 1px solid var(--color-border);
+          text-align: left;
+          vertical-align: top;
+        }
+        th {
+          font-size: 0.8rem;
+          text-transform: uppercase;
+          color: var(--color-text-muted);
+        }
+        .filename {
+          font-size: 0.75rem;
+          color: var(--color-text-muted);
+        }
+        .status {
+          font-size: 0.8rem;
+          font-weight: 500;
+        }
+        .status.ok {
+          color: var(--color-success);
+        }
+        .status.duplicate {
+          color: var(--color-text-muted);
+        }
+        .status.error {
+          color: var(--color-danger);
+        }
+        .list-empty {
+          text-align: center;
+          padding: 1rem;
+          color: var(--color-text-secondary);
+        }
+        .btn {
+          border-radius: 0.375rem;
+          padding: 0.45rem 1rem;
+          font-size: 0.9rem;
+          font-weight: 500;
+          cursor: pointer;
+          border: 1px solid transparent;
+        }
+        .btn-primary {
+          background: var(--color-primary);
+          color: #fff;
+        }
+        .btn-primary:disabled {
+          opacity: 0.7;
+          cursor: not-allowed;
+        }
+        .btn-secondary {
+          background: var(--color-bg-tertiary);
+          color: var(--color-text-primary);
+        }
+      </style>
+
+      <div class="modal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2>Importa Fatture Elettroniche</h2>
+            <button class="close-btn" id="close-import">&times;</button>
+          </div>
+          <div class="modal-body">
+            <div class="controls">
+              <div>
+                <label for="fatturapa-files">File XML / P7M</label>
+                <input type="file" id="fatturapa-files" accept=".xml,.p7m" multiple ${this.loading ? 'disabled' : ''}>
+                <div class="hint">Le fatture emesse diventano fatture, quelle ricevute diventano spese.</div>
+              </div>
+              <div>
+                <label for="fatturapa-category">Categoria spese</label>
+                <select id="fatturapa-category" ${hasExpenses ? '' : 'disabled'}>
+                  <option value="">Automatica (regole)</option>
+                  ${categories.map(cat => `
+                    <option value="${cat.id}" ${String(cat.id) === String(this.categoryId) ? 'selected' : ''}>${escapeHtml(cat.name)}</option>
+                  `).join('')}
+                </select>
+              </div>
+              <div>
+                <label for="fatturapa-mark-paid">Fatture emesse</label>
+                <label class="checkbox-label">
+                  <input type="checkbox" id="fatturapa-mark-paid" ${this.markPaid ? 'checked' : ''} ${hasInvoices ? '' : 'disabled'}>
+                  Già incassate
+                </label>
+                <div class="hint">Registra l'incasso alla data di scadenza. Altrimenti restano da incassare e, dopo la scadenza, risultano scadute finché non registri i pagamenti.</div>
+              </div>
+            </div>
+
+            <section>
+              ${this.loading && this.items.length === 0 ? '<div class="list-empty">Lettura dei file...</div>' : this.renderPreview()}
+            </section>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn-secondary" id="cancel-import">Annulla</button>
+            <button class="btn btn-primary" id="confirm-import" ${this.loading || this.selectedKeys.size === 0 ? 'disabled' : ''}>
+              ${this.loading ? 'Attendere...' : `Importa ${this.selectedKeys.size} documenti`}
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.shadowRoot.querySelector('#close-import')?.addEventListener('click', () => this.close());
+    this.shadowRoot.querySelector('#cancel-import')?.addEventListener('click', () => this.close());
+    this.shadowRoot.querySelector('#confirm-import')?.addEventListener('click', () => this.handleImport());
+
+    this.shadowRoot.querySelector('#fatturapa-files')?.addEventListener('change', (e) => {
+      this.handleFilesSelected(e.target.files);
+    });
+
+    this.shadowRoot.querySelector('#fatturapa-category')?.addEventListener('change', (e) => {
+      this.categoryId = e.target.value;
+    });
+
+    this.shadowRoot.querySelector('#fatturapa-mark-paid')?.addEventListener('change', (e) => {
+      this.markPaid = e.target.checked;
+    });
+
+    this.shadowRoot.querySelectorAll('input[type="checkbox"][data-key]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        const key = checkbox.getAttribute('data-key');
+        if (checkbox.checked) {
+          this.selectedKeys.add(key);
+        } else {
+          this.selectedKeys.delete(key);
+        }
+        this.render();
+      });
+    });
+  }
+}
+
+customElements.define('fatturapa-import-dialog', FatturaPAImportDialog);
@@ -2,7 +2,12 @@
  * Invoice Form Component
  * 
  * Custom Web Component for creating and editing invoices.
- * Modal form with validation.
+ * Modal form with validation and an editable grid of invoice lines;
+ * the invoice amount is the sum of the line totals.
+ * New invoices are prefilled with the next progressive number.
+ * Invoices in other currencies take the exchange rate stored for the
+ * issue date unless one is entered.
+ * The client is chosen among the ones of the clients manager.
  * 
  * Usage:
  * <invoice-form></invoice-form>
@@ -13,22 +18,337 @@ class InvoiceForm extends HTMLElement {
     super();
     this.attachShadow({ mode: 'open' });
     this.invoice = null;
+    this.items = [];          // Lines being edited
+    this.suggestedNumber = ''; // Next progressive number shown for new invoices
+    this.currency = 'EUR';    // Currency of the amounts being edited
+    this.suggestedRate = '';  // Stored rate shown in the exchange rate field
+    this.clients = [];        // Clients to choose from
+    this.handleClientsUpdate = this.handleClientsUpdate.bind(this);
   }
   
   connectedCallback() {
+    window.addEventListener('clients:updated', this.handleClientsUpdate);
     this.render();
   }
   
+  disconnectedCallback() {
+    window.removeEventListener('clients:updated', this.handleClientsUpdate);
+  }
+  
+  /**
+   * Offer the clients added or renamed in the manager while the form is open
+   */
+  handleClientsUpdate() {
+    if (this.shadowRoot.querySelector('#client-select')) {
+      this.loadClients();
+    }
+  }
+  
   show(invoice = null) {
     this.invoice = invoice;
+    this.items = this.getInitialItems(invoice);
+    this.suggestedNumber = '';
+    this.currency = invoice?.currency || 'EUR';
+    this.suggestedRate = '';
     this.render();
     this.shadowRoot.querySelector('.modal').style.display = 'flex';
     this.attachEventListeners();
+    this.loadClients();
+    
+    if (!invoice) {
+      this.prefillInvoiceNumber();
+    }
+  }
+  
+  async loadClients() {
+    try {
+      this.clients = await API.clients.getAll('all');
+      this.renderClientOptions();
+    } catch (error) {
+      console.error('Failed to load clients:', error);
+      showNotification('Impossibile caricare i clienti', 'error');
+    }
+  }
+  
+  /**
+   * Due date of a new invoice from the payment terms of its client
+   */
+  applyPaymentTerms(clientId) {
+    const client = this.clients.find(c => String(c.id) === String(clientId));
+    const issueDateInput = this.shadowRoot.querySelector('input[name="issue_date"]');
+    const dueDateInput = this.shadowRoot.querySelector('input[name="due_date"]');
+    if (this.invoice || !client || !issueDateInput?.value || !dueDateInput) return;
+    
+    const dueDate = new Date(`${issueDateInput.value}T00:00:00Z`);
+    dueDate.setUTCDate(dueDate.getUTCDate() + (client.payment_terms_days ?? 30));
+    dueDateInput.value = dueDate.toISOString().split('T')[0];
+  }
+  
+  /**
+   * Fill the client select, keeping the client chosen so far
+   * 
+   * An invoice whose name matches no client keeps it as the empty choice.
+   * Archived clients are left out, except the one already chosen.
+   */
+  renderClientOptions() {
+    const select = this.shadowRoot.querySelector('#client-select');
+    if (!select) return;
+    
+    const selected = select.value || String(this.invoice?.client_id || '');
+    const emptyLabel = this.invoice && !this.invoice.client_id
+      ? `${escapeHtml(this.invoice.client_name)} (non in anagrafica)`
+      : 'Seleziona un cliente';
+    
+    select.innerHTML = `
+      <option value="">${emptyLabel}</option>
+      ${this.clients.filter(client => !client.archived_at || String(client.id) === selected).map(client => `
+        <option value="${client.id}" ${String(client.id) === selected ? 'selected' : ''}>${escapeHtml(client.name)}</option>
+      `).join('')}
+    `;
+  }
+  
+  /**
+   * Currencies offered, plus the one of the invoice if it is not listed
+   */
+  getCurrencyOptions() {
+    const currencies = ['EUR', 'USD', 'GBP', 'CHF', 'JPY'];
+    if (!currencies.includes(this.currency)) {
+      currencies.push(this.currency);
+    }
+    return currencies
+      .map(code => `<option value="${code}" ${code === this.currency ? 'selected' : ''}>${code}</option>`)
+      .join('');
+  }
+  
+  /**
+   * Show the stored rate for the currency and issue date
+   * 
+   * Like the invoice number, only replaces the field while it is empty
+   * or still holds a suggested rate.
+   */
+  async prefillExchangeRate() {
+    const rateInput = this.shadowRoot.querySelector('input[name="exchange_rate"]');
+    const rateNote = this.shadowRoot.querySelector('#exchange-rate-note');
+    const issueDateInput = this.shadowRoot.querySelector('input[name="issue_date"]');
+    if (!rateInput || !rateNote || this.currency === 'EUR' || !issueDateInput?.value) return;
+    
+    const currency = this.currency;
+    try {
+      const stored = await API.exchangeRates.lookup(currency, issueDateInput.value);
+      if (currency !== this.currency) return;
+      if (rateInput.value === '' || rateInput.value === this.suggestedRate) {
+        rateInput.value = stored.rate;
+        this.suggestedRate = String(stored.rate);
+      }
+      rateNote.textContent = `Cambio BCE del ${formatDate(stored.rate_date, 'short')}: 1 EUR = ${stored.rate} ${currency}`;
+    } catch (error) {
+      if (currency !== this.currency) return;
+      if (rateInput.value === this.suggestedRate) {
+        rateInput.value = '';
+        this.suggestedRate = '';
+      }
+      rateNote.textContent = `Nessun cambio ${currency} salvato per questa data: inseriscilo o aggiungilo nelle impostazioni`;
+    }
+    this.updateTotals();
+  }
+  
+  /**
+   * Switch the currency of the amounts being edited
+   */
+  changeCurrency(currency) {
+    this.currency = currency;
+    const rateGroup = this.shadowRoot.querySelector('#exchange-rate-group');
+    const rateInput = this.shadowRoot.querySelector('input[name="exchange_rate"]');
+    const rateNote = this.shadowRoot.querySelector('#exchange-rate-note');
+    
+    if (rateInput) {
+      rateInput.value = currency === 'EUR' ? '' : (this.invoice?.currency === currency ? this.invoice.exchange_rate : '');
+      this.suggestedRate = '';
+    }
+    if (rateNote) rateNote.textContent = '';
+    if (rateGroup) rateGroup.style.display = currency === 'EUR' ? 'none' : 'block';
+    
+    this.renderItems();
+    this.prefillExchangeRate();
+  }
+  
+  /**
+   * Rate of the amounts being edited (units of the currency for 1 EUR)
+   */
+  getExchangeRate() {
+    if (this.currency === 'EUR') return 1;
+    const rate = parseFloat(this.shadowRoot.querySelector('input[name="exchange_rate"]')?.value);
+    return rate > 0 ? rate : null;
   }
   
   hide() {
     this.shadowRoot.querySelector('.modal').style.display = 'none';
     this.invoice = null;
+    this.items = [];
+  }
+  
+  /**
+   * Show the next progressive number for the chosen issue date
+   * 
+   * Only replaces the field while it still holds a suggested number,
+   * never a number typed by the user.
+   */
+  async prefillInvoiceNumber() {
+    const numberInput = this.shadowRoot.querySelector('input[name="invoice_number"]');
+    const issueDateInput = this.shadowRoot.querySelector('input[name="issue_date"]');
+    if (!numberInput || !issueDateInput || !issueDateInput.value) return;
+    
+    try {
+      const { invoice_number } = await API.invoices.getNextNumber(issueDateInput.value);
+      if (numberInput.value === '' || numberInput.value === this.suggestedNumber) {
+        numberInput.value = invoice_number;
+        this.suggestedNumber = invoice_number;
+      }
+    } catch (error) {
+      console.error('Failed to load next invoice number:', error);
+    }
+  }
+  
+  /**
+   * Lines to edit: the invoice lines, or a single line for older
+   * invoices and new ones
+   */
+  getInitialItems(invoice) {
+    if (invoice?.items?.length) {
+      return invoice.items.map(item => ({
+        description: item.description,
+        quantity: parseFloat(item.quantity),
+        unit: item.unit || '',
+        unit_price: parseFloat(item.unit_price)
+      }));
+    }
+    
+    return [{
+      description: invoice?.description || '',
+      quantity: 1,
+      unit: '',
+      unit_price: invoice ? parseFloat(invoice.amount) : ''
+    }];
+  }
+  
+  getLineTotal(item) {
+    const quantity = parseFloat(item.quantity) || 0;
+    const unitPrice = parseFloat(item.unit_price) || 0;
+    return Math.round(quantity * unitPrice * 100) / 100;
+  }
+  
+  getItemsTotal() {
+    return this.items.reduce((sum, item) => sum + this.getLineTotal(item), 0);
+  }
+  
+  addItem() {
+    this.items.push({ description: '', quantity: 1, unit: '', unit_price: '' });
+    this.renderItems();
+    const inputs = this.shadowRoot.querySelectorAll('[data-field="description"]');
+    inputs[inputs.length - 1]?.focus();
+  }
+  
+  removeItem(index) {
+    if (this.items.length <= 1) {
+      showNotification('La fattura deve avere almeno una riga', 'warning');
+      return;
+    }
+    this.items.splice(index, 1);
+    this.renderItems();
+  }
+  
+  /**
+   * Re-render only the line grid, so the rest of the form keeps its values
+   */
+  renderItems() {
+    const body = this.shadowRoot.querySelector('#items-body');
+    if (!body) return;
+    
+    body.innerHTML = this.items.map((item, index) => `
+      <tr>
+        <td><input type="text" class="form-input" data-index="${index}" data-field="description" value="${escapeHtml(item.description)}" required></td>
+        <td><input type="number" class="form-input" data-index="${index}" data-field="quantity" value="${item.quantity}" step="0.01" min="0.01" required></td>
+        <td><input type="text" class="form-input" data-index="${index}" data-field="unit" value="${escapeHtml(item.unit)}" maxlength="20" placeholder="h"></td>
+        <td><input type="number" class="form-input" data-index="${index}" data-field="unit_price" value="${item.unit_price}" step="0.01" required></td>
+        <td class="line-total" data-line-total="${index}">${formatCurrency(this.getLineTotal(item), this.currency)}</td>
+        <td><button type="button" class="remove-line" data-remove="${index}" title="Rimuovi riga">×</button></td>
+      </tr>
+    `).join('');
+    
+    body.querySelectorAll('[data-field]').forEach(input => {
+      input.addEventListener('input', (e) => {
+        const index = parseInt(e.target.getAttribute('data-index'));
+        const field = e.target.getAttribute('data-field');
+        this.items[index][field] = e.target.value;
+        this.updateTotals(index);
+      });
+    });
+    
+    body.querySelectorAll('[data-remove]').forEach(button => {
+      button.addEventListener('click', () => this.removeItem(parseInt(button.getAttribute('data-remove'))));
+    });
+    
+    this.updateTotals();
+  }
+  
+  updateTotals(index = null) {
+    if (index !== null) {
+      const cell = this.shadowRoot.querySelector(`[data-line-total="${index}"]`);
+      if (cell) cell.textContent = formatCurrency(this.getLineTotal(this.items[index]), this.currency);
+    }
+    const rate = this.getExchangeRate();
+    const total = this.shadowRoot.querySelector('#items-total');
+    if (total) {
+      total.textContent = formatCurrency(this.getItemsTotal(), this.currency);
+      if (this.currency !== 'EUR' && rate) {
+        total.textContent += ` (${formatCurrency(this.getItemsTotal() / rate)})`;
+      }
+    }
+    
+    // Marca da bollo above the threshold (no IVA is ever charged),
+    // both checked and paid in euro
+    const stampNote = this.shadowRoot.querySelector('#stamp-duty-note');
+    if (stampNote) {
+      const settings = window.AppState?.settings || {};
+      const threshold = settings.stamp_duty_threshold ?? 77.47;
+      if (!rate) {
+        stampNote.textContent = 'Indica il cambio per calcolare la marca da bollo';
+      } else {
+        stampNote.textContent = this.getItemsTotal() / rate > threshold
+          ? `Marca da bollo: ${formatCurrency(settings.stamp_duty_amount || 2)}`
+          : 'Nessuna marca da bollo';
+      }
+    }
+  }
+  
+  /**
+   * Rivalsa INPS options: a new invoice follows the client choice unless
+   * set here, an existing one keeps what it was issued with
+   */
+  renderInpsRivalsaOptions() {
+    const rate = window.AppState?.settings?.inps_rivalsa_rate ?? 4;
+    if (!this.invoice) {
+      return `
+        <option value="" selected>Come da cliente</option>
+        <option value="true">Applica ${rate}%</option>
+        <option value="false">Non applicare</option>
+      `;
+    }
+    const applied = parseFloat(this.invoice.inps_rivalsa_rate) > 0;
+    return `
+      <option value="true" ${applied ? 'selected' : ''}>Applica ${applied ? parseFloat(this.invoice.inps_rivalsa_rate) : rate}%</option>
+      <option value="false" ${!applied ? 'selected' : ''}>Non applicare</option>
+    `;
+  }
+  
+  /**
+   * Whether the stamp duty is charged to the client, for the select default
+   */
+  isStampDutyRebilled() {
+    if (this.invoice?.stamp_duty) {
+      return Boolean(this.invoice.stamp_duty_rebilled);
+    }
+    return window.AppState?.settings?.stamp_duty_rebill !== false;
   }
   
   async submitForm(e) {
@@ -37,18 +357,63 @@ class InvoiceForm extends HTMLElement {
     const form = this.shadowRoot.querySelector('#invoice-form');
     const formData = new FormData(form);
     
+    if (this.getItemsTotal() <= 0) {
+      showNotification('Il totale della fattura deve essere maggiore di zero', 'warning');
+      return;
+    }
+    
+    const clientId = parseInt(formData.get('client_id')) || null;
+    if (!clientId && !(this.invoice && !this.invoice.client_id)) {
+      showNotification('Seleziona il cliente della fattura', 'warning');
+      return;
+    }
+    
     const data = {
-      invoice_number: formData.get('invoice_number'),
-      client_name: formData.get('client_name'),
+      invoice_number: String(formData.get('invoice_number') || '').trim(),
+      client_id: clientId,
       description: formData.get('description'),
-      amount: parseFloat(formData.get('amount')),
+      items: this.items.map(item => ({
+        description: String(item.description).trim(),
+        quantity: parseFloat(item.quantity),
+        unit: String(item.unit).trim() || null,
+        unit_price: parseFloat(item.unit_price)
+      })),
       tax_rate: 0, // Regime Forfettario: no VAT charged to clients
+      stamp_duty_rebilled: formData.get('stamp_duty_rebilled') === 'true',
+      inps_rivalsa: formData.get('inps_rivalsa') === 'true',
+      currency: this.currency,
+      exchange_rate: this.currency === 'EUR' ? null : this.getExchangeRate(),
       status: formData.get('status'),
       issue_date: formData.get('issue_date'),
       due_date: formData.get('due_date')
     };
     
-    // If status is paid, include payment date
+    // A kept suggestion (or an empty field) lets the server reserve the number
+    if (!this.invoice && (!data.invoice_number || data.invoice_number === this.suggestedNumber)) {
+      delete data.invoice_number;
+    }
+    
+    // The name printed on the invoice only changes with its client
+    if (this.invoice && clientId === (this.invoice.client_id || null)) {
+      delete data.client_id;
+    }
+    
+    // Without a rate the server takes the stored one for the issue date
+    if (data.exchange_rate === null) {
+      delete data.exchange_rate;
+    }
+    
+    // Without a choice the server applies the client one
+    if (formData.get('inps_rivalsa') === '') {
+      delete data.inps_rivalsa;
+    }
+    
+    // Once issued the status follows payments and due date, the select is disabled
+    if (!data.status) {
+      delete data.status;
+    }
+    
+    // A new invoice created as paid records its payment on this date
     if (data.status === 'paid') {
       const paidDate = formData.get('paid_date');
       data.paid_date = paidDate || new Date().toISOString().split('T')[0];
@@ -94,6 +459,50 @@ class InvoiceForm extends HTMLElement {
       cancelBtn.addEventListener('click', () => this.hide());
     }
     
+    const issueDateInput = this.shadowRoot.querySelector('input[name="issue_date"]');
+    if (issueDateInput && !this.invoice) {
+      // The progressive number restarts every year
+      issueDateInput.addEventListener('change', () => this.prefillInvoiceNumber());
+    }
+    if (issueDateInput) {
+      issueDateInput.addEventListener('change', () => this.prefillExchangeRate());
+    }
+    
+    const currencySelect = this.shadowRoot.querySelector('select[name="currency"]');
+    if (currencySelect) {
+      currencySelect.addEventListener('change', (e) => this.changeCurrency(e.target.value));
+    }
+    
+    const rateInput = this.shadowRoot.querySelector('input[name="exchange_rate"]');
+    if (rateInput) {
+      rateInput.addEventListener('input', () => this.updateTotals());
+    }
+    
+    const clientSelect = this.shadowRoot.querySelector('#client-select');
+    if (clientSelect) {
+      clientSelect.addEventListener('change', (e) => this.applyPaymentTerms(e.target.value));
+    }
+    
+    const manageClientsBtn = this.shadowRoot.querySelector('#manage-clients');
+    if (manageClientsBtn) {
+      manageClientsBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        window.dispatchEvent(new CustomEvent('clients:open-manager'));
+      });
+    }
+    
+    const addItemBtn = this.shadowRoot.querySelector('#add-item');
+    if (addItemBtn) {
+      addItemBtn.addEventListener('click', () => this.addItem());
+    }
+    
+    this.renderItems();
+    
+    // An existing invoice keeps its rate, a new one proposes the stored one
+    if (!this.invoice) {
+      this.prefillExchangeRate();
+    }
+    
     // Show/hide paid date field based on status
     if (statusSelect && paidDateGroup) {
       statusSelect.addEventListener('change', (e) => {
@@ -110,19 +519,19 @@ class InvoiceForm extends HTMLElement {
       });
       
       // Trigger on initial load
-      if (statusSelect.value === 'paid') {
+      if (!this.invoice && statusSelect.value === 'paid') {
         paidDateGroup.style.display = 'block';
       }
     }
   }
   
   render() {
-    const defaultTaxRate = window.AppState?.settings?.default_tax_rate || 22;
+    const defaultTaxRate = window.AppState?.settings?.default_vat_rate ?? window.AppState?.settings?.default_tax_rate ?? 0;
     
     this.shadowRoot.innerHTML = `
       <style>
         .modal { display: none; position: fixed; top: 0; left: 0; width: 100%; height: 100%; background-color: var(--color-overlay); z-index: 1000; justify-content: center; align-items: center; padding: 1rem; }
-        .modal-content { background: var(--color-bg); color: var(--color-text-primary); border-radius: 0.375rem; width: 90%; max-width: 600px; max-height: 90vh; overflow-y: auto; border: 1px solid var(--color-border); box-shadow: var(--shadow-lg); }
+        .modal-content { background: var(--color-bg); color: var(--color-text-primary); border-radius: 0.375rem; width: 90%; max-width: 760px; max-height: 90vh; overflow-y: auto; border: 1px solid var(--color-border); box-shadow: var(--shadow-lg); }
         .modal-header { padding: 1.5rem; border-bottom: 1px solid var(--color-border); display: flex; justify-content: space-between; align-items: center; }
         .modal-title { font-size: 1.25rem; font-weight: 600; margin: 0; }
         .close-btn { background: none; border: none; font-size: 1.5rem; cursor: pointer; color: var(--color-text-secondary); }
@@ -137,6 +546,17 @@ class InvoiceForm extends HTMLElement {
         .btn { padding: 0.5rem 1.5rem; border: none; border-radius: 0.375rem; font-size: 1rem; font-weight: 500; cursor: pointer; }
         .btn-primary { background-color: var(--color-primary); color: white; }
         .btn-secondary { background-color: var(--color-bg-tertiary); color: var(--color-text-primary); }
+        .btn-small { padding: 0.35rem 0.75rem; font-size: 0.875rem; }
+        .items-table { width: 100%; border-collapse: collapse; }
+        .items-table th { text-align: left; font-size: 0.75rem; font-weight: 500; text-transform: uppercase; color: var(--color-text-muted); padding: 0 0.25rem 0.35rem; }
+        .items-table td { padding: 0.25rem; vertical-align: middle; }
+        .items-table th:nth-child(2), .items-table td:nth-child(2) { width: 80px; }
+        .items-table th:nth-child(3), .items-table td:nth-child(3) { width: 70px; }
+        .items-table th:nth-child(4), .items-table td:nth-child(4) { width: 110px; }
+        .items-table .line-total, .items-table th:nth-child(5) { width: 100px; text-align: right; white-space: nowrap; }
+        .remove-line { background: none; border: none; font-size: 1.25rem; cursor: pointer; color: var(--color-danger); }
+        .items-footer { display: flex; justify-content: space-between; align-items: center; margin-top: 0.5rem; }
+        .items-total { font-weight: 600; }
       </style>
       
       <div class="modal">
@@ -149,39 +569,69 @@ class InvoiceForm extends HTMLElement {
             <form id="invoice-form">
               <div class="form-grid">
                 <div class="form-group">
-                  <label class="form-label">Numero Fattura *</label>
-                  <input type="text" name="invoice_number" class="form-input" value="${this.invoice?.invoice_number || ''}" required>
+                  <label class="form-label">Numero Fattura${this.invoice ? ' *' : ''}</label>
+                  <input type="text" name="invoice_number" class="form-input" value="${this.invoice?.invoice_number || ''}" ${this.invoice ? 'required' : 'placeholder="Automatico"'}>
                 </div>
                 <div class="form-group">
                   <label class="form-label">Stato</label>
+                  ${this.invoice && this.invoice.status !== 'draft' ? `
+                  <select name="status" class="form-select" disabled>
+                    <option value="${this.invoice.status}" selected>${getStatusLabel(this.invoice.status)}</option>
+                  </select>
+                  <small style="display: block; margin-top: 0.25rem; font-size: 0.75rem; color: var(--color-text-secondary);">
+                    Lo stato segue pagamenti, note di credito e scadenza
+                  </small>
+                  ` : `
                   <select name="status" class="form-select">
                     <option value="draft" ${this.invoice?.status === 'draft' ? 'selected' : ''}>Bozza</option>
-                    <option value="sent" ${this.invoice?.status === 'sent' ? 'selected' : ''}>Inviata</option>
-                    <option value="paid" ${this.invoice?.status === 'paid' ? 'selected' : ''}>Pagata</option>
+                    <option value="sent">Inviata</option>
+                    ${!this.invoice ? '<option value="paid">Pagata</option>' : ''}
                   </select>
+                  `}
                 </div>
-                <div class="form-group" id="paid-date-group" style="display: ${this.invoice?.status === 'paid' ? 'block' : 'none'};">
+                <div class="form-group" id="paid-date-group" style="display: none;">
                   <label class="form-label">Data Pagamento *</label>
-                  <input type="date" name="paid_date" class="form-input" value="${this.invoice?.paid_date || new Date().toISOString().split('T')[0]}">
+                  <input type="date" name="paid_date" class="form-input" value="${new Date().toISOString().split('T')[0]}">
                   <small style="display: block; margin-top: 0.25rem; font-size: 0.75rem; color: var(--color-text-secondary);">
                     Data in cui hai ricevuto il pagamento (conta per limite €85k)
                   </small>
                 </div>
                 <div class="form-group full">
-                  <label class="form-label">Nome Cliente *</label>
-                  <input type="text" name="client_name" class="form-input" value="${this.invoice?.client_name || ''}" required>
+                  <label class="form-label">Cliente *</label>
+                  <select name="client_id" id="client-select" class="form-select">
+                    <option value="">${this.invoice ? escapeHtml(this.invoice.client_name) : 'Caricamento clienti...'}</option>
+                  </select>
+                  <small style="display: block; margin-top: 0.25rem; font-size: 0.75rem; color: var(--color-text-secondary);">
+                    Manca il cliente? <a href="#" id="manage-clients">Aggiungilo nella gestione clienti</a>
+                  </small>
                 </div>
                 <div class="form-group full">
-                  <label class="form-label">Descrizione</label>
-                  <textarea name="description" class="form-textarea">${this.invoice?.description || ''}</textarea>
-                </div>
-                <div class="form-group">
-                  <label class="form-label">Importo *</label>
-                  <input type="number" name="amount" class="form-input" value="${this.invoice?.amount || ''}" step="0.01" min="0" required>
+                  <label class="form-label">Righe Fattura *</label>
+                  <table class="items-table">
+                    <thead>
+                      <tr>
+                        <th>Descrizione</th>
+                        <th>Qtà</th>
+                        <th>Unità</th>
+                        <th>Prezzo</th>
+                        <th>Totale</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody id="items-body"></tbody>
+                  </table>
+                  <div class="items-footer">
+                    <button type="button" class="btn btn-secondary btn-small" id="add-item">+ Aggiungi riga</button>
+                    <span class="items-total">Imponibile: <span id="items-total">${formatCurrency(0, this.currency)}</span></span>
+                  </div>
                   <small style="display: block; margin-top: 0.25rem; font-size: 0.75rem; color: var(--color-text-secondary);">
-                    Importo senza IVA (Regime Forfettario)
+                    Importi senza IVA (Regime Forfettario)
                   </small>
                 </div>
+                <div class="form-group full">
+                  <label class="form-label">Note</label>
+                  <textarea name="description" class="form-textarea">${this.invoice?.description || ''}</textarea>
+                </div>
                 <div class="form-group">
                   <label class="form-label">Data Emissione *</label>
                   <input type="date" name="issue_date" class="form-input" value="${this.invoice?.issue_date ? formatDateForInput(this.invoice.issue_date) : getTodayDate()}" required>
@@ -190,6 +640,31 @@ class InvoiceForm extends HTMLElement {
                   <label class="form-label">Data Scadenza *</label>
                   <input type="date" name="due_date" class="form-input" value="${this.invoice?.due_date ? formatDateForInput(this.invoice.due_date) : getTodayDate()}" required>
                 </div>
+                <div class="form-group">
+                  <label class="form-label">Valuta</label>
+                  <select name="currency" class="form-select">
+                    ${this.getCurrencyOptions()}
+                  </select>
+                </div>
+                <div class="form-group" id="exchange-rate-group" style="display: ${this.currency === 'EUR' ? 'none' : 'block'};">
+                  <label class="form-label">Cambio (valuta per 1 EUR)</label>
+                  <input type="number" name="exchange_rate" class="form-input" value="${this.currency !== 'EUR' && this.invoice?.exchange_rate ? this.invoice.exchange_rate : ''}" step="0.000001" min="0.000001" placeholder="Dal listino cambi">
+                  <small id="exchange-rate-note" style="display: block; margin-top: 0.25rem; font-size: 0.75rem; color: var(--color-text-secondary);"></small>
+                </div>
+                <div class="form-group">
+                  <label class="form-label">Rivalsa INPS</label>
+                  <select name="inps_rivalsa" class="form-select">
+                    ${this.renderInpsRivalsaOptions()}
+                  </select>
+                </div>
+                <div class="form-group">
+                  <label class="form-label">Marca da Bollo</label>
+                  <select name="stamp_duty_rebilled" class="form-select">
+                    <option value="true" ${this.isStampDutyRebilled() ? 'selected' : ''}>Addebitata al cliente</option>
+                    <option value="false" ${!this.isStampDutyRebilled() ? 'selected' : ''}>A mio carico</option>
+                  </select>
+                  <small id="stamp-duty-note" style="display: block; margin-top: 0.25rem; font-size: 0.75rem; color: var(--color-text-secondary);"></small>
+                </div>
               </div>
             </form>
           </div>
@@ -3,6 +3,8 @@
  * 
  * Custom Web Component that displays a table of all invoices.
  * Supports viewing, editing, and deleting invoices.
+ * Credit notes are listed right under the invoice they correct.
+ * The status history of an invoice opens as a timeline under its row.
  * 
  * Usage:
  * <invoice-list></invoice-list>
@@ -19,6 +21,8 @@ class InvoiceList extends HTMLElement {
       startDate: null,
       endDate: null
     };
+    this.expandedId = null;     // Invoice whose status history is open
+    this.statusHistory = [];
   }
   
   connectedCallback() {
@@ -55,6 +59,9 @@ class InvoiceList extends HTMLElement {
       }
       
       this.invoices = await API.invoices.getAll(filters);
+      if (this.expandedId !== null) {
+        this.statusHistory = await API.invoices.getStatusHistory(this.expandedId).catch(() => []);
+      }
       this.render();
     } catch (error) {
       console.error('Failed to load invoices:', error);
@@ -98,7 +105,46 @@ class InvoiceList extends HTMLElement {
       window.emitDataChange?.(window.AppEvents?.INVOICES_CHANGED || 'data:invoices:changed');
     } catch (error) {
       console.error('Failed to delete invoice:', error);
-      showNotification('Impossibile eliminare la fattura', 'error');
+      showNotification(error.message || 'Impossibile eliminare la fattura', 'error');
+    }
+  }
+  
+  async createCreditNote(invoice) {
+    const open = parseFloat(invoice.total_amount) - parseFloat(invoice.amount_credited || 0);
+    const answer = prompt(
+      `Nota di credito per la fattura ${invoice.invoice_number}.\n` +
+      `Imponibile da stornare (lascia vuoto per lo storno totale di ${formatCurrency(open, invoice.currency)}):`,
+      ''
+    );
+    if (answer === null) {
+      return;
+    }
+    
+    const data = {};
+    if (answer.trim()) {
+      const amount = parseFloat(answer.replace(',', '.'));
+      if (!amount || amount <= 0) {
+        showNotification('Importo non valido', 'error');
+        return;
+      }
+      data.amount = amount;
+    }
+    
+    const reason = prompt('Causale (facoltativa):', '');
+    if (reason === null) {
+      return;
+    }
+    if (reason.trim()) {
+      data.description = reason.trim();
+    }
+    
+    try {
+      const creditNote = await API.invoices.createCreditNote(invoice.id, data);
+      showNotification(`Nota di credito ${creditNote.invoice_number} emessa`, 'success');
+      window.emitDataChange?.(window.AppEvents?.INVOICES_CHANGED || 'data:invoices:changed');
+    } catch (error) {
+      console.error('Failed to create credit note:', error);
+      showNotification(error.message || 'Impossibile emettere la nota di credito', 'error');
     }
   }
   
@@ -117,12 +163,199 @@ class InvoiceList extends HTMLElement {
       window.emitDataChange?.(window.AppEvents?.INVOICES_CHANGED || 'data:invoices:changed');
     } catch (error) {
       console.error('Failed to update status:', error);
-      showNotification('Impossibile aggiornare lo stato', 'error');
+      showNotification(error.message || 'Impossibile aggiornare lo stato', 'error');
+    }
+  }
+  
+  /**
+   * Open or close the status history under an invoice row
+   */
+  async toggleStatusHistory(id) {
+    if (this.expandedId === id) {
+      this.expandedId = null;
+      this.render();
+      return;
+    }
+    
+    try {
+      this.statusHistory = await API.invoices.getStatusHistory(id);
+      this.expandedId = id;
+      this.render();
+    } catch (error) {
+      console.error('Failed to load status history:', error);
+      showNotification(error.message || 'Impossibile caricare lo storico', 'error');
+    }
+  }
+  
+  renderStatusHistory() {
+    if (this.statusHistory.length === 0) {
+      return '<div class="timeline-empty">Nessun cambio di stato registrato.</div>';
+    }
+    
+    return `
+      <ol class="timeline">
+        ${this.statusHistory.map(change => `
+          <li>
+            <span class="timeline-date">${formatDateTime(change.created_at)}</span>
+            ${change.from_status
+              ? `<span class="badge ${getStatusBadgeClass(change.from_status)}">${getStatusLabel(change.from_status)}</span> →`
+              : '<span class="timeline-source">Creata come</span>'}
+            <span class="badge ${getStatusBadgeClass(change.to_status)}">${getStatusLabel(change.to_status)}</span>
+            <span class="timeline-source">${getStatusSourceLabel(change.source)}</span>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  }
+  
+  async downloadFatturaPA(id) {
+    try {
+      const { blob, filename } = await API.invoices.downloadFatturaPA(id);
+      downloadBlob(blob, filename);
+    } catch (error) {
+      console.error('Failed to export FatturaPA:', error);
+      if (error.details && error.details.length > 0) {
+        alert(`Impossibile generare la fattura elettronica:\n\n${error.details.map(detail => `• ${detail}`).join('\n')}`);
+      } else {
+        showNotification('Impossibile generare la fattura elettronica', 'error');
+      }
+    }
+  }
+  
+  async downloadPdf(id) {
+    try {
+      const { blob, filename } = await API.invoices.downloadPdf(id);
+      downloadBlob(blob, filename);
+    } catch (error) {
+      console.error('Failed to download invoice PDF:', error);
+      showNotification('Impossibile generare il PDF della fattura', 'error');
     }
   }
   
+  isCreditNote(inv) {
+    return inv.document_type === 'credit_note';
+  }
+  
   calculateTotal() {
-    return this.invoices.reduce((sum, inv) => sum + parseFloat(inv.total_amount || 0), 0);
+    // Credit notes lower the total, invoices in other currencies count in euro
+    return this.invoices.reduce((sum, inv) => {
+      const amount = parseFloat(inv.total_amount_eur ?? inv.total_amount ?? 0);
+      return this.isCreditNote(inv) ? sum - amount : sum + amount;
+    }, 0);
+  }
+  
+  /**
+   * Invoices in list order, each followed by its credit notes.
+   * Credit notes whose invoice is filtered out stay on their own.
+   */
+  getOrderedRows() {
+    const listedIds = new Set(this.invoices.map(inv => inv.id));
+    const creditNotesByInvoice = new Map();
+    
+    this.invoices
+      .filter(inv => this.isCreditNote(inv) && listedIds.has(inv.original_invoice_id))
+      .forEach(creditNote => {
+        const list = creditNotesByInvoice.get(creditNote.original_invoice_id) || [];
+        list.push(creditNote);
+        creditNotesByInvoice.set(creditNote.original_invoice_id, list);
+      });
+    
+    const rows = [];
+    this.invoices
+      .filter(inv => !this.isCreditNote(inv) || !listedIds.has(inv.original_invoice_id))
+      .forEach(inv => {
+        rows.push(inv);
+        rows.push(...(creditNotesByInvoice.get(inv.id) || []).reverse());
+      });
+    
+    return rows;
+  }
+  
+  renderRow(inv, baseCurrency) {
+    // Amounts are in the invoice currency, with their euro value below
+    const currency = inv.currency || baseCurrency;
+    const euroValue = currency !== 'EUR'
+      ? `<br><small style="color: var(--color-text-secondary); font-size: 0.75rem;">= ${formatCurrency(inv.total_amount_eur, 'EUR')} (cambio ${inv.exchange_rate})</small>`
+      : '';
+    const muted = 'color: var(--color-text-secondary); font-size: 0.75rem;';
+    
+    if (this.isCreditNote(inv)) {
+      const original = this.invoices.find(item => item.id === inv.original_invoice_id);
+      return `
+              <tr class="credit-note-row">
+                <td>
+                  <span class="nested">↳</span> ${escapeHtml(inv.invoice_number)}
+                  ${original ? '' : `<br><small style="${muted}">Nota di credito</small>`}
+                </td>
+                <td>${escapeHtml(inv.client_name)}</td>
+                <td>
+                  <span style="color: var(--color-danger);">− ${formatCurrency(inv.amount, currency)}</span>${euroValue}
+                  <br><small style="${muted}">${inv.tax_rate > 0 ? `+ IVA ${inv.tax_rate}%` : 'IVA esclusa'}</small>
+                </td>
+                <td><span class="badge badge-credit-note">Nota di credito</span></td>
+                <td>${formatDate(inv.issue_date, 'short')}</td>
+                <td><span style="color: var(--color-text-secondary); font-size: 0.875rem;">—</span></td>
+                <td><span style="color: var(--color-text-secondary); font-size: 0.875rem;">—</span></td>
+                <td>
+                  <div class="actions">
+                    <button class="btn btn-secondary btn-sm" data-action="pdf" data-id="${inv.id}" title="Scarica nota di credito in PDF">PDF</button>
+                    <button class="btn btn-secondary btn-sm" data-action="fatturapa" data-id="${inv.id}" title="Scarica nota di credito elettronica (FatturaPA TD04)">XML</button>
+                    <button class="btn btn-secondary btn-sm" data-action="email" data-id="${inv.id}" title="Invia nota di credito via email con il PDF allegato">Email</button>
+                    <button class="btn btn-secondary btn-sm" data-action="attachments" data-id="${inv.id}" title="Documenti allegati alla nota di credito">Allegati${inv.attachment_count ? ` (${inv.attachment_count})` : ''}</button>
+                    <button class="btn btn-danger btn-sm" data-action="delete" data-id="${inv.id}">Elimina</button>
+                  </div>
+                </td>
+              </tr>
+      `;
+    }
+    
+    const canCredit = inv.status !== 'draft' &&
+      parseFloat(inv.amount_credited || 0) < parseFloat(inv.total_amount);
+    
+    return `
+              <tr>
+                <td>${escapeHtml(inv.invoice_number)}</td>
+                <td>${escapeHtml(inv.client_name)}</td>
+                <td>
+                  ${formatCurrency(inv.amount, currency)}
+                  ${inv.tax_rate > 0 ? `<br><small style="${muted}">+ IVA ${inv.tax_rate}%</small>` : `<br><small style="${muted}">IVA esclusa</small>`}
+                  ${inv.inps_rivalsa_amount > 0 ? `<br><small style="${muted}">+ rivalsa INPS ${formatCurrency(inv.inps_rivalsa_amount, currency)}</small>` : ''}
+                  ${inv.stamp_duty_rebilled ? `<br><small style="${muted}">+ bollo ${formatCurrency(inv.stamp_duty_amount, currency)}</small>` : ''}
+                  ${inv.amount_credited > 0 ? `<br><small style="color: var(--color-danger); font-size: 0.75rem;">stornati ${formatCurrency(inv.amount_credited, currency)}</small>` : ''}
+                  ${euroValue}
+                </td>
+                <td><span class="badge ${getStatusBadgeClass(inv.status)}">${getStatusLabel(inv.status)}</span></td>
+                <td>${formatDate(inv.issue_date, 'short')}</td>
+                <td>
+                  ${inv.status === 'paid' && inv.paid_date ? 
+                    `<strong style="color: var(--color-success);">${formatDate(inv.paid_date, 'short')}</strong><br><small style="${muted}">📅 Conta per limite €85k</small>` : 
+                  inv.status === 'partially_paid' || (inv.status === 'overdue' && inv.amount_paid > 0) ?
+                    `<strong style="color: var(--color-warning);">${formatCurrency(inv.amount_paid, currency)}</strong><br><small style="${muted}">incassati di ${formatCurrency(inv.total_amount, currency)}</small>` :
+                    '<span style="color: var(--color-text-secondary); font-size: 0.875rem;">—</span>'
+                  }
+                </td>
+                <td>${formatDate(inv.due_date, 'short')}</td>
+                <td>
+                  <div class="actions">
+                    <button class="btn btn-primary btn-sm" data-action="edit" data-id="${inv.id}">Modifica</button>
+                    <button class="btn btn-secondary btn-sm" data-action="pdf" data-id="${inv.id}" title="Scarica fattura in PDF">PDF</button>
+                    <button class="btn btn-secondary btn-sm" data-action="fatturapa" data-id="${inv.id}" title="Scarica fattura elettronica (FatturaPA)">XML</button>
+                    <button class="btn btn-secondary btn-sm" data-action="email" data-id="${inv.id}" title="Invia fattura via email con il PDF allegato">Email</button>
+                    <button class="btn btn-secondary btn-sm" data-action="payments" data-id="${inv.id}" title="Registra o elimina incassi">Pagamenti</button>
+                    <button class="btn btn-secondary btn-sm" data-action="attachments" data-id="${inv.id}" title="Documenti allegati alla fattura">Allegati${inv.attachment_count ? ` (${inv.attachment_count})` : ''}</button>
+                    <button class="btn btn-secondary btn-sm" data-action="history" data-id="${inv.id}" title="Mostra i cambi di stato della fattura">${this.expandedId === inv.id ? 'Chiudi storico' : 'Storico'}</button>
+                    ${inv.status !== 'paid' && inv.status !== 'draft' && inv.balance_due > 0 ? `<button class="btn btn-success btn-sm" data-action="mark-paid" data-id="${inv.id}" title="Registra l'incasso del saldo con data di oggi">Pagata</button>` : ''}
+                    ${canCredit ? `<button class="btn btn-secondary btn-sm" data-action="credit-note" data-id="${inv.id}" title="Emetti una nota di credito parziale o totale">Nota di credito</button>` : ''}
+                    <button class="btn btn-danger btn-sm" data-action="delete" data-id="${inv.id}">Elimina</button>
+                  </div>
+                </td>
+              </tr>
+              ${this.expandedId === inv.id ? `
+              <tr class="details-row">
+                <td colspan="8">${this.renderStatusHistory()}</td>
+              </tr>
+              ` : ''}
+    `;
   }
   
   render() {
@@ -199,8 +432,19 @@ class InvoiceList extends HTMLElement {
         .badge { display: inline-block; padding: 0.25rem 0.75rem; font-size: 0.75rem; font-weight: 600; text-transform: uppercase; border-radius: 9999px; }
         .badge-draft { background-color: #f3f4f6; color: var(--color-text-primary); }
         .badge-sent { background-color: #dbeafe; color: #1e40af; }
+        .badge-partially-paid { background-color: #fef3c7; color: #92400e; }
         .badge-paid { background-color: #d1fae5; color: #065f46; }
         .badge-overdue { background-color: #fee2e2; color: #991b1b; }
+        .badge-cancelled { background-color: #e5e7eb; color: #4b5563; }
+        .badge-credit-note { background-color: #ede9fe; color: #5b21b6; }
+        .credit-note-row td { background-color: var(--color-bg-secondary); }
+        .nested { color: var(--color-text-secondary); margin-right: 0.25rem; }
+        .details-row td { background-color: var(--color-bg-secondary); }
+        .timeline { list-style: none; margin: 0; padding: 0 0 0 1rem; border-left: 2px solid var(--color-border); display: grid; gap: 0.5rem; }
+        .timeline li { display: flex; align-items: center; gap: 0.5rem; flex-wrap: wrap; }
+        .timeline-date { min-width: 8rem; color: var(--color-text-secondary); font-variant-numeric: tabular-nums; }
+        .timeline-source { color: var(--color-text-secondary); font-size: 0.75rem; }
+        .timeline-empty { color: var(--color-text-secondary); }
         .actions { display: flex; gap: 0.5rem; }
         .btn { padding: 0.5rem 1rem; font-size: 0.875rem; border: none; border-radius: 0.375rem; cursor: pointer; transition: opacity 0.2s; }
         .btn:hover { opacity: 0.9; }
@@ -219,8 +463,10 @@ class InvoiceList extends HTMLElement {
             <option value="">Tutti gli stati</option>
             <option value="draft" ${this.filters.status === 'draft' ? 'selected' : ''}>Bozza</option>
             <option value="sent" ${this.filters.status === 'sent' ? 'selected' : ''}>Inviata</option>
+            <option value="partially_paid" ${this.filters.status === 'partially_paid' ? 'selected' : ''}>Parzialmente pagata</option>
             <option value="paid" ${this.filters.status === 'paid' ? 'selected' : ''}>Pagata</option>
             <option value="overdue" ${this.filters.status === 'overdue' ? 'selected' : ''}>Scaduta</option>
+            <option value="cancelled" ${this.filters.status === 'cancelled' ? 'selected' : ''}>Annullata</option>
           </select>
         </div>
         
@@ -247,7 +493,7 @@ class InvoiceList extends HTMLElement {
       
       ${this.invoices.length > 0 ? `
         <div class="total-banner">
-          <span class="total-label">Totale Fatture (${this.invoices.length})</span>
+          <span class="total-label">Totale Fatture (${this.invoices.filter(inv => !this.isCreditNote(inv)).length})</span>
           <span class="total-amount">${formatCurrency(total, currency)}</span>
         </div>
         ${this.renderTable(currency)}
@@ -274,32 +520,7 @@ class InvoiceList extends HTMLElement {
             </tr>
           </thead>
           <tbody>
-            ${this.invoices.map(inv => `
-              <tr>
-                <td>${inv.invoice_number}</td>
-                <td>${inv.client_name}</td>
-                <td>
-                  ${formatCurrency(inv.amount, currency)}
-                  ${inv.tax_rate > 0 ? `<br><small style="color: var(--color-text-secondary); font-size: 0.75rem;">+ IVA ${inv.tax_rate}%</small>` : '<br><small style="color: var(--color-text-secondary); font-size: 0.75rem;">IVA esclusa</small>'}
-                </td>
-                <td><span class="badge ${getStatusBadgeClass(inv.status)}">${getStatusLabel(inv.status)}</span></td>
-                <td>${formatDate(inv.issue_date, 'short')}</td>
-                <td>
-                  ${inv.status === 'paid' && inv.paid_date ? 
-                    `<strong style="color: var(--color-success);">${formatDate(inv.paid_date, 'short')}</strong><br><small style="color: var(--color-text-secondary); font-size: 0.75rem;">📅 Conta per limite €85k</small>` : 
-                    '<span style="color: var(--color-text-secondary); font-size: 0.875rem;">—</span>'
-                  }
-                </td>
-                <td>${formatDate(inv.due_date, 'short')}</td>
-                <td>
-                  <div class="actions">
-                    <button class="btn btn-primary btn-sm" data-action="edit" data-id="${inv.id}">Modifica</button>
-                    ${inv.status !== 'paid' ? `<button class="btn btn-success btn-sm" data-action="mark-paid" data-id="${inv.id}">Pagata</button>` : ''}
-                    <button class="btn btn-danger btn-sm" data-action="delete" data-id="${inv.id}">Elimina</button>
-                  </div>
-                </td>
-              </tr>
-            `).join('')}
+            ${this.getOrderedRows().map(inv => this.renderRow(inv, currency)).join('')}
           </tbody>
         </table>
       </div>
@@ -332,6 +553,22 @@ class InvoiceList extends HTMLElement {
           this.deleteInvoice(id);
         } else if (action === 'mark-paid') {
           this.updateStatus(id, 'paid');
+        } else if (action === 'credit-note' && invoice) {
+          this.createCreditNote(invoice);
+        } else if (action === 'history') {
+          this.toggleStatusHistory(id);
+        } else if (action === 'payments') {
+          window.dispatchEvent(new CustomEvent('invoice-payments:open', { detail: { invoiceId: id } }));
+        } else if (action === 'attachments' && invoice) {
+          window.dispatchEvent(new CustomEvent('attachments:open', {
+            detail: { ownerType: 'invoice', ownerId: id, title: invoice.invoice_number }
+          }));
+        } else if (action === 'email') {
+          window.dispatchEvent(new CustomEvent('email-send:open', { detail: { invoiceId: id } }));
+        } else if (action === 'fatturapa') {
+          this.downloadFatturaPA(id);
+        } else if (action === 'pdf') {
+          this.downloadPdf(id);
         }
       });
     });
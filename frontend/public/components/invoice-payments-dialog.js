@@ -0,0 +1,382 @@
+/**
+ * Invoice Payments Dialog Component
+ *
+ * Global modal listing the payments received on an invoice.
+ * Payments can be recorded (also in installments) and deleted;
+ * the invoice becomes "parzialmente pagata" or "pagata" on its own.
+ *
+ * Opened via the 'invoice-payments:open' window event
+ * with detail { invoiceId }.
+ */
+
+const PAYMENT_METHOD_LABELS = {
+  bank_transfer: 'Bonifico',
+  cash: 'Contanti',
+  card: 'Carta',
+  paypal: 'PayPal',
+  other: 'Altro'
+};
+
+class InvoicePaymentsDialog extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.isOpen = false;
+    this.loading = false;
+    this.invoice = null;
+    this.handleExternalOpen = this.handleExternalOpen.bind(this);
+  }
+
+  connectedCallback() {
+    window.addEventListener('invoice-payments:open', this.handleExternalOpen);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener('invoice-payments:open', this.handleExternalOpen);
+  }
+
+  handleExternalOpen(event) {
+    const invoiceId = event.detail?.invoiceId;
+    if (invoiceId) {
+      this.open(invoiceId);
+    }
+  }
+
+  async open(invoiceId) {
+    this.isOpen = true;
+    this.invoice = null;
+    this.loading = true;
+    this.render();
+
+    try {
+      this.invoice = await API.invoices.getById(invoiceId);
+    } catch (error) {
+      console.error('Errore caricamento pagamenti:', error);
+      showNotification(error.message || 'Impossibile caricare i pagamenti', 'error');
+      this.isOpen = false;
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  close() {
+    this.isOpen = false;
+    this.render();
+  }
+
+  async handleSubmit(form) {
+    if (this.loading) return;
+
+    const formData = new FormData(form);
+    const data = {
+      payment_date: formData.get('payment_date'),
+      amount: parseFloat(formData.get('amount')),
+      method: formData.get('method'),
+      note: formData.get('note') || undefined
+    };
+
+    this.loading = true;
+    this.render();
+
+    try {
+      this.invoice = await API.invoices.addPayment(this.invoice.id, data);
+      showNotification('Pagamento registrato', 'success');
+      emitDataChange(AppEvents.INVOICES_CHANGED);
+    } catch (error) {
+      console.error('Errore registrazione pagamento:', error);
+      showNotification(error.message || 'Impossibile registrare il pagamento', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  async handleDelete(paymentId) {
+    if (this.loading || !confirm('Eliminare questo pagamento?')) return;
+
+    this.loading = true;
+    this.render();
+
+    try {
+      this.invoice = await API.invoices.deletePayment(this.invoice.id, paymentId);
+      showNotification('Pagamento eliminato', 'success');
+      emitDataChange(AppEvents.INVOICES_CHANGED);
+    } catch (error) {
+      console.error('Errore eliminazione pagamento:', error);
+      showNotification(error.message || 'Impossibile eliminare il pagamento', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  renderPayments() {
+    const payments = this.invoice?.payments || [];
+    if (payments.length === 0) {
+      return '<div class="list-empty">Nessun pagamento registrato.</div>';
+    }
+
+    return `
+      <table>
+        <thead>
+          <tr>
+            <th>Data</th>
+            <th>Metodo</th>
+            <th>Nota</th>
+            <th style="text-align: right;">Importo</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${payments.map(payment => `
+            <tr>
+              <td>${formatDate(payment.payment_date, 'short')}</td>
+              <td>${PAYMENT_METHOD_LABELS[payment.method] || escapeHtml(payment.method)}</td>
+              <td>${escapeHtml(payment.note || '-')}</td>
+              <td style="text-align: right;">${formatCurrency(payment.amount, this.invoice.currency)}</td>
+              <td style="text-align: right;">
+                <button class="btn btn-danger btn-sm" data-payment-id="${payment.id}" ${this.loading ? 'disabled' : ''}>Elimina</button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  renderForm() {
+    if (!this.invoice || this.invoice.balance_due <= 0) {
+      return '';
+    }
+
+    // Payments are recorded once the invoice is issued
+    if (this.invoice.status === 'draft') {
+      return '<div class="list-empty">Segna la fattura come inviata per registrare gli incassi.</div>';
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+
+    return `
+      <form id="payment-form" class="payment-form">
+        <div>
+          <label for="payment-date">Data incasso</label>
+          <input type="date" id="payment-date" name="payment_date" value="${today}" required>
+        </div>
+        <div>
+          <label for="payment-amount">Importo</label>
+          <input type="number" id="payment-amount" name="amount" step="0.01" min="0.01"
+            max="${this.invoice.balance_due}" value="${this.invoice.balance_due}" required>
+        </div>
+        <div>
+          <label for="payment-method">Metodo</label>
+          <select id="payment-method" name="method">
+            ${Object.entries(PAYMENT_METHOD_LABELS).map(([value, label]) => `
+              <option value="${value}">${label}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div>
+          <label for="payment-note">Nota</label>
+          <input type="text" id="payment-note" name="note" maxlength="500" placeholder="Opzionale">
+        </div>
+        <div class="form-actions">
+          <button type="submit" class="btn btn-primary" ${this.loading ? 'disabled' : ''}>
+            ${this.loading ? 'Attendere...' : 'Registra pagamento'}
+          </button>
+        </div>
+      </form>
+    `;
+  }
+
+  render() {
+    const invoice = this.invoice;
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        .modal {
+          position: fixed;
+          inset: 0;
+          display: ${this.isOpen ? 'flex' : 'none'};
+          align-items: center;
+          justify-content: center;
+          background: var(--color-overlay);
+          z-index: 2200;
+          padding: 1rem;
+        }
+        .modal-content {
+          width: 100%;
+          max-width: 720px;
+          max-height: 90vh;
+          background: var(--color-bg);
+          color: var(--color-text-primary);
+          border-radius: 0.375rem;
+          box-shadow: var(--shadow-xl);
+          overflow: hidden;
+          border: 1px solid var(--color-border);
+          display: flex;
+          flex-direction: column;
+        }
+        .modal-header {
+          padding: 1rem 1.5rem;
+          border-bottom: 1px solid var(--color-border);
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 0.5rem;
+        }
+        .modal-header h2 {
+          margin: 0;
+          font-size: 1.125rem;
+          font-weight: 600;
+        }
+        .close-btn {
+          background: none;
+          border: none;
+          font-size: 1.5rem;
+          cursor: pointer;
+          color: var(--color-text-secondary);
+        }
+        .modal-body {
+          padding: 1.5rem;
+          display: grid;
+          gap: 1.25rem;
+          overflow-y: auto;
+        }
+        .totals {
+          display: grid;
+          grid-template-columns: repeat(3, 1fr);
+          gap: 1rem;
+        }
+        .total-label {
+          font-size: 0.8rem;
+          text-transform: uppercase;
+          color: var(--color-text-muted);
+        }
+        .total-value {
+          font-size: 1.1rem;
+          font-weight: 600;
+        }
+        .total-value.open {
+          color: var(--color-danger);
+        }
+        .total-value.closed {
+          color: var(--color-success);
+        }
+        .payment-form {
+          display: grid;
+          gap: 1rem;
+          grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
+          align-items: end;
+          padding-top: 1rem;
+          border-top: 1px solid var(--color-border);
+        }
+        label {
+          display: block;
+          font-size: 0.9rem;
+          font-weight: 500;
+          color: var(--color-text-secondary);
+          margin-bottom: 0.35rem;
+        }
+        input,
+        select {
+          width: 100%;
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+          padding: 0.5rem 0.75rem;
+          font-size: 0.95rem;
+          background: var(--color-bg);
+          color: var(--color-text-primary);
+          box-sizing: border-box;
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.9rem;
+        }
+        th, td {
+          padding: 0.5rem;
+          border-bottom: 1px solid var(--color-border);
+          text-align: left;
+        }
+        th {
+          font-size: 0.8rem;
+          text-transform: uppercase;
+          color: var(--color-text-muted);
+        }
+        .list-empty {
+          text-align: center;
+          padding: 1rem;
+          color: var(--color-text-secondary);
+        }
+        .btn {
+          border-radius: 0.375rem;
+          padding: 0.45rem 1rem;
+          font-size: 0.9rem;
+          font-weight: 500;
+          cursor: pointer;
+          border: 1px solid transparent;
+        }
+        .btn-sm {
+          font-size: 0.75rem;
+          padding: 0.25rem 0.5rem;
+        }
+        .btn-primary {
+          background: var(--color-primary);
+          color: #fff;
+        }
+        .btn-danger {
+          background: var(--color-danger);
+          color: #fff;
+        }
+        .btn:disabled {
+          opacity: 0.7;
+          cursor: not-allowed;
+        }
+      </style>
+
+      <div class="modal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2>Pagamenti${invoice ? ` fattura ${escapeHtml(invoice.invoice_number)}` : ''}</h2>
+            <button class="close-btn" id="close-payments">&times;</button>
+          </div>
+          <div class="modal-body">
+            ${!invoice ? '<div class="list-empty">Caricamento...</div>' : `
+              <div class="totals">
+                <div>
+                  <div class="total-label">Totale</div>
+                  <div class="total-value">${formatCurrency(invoice.total_amount, invoice.currency)}</div>
+                </div>
+                <div>
+                  <div class="total-label">Incassato</div>
+                  <div class="total-value">${formatCurrency(invoice.amount_paid, invoice.currency)}</div>
+                </div>
+                <div>
+                  <div class="total-label">Da incassare</div>
+                  <div class="total-value ${invoice.balance_due > 0 ? 'open' : 'closed'}">${formatCurrency(invoice.balance_due, invoice.currency)}</div>
+                </div>
+              </div>
+              <section>${this.renderPayments()}</section>
+              ${this.renderForm()}
+            `}
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.shadowRoot.querySelector('#close-payments')?.addEventListener('click', () => this.close());
+
+    this.shadowRoot.querySelector('#payment-form')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmit(e.target);
+    });
+
+    this.shadowRoot.querySelectorAll('[data-payment-id]').forEach(btn => {
+      btn.addEventListener('click', () => this.handleDelete(parseInt(btn.dataset.paymentId)));
+    });
+  }
+}
+
+customElements.define('invoice-payments-dialog', InvoicePaymentsDialog);
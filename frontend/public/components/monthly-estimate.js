@@ -229,7 +229,7 @@ class MonthlyEstimate extends HTMLElement {
           <div class="estimate-item">
             <div class="estimate-label">Entrate</div>
             <p class="estimate-value">${formatCurrency(this.invoiceData.total_income, currency)}</p>
-            <div class="estimate-count">${this.invoiceData.invoice_count} fattura/e</div>
+            <div class="estimate-count">${this.invoiceData.invoice_count} fattura/e incassate</div>
           </div>
           
           <div class="estimate-item">
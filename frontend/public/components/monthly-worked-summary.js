@@ -14,6 +14,7 @@ class MonthlyWorkedSummary extends HTMLElement {
     this.reportLoading = false;
     this.reportError = null;
     this.downloadingPdf = false;
+    this.billingClientId = null;
     this.reportRequestId = 0;
     this.handleMonthChange = this.handleMonthChange.bind(this);
     this.handleWorkedHoursUpdate = this.handleWorkedHoursUpdate.bind(this);
@@ -27,6 +28,8 @@ class MonthlyWorkedSummary extends HTMLElement {
     // New reactive event listeners
     window.addEventListener(window.AppEvents?.WORKED_HOURS_CHANGED || 'data:worked-hours:changed', this.handleWorkedHoursUpdate);
     window.addEventListener(window.AppEvents?.CLIENTS_CHANGED || 'data:clients:changed', this.handleClientsUpdate);
+    // Creating or deleting invoices changes which hours are billed
+    window.addEventListener(window.AppEvents?.INVOICES_CHANGED || 'data:invoices:changed', this.handleWorkedHoursUpdate);
     this.render();
     this.loadSummary();
   }
@@ -37,6 +40,7 @@ class MonthlyWorkedSummary extends HTMLElement {
     window.removeEventListener('clients:updated', this.handleClientsUpdate);
     window.removeEventListener(window.AppEvents?.WORKED_HOURS_CHANGED || 'data:worked-hours:changed', this.handleWorkedHoursUpdate);
     window.removeEventListener(window.AppEvents?.CLIENTS_CHANGED || 'data:clients:changed', this.handleClientsUpdate);
+    window.removeEventListener(window.AppEvents?.INVOICES_CHANGED || 'data:invoices:changed', this.handleWorkedHoursUpdate);
   }
 
   handleMonthChange(event) {
@@ -91,7 +95,9 @@ class MonthlyWorkedSummary extends HTMLElement {
       this.summary = (data.summary || []).map(item => ({
         ...item,
         hours: typeof item.hours === 'number' ? item.hours : parseFloat(item.hours || '0'),
-        amount: typeof item.amount === 'number' ? item.amount : parseFloat(item.amount || '0')
+        amount: typeof item.amount === 'number' ? item.amount : parseFloat(item.amount || '0'),
+        unbilled_hours: parseFloat(item.unbilled_hours || 0),
+        unbilled_amount: parseFloat(item.unbilled_amount || 0)
       }));
       this.overall = {
         total_hours: typeof data.overall?.total_hours === 'number'
@@ -156,10 +162,60 @@ class MonthlyWorkedSummary extends HTMLElement {
     const filtered = this.getFilteredSummary();
     return {
       total_hours: filtered.reduce((sum, item) => sum + item.hours, 0),
-      total_amount: filtered.reduce((sum, item) => sum + item.amount, 0)
+      total_amount: filtered.reduce((sum, item) => sum + item.amount, 0),
+      unbilled_amount: filtered.reduce((sum, item) => sum + item.unbilled_amount, 0)
     };
   }
 
+  /**
+   * Create a draft invoice from the client's unbilled hours of the selected month
+   */
+  async billClientHours(clientId) {
+    if (this.billingClientId) return;
+
+    const item = this.summary.find((entry) => entry.client_id === clientId);
+    if (!item || item.unbilled_amount <= 0) return;
+
+    // Suggest the next progressive number; keeping it lets the server reserve it
+    let suggestedNumber = '';
+    try {
+      suggestedNumber = (await API.invoices.getNextNumber()).invoice_number;
+    } catch (error) {
+      console.warn('Impossibile calcolare il prossimo numero di fattura:', error);
+    }
+
+    const invoiceNumber = window.prompt(
+      `Numero della fattura per ${item.client_name} (${item.unbilled_hours.toFixed(2)} h, ${this.currencySymbol}${item.unbilled_amount.toFixed(2)}):`,
+      suggestedNumber
+    );
+    if (invoiceNumber === null) return;
+    const chosenNumber = invoiceNumber.trim();
+
+    const monthStr = String(this.selectedMonth).padStart(2, '0');
+    const lastDay = new Date(this.selectedYear, this.selectedMonth, 0).getDate();
+
+    this.billingClientId = clientId;
+    this.render();
+
+    try {
+      const invoice = await API.invoices.createFromWorkedHours({
+        client_id: clientId,
+        start_date: `${this.selectedYear}-${monthStr}-01`,
+        end_date: `${this.selectedYear}-${monthStr}-${String(lastDay).padStart(2, '0')}`,
+        invoice_number: chosenNumber && chosenNumber !== suggestedNumber ? chosenNumber : undefined
+      });
+      showNotification(`Bozza fattura ${invoice.invoice_number} creata`, 'success');
+      window.emitDataChange?.(window.AppEvents?.INVOICES_CHANGED || 'data:invoices:changed');
+      window.emitDataChange?.(window.AppEvents?.WORKED_HOURS_CHANGED || 'data:worked-hours:changed');
+    } catch (error) {
+      console.error('Errore durante la creazione della fattura dalle ore:', error);
+      showNotification(error.message || 'Impossibile creare la fattura', 'error');
+    } finally {
+      this.billingClientId = null;
+      this.render();
+    }
+  }
+
   async loadClientReportDetails() {
     const clientIdNum = parseInt(this.selectedClientId, 10);
     if (isNaN(clientIdNum)) {
@@ -249,6 +305,16 @@ class MonthlyWorkedSummary extends HTMLElement {
     }
   }
 
+  emailReport() {
+    const clientIdNum = parseInt(this.selectedClientId, 10);
+    if (isNaN(clientIdNum)) {
+      return;
+    }
+    window.dispatchEvent(new CustomEvent('email-send:open', {
+      detail: { report: { clientId: clientIdNum, year: this.selectedYear, month: this.selectedMonth } }
+    }));
+  }
+
   getReportEntryById(entryId) {
     if (!this.clientReport || !this.clientReport.entries) return null;
     return this.clientReport.entries.find((entry) => entry.id === entryId) || null;
@@ -427,9 +493,14 @@ class MonthlyWorkedSummary extends HTMLElement {
             <div class="report-title">${this.clientReport.client.name}</div>
             <div class="report-subtitle">${formattedPeriodLabel}</div>
           </div>
-          <button class="btn btn-primary report-download-btn" data-download-report ${this.downloadingPdf ? 'disabled' : ''}>
-            ${this.downloadingPdf ? 'Generazione...' : 'Genera report PDF'}
-          </button>
+          <div class="report-actions">
+            <button class="btn btn-secondary report-download-btn" data-email-report>
+              Invia via email
+            </button>
+            <button class="btn btn-primary report-download-btn" data-download-report ${this.downloadingPdf ? 'disabled' : ''}>
+              ${this.downloadingPdf ? 'Generazione...' : 'Genera report PDF'}
+            </button>
+          </div>
         </div>
         <div class="report-list">
           ${entriesHtml}
@@ -466,6 +537,13 @@ class MonthlyWorkedSummary extends HTMLElement {
     const note = record.note
       ? this.escapeHtml(record.note).replace(/\n/g, '<br>')
       : '<span class="report-note-empty">Nessuna descrizione</span>';
+    // Billed hours are locked: change the invoice instead
+    const actions = record.invoice_id
+      ? `<span class="billed-badge">Fatturata ${this.escapeHtml(record.invoice_number || '')}</span>`
+      : `
+          <button class="report-action-btn" data-edit-entry="${record.id}">Modifica</button>
+          <button class="report-action-btn danger" data-delete-entry="${record.id}">Elimina</button>
+        `;
     return `
       <div class="group-record">
         <div class="group-record-info">
@@ -475,8 +553,7 @@ class MonthlyWorkedSummary extends HTMLElement {
           <div class="group-record-note">${note}</div>
         </div>
         <div class="group-record-actions">
-          <button class="report-action-btn" data-edit-entry="${record.id}">Modifica</button>
-          <button class="report-action-btn danger" data-delete-entry="${record.id}">Elimina</button>
+          ${actions}
         </div>
       </div>
     `;
@@ -637,6 +714,11 @@ class MonthlyWorkedSummary extends HTMLElement {
           gap: 1rem;
           margin-bottom: 1rem;
         }
+        .report-actions {
+          display: flex;
+          gap: 0.5rem;
+          flex-wrap: wrap;
+        }
         .report-title {
           font-weight: 600;
           font-size: 1rem;
@@ -739,6 +821,23 @@ class MonthlyWorkedSummary extends HTMLElement {
           font-style: italic;
           color: var(--color-text-tertiary, #888);
         }
+        .billed-badge {
+          font-size: 0.75rem;
+          font-weight: 600;
+          padding: 0.2rem 0.5rem;
+          border-radius: 999px;
+          background: rgba(16, 185, 129, 0.15);
+          color: var(--color-success);
+          white-space: nowrap;
+        }
+        .unbilled {
+          color: var(--color-warning);
+          font-weight: 600;
+        }
+        .btn-small {
+          padding: 0.25rem 0.6rem;
+          font-size: 0.8rem;
+        }
         .report-summary {
           margin-top: 1rem;
           padding-top: 0.75rem;
@@ -792,6 +891,8 @@ class MonthlyWorkedSummary extends HTMLElement {
                   <th style="text-align:right;">Ore</th>
                   <th style="text-align:right;">Tariffa</th>
                   <th style="text-align:right;">Totale</th>
+                  <th style="text-align:right;">Da fatturare</th>
+                  <th></th>
                 </tr>
               </thead>
               <tbody>
@@ -801,6 +902,16 @@ class MonthlyWorkedSummary extends HTMLElement {
                     <td style="text-align:right;">${item.hours.toFixed(2)}</td>
                     <td style="text-align:right;">${this.currencySymbol}${(item.hours > 0 ? (item.amount / item.hours) : 0).toFixed(2)}</td>
                     <td style="text-align:right;" class="amount">${this.currencySymbol}${item.amount.toFixed(2)}</td>
+                    <td style="text-align:right;" class="${item.unbilled_amount > 0 ? 'unbilled' : ''}">
+                      ${this.currencySymbol}${item.unbilled_amount.toFixed(2)}
+                    </td>
+                    <td style="text-align:right;">
+                      ${item.unbilled_amount > 0 ? `
+                        <button class="btn btn-secondary btn-small" data-bill-client="${item.client_id}" ${this.billingClientId ? 'disabled' : ''}>
+                          ${this.billingClientId === item.client_id ? 'Creazione...' : 'Fattura ore'}
+                        </button>
+                      ` : ''}
+                    </td>
                   </tr>
                 `).join('')}
               </tbody>
@@ -809,6 +920,7 @@ class MonthlyWorkedSummary extends HTMLElement {
           <div class="summary-footer">
             <span>Totale ore: ${filteredTotals.total_hours.toFixed(2)}</span>
             <span>Totale importo: ${this.currencySymbol}${filteredTotals.total_amount.toFixed(2)}</span>
+            <span>Da fatturare: ${this.currencySymbol}${filteredTotals.unbilled_amount.toFixed(2)}</span>
           </div>
         `}
 
@@ -828,11 +940,23 @@ class MonthlyWorkedSummary extends HTMLElement {
       filterSelect.addEventListener('change', (e) => this.handleClientFilter(e.target.value));
     }
 
+    this.shadowRoot.querySelectorAll('[data-bill-client]').forEach((btn) => {
+      btn.addEventListener('click', (event) => {
+        const clientId = parseInt(event.currentTarget.getAttribute('data-bill-client'), 10);
+        if (!isNaN(clientId)) {
+          this.billClientHours(clientId);
+        }
+      });
+    });
+
     const downloadButtons = this.shadowRoot.querySelectorAll('[data-download-report]');
     downloadButtons.forEach((btn) => {
       btn.addEventListener('click', () => this.downloadReportPdf());
     });
 
+    const emailButton = this.shadowRoot.querySelector('[data-email-report]');
+    if (emailButton) emailButton.addEventListener('click', () => this.emailReport());
+
     const editButtons = this.shadowRoot.querySelectorAll('[data-edit-entry]');
     editButtons.forEach((btn) => {
       btn.addEventListener('click', (event) => {
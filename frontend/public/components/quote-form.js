@@ -0,0 +1,317 @@
+/**
+ * Quote Form Component
+ *
+ * Custom Web Component for creating and editing quotes (preventivi).
+ * Modal form with the same editable grid of lines as invoices; the
+ * quote amount is the sum of the line totals. New quotes are valid for
+ * the number of days set in settings.
+ *
+ * Usage:
+ * <quote-form></quote-form>
+ */
+
+class QuoteForm extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.quote = null;
+    this.items = []; // Lines being edited
+  }
+
+  connectedCallback() {
+    this.render();
+  }
+
+  show(quote = null) {
+    this.quote = quote;
+    this.items = this.getInitialItems(quote);
+    this.render();
+    this.shadowRoot.querySelector('.modal').style.display = 'flex';
+    this.attachEventListeners();
+  }
+
+  hide() {
+    this.shadowRoot.querySelector('.modal').style.display = 'none';
+    this.quote = null;
+    this.items = [];
+  }
+
+  getInitialItems(quote) {
+    if (quote?.items?.length) {
+      return quote.items.map(item => ({
+        description: item.description,
+        quantity: parseFloat(item.quantity),
+        unit: item.unit || '',
+        unit_price: parseFloat(item.unit_price)
+      }));
+    }
+
+    return [{ description: '', quantity: 1, unit: '', unit_price: '' }];
+  }
+
+  /**
+   * Default validity date of a new quote
+   */
+  getDefaultValidUntil(issueDate) {
+    const days = window.AppState?.settings?.quote_validity_days || 30;
+    const date = new Date(`${issueDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+  }
+
+  getLineTotal(item) {
+    const quantity = parseFloat(item.quantity) || 0;
+    const unitPrice = parseFloat(item.unit_price) || 0;
+    return Math.round(quantity * unitPrice * 100) / 100;
+  }
+
+  getItemsTotal() {
+    return this.items.reduce((sum, item) => sum + this.getLineTotal(item), 0);
+  }
+
+  addItem() {
+    this.items.push({ description: '', quantity: 1, unit: '', unit_price: '' });
+    this.renderItems();
+    const inputs = this.shadowRoot.querySelectorAll('[data-field="description"]');
+    inputs[inputs.length - 1]?.focus();
+  }
+
+  removeItem(index) {
+    if (this.items.length <= 1) {
+      showNotification('Il preventivo deve avere almeno una riga', 'warning');
+      return;
+    }
+    this.items.splice(index, 1);
+    this.renderItems();
+  }
+
+  /**
+   * Re-render only the line grid, so the rest of the form keeps its values
+   */
+  renderItems() {
+    const body = this.shadowRoot.querySelector('#items-body');
+    if (!body) return;
+
+    body.innerHTML = this.items.map((item, index) => `
+      <tr>
+        <td><input type="text" class="form-input" data-index="${index}" data-field="description" value="${escapeHtml(item.description)}" required></td>
+        <td><input type="number" class="form-input" data-index="${index}" data-field="quantity" value="${item.quantity}" step="0.01" min="0.01" required></td>
+        <td><input type="text" class="form-input" data-index="${index}" data-field="unit" value="${escapeHtml(item.unit)}" maxlength="20" placeholder="h"></td>
+        <td><input type="number" class="form-input" data-index="${index}" data-field="unit_price" value="${item.unit_price}" step="0.01" required></td>
+        <td class="line-total" data-line-total="${index}">${formatCurrency(this.getLineTotal(item))}</td>
+        <td><button type="button" class="remove-line" data-remove="${index}" title="Rimuovi riga">×</button></td>
+      </tr>
+    `).join('');
+
+    body.querySelectorAll('[data-field]').forEach(input => {
+      input.addEventListener('input', (e) => {
+        const index = parseInt(e.target.getAttribute('data-index'));
+        const field = e.target.getAttribute('data-field');
+        this.items[index][field] = e.target.value;
+        this.updateTotals(index);
+      });
+    });
+
+    body.querySelectorAll('[data-remove]').forEach(button => {
+      button.addEventListener('click', () => this.removeItem(parseInt(button.getAttribute('data-remove'))));
+    });
+
+    this.updateTotals();
+  }
+
+  updateTotals(index = null) {
+    if (index !== null) {
+      const cell = this.shadowRoot.querySelector(`[data-line-total="${index}"]`);
+      if (cell) cell.textContent = formatCurrency(this.getLineTotal(this.items[index]));
+    }
+    const total = this.shadowRoot.querySelector('#items-total');
+    if (total) total.textContent = formatCurrency(this.getItemsTotal());
+  }
+
+  async submitForm(e) {
+    e.preventDefault();
+
+    const form = this.shadowRoot.querySelector('#quote-form');
+    const formData = new FormData(form);
+
+    if (this.getItemsTotal() <= 0) {
+      showNotification('Il totale del preventivo deve essere maggiore di zero', 'warning');
+      return;
+    }
+
+    const data = {
+      quote_number: String(formData.get('quote_number') || '').trim(),
+      client_name: formData.get('client_name'),
+      description: formData.get('description'),
+      items: this.items.map(item => ({
+        description: String(item.description).trim(),
+        quantity: parseFloat(item.quantity),
+        unit: String(item.unit).trim() || null,
+        unit_price: parseFloat(item.unit_price)
+      })),
+      tax_rate: 0, // Regime Forfettario: no VAT charged to clients
+      issue_date: formData.get('issue_date'),
+      valid_until: formData.get('valid_until')
+    };
+
+    // An empty field lets the server reserve the number
+    if (!data.quote_number) {
+      delete data.quote_number;
+    }
+
+    try {
+      if (this.quote) {
+        await API.quotes.update(this.quote.id, data);
+        showNotification('Preventivo aggiornato con successo', 'success');
+      } else {
+        await API.quotes.create(data);
+        showNotification('Preventivo creato con successo', 'success');
+      }
+
+      this.hide();
+      window.emitDataChange?.(window.AppEvents?.QUOTES_CHANGED || 'data:quotes:changed');
+    } catch (error) {
+      console.error('Failed to save quote:', error);
+      showNotification(error.message || 'Impossibile salvare il preventivo', 'error');
+    }
+  }
+
+  attachEventListeners() {
+    const form = this.shadowRoot.querySelector('#quote-form');
+    const closeBtn = this.shadowRoot.querySelector('.close-btn');
+    const cancelBtn = this.shadowRoot.querySelector('[data-action="cancel"]');
+
+    if (form) {
+      form.addEventListener('submit', (e) => this.submitForm(e));
+    }
+
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.hide());
+    }
+
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => this.hide());
+    }
+
+    // A new quote stays valid for the configured days from its issue date
+    const issueDateInput = this.shadowRoot.querySelector('input[name="issue_date"]');
+    const validUntilInput = this.shadowRoot.querySelector('input[name="valid_until"]');
+    if (issueDateInput && validUntilInput && !this.quote) {
+      issueDateInput.addEventListener('change', () => {
+        if (issueDateInput.value) {
+          validUntilInput.value = this.getDefaultValidUntil(issueDateInput.value);
+        }
+      });
+    }
+
+    const addItemBtn = this.shadowRoot.querySelector('#add-item');
+    if (addItemBtn) {
+      addItemBtn.addEventListener('click', () => this.addItem());
+    }
+
+    this.renderItems();
+  }
+
+  render() {
+    const issueDate = this.quote?.issue_date ? formatDateForInput(this.quote.issue_date) : getTodayDate();
+    const validUntil = this.quote?.valid_until
+      ? formatDateForInput(this.quote.valid_until)
+      : this.getDefaultValidUntil(issueDate);
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        .modal { display: none; position: fixed; top: 0; left: 0; width: 100%; height: 100%; background-color: var(--color-overlay); z-index: 1000; justify-content: center; align-items: center; padding: 1rem; }
+        .modal-content { background: var(--color-bg); color: var(--color-text-primary); border-radius: 0.375rem; width: 90%; max-width: 760px; max-height: 90vh; overflow-y: auto; border: 1px solid var(--color-border); box-shadow: var(--shadow-lg); }
+        .modal-header { padding: 1.5rem; border-bottom: 1px solid var(--color-border); display: flex; justify-content: space-between; align-items: center; }
+        .modal-title { font-size: 1.25rem; font-weight: 600; margin: 0; }
+        .close-btn { background: none; border: none; font-size: 1.5rem; cursor: pointer; color: var(--color-text-secondary); }
+        .modal-body { padding: 1.5rem; }
+        .form-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
+        .form-group { margin-bottom: 1rem; }
+        .form-group.full { grid-column: 1 / -1; }
+        .form-label { display: block; margin-bottom: 0.5rem; font-size: 0.875rem; font-weight: 500; color: var(--color-text-secondary); }
+        .form-input, .form-textarea { width: 100%; padding: 0.5rem; border: 1px solid var(--color-border); border-radius: 0.375rem; font-size: 1rem; background: var(--color-bg); color: var(--color-text-primary); }
+        .form-textarea { min-height: 80px; }
+        .modal-footer { padding: 1.5rem; border-top: 1px solid var(--color-border); display: flex; justify-content: flex-end; gap: 1rem; }
+        .btn { padding: 0.5rem 1.5rem; border: none; border-radius: 0.375rem; font-size: 1rem; font-weight: 500; cursor: pointer; }
+        .btn-primary { background-color: var(--color-primary); color: white; }
+        .btn-secondary { background-color: var(--color-bg-tertiary); color: var(--color-text-primary); }
+        .btn-small { padding: 0.35rem 0.75rem; font-size: 0.875rem; }
+        .items-table { width: 100%; border-collapse: collapse; }
+        .items-table th { text-align: left; font-size: 0.75rem; font-weight: 500; text-transform: uppercase; color: var(--color-text-muted); padding: 0 0.25rem 0.35rem; }
+        .items-table td { padding: 0.25rem; vertical-align: middle; }
+        .items-table th:nth-child(2), .items-table td:nth-child(2) { width: 80px; }
+        .items-table th:nth-child(3), .items-table td:nth-child(3) { width: 70px; }
+        .items-table th:nth-child(4), .items-table td:nth-child(4) { width: 110px; }
+        .items-table .line-total, .items-table th:nth-child(5) { width: 100px; text-align: right; white-space: nowrap; }
+        .remove-line { background: none; border: none; font-size: 1.25rem; cursor: pointer; color: var(--color-danger); }
+        .items-footer { display: flex; justify-content: space-between; align-items: center; margin-top: 0.5rem; }
+        .items-total { font-weight: 600; }
+      </style>
+
+      <div class="modal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2 class="modal-title">${this.quote ? 'Modifica Preventivo' : 'Nuovo Preventivo'}</h2>
+            <button class="close-btn">×</button>
+          </div>
+          <div class="modal-body">
+            <form id="quote-form">
+              <div class="form-grid">
+                <div class="form-group">
+                  <label class="form-label">Numero Preventivo</label>
+                  <input type="text" name="quote_number" class="form-input" value="${escapeHtml(this.quote?.quote_number || '')}" placeholder="Automatico">
+                </div>
+                <div class="form-group">
+                  <label class="form-label">Nome Cliente *</label>
+                  <input type="text" name="client_name" class="form-input" value="${escapeHtml(this.quote?.client_name || '')}" required>
+                </div>
+                <div class="form-group full">
+                  <label class="form-label">Righe Preventivo *</label>
+                  <table class="items-table">
+                    <thead>
+                      <tr>
+                        <th>Descrizione</th>
+                        <th>Qtà</th>
+                        <th>Unità</th>
+                        <th>Prezzo</th>
+                        <th>Totale</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody id="items-body"></tbody>
+                  </table>
+                  <div class="items-footer">
+                    <button type="button" class="btn btn-secondary btn-small" id="add-item">+ Aggiungi riga</button>
+                    <span class="items-total">Imponibile: <span id="items-total">${formatCurrency(0)}</span></span>
+                  </div>
+                  <small style="display: block; margin-top: 0.25rem; font-size: 0.75rem; color: var(--color-text-secondary);">
+                    Importi senza IVA (Regime Forfettario). Rivalsa INPS e marca da bollo si applicano alla fattura.
+                  </small>
+                </div>
+                <div class="form-group full">
+                  <label class="form-label">Note</label>
+                  <textarea name="description" class="form-textarea">${escapeHtml(this.quote?.description || '')}</textarea>
+                </div>
+                <div class="form-group">
+                  <label class="form-label">Data Emissione *</label>
+                  <input type="date" name="issue_date" class="form-input" value="${issueDate}" required>
+                </div>
+                <div class="form-group">
+                  <label class="form-label">Valido fino al *</label>
+                  <input type="date" name="valid_until" class="form-input" value="${validUntil}" required>
+                </div>
+              </div>
+            </form>
+          </div>
+          <div class="modal-footer">
+            <button type="button" class="btn btn-secondary" data-action="cancel">Annulla</button>
+            <button type="submit" form="quote-form" class="btn btn-primary">Salva Preventivo</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+}
+
+customElements.define('quote-form', QuoteForm);
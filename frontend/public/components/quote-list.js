@@ -0,0 +1,401 @@
+/**
+ * Quote List Component
+ *
+ * Custom Web Component that displays the quotes (preventivi) and the
+ * acceptance rate of each client.
+ * Supports editing, recording the client's answer, PDF download and
+ * converting a quote into a draft invoice with one click.
+ *
+ * Usage:
+ * <quote-list></quote-list>
+ */
+
+class QuoteList extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.quotes = [];
+    this.stats = [];
+    this.filters = {
+      status: null,
+      clientName: null
+    };
+  }
+
+  connectedCallback() {
+    this.render();
+    this.loadQuotes();
+
+    // Listen for data changes to auto-refresh
+    this.boundReload = () => this.loadQuotes();
+    window.addEventListener(window.AppEvents?.QUOTES_CHANGED || 'data:quotes:changed', this.boundReload);
+  }
+
+  disconnectedCallback() {
+    if (this.boundReload) {
+      window.removeEventListener(window.AppEvents?.QUOTES_CHANGED || 'data:quotes:changed', this.boundReload);
+    }
+  }
+
+  async loadQuotes() {
+    try {
+      const filters = {};
+      if (this.filters.status) {
+        filters.status = this.filters.status;
+      }
+      if (this.filters.clientName) {
+        filters.clientName = this.filters.clientName;
+      }
+
+      const [quotes, stats] = await Promise.all([
+        API.quotes.getAll(filters),
+        API.quotes.getStats()
+      ]);
+      this.quotes = quotes;
+      this.stats = stats;
+      this.render();
+    } catch (error) {
+      console.error('Failed to load quotes:', error);
+      showNotification('Impossibile caricare i preventivi', 'error');
+    }
+  }
+
+  applyFilters() {
+    this.filters.status = this.shadowRoot.querySelector('#filter-status')?.value || null;
+    this.filters.clientName = this.shadowRoot.querySelector('#filter-client')?.value || null;
+    this.loadQuotes();
+  }
+
+  clearFilters() {
+    this.filters = {
+      status: null,
+      clientName: null
+    };
+    this.loadQuotes();
+  }
+
+  notifyChange() {
+    window.emitDataChange?.(window.AppEvents?.QUOTES_CHANGED || 'data:quotes:changed');
+  }
+
+  editQuote(quote) {
+    const form = document.querySelector('quote-form');
+    if (form) {
+      form.show(quote);
+    }
+  }
+
+  async updateStatus(id, status) {
+    try {
+      await API.quotes.updateStatus(id, status);
+      showNotification('Stato preventivo aggiornato', 'success');
+      this.notifyChange();
+    } catch (error) {
+      console.error('Failed to update quote status:', error);
+      showNotification(error.message || 'Impossibile aggiornare lo stato', 'error');
+    }
+  }
+
+  async convertQuote(quote) {
+    if (!confirm(`Creare una fattura in bozza dal preventivo ${quote.quote_number}?`)) {
+      return;
+    }
+
+    try {
+      const invoice = await API.quotes.convert(quote.id);
+      showNotification(`Fattura ${invoice.invoice_number} creata in bozza`, 'success');
+      this.notifyChange();
+      window.emitDataChange?.(window.AppEvents?.INVOICES_CHANGED || 'data:invoices:changed');
+    } catch (error) {
+      console.error('Failed to convert quote:', error);
+      showNotification(error.message || 'Impossibile convertire il preventivo', 'error');
+    }
+  }
+
+  async deleteQuote(id) {
+    if (!confirm('Sei sicuro di voler eliminare questo preventivo?')) {
+      return;
+    }
+
+    try {
+      await API.quotes.delete(id);
+      showNotification('Preventivo eliminato con successo', 'success');
+      this.notifyChange();
+    } catch (error) {
+      console.error('Failed to delete quote:', error);
+      showNotification(error.message || 'Impossibile eliminare il preventivo', 'error');
+    }
+  }
+
+  async downloadPdf(id) {
+    try {
+      const { blob, filename } = await API.quotes.downloadPdf(id);
+      downloadBlob(blob, filename);
+    } catch (error) {
+      console.error('Failed to download quote PDF:', error);
+      showNotification('Impossibile generare il PDF del preventivo', 'error');
+    }
+  }
+
+  /**
+   * Acceptance rate over all clients: accepted out of the quotes with
+   * an outcome (open quotes are left out)
+   */
+  getOverallRate() {
+    const totals = this.stats.reduce((sum, row) => ({
+      accepted: sum.accepted + row.accepted,
+      decided: sum.decided + row.accepted + row.rejected + row.expired
+    }), { accepted: 0, decided: 0 });
+
+    return totals.decided > 0 ? (totals.accepted / totals.decided) * 100 : null;
+  }
+
+  formatRate(rate) {
+    return rate === null || rate === undefined ? '—' : `${Math.round(rate)}%`;
+  }
+
+  renderRow(quote, currency) {
+    const muted = 'color: var(--color-text-secondary); font-size: 0.75rem;';
+    const converted = Boolean(quote.invoice_id);
+    const pending = quote.status === 'open' || quote.status === 'expired';
+
+    return `
+              <tr>
+                <td>${escapeHtml(quote.quote_number)}</td>
+                <td>${escapeHtml(quote.client_name)}</td>
+                <td>
+                  ${formatCurrency(quote.amount, currency)}
+                  <br><small style="${muted}">${quote.tax_rate > 0 ? `+ IVA ${quote.tax_rate}%` : 'IVA esclusa'}</small>
+                </td>
+                <td>
+                  <span class="badge badge-${quote.status}">${getQuoteStatusLabel(quote.status)}</span>
+                  ${converted ? `<br><small style="${muted}">Fattura ${escapeHtml(quote.invoice_number || '')}</small>` : ''}
+                </td>
+                <td>${formatDate(quote.issue_date, 'short')}</td>
+                <td>${formatDate(quote.valid_until, 'short')}</td>
+                <td>
+                  <div class="actions">
+                    ${!converted ? `<button class="btn btn-primary btn-sm" data-action="edit" data-id="${quote.id}">Modifica</button>` : ''}
+                    <button class="btn btn-secondary btn-sm" data-action="pdf" data-id="${quote.id}" title="Scarica preventivo in PDF">PDF</button>
+                    ${!converted && quote.status !== 'rejected' ? `<button class="btn btn-success btn-sm" data-action="convert" data-id="${quote.id}" title="Crea una fattura in bozza con le righe del preventivo">Converti in fattura</button>` : ''}
+                    ${!converted && pending ? `<button class="btn btn-secondary btn-sm" data-action="accept" data-id="${quote.id}">Accettato</button>` : ''}
+                    ${!converted && pending ? `<button class="btn btn-secondary btn-sm" data-action="reject" data-id="${quote.id}">Rifiutato</button>` : ''}
+                    ${!converted && !pending ? `<button class="btn btn-secondary btn-sm" data-action="reopen" data-id="${quote.id}" title="Riporta il preventivo in attesa di risposta">Riapri</button>` : ''}
+                    <button class="btn btn-danger btn-sm" data-action="delete" data-id="${quote.id}">Elimina</button>
+                  </div>
+                </td>
+              </tr>
+    `;
+  }
+
+  renderStats(currency) {
+    if (this.stats.length === 0) {
+      return '';
+    }
+
+    return `
+      <div class="stats-section">
+        <div class="stats-header">
+          <h3>Tasso di accettazione per cliente</h3>
+          <span class="stats-overall">Complessivo: <strong>${this.formatRate(this.getOverallRate())}</strong></span>
+        </div>
+        <div class="table-container">
+          <table class="table">
+            <thead>
+              <tr>
+                <th>Cliente</th>
+                <th>Preventivi</th>
+                <th>Accettati</th>
+                <th>Rifiutati</th>
+                <th>Scaduti</th>
+                <th>Aperti</th>
+                <th>Accettazione</th>
+                <th>Importo accettato</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${this.stats.map(row => `
+                <tr>
+                  <td>${escapeHtml(row.client_name)}</td>
+                  <td>${row.quotes}</td>
+                  <td>${row.accepted}</td>
+                  <td>${row.rejected}</td>
+                  <td>${row.expired}</td>
+                  <td>${row.open}</td>
+                  <td><strong>${this.formatRate(row.acceptance_rate)}</strong></td>
+                  <td>${formatCurrency(row.accepted_amount, currency)} <small class="muted">di ${formatCurrency(row.quoted_amount, currency)}</small></td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `;
+  }
+
+  render() {
+    const currency = window.AppState?.settings?.currency || 'EUR';
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          margin-top: var(--space-lg);
+        }
+        .filters-bar {
+          display: flex;
+          gap: 1rem;
+          padding: 1rem;
+          background-color: var(--color-bg-secondary);
+          border-radius: 0.375rem;
+          margin-bottom: 1rem;
+          flex-wrap: wrap;
+          align-items: end;
+        }
+        .filter-group {
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+          min-width: 150px;
+        }
+        .filter-group label {
+          font-size: 0.75rem;
+          font-weight: 600;
+          color: var(--color-text-secondary);
+          text-transform: uppercase;
+        }
+        .filter-group select,
+        .filter-group input {
+          padding: 0.5rem;
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+          background-color: var(--color-bg);
+          color: var(--color-text-primary);
+          font-size: 0.875rem;
+        }
+        .filter-actions {
+          display: flex;
+          gap: 0.5rem;
+        }
+        .stats-section {
+          margin-top: 2rem;
+        }
+        .stats-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: baseline;
+          margin-bottom: 0.75rem;
+        }
+        .stats-header h3 {
+          margin: 0;
+          font-size: 1rem;
+          color: var(--color-text-primary);
+        }
+        .stats-overall {
+          font-size: 0.875rem;
+          color: var(--color-text-secondary);
+        }
+        .muted { color: var(--color-text-secondary); font-size: 0.75rem; }
+        .table-container { overflow-x: auto; border-radius: 0.375rem; border: 1px solid var(--color-border); }
+        .table { width: 100%; border-collapse: collapse; background-color: var(--color-bg); }
+        .table thead { background-color: var(--color-bg-tertiary); border-bottom: 2px solid var(--color-border); }
+        .table th { padding: 1rem; text-align: left; font-size: 0.75rem; font-weight: 600; color: var(--color-text-secondary); text-transform: uppercase; }
+        .table td { padding: 1rem; border-bottom: 1px solid var(--color-border); font-size: 0.875rem; color: var(--color-text-primary); }
+        .table tbody tr:hover { background-color: var(--color-bg-secondary); }
+        .table tbody tr:last-child td { border-bottom: none; }
+        .badge { display: inline-block; padding: 0.25rem 0.75rem; font-size: 0.75rem; font-weight: 600; text-transform: uppercase; border-radius: 9999px; }
+        .badge-open { background-color: #dbeafe; color: #1e40af; }
+        .badge-accepted { background-color: #d1fae5; color: #065f46; }
+        .badge-rejected { background-color: #fee2e2; color: #991b1b; }
+        .badge-expired { background-color: #f3f4f6; color: var(--color-text-primary); }
+        .actions { display: flex; gap: 0.5rem; flex-wrap: wrap; }
+        .btn { padding: 0.5rem 1rem; font-size: 0.875rem; border: none; border-radius: 0.375rem; cursor: pointer; transition: opacity 0.2s; }
+        .btn:hover { opacity: 0.9; }
+        .btn-sm { font-size: 0.75rem; padding: 0.25rem 0.5rem; }
+        .btn-primary { background-color: var(--color-primary); color: white; }
+        .btn-secondary { background-color: var(--color-bg-tertiary); color: var(--color-text-primary); }
+        .btn-success { background-color: var(--color-success); color: white; }
+        .btn-danger { background-color: var(--color-danger); color: white; }
+        .empty { text-align: center; padding: 3rem; color: var(--color-text-secondary); }
+      </style>
+
+      <div class="filters-bar">
+        <div class="filter-group">
+          <label for="filter-status">Stato</label>
+          <select id="filter-status">
+            <option value="">Tutti gli stati</option>
+            ${['open', 'accepted', 'rejected', 'expired'].map(status => `
+              <option value="${status}" ${this.filters.status === status ? 'selected' : ''}>${getQuoteStatusLabel(status)}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <div class="filter-group">
+          <label for="filter-client">Cliente</label>
+          <input type="text" id="filter-client" placeholder="Nome cliente..." value="${escapeHtml(this.filters.clientName || '')}">
+        </div>
+
+        <div class="filter-actions">
+          <button class="btn btn-primary" id="apply-filters">Filtra</button>
+          <button class="btn btn-secondary" id="clear-filters">Reset</button>
+        </div>
+      </div>
+
+      ${this.quotes.length > 0 ? `
+        <div class="table-container">
+          <table class="table">
+            <thead>
+              <tr>
+                <th>Preventivo #</th>
+                <th>Cliente</th>
+                <th>Importo</th>
+                <th>Stato</th>
+                <th>Data Emissione</th>
+                <th>Valido fino al</th>
+                <th>Azioni</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${this.quotes.map(quote => this.renderRow(quote, currency)).join('')}
+            </tbody>
+          </table>
+        </div>
+      ` : '<div class="empty">Nessun preventivo trovato con questi filtri.</div>'}
+
+      ${this.renderStats(currency)}
+    `;
+
+    this.attachEventListeners();
+  }
+
+  attachEventListeners() {
+    this.shadowRoot.querySelector('#apply-filters')?.addEventListener('click', () => this.applyFilters());
+    this.shadowRoot.querySelector('#clear-filters')?.addEventListener('click', () => this.clearFilters());
+
+    this.shadowRoot.querySelectorAll('[data-action]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const action = btn.dataset.action;
+        const id = parseInt(btn.dataset.id);
+        const quote = this.quotes.find(item => item.id === id);
+
+        if (action === 'edit' && quote) {
+          this.editQuote(quote);
+        } else if (action === 'convert' && quote) {
+          this.convertQuote(quote);
+        } else if (action === 'accept') {
+          this.updateStatus(id, 'accepted');
+        } else if (action === 'reject') {
+          this.updateStatus(id, 'rejected');
+        } else if (action === 'reopen') {
+          this.updateStatus(id, 'open');
+        } else if (action === 'delete') {
+          this.deleteQuote(id);
+        } else if (action === 'pdf') {
+          this.downloadPdf(id);
+        }
+      });
+    });
+  }
+}
+
+customElements.define('quote-list', QuoteList);
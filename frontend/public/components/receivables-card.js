@@ -0,0 +1,395 @@
+/**
+ * Receivables Card Component
+ *
+ * Custom Web Component that shows what clients still owe and who to
+ * chase next.
+ *
+ * Shows:
+ * - Outstanding amounts of each client by days past due (aging)
+ * - Overdue invoices ordered by the longest time without a reminder
+ * - Late payment interest accrued (D.Lgs. 231/2002)
+ * - A button to log the next reminder of each invoice
+ *
+ * Usage:
+ * <receivables-card></receivables-card>
+ */
+
+class ReceivablesCard extends HTMLElement {
+  /**
+   * Constructor
+   */
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.aging = null;
+    this.dunning = null;
+  }
+
+  /**
+   * Connected Callback
+   */
+  connectedCallback() {
+    this.render();
+    this.loadData();
+
+    // Listen for invoice changes to auto-refresh
+    this.boundReload = () => this.loadData();
+    window.addEventListener(window.AppEvents?.INVOICES_CHANGED || 'data:invoices:changed', this.boundReload);
+  }
+
+  /**
+   * Disconnected Callback
+   */
+  disconnectedCallback() {
+    if (this.boundReload) {
+      window.removeEventListener(window.AppEvents?.INVOICES_CHANGED || 'data:invoices:changed', this.boundReload);
+    }
+  }
+
+  /**
+   * Load Aging Report and Dunning List
+   */
+  async loadData() {
+    try {
+      [this.aging, this.dunning] = await Promise.all([
+        API.receivables.getAging(),
+        API.receivables.getDunning()
+      ]);
+      this.render();
+    } catch (error) {
+      console.error('Failed to load receivables:', error);
+      this.showError();
+    }
+  }
+
+  /**
+   * Log the next reminder of an invoice
+   *
+   * @param {number} invoiceId - Invoice ID
+   * @param {number} level - Reminder level
+   */
+  async sendReminder(invoiceId, level) {
+    const entry = this.dunning.entries.find((item) => item.invoice_id === invoiceId);
+    const label = getReminderLevelLabel(level).toLowerCase();
+
+    if (!confirm(`Registrare l'invio di un ${label} per la fattura ${entry.invoice_number} (${entry.client_name})?`)) {
+      return;
+    }
+
+    try {
+      await API.invoices.addReminder(invoiceId, { level });
+      showNotification('Sollecito registrato', 'success');
+      this.loadData();
+    } catch (error) {
+      console.error('Failed to log reminder:', error);
+      showNotification(error.message || 'Impossibile registrare il sollecito', 'error');
+    }
+  }
+
+  /**
+   * Render Component
+   */
+  render() {
+    const settings = window.AppState?.settings;
+    const currency = settings?.currency || 'EUR';
+
+    if (!this.aging || !this.dunning) {
+      this.shadowRoot.innerHTML = `
+        <style>
+          .loading {
+            text-align: center;
+            padding: 2rem;
+            color: var(--color-text-secondary);
+          }
+        </style>
+        <div class="loading">Caricamento crediti...</div>
+      `;
+      return;
+    }
+
+    const totals = this.aging.totals;
+    const buckets = [
+      { key: 'not_due', label: 'Non scaduto' },
+      { key: 'overdue_0_30', label: '0-30 gg' },
+      { key: 'overdue_31_60', label: '31-60 gg' },
+      { key: 'overdue_61_90', label: '61-90 gg' },
+      { key: 'overdue_over_90', label: 'Oltre 90 gg' }
+    ];
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          margin-bottom: var(--space-xl);
+        }
+
+        .receivables-card {
+          background: var(--color-bg);
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+          padding: 2rem;
+          box-shadow: 0 2px 4px 0 rgb(0 0 0 / 0.06);
+        }
+
+        .receivables-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: 1.5rem;
+          flex-wrap: wrap;
+          gap: 1rem;
+        }
+
+        .receivables-title {
+          font-size: 1.25rem;
+          font-weight: 700;
+          color: var(--color-text-primary);
+          margin: 0 0 0.25rem 0;
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+        }
+
+        .receivables-subtitle {
+          font-size: 0.875rem;
+          color: var(--color-text-secondary);
+          margin: 0;
+        }
+
+        .receivables-total {
+          text-align: right;
+        }
+
+        .receivables-total-value {
+          font-size: 1.5rem;
+          font-weight: 700;
+          color: var(--color-text-primary);
+          margin: 0;
+        }
+
+        .metric-label {
+          font-size: 0.75rem;
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+          color: var(--color-text-secondary);
+          margin-bottom: 0.5rem;
+        }
+
+        .metric-subtext {
+          font-size: 0.75rem;
+          color: var(--color-text-secondary);
+          margin-top: 0.25rem;
+        }
+
+        .section-title {
+          font-size: 1rem;
+          font-weight: 600;
+          color: var(--color-text-primary);
+          margin: 1.5rem 0 0.75rem 0;
+        }
+
+        .table-wrapper {
+          overflow-x: auto;
+        }
+
+        .table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .table th {
+          padding: 0.5rem 0.75rem;
+          text-align: left;
+          font-size: 0.75rem;
+          font-weight: 600;
+          color: var(--color-text-secondary);
+          text-transform: uppercase;
+          border-bottom: 1px solid var(--color-border);
+        }
+
+        .table td {
+          padding: 0.5rem 0.75rem;
+          border-bottom: 1px solid var(--color-border);
+          font-size: 0.875rem;
+          color: var(--color-text-primary);
+        }
+
+        .table .number {
+          text-align: right;
+          white-space: nowrap;
+        }
+
+        .table tfoot td {
+          font-weight: 700;
+          border-bottom: none;
+        }
+
+        .late {
+          color: var(--color-danger);
+          font-weight: 600;
+        }
+
+        .muted {
+          color: var(--color-text-secondary);
+        }
+
+        .empty {
+          padding: 1rem 0;
+          color: var(--color-text-secondary);
+          font-size: 0.875rem;
+        }
+
+        .btn {
+          padding: 0.25rem 0.5rem;
+          font-size: 0.75rem;
+          border: none;
+          border-radius: 0.375rem;
+          cursor: pointer;
+          background-color: var(--color-primary);
+          color: white;
+          white-space: nowrap;
+        }
+
+        .btn:hover {
+          opacity: 0.9;
+        }
+
+        @media (max-width: 768px) {
+          .receivables-card {
+            padding: 1.5rem;
+          }
+
+          .receivables-total {
+            text-align: left;
+          }
+        }
+      </style>
+
+      <div class="receivables-card">
+        <div class="receivables-header">
+          <div>
+            <h2 class="receivables-title">
+              <span>⏰</span>
+              Crediti e Solleciti
+            </h2>
+            <p class="receivables-subtitle">Fatture non ancora incassate al ${formatDate(this.aging.as_of, 'short')} • Interessi di mora al ${this.dunning.interest_rate}% annuo (D.Lgs. 231/2002)</p>
+          </div>
+          <div class="receivables-total">
+            <div class="metric-label">Da incassare</div>
+            <p class="receivables-total-value">${formatCurrency(totals.total, currency)}</p>
+            <div class="metric-subtext">Scaduto ${formatCurrency(totals.total - totals.not_due, currency)} • interessi ${formatCurrency(this.dunning.total_interest, currency)}</div>
+          </div>
+        </div>
+
+        <h3 class="section-title">Da sollecitare</h3>
+        ${this.dunning.entries.length === 0 ? `
+          <div class="empty">Nessuna fattura scaduta da sollecitare.</div>
+        ` : `
+          <div class="table-wrapper">
+            <table class="table">
+              <thead>
+                <tr>
+                  <th>Cliente</th>
+                  <th>Fattura</th>
+                  <th class="number">Ritardo</th>
+                  <th class="number">Residuo</th>
+                  <th class="number">Interessi</th>
+                  <th>Ultimo sollecito</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                ${this.dunning.entries.map((entry) => `
+                  <tr>
+                    <td>${escapeHtml(entry.client_name)}</td>
+                    <td>${escapeHtml(entry.invoice_number)}<div class="metric-subtext">Scadenza ${formatDate(entry.due_date, 'short')}</div></td>
+                    <td class="number late">${entry.days_overdue} gg</td>
+                    <td class="number">
+                      ${formatCurrency(entry.balance_due, entry.currency || currency)}
+                      ${entry.currency && entry.currency !== 'EUR' ? `<div class="metric-subtext">= ${formatCurrency(entry.balance_due_eur, 'EUR')}</div>` : ''}
+                    </td>
+                    <td class="number">${formatCurrency(entry.interest, currency)}</td>
+                    <td>
+                      ${entry.last_reminder_date ? `
+                        ${formatDate(entry.last_reminder_date, 'short')}
+                        <div class="metric-subtext">${getReminderLevelLabel(entry.last_reminder_level)} • ${entry.reminder_count} inviato/i</div>
+                      ` : '<span class="muted">Mai</span>'}
+                    </td>
+                    <td class="number">
+                      <button class="btn" data-invoice-id="${entry.invoice_id}" data-level="${entry.next_reminder_level}">
+                        ${getReminderLevelLabel(entry.next_reminder_level)}
+                      </button>
+                    </td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        `}
+
+        <h3 class="section-title">Anzianità dei crediti per cliente</h3>
+        ${this.aging.clients.length === 0 ? `
+          <div class="empty">Nessuna fattura da incassare.</div>
+        ` : `
+          <div class="table-wrapper">
+            <table class="table">
+              <thead>
+                <tr>
+                  <th>Cliente</th>
+                  ${buckets.map((bucket) => `<th class="number">${bucket.label}</th>`).join('')}
+                  <th class="number">Totale</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${this.aging.clients.map((client) => `
+                  <tr>
+                    <td>${escapeHtml(client.client_name)}<div class="metric-subtext">${client.invoice_count} fattura/e</div></td>
+                    ${buckets.map((bucket) => `
+                      <td class="number ${bucket.key !== 'not_due' && client[bucket.key] > 0 ? 'late' : ''}">
+                        ${client[bucket.key] > 0 ? formatCurrency(client[bucket.key], currency) : '<span class="muted">-</span>'}
+                      </td>
+                    `).join('')}
+                    <td class="number">${formatCurrency(client.total, currency)}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td>Totale</td>
+                  ${buckets.map((bucket) => `<td class="number">${formatCurrency(totals[bucket.key], currency)}</td>`).join('')}
+                  <td class="number">${formatCurrency(totals.total, currency)}</td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        `}
+      </div>
+    `;
+
+    this.shadowRoot.querySelectorAll('button[data-invoice-id]').forEach((button) => {
+      button.addEventListener('click', () => {
+        this.sendReminder(parseInt(button.dataset.invoiceId), parseInt(button.dataset.level));
+      });
+    });
+  }
+
+  /**
+   * Show Error State
+   */
+  showError() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        .error {
+          text-align: center;
+          padding: 2rem;
+          color: var(--color-danger);
+        }
+      </style>
+      <div class="error">Impossibile caricare i crediti da incassare.</div>
+    `;
+  }
+}
+
+// Register the custom element
+customElements.define('receivables-card', ReceivablesCard);
@@ -0,0 +1,621 @@
+/**
+ * Recurring Expenses Manager Component
+ *
+ * Global modal to manage recurring expenses (software subscriptions,
+ * rent, ...). The backend scheduler creates the expense of each renewal
+ * when it is due; here the annualized cost by item and category and the
+ * renewals of the next 60 days can be checked.
+ *
+ * Opened via the 'recurring-expenses:open-manager' window event.
+ * Frequency labels come from recurring-invoices-manager.js.
+ */
+
+const SUBSCRIPTION_UPCOMING_DAYS = 60;
+
+class RecurringExpensesManager extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.items = [];
+    this.overview = null;
+    this.categories = [];
+    this.isOpen = false;
+    this.editingItem = null;
+    this.loading = false;
+    this.handleExternalOpen = this.handleExternalOpen.bind(this);
+  }
+
+  connectedCallback() {
+    window.addEventListener('recurring-expenses:open-manager', this.handleExternalOpen);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener('recurring-expenses:open-manager', this.handleExternalOpen);
+  }
+
+  handleExternalOpen() {
+    this.open();
+  }
+
+  async open() {
+    this.isOpen = true;
+    this.render();
+    await Promise.all([this.loadItems(), this.loadCategories()]);
+  }
+
+  close() {
+    this.isOpen = false;
+    this.editingItem = null;
+    this.render();
+  }
+
+  async loadItems() {
+    try {
+      [this.items, this.overview] = await Promise.all([
+        API.recurringExpenses.getAll(),
+        API.recurringExpenses.getOverview(SUBSCRIPTION_UPCOMING_DAYS)
+      ]);
+      this.render();
+    } catch (error) {
+      console.error('Impossibile caricare le spese ricorrenti:', error);
+      showNotification('Impossibile caricare le spese ricorrenti', 'error');
+    }
+  }
+
+  async loadCategories() {
+    try {
+      this.categories = window.AppState?.categories?.length
+        ? window.AppState.categories
+        : await API.categories.getAll();
+      this.render();
+    } catch (error) {
+      console.error('Impossibile caricare le categorie:', error);
+    }
+  }
+
+  startEdit(id) {
+    this.editingItem = this.items.find((item) => item.id === id) || null;
+    this.render();
+  }
+
+  cancelEdit() {
+    this.editingItem = null;
+    this.render();
+  }
+
+  async handleSubmit(event) {
+    event.preventDefault();
+    if (this.loading) return;
+
+    const form = this.shadowRoot.querySelector('#recurring-expense-form');
+    if (!form.reportValidity()) return;
+
+    const formData = new FormData(form);
+    const data = {
+      description: formData.get('description').trim(),
+      supplier_name: formData.get('supplier_name').trim() || null,
+      amount: parseFloat(formData.get('amount')),
+      category_id: parseInt(formData.get('category_id')),
+      iva_included: formData.get('iva_included') === 'on',
+      iva_rate: parseFloat(formData.get('iva_rate')),
+      frequency: formData.get('frequency'),
+      next_date: formData.get('next_date'),
+      end_date: formData.get('end_date') || null
+    };
+
+    this.loading = true;
+    this.render();
+
+    try {
+      if (this.editingItem) {
+        await API.recurringExpenses.update(this.editingItem.id, data);
+        showNotification('Spesa ricorrente aggiornata', 'success');
+      } else {
+        await API.recurringExpenses.create(data);
+        showNotification('Spesa ricorrente creata', 'success');
+      }
+
+      this.editingItem = null;
+      await this.loadItems();
+    } catch (error) {
+      console.error('Errore salvataggio spesa ricorrente:', error);
+      showNotification(error.message || 'Errore durante il salvataggio', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  async handleToggleActive(id) {
+    const item = this.items.find((entry) => entry.id === id);
+    if (!item || this.loading) return;
+
+    try {
+      await API.recurringExpenses.update(id, { active: !item.active });
+      showNotification(item.active ? 'Spesa ricorrente sospesa' : 'Spesa ricorrente riattivata', 'success');
+      await this.loadItems();
+    } catch (error) {
+      console.error('Errore aggiornamento spesa ricorrente:', error);
+      showNotification(error.message || 'Impossibile aggiornare la spesa ricorrente', 'error');
+    }
+  }
+
+  async handleDelete(id) {
+    const item = this.items.find((entry) => entry.id === id);
+    const name = item ? item.description : 'questa spesa ricorrente';
+
+    if (!confirm(`Eliminare ${name}?\n\nLe spese già registrate restano tra le spese.`)) {
+      return;
+    }
+
+    try {
+      await API.recurringExpenses.delete(id);
+      showNotification('Spesa ricorrente eliminata', 'success');
+      if (this.editingItem?.id === id) {
+        this.editingItem = null;
+      }
+      await this.loadItems();
+    } catch (error) {
+      console.error(error);
+      showNotification(error.message || 'Impossibile eliminare la spesa ricorrente', 'error');
+    }
+  }
+
+  async handleRun() {
+    if (this.loading) return;
+
+    this.loading = true;
+    this.render();
+
+    try {
+      const result = await API.recurringExpenses.run();
+      if (result.generated > 0) {
+        showNotification(`${result.generated} spese registrate`, 'success');
+        emitDataChange(AppEvents.EXPENSES_CHANGED);
+      } else {
+        showNotification('Nessun rinnovo da registrare', 'info');
+      }
+      if (result.errors.length > 0) {
+        showNotification(`${result.errors.length} rinnovi non registrati: ${result.errors[0].message}`, 'error');
+      }
+      await this.loadItems();
+    } catch (error) {
+      console.error('Errore registrazione spese ricorrenti:', error);
+      showNotification(error.message || 'Impossibile registrare le spese', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  getStatusLabel(item) {
+    if (item.end_date && item.next_date > item.end_date) {
+      return '<span class="status status-ended">Terminata</span>';
+    }
+    return item.active
+      ? '<span class="status status-active">Attiva</span>'
+      : '<span class="status status-paused">Sospesa</span>';
+  }
+
+  renderOverview() {
+    const overview = this.overview;
+    if (!overview || overview.items.length === 0) {
+      return '';
+    }
+
+    return `
+      <section>
+        <div class="totals">
+          <div class="total">
+            <span class="total-label">Costo annuo</span>
+            <span class="total-value">${formatCurrency(overview.total_annual_cost)}</span>
+          </div>
+          <div class="total">
+            <span class="total-label">Media mensile</span>
+            <span class="total-value">${formatCurrency(overview.monthly_average)}</span>
+          </div>
+          <div class="total">
+            <span class="total-label">Rinnovi nei prossimi ${overview.upcoming_days} giorni</span>
+            <span class="total-value">${formatCurrency(overview.upcoming_total)}</span>
+          </div>
+        </div>
+      </section>
+
+      <section class="columns">
+        <div>
+          <h3>Costo annuo per categoria</h3>
+          <table>
+            <tbody>
+              ${overview.by_category.map((category) => `
+                <tr>
+                  <td><span class="dot" style="background:${escapeHtml(category.category_color || '#999')}"></span>${escapeHtml(category.category_name)} <span class="muted">(${category.count})</span></td>
+                  <td class="num">${formatCurrency(category.annual_cost)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        <div>
+          <h3>Prossimi rinnovi</h3>
+          ${overview.upcoming.length === 0 ? '<div class="list-empty">Nessun rinnovo nei prossimi giorni.</div>' : `
+            <table>
+              <tbody>
+                ${overview.upcoming.map((renewal) => `
+                  <tr>
+                    <td>${formatDate(renewal.renewal_date, 'short')}</td>
+                    <td>${escapeHtml(renewal.description)}</td>
+                    <td class="num">${formatCurrency(renewal.amount)}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+        </div>
+      </section>
+    `;
+  }
+
+  renderForm() {
+    const item = this.editingItem;
+    const today = new Date().toISOString().split('T')[0];
+    const ivaIncluded = item ? item.iva_included : true;
+
+    return `
+      <form id="recurring-expense-form">
+        <div class="form-group wide">
+          <label>Descrizione</label>
+          <input type="text" name="description" value="${escapeHtml(item?.description || '')}" placeholder="es. Abbonamento Figma" required>
+        </div>
+        <div class="form-group">
+          <label>Fornitore</label>
+          <input type="text" name="supplier_name" value="${escapeHtml(item?.supplier_name || '')}">
+        </div>
+        <div class="form-group">
+          <label>Categoria</label>
+          <select name="category_id" required>
+            <option value="">Scegli...</option>
+            ${this.categories.map((category) => `
+              <option value="${category.id}" ${item?.category_id === category.id ? 'selected' : ''}>${escapeHtml(category.name)}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Importo (€)</label>
+          <input type="number" name="amount" min="0.01" step="0.01" value="${item?.amount ?? ''}" required>
+        </div>
+        <div class="form-group">
+          <label>Aliquota IVA (%)</label>
+          <input type="number" name="iva_rate" min="0" max="100" step="0.01" value="${item?.iva_rate ?? 22}" required>
+        </div>
+        <div class="form-group checkbox">
+          <label><input type="checkbox" name="iva_included" ${ivaIncluded ? 'checked' : ''}> IVA inclusa nell'importo</label>
+        </div>
+        <div class="form-group">
+          <label>Frequenza</label>
+          <select name="frequency">
+            ${Object.entries(RECURRING_FREQUENCY_LABELS).map(([value, label]) => `
+              <option value="${value}" ${(item?.frequency || 'monthly') === value ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Prossimo rinnovo</label>
+          <input type="date" name="next_date" value="${item?.next_date || today}" required>
+        </div>
+        <div class="form-group">
+          <label>Ultimo rinnovo</label>
+          <input type="date" name="end_date" value="${item?.end_date || ''}">
+        </div>
+        <p class="hint wide">Ogni rinnovo diventa una spesa nel giorno del rinnovo, anche per le date già passate. Nei mesi più corti si usa l'ultimo giorno.</p>
+      </form>
+      <div style="display:flex; gap:0.75rem; margin-top:0.5rem;">
+        <button class="btn btn-primary" id="save-recurring-expense" ${this.loading ? 'disabled' : ''}>${this.loading ? 'Attendere...' : item ? 'Aggiorna' : 'Aggiungi'}</button>
+        ${item ? '<button class="btn btn-outline" id="cancel-edit">Annulla</button>' : ''}
+      </div>
+    `;
+  }
+
+  renderItems() {
+    if (this.items.length === 0) {
+      return '<div class="list-empty">Nessuna spesa ricorrente.</div>';
+    }
+
+    return `
+      <table>
+        <thead>
+          <tr>
+            <th>Descrizione</th>
+            <th>Categoria</th>
+            <th>Importo</th>
+            <th>Frequenza</th>
+            <th>Costo annuo</th>
+            <th>Prossimo</th>
+            <th>Stato</th>
+            <th>Azioni</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.items.map((item) => `
+            <tr class="${this.editingItem?.id === item.id ? 'selected' : ''}">
+              <td>${escapeHtml(item.description)}${item.supplier_name ? `<div class="muted">${escapeHtml(item.supplier_name)}</div>` : ''}</td>
+              <td>${escapeHtml(item.category_name)}</td>
+              <td>${formatCurrency(item.amount)}${item.iva_included ? '' : '<div class="muted">+ IVA ' + item.iva_rate + '%</div>'}</td>
+              <td>${RECURRING_FREQUENCY_LABELS[item.frequency] || item.frequency}</td>
+              <td>${formatCurrency(item.annual_cost)}</td>
+              <td>${formatDate(item.next_date, 'short')}</td>
+              <td>${this.getStatusLabel(item)}</td>
+              <td>
+                <div class="actions">
+                  <button class="btn btn-outline" data-action="edit" data-id="${item.id}">Modifica</button>
+                  <button class="btn btn-outline" data-action="toggle" data-id="${item.id}">${item.active ? 'Sospendi' : 'Riattiva'}</button>
+                  <button class="btn btn-danger" data-action="delete" data-id="${item.id}">Elimina</button>
+                </div>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        .modal {
+          position: fixed;
+          inset: 0;
+          display: ${this.isOpen ? 'flex' : 'none'};
+          align-items: center;
+          justify-content: center;
+          background: var(--color-overlay);
+          z-index: 2100;
+          padding: 1rem;
+        }
+        .modal-content {
+          width: 100%;
+          max-width: 1000px;
+          background: var(--color-bg);
+          color: var(--color-text-primary);
+          border-radius: 0.375rem;
+          box-shadow: var(--shadow-xl);
+          overflow: hidden;
+          display: flex;
+          flex-direction: column;
+          border: 1px solid var(--color-border);
+        }
+        .modal-header,
+        .modal-footer {
+          padding: 1.25rem 1.5rem;
+          border-bottom: 1px solid var(--color-border);
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 0.75rem;
+        }
+        .modal-footer {
+          border-top: 1px solid var(--color-border);
+          border-bottom: none;
+          justify-content: flex-end;
+        }
+        .modal-header h2 {
+          margin: 0;
+          font-size: 1.125rem;
+          font-weight: 600;
+          color: var(--color-text-primary);
+        }
+        h3 {
+          margin: 0 0 0.75rem 0;
+          font-size: 1rem;
+          color: var(--color-text-primary);
+        }
+        .close-btn {
+          background: none;
+          border: none;
+          font-size: 1.5rem;
+          cursor: pointer;
+          color: var(--color-text-secondary);
+        }
+        .modal-body {
+          padding: 1.5rem;
+          max-height: 70vh;
+          overflow-y: auto;
+          display: grid;
+          gap: 1.5rem;
+        }
+        .totals {
+          display: grid;
+          gap: 1rem;
+          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+        }
+        .total {
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+          padding: 0.85rem 1rem;
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+          background: var(--color-bg-secondary);
+        }
+        .total-label {
+          font-size: 0.8rem;
+          color: var(--color-text-secondary);
+        }
+        .total-value {
+          font-size: 1.25rem;
+          font-weight: 600;
+        }
+        .columns {
+          display: grid;
+          gap: 1.5rem;
+          grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
+        }
+        .dot {
+          display: inline-block;
+          width: 10px;
+          height: 10px;
+          border-radius: 50%;
+          margin-right: 0.5rem;
+        }
+        form {
+          display: grid;
+          gap: 1rem;
+          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+        }
+        .form-group {
+          display: flex;
+          flex-direction: column;
+        }
+        .form-group.checkbox {
+          justify-content: flex-end;
+        }
+        .form-group.checkbox label {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+        }
+        .wide {
+          grid-column: 1 / -1;
+        }
+        label {
+          font-size: 0.9rem;
+          font-weight: 500;
+          color: var(--color-text-secondary);
+          margin-bottom: 0.35rem;
+        }
+        input,
+        select {
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+          padding: 0.5rem 0.75rem;
+          font-size: 1rem;
+          background: var(--color-bg);
+          color: var(--color-text-primary);
+        }
+        .hint {
+          margin: 0;
+          font-size: 0.8rem;
+          color: var(--color-text-secondary);
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        th, td {
+          padding: 0.65rem;
+          border-bottom: 1px solid var(--color-border);
+          text-align: left;
+          font-size: 0.95rem;
+        }
+        th {
+          background: var(--color-bg-tertiary);
+          font-weight: 600;
+          color: var(--color-text-primary);
+        }
+        td.num {
+          text-align: right;
+          white-space: nowrap;
+        }
+        tr.selected td {
+          background: var(--color-bg-secondary);
+        }
+        td .actions {
+          display: flex;
+          gap: 0.5rem;
+        }
+        .muted {
+          color: var(--color-text-secondary);
+          font-size: 0.85rem;
+        }
+        .status {
+          font-size: 0.8rem;
+          font-weight: 600;
+          padding: 0.15rem 0.5rem;
+          border-radius: 999px;
+        }
+        .status-active { background-color: #d1fae5; color: #065f46; }
+        .status-paused { background-color: #fef3c7; color: #92400e; }
+        .status-ended { background-color: #f3f4f6; color: #4b5563; }
+        .btn {
+          border: none;
+          border-radius: 0.375rem;
+          padding: 0.4rem 0.95rem;
+          font-size: 0.9rem;
+          cursor: pointer;
+        }
+        .btn-primary {
+          background: var(--color-primary);
+          color: #fff;
+        }
+        .btn-danger {
+          background: var(--color-danger);
+          color: #fff;
+        }
+        .btn-outline {
+          background: transparent;
+          border: 1px solid var(--color-border);
+          color: var(--color-text-primary);
+        }
+        .btn:disabled {
+          opacity: 0.7;
+          cursor: not-allowed;
+        }
+        .list-empty {
+          text-align: center;
+          padding: 1rem;
+          color: var(--color-text-secondary);
+          font-style: italic;
+        }
+      </style>
+
+      <div class="modal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2>Abbonamenti e Spese Ricorrenti</h2>
+            <button class="close-btn" id="close-manager">&times;</button>
+          </div>
+          <div class="modal-body">
+            ${this.renderOverview()}
+
+            <section>
+              <h3>${this.editingItem ? 'Modifica Spesa Ricorrente' : 'Nuova Spesa Ricorrente'}</h3>
+              ${this.renderForm()}
+            </section>
+
+            <section>
+              <h3>Spese ricorrenti</h3>
+              ${this.renderItems()}
+            </section>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn-outline" id="run-recurring-expenses" title="Registra subito le spese dei rinnovi scaduti" ${this.loading ? 'disabled' : ''}>Registra ora</button>
+            <button class="btn btn-outline" id="close-footer">Chiudi</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    ['#close-manager', '#close-footer'].forEach((selector) => {
+      this.shadowRoot.querySelector(selector)?.addEventListener('click', () => this.close());
+    });
+
+    this.shadowRoot.querySelector('#save-recurring-expense')?.addEventListener('click', (event) => this.handleSubmit(event));
+    this.shadowRoot.querySelector('#cancel-edit')?.addEventListener('click', () => this.cancelEdit());
+    this.shadowRoot.querySelector('#run-recurring-expenses')?.addEventListener('click', () => this.handleRun());
+
+    this.shadowRoot.querySelectorAll('[data-action]').forEach((btn) => {
+      const id = parseInt(btn.dataset.id);
+      btn.addEventListener('click', () => {
+        if (btn.dataset.action === 'edit') {
+          this.startEdit(id);
+        } else if (btn.dataset.action === 'toggle') {
+          this.handleToggleActive(id);
+        } else if (btn.dataset.action === 'delete') {
+          this.handleDelete(id);
+        }
+      });
+    });
+  }
+}
+
+customElements.define('recurring-expenses-manager', RecurringExpensesManager);
@@ -0,0 +1,574 @@
+/**
+ * Recurring Invoices Manager Component
+ *
+ * Global modal to manage recurring invoice templates (e.g. monthly
+ * retainers). The backend scheduler creates a draft invoice for each
+ * occurrence; here upcoming occurrences can be checked and skipped.
+ *
+ * Opened via the 'recurring-invoices:open-manager' window event.
+ */
+
+const RECURRING_FREQUENCY_LABELS = {
+  monthly: 'Mensile',
+  quarterly: 'Trimestrale',
+  semiannual: 'Semestrale',
+  yearly: 'Annuale'
+};
+
+const OCCURRENCE_STATUS_LABELS = {
+  scheduled: 'Programmata',
+  generated: 'Generata',
+  skipped: 'Saltata'
+};
+
+class RecurringInvoicesManager extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.templates = [];
+    this.clients = [];
+    this.isOpen = false;
+    this.editingTemplate = null;
+    this.selectedTemplate = null;
+    this.occurrences = [];
+    this.loading = false;
+    this.handleExternalOpen = this.handleExternalOpen.bind(this);
+  }
+
+  connectedCallback() {
+    window.addEventListener('recurring-invoices:open-manager', this.handleExternalOpen);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    window.removeEventListener('recurring-invoices:open-manager', this.handleExternalOpen);
+  }
+
+  handleExternalOpen() {
+    this.open();
+  }
+
+  async open() {
+    this.isOpen = true;
+    this.render();
+    await Promise.all([this.loadTemplates(), this.loadClients()]);
+  }
+
+  close() {
+    this.isOpen = false;
+    this.editingTemplate = null;
+    this.selectedTemplate = null;
+    this.occurrences = [];
+    this.render();
+  }
+
+  async loadTemplates() {
+    try {
+      this.templates = await API.recurringInvoices.getAll();
+      this.render();
+    } catch (error) {
+      console.error('Impossibile caricare le fatture ricorrenti:', error);
+      showNotification('Impossibile caricare le fatture ricorrenti', 'error');
+    }
+  }
+
+  async loadClients() {
+    try {
+      this.clients = await API.clients.getAll();
+      this.render();
+    } catch (error) {
+      console.error('Impossibile caricare i clienti:', error);
+    }
+  }
+
+  async loadOccurrences(templateId) {
+    try {
+      this.occurrences = await API.recurringInvoices.getOccurrences(templateId);
+      this.selectedTemplate = this.templates.find((template) => template.id === templateId) || null;
+    } catch (error) {
+      console.error('Impossibile caricare le occorrenze:', error);
+      showNotification(error.message || 'Impossibile caricare le occorrenze', 'error');
+    }
+    this.render();
+  }
+
+  startEdit(templateId) {
+    this.editingTemplate = this.templates.find((template) => template.id === templateId) || null;
+    this.render();
+  }
+
+  cancelEdit() {
+    this.editingTemplate = null;
+    this.render();
+  }
+
+  async handleSubmit(event) {
+    event.preventDefault();
+    if (this.loading) return;
+
+    const form = this.shadowRoot.querySelector('#recurring-form');
+    if (!form.reportValidity()) return;
+
+    const formData = new FormData(form);
+    const data = {
+      client_name: formData.get('client_name').trim(),
+      description: formData.get('description').trim(),
+      amount: parseFloat(formData.get('amount')),
+      tax_rate: 0, // Regime Forfettario: no VAT charged to clients
+      frequency: formData.get('frequency'),
+      day_of_month: parseInt(formData.get('day_of_month')),
+      start_date: formData.get('start_date'),
+      end_date: formData.get('end_date') || null,
+      payment_days: parseInt(formData.get('payment_days'))
+    };
+
+    this.loading = true;
+    this.render();
+
+    try {
+      if (this.editingTemplate) {
+        await API.recurringInvoices.update(this.editingTemplate.id, data);
+        showNotification('Fattura ricorrente aggiornata', 'success');
+      } else {
+        await API.recurringInvoices.create(data);
+        showNotification('Fattura ricorrente creata', 'success');
+      }
+
+      this.editingTemplate = null;
+      await this.loadTemplates();
+      if (this.selectedTemplate) {
+        await this.loadOccurrences(this.selectedTemplate.id);
+      }
+    } catch (error) {
+      console.error('Errore salvataggio fattura ricorrente:', error);
+      showNotification(error.message || 'Errore durante il salvataggio', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  async handleDelete(templateId) {
+    const template = this.templates.find((item) => item.id === templateId);
+    const name = template ? `${template.client_name} - ${template.description}` : 'questa fattura ricorrente';
+
+    if (!confirm(`Eliminare ${name}?\n\nLe bozze già generate restano tra le fatture.`)) {
+      return;
+    }
+
+    try {
+      await API.recurringInvoices.delete(templateId);
+      showNotification('Fattura ricorrente eliminata', 'success');
+      if (this.selectedTemplate?.id === templateId) {
+        this.selectedTemplate = null;
+        this.occurrences = [];
+      }
+      if (this.editingTemplate?.id === templateId) {
+        this.editingTemplate = null;
+      }
+      await this.loadTemplates();
+    } catch (error) {
+      console.error(error);
+      showNotification(error.message || 'Impossibile eliminare la fattura ricorrente', 'error');
+    }
+  }
+
+  async handleOccurrence(action, date) {
+    if (this.loading || !this.selectedTemplate) return;
+
+    this.loading = true;
+    this.render();
+
+    try {
+      const templateId = this.selectedTemplate.id;
+      this.occurrences = action === 'skip'
+        ? await API.recurringInvoices.skipOccurrence(templateId, date)
+        : await API.recurringInvoices.restoreOccurrence(templateId, date);
+      showNotification(action === 'skip' ? 'Occorrenza saltata' : 'Occorrenza ripristinata', 'success');
+      await this.loadTemplates();
+    } catch (error) {
+      console.error('Errore aggiornamento occorrenza:', error);
+      showNotification(error.message || 'Impossibile aggiornare l\'occorrenza', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  async handleRun() {
+    if (this.loading) return;
+
+    this.loading = true;
+    this.render();
+
+    try {
+      const result = await API.recurringInvoices.run();
+      if (result.generated > 0) {
+        showNotification(`${result.generated} bozze di fattura generate`, 'success');
+        emitDataChange(AppEvents.INVOICES_CHANGED);
+      } else {
+        showNotification('Nessuna fattura da generare', 'info');
+      }
+      if (result.errors.length > 0) {
+        showNotification(`${result.errors.length} occorrenze non generate: ${result.errors[0].message}`, 'error');
+      }
+      await this.loadTemplates();
+      if (this.selectedTemplate) {
+        await this.loadOccurrences(this.selectedTemplate.id);
+      }
+    } catch (error) {
+      console.error('Errore generazione fatture ricorrenti:', error);
+      showNotification(error.message || 'Impossibile generare le fatture', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  renderForm() {
+    const template = this.editingTemplate;
+    const today = new Date().toISOString().split('T')[0];
+
+    return `
+      <form id="recurring-form">
+        <div class="form-group">
+          <label>Cliente</label>
+          <input type="text" name="client_name" list="recurring-clients" value="${escapeHtml(template?.client_name || '')}" required>
+          <datalist id="recurring-clients">
+            ${this.clients.map((client) => `<option value="${escapeHtml(client.name)}"></option>`).join('')}
+          </datalist>
+        </div>
+        <div class="form-group">
+          <label>Importo (€)</label>
+          <input type="number" name="amount" min="0.01" step="0.01" value="${template?.amount ?? ''}" required>
+        </div>
+        <div class="form-group wide">
+          <label>Descrizione</label>
+          <input type="text" name="description" value="${escapeHtml(template?.description || '')}" placeholder="es. Canone mensile assistenza" required>
+        </div>
+        <div class="form-group">
+          <label>Frequenza</label>
+          <select name="frequency">
+            ${Object.entries(RECURRING_FREQUENCY_LABELS).map(([value, label]) => `
+              <option value="${value}" ${(template?.frequency || 'monthly') === value ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Giorno del mese</label>
+          <input type="number" name="day_of_month" min="1" max="31" step="1" value="${template?.day_of_month ?? 1}" required>
+        </div>
+        <div class="form-group">
+          <label>Data inizio</label>
+          <input type="date" name="start_date" value="${template?.start_date || today}" required>
+        </div>
+        <div class="form-group">
+          <label>Data fine</label>
+          <input type="date" name="end_date" value="${template?.end_date || ''}">
+        </div>
+        <div class="form-group">
+          <label>Giorni per il pagamento</label>
+          <input type="number" name="payment_days" min="0" step="1" value="${template?.payment_days ?? 30}" required>
+        </div>
+        <p class="hint wide">Ogni occorrenza diventa una bozza di fattura. Nei mesi più corti si usa l'ultimo giorno; le occorrenze precedenti alla creazione non vengono generate.</p>
+      </form>
+      <div style="display:flex; gap:0.75rem; margin-top:0.5rem;">
+        <button class="btn btn-primary" id="save-recurring" ${this.loading ? 'disabled' : ''}>${this.loading ? 'Attendere...' : template ? 'Aggiorna' : 'Aggiungi'}</button>
+        ${template ? '<button class="btn btn-outline" id="cancel-edit">Annulla</button>' : ''}
+      </div>
+    `;
+  }
+
+  renderTemplates() {
+    if (this.templates.length === 0) {
+      return '<div class="list-empty">Nessuna fattura ricorrente.</div>';
+    }
+
+    return `
+      <table>
+        <thead>
+          <tr>
+            <th>Cliente</th>
+            <th>Descrizione</th>
+            <th>Importo</th>
+            <th>Frequenza</th>
+            <th>Prossima</th>
+            <th>Azioni</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.templates.map((template) => `
+            <tr class="${this.selectedTemplate?.id === template.id ? 'selected' : ''}">
+              <td>${escapeHtml(template.client_name)}</td>
+              <td>${escapeHtml(template.description)}</td>
+              <td>${formatCurrency(template.amount)}</td>
+              <td>${RECURRING_FREQUENCY_LABELS[template.frequency] || template.frequency}, giorno ${template.day_of_month}</td>
+              <td>${template.next_occurrence ? formatDate(template.next_occurrence, 'short') : '<span class="muted">Terminata</span>'}</td>
+              <td>
+                <div class="actions">
+                  <button class="btn btn-outline" data-action="occurrences" data-id="${template.id}">Occorrenze</button>
+                  <button class="btn btn-outline" data-action="edit" data-id="${template.id}">Modifica</button>
+                  <button class="btn btn-danger" data-action="delete" data-id="${template.id}">Elimina</button>
+                </div>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  renderOccurrences() {
+    if (!this.selectedTemplate) {
+      return '';
+    }
+
+    return `
+      <section>
+        <h3>Prossime occorrenze: ${escapeHtml(this.selectedTemplate.client_name)} - ${escapeHtml(this.selectedTemplate.description)}</h3>
+        ${this.occurrences.length === 0 ? '<div class="list-empty">Nessuna occorrenza futura.</div>' : `
+          <table>
+            <thead>
+              <tr>
+                <th>Data</th>
+                <th>Stato</th>
+                <th>Fattura</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${this.occurrences.map((occurrence) => `
+                <tr>
+                  <td>${formatDate(occurrence.occurrence_date, 'short')}</td>
+                  <td><span class="status status-${occurrence.status}">${OCCURRENCE_STATUS_LABELS[occurrence.status] || occurrence.status}</span></td>
+                  <td>${occurrence.invoice_number ? escapeHtml(occurrence.invoice_number) : '<span class="muted">—</span>'}</td>
+                  <td style="text-align:right;">
+                    ${occurrence.status === 'scheduled' ? `<button class="btn btn-outline" data-occurrence="skip" data-date="${occurrence.occurrence_date}" ${this.loading ? 'disabled' : ''}>Salta</button>` : ''}
+                    ${occurrence.status === 'skipped' ? `<button class="btn btn-outline" data-occurrence="restore" data-date="${occurrence.occurrence_date}" ${this.loading ? 'disabled' : ''}>Ripristina</button>` : ''}
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+      </section>
+    `;
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        .modal {
+          position: fixed;
+          inset: 0;
+          display: ${this.isOpen ? 'flex' : 'none'};
+          align-items: center;
+          justify-content: center;
+          background: var(--color-overlay);
+          z-index: 2100;
+          padding: 1rem;
+        }
+        .modal-content {
+          width: 100%;
+          max-width: 900px;
+          background: var(--color-bg);
+          color: var(--color-text-primary);
+          border-radius: 0.375rem;
+          box-shadow: var(--shadow-xl);
+          overflow: hidden;
+          display: flex;
+          flex-direction: column;
+          border: 1px solid var(--color-border);
+        }
+        .modal-header,
+        .modal-footer {
+          padding: 1.25rem 1.5rem;
+          border-bottom: 1px solid var(--color-border);
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 0.75rem;
+        }
+        .modal-footer {
+          border-top: 1px solid var(--color-border);
+          border-bottom: none;
+          justify-content: flex-end;
+        }
+        .modal-header h2 {
+          margin: 0;
+          font-size: 1.125rem;
+          font-weight: 600;
+          color: var(--color-text-primary);
+        }
+        h3 {
+          margin: 0 0 0.75rem 0;
+          font-size: 1rem;
+          color: var(--color-text-primary);
+        }
+        .close-btn {
+          background: none;
+          border: none;
+          font-size: 1.5rem;
+          cursor: pointer;
+          color: var(--color-text-secondary);
+        }
+        .modal-body {
+          padding: 1.5rem;
+          max-height: 70vh;
+          overflow-y: auto;
+          display: grid;
+          gap: 1.5rem;
+        }
+        form {
+          display: grid;
+          gap: 1rem;
+          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+        }
+        .form-group {
+          display: flex;
+          flex-direction: column;
+        }
+        .wide {
+          grid-column: 1 / -1;
+        }
+        label {
+          font-size: 0.9rem;
+          font-weight: 500;
+          color: var(--color-text-secondary);
+          margin-bottom: 0.35rem;
+        }
+        input,
+        select {
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+          padding: 0.5rem 0.75rem;
+          font-size: 1rem;
+          background: var(--color-bg);
+          color: var(--color-text-primary);
+        }
+        .hint {
+          margin: 0;
+          font-size: 0.8rem;
+          color: var(--color-text-secondary);
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        th, td {
+          padding: 0.65rem;
+          border-bottom: 1px solid var(--color-border);
+          text-align: left;
+          font-size: 0.95rem;
+        }
+        th {
+          background: var(--color-bg-tertiary);
+          font-weight: 600;
+          color: var(--color-text-primary);
+        }
+        tr.selected td {
+          background: var(--color-bg-secondary);
+        }
+        td .actions {
+          display: flex;
+          gap: 0.5rem;
+        }
+        .muted {
+          color: var(--color-text-secondary);
+        }
+        .status {
+          font-size: 0.8rem;
+          font-weight: 600;
+          padding: 0.15rem 0.5rem;
+          border-radius: 999px;
+        }
+        .status-scheduled { background-color: #dbeafe; color: #1e40af; }
+        .status-generated { background-color: #d1fae5; color: #065f46; }
+        .status-skipped { background-color: #f3f4f6; color: #4b5563; }
+        .btn {
+          border: none;
+          border-radius: 0.375rem;
+          padding: 0.4rem 0.95rem;
+          font-size: 0.9rem;
+          cursor: pointer;
+        }
+        .btn-primary {
+          background: var(--color-primary);
+          color: #fff;
+        }
+        .btn-danger {
+          background: var(--color-danger);
+          color: #fff;
+        }
+        .btn-outline {
+          background: transparent;
+          border: 1px solid var(--color-border);
+          color: var(--color-text-primary);
+        }
+        .btn:disabled {
+          opacity: 0.7;
+          cursor: not-allowed;
+        }
+        .list-empty {
+          text-align: center;
+          padding: 1rem;
+          color: var(--color-text-secondary);
+          font-style: italic;
+        }
+      </style>
+
+      <div class="modal">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2>Fatture Ricorrenti</h2>
+            <button class="close-btn" id="close-manager">&times;</button>
+          </div>
+          <div class="modal-body">
+            <section>
+              <h3>${this.editingTemplate ? 'Modifica Fattura Ricorrente' : 'Nuova Fattura Ricorrente'}</h3>
+              ${this.renderForm()}
+            </section>
+
+            <section>
+              <h3>Fatture ricorrenti</h3>
+              ${this.renderTemplates()}
+            </section>
+
+            ${this.renderOccurrences()}
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn-outline" id="run-recurring" title="Crea subito le bozze delle occorrenze scadute" ${this.loading ? 'disabled' : ''}>Genera ora</button>
+            <button class="btn btn-outline" id="close-footer">Chiudi</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    ['#close-manager', '#close-footer'].forEach((selector) => {
+      this.shadowRoot.querySelector(selector)?.addEventListener('click', () => this.close());
+    });
+
+    this.shadowRoot.querySelector('#save-recurring')?.addEventListener('click', (event) => this.handleSubmit(event));
+    this.shadowRoot.querySelector('#cancel-edit')?.addEventListener('click', () => this.cancelEdit());
+    this.shadowRoot.querySelector('#run-recurring')?.addEventListener('click', () => this.handleRun());
+
+    this.shadowRoot.querySelectorAll('[data-action]').forEach((btn) => {
+      const id = parseInt(btn.dataset.id);
+      btn.addEventListener('click', () => {
+        if (btn.dataset.action === 'occurrences') {
+          this.loadOccurrences(id);
+        } else if (btn.dataset.action === 'edit') {
+          this.startEdit(id);
+        } else if (btn.dataset.action === 'delete') {
+          this.handleDelete(id);
+        }
+      });
+    });
+
+    this.shadowRoot.querySelectorAll('[data-occurrence]').forEach((btn) => {
+      btn.addEventListener('click', () => this.handleOccurrence(btn.dataset.occurrence, btn.dataset.date));
+    });
+  }
+}
+
+customElements.define('recurring-invoices-manager', RecurringInvoicesManager);
@@ -0,0 +1,268 @@
+/**
+ * Reverse Charge Card Component
+ *
+ * Custom Web Component that shows on the dashboard the IVA still to pay
+ * on expenses with IVA not included (reverse charge), all years.
+ *
+ * Shows:
+ * - IVA still to pay and the part already past its F24 deadline
+ * - Every month with IVA to pay, with tribute code and deadline
+ * - A link to the IVA view, where payments are recorded
+ *
+ * Usage:
+ * <reverse-charge-card></reverse-charge-card>
+ */
+
+class ReverseChargeCard extends HTMLElement {
+  /**
+   * Constructor
+   */
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.data = null;
+  }
+
+  /**
+   * Connected Callback
+   */
+  connectedCallback() {
+    this.render();
+    this.loadData();
+
+    // Listen for expense changes and payments to auto-refresh
+    this.boundReload = () => this.loadData();
+    window.addEventListener(window.AppEvents?.EXPENSES_CHANGED || 'data:expenses:changed', this.boundReload);
+    window.addEventListener(window.AppEvents?.REVERSE_CHARGE_CHANGED || 'data:reverse-charge:changed', this.boundReload);
+  }
+
+  /**
+   * Disconnected Callback
+   */
+  disconnectedCallback() {
+    if (this.boundReload) {
+      window.removeEventListener(window.AppEvents?.EXPENSES_CHANGED || 'data:expenses:changed', this.boundReload);
+      window.removeEventListener(window.AppEvents?.REVERSE_CHARGE_CHANGED || 'data:reverse-charge:changed', this.boundReload);
+    }
+  }
+
+  /**
+   * Load IVA Still to Pay
+   */
+  async loadData() {
+    try {
+      this.data = await API.reverseCharge.getDebt();
+      this.render();
+    } catch (error) {
+      console.error('Failed to load reverse charge debt:', error);
+      this.showError();
+    }
+  }
+
+  /**
+   * Render Component
+   */
+  render() {
+    if (!this.data) {
+      this.shadowRoot.innerHTML = `
+        <style>
+          .loading {
+            text-align: center;
+            padding: 2rem;
+            color: var(--color-text-secondary);
+          }
+        </style>
+        <div class="loading">Caricamento IVA da versare...</div>
+      `;
+      return;
+    }
+
+    const periodLabel = (period) => new Date(Date.UTC(period.year, period.month - 1, 1))
+      .toLocaleDateString('it-IT', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          margin-bottom: var(--space-xl);
+        }
+
+        .iva-card {
+          background: var(--color-bg);
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+          padding: 2rem;
+          box-shadow: 0 2px 4px 0 rgb(0 0 0 / 0.06);
+        }
+
+        .iva-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: 1.5rem;
+          flex-wrap: wrap;
+          gap: 1rem;
+        }
+
+        .iva-title {
+          font-size: 1.25rem;
+          font-weight: 700;
+          color: var(--color-text-primary);
+          margin: 0 0 0.25rem 0;
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+        }
+
+        .iva-subtitle {
+          font-size: 0.875rem;
+          color: var(--color-text-secondary);
+          margin: 0;
+        }
+
+        .iva-total {
+          text-align: right;
+        }
+
+        .iva-total-value {
+          font-size: 1.5rem;
+          font-weight: 700;
+          color: var(--color-text-primary);
+          margin: 0;
+        }
+
+        .metric-label {
+          font-size: 0.75rem;
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+          color: var(--color-text-secondary);
+          margin-bottom: 0.5rem;
+        }
+
+        .metric-subtext {
+          font-size: 0.75rem;
+          color: var(--color-text-secondary);
+          margin-top: 0.25rem;
+        }
+
+        .overdue {
+          color: var(--color-danger);
+          font-weight: 600;
+        }
+
+        .periods {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+        }
+
+        .periods li {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 1rem;
+          padding: 0.75rem 1rem;
+          background: var(--color-bg-secondary);
+          border: 1px solid var(--color-border);
+          border-radius: 0.25rem;
+          font-size: 0.875rem;
+          color: var(--color-text-primary);
+        }
+
+        .empty {
+          font-size: 0.875rem;
+          color: var(--color-text-secondary);
+          margin: 0;
+        }
+
+        .link-btn {
+          margin-top: 1rem;
+          background: none;
+          border: none;
+          padding: 0;
+          color: var(--color-primary);
+          font-size: 0.875rem;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        @media (max-width: 768px) {
+          .iva-card {
+            padding: 1.5rem;
+          }
+
+          .iva-total {
+            text-align: left;
+          }
+        }
+      </style>
+
+      <div class="iva-card">
+        <div class="iva-header">
+          <div>
+            <h2 class="iva-title">
+              <span>🇪🇺</span>
+              IVA Reverse Charge
+            </h2>
+            <p class="iva-subtitle">IVA sulle spese con IVA non inclusa • Versamento mensile con F24</p>
+          </div>
+          <div class="iva-total">
+            <div class="metric-label">Da versare</div>
+            <p class="iva-total-value">${formatCurrency(this.data.outstanding_amount)}</p>
+            ${this.data.overdue_amount > 0 ? `
+              <div class="metric-subtext overdue">${formatCurrency(this.data.overdue_amount)} scaduti</div>
+            ` : ''}
+            ${this.data.next_due_date ? `
+              <div class="metric-subtext">Prossima scadenza ${formatDate(this.data.next_due_date, 'short')}</div>
+            ` : ''}
+          </div>
+        </div>
+
+        ${this.data.periods.length === 0 ? `
+          <p class="empty">Nessuna IVA da versare.</p>
+        ` : `
+          <ul class="periods">
+            ${this.data.periods.map((period) => `
+              <li>
+                <div>
+                  ${periodLabel(period)} • cod. ${period.tribute_code}
+                  <div class="metric-subtext ${period.overdue ? 'overdue' : ''}">
+                    Scadenza ${formatDate(period.due_date, 'short')}${period.overdue ? ' (scaduta)' : ''}
+                  </div>
+                </div>
+                <strong>${formatCurrency(period.outstanding_amount)}</strong>
+              </li>
+            `).join('')}
+          </ul>
+        `}
+
+        <button class="link-btn" id="open-iva-view" type="button">Apri il report IVA →</button>
+      </div>
+    `;
+
+    this.shadowRoot.querySelector('#open-iva-view')?.addEventListener('click', () => showView('iva'));
+  }
+
+  /**
+   * Show Error State
+   */
+  showError() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        .error {
+          text-align: center;
+          padding: 2rem;
+          color: var(--color-danger);
+        }
+      </style>
+      <div class="error">Impossibile caricare l'IVA da versare.</div>
+    `;
+  }
+}
+
+// Register the custom element
+customElements.define('reverse-charge-card', ReverseChargeCard);
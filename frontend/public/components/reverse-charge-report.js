@@ -0,0 +1,416 @@
+/**
+ * Reverse Charge Report Component
+ *
+ * View of the IVA owed on expenses with IVA not included (reverse
+ * charge, e.g. services bought from EU suppliers), by quarter and month.
+ * Every month shows its F24 deadline and tribute code, the supplier
+ * documents behind the total and the payments recorded; a month can be
+ * marked as paid by recording its F24 payment.
+ *
+ * Usage:
+ * <reverse-charge-report></reverse-charge-report>
+ */
+
+class ReverseChargeReport extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.year = new Date().getFullYear();
+    this.report = null;
+    this.openMonth = null; // Month whose details are shown
+    this.loading = false;
+  }
+
+  connectedCallback() {
+    this.render();
+
+    // New or edited expenses change the IVA of their month
+    this.boundReload = () => {
+      if (this.report) this.load();
+    };
+    window.addEventListener(window.AppEvents?.EXPENSES_CHANGED || 'data:expenses:changed', this.boundReload);
+  }
+
+  disconnectedCallback() {
+    if (this.boundReload) {
+      window.removeEventListener(window.AppEvents?.EXPENSES_CHANGED || 'data:expenses:changed', this.boundReload);
+    }
+  }
+
+  async load() {
+    try {
+      this.report = await API.reverseCharge.getReport(this.year);
+      this.render();
+    } catch (error) {
+      console.error('Impossibile caricare il report IVA:', error);
+      showNotification(error.message || 'Impossibile caricare il report IVA', 'error');
+    }
+  }
+
+  getMonth(month) {
+    return this.report?.quarters.flatMap(quarter => quarter.months).find(item => item.month === month) || null;
+  }
+
+  getMonthName(month) {
+    const name = new Date(Date.UTC(this.year, month - 1, 1)).toLocaleDateString('it-IT', { month: 'long', timeZone: 'UTC' });
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  toggleMonth(month) {
+    this.openMonth = this.openMonth === month ? null : month;
+    this.render();
+  }
+
+  async recordPayment(form) {
+    if (this.loading) return;
+
+    const month = this.getMonth(this.openMonth);
+    if (!month) return;
+
+    const amount = parseFloat(form.amount.value);
+    if (!amount || amount <= 0) {
+      showNotification('Inserisci l\'importo versato', 'warning');
+      return;
+    }
+
+    this.loading = true;
+    this.render();
+
+    try {
+      await API.reverseCharge.recordPayment({
+        year: month.year,
+        month: month.month,
+        payment_date: form.payment_date.value,
+        amount,
+        note: form.note.value.trim()
+      });
+      showNotification(`Versamento di ${this.getMonthName(month.month).toLowerCase()} registrato`, 'success');
+      emitDataChange(AppEvents.REVERSE_CHARGE_CHANGED);
+      this.report = await API.reverseCharge.getReport(this.year);
+    } catch (error) {
+      console.error('Errore registrazione versamento:', error);
+      showNotification(error.message || 'Impossibile registrare il versamento', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  async deletePayment(paymentId) {
+    if (this.loading) return;
+    if (!confirm('Eliminare il versamento? L\'IVA del mese tornerà da versare.')) return;
+
+    this.loading = true;
+    this.render();
+
+    try {
+      await API.reverseCharge.deletePayment(paymentId);
+      showNotification('Versamento eliminato', 'success');
+      emitDataChange(AppEvents.REVERSE_CHARGE_CHANGED);
+      this.report = await API.reverseCharge.getReport(this.year);
+    } catch (error) {
+      console.error('Errore eliminazione versamento:', error);
+      showNotification(error.message || 'Impossibile eliminare il versamento', 'error');
+    } finally {
+      this.loading = false;
+      this.render();
+    }
+  }
+
+  renderStatus(month) {
+    if (month.overdue) return '<span class="status overdue">Scaduta</span>';
+    if (month.outstanding_amount > 0) return '<span class="status due">Da versare</span>';
+    if (month.iva_amount > 0) return '<span class="status paid">Versata</span>';
+    return '<span class="sub">—</span>';
+  }
+
+  renderQuarter(quarter) {
+    return `
+      <div class="card">
+        <div class="quarter-header">
+          <div>
+            <h2>${quarter.quarter}° trimestre</h2>
+            <p class="sub">
+              ${quarter.next_due_date
+                ? `Prossima scadenza ${formatDate(quarter.next_due_date, 'short')}`
+                : (quarter.iva_amount > 0 ? 'Tutto versato' : 'Nessuna spesa in reverse charge')}
+            </p>
+          </div>
+          <div class="totals">
+            <div><span class="label">IVA</span>${formatCurrency(quarter.iva_amount)}</div>
+            <div><span class="label">Versata</span>${formatCurrency(quarter.paid_amount)}</div>
+            <div><span class="label">Da versare</span><strong>${formatCurrency(quarter.outstanding_amount)}</strong></div>
+          </div>
+        </div>
+        <div class="table-container">
+          <table class="table">
+            <thead>
+              <tr>
+                <th>Mese</th>
+                <th>Cod. tributo</th>
+                <th>Scadenza F24</th>
+                <th>Documenti</th>
+                <th class="num">IVA</th>
+                <th class="num">Versata</th>
+                <th class="num">Da versare</th>
+                <th>Stato</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${quarter.months.map(month => this.renderMonth(month)).join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `;
+  }
+
+  renderMonth(month) {
+    const isOpen = this.openMonth === month.month;
+    const hasData = month.documents.length > 0 || month.payments.length > 0;
+
+    return `
+      <tr class="${hasData ? '' : 'empty-month'} ${isOpen ? 'selected' : ''}">
+        <td>${this.getMonthName(month.month)}</td>
+        <td>${month.tribute_code}</td>
+        <td>${formatDate(month.due_date, 'short')}</td>
+        <td>${month.documents.length}</td>
+        <td class="num">${formatCurrency(month.iva_amount)}</td>
+        <td class="num">${formatCurrency(month.paid_amount)}</td>
+        <td class="num">${formatCurrency(month.outstanding_amount)}</td>
+        <td>${this.renderStatus(month)}</td>
+        <td class="actions">
+          ${hasData ? `
+            <button class="btn btn-sm ${month.outstanding_amount > 0 ? 'btn-primary' : 'btn-secondary'}" data-month="${month.month}">
+              ${isOpen ? 'Chiudi' : (month.outstanding_amount > 0 ? 'Segna versata' : 'Dettagli')}
+            </button>
+          ` : ''}
+        </td>
+      </tr>
+      ${isOpen ? `
+        <tr class="detail-row">
+          <td colspan="9">${this.renderMonthDetail(month)}</td>
+        </tr>
+      ` : ''}
+    `;
+  }
+
+  renderMonthDetail(month) {
+    return `
+      <h3>Documenti dei fornitori</h3>
+      ${month.documents.length === 0 ? '<p class="sub">Nessuna spesa con IVA da versare nel mese.</p>' : `
+        <table class="table inner">
+          <thead>
+            <tr>
+              <th>Data</th>
+              <th>Fornitore</th>
+              <th>N. documento</th>
+              <th>Descrizione</th>
+              <th class="num">Imponibile</th>
+              <th class="num">Aliquota</th>
+              <th class="num">IVA</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${month.documents.map(doc => `
+              <tr>
+                <td>${formatDate(doc.expense_date, 'short')}</td>
+                <td>
+                  ${escapeHtml(doc.supplier_name || '—')}
+                  ${doc.supplier_vat_number ? `<div class="sub">${escapeHtml(doc.supplier_vat_number)}</div>` : ''}
+                </td>
+                <td>${escapeHtml(doc.document_number || '—')}</td>
+                <td>${escapeHtml(doc.description)}</td>
+                <td class="num">${formatCurrency(doc.amount)}</td>
+                <td class="num">${doc.iva_rate}%</td>
+                <td class="num">${formatCurrency(doc.iva_amount)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+
+      ${month.payments.length > 0 ? `
+        <h3>Versamenti</h3>
+        <ul class="payments">
+          ${month.payments.map(payment => `
+            <li>
+              <span>${formatDate(payment.payment_date, 'short')} • <strong>${formatCurrency(payment.amount)}</strong>${payment.note ? ` • ${escapeHtml(payment.note)}` : ''}</span>
+              <button class="btn btn-sm btn-danger" data-delete-payment="${payment.id}" ${this.loading ? 'disabled' : ''}>Elimina</button>
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+
+      ${month.outstanding_amount > 0 ? `
+        <form class="payment-form" id="payment-form">
+          <h3>Registra versamento F24 (cod. ${month.tribute_code}, anno ${month.year})</h3>
+          <div class="form-grid">
+            <div class="field">
+              <label for="payment-date">Data versamento</label>
+              <input id="payment-date" name="payment_date" type="date" value="${getTodayDate()}" required>
+            </div>
+            <div class="field">
+              <label for="payment-amount">Importo</label>
+              <input id="payment-amount" name="amount" type="number" min="0.01" max="${month.outstanding_amount}" step="0.01" value="${month.outstanding_amount.toFixed(2)}" required>
+            </div>
+            <div class="field wide">
+              <label for="payment-note">Nota</label>
+              <input id="payment-note" name="note" maxlength="500" placeholder="Es. protocollo F24">
+            </div>
+            <button class="btn btn-primary" type="submit" ${this.loading ? 'disabled' : ''}>Segna come versata</button>
+          </div>
+        </form>
+      ` : ''}
+    `;
+  }
+
+  render() {
+    const currentYear = new Date().getFullYear();
+    const years = Array.from({ length: 6 }, (_, index) => currentYear - index);
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host { display: block; }
+        .card {
+          background-color: var(--color-bg);
+          border: 1px solid var(--color-border);
+          border-radius: 0.5rem;
+          padding: 1.25rem;
+          margin-bottom: 1.5rem;
+        }
+        h2 { margin: 0 0 0.25rem; font-size: 1.125rem; color: var(--color-text-primary); }
+        h3 { margin: 1rem 0 0.5rem; font-size: 0.95rem; color: var(--color-text-primary); }
+        h3:first-child { margin-top: 0; }
+        .sub { color: var(--color-text-secondary); font-size: 0.8rem; margin: 0.25rem 0; }
+        .summary-header, .quarter-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          flex-wrap: wrap;
+          gap: 1rem;
+          margin-bottom: 1rem;
+        }
+        .summary-header { margin-bottom: 0; }
+        .totals { display: flex; gap: 1.5rem; flex-wrap: wrap; font-size: 0.95rem; color: var(--color-text-primary); }
+        .totals .label {
+          display: block;
+          font-size: 0.7rem;
+          font-weight: 600;
+          text-transform: uppercase;
+          color: var(--color-text-secondary);
+        }
+        .field { display: flex; flex-direction: column; gap: 0.25rem; min-width: 160px; }
+        .field.wide { flex: 1; min-width: 220px; }
+        .field label {
+          font-size: 0.75rem;
+          font-weight: 600;
+          color: var(--color-text-secondary);
+          text-transform: uppercase;
+        }
+        .field input, .field select {
+          padding: 0.5rem;
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+          background-color: var(--color-bg);
+          color: var(--color-text-primary);
+          font-size: 0.875rem;
+        }
+        .payment-form {
+          margin-top: 1rem;
+          padding: 1rem;
+          background-color: var(--color-bg);
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+        }
+        .form-grid { display: flex; flex-wrap: wrap; gap: 1rem; align-items: end; }
+        .table-container { overflow-x: auto; border-radius: 0.375rem; border: 1px solid var(--color-border); }
+        .table { width: 100%; border-collapse: collapse; background-color: var(--color-bg); }
+        .table thead { background-color: var(--color-bg-tertiary); border-bottom: 2px solid var(--color-border); }
+        .table th { padding: 0.75rem 1rem; text-align: left; font-size: 0.75rem; font-weight: 600; color: var(--color-text-secondary); text-transform: uppercase; }
+        .table td { padding: 0.75rem 1rem; border-bottom: 1px solid var(--color-border); font-size: 0.875rem; color: var(--color-text-primary); vertical-align: top; }
+        .table .num { text-align: right; white-space: nowrap; }
+        .table .actions { text-align: right; white-space: nowrap; }
+        .table tr.selected, .detail-row > td { background-color: var(--color-bg-secondary); }
+        .table tr.empty-month td { color: var(--color-text-secondary); }
+        .table.inner { border: 1px solid var(--color-border); }
+        .table.inner th, .table.inner td { padding: 0.5rem 0.75rem; }
+        .payments { list-style: none; margin: 0; padding: 0; display: flex; flex-direction: column; gap: 0.5rem; }
+        .payments li {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 1rem;
+          padding: 0.5rem 0.75rem;
+          background-color: var(--color-bg);
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+          font-size: 0.875rem;
+        }
+        .status { display: inline-block; padding: 0.125rem 0.5rem; border-radius: 9999px; font-size: 0.75rem; }
+        .status.due { background-color: #fef3c7; color: #92400e; }
+        .status.paid { background-color: #dcfce7; color: #166534; }
+        .status.overdue { background-color: #fee2e2; color: #991b1b; }
+        .btn { padding: 0.5rem 1rem; font-size: 0.875rem; border: none; border-radius: 0.375rem; cursor: pointer; transition: opacity 0.2s; }
+        .btn:hover { opacity: 0.9; }
+        .btn:disabled { opacity: 0.5; cursor: not-allowed; }
+        .btn-primary { background-color: var(--color-primary); color: white; }
+        .btn-secondary { background-color: var(--color-bg-tertiary); color: var(--color-text-primary); }
+        .btn-danger { background-color: var(--color-danger); color: white; }
+        .btn-sm { padding: 0.25rem 0.75rem; font-size: 0.75rem; }
+        .empty { text-align: center; padding: 3rem; color: var(--color-text-secondary); }
+      </style>
+
+      <div class="card">
+        <div class="summary-header">
+          <div>
+            <h2>IVA in reverse charge ${this.report ? this.report.year : ''}</h2>
+            <p class="sub">
+              IVA delle spese con IVA non inclusa (es. servizi da fornitori UE), da versare con F24
+              entro il 16 del mese successivo (cod. tributo 6001-6012, 20 agosto per luglio).
+            </p>
+          </div>
+          <div class="field">
+            <label for="reverse-charge-year">Anno</label>
+            <select id="reverse-charge-year">
+              ${years.map(year => `<option value="${year}" ${year === this.year ? 'selected' : ''}>${year}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+        ${this.report ? `
+          <div class="totals" style="margin-top: 1rem;">
+            <div><span class="label">IVA anno</span>${formatCurrency(this.report.iva_amount)}</div>
+            <div><span class="label">Versata</span>${formatCurrency(this.report.paid_amount)}</div>
+            <div><span class="label">Da versare</span><strong>${formatCurrency(this.report.outstanding_amount)}</strong></div>
+          </div>
+        ` : ''}
+      </div>
+
+      ${this.report
+        ? this.report.quarters.map(quarter => this.renderQuarter(quarter)).join('')
+        : '<div class="empty">Caricamento report IVA...</div>'}
+    `;
+
+    this.shadowRoot.querySelector('#reverse-charge-year')?.addEventListener('change', (e) => {
+      this.year = parseInt(e.target.value);
+      this.openMonth = null;
+      this.load();
+    });
+
+    this.shadowRoot.querySelectorAll('[data-month]').forEach(btn => {
+      btn.addEventListener('click', () => this.toggleMonth(parseInt(btn.getAttribute('data-month'))));
+    });
+
+    this.shadowRoot.querySelectorAll('[data-delete-payment]').forEach(btn => {
+      btn.addEventListener('click', () => this.deletePayment(parseInt(btn.getAttribute('data-delete-payment'))));
+    });
+
+    this.shadowRoot.querySelector('#payment-form')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.recordPayment(e.target);
+    });
+  }
+}
+
+customElements.define('reverse-charge-report', ReverseChargeReport);
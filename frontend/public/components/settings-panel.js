@@ -3,6 +3,7 @@
  * 
  * Custom Web Component for application settings.
  * Allows users to configure tax rate, currency, etc.
+ * Also keeps the exchange rates used by invoices in other currencies.
  * 
  * Usage:
  * <settings-panel></settings-panel>
@@ -16,6 +17,7 @@ class SettingsPanel extends HTMLElement {
     super();
     this.attachShadow({ mode: 'open' });
     this.settings = null;
+    this.exchangeRates = [];
   }
   
   /**
@@ -31,7 +33,10 @@ class SettingsPanel extends HTMLElement {
    */
   async loadSettings() {
     try {
-      this.settings = await API.settings.getAll();
+      [this.settings, this.exchangeRates] = await Promise.all([
+        API.settings.getAll(),
+        API.exchangeRates.getAll()
+      ]);
       this.render();
       this.attachEventListeners();
     } catch (error) {
@@ -56,9 +61,36 @@ class SettingsPanel extends HTMLElement {
       target_salary: parseFloat(formData.get('target_salary')),
       taxable_percentage: parseFloat(formData.get('taxable_percentage')),
       income_tax_rate: parseFloat(formData.get('income_tax_rate')),
-      health_insurance_rate: parseFloat(formData.get('health_insurance_rate'))
+      health_insurance_rate: parseFloat(formData.get('health_insurance_rate')),
+      stamp_duty_threshold: parseFloat(formData.get('stamp_duty_threshold')),
+      stamp_duty_amount: parseFloat(formData.get('stamp_duty_amount')),
+      stamp_duty_rebill: formData.get('stamp_duty_rebill') === 'true',
+      inps_rivalsa_rate: parseFloat(formData.get('inps_rivalsa_rate')),
+      inps_rivalsa_default: formData.get('inps_rivalsa_default') === 'true',
+      quote_validity_days: parseInt(formData.get('quote_validity_days')),
+      late_interest_rate: parseFloat(formData.get('late_interest_rate')),
+      smtp_host: (formData.get('smtp_host') || '').trim(),
+      smtp_port: parseInt(formData.get('smtp_port')),
+      smtp_security: formData.get('smtp_security'),
+      smtp_user: (formData.get('smtp_user') || '').trim(),
+      smtp_from: (formData.get('smtp_from') || '').trim(),
+      email_invoice_subject: (formData.get('email_invoice_subject') || '').trim(),
+      email_invoice_body: formData.get('email_invoice_body') || '',
+      email_report_subject: (formData.get('email_report_subject') || '').trim(),
+      email_report_body: formData.get('email_report_body') || ''
     };
     
+    // The stored password is never sent back: leaving the field empty keeps it
+    const smtpPassword = formData.get('smtp_password');
+    if (smtpPassword) {
+      updates.smtp_password = smtpPassword;
+    }
+    
+    // Fiscal data used on electronic invoices, numbering and invoice PDF layout
+    [...this.getFiscalFields(), ...this.getInvoiceFields()].forEach(({ key }) => {
+      updates[key] = (formData.get(key) || '').trim();
+    });
+    
     try {
       this.settings = await API.settings.update(updates);
       showNotification('Impostazioni salvate con successo', 'success');
@@ -72,10 +104,69 @@ class SettingsPanel extends HTMLElement {
       refreshDashboard();
     } catch (error) {
       console.error('Failed to save settings:', error);
-      showNotification('Impossibile salvare le impostazioni', 'error');
+      showNotification(error.message || 'Impossibile salvare le impostazioni', 'error');
     }
   }
   
+  /**
+   * Get Fiscal Fields
+   * 
+   * Our own fiscal data (CedentePrestatore) for electronic invoices.
+   */
+  getFiscalFields() {
+    return [
+      { key: 'business_first_name', label: 'Nome', help: '' },
+      { key: 'business_last_name', label: 'Cognome', help: '' },
+      { key: 'business_company_name', label: 'Denominazione (opzionale)', help: 'Se compilata sostituisce nome e cognome in fattura' },
+      { key: 'business_vat_number', label: 'Partita IVA', help: '11 cifre, senza prefisso IT' },
+      { key: 'business_fiscal_code', label: 'Codice Fiscale', help: '' },
+      { key: 'business_address', label: 'Indirizzo', help: 'Via e numero civico' },
+      { key: 'business_postal_code', label: 'CAP', help: '' },
+      { key: 'business_city', label: 'Comune', help: '' },
+      { key: 'business_province', label: 'Provincia', help: 'Sigla di 2 lettere (es. MI)' },
+      { key: 'business_country', label: 'Nazione', help: 'Codice ISO di 2 lettere (es. IT)' },
+      { key: 'business_iban', label: 'IBAN', help: 'Indicato nei dati di pagamento' },
+      { key: 'forfettario_exemption_text', label: 'Dicitura esenzione IVA', help: 'Riferimento normativo del regime forfettario (max 100 caratteri)' }
+    ];
+  }
+  
+  /**
+   * Get Invoice Fields
+   * 
+   * Numbering scheme and layout strings printed on the invoice PDF.
+   */
+  getInvoiceFields() {
+    return [
+      { key: 'invoice_number_format', label: 'Formato numerazione', help: 'Segnaposto: {YYYY}, {YY}, {seq} o {seq:N} (progressivo a N cifre, riparte ogni anno). Es. {YYYY}/{seq:3}' },
+      { key: 'credit_note_number_format', label: 'Formato numerazione note di credito', help: 'Serie separata dalle fatture, stessi segnaposto. Es. NC{YYYY}/{seq:3}' },
+      { key: 'quote_number_format', label: 'Formato numerazione preventivi', help: 'Serie separata dalle fatture, stessi segnaposto. Es. PR{YYYY}/{seq:3}' },
+      { key: 'invoice_pdf_title', label: 'Titolo documento', help: 'Es. Fattura, seguito dal numero' },
+      { key: 'invoice_pdf_payment_text', label: 'Modalità di pagamento', help: 'Stampata sopra IBAN e scadenza' },
+      { key: 'invoice_pdf_stamp_duty_text', label: 'Dicitura marca da bollo', help: 'Stampata sulle fatture con marca da bollo' },
+      { key: 'invoice_pdf_footer_text', label: 'Piè di pagina', help: 'Testo libero in fondo al PDF (opzionale)' }
+    ];
+  }
+  
+  /**
+   * Render Text Field
+   */
+  renderTextField({ key, label, help }) {
+    return `
+      <div class="form-group">
+        <label class="form-label" for="${key}">${label}</label>
+        <input
+          type="text"
+          id="${key}"
+          name="${key}"
+          class="form-input"
+          value="${escapeHtml(this.settings[key] || '')}"
+          ${key === 'forfettario_exemption_text' ? 'maxlength="100"' : ''}
+        />
+        ${help ? `<span class="form-help">${help}</span>` : ''}
+      </div>
+    `;
+  }
+  
   /**
    * Get Currency Symbol
    */
@@ -97,6 +188,106 @@ class SettingsPanel extends HTMLElement {
     if (form) {
       form.addEventListener('submit', (e) => this.saveSettings(e));
     }
+    
+    const testButton = this.shadowRoot.querySelector('#smtp-test-btn');
+    if (testButton) {
+      testButton.addEventListener('click', () => this.sendTestEmail());
+    }
+    
+    this.attachExchangeRateListeners();
+  }
+  
+  /**
+   * Attach the listeners of the exchange rates section
+   * 
+   * The section is re-rendered on its own, so unsaved settings are kept.
+   */
+  attachExchangeRateListeners() {
+    const addButton = this.shadowRoot.querySelector('#exchange-rate-add');
+    if (addButton) {
+      addButton.addEventListener('click', () => this.saveExchangeRate());
+    }
+    
+    this.shadowRoot.querySelectorAll('[data-exchange-rate-id]').forEach(button => {
+      button.addEventListener('click', () => this.deleteExchangeRate(parseInt(button.getAttribute('data-exchange-rate-id'))));
+    });
+  }
+  
+  /**
+   * Refresh the exchange rates section
+   */
+  async reloadExchangeRates() {
+    this.exchangeRates = await API.exchangeRates.getAll();
+    const section = this.shadowRoot.querySelector('#exchange-rates');
+    if (section) {
+      section.innerHTML = this.renderExchangeRates();
+      this.attachExchangeRateListeners();
+    }
+  }
+  
+  /**
+   * Save Exchange Rate
+   * 
+   * A rate for the same currency and day replaces the stored one.
+   */
+  async saveExchangeRate() {
+    const data = {
+      currency: this.shadowRoot.querySelector('#exchange-rate-currency').value.trim().toUpperCase(),
+      rate_date: this.shadowRoot.querySelector('#exchange-rate-date').value,
+      rate: parseFloat(this.shadowRoot.querySelector('#exchange-rate-value').value)
+    };
+    
+    if (!data.currency || !data.rate_date || !(data.rate > 0)) {
+      showNotification('Indica valuta, data e cambio', 'warning');
+      return;
+    }
+    
+    try {
+      await API.exchangeRates.save(data);
+      showNotification(`Cambio ${data.currency} del ${formatDate(data.rate_date, 'short')} salvato`, 'success');
+      await this.reloadExchangeRates();
+    } catch (error) {
+      console.error('Failed to save exchange rate:', error);
+      showNotification(error.message || 'Impossibile salvare il cambio', 'error');
+    }
+  }
+  
+  /**
+   * Delete Exchange Rate
+   * 
+   * Invoices keep the rate they were issued with.
+   */
+  async deleteExchangeRate(id) {
+    if (!confirm('Eliminare questo cambio?')) return;
+    
+    try {
+      await API.exchangeRates.delete(id);
+      await this.reloadExchangeRates();
+    } catch (error) {
+      console.error('Failed to delete exchange rate:', error);
+      showNotification(error.message || 'Impossibile eliminare il cambio', 'error');
+    }
+  }
+  
+  /**
+   * Send Test Email
+   * 
+   * Uses the saved SMTP settings, so changes must be saved first.
+   */
+  async sendTestEmail() {
+    const to = window.prompt(
+      'Indirizzo a cui inviare l\'email di prova (vuoto = mittente). Usa le impostazioni salvate.',
+      ''
+    );
+    if (to === null) return;
+    
+    try {
+      const entry = await API.emails.sendTest(to.trim() || undefined);
+      showNotification(`Email di prova inviata a ${entry.recipient}`, 'success');
+    } catch (error) {
+      console.error('Failed to send test email:', error);
+      showNotification(error.message || 'Impossibile inviare l\'email di prova', 'error');
+    }
   }
   
   /**
@@ -184,6 +375,47 @@ class SettingsPanel extends HTMLElement {
           background-color: #1d4ed8;
         }
         
+        .btn-secondary {
+          padding: 0.5rem 1rem;
+          font-size: 0.875rem;
+          font-weight: 500;
+          color: #111827;
+          background-color: #ffffff;
+          border: 1px solid #d1d5db;
+          border-radius: 0.375rem;
+          cursor: pointer;
+        }
+        
+        .btn-secondary:hover {
+          background-color: #f3f4f6;
+        }
+        
+        textarea.form-input {
+          font-family: inherit;
+          resize: vertical;
+        }
+        
+        .rates-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.875rem;
+          margin-bottom: 1rem;
+        }
+        
+        .rates-table th,
+        .rates-table td {
+          padding: 0.4rem 0.5rem;
+          border-bottom: 1px solid #e5e7eb;
+          text-align: left;
+        }
+        
+        .rates-form {
+          display: grid;
+          grid-template-columns: 1fr 1fr 1fr auto;
+          gap: 0.5rem;
+          align-items: end;
+        }
+        
         .loading {
           text-align: center;
           padding: 2rem;
@@ -195,9 +427,73 @@ class SettingsPanel extends HTMLElement {
         <div class="card">
           <h2 class="card-title">Impostazioni Applicazione</h2>
           
-          ${this.settings ? this.renderForm() : '<div class="loading">Caricamento impostazioni...</div>'}
+          ${this.settings ? `
+            ${this.renderForm()}
+            <div id="exchange-rates">${this.renderExchangeRates()}</div>
+          ` : '<div class="loading">Caricamento impostazioni...</div>'}
+        </div>
+      </div>
+    `;
+  }
+  
+  /**
+   * Render Exchange Rates
+   * 
+   * Kept outside the settings form, each rate is saved on its own.
+   */
+  renderExchangeRates() {
+    return `
+      <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 1.5rem 0;">
+      
+      <h3 style="font-size: 1.1rem; font-weight: 600; margin: 0 0 1rem 0; color: #374151;">
+        Cambi Valuta
+      </h3>
+      
+      ${this.exchangeRates.length === 0 ? `
+        <p class="form-help" style="margin-bottom: 1rem;">Nessun cambio salvato.</p>
+      ` : `
+        <table class="rates-table">
+          <thead>
+            <tr>
+              <th>Valuta</th>
+              <th>Data</th>
+              <th>1 EUR =</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${this.exchangeRates.map(rate => `
+              <tr>
+                <td>${escapeHtml(rate.currency)}</td>
+                <td>${formatDate(rate.rate_date, 'short')}</td>
+                <td>${rate.rate} ${escapeHtml(rate.currency)}</td>
+                <td style="text-align: right;">
+                  <button type="button" class="btn-secondary" data-exchange-rate-id="${rate.id}">Elimina</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+      
+      <div class="rates-form">
+        <div>
+          <label class="form-label" for="exchange-rate-currency">Valuta</label>
+          <input type="text" id="exchange-rate-currency" class="form-input" maxlength="3" placeholder="USD">
         </div>
+        <div>
+          <label class="form-label" for="exchange-rate-date">Data</label>
+          <input type="date" id="exchange-rate-date" class="form-input" value="${getTodayDate()}">
+        </div>
+        <div>
+          <label class="form-label" for="exchange-rate-value">Unità per 1 EUR</label>
+          <input type="number" id="exchange-rate-value" class="form-input" step="0.000001" min="0.000001" placeholder="1.0850">
+        </div>
+        <button type="button" class="btn-secondary" id="exchange-rate-add">Salva cambio</button>
       </div>
+      <span class="form-help">
+        Cambi di riferimento BCE: una fattura in valuta usa l'ultimo cambio salvato alla data di emissione, se non ne indichi uno.
+      </span>
     `;
   }
   
@@ -242,7 +538,7 @@ class SettingsPanel extends HTMLElement {
             id="vat-rate"
             name="vat_rate"
             class="form-input"
-            value="${this.settings.default_vat_rate || this.settings.default_tax_rate || 22}"
+            value="${this.settings.default_vat_rate ?? this.settings.default_tax_rate ?? 0}"
             min="0"
             max="100"
             step="0.01"
@@ -315,6 +611,299 @@ class SettingsPanel extends HTMLElement {
 
         <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 1.5rem 0;">
         
+        <h3 style="font-size: 1.1rem; font-weight: 600; margin: 0 0 1rem 0; color: #374151;">
+          Dati Fiscali (Fattura Elettronica)
+        </h3>
+        
+        ${this.getFiscalFields().map(field => this.renderTextField(field)).join('')}
+
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 1.5rem 0;">
+        
+        <h3 style="font-size: 1.1rem; font-weight: 600; margin: 0 0 1rem 0; color: #374151;">
+          Numerazione e Layout Fatture
+        </h3>
+        
+        ${this.getInvoiceFields().map(field => this.renderTextField(field)).join('')}
+
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 1.5rem 0;">
+        
+        <h3 style="font-size: 1.1rem; font-weight: 600; margin: 0 0 1rem 0; color: #374151;">
+          Marca da Bollo
+        </h3>
+        
+        <div class="form-group">
+          <label class="form-label" for="stamp-duty-threshold">Soglia (€)</label>
+          <input
+            type="number"
+            id="stamp-duty-threshold"
+            name="stamp_duty_threshold"
+            class="form-input"
+            value="${this.settings.stamp_duty_threshold ?? 77.47}"
+            min="0"
+            step="0.01"
+            required
+          />
+          <span class="form-help">
+            Le fatture senza IVA di importo superiore alla soglia richiedono la marca da bollo (77,47 € per legge)
+          </span>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label" for="stamp-duty-amount">Importo bollo (€)</label>
+          <input
+            type="number"
+            id="stamp-duty-amount"
+            name="stamp_duty_amount"
+            class="form-input"
+            value="${this.settings.stamp_duty_amount || 2}"
+            min="0.01"
+            step="0.01"
+            required
+          />
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label" for="stamp-duty-rebill">Addebito al cliente</label>
+          <select
+            id="stamp-duty-rebill"
+            name="stamp_duty_rebill"
+            class="form-select"
+          >
+            <option value="true" ${this.settings.stamp_duty_rebill !== false ? 'selected' : ''}>Sì, aggiungi il bollo al totale</option>
+            <option value="false" ${this.settings.stamp_duty_rebill === false ? 'selected' : ''}>No, il bollo resta a mio carico</option>
+          </select>
+          <span class="form-help">
+            Valore predefinito per le nuove fatture, modificabile su ogni fattura
+          </span>
+        </div>
+
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 1.5rem 0;">
+        
+        <h3 style="font-size: 1.1rem; font-weight: 600; margin: 0 0 1rem 0; color: #374151;">
+          Rivalsa INPS
+        </h3>
+        
+        <div class="form-group">
+          <label class="form-label" for="inps-rivalsa-rate">Aliquota rivalsa (%)</label>
+          <input
+            type="number"
+            id="inps-rivalsa-rate"
+            name="inps_rivalsa_rate"
+            class="form-input"
+            value="${this.settings.inps_rivalsa_rate ?? 4}"
+            min="0"
+            max="100"
+            step="0.01"
+            required
+          />
+          <span class="form-help">
+            Percentuale addebitata al cliente dagli iscritti alla Gestione Separata (4% per legge)
+          </span>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label" for="inps-rivalsa-default">Applica per default</label>
+          <select
+            id="inps-rivalsa-default"
+            name="inps_rivalsa_default"
+            class="form-select"
+          >
+            <option value="false" ${!this.settings.inps_rivalsa_default ? 'selected' : ''}>No</option>
+            <option value="true" ${this.settings.inps_rivalsa_default ? 'selected' : ''}>Sì, aggiungi la rivalsa alle fatture</option>
+          </select>
+          <span class="form-help">
+            Vale per i clienti senza una scelta propria (impostabile nella scheda cliente)
+          </span>
+        </div>
+
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 1.5rem 0;">
+        
+        <h3 style="font-size: 1.1rem; font-weight: 600; margin: 0 0 1rem 0; color: #374151;">
+          Preventivi
+        </h3>
+        
+        <div class="form-group">
+          <label class="form-label" for="quote-validity-days">Validità (giorni)</label>
+          <input
+            type="number"
+            id="quote-validity-days"
+            name="quote_validity_days"
+            class="form-input"
+            value="${this.settings.quote_validity_days ?? 30}"
+            min="1"
+            step="1"
+            required
+          />
+          <span class="form-help">
+            Giorni dalla data di emissione entro cui il cliente può accettare un nuovo preventivo
+          </span>
+        </div>
+
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 1.5rem 0;">
+        
+        <h3 style="font-size: 1.1rem; font-weight: 600; margin: 0 0 1rem 0; color: #374151;">
+          Solleciti
+        </h3>
+        
+        <div class="form-group">
+          <label class="form-label" for="late-interest-rate">Interessi di Mora (%)</label>
+          <input
+            type="number"
+            id="late-interest-rate"
+            name="late_interest_rate"
+            class="form-input"
+            value="${this.settings.late_interest_rate ?? 10.15}"
+            min="0"
+            max="100"
+            step="0.01"
+            required
+          />
+          <span class="form-help">
+            Tasso annuo D.Lgs. 231/2002 (tasso BCE + 8 punti), aggiornato ogni semestre dal MEF
+          </span>
+        </div>
+
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 1.5rem 0;">
+        
+        <h3 style="font-size: 1.1rem; font-weight: 600; margin: 0 0 1rem 0; color: #374151;">
+          Email (SMTP)
+        </h3>
+        
+        <div class="form-group">
+          <label class="form-label" for="smtp-host">Server SMTP</label>
+          <input
+            type="text"
+            id="smtp-host"
+            name="smtp_host"
+            class="form-input"
+            value="${escapeHtml(this.settings.smtp_host || '')}"
+            placeholder="smtp.example.com"
+          />
+          <span class="form-help">
+            Per provare senza inviare email reali usa un catcher locale (es. Mailpit: localhost, porta 1025, nessuna cifratura)
+          </span>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label" for="smtp-port">Porta</label>
+          <input
+            type="number"
+            id="smtp-port"
+            name="smtp_port"
+            class="form-input"
+            value="${this.settings.smtp_port ?? 587}"
+            min="1"
+            max="65535"
+            step="1"
+            required
+          />
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label" for="smtp-security">Cifratura</label>
+          <select
+            id="smtp-security"
+            name="smtp_security"
+            class="form-select"
+          >
+            <option value="starttls" ${this.settings.smtp_security === 'starttls' ? 'selected' : ''}>STARTTLS (porta 587)</option>
+            <option value="tls" ${this.settings.smtp_security === 'tls' ? 'selected' : ''}>SSL/TLS (porta 465)</option>
+            <option value="none" ${this.settings.smtp_security === 'none' ? 'selected' : ''}>Nessuna (solo server locali)</option>
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label" for="smtp-user">Utente</label>
+          <input
+            type="text"
+            id="smtp-user"
+            name="smtp_user"
+            class="form-input"
+            value="${escapeHtml(this.settings.smtp_user || '')}"
+            autocomplete="off"
+          />
+          <span class="form-help">Lascia vuoto se il server non richiede autenticazione</span>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label" for="smtp-password">Password</label>
+          <input
+            type="password"
+            id="smtp-password"
+            name="smtp_password"
+            class="form-input"
+            value=""
+            autocomplete="new-password"
+          />
+          <span class="form-help">Non viene mostrata: lascia vuoto per mantenere quella salvata</span>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label" for="smtp-from">Mittente</label>
+          <input
+            type="text"
+            id="smtp-from"
+            name="smtp_from"
+            class="form-input"
+            value="${escapeHtml(this.settings.smtp_from || '')}"
+            placeholder="Mario Rossi <mario@example.com>"
+          />
+        </div>
+        
+        <div class="form-group">
+          <button type="button" class="btn-secondary" id="smtp-test-btn">Invia email di prova</button>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label" for="email-invoice-subject">Oggetto email fattura</label>
+          <input
+            type="text"
+            id="email-invoice-subject"
+            name="email_invoice_subject"
+            class="form-input"
+            value="${escapeHtml(this.settings.email_invoice_subject || '')}"
+          />
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label" for="email-invoice-body">Testo email fattura</label>
+          <textarea
+            id="email-invoice-body"
+            name="email_invoice_body"
+            class="form-input"
+            rows="8"
+          >${escapeHtml(this.settings.email_invoice_body || '')}</textarea>
+          <span class="form-help">
+            Segnaposto: {client_name}, {invoice_number}, {issue_date}, {due_date}, {total_amount}, {balance_due}, {business_name}
+          </span>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label" for="email-report-subject">Oggetto email report ore</label>
+          <input
+            type="text"
+            id="email-report-subject"
+            name="email_report_subject"
+            class="form-input"
+            value="${escapeHtml(this.settings.email_report_subject || '')}"
+          />
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label" for="email-report-body">Testo email report ore</label>
+          <textarea
+            id="email-report-body"
+            name="email_report_body"
+            class="form-input"
+            rows="8"
+          >${escapeHtml(this.settings.email_report_body || '')}</textarea>
+          <span class="form-help">
+            Segnaposto: {client_name}, {period}, {total_hours}, {total_amount}, {business_name}
+          </span>
+        </div>
+
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 1.5rem 0;">
+        
         <h3 style="font-size: 1.1rem; font-weight: 600; margin: 0 0 1rem 0; color: #374151;">
           Obiettivi Personali
         </h3>
@@ -0,0 +1,252 @@
+/**
+ * Stamp Duty Card Component
+ *
+ * Custom Web Component that displays the marca da bollo due per quarter
+ * on the electronic invoices of the selected year.
+ *
+ * Shows:
+ * - Stamp duty due and number of documents for each quarter
+ * - F24 tribute code and payment deadline of each quarter
+ * - Quarters deferred to a later deadline because under the minimum
+ *
+ * Usage:
+ * <stamp-duty-card></stamp-duty-card>
+ */
+
+class StampDutyCard extends HTMLElement {
+  /**
+   * Constructor
+   */
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.data = null;
+  }
+
+  /**
+   * Connected Callback
+   */
+  connectedCallback() {
+    this.render();
+    this.loadReport();
+
+    // Listen for year changes
+    this.boundYearChange = () => this.loadReport();
+    window.addEventListener('dashboardYearChanged', this.boundYearChange);
+
+    // Listen for invoice changes to auto-refresh
+    this.boundReload = () => this.loadReport();
+    window.addEventListener(window.AppEvents?.INVOICES_CHANGED || 'data:invoices:changed', this.boundReload);
+  }
+
+  /**
+   * Disconnected Callback
+   */
+  disconnectedCallback() {
+    if (this.boundYearChange) {
+      window.removeEventListener('dashboardYearChanged', this.boundYearChange);
+    }
+    if (this.boundReload) {
+      window.removeEventListener(window.AppEvents?.INVOICES_CHANGED || 'data:invoices:changed', this.boundReload);
+    }
+  }
+
+  /**
+   * Load Stamp Duty Report
+   */
+  async loadReport() {
+    try {
+      const year = window.AppState?.dashboardYear;
+      this.data = await API.dashboard.getStampDuty(year);
+      this.render();
+    } catch (error) {
+      console.error('Failed to load stamp duty report:', error);
+      this.showError();
+    }
+  }
+
+  /**
+   * Render Component
+   */
+  render() {
+    const settings = window.AppState?.settings;
+    const currency = settings?.currency || 'EUR';
+
+    if (!this.data) {
+      this.shadowRoot.innerHTML = `
+        <style>
+          .loading {
+            text-align: center;
+            padding: 2rem;
+            color: var(--color-text-secondary);
+          }
+        </style>
+        <div class="loading">Caricamento imposta di bollo...</div>
+      `;
+      return;
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          margin-bottom: var(--space-xl);
+        }
+
+        .stamp-card {
+          background: var(--color-bg);
+          border: 1px solid var(--color-border);
+          border-radius: 0.375rem;
+          padding: 2rem;
+          box-shadow: 0 2px 4px 0 rgb(0 0 0 / 0.06);
+        }
+
+        .stamp-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: 1.5rem;
+          flex-wrap: wrap;
+          gap: 1rem;
+        }
+
+        .stamp-title {
+          font-size: 1.25rem;
+          font-weight: 700;
+          color: var(--color-text-primary);
+          margin: 0 0 0.25rem 0;
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+        }
+
+        .stamp-subtitle {
+          font-size: 0.875rem;
+          color: var(--color-text-secondary);
+          margin: 0;
+        }
+
+        .stamp-total {
+          text-align: right;
+        }
+
+        .stamp-total-value {
+          font-size: 1.5rem;
+          font-weight: 700;
+          color: var(--color-text-primary);
+          margin: 0;
+        }
+
+        .quarters-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+          gap: 1rem;
+        }
+
+        .quarter-card {
+          background: var(--color-bg-secondary);
+          border: 1px solid var(--color-border);
+          border-radius: 0.25rem;
+          padding: 1rem;
+        }
+
+        .quarter-card.past {
+          opacity: 0.7;
+        }
+
+        .metric-label {
+          font-size: 0.75rem;
+          font-weight: 600;
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+          color: var(--color-text-secondary);
+          margin-bottom: 0.5rem;
+        }
+
+        .metric-value {
+          font-size: 1.5rem;
+          font-weight: 700;
+          color: var(--color-text-primary);
+          margin: 0;
+        }
+
+        .metric-subtext {
+          font-size: 0.75rem;
+          color: var(--color-text-secondary);
+          margin-top: 0.25rem;
+        }
+
+        .deferred {
+          color: var(--color-warning-dark);
+          font-weight: 600;
+        }
+
+        @media (max-width: 768px) {
+          .stamp-card {
+            padding: 1.5rem;
+          }
+
+          .quarters-grid {
+            grid-template-columns: 1fr;
+          }
+
+          .stamp-total {
+            text-align: left;
+          }
+        }
+      </style>
+
+      <div class="stamp-card">
+        <div class="stamp-header">
+          <div>
+            <h2 class="stamp-title">
+              <span>🧾</span>
+              Imposta di Bollo
+            </h2>
+            <p class="stamp-subtitle">Anno ${this.data.year} • Versamento trimestrale con F24 (fatture elettroniche)</p>
+          </div>
+          <div class="stamp-total">
+            <div class="metric-label">Totale anno</div>
+            <p class="stamp-total-value">${formatCurrency(this.data.total_amount, currency)}</p>
+            <div class="metric-subtext">${this.data.document_count} documento/i con bollo</div>
+          </div>
+        </div>
+
+        <div class="quarters-grid">
+          ${this.data.quarters.map((quarter) => `
+            <div class="quarter-card ${quarter.due_date < today ? 'past' : ''}">
+              <div class="metric-label">${quarter.quarter}° trimestre • cod. ${quarter.tribute_code}</div>
+              <p class="metric-value">${formatCurrency(quarter.amount, currency)}</p>
+              <div class="metric-subtext">${quarter.document_count} documento/i</div>
+              <div class="metric-subtext">
+                Scadenza ${formatDate(quarter.due_date, 'short')}
+                ${quarter.deferred ? '<span class="deferred">(rinviato, sotto 5.000 €)</span>' : ''}
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Show Error State
+   */
+  showError() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        .error {
+          text-align: center;
+          padding: 2rem;
+          color: var(--color-danger);
+        }
+      </style>
+      <div class="error">Impossibile caricare l'imposta di bollo.</div>
+    `;
+  }
+}
+
+// Register the custom element
+customElements.define('stamp-duty-card', StampDutyCard);
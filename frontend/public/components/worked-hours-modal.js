@@ -10,16 +10,19 @@ class WorkedHoursModal extends HTMLElement {
     this.mode = 'create';
     this.recordId = null;
     this.handleExternalOpen = this.handleExternalOpen.bind(this);
+    this.loadClients = this.loadClients.bind(this);
   }
 
   connectedCallback() {
     window.addEventListener('worked-hours:open-modal', this.handleExternalOpen);
+    window.addEventListener('clients:updated', this.loadClients);
     this.render();
     this.loadClients();
   }
 
   disconnectedCallback() {
     window.removeEventListener('worked-hours:open-modal', this.handleExternalOpen);
+    window.removeEventListener('clients:updated', this.loadClients);
   }
 
   handleExternalOpen(event) {
@@ -29,7 +32,7 @@ class WorkedHoursModal extends HTMLElement {
 
   async loadClients() {
     try {
-      const result = await API.clients.getAll();
+      const result = await API.clients.getAll('all');
       this.clients = result.map(client => ({
         ...client,
         hourly_rate: typeof client.hourly_rate === 'number'
@@ -43,6 +46,14 @@ class WorkedHoursModal extends HTMLElement {
     }
   }
 
+  /**
+   * Clients hours can be logged for: archived ones are left out, except
+   * the client of the entry being edited
+   */
+  getSelectableClients() {
+    return this.clients.filter(client => !client.archived_at || client.id === this.prefill.client_id);
+  }
+
   open(options = {}) {
     if (!this.clients.length) {
       this.loadClients();
@@ -129,6 +140,8 @@ class WorkedHoursModal extends HTMLElement {
   }
 
   render() {
+    const clients = this.getSelectableClients();
+
     this.shadowRoot.innerHTML = `
       <style>
         :host {
@@ -254,9 +267,9 @@ class WorkedHoursModal extends HTMLElement {
             <button class="close-btn" aria-label="Chiudi" id="close-modal">&times;</button>
           </div>
           <div class="modal-body">
-            ${this.clients.length === 0 ? `
+            ${clients.length === 0 ? `
               <div class="empty-state">
-                <p>Devi prima creare almeno un cliente.</p>
+                <p>Devi prima creare almeno un cliente (o ripristinarne uno archiviato).</p>
                 <button type="button" id="manage-clients-btn">Gestisci Clienti</button>
               </div>
             ` : `
@@ -265,7 +278,7 @@ class WorkedHoursModal extends HTMLElement {
                   <label for="client_id">Cliente</label>
                   <select name="client_id" id="client_id" required>
                     <option value="">Seleziona cliente</option>
-                    ${this.clients.map(client => `
+                    ${clients.map(client => `
                       <option value="${client.id}" ${this.prefill.client_id === client.id ? 'selected' : ''}>
                         ${client.name} (${client.hourly_rate.toFixed(2)} €/h)
                       </option>
@@ -289,7 +302,7 @@ class WorkedHoursModal extends HTMLElement {
           </div>
           <div class="modal-footer">
             <button class="btn btn-secondary" id="cancel-btn">Annulla</button>
-            ${this.clients.length ? `<button class="btn btn-primary" id="save-btn" ${this.loading ? 'disabled' : ''}>
+            ${clients.length ? `<button class="btn btn-primary" id="save-btn" ${this.loading ? 'disabled' : ''}>
               ${this.loading ? 'Salvataggio...' : this.mode === 'edit' ? 'Salva modifiche' : 'Salva'}
             </button>` : ''}
           </div>
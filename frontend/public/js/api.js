@@ -69,6 +69,40 @@ async function apiRequest(endpoint, options = {}) {
   }
 }
 
+/**
+ * Download a file from the API
+ * 
+ * Used for endpoints that return a file (PDF, XML) instead of JSON.
+ * Error responses are still JSON: their message and optional `details`
+ * list are carried on the thrown Error.
+ * 
+ * @param {string} endpoint - API endpoint
+ * @param {string} fallbackFilename - File name used when the server sends none
+ * @returns {Promise<{blob: Blob, filename: string}>} File content and name
+ * @throws {Error} If the download fails
+ */
+async function apiDownload(endpoint, fallbackFilename) {
+  const response = await fetch(`${API_BASE_URL}${endpoint}`);
+  
+  if (!response.ok) {
+    let data = null;
+    try {
+      data = await response.json();
+    } catch (parseError) {
+      // Non-JSON error body
+    }
+    const error = new Error(data?.error || 'Download non riuscito');
+    error.details = data?.details || [];
+    throw error;
+  }
+  
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="?([^";]+)"?/);
+  const blob = await response.blob();
+  
+  return { blob, filename: match ? match[1] : fallbackFilename };
+}
+
 /**
  * API Object
  * 
@@ -84,6 +118,7 @@ const API = {
     getAll: (filters = {}) => {
       const params = new URLSearchParams();
       if (filters.status) params.append('status', filters.status);
+      if (filters.clientId) params.append('client_id', filters.clientId);
       if (filters.clientName) params.append('client_name', filters.clientName);
       if (filters.startDate) params.append('start_date', filters.startDate);
       if (filters.endDate) params.append('end_date', filters.endDate);
@@ -96,6 +131,17 @@ const API = {
       return apiRequest(`/invoices/${id}`);
     },
     
+    // Preview the next invoice number for an issue date (not reserved)
+    getNextNumber: (issueDate) => {
+      const query = issueDate ? `?issue_date=${encodeURIComponent(issueDate)}` : '';
+      return apiRequest(`/invoices/numbering/next${query}`);
+    },
+    
+    // Check numbering continuity of a year
+    checkNumbering: (year) => {
+      return apiRequest(`/invoices/numbering/check?year=${encodeURIComponent(year)}`);
+    },
+    
     // Create new invoice
     create: (data) => {
       return apiRequest('/invoices', {
@@ -104,6 +150,14 @@ const API = {
       });
     },
     
+    // Create draft invoice from a client's unbilled worked hours
+    createFromWorkedHours: (data) => {
+      return apiRequest('/invoices/from-worked-hours', {
+        method: 'POST',
+        body: JSON.stringify(data)
+      });
+    },
+    
     // Update invoice
     update: (id, data) => {
       return apiRequest(`/invoices/${id}`, {
@@ -120,11 +174,192 @@ const API = {
       });
     },
     
+    // Get every status change of an invoice, oldest first
+    getStatusHistory: (id) => {
+      return apiRequest(`/invoices/${id}/status-history`);
+    },
+    
     // Delete invoice
     delete: (id) => {
       return apiRequest(`/invoices/${id}`, {
         method: 'DELETE'
       });
+    },
+    
+    // Get payments received on an invoice
+    getPayments: (id) => {
+      return apiRequest(`/invoices/${id}/payments`);
+    },
+    
+    // Record a payment (returns the updated invoice)
+    addPayment: (id, data) => {
+      return apiRequest(`/invoices/${id}/payments`, {
+        method: 'POST',
+        body: JSON.stringify(data)
+      });
+    },
+    
+    // Delete a payment (returns the updated invoice)
+    deletePayment: (id, paymentId) => {
+      return apiRequest(`/invoices/${id}/payments/${paymentId}`, {
+        method: 'DELETE'
+      });
+    },
+    
+    // Get the proposed email (recipient, subject, body) for an invoice
+    getEmailDraft: (id) => {
+      return apiRequest(`/invoices/${id}/email`);
+    },
+    
+    // Email the invoice PDF (fields left out come from the draft)
+    sendEmail: (id, data = {}) => {
+      return apiRequest(`/invoices/${id}/email`, {
+        method: 'POST',
+        body: JSON.stringify(data)
+      });
+    },
+    
+    // Get reminders sent for an invoice
+    getReminders: (id) => {
+      return apiRequest(`/invoices/${id}/reminders`);
+    },
+    
+    // Log a reminder (level defaults to one above the last)
+    addReminder: (id, data = {}) => {
+      return apiRequest(`/invoices/${id}/reminders`, {
+        method: 'POST',
+        body: JSON.stringify(data)
+      });
+    },
+    
+    // Delete a logged reminder
+    deleteReminder: (id, reminderId) => {
+      return apiRequest(`/invoices/${id}/reminders/${reminderId}`, {
+        method: 'DELETE'
+      });
+    },
+    
+    // Get credit notes issued for an invoice
+    getCreditNotes: (id) => {
+      return apiRequest(`/invoices/${id}/credit-notes`);
+    },
+    
+    // Issue a credit note (no amount or items = total credit note)
+    createCreditNote: (id, data = {}) => {
+      return apiRequest(`/invoices/${id}/credit-notes`, {
+        method: 'POST',
+        body: JSON.stringify(data)
+      });
+    },
+    
+    // Download electronic invoice (FatturaPA XML)
+    downloadFatturaPA: (id) => {
+      return apiDownload(`/invoices/${id}/fatturapa`, `fattura-${id}.xml`);
+    },
+    
+    // Download invoice PDF
+    downloadPdf: (id) => {
+      return apiDownload(`/invoices/${id}/pdf`, `fattura-${id}.pdf`);
+    }
+  },
+  
+  /**
+   * Recurring Invoice API Methods
+   */
+  recurringInvoices: {
+    getAll: () => apiRequest('/recurring-invoices'),
+    create: (data) =>
+      apiRequest('/recurring-invoices', {
+        method: 'POST',
+        body: JSON.stringify(data)
+      }),
+    update: (id, data) =>
+      apiRequest(`/recurring-invoices/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(data)
+      }),
+    delete: (id) =>
+      apiRequest(`/recurring-invoices/${id}`, {
+        method: 'DELETE'
+      }),
+    // Upcoming occurrences with their status (scheduled, generated, skipped)
+    getOccurrences: (id, count = 6) => apiRequest(`/recurring-invoices/${id}/occurrences?count=${count}`),
+    // Skip an occurrence (returns the upcoming occurrences)
+    skipOccurrence: (id, date) =>
+      apiRequest(`/recurring-invoices/${id}/occurrences/${date}/skip`, {
+        method: 'POST'
+      }),
+    // Undo a skip (returns the upcoming occurrences)
+    restoreOccurrence: (id, date) =>
+      apiRequest(`/recurring-invoices/${id}/occurrences/${date}/skip`, {
+        method: 'DELETE'
+      }),
+    // Generate the due draft invoices now
+    run: () =>
+      apiRequest('/recurring-invoices/run', {
+        method: 'POST'
+      })
+  },
+  
+  /**
+   * Quote API Methods
+   */
+  quotes: {
+    // Get all quotes with optional filters
+    getAll: (filters = {}) => {
+      const params = new URLSearchParams();
+      if (filters.status) params.append('status', filters.status);
+      if (filters.clientName) params.append('client_name', filters.clientName);
+      if (filters.year) params.append('year', filters.year);
+      const query = params.toString() ? `?${params}` : '';
+      return apiRequest(`/quotes${query}`);
+    },
+    
+    // Acceptance statistics per client (all years if no year)
+    getStats: (year) => {
+      const query = year ? `?year=${encodeURIComponent(year)}` : '';
+      return apiRequest(`/quotes/stats${query}`);
+    },
+    
+    create: (data) => {
+      return apiRequest('/quotes', {
+        method: 'POST',
+        body: JSON.stringify(data)
+      });
+    },
+    
+    update: (id, data) => {
+      return apiRequest(`/quotes/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(data)
+      });
+    },
+    
+    // Record the client's answer (open, accepted, rejected)
+    updateStatus: (id, status) => {
+      return apiRequest(`/quotes/${id}/status`, {
+        method: 'PATCH',
+        body: JSON.stringify({ status })
+      });
+    },
+    
+    delete: (id) => {
+      return apiRequest(`/quotes/${id}`, {
+        method: 'DELETE'
+      });
+    },
+    
+    // Create a draft invoice from the quote (returns the invoice)
+    convert: (id, data = {}) => {
+      return apiRequest(`/quotes/${id}/convert`, {
+        method: 'POST',
+        body: JSON.stringify(data)
+      });
+    },
+    
+    // Download quote PDF
+    downloadPdf: (id) => {
+      return apiDownload(`/quotes/${id}/pdf`, `preventivo-${id}.pdf`);
     }
   },
   
@@ -171,6 +406,34 @@ const API = {
     }
   },
   
+  /**
+   * Recurring Expense API Methods
+   */
+  recurringExpenses: {
+    getAll: () => apiRequest('/recurring-expenses'),
+    // Annualized cost by item and category, renewals of the next days
+    getOverview: (days = 60) => apiRequest(`/recurring-expenses/overview?days=${days}`),
+    create: (data) =>
+      apiRequest('/recurring-expenses', {
+        method: 'POST',
+        body: JSON.stringify(data)
+      }),
+    update: (id, data) =>
+      apiRequest(`/recurring-expenses/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(data)
+      }),
+    delete: (id) =>
+      apiRequest(`/recurring-expenses/${id}`, {
+        method: 'DELETE'
+      }),
+    // Create the expenses of the due renewals now
+    run: () =>
+      apiRequest('/recurring-expenses/run', {
+        method: 'POST'
+      })
+  },
+  
   /**
    * Category API Methods
    */
@@ -209,6 +472,50 @@ const API = {
       });
     }
   },
+
+  /**
+   * Expense categorization rules
+   */
+  expenseRules: {
+    getAll: () => apiRequest('/expense-rules'),
+    create: (data) =>
+      apiRequest('/expense-rules', {
+        method: 'POST',
+        body: JSON.stringify(data)
+      }),
+    update: (id, data) =>
+      apiRequest(`/expense-rules/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(data)
+      }),
+    delete: (id) =>
+      apiRequest(`/expense-rules/${id}`, {
+        method: 'DELETE'
+      }),
+    // Every rule ID, first tried first
+    reorder: (ids) =>
+      apiRequest('/expense-rules/order', {
+        method: 'PUT',
+        body: JSON.stringify({ ids })
+      }),
+    // Rule that applies to { description, supplier_name, amount }, or null
+    match: (data) =>
+      apiRequest('/expense-rules/match', {
+        method: 'POST',
+        body: JSON.stringify(data)
+      }),
+    // Category changes the rules would make on existing expenses
+    previewRecategorize: (filters) =>
+      apiRequest('/expense-rules/recategorize/preview', {
+        method: 'POST',
+        body: JSON.stringify(filters)
+      }),
+    recategorize: (filters) =>
+      apiRequest('/expense-rules/recategorize', {
+        method: 'POST',
+        body: JSON.stringify(filters)
+      })
+  },
   
   /**
    * Dashboard API Methods
@@ -243,6 +550,12 @@ const API = {
       return apiRequest('/dashboard/annual-limit');
     },
     
+    // Get marca da bollo due per quarter
+    getStampDuty: (year = null) => {
+      const query = year ? `?year=${year}` : '';
+      return apiRequest(`/dashboard/stamp-duty${query}`);
+    },
+    
     // Get monthly overview with salary calculations
     getMonthlyOverview: (year, month, targetSalary, taxablePercentage, incomeTaxRate, healthInsuranceRate) => {
       const params = new URLSearchParams({
@@ -257,6 +570,51 @@ const API = {
     }
   },
   
+  /**
+   * Reverse-charge IVA API Methods
+   */
+  reverseCharge: {
+    // IVA by month and quarter with documents, F24 deadlines and payments
+    getReport: (year = null) => {
+      const query = year ? `?year=${year}` : '';
+      return apiRequest(`/reverse-charge/report${query}`);
+    },
+
+    // IVA still to pay, all years
+    getDebt: () => {
+      return apiRequest('/reverse-charge/debt');
+    },
+
+    // Record the F24 payment of a month ({ year, month, payment_date, amount, note })
+    recordPayment: (data) => {
+      return apiRequest('/reverse-charge/payments', {
+        method: 'POST',
+        body: JSON.stringify(data)
+      });
+    },
+
+    deletePayment: (id) => {
+      return apiRequest(`/reverse-charge/payments/${id}`, {
+        method: 'DELETE'
+      });
+    }
+  },
+
+  /**
+   * Receivables API Methods
+   */
+  receivables: {
+    // Get outstanding amounts per client by days past due
+    getAging: () => {
+      return apiRequest('/receivables/aging');
+    },
+    
+    // Get overdue invoices to chase, with late payment interest
+    getDunning: () => {
+      return apiRequest('/receivables/dunning');
+    }
+  },
+  
   /**
    * Settings API Methods
    */
@@ -279,7 +637,23 @@ const API = {
    * Client API Methods
    */
   clients: {
-    getAll: () => apiRequest('/clients'),
+    // status: 'active' (default), 'archived' or 'all'
+    getAll: (status) => apiRequest(`/clients${status ? `?status=${status}` : ''}`),
+    // Billed revenue, payments, outstanding amounts and hours per client
+    getSummaries: (filters = {}) => {
+      const params = new URLSearchParams();
+      if (filters.startDate) params.append('start_date', filters.startDate);
+      if (filters.endDate) params.append('end_date', filters.endDate);
+      const query = params.toString() ? `?${params}` : '';
+      return apiRequest(`/clients/summary${query}`);
+    },
+    getSummary: (id, filters = {}) => {
+      const params = new URLSearchParams();
+      if (filters.startDate) params.append('start_date', filters.startDate);
+      if (filters.endDate) params.append('end_date', filters.endDate);
+      const query = params.toString() ? `?${params}` : '';
+      return apiRequest(`/clients/${id}/summary${query}`);
+    },
     create: (data) =>
       apiRequest('/clients', {
         method: 'POST',
@@ -290,6 +664,26 @@ const API = {
         method: 'PUT',
         body: JSON.stringify(data)
       }),
+    archive: (id) =>
+      apiRequest(`/clients/${id}/archive`, {
+        method: 'POST'
+      }),
+    restore: (id) =>
+      apiRequest(`/clients/${id}/restore`, {
+        method: 'POST'
+      }),
+    // What merging sourceIds into the client would move, then the merge
+    previewMerge: (id, sourceIds) =>
+      apiRequest(`/clients/${id}/merge/preview`, {
+        method: 'POST',
+        body: JSON.stringify({ source_ids: sourceIds })
+      }),
+    merge: (id, sourceIds, recomputeAmounts) =>
+      apiRequest(`/clients/${id}/merge`, {
+        method: 'POST',
+        body: JSON.stringify({ source_ids: sourceIds, recompute_amounts: recomputeAmounts })
+      }),
+    // Only clients without worked hours or invoices can be deleted
     delete: (id) =>
       apiRequest(`/clients/${id}`, {
         method: 'DELETE'
@@ -343,7 +737,178 @@ const API = {
       }
       const blob = await response.blob();
       return blob;
-    }
+    },
+    getMonthlyReportEmailDraft: (year, month, clientId) => {
+      const params = new URLSearchParams({
+        year: `${year}`,
+        month: `${month}`,
+        clientId: `${clientId}`
+      });
+      return apiRequest(`/worked-hours/reports/monthly/email?${params.toString()}`);
+    },
+    sendMonthlyReportEmail: (data) =>
+      apiRequest('/worked-hours/reports/monthly/email', {
+        method: 'POST',
+        body: JSON.stringify(data)
+      })
+  },
+
+  /**
+   * Email API Methods
+   */
+  emails: {
+    // Get the log of sent and failed emails (filters: invoice_id, client_id)
+    getLog: (filters = {}) => {
+      const params = new URLSearchParams(filters);
+      const suffix = params.toString() ? `?${params.toString()}` : '';
+      return apiRequest(`/emails${suffix}`);
+    },
+    
+    // Send a test message with the SMTP settings
+    sendTest: (to) =>
+      apiRequest('/emails/test', {
+        method: 'POST',
+        body: JSON.stringify({ to })
+      })
+  },
+
+  /**
+   * Exchange Rates API Methods
+   *
+   * Rates are units of the currency for 1 EUR (ECB convention)
+   */
+  exchangeRates: {
+    // Get the stored rates (optional currency filter)
+    getAll: (currency = '') => {
+      const suffix = currency ? `?currency=${encodeURIComponent(currency)}` : '';
+      return apiRequest(`/exchange-rates${suffix}`);
+    },
+
+    // Get the latest rate of a currency on or before a date
+    lookup: (currency, date) =>
+      apiRequest(`/exchange-rates/lookup?currency=${encodeURIComponent(currency)}&date=${encodeURIComponent(date)}`),
+
+    // Store the rate of a currency for a day (replaces the one already stored)
+    save: (data) =>
+      apiRequest('/exchange-rates', {
+        method: 'POST',
+        body: JSON.stringify(data)
+      }),
+
+    // Delete a stored rate
+    delete: (id) =>
+      apiRequest(`/exchange-rates/${id}`, {
+        method: 'DELETE'
+      })
+  },
+
+  /**
+   * FatturaPA Import API Methods
+   *
+   * files: [{ name, content }] with content base64 encoded
+   */
+  fatturapa: {
+    previewImport: (files, options = {}) =>
+      apiRequest('/fatturapa/import/preview', {
+        method: 'POST',
+        body: JSON.stringify({ files, ...options })
+      }),
+    import: (files, options = {}) =>
+      apiRequest('/fatturapa/import', {
+        method: 'POST',
+        body: JSON.stringify({ files, ...options })
+      })
+  },
+
+  /**
+   * Attachment API Methods
+   *
+   * ownerType: 'expense' or 'invoice'
+   * files: [{ name, content }] with content base64 encoded (PDF, JPG, PNG)
+   */
+  attachments: {
+    getAll: (ownerType, ownerId) => apiRequest(`/${ownerType}s/${ownerId}/attachments`),
+    upload: (ownerType, ownerId, files) =>
+      apiRequest(`/${ownerType}s/${ownerId}/attachments`, {
+        method: 'POST',
+        body: JSON.stringify({ files })
+      }),
+    delete: (id) =>
+      apiRequest(`/attachments/${id}`, {
+        method: 'DELETE'
+      }),
+    // Address of the file, for thumbnails and previews (inline) or download
+    getFileUrl: (id, inline = false) =>
+      `${API_BASE_URL}/attachments/${id}/download${inline ? '?inline=true' : ''}`
+  },
+
+  /**
+   * Bank Statement and Reconciliation API Methods
+   *
+   * files: [{ name, content }] with content base64 encoded (CSV, OFX, CAMT.053)
+   */
+  bank: {
+    getCsvMappings: () => apiRequest('/bank/csv-mappings'),
+    createCsvMapping: (data) =>
+      apiRequest('/bank/csv-mappings', {
+        method: 'POST',
+        body: JSON.stringify(data)
+      }),
+    updateCsvMapping: (id, data) =>
+      apiRequest(`/bank/csv-mappings/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify(data)
+      }),
+    deleteCsvMapping: (id) =>
+      apiRequest(`/bank/csv-mappings/${id}`, {
+        method: 'DELETE'
+      }),
+
+    // options: { mapping_id } for CSV files, { selected_keys } to import only some movements
+    previewImport: (files, options = {}) =>
+      apiRequest('/bank/import/preview', {
+        method: 'POST',
+        body: JSON.stringify({ files, ...options })
+      }),
+    import: (files, options = {}) =>
+      apiRequest('/bank/import', {
+        method: 'POST',
+        body: JSON.stringify({ files, ...options })
+      }),
+
+    // params: { status, start_date, end_date }
+    getTransactions: (params = {}) => {
+      const query = new URLSearchParams();
+      Object.entries(params).forEach(([key, value]) => {
+        if (value) query.append(key, value);
+      });
+      const suffix = query.toString() ? `?${query}` : '';
+      return apiRequest(`/bank/transactions${suffix}`);
+    },
+    getSuggestions: (id) => apiRequest(`/bank/transactions/${id}/suggestions`),
+    matchInvoice: (id, invoiceId) =>
+      apiRequest(`/bank/transactions/${id}/match-invoice`, {
+        method: 'POST',
+        body: JSON.stringify({ invoice_id: invoiceId })
+      }),
+    matchExpense: (id, expenseId) =>
+      apiRequest(`/bank/transactions/${id}/match-expense`, {
+        method: 'POST',
+        body: JSON.stringify({ expense_id: expenseId })
+      }),
+    createExpense: (id, data) =>
+      apiRequest(`/bank/transactions/${id}/create-expense`, {
+        method: 'POST',
+        body: JSON.stringify(data)
+      }),
+    ignore: (id) =>
+      apiRequest(`/bank/transactions/${id}/ignore`, {
+        method: 'POST'
+      }),
+    unmatch: (id) =>
+      apiRequest(`/bank/transactions/${id}/unmatch`, {
+        method: 'POST'
+      })
   }
 };
 
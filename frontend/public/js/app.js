@@ -41,11 +41,13 @@ const VIEW_STORAGE_KEY = 'ff_current_view';
 const AppEvents = {
   // Data change events
   INVOICES_CHANGED: 'data:invoices:changed',
+  QUOTES_CHANGED: 'data:quotes:changed',
   EXPENSES_CHANGED: 'data:expenses:changed',
   CATEGORIES_CHANGED: 'data:categories:changed',
   WORKED_HOURS_CHANGED: 'data:worked-hours:changed',
   CLIENTS_CHANGED: 'data:clients:changed',
   SETTINGS_CHANGED: 'data:settings:changed',
+  REVERSE_CHARGE_CHANGED: 'data:reverse-charge:changed',
   
   // Dashboard specific
   DASHBOARD_REFRESH: 'dashboard:refresh',
@@ -204,6 +206,16 @@ function setupNavigation() {
     });
   }
   
+  const addQuoteBtn = document.getElementById('add-quote-btn');
+  if (addQuoteBtn) {
+    addQuoteBtn.addEventListener('click', () => {
+      const form = document.querySelector('quote-form');
+      if (form) {
+        form.show();
+      }
+    });
+  }
+  
   if (addExpenseBtn) {
     addExpenseBtn.addEventListener('click', () => {
       const form = document.querySelector('expense-form');
@@ -218,6 +230,68 @@ function setupNavigation() {
       window.dispatchEvent(new CustomEvent('categories:open-manager'));
     });
   }
+
+  // Both views share the same FatturaPA import dialog
+  ['import-invoices-btn', 'import-expenses-btn'].forEach((id) => {
+    const button = document.getElementById(id);
+    if (button) {
+      button.addEventListener('click', () => {
+        window.dispatchEvent(new CustomEvent('fatturapa:open-import'));
+      });
+    }
+  });
+
+  const recurringInvoicesBtn = document.getElementById('recurring-invoices-btn');
+  if (recurringInvoicesBtn) {
+    recurringInvoicesBtn.addEventListener('click', () => {
+      window.dispatchEvent(new CustomEvent('recurring-invoices:open-manager'));
+    });
+  }
+
+  const recurringExpensesBtn = document.getElementById('recurring-expenses-btn');
+  if (recurringExpensesBtn) {
+    recurringExpensesBtn.addEventListener('click', () => {
+      window.dispatchEvent(new CustomEvent('recurring-expenses:open-manager'));
+    });
+  }
+
+  const checkNumberingBtn = document.getElementById('check-numbering-btn');
+  if (checkNumberingBtn) {
+    checkNumberingBtn.addEventListener('click', () => checkInvoiceNumbering());
+  }
+}
+
+/**
+ * Check Invoice Numbering
+ * 
+ * Asks for a year and reports gaps, duplicates and out-of-order
+ * invoice numbers (the progression must be continuous by issue date).
+ */
+async function checkInvoiceNumbering() {
+  const input = window.prompt('Anno da verificare:', String(new Date().getFullYear()));
+  if (input === null) return;
+
+  try {
+    const result = await API.invoices.checkNumbering(input.trim());
+
+    if (result.is_continuous) {
+      const last = result.last_number ? `, ultima fattura ${result.last_number}` : '';
+      showNotification(`Numerazione ${result.year} corretta (${result.invoices_checked} fatture${last})`, 'success');
+      return;
+    }
+
+    const labels = {
+      gap: (number) => `Numero mancante: ${number}`,
+      duplicate: (number) => `Numero progressivo ripetuto: ${number}`,
+      out_of_order: (number) => `Fuori ordine rispetto alla data di emissione: ${number}`,
+      unrecognized: (number) => `Non segue il formato ${result.format}: ${number}`
+    };
+    const lines = result.issues.map(issue => `• ${labels[issue.type](issue.invoice_number)}`);
+    alert(`Numerazione ${result.year}: ${result.issues.length} problemi trovati\n\n${lines.join('\n')}`);
+  } catch (error) {
+    console.error('Failed to check invoice numbering:', error);
+    showNotification(error.message || 'Impossibile verificare la numerazione', 'error');
+  }
 }
 
 function handleNavigationAction(action) {
@@ -245,7 +319,7 @@ function handleNavigationAction(action) {
 /**
  * Show View
  * 
- * Switches between different views (dashboard, invoices, expenses, settings).
+ * Switches between different views (dashboard, invoices, quotes, expenses, settings).
  * Updates navigation state and shows appropriate content.
  * Persists view selection to localStorage.
  * 
@@ -304,6 +378,14 @@ function initializeView(viewName) {
       }
       break;
       
+    case 'quotes':
+      // Refresh quote list and acceptance stats
+      const quoteList = document.querySelector('quote-list');
+      if (quoteList && quoteList.loadQuotes) {
+        quoteList.loadQuotes();
+      }
+      break;
+      
     case 'expenses':
       // Refresh expense list
       const expenseList = document.querySelector('expense-list');
@@ -312,6 +394,22 @@ function initializeView(viewName) {
       }
       break;
       
+    case 'bank':
+      // Refresh CSV mappings and bank movements
+      const bankReconciliation = document.querySelector('bank-reconciliation');
+      if (bankReconciliation && bankReconciliation.load) {
+        bankReconciliation.load();
+      }
+      break;
+      
+    case 'iva':
+      // Refresh reverse-charge IVA report
+      const reverseChargeReport = document.querySelector('reverse-charge-report');
+      if (reverseChargeReport && reverseChargeReport.load) {
+        reverseChargeReport.load();
+      }
+      break;
+      
     case 'settings':
       // Refresh settings panel
       const settingsPanel = document.querySelector('settings-panel');
@@ -334,6 +432,18 @@ function refreshDashboard() {
     summary.loadSummary();
   }
   
+  // Refresh reverse-charge IVA still to pay
+  const reverseCharge = document.querySelector('reverse-charge-card');
+  if (reverseCharge && reverseCharge.loadData) {
+    reverseCharge.loadData();
+  }
+  
+  // Refresh receivables (the interest rate is a setting)
+  const receivables = document.querySelector('receivables-card');
+  if (receivables && receivables.loadData) {
+    receivables.loadData();
+  }
+  
   // Refresh monthly estimate
   const estimate = document.querySelector('monthly-estimate');
   if (estimate && estimate.loadEstimate) {
@@ -89,6 +89,26 @@ function formatDate(dateString, format = 'medium') {
   return date.toLocaleDateString('it-IT', options[format] || options.medium);
 }
 
+/**
+ * Format a timestamp with date and time
+ * 
+ * @param {string} value - ISO timestamp from the API
+ * @returns {string} Date and time in Italian format
+ * 
+ * @example
+ * formatDateTime('2024-11-25T14:05:00.000Z') // "25/11/24, 15:05"
+ */
+function formatDateTime(value) {
+  if (!value) return '';
+  
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return 'Invalid Date';
+  }
+  
+  return date.toLocaleString('it-IT', { dateStyle: 'short', timeStyle: 'short' });
+}
+
 /**
  * Format date for input field
  * 
@@ -172,8 +192,10 @@ function getStatusBadgeClass(status) {
   const classes = {
     'draft': 'badge-draft',
     'sent': 'badge-sent',
+    'partially_paid': 'badge-partially-paid',
     'paid': 'badge-paid',
-    'overdue': 'badge-overdue'
+    'overdue': 'badge-overdue',
+    'cancelled': 'badge-cancelled'
   };
   
   return classes[status] || 'badge-draft';
@@ -191,13 +213,67 @@ function getStatusLabel(status) {
   const labels = {
     'draft': 'Bozza',
     'sent': 'Inviata',
+    'partially_paid': 'Parz. pagata',
     'paid': 'Pagata',
-    'overdue': 'Scaduta'
+    'overdue': 'Scaduta',
+    'cancelled': 'Annullata'
   };
   
   return labels[status] || status;
 }
 
+/**
+ * Get status change source label
+ * 
+ * Returns what changed an invoice status, for the status history.
+ * 
+ * @param {string} source - Source of the change (user, payment, credit_note, job)
+ * @returns {string} Source label
+ */
+function getStatusSourceLabel(source) {
+  const labels = {
+    'user': 'Manuale',
+    'payment': 'Pagamenti',
+    'credit_note': 'Nota di credito',
+    'job': 'Automatico (scadenza)'
+  };
+  
+  return labels[source] || source;
+}
+
+/**
+ * Get quote status label
+ * 
+ * @param {string} status - Quote status
+ * @returns {string} Status label
+ */
+function getQuoteStatusLabel(status) {
+  const labels = {
+    'open': 'Aperto',
+    'accepted': 'Accettato',
+    'rejected': 'Rifiutato',
+    'expired': 'Scaduto'
+  };
+  
+  return labels[status] || status;
+}
+
+/**
+ * Get payment reminder level label
+ * 
+ * @param {number} level - Reminder level (1-3)
+ * @returns {string} Level label
+ */
+function getReminderLevelLabel(level) {
+  const labels = {
+    1: 'Sollecito',
+    2: 'Sollecito formale',
+    3: 'Diffida'
+  };
+  
+  return labels[level] || `Livello ${level}`;
+}
+
 /**
  * Debounce function
  * 
@@ -285,3 +361,35 @@ function capitalize(string) {
   return string.charAt(0).toUpperCase() + string.slice(1);
 }
 
+
+/**
+ * Save a Blob as a file download
+ * 
+ * @param {Blob} blob - File content
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Escape text for safe insertion into HTML templates
+ * 
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
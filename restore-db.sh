@@ -10,6 +10,9 @@
 # Example:
 #   ./restore-db.sh ./backups/freelancer_finance_backup_20241127_120000.sql.gz
 #
+# The attachments archive taken with the same backup, if present, is
+# extracted into the backend container too (files are only added).
+#
 # WARNING: This will REPLACE your current database with the backup!
 # ============================================================================
 
@@ -26,6 +29,8 @@ DB_CONTAINER="freelancer-finance-db"
 DB_NAME="freelancer_finance"
 DB_USER="root"
 DB_PASSWORD="root_password_change_me"
+BACKEND_CONTAINER="freelancer-finance-backend"
+ATTACHMENTS_PARENT="/app/data"
 
 # Check if backup file is provided
 if [ -z "$1" ]; then
@@ -112,6 +117,17 @@ else
 fi
 
 if [ "$RESTORE_SUCCESS" = true ]; then
+    # Attachments archive of the same backup
+    ATTACHMENTS_FILE="$(dirname "$BACKUP_FILE")/$(basename "$BACKUP_FILE" | sed -e 's/freelancer_finance_backup_/freelancer_finance_attachments_/' -e 's/\.sql\(\.gz\)\{0,1\}$/.tar.gz/')"
+    if [ -f "$ATTACHMENTS_FILE" ]; then
+        echo -e "${YELLOW}Restoring attachments from $ATTACHMENTS_FILE...${NC}"
+        if docker exec -i "$BACKEND_CONTAINER" tar -xzf - -C "$ATTACHMENTS_PARENT" < "$ATTACHMENTS_FILE" 2>/dev/null; then
+            echo -e "${GREEN}✓ Attachments restored${NC}"
+        else
+            echo -e "${YELLOW}⚠ Attachments not restored: is '$BACKEND_CONTAINER' running?${NC}"
+        fi
+    fi
+    
     echo ""
     echo -e "${GREEN}============================================================================${NC}"
     echo -e "${GREEN}  ✓ Database restored successfully!${NC}"